@@ -12,6 +12,7 @@ const TestConnection = () => {
   const { user, loading: authLoading } = useAuth();
   const [employees, setEmployees] = useState([]);
   const [attendance, setAttendance] = useState([]);
+  const [moreAttendance, setMoreAttendance] = useState(false);
   const [loading, setLoading] = useState(true);
   const [error, setError] = useState('');
   const [connectionDetails, setConnectionDetails] = useState({});
@@ -58,11 +59,12 @@ const TestConnection = () => {
       }
 
       console.log('Testing attendance service connection...');
-      let attendanceData = [];
       try {
-        attendanceData = await attendanceService.getAllAttendance();
-        console.log('✅ Attendance records loaded:', attendanceData.length);
-        setAttendance(attendanceData);
+        // The latest few records are enough to prove the connection
+        const attendancePage = await attendanceService.getAttendancePage({}, { pageSize: 5 });
+        console.log('✅ Attendance records loaded:', attendancePage.records.length);
+        setAttendance(attendancePage.records);
+        setMoreAttendance(attendancePage.hasMore);
       } catch (attError) {
         console.error('❌ Attendance service error:', attError);
         throw new Error(`Attendance service failed: ${attError.message}`);
@@ -138,10 +140,10 @@ const TestConnection = () => {
         </div>
 
         <div>
-          <h4>📋 Attendance Records ({attendance.length})</h4>
+          <h4>📋 Attendance Records ({attendance.length}{moreAttendance ? '+' : ''})</h4>
           {attendance.length > 0 ? (
             <ul style={{ margin: 0, paddingLeft: '20px' }}>
-              {attendance.slice(0, 5).map(record => {
+              {attendance.map(record => {
                 const employee = employees.find(emp => emp.id === record.employee_id);
                 return (
                   <li key={record.id} style={{ marginBottom: '5px' }}>
@@ -159,9 +161,9 @@ const TestConnection = () => {
                   </li>
                 );
               })}
-              {attendance.length > 5 && (
+              {moreAttendance && (
                 <li style={{ color: '#666', fontStyle: 'italic' }}>
-                  ...and {attendance.length - 5} more
+                  ...and more
                 </li>
               )}
             </ul>
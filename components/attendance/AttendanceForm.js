@@ -1,7 +1,20 @@
 import { useState, useEffect } from 'react';
 import { useAuth } from '../../contexts/AuthContext';
-import { AttendanceStatus, createEmptyAttendance, generateAttendanceId } from '../../lib/models/Attendance';
+import {
+  AttendanceStatus,
+  WORKED_STATUSES,
+  createEmptyAttendance,
+  generateAttendanceId,
+  validateAttendance,
+  getStatusLabel,
+  getStatusIcon
+} from '../../lib/models/Attendance';
 import attendanceService from '../../lib/services/attendanceService';
+import holidayService from '../../lib/services/holidayService';
+import locationService from '../../lib/services/locationService';
+import shiftService from '../../lib/services/shiftService';
+import { getOffDay, describeOffDay } from '../../lib/models/Holiday';
+import { describeShiftHours } from '../../lib/models/Shift';
 
 const AttendanceForm = ({ 
   employees = [], 
@@ -16,14 +29,52 @@ const AttendanceForm = ({
     date: selectedDate || new Date().toISOString().split('T')[0],
     employees: [],
     bulkStatus: AttendanceStatus.PRESENT,
+    bulkCheckIn: '',
+    bulkCheckOut: '',
+    employee_id: '',
+    status: AttendanceStatus.PRESENT,
+    check_in_time: '',
+    check_out_time: '',
+    shift_id: '',
     notes: ''
   });
   const [selectedEmployees, setSelectedEmployees] = useState(new Set());
   const [selectAll, setSelectAll] = useState(false);
   const [isSubmitting, setIsSubmitting] = useState(false);
   const [errors, setErrors] = useState({});
-  const [employeesWithAttendance, setEmployeesWithAttendance] = useState(new Set());
+  const [existingAttendance, setExistingAttendance] = useState(new Map());
   const [checkingExisting, setCheckingExisting] = useState(false);
+  const [calendar, setCalendar] = useState(null);
+  const [tagLocation, setTagLocation] = useState(true);
+  const [shifts, setShifts] = useState([]);
+
+  // Load holidays and weekly offs once
+  useEffect(() => {
+    const loadCalendar = async () => {
+      try {
+        setCalendar(await holidayService.getWorkCalendar());
+      } catch (error) {
+        console.error('Error loading work calendar:', error);
+      }
+    };
+
+    loadCalendar();
+  }, []);
+
+  // Load the shifts that can be picked in single mode
+  useEffect(() => {
+    const loadShifts = async () => {
+      try {
+        setShifts(await shiftService.getShifts({ activeOnly: true }));
+      } catch (error) {
+        console.error('Error loading shifts:', error);
+      }
+    };
+
+    if (mode === 'single') {
+      loadShifts();
+    }
+  }, [mode]);
 
   // Initialize form data
   useEffect(() => {
@@ -35,24 +86,32 @@ const AttendanceForm = ({
     }
   }, [selectedDate]);
 
-  // Update employees list when employees prop changes
+  // Update employees list when employees prop changes.
+  // On a holiday or weekly off everyone starts as off rather than present,
+  // and workers on approved leave start as on leave.
   useEffect(() => {
     if (employees.length > 0 && mode === 'bulk') {
-      const employeeAttendance = employees.map(employee => ({
-        ...createEmptyAttendance(),
-        employee_id: employee.id,
-        employee_name: employee.name,
-        date: formData.date,
-        status: AttendanceStatus.PRESENT,
-        marked_by: user?.uid || user?.email || 'admin'
-      }));
+      const dateOffDay = getOffDay(calendar, formData.date);
+      const defaultStatus = dateOffDay ? dateOffDay.status : AttendanceStatus.PRESENT;
+      const employeeAttendance = employees.map(employee => {
+        const existing = existingAttendance.get(employee.id);
+        return {
+          ...createEmptyAttendance(),
+          employee_id: employee.id,
+          employee_name: employee.name,
+          date: formData.date,
+          status: existing && existing.leave_request_id ? existing.status : defaultStatus,
+          marked_by: user?.uid || user?.email || 'admin'
+        };
+      });
       
       setFormData(prev => ({
         ...prev,
+        bulkStatus: defaultStatus,
         employees: employeeAttendance
       }));
     }
-  }, [employees, mode, user, formData.date]);
+  }, [employees, mode, user, formData.date, calendar, existingAttendance]);
 
   // Check for existing attendance when date or employees change
   useEffect(() => {
@@ -61,14 +120,14 @@ const AttendanceForm = ({
         setCheckingExisting(true);
         try {
           const employeeIds = employees.map(emp => emp.id);
-          const existingAttendance = await attendanceService.getEmployeesWithAttendanceForDate(
+          const existing = await attendanceService.getExistingAttendanceForDate(
             employeeIds, 
             formData.date
           );
-          setEmployeesWithAttendance(existingAttendance);
+          setExistingAttendance(existing);
         } catch (error) {
           console.error('Error checking existing attendance:', error);
-          setEmployeesWithAttendance(new Set());
+          setExistingAttendance(new Map());
         } finally {
           setCheckingExisting(false);
         }
@@ -114,11 +173,42 @@ const AttendanceForm = ({
     setFormData(prev => ({
       ...prev,
       employees: prev.employees.map(emp => 
-        emp.employee_id === employeeId ? { ...emp, status } : emp
+        emp.employee_id === employeeId ? withTimesForStatus({ ...emp, status }) : emp
       )
     }));
   };
 
+  // Handle individual employee check-in/check-out change
+  const handleEmployeeTimeChange = (employeeId, field, value) => {
+    setFormData(prev => ({
+      ...prev,
+      employees: prev.employees.map(emp => 
+        emp.employee_id === employeeId ? { ...emp, [field]: value } : emp
+      )
+    }));
+  };
+
+  // Handle single mode field change
+  const handleFieldChange = (e) => {
+    const { name, value } = e.target;
+    setFormData(prev => {
+      const updated = { ...prev, [name]: value };
+      return name === 'status' ? withTimesForStatus(updated) : updated;
+    });
+
+    if (errors[name]) {
+      setErrors(prev => ({ ...prev, [name]: '' }));
+    }
+  };
+
+  // Only worked days have a check-in or check-out
+  const withTimesForStatus = (record) => {
+    if (WORKED_STATUSES.includes(record.status)) {
+      return record;
+    }
+    return { ...record, check_in_time: '', check_out_time: '' };
+  };
+
   // Handle employee selection
   const handleEmployeeSelect = (employeeId) => {
     const newSelected = new Set(selectedEmployees);
@@ -131,27 +221,54 @@ const AttendanceForm = ({
     setSelectAll(newSelected.size === employees.length);
   };
 
-  // Handle select all
+  // Handle select all (workers on approved leave are left out; tick them individually to override)
   const handleSelectAll = () => {
     if (selectAll) {
       setSelectedEmployees(new Set());
     } else {
-      setSelectedEmployees(new Set(employees.map(emp => emp.id)));
+      setSelectedEmployees(new Set(
+        employees.filter(emp => !isOnApprovedLeave(emp.id)).map(emp => emp.id)
+      ));
     }
     setSelectAll(!selectAll);
   };
 
-  // Apply bulk status to selected employees
+  // Whether the employee's record for the date came from an approved leave request
+  const isOnApprovedLeave = (employeeId) => {
+    const existing = existingAttendance.get(employeeId);
+    return !!(existing && existing.leave_request_id);
+  };
+
+  // Apply bulk status, and any default times, to selected employees
   const applyBulkStatus = () => {
     setFormData(prev => ({
       ...prev,
-      employees: prev.employees.map(emp => 
-        selectedEmployees.has(emp.employee_id) ? 
-          { ...emp, status: formData.bulkStatus } : emp
-      )
+      employees: prev.employees.map(emp => {
+        if (!selectedEmployees.has(emp.employee_id)) return emp;
+
+        return withTimesForStatus({
+          ...emp,
+          status: prev.bulkStatus,
+          check_in_time: prev.bulkCheckIn || emp.check_in_time,
+          check_out_time: prev.bulkCheckOut || emp.check_out_time
+        });
+      })
     }));
   };
 
+  // Build the record submitted in single mode
+  const getSingleAttendance = () => ({
+    ...createEmptyAttendance(),
+    employee_id: formData.employee_id,
+    date: formData.date,
+    status: formData.status,
+    check_in_time: formData.check_in_time,
+    check_out_time: formData.check_out_time,
+    shift_id: formData.shift_id,
+    notes: formData.notes,
+    marked_by: user?.uid || user?.email || 'admin'
+  });
+
   // Validate form
   const validateForm = () => {
     const newErrors = {};
@@ -170,6 +287,24 @@ const AttendanceForm = ({
       newErrors.employees = 'Please select at least one employee';
     }
 
+    if (mode === 'bulk') {
+      const invalidTimes = formData.employees.filter(emp => {
+        if (!selectedEmployees.has(emp.employee_id)) return false;
+        const { errors: recordErrors } = validateAttendance(emp);
+        return recordErrors.check_in_time || recordErrors.check_out_time;
+      });
+      if (invalidTimes.length > 0) {
+        newErrors.employees = `Check the check-in/check-out times for: ${invalidTimes.map(emp => emp.employee_name).join(', ')}`;
+      }
+    } else {
+      const { errors: recordErrors } = validateAttendance(getSingleAttendance());
+      ['employee_id', 'check_in_time', 'check_out_time'].forEach(field => {
+        if (recordErrors[field]) {
+          newErrors[field] = recordErrors[field];
+        }
+      });
+    }
+
     setErrors(newErrors);
     return Object.keys(newErrors).length === 0;
   };
@@ -185,16 +320,19 @@ const AttendanceForm = ({
     setIsSubmitting(true);
     
     try {
+      // Geotag the records with where they were marked, when the device allows it
+      const location = tagLocation ? await locationService.getCurrentLocation() : null;
+      const withLocation = (record) => (location ? { ...record, location } : record);
+
       if (mode === 'bulk') {
         // Filter only selected employees
         const selectedAttendance = formData.employees.filter(emp => 
           selectedEmployees.has(emp.employee_id)
         );
         
-        await onSubmit(selectedAttendance);
+        await onSubmit(selectedAttendance.map(withLocation));
       } else {
-        // Single employee mode (not implemented in this component yet)
-        await onSubmit(formData);
+        await onSubmit(withLocation(getSingleAttendance()));
       }
     } catch (error) {
       console.error('Form submission error:', error);
@@ -212,6 +350,14 @@ const AttendanceForm = ({
         return '#f8d7da';
       case AttendanceStatus.HALF_DAY:
         return '#fff3cd';
+      case AttendanceStatus.PAID_LEAVE:
+        return '#d1ecf1';
+      case AttendanceStatus.UNPAID_LEAVE:
+        return '#ffe5d0';
+      case AttendanceStatus.HOLIDAY:
+        return '#e2d9f3';
+      case AttendanceStatus.WEEK_OFF:
+        return '#d2f4ea';
       default:
         return '#f8f9fa';
     }
@@ -225,11 +371,22 @@ const AttendanceForm = ({
         return '#f5c6cb';
       case AttendanceStatus.HALF_DAY:
         return '#ffeaa7';
+      case AttendanceStatus.PAID_LEAVE:
+        return '#bee5eb';
+      case AttendanceStatus.UNPAID_LEAVE:
+        return '#fecba1';
+      case AttendanceStatus.HOLIDAY:
+        return '#c5b3e6';
+      case AttendanceStatus.WEEK_OFF:
+        return '#a6e9d5';
       default:
         return '#dee2e6';
     }
   };
 
+  const offDay = getOffDay(calendar, formData.date);
+  const leaveCount = employees.filter(emp => isOnApprovedLeave(emp.id)).length;
+
   return (
     <div className="attendance-form">
       <form onSubmit={handleSubmit} className="form">
@@ -263,8 +420,126 @@ const AttendanceForm = ({
           {errors.date && (
             <div className="error-message">{errors.date}</div>
           )}
+          {offDay && (
+            <div className="off-day-info">
+              📅 {formData.date} is {describeOffDay(offDay)}.
+              {mode === 'bulk' ?
+                ` Employees start as ${getStatusLabel(offDay.status)}; mark anyone who worked as Present.` :
+                ` Mark ${getStatusLabel(offDay.status)} unless the employee worked.`}
+            </div>
+          )}
         </div>
 
+        {mode === 'single' && (
+          <>
+            <div className="form-group">
+              <label htmlFor="employee_id" className="form-label">
+                Employee *
+              </label>
+              <select
+                id="employee_id"
+                name="employee_id"
+                value={formData.employee_id}
+                onChange={handleFieldChange}
+                className={`form-input ${errors.employee_id ? 'error' : ''}`}
+                required
+              >
+                <option value="">Select an employee</option>
+                {employees.map(employee => (
+                  <option key={employee.id} value={employee.id}>
+                    {employee.name}{employee.designation ? ` (${employee.designation})` : ''}
+                  </option>
+                ))}
+              </select>
+              {errors.employee_id && (
+                <div className="error-message">{errors.employee_id}</div>
+              )}
+            </div>
+
+            <div className="form-group">
+              <label htmlFor="status" className="form-label">
+                Status *
+              </label>
+              <select
+                id="status"
+                name="status"
+                value={formData.status}
+                onChange={handleFieldChange}
+                className="form-input"
+              >
+                {Object.values(AttendanceStatus).map(status => (
+                  <option key={status} value={status}>{getStatusLabel(status)}</option>
+                ))}
+              </select>
+            </div>
+
+            {WORKED_STATUSES.includes(formData.status) && shifts.length > 0 && (
+              <div className="form-group">
+                <label htmlFor="shift_id" className="form-label">
+                  Shift
+                </label>
+                <select
+                  id="shift_id"
+                  name="shift_id"
+                  value={formData.shift_id}
+                  onChange={handleFieldChange}
+                  className="form-input"
+                >
+                  <option value="">Rostered shift</option>
+                  {shifts.map(shift => (
+                    <option key={shift.id} value={shift.id}>
+                      {shift.name} ({describeShiftHours(shift)})
+                    </option>
+                  ))}
+                </select>
+                <div className="field-hint">
+                  Lateness and early exit are measured against this shift. An overnight shift is marked on the day it starts.
+                </div>
+              </div>
+            )}
+
+            {WORKED_STATUSES.includes(formData.status) && (
+              <div className="time-row">
+                <div className="form-group">
+                  <label htmlFor="check_in_time" className="form-label">
+                    Check-in Time
+                  </label>
+                  <input
+                    type="time"
+                    id="check_in_time"
+                    name="check_in_time"
+                    value={formData.check_in_time}
+                    onChange={handleFieldChange}
+                    className={`form-input ${errors.check_in_time ? 'error' : ''}`}
+                  />
+                  {errors.check_in_time && (
+                    <div className="error-message">{errors.check_in_time}</div>
+                  )}
+                </div>
+                <div className="form-group">
+                  <label htmlFor="check_out_time" className="form-label">
+                    Check-out Time
+                  </label>
+                  <input
+                    type="time"
+                    id="check_out_time"
+                    name="check_out_time"
+                    value={formData.check_out_time}
+                    onChange={handleFieldChange}
+                    className={`form-input ${errors.check_out_time ? 'error' : ''}`}
+                  />
+                  {errors.check_out_time && (
+                    <div className="error-message">{errors.check_out_time}</div>
+                  )}
+                </div>
+                <div className="field-hint time-hint">
+                  Optional. Hours beyond the standard day are paid as overtime; a check-out earlier than check-in counts as the next day.
+                </div>
+              </div>
+            )}
+          </>
+        )}
+
         {mode === 'bulk' && (
           <>
             {checkingExisting && (
@@ -273,13 +548,16 @@ const AttendanceForm = ({
               </div>
             )}
             
-            {!checkingExisting && employeesWithAttendance.size > 0 && (
+            {!checkingExisting && existingAttendance.size > 0 && (
               <div className="duplicate-info">
-                <span>ℹ️ {employeesWithAttendance.size} employee(s) already have attendance marked for this date. Selecting them will update their existing records.</span>
+                <span>ℹ️ {existingAttendance.size} employee(s) already have attendance marked for this date. Selecting them will update their existing records.</span>
+                {leaveCount > 0 && (
+                  <span> {leaveCount} of them are on approved leave and are left out of Select All.</span>
+                )}
               </div>
             )}
             
-            {!checkingExisting && employeesWithAttendance.size === 0 && employees.length > 0 && (
+            {!checkingExisting && existingAttendance.size === 0 && employees.length > 0 && (
               <div className="no-duplicates-info">
                 <span>✅ No existing attendance found for {formData.date}. All records will be created as new.</span>
               </div>
@@ -305,11 +583,28 @@ const AttendanceForm = ({
                     onChange={handleBulkStatusChange}
                     className="bulk-status-select"
                   >
-                    <option value={AttendanceStatus.PRESENT}>Mark as Present</option>
-                    <option value={AttendanceStatus.ABSENT}>Mark as Absent</option>
-                    <option value={AttendanceStatus.HALF_DAY}>Mark as Half Day</option>
+                    {Object.values(AttendanceStatus).map(status => (
+                      <option key={status} value={status}>Mark as {getStatusLabel(status)}</option>
+                    ))}
                   </select>
                   
+                  <input
+                    type="time"
+                    value={formData.bulkCheckIn}
+                    onChange={(e) => setFormData(prev => ({ ...prev, bulkCheckIn: e.target.value }))}
+                    className="bulk-time-input"
+                    title="Default check-in time"
+                    aria-label="Default check-in time"
+                  />
+                  <input
+                    type="time"
+                    value={formData.bulkCheckOut}
+                    onChange={(e) => setFormData(prev => ({ ...prev, bulkCheckOut: e.target.value }))}
+                    className="bulk-time-input"
+                    title="Default check-out time"
+                    aria-label="Default check-out time"
+                  />
+
                   <button
                     type="button"
                     onClick={applyBulkStatus}
@@ -360,7 +655,11 @@ const AttendanceForm = ({
                           />
                           <span className="employee-name">
                             {employee.name}
-                            {employeesWithAttendance.has(employee.id) && (
+                            {isOnApprovedLeave(employee.id) ? (
+                              <span className="attendance-indicator leave" title="Approved leave request">
+                                ✈ On Leave
+                              </span>
+                            ) : existingAttendance.has(employee.id) && (
                               <span className="attendance-indicator" title="Attendance already marked for this date">
                                 ✅ Already Marked
                               </span>
@@ -393,12 +692,31 @@ const AttendanceForm = ({
                               onClick={() => handleEmployeeStatusChange(employee.id, status)}
                               data-status={status}
                             >
-                              {status === AttendanceStatus.PRESENT && '✓ Present'}
-                              {status === AttendanceStatus.ABSENT && '✗ Absent'}
-                              {status === AttendanceStatus.HALF_DAY && '◐ Half Day'}
+                              {getStatusIcon(status)} {getStatusLabel(status)}
                             </button>
                           ))}
                         </div>
+
+                        {WORKED_STATUSES.includes(empAttendance.status) && (
+                          <div className="time-inputs">
+                            <label>
+                              In
+                              <input
+                                type="time"
+                                value={empAttendance.check_in_time}
+                                onChange={(e) => handleEmployeeTimeChange(employee.id, 'check_in_time', e.target.value)}
+                              />
+                            </label>
+                            <label>
+                              Out
+                              <input
+                                type="time"
+                                value={empAttendance.check_out_time}
+                                onChange={(e) => handleEmployeeTimeChange(employee.id, 'check_out_time', e.target.value)}
+                              />
+                            </label>
+                          </div>
+                        )}
                       </div>
                     </div>
                   );
@@ -429,6 +747,15 @@ const AttendanceForm = ({
 
         {/* Form Actions */}
         <div className="form-actions">
+          <label className="location-toggle" title="Records marked away from a work site are flagged">
+            <input
+              type="checkbox"
+              checked={tagLocation}
+              onChange={(e) => setTagLocation(e.target.checked)}
+              disabled={isSubmitting || loading}
+            />
+            📍 Tag my location
+          </label>
           <button
             type="button"
             onClick={onCancel}
@@ -576,6 +903,48 @@ const AttendanceForm = ({
           font-size: 14px;
         }
 
+        .bulk-time-input {
+          padding: 7px 8px;
+          border: 1px solid #ddd;
+          border-radius: 4px;
+          font-size: 14px;
+        }
+
+        .time-row {
+          display: grid;
+          grid-template-columns: 1fr 1fr;
+          gap: 15px;
+        }
+
+        .time-hint {
+          grid-column: 1 / -1;
+          margin: -12px 0 20px;
+        }
+
+        .time-inputs {
+          display: flex;
+          gap: 8px;
+          margin-top: 8px;
+        }
+
+        .time-inputs label {
+          flex: 1;
+          display: flex;
+          align-items: center;
+          gap: 4px;
+          font-size: 0.75rem;
+          color: #666;
+        }
+
+        .time-inputs input {
+          flex: 1;
+          min-width: 0;
+          padding: 4px;
+          border: 1px solid #ddd;
+          border-radius: 4px;
+          font-size: 0.75rem;
+        }
+
         .apply-bulk-btn {
           padding: 8px 16px;
           background: #17a2b8;
@@ -669,11 +1038,13 @@ const AttendanceForm = ({
 
         .status-buttons {
           display: flex;
+          flex-wrap: wrap;
           gap: 6px;
         }
 
         .status-btn {
-          flex: 1;
+          flex: 1 1 30%;
+          white-space: nowrap;
           padding: 6px 8px;
           border: 1px solid #ddd;
           border-radius: 4px;
@@ -705,6 +1076,30 @@ const AttendanceForm = ({
           border-color: #ffc107;
         }
 
+        .status-btn.active[data-status="paid-leave"] {
+          background: #17a2b8;
+          color: white;
+          border-color: #17a2b8;
+        }
+
+        .status-btn.active[data-status="unpaid-leave"] {
+          background: #fd7e14;
+          color: white;
+          border-color: #fd7e14;
+        }
+
+        .status-btn.active[data-status="holiday"] {
+          background: #6f42c1;
+          color: white;
+          border-color: #6f42c1;
+        }
+
+        .status-btn.active[data-status="week-off"] {
+          background: #20c997;
+          color: white;
+          border-color: #20c997;
+        }
+
         .form-actions {
           display: flex;
           gap: 12px;
@@ -714,6 +1109,16 @@ const AttendanceForm = ({
           border-top: 1px solid #eee;
         }
 
+        .location-toggle {
+          display: flex;
+          align-items: center;
+          gap: 6px;
+          margin-right: auto;
+          font-size: 14px;
+          color: #555;
+          cursor: pointer;
+        }
+
         .btn-primary,
         .btn-secondary {
           padding: 12px 24px;
@@ -766,10 +1171,26 @@ const AttendanceForm = ({
           vertical-align: middle;
         }
 
+        .attendance-indicator.leave {
+          background: #d1ecf1;
+          color: #0c5460;
+          border-color: #bee5eb;
+        }
+
         .employee-item:has(.attendance-indicator) {
           border-left: 4px solid #28a745;
         }
 
+        .off-day-info {
+          background: #f3e8ff;
+          border: 1px solid #e2d9f3;
+          border-radius: 4px;
+          padding: 8px 12px;
+          margin-top: 8px;
+          font-size: 0.9rem;
+          color: #5b21b6;
+        }
+
         .checking-indicator {
           background: #e3f2fd;
           border: 1px solid #bbdefb;
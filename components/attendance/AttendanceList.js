@@ -1,18 +1,41 @@
 import { useState, useEffect, useMemo } from 'react';
-import { AttendanceStatus } from '../../lib/models/Attendance';
+import { useRouter } from 'next/router';
+import {
+  AttendanceStatus,
+  WORKED_STATUSES,
+  getStatusLabel,
+  getStatusColor,
+  getStatusIcon,
+  getStatusStatKey,
+  calculateAttendanceStats,
+  calculateAttendanceRate
+} from '../../lib/models/Attendance';
+import { applyCalendarToRecords } from '../../lib/models/Holiday';
+import { describeRecordLocation } from '../../lib/models/Site';
+import { describeShiftHours, formatMinutes } from '../../lib/models/Shift';
+import { getAnomalyTypeLabel, getAnomalyTypeIcon } from '../../lib/models/AttendanceAnomaly';
 
 const AttendanceList = ({ 
   attendanceRecords = [], 
   employees = [],
+  calendar = null,
   loading = false,
   onEdit,
   onDelete,
-  onRefresh 
+  onRequestCorrection,
+  onRefresh,
+  onFiltersChange,
+  anomalies = {},
+  hasMore = false,
+  loadingMore = false,
+  onLoadMore
 }) => {
+  const router = useRouter();
   const [filters, setFilters] = useState({
     date: '',
     employee: '',
     status: '',
+    location: '',
     dateRange: {
       start: '',
       end: ''
@@ -23,6 +46,19 @@ const AttendanceList = ({
   const [viewMode, setViewMode] = useState('list'); // 'list' or 'grid'
   const [selectedRecords, setSelectedRecords] = useState(new Set());
 
+  // A paginated parent fetches records by date, employee and status itself;
+  // the location filter stays client-side
+  useEffect(() => {
+    if (onFiltersChange) {
+      onFiltersChange({
+        date: filters.date,
+        employee: filters.employee,
+        status: filters.status,
+        dateRange: filters.dateRange
+      });
+    }
+  }, [filters.date, filters.employee, filters.status, filters.dateRange]); // eslint-disable-line react-hooks/exhaustive-deps
+
   // Create employee lookup map
   const employeeMap = useMemo(() => {
     return employees.reduce((map, employee) => {
@@ -57,6 +93,17 @@ const AttendanceList = ({
         return false;
       }
 
+      // Location filter
+      if (filters.location === 'outside' && !record.outside_geofence) {
+        return false;
+      }
+      if (filters.location === 'inside' && (!record.site_id || record.outside_geofence)) {
+        return false;
+      }
+      if (filters.location === 'untagged' && record.location) {
+        return false;
+      }
+
       return true;
     });
 
@@ -96,38 +143,24 @@ const AttendanceList = ({
 
   // Calculate statistics
   const statistics = useMemo(() => {
-    const stats = {
-      total: filteredAndSortedRecords.length,
-      present: 0,
-      absent: 0,
-      halfDay: 0,
-      uniqueEmployees: new Set(),
-      uniqueDates: new Set()
-    };
+    // Absences on holidays and weekly offs count as off days
+    const stats = calculateAttendanceStats(applyCalendarToRecords(filteredAndSortedRecords, calendar));
+    const uniqueEmployees = new Set();
+    const uniqueDates = new Set();
 
     filteredAndSortedRecords.forEach(record => {
-      switch (record.status) {
-        case AttendanceStatus.PRESENT:
-          stats.present++;
-          break;
-        case AttendanceStatus.ABSENT:
-          stats.absent++;
-          break;
-        case AttendanceStatus.HALF_DAY:
-          stats.halfDay++;
-          break;
-      }
-      stats.uniqueEmployees.add(record.employee_id);
-      stats.uniqueDates.add(record.date);
+      uniqueEmployees.add(record.employee_id);
+      uniqueDates.add(record.date);
     });
 
     return {
       ...stats,
-      uniqueEmployees: stats.uniqueEmployees.size,
-      uniqueDates: stats.uniqueDates.size,
-      attendanceRate: stats.total > 0 ? ((stats.present + stats.halfDay * 0.5) / stats.total * 100).toFixed(1) : 0
+      uniqueEmployees: uniqueEmployees.size,
+      uniqueDates: uniqueDates.size,
+      outsideGeofence: filteredAndSortedRecords.filter(record => record.outside_geofence).length,
+      attendanceRate: calculateAttendanceRate(stats).toFixed(1)
     };
-  }, [filteredAndSortedRecords]);
+  }, [filteredAndSortedRecords, calendar]);
 
   // Handle filter changes
   const handleFilterChange = (key, value) => {
@@ -182,6 +215,7 @@ const AttendanceList = ({
       date: '',
       employee: '',
       status: '',
+      location: '',
       dateRange: {
         start: '',
         end: ''
@@ -189,19 +223,6 @@ const AttendanceList = ({
     });
   };
 
-  const getStatusColor = (status) => {
-    switch (status) {
-      case AttendanceStatus.PRESENT:
-        return '#28a745';
-      case AttendanceStatus.ABSENT:
-        return '#dc3545';
-      case AttendanceStatus.HALF_DAY:
-        return '#ffc107';
-      default:
-        return '#6c757d';
-    }
-  };
-
   const getStatusBadge = (status) => {
     const color = getStatusColor(status);
     return (
@@ -209,13 +230,78 @@ const AttendanceList = ({
         className="status-badge" 
         style={{ backgroundColor: color }}
       >
-        {status === AttendanceStatus.PRESENT && '✓ Present'}
-        {status === AttendanceStatus.ABSENT && '✗ Absent'}
-        {status === AttendanceStatus.HALF_DAY && '◐ Half Day'}
+        {getStatusIcon(status)} {getStatusLabel(status)}
+      </span>
+    );
+  };
+
+  const getGeofenceFlag = (record) => {
+    if (!record.outside_geofence) {
+      return null;
+    }
+    return (
+      <span className="geofence-flag" title={describeRecordLocation(record)}>
+        📍 Outside site
+      </span>
+    );
+  };
+
+  // Shift worked, with any lateness or early exit against it
+  const getShiftFlag = (record) => {
+    if (!record.shift_id) {
+      return null;
+    }
+    const timing = [
+      record.late_minutes > 0 ? `Late ${formatMinutes(record.late_minutes)}` : '',
+      record.early_exit_minutes > 0 ? `Left ${formatMinutes(record.early_exit_minutes)} early` : ''
+    ].filter(Boolean).join(' · ');
+    return (
+      <>
+        <span className="shift-flag" title={describeShiftHours({ start_time: record.shift_start, end_time: record.shift_end })}>
+          {record.night_shift ? '🌙' : '🕒'} {record.shift_name}
+        </span>
+        {timing && (
+          <span className="timing-flag">⏰ {timing}</span>
+        )}
+      </>
+    );
+  };
+
+  // Earlier versions of a record, kept when it is updated or corrected
+  const getHistoryFlag = (record) => {
+    const history = record.history || [];
+    if (history.length === 0) {
+      return null;
+    }
+    const title = history.map(entry =>
+      `Was ${getStatusLabel(entry.status)}${entry.check_in_time ? ` (${entry.check_in_time}–${entry.check_out_time || '…'})` : ''}` +
+      ` until ${new Date(entry.replaced_at).toLocaleString('en-IN')}` +
+      (entry.replaced_by ? ` – changed by ${entry.replaced_by}` : '') +
+      (entry.reason ? `: ${entry.reason}` : '')
+    ).join('\n');
+    return (
+      <span className="history-flag" title={title}>
+        🕘 Changed {history.length}×
       </span>
     );
   };
 
+  // Attendance flags the record is behind, each opening the flag's records
+  const getAnomalyFlags = (record) => {
+    const flags = anomalies[record.id] || [];
+    return flags.map(flag => (
+      <button
+        key={flag.id}
+        type="button"
+        className="anomaly-flag"
+        title={flag.description}
+        onClick={() => router.push({ pathname: '/attendance/anomalies', query: { flag: flag.id } })}
+      >
+        {getAnomalyTypeIcon(flag.type)} {getAnomalyTypeLabel(flag.type)}
+      </button>
+    ));
+  };
+
   const formatDate = (dateString) => {
     const date = new Date(dateString);
     return date.toLocaleDateString('en-US', {
@@ -296,6 +382,23 @@ const AttendanceList = ({
             <span className="stat-label">Half Day:</span>
             <span className="stat-value half-day">{statistics.halfDay}</span>
           </div>
+          {Object.values(AttendanceStatus)
+            .filter(status => ![AttendanceStatus.ABSENT, ...WORKED_STATUSES].includes(status))
+            .filter(status => statistics[getStatusStatKey(status)] > 0)
+            .map(status => (
+              <div key={status} className="stat-item">
+                <span className="stat-label">{getStatusLabel(status)}:</span>
+                <span className="stat-value" style={{ color: getStatusColor(status) }}>
+                  {statistics[getStatusStatKey(status)]}
+                </span>
+              </div>
+            ))}
+          {statistics.outsideGeofence > 0 && (
+            <div className="stat-item">
+              <span className="stat-label">Outside Site:</span>
+              <span className="stat-value outside-geofence">{statistics.outsideGeofence}</span>
+            </div>
+          )}
           <div className="stat-item">
             <span className="stat-label">Attendance Rate:</span>
             <span className="stat-value">{statistics.attendanceRate}%</span>
@@ -369,9 +472,23 @@ const AttendanceList = ({
               className="filter-select"
             >
               <option value="">All Status</option>
-              <option value={AttendanceStatus.PRESENT}>Present</option>
-              <option value={AttendanceStatus.ABSENT}>Absent</option>
-              <option value={AttendanceStatus.HALF_DAY}>Half Day</option>
+              {Object.values(AttendanceStatus).map(status => (
+                <option key={status} value={status}>{getStatusLabel(status)}</option>
+              ))}
+            </select>
+          </div>
+
+          <div className="filter-group">
+            <label>Location:</label>
+            <select
+              value={filters.location}
+              onChange={(e) => handleFilterChange('location', e.target.value)}
+              className="filter-select"
+            >
+              <option value="">All Locations</option>
+              <option value="outside">Outside Site</option>
+              <option value="inside">At a Site</option>
+              <option value="untagged">Not Tagged</option>
             </select>
           </div>
 
@@ -388,7 +505,7 @@ const AttendanceList = ({
       <div className="results">
         <div className="results-header">
           <div className="results-info">
-            Showing {filteredAndSortedRecords.length} of {attendanceRecords.length} records
+            Showing {filteredAndSortedRecords.length} of {attendanceRecords.length}{hasMore ? ' loaded' : ''} records
           </div>
           
           {filteredAndSortedRecords.length > 0 && (
@@ -467,6 +584,7 @@ const AttendanceList = ({
                       >
                         Status {sortBy === 'status' && (sortOrder === 'asc' ? '↑' : '↓')}
                       </th>
+                      <th>In / Out</th>
                       <th 
                         className="sortable"
                         onClick={() => handleSort('marked_at')}
@@ -505,7 +623,22 @@ const AttendanceList = ({
                               )}
                             </div>
                           </td>
-                          <td>{getStatusBadge(record.status)}</td>
+                          <td>
+                            {getStatusBadge(record.status)}
+                            {getGeofenceFlag(record)}
+                            {getShiftFlag(record)}
+                            {getHistoryFlag(record)}
+                            {getAnomalyFlags(record)}
+                          </td>
+                          <td>
+                            {record.check_in_time ? (
+                              <span className="punch-times">
+                                {record.check_in_time} – {record.check_out_time || '…'}
+                              </span>
+                            ) : (
+                              <span className="no-notes">-</span>
+                            )}
+                          </td>
                           <td>{formatTime(record.marked_at)}</td>
                           <td>{record.marked_by}</td>
                           <td>
@@ -533,6 +666,15 @@ const AttendanceList = ({
                                   ✏️
                                 </button>
                               )}
+                              {onRequestCorrection && (
+                                <button
+                                  onClick={() => onRequestCorrection(record)}
+                                  className="btn-action correct"
+                                  title="Request correction"
+                                >
+                                  📝
+                                </button>
+                              )}
                               {onDelete && (
                                 <button
                                   onClick={() => onDelete([record.id])}
@@ -570,6 +712,10 @@ const AttendanceList = ({
                         />
                         <div className="card-date">{formatDate(record.date)}</div>
                         {getStatusBadge(record.status)}
+                        {getGeofenceFlag(record)}
+                        {getShiftFlag(record)}
+                        {getHistoryFlag(record)}
+                        {getAnomalyFlags(record)}
                       </div>
 
                       <div className="card-body">
@@ -593,6 +739,12 @@ const AttendanceList = ({
                             <span className="label">Marked By:</span>
                             <span className="value">{record.marked_by}</span>
                           </div>
+                          {record.location && (
+                            <div className="detail-item">
+                              <span className="label">Location:</span>
+                              <span className="value">{describeRecordLocation(record)}</span>
+                            </div>
+                          )}
                           {record.notes && (
                             <div className="detail-item notes">
                               <span className="label">Notes:</span>
@@ -611,6 +763,14 @@ const AttendanceList = ({
                             Edit
                           </button>
                         )}
+                        {onRequestCorrection && (
+                          <button
+                            onClick={() => onRequestCorrection(record)}
+                            className="btn-action correct"
+                          >
+                            Request Correction
+                          </button>
+                        )}
                         {onDelete && (
                           <button
                             onClick={() => onDelete([record.id])}
@@ -627,6 +787,18 @@ const AttendanceList = ({
             )}
           </>
         )}
+
+        {hasMore && onLoadMore && (
+          <div className="load-more">
+            <button
+              onClick={onLoadMore}
+              className="btn-load-more"
+              disabled={loadingMore}
+            >
+              {loadingMore ? 'Loading...' : 'Load More Records'}
+            </button>
+          </div>
+        )}
       </div>
 
       <style jsx>{`
@@ -762,6 +934,10 @@ const AttendanceList = ({
           color: #ffc107;
         }
 
+        .stat-value.outside-geofence {
+          color: #856404;
+        }
+
         .filters {
           background: white;
           padding: 20px;
@@ -830,6 +1006,31 @@ const AttendanceList = ({
           overflow: hidden;
         }
 
+        .load-more {
+          padding: 15px 20px;
+          text-align: center;
+          border-top: 1px solid #eee;
+        }
+
+        .btn-load-more {
+          padding: 8px 20px;
+          background: #007cba;
+          color: white;
+          border: none;
+          border-radius: 4px;
+          cursor: pointer;
+          font-size: 14px;
+        }
+
+        .btn-load-more:hover:not(:disabled) {
+          background: #005a87;
+        }
+
+        .btn-load-more:disabled {
+          opacity: 0.6;
+          cursor: not-allowed;
+        }
+
         .results-header {
           display: flex;
           justify-content: space-between;
@@ -954,6 +1155,11 @@ const AttendanceList = ({
           color: #666;
         }
 
+        .punch-times {
+          white-space: nowrap;
+          font-size: 0.85rem;
+        }
+
         .notes-cell {
           max-width: 200px;
         }
@@ -972,6 +1178,72 @@ const AttendanceList = ({
           font-weight: 500;
         }
 
+        .geofence-flag {
+          display: inline-block;
+          margin-left: 6px;
+          padding: 3px 8px;
+          border-radius: 12px;
+          background: #fff3cd;
+          color: #856404;
+          border: 1px solid #ffeeba;
+          font-size: 0.75rem;
+          font-weight: 500;
+          white-space: nowrap;
+          cursor: help;
+        }
+
+        .anomaly-flag {
+          display: inline-block;
+          margin-left: 6px;
+          padding: 3px 8px;
+          border-radius: 12px;
+          background: #fef2f2;
+          color: #b91c1c;
+          border: 1px solid #fecaca;
+          font-size: 0.75rem;
+          font-weight: 500;
+          white-space: nowrap;
+          cursor: pointer;
+        }
+
+        .shift-flag,
+        .timing-flag {
+          display: inline-block;
+          margin-left: 6px;
+          padding: 3px 8px;
+          border-radius: 12px;
+          font-size: 0.75rem;
+          font-weight: 500;
+          white-space: nowrap;
+        }
+
+        .shift-flag {
+          background: #eef2ff;
+          color: #3730a3;
+          border: 1px solid #c7d2fe;
+          cursor: help;
+        }
+
+        .timing-flag {
+          background: #fef2f2;
+          color: #b91c1c;
+          border: 1px solid #fecaca;
+        }
+
+        .history-flag {
+          display: inline-block;
+          margin-left: 6px;
+          padding: 3px 8px;
+          border-radius: 12px;
+          background: #e7f1ff;
+          color: #1e40af;
+          border: 1px solid #bfdbfe;
+          font-size: 0.75rem;
+          font-weight: 500;
+          white-space: nowrap;
+          cursor: help;
+        }
+
         .actions {
           display: flex;
           gap: 6px;
@@ -995,6 +1267,11 @@ const AttendanceList = ({
           color: white;
         }
 
+        .btn-action.correct {
+          background: #17a2b8;
+          color: white;
+        }
+
         .btn-action:hover {
           opacity: 0.8;
         }
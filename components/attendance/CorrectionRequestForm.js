@@ -0,0 +1,413 @@
+import { useState, useEffect } from 'react';
+import attendanceService from '../../lib/services/attendanceService';
+import {
+  AttendanceStatus,
+  WORKED_STATUSES,
+  getStatusLabel,
+  getLocalDateString
+} from '../../lib/models/Attendance';
+import {
+  MIN_CORRECTION_REASON_LENGTH,
+  validateCorrectionRequest,
+  correctionChangesRecord,
+  createEmptyCorrectionRequest,
+  describeCorrectionValue
+} from '../../lib/models/AttendanceCorrection';
+
+const CorrectionRequestForm = ({
+  employees = [],
+  initialData = null,
+  onSubmit,
+  onCancel
+}) => {
+  const [formData, setFormData] = useState({ ...createEmptyCorrectionRequest(), ...initialData });
+  const [record, setRecord] = useState(null);
+  const [recordLoading, setRecordLoading] = useState(false);
+  const [errors, setErrors] = useState({});
+  const [isSubmitting, setIsSubmitting] = useState(false);
+
+  // Look up the record being corrected whenever the employee or date changes
+  useEffect(() => {
+    if (!formData.employee_id || !formData.date) {
+      setRecord(null);
+      return;
+    }
+
+    let cancelled = false;
+    setRecordLoading(true);
+    attendanceService.checkEmployeeAttendanceForDate(formData.employee_id, formData.date)
+      .then(found => {
+        if (cancelled) return;
+        setRecord(found);
+        // Start the proposal from the current values
+        setFormData(prev => ({
+          ...prev,
+          proposed_status: found ? found.status : '',
+          proposed_check_in_time: found ? found.check_in_time || '' : '',
+          proposed_check_out_time: found ? found.check_out_time || '' : ''
+        }));
+      })
+      .finally(() => {
+        if (!cancelled) setRecordLoading(false);
+      });
+
+    return () => {
+      cancelled = true;
+    };
+  }, [formData.employee_id, formData.date]);
+
+  // Handle input changes
+  const handleInputChange = (e) => {
+    const { name, value } = e.target;
+    setFormData(prev => {
+      const updated = { ...prev, [name]: value };
+      // Times only belong to worked days
+      if (name === 'proposed_status' && !WORKED_STATUSES.includes(value)) {
+        updated.proposed_check_in_time = '';
+        updated.proposed_check_out_time = '';
+      }
+      return updated;
+    });
+
+    if (errors[name]) {
+      setErrors(prev => ({
+        ...prev,
+        [name]: ''
+      }));
+    }
+  };
+
+  const isWorkedStatus = WORKED_STATUSES.includes(formData.proposed_status);
+  const canSubmit = !!record && !record.leave_request_id && !!formData.proposed_status &&
+    correctionChangesRecord(record, formData);
+
+  // Handle form submission
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+
+    const validation = validateCorrectionRequest(formData);
+    setErrors(validation.errors);
+    if (!validation.isValid) {
+      return;
+    }
+
+    setIsSubmitting(true);
+
+    try {
+      await onSubmit(formData);
+      setFormData(createEmptyCorrectionRequest());
+    } catch (error) {
+      console.error('Form submission error:', error);
+      if (error.message.includes('Validation failed:')) {
+        setErrors({ general: error.message.replace('Validation failed:', '').trim() });
+      } else {
+        setErrors({ general: error.message || 'An error occurred while saving the correction request' });
+      }
+    } finally {
+      setIsSubmitting(false);
+    }
+  };
+
+  return (
+    <div className="correction-request-form">
+      <form onSubmit={handleSubmit} className="form">
+        <div className="form-header">
+          <h2>Request a Correction</h2>
+          <p className="form-description">
+            Propose a change to a day already marked. The record is changed only when an admin approves it,
+            and the original values stay in the record&apos;s history.
+          </p>
+        </div>
+
+        {errors.general && (
+          <div className="error-banner">
+            <strong>Error:</strong> {errors.general}
+          </div>
+        )}
+
+        <div className="form-row">
+          <div className="form-group">
+            <label htmlFor="employee_id" className="form-label">Employee *</label>
+            <select
+              id="employee_id"
+              name="employee_id"
+              value={formData.employee_id}
+              onChange={handleInputChange}
+              className={`form-input ${errors.employee_id ? 'error' : ''}`}
+              required
+            >
+              <option value="">Select Employee</option>
+              {employees.map((employee) => (
+                <option key={employee.id} value={employee.id}>
+                  {employee.name} - {employee.designation}
+                </option>
+              ))}
+            </select>
+            {errors.employee_id && (
+              <div className="error-message">{errors.employee_id}</div>
+            )}
+          </div>
+
+          <div className="form-group">
+            <label htmlFor="date" className="form-label">Date *</label>
+            <input
+              type="date"
+              id="date"
+              name="date"
+              value={formData.date}
+              onChange={handleInputChange}
+              max={getLocalDateString()}
+              className={`form-input ${errors.date ? 'error' : ''}`}
+              required
+            />
+            {errors.date && (
+              <div className="error-message">{errors.date}</div>
+            )}
+          </div>
+        </div>
+
+        {formData.employee_id && formData.date && (
+          <div className={`current-record ${record || recordLoading ? '' : 'missing'}`}>
+            {recordLoading ? 'Looking up attendance...' : record ? (
+              <>
+                Currently marked <strong>{describeCorrectionValue(record.status, record.check_in_time, record.check_out_time)}</strong>
+                {record.marked_by && ` by ${record.marked_by}`}
+                {record.leave_request_id && ' (approved leave; change it through the leave request)'}
+              </>
+            ) : (
+              'No attendance is marked for this day. Mark it from the attendance page instead.'
+            )}
+          </div>
+        )}
+
+        {record && !record.leave_request_id && (
+          <>
+            <div className="form-row">
+              <div className="form-group">
+                <label htmlFor="proposed_status" className="form-label">Corrected Status *</label>
+                <select
+                  id="proposed_status"
+                  name="proposed_status"
+                  value={formData.proposed_status}
+                  onChange={handleInputChange}
+                  className={`form-input ${errors.proposed_status ? 'error' : ''}`}
+                  required
+                >
+                  {Object.values(AttendanceStatus).map(status => (
+                    <option key={status} value={status}>{getStatusLabel(status)}</option>
+                  ))}
+                </select>
+                {errors.proposed_status && (
+                  <div className="error-message">{errors.proposed_status}</div>
+                )}
+              </div>
+
+              {isWorkedStatus && (
+                <div className="form-row times">
+                  <div className="form-group">
+                    <label htmlFor="proposed_check_in_time" className="form-label">Check-in</label>
+                    <input
+                      type="time"
+                      id="proposed_check_in_time"
+                      name="proposed_check_in_time"
+                      value={formData.proposed_check_in_time}
+                      onChange={handleInputChange}
+                      className={`form-input ${errors.proposed_check_in_time ? 'error' : ''}`}
+                    />
+                    {errors.proposed_check_in_time && (
+                      <div className="error-message">{errors.proposed_check_in_time}</div>
+                    )}
+                  </div>
+                  <div className="form-group">
+                    <label htmlFor="proposed_check_out_time" className="form-label">Check-out</label>
+                    <input
+                      type="time"
+                      id="proposed_check_out_time"
+                      name="proposed_check_out_time"
+                      value={formData.proposed_check_out_time}
+                      onChange={handleInputChange}
+                      className={`form-input ${errors.proposed_check_out_time ? 'error' : ''}`}
+                    />
+                    {errors.proposed_check_out_time && (
+                      <div className="error-message">{errors.proposed_check_out_time}</div>
+                    )}
+                  </div>
+                </div>
+              )}
+            </div>
+
+            <div className="form-group">
+              <label htmlFor="reason" className="form-label">Reason *</label>
+              <textarea
+                id="reason"
+                name="reason"
+                value={formData.reason}
+                onChange={handleInputChange}
+                className={`form-input ${errors.reason ? 'error' : ''}`}
+                rows={2}
+                maxLength={500}
+                placeholder="e.g. Marked absent by mistake; gate register shows him on site from 9:10"
+                required
+              />
+              {errors.reason && (
+                <div className="error-message">{errors.reason}</div>
+              )}
+              <div className="field-hint">At least {MIN_CORRECTION_REASON_LENGTH} characters</div>
+            </div>
+          </>
+        )}
+
+        <div className="form-actions">
+          {onCancel && (
+            <button type="button" onClick={onCancel} className="btn-secondary" disabled={isSubmitting}>
+              Cancel
+            </button>
+          )}
+          <button type="submit" className="btn-primary" disabled={isSubmitting || !canSubmit}>
+            {isSubmitting ? 'Saving...' : 'Submit Correction'}
+          </button>
+        </div>
+      </form>
+
+      <style jsx>{`
+        .correction-request-form {
+          background: white;
+          padding: 25px;
+          border-radius: 8px;
+          box-shadow: 0 2px 4px rgba(0, 0, 0, 0.1);
+          margin-bottom: 20px;
+        }
+
+        .form-header h2 {
+          margin: 0 0 6px 0;
+          color: #1f2937;
+          font-size: 1.25rem;
+        }
+
+        .form-description {
+          margin: 0 0 20px 0;
+          color: #6b7280;
+          font-size: 0.9rem;
+        }
+
+        .error-banner {
+          background: #fef2f2;
+          border: 1px solid #fecaca;
+          color: #dc2626;
+          padding: 10px 14px;
+          border-radius: 6px;
+          margin-bottom: 16px;
+          font-size: 0.9rem;
+        }
+
+        .form-row {
+          display: grid;
+          grid-template-columns: 1fr 1fr;
+          gap: 16px;
+        }
+
+        .form-row.times {
+          gap: 12px;
+        }
+
+        .form-group {
+          display: flex;
+          flex-direction: column;
+          margin-bottom: 16px;
+        }
+
+        .form-label {
+          margin-bottom: 6px;
+          font-weight: 500;
+          color: #374151;
+          font-size: 0.9rem;
+        }
+
+        .form-input {
+          padding: 10px 12px;
+          border: 1px solid #d1d5db;
+          border-radius: 6px;
+          font-size: 0.9rem;
+          font-family: inherit;
+        }
+
+        .form-input.error {
+          border-color: #dc2626;
+        }
+
+        .error-message {
+          color: #dc2626;
+          font-size: 0.8rem;
+          margin-top: 4px;
+        }
+
+        .field-hint {
+          color: #6b7280;
+          font-size: 0.8rem;
+          margin-top: 4px;
+        }
+
+        .current-record {
+          background: #eff6ff;
+          border: 1px solid #bfdbfe;
+          color: #1e40af;
+          padding: 10px 14px;
+          border-radius: 6px;
+          font-size: 0.9rem;
+          margin-bottom: 16px;
+        }
+
+        .current-record.missing {
+          background: #fffbeb;
+          border-color: #fde68a;
+          color: #92400e;
+        }
+
+        .form-actions {
+          display: flex;
+          justify-content: flex-end;
+          gap: 12px;
+        }
+
+        .btn-primary,
+        .btn-secondary {
+          padding: 10px 20px;
+          border-radius: 6px;
+          font-size: 0.9rem;
+          font-weight: 500;
+          cursor: pointer;
+        }
+
+        .btn-primary {
+          background: #3b82f6;
+          color: white;
+          border: none;
+        }
+
+        .btn-primary:hover:not(:disabled) {
+          background: #2563eb;
+        }
+
+        .btn-secondary {
+          background: #f3f4f6;
+          color: #374151;
+          border: 1px solid #d1d5db;
+        }
+
+        .btn-primary:disabled,
+        .btn-secondary:disabled {
+          opacity: 0.6;
+          cursor: not-allowed;
+        }
+
+        @media (max-width: 768px) {
+          .form-row {
+            grid-template-columns: 1fr;
+          }
+        }
+      `}</style>
+    </div>
+  );
+};
+
+export default CorrectionRequestForm;
@@ -0,0 +1,282 @@
+import { useState } from 'react';
+import {
+  AttendanceStatus,
+  getStatusLabel,
+  getStatusColor
+} from '../../lib/models/Attendance';
+
+// Totals shown at the end of each row: [heading, key in row.totals, description]
+const TOTAL_COLUMNS = [
+  ['P', 'present', 'Present'],
+  ['H', 'halfDay', 'Half days'],
+  ['A', 'absent', 'Absent'],
+  ['L', 'paidLeave', 'Paid leave'],
+  ['LWP', 'unpaidLeave', 'Leave without pay'],
+  ['PH', 'holiday', 'Holidays'],
+  ['WO', 'weekOff', 'Weekly offs']
+];
+
+const MusterRollGrid = ({
+  musterRoll,
+  savingCell = null,
+  onCellChange
+}) => {
+  const [editingCell, setEditingCell] = useState(null);
+  const { days, rows } = musterRoll;
+
+  const getCellKey = (employeeId, date) => `${employeeId}_${date}`;
+
+  const getCellTitle = (row, cell) => {
+    const parts = [`${row.employee.name} – ${cell.date}`];
+    if (cell.status) {
+      parts.push(getStatusLabel(cell.status) + (cell.fromCalendar ? ' (calendar)' : ''));
+    }
+    if (cell.record && cell.record.check_in_time) {
+      parts.push(`${cell.record.check_in_time} – ${cell.record.check_out_time || '…'}`);
+    }
+    if (!cell.editable && cell.reason) {
+      parts.push(cell.reason);
+    }
+    return parts.join('\n');
+  };
+
+  const handleSelect = async (row, cell, status) => {
+    setEditingCell(null);
+    if (!status || status === cell.status) {
+      return;
+    }
+    await onCellChange(row.employee, cell, status);
+  };
+
+  return (
+    <div className="muster-roll-grid">
+      <table className="muster-table">
+        <thead>
+          <tr>
+            <th rowSpan="2" className="sl-col">Sl.</th>
+            <th rowSpan="2" className="name-col">Name of Workman</th>
+            <th rowSpan="2" className="designation-col">Designation</th>
+            {days.map(day => (
+              <th key={day.date} className={`day-col ${day.offDay ? 'off-day' : ''}`} title={day.offDay ? day.offDay.name : ''}>
+                {day.day}
+              </th>
+            ))}
+            {TOTAL_COLUMNS.map(([heading, , description]) => (
+              <th key={heading} rowSpan="2" className="total-col" title={description}>{heading}</th>
+            ))}
+            <th rowSpan="2" className="total-col worked-col" title="Present days plus half of the half days">Days Worked</th>
+          </tr>
+          <tr>
+            {days.map(day => (
+              <th key={day.date} className={`weekday-col ${day.offDay ? 'off-day' : ''}`}>{day.weekday}</th>
+            ))}
+          </tr>
+        </thead>
+        <tbody>
+          {rows.length === 0 ? (
+            <tr>
+              <td colSpan={days.length + TOTAL_COLUMNS.length + 4} className="empty-row">
+                No employees on the rolls this month.
+              </td>
+            </tr>
+          ) : rows.map((row, index) => (
+            <tr key={row.employee.id}>
+              <td className="sl-col">{index + 1}</td>
+              <td className="name-col">{row.employee.name}</td>
+              <td className="designation-col">{row.employee.designation}</td>
+              {row.cells.map(cell => {
+                const key = getCellKey(row.employee.id, cell.date);
+                const isEditing = editingCell === key;
+                const isSaving = savingCell === key;
+                const classNames = [
+                  'cell',
+                  cell.editable ? 'editable' : '',
+                  cell.fromCalendar ? 'from-calendar' : '',
+                  cell.notJoined ? 'not-joined' : '',
+                  cell.record && cell.record.outside_geofence ? 'outside-geofence' : '',
+                  isSaving ? 'saving' : ''
+                ].filter(Boolean).join(' ');
+
+                return (
+                  <td
+                    key={cell.date}
+                    className={classNames}
+                    title={getCellTitle(row, cell)}
+                    style={{ color: cell.status ? getStatusColor(cell.status) : undefined }}
+                    onClick={() => cell.editable && !isSaving && setEditingCell(key)}
+                  >
+                    {isEditing ? (
+                      <select
+                        autoFocus
+                        value={cell.status || ''}
+                        onChange={(e) => handleSelect(row, cell, e.target.value)}
+                        onBlur={() => setEditingCell(null)}
+                        onKeyDown={(e) => e.key === 'Escape' && setEditingCell(null)}
+                        className="cell-select"
+                        aria-label={`Status for ${row.employee.name} on ${cell.date}`}
+                      >
+                        {!cell.status && <option value="">–</option>}
+                        {Object.values(AttendanceStatus).map(status => (
+                          <option key={status} value={status}>{getStatusLabel(status)}</option>
+                        ))}
+                      </select>
+                    ) : isSaving ? '…' : cell.notJoined ? '' : cell.code || '·'}
+                  </td>
+                );
+              })}
+              {TOTAL_COLUMNS.map(([heading, key]) => (
+                <td key={heading} className="total-col">{row.totals[key] || ''}</td>
+              ))}
+              <td className="total-col worked-col">{row.totals.daysWorked}</td>
+            </tr>
+          ))}
+        </tbody>
+      </table>
+
+      <style jsx>{`
+        .muster-roll-grid {
+          overflow-x: auto;
+        }
+
+        .muster-table {
+          border-collapse: collapse;
+          width: 100%;
+          font-size: 0.8rem;
+        }
+
+        .muster-table th,
+        .muster-table td {
+          border: 1px solid #dee2e6;
+          padding: 4px 3px;
+          text-align: center;
+        }
+
+        .muster-table th {
+          background: #f8f9fa;
+          color: #333;
+          font-weight: 600;
+        }
+
+        .name-col {
+          text-align: left !important;
+          min-width: 150px;
+          white-space: nowrap;
+        }
+
+        .designation-col {
+          text-align: left !important;
+          white-space: nowrap;
+        }
+
+        .day-col,
+        .weekday-col {
+          min-width: 26px;
+        }
+
+        .weekday-col {
+          font-weight: normal !important;
+          color: #666 !important;
+          font-size: 0.7rem;
+        }
+
+        .off-day {
+          background: #f1ecf9 !important;
+        }
+
+        .cell {
+          font-weight: 700;
+          font-size: 0.75rem;
+        }
+
+        .cell.editable {
+          cursor: pointer;
+        }
+
+        .cell.editable:hover {
+          background: #e3f2fd;
+        }
+
+        .cell.from-calendar {
+          font-style: italic;
+          font-weight: 500;
+          opacity: 0.75;
+        }
+
+        .cell.not-joined {
+          background: repeating-linear-gradient(45deg, #f8f9fa, #f8f9fa 3px, #e9ecef 3px, #e9ecef 6px);
+        }
+
+        .cell.outside-geofence {
+          box-shadow: inset 0 -3px 0 #ffc107;
+        }
+
+        .cell.saving {
+          opacity: 0.5;
+        }
+
+        .cell-select {
+          font-size: 0.75rem;
+          padding: 2px;
+          max-width: 110px;
+        }
+
+        .total-col {
+          font-weight: 600;
+          background: #fcfcfd;
+          min-width: 30px;
+        }
+
+        .worked-col {
+          background: #e8f5e8 !important;
+        }
+
+        .empty-row {
+          padding: 30px !important;
+          color: #666;
+        }
+
+        @media print {
+          .muster-roll-grid {
+            overflow: visible;
+          }
+
+          .muster-table {
+            font-size: 7pt;
+          }
+
+          .muster-table th,
+          .muster-table td {
+            border-color: #000;
+            padding: 2px 1px;
+            color: #000 !important;
+          }
+
+          .name-col {
+            min-width: 0;
+          }
+
+          .day-col,
+          .weekday-col {
+            min-width: 0;
+          }
+
+          .cell {
+            font-size: 6.5pt;
+          }
+
+          .cell.outside-geofence {
+            box-shadow: none;
+          }
+
+          .off-day,
+          .total-col,
+          .worked-col {
+            background: none !important;
+          }
+        }
+      `}</style>
+    </div>
+  );
+};
+
+export default MusterRollGrid;
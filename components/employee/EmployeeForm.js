@@ -1,5 +1,23 @@
 import { useState, useEffect } from 'react';
-import { validateEmployee, createEmptyEmployee, EmployeeDesignations } from '../../lib/models/Employee';
+import { 
+  validateEmployee, 
+  createEmptyEmployee, 
+  EmployeeDesignations, 
+  DEFAULT_DAILY_RATE,
+  PayBasis,
+  getPayBasis,
+  getPayBasisLabel,
+  getPayBasisUnit,
+  SkillCategory,
+  getSkillCategoryLabel
+} from '../../lib/models/Employee';
+import {
+  getEmployeeWageState,
+  findMinimumWageShortfalls,
+  describeMinimumWageShortfall
+} from '../../lib/models/MinimumWage';
+import minimumWageService from '../../lib/services/minimumWageService';
+import settingsService from '../../lib/services/settingsService';
 
 const EmployeeForm = ({ 
   initialData = null, 
@@ -11,6 +29,18 @@ const EmployeeForm = ({
   const [formData, setFormData] = useState(createEmptyEmployee());
   const [errors, setErrors] = useState({});
   const [isSubmitting, setIsSubmitting] = useState(false);
+  const [minimumWages, setMinimumWages] = useState([]);
+  const [settings, setSettings] = useState(null);
+
+  // Minimum wages and the default state, for warning about low rates
+  useEffect(() => {
+    Promise.all([minimumWageService.getMinimumWages(), settingsService.getSettings()])
+      .then(([wages, payrollSettings]) => {
+        setMinimumWages(wages);
+        setSettings(payrollSettings);
+      })
+      .catch(error => console.error('Error loading minimum wages:', error));
+  }, []);
 
   // Initialize form data
   useEffect(() => {
@@ -23,7 +53,17 @@ const EmployeeForm = ({
           (typeof initialData.joining_date === 'string' ? 
             initialData.joining_date : 
             initialData.joining_date.toISOString().split('T')[0]) : '',
-        age: initialData.age || ''
+        age: initialData.age || '',
+        device_user_id: initialData.device_user_id || '',
+        pay_basis: getPayBasis(initialData),
+        skill_category: initialData.skill_category || '',
+        work_state: initialData.work_state || '',
+        uan: initialData.uan || '',
+        esi_number: initialData.esi_number || '',
+        wage_rates: (initialData.wage_rates || []).map(rate => ({
+          amount: rate.amount !== undefined ? String(rate.amount) : '',
+          effective_from: rate.effective_from || ''
+        }))
       });
     } else {
       setFormData(createEmptyEmployee());
@@ -74,6 +114,8 @@ const EmployeeForm = ({
         setErrors({ general: errorMessage });
       } else if (error.message.includes('Aadhar ID already exists')) {
         setErrors({ aadhar_id: 'This Aadhar ID is already registered with another employee' });
+      } else if (error.message.includes('device user ID')) {
+        setErrors({ device_user_id: error.message });
       } else {
         setErrors({ general: error.message || 'An error occurred while saving employee data' });
       }
@@ -129,6 +171,78 @@ const EmployeeForm = ({
     }
   };
 
+  // Add a new wage rate entry (defaults to joining date for the first one)
+  const handleAddWageRate = () => {
+    setFormData(prev => ({
+      ...prev,
+      wage_rates: [
+        ...prev.wage_rates,
+        {
+          amount: prev.wage_rates.length === 0 && prev.pay_basis === PayBasis.DAILY ?
+            String(DEFAULT_DAILY_RATE) : '',
+          effective_from: prev.wage_rates.length === 0 && prev.joining_date ?
+            prev.joining_date :
+            new Date().toISOString().split('T')[0]
+        }
+      ]
+    }));
+  };
+
+  // Update a field of a wage rate entry
+  const handleWageRateChange = (index, field, value) => {
+    if (field === 'amount') {
+      value = value.replace(/[^0-9.]/g, ''); // Keep digits and decimal point
+    }
+
+    setFormData(prev => ({
+      ...prev,
+      wage_rates: prev.wage_rates.map((rate, i) => 
+        i === index ? { ...rate, [field]: value } : rate
+      )
+    }));
+
+    if (errors.wage_rates) {
+      setErrors(prev => ({
+        ...prev,
+        wage_rates: ''
+      }));
+    }
+  };
+
+  // Remove a wage rate entry
+  const handleRemoveWageRate = (index) => {
+    setFormData(prev => ({
+      ...prev,
+      wage_rates: prev.wage_rates.filter((_, i) => i !== index)
+    }));
+  };
+
+  // Stretches from the first rate to today (or the last dated change) in
+  // which the entered rates fall below the minimum wage. Saving is not blocked.
+  const getMinimumWageWarnings = () => {
+    if (!settings) return [];
+
+    const rates = formData.wage_rates
+      .filter(rate => rate.effective_from && parseFloat(rate.amount) > 0)
+      .map(rate => ({ amount: parseFloat(rate.amount), effective_from: rate.effective_from }));
+    if (rates.length === 0) return [];
+
+    const dates = rates.map(rate => rate.effective_from).sort();
+    const today = new Date().toISOString().split('T')[0];
+    const lastDate = dates[dates.length - 1] > today ? dates[dates.length - 1] : today;
+
+    return findMinimumWageShortfalls(
+      { ...formData, wage_rates: rates },
+      minimumWages,
+      getEmployeeWageState(formData, settings),
+      settings.standard_hours,
+      dates[0],
+      lastDate
+    ).map(describeMinimumWageShortfall);
+  };
+
+  const minimumWageWarnings = getMinimumWageWarnings();
+
   return (
     <div className="employee-form">
       <form onSubmit={handleSubmit} className="form">
@@ -216,6 +330,71 @@ const EmployeeForm = ({
           </div>
         </div>
 
+        {/* Biometric Device User ID Field */}
+        <div className="form-group">
+          <label htmlFor="device_user_id" className="form-label">
+            Device User ID (Optional)
+          </label>
+          <input
+            type="text"
+            id="device_user_id"
+            name="device_user_id"
+            value={formData.device_user_id}
+            onChange={handleInputChange}
+            className={`form-input ${errors.device_user_id ? 'error' : ''}`}
+            placeholder="e.g. 17"
+            maxLength="20"
+          />
+          {errors.device_user_id && (
+            <div className="error-message">{errors.device_user_id}</div>
+          )}
+          <div className="field-hint">
+            User ID enrolled on the site&apos;s fingerprint machine, used to match imported punch logs
+          </div>
+        </div>
+
+        {/* PF and ESI Numbers */}
+        <div className="form-group">
+          <label htmlFor="uan" className="form-label">
+            PF UAN (Optional)
+          </label>
+          <input
+            type="text"
+            id="uan"
+            name="uan"
+            value={formData.uan}
+            onChange={handleInputChange}
+            className={`form-input ${errors.uan ? 'error' : ''}`}
+            placeholder="12-digit Universal Account Number"
+            maxLength="12"
+          />
+          {errors.uan && (
+            <div className="error-message">{errors.uan}</div>
+          )}
+        </div>
+
+        <div className="form-group">
+          <label htmlFor="esi_number" className="form-label">
+            ESI Number (Optional)
+          </label>
+          <input
+            type="text"
+            id="esi_number"
+            name="esi_number"
+            value={formData.esi_number}
+            onChange={handleInputChange}
+            className={`form-input ${errors.esi_number ? 'error' : ''}`}
+            placeholder="10-digit insurance number"
+            maxLength="10"
+          />
+          {errors.esi_number && (
+            <div className="error-message">{errors.esi_number}</div>
+          )}
+          <div className="field-hint">
+            Printed on the monthly PF and ESI contribution summary
+          </div>
+        </div>
+
         {/* Joining Date Field */}
         <div className="form-group">
           <label htmlFor="joining_date" className="form-label">
@@ -262,6 +441,138 @@ const EmployeeForm = ({
           </div>
         </div>
 
+        {/* Pay Basis */}
+        <div className="form-group">
+          <label htmlFor="pay_basis" className="form-label">
+            Pay Basis
+          </label>
+          <select
+            id="pay_basis"
+            name="pay_basis"
+            value={formData.pay_basis}
+            onChange={handleInputChange}
+            className={`form-input ${errors.pay_basis ? 'error' : ''}`}
+          >
+            {Object.values(PayBasis).map(basis => (
+              <option key={basis} value={basis}>
+                {getPayBasisLabel(basis)}
+              </option>
+            ))}
+          </select>
+          {errors.pay_basis && (
+            <div className="error-message">{errors.pay_basis}</div>
+          )}
+          <div className="field-hint">
+            Monthly salaries are pro-rated by paid days using the rule in salary settings. Hourly rates are paid on punched hours.
+            Output workers are paid only for piece-rate work, with no day pay.
+          </div>
+        </div>
+
+        {/* Skill Category and State for minimum wages */}
+        <div className="form-group">
+          <label htmlFor="skill_category" className="form-label">
+            Skill Category
+          </label>
+          <select
+            id="skill_category"
+            name="skill_category"
+            value={formData.skill_category}
+            onChange={handleInputChange}
+            className={`form-input ${errors.skill_category ? 'error' : ''}`}
+          >
+            <option value="">Select skill category</option>
+            {Object.values(SkillCategory).map(category => (
+              <option key={category} value={category}>
+                {getSkillCategoryLabel(category)}
+              </option>
+            ))}
+          </select>
+          {errors.skill_category && (
+            <div className="error-message">{errors.skill_category}</div>
+          )}
+        </div>
+
+        <div className="form-group">
+          <label htmlFor="work_state" className="form-label">
+            Work State (Optional)
+          </label>
+          <input
+            type="text"
+            id="work_state"
+            name="work_state"
+            value={formData.work_state}
+            onChange={handleInputChange}
+            className={`form-input ${errors.work_state ? 'error' : ''}`}
+            placeholder={settings && settings.minimum_wage_state ?
+              `Default: ${settings.minimum_wage_state}` : 'e.g. Maharashtra'}
+            maxLength="50"
+          />
+          {errors.work_state && (
+            <div className="error-message">{errors.work_state}</div>
+          )}
+          <div className="field-hint">
+            Rates are checked against the minimum wage for this state and skill category. Leave blank to use the default state.
+          </div>
+        </div>
+
+        {/* Wage Rate History */}
+        <div className="form-group">
+          <label className="form-label">
+            {getPayBasisLabel(formData.pay_basis)} Wage Rates
+          </label>
+          {formData.wage_rates.length === 0 ? (
+            <div className="field-hint">
+              {formData.pay_basis === PayBasis.OUTPUT ?
+                'No wage rate is needed: output workers are paid for their piece-rate work.' :
+                'No wage rate set. Salary cannot be calculated until a rate is added.'}
+            </div>
+          ) : (
+            <div className="wage-rate-list">
+              {formData.wage_rates.map((rate, index) => (
+                <div key={index} className="wage-rate-row">
+                  <input
+                    type="text"
+                    value={rate.amount}
+                    onChange={(e) => handleWageRateChange(index, 'amount', e.target.value)}
+                    className={`form-input ${errors.wage_rates ? 'error' : ''}`}
+                    placeholder={`Rate (₹/${getPayBasisUnit(formData.pay_basis)})`}
+                    aria-label={`${getPayBasisLabel(formData.pay_basis)} rate`}
+                  />
+                  <input
+                    type="date"
+                    value={rate.effective_from}
+                    onChange={(e) => handleWageRateChange(index, 'effective_from', e.target.value)}
+                    className={`form-input ${errors.wage_rates ? 'error' : ''}`}
+                    aria-label="Effective from"
+                  />
+                  <button
+                    type="button"
+                    onClick={() => handleRemoveWageRate(index)}
+                    className="btn-remove"
+                    title="Remove rate"
+                  >
+                    ✕
+                  </button>
+                </div>
+              ))}
+            </div>
+          )}
+          {errors.wage_rates && (
+            <div className="error-message">{errors.wage_rates}</div>
+          )}
+          {minimumWageWarnings.map((warning, index) => (
+            <div key={index} className="warning-message">
+              ⚠ Below minimum wage: {warning}
+            </div>
+          ))}
+          <button type="button" onClick={handleAddWageRate} className="btn-add-rate">
+            + Add Rate
+          </button>
+          <div className="field-hint">
+            Each rate applies from its effective date until the next one. Add a new row for a raise instead of editing the old rate.
+          </div>
+        </div>
+
         {/* Form Actions */}
         <div className="form-actions">
           <button
@@ -367,12 +678,59 @@ const EmployeeForm = ({
           margin-top: 4px;
         }
 
+        .warning-message {
+          color: #b45309;
+          font-size: 0.8rem;
+          margin-top: 4px;
+        }
+
         .field-hint {
           color: #666;
           font-size: 0.8rem;
           margin-top: 4px;
         }
 
+        .wage-rate-list {
+          display: flex;
+          flex-direction: column;
+          gap: 8px;
+          margin-bottom: 8px;
+        }
+
+        .wage-rate-row {
+          display: grid;
+          grid-template-columns: 1fr 1fr auto;
+          gap: 8px;
+          align-items: center;
+        }
+
+        .btn-remove {
+          background: none;
+          border: 1px solid #ddd;
+          border-radius: 4px;
+          color: #dc3545;
+          padding: 10px 12px;
+          cursor: pointer;
+        }
+
+        .btn-remove:hover {
+          background: #fee;
+        }
+
+        .btn-add-rate {
+          background: #f8f9fa;
+          border: 1px dashed #007cba;
+          color: #007cba;
+          border-radius: 4px;
+          padding: 8px 14px;
+          font-size: 0.85rem;
+          cursor: pointer;
+        }
+
+        .btn-add-rate:hover {
+          background: #e9f5fb;
+        }
+
         .form-actions {
           display: flex;
           gap: 12px;
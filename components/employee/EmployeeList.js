@@ -3,7 +3,11 @@ import Link from 'next/link';
 import { 
   formatEmployeeForDisplay, 
   calculateYearsOfService, 
-  getEmployeeStatus 
+  getEmployeeStatus,
+  getCurrentWageRate,
+  getPayBasis,
+  getPayBasisLabel,
+  getPayBasisUnit
 } from '../../lib/models/Employee';
 
 const EmployeeList = ({ 
@@ -185,6 +189,8 @@ const EmployeeList = ({
             const formattedEmployee = formatEmployeeForDisplay(employee);
             const yearsOfService = calculateYearsOfService(employee.joining_date);
             const status = getEmployeeStatus(employee.joining_date);
+            const currentRate = getCurrentWageRate(employee);
+            const payBasis = getPayBasis(employee);
 
             return (
               <div key={employee.id} className="employee-card">
@@ -242,6 +248,14 @@ const EmployeeList = ({
                       <span className="detail-value">{formattedEmployee.formatted_joining_date}</span>
                     </div>
 
+                    <div className="detail-row">
+                      <span className="detail-label">{getPayBasisLabel(payBasis)} Rate:</span>
+                      <span className="detail-value">
+                        {currentRate ?
+                          `₹${currentRate.amount.toLocaleString('en-IN')}/${getPayBasisUnit(payBasis)}` : 'Not set'}
+                      </span>
+                    </div>
+
                     <div className="detail-row">
                       <span className="detail-label">Years of Service:</span>
                       <span className="detail-value service-years">{yearsOfService}</span>
@@ -0,0 +1,336 @@
+import { useState } from 'react';
+import {
+  validateLeaveRequest,
+  createEmptyLeaveRequest,
+  getLeaveDates,
+  hasLeaveAllowance
+} from '../../lib/models/Leave';
+
+const LeaveRequestForm = ({
+  employees = [],
+  leaveTypes = [],
+  calendar = null,
+  onSubmit,
+  onCancel
+}) => {
+  const [formData, setFormData] = useState(createEmptyLeaveRequest());
+  const [errors, setErrors] = useState({});
+  const [isSubmitting, setIsSubmitting] = useState(false);
+
+  // Handle input changes
+  const handleInputChange = (e) => {
+    const { name, value } = e.target;
+    setFormData(prev => {
+      const updated = { ...prev, [name]: value };
+      // Keep the range valid when the start moves past the end
+      if (name === 'start_date' && updated.end_date < value) {
+        updated.end_date = value;
+      }
+      return updated;
+    });
+
+    if (errors[name]) {
+      setErrors(prev => ({
+        ...prev,
+        [name]: ''
+      }));
+    }
+  };
+
+  // Working days the request will take from the balance
+  const leaveDays = formData.start_date && formData.end_date ?
+    getLeaveDates(formData.start_date, formData.end_date, calendar).length : 0;
+  const selectedType = leaveTypes.find(leaveType => leaveType.id === formData.leave_type_id);
+
+  // Handle form submission
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+
+    const validation = validateLeaveRequest(formData);
+    setErrors(validation.errors);
+    if (!validation.isValid) {
+      return;
+    }
+
+    setIsSubmitting(true);
+
+    try {
+      await onSubmit(formData);
+      setFormData(createEmptyLeaveRequest());
+    } catch (error) {
+      console.error('Form submission error:', error);
+      if (error.message.includes('Validation failed:')) {
+        setErrors({ general: error.message.replace('Validation failed:', '').trim() });
+      } else {
+        setErrors({ general: error.message || 'An error occurred while saving the leave request' });
+      }
+    } finally {
+      setIsSubmitting(false);
+    }
+  };
+
+  return (
+    <div className="leave-request-form">
+      <form onSubmit={handleSubmit} className="form">
+        <div className="form-header">
+          <h2>New Leave Request</h2>
+          <p className="form-description">
+            Enter leave for a worker. It is marked in attendance once an admin approves it.
+          </p>
+        </div>
+
+        {errors.general && (
+          <div className="error-banner">
+            <strong>Error:</strong> {errors.general}
+          </div>
+        )}
+
+        <div className="form-row">
+          <div className="form-group">
+            <label htmlFor="employee_id" className="form-label">Employee *</label>
+            <select
+              id="employee_id"
+              name="employee_id"
+              value={formData.employee_id}
+              onChange={handleInputChange}
+              className={`form-input ${errors.employee_id ? 'error' : ''}`}
+              required
+            >
+              <option value="">Select Employee</option>
+              {employees.map((employee) => (
+                <option key={employee.id} value={employee.id}>
+                  {employee.name} - {employee.designation}
+                </option>
+              ))}
+            </select>
+            {errors.employee_id && (
+              <div className="error-message">{errors.employee_id}</div>
+            )}
+          </div>
+
+          <div className="form-group">
+            <label htmlFor="leave_type_id" className="form-label">Leave Type *</label>
+            <select
+              id="leave_type_id"
+              name="leave_type_id"
+              value={formData.leave_type_id}
+              onChange={handleInputChange}
+              className={`form-input ${errors.leave_type_id ? 'error' : ''}`}
+              required
+            >
+              <option value="">Select Leave Type</option>
+              {leaveTypes.map((leaveType) => (
+                <option key={leaveType.id} value={leaveType.id}>
+                  {leaveType.name} ({leaveType.paid ? 'paid' : 'unpaid'})
+                </option>
+              ))}
+            </select>
+            {errors.leave_type_id && (
+              <div className="error-message">{errors.leave_type_id}</div>
+            )}
+            {selectedType && !hasLeaveAllowance(selectedType) && (
+              <div className="field-hint">No yearly limit for this leave type</div>
+            )}
+          </div>
+        </div>
+
+        <div className="form-row">
+          <div className="form-group">
+            <label htmlFor="start_date" className="form-label">From *</label>
+            <input
+              type="date"
+              id="start_date"
+              name="start_date"
+              value={formData.start_date}
+              onChange={handleInputChange}
+              className={`form-input ${errors.start_date ? 'error' : ''}`}
+              required
+            />
+            {errors.start_date && (
+              <div className="error-message">{errors.start_date}</div>
+            )}
+          </div>
+
+          <div className="form-group">
+            <label htmlFor="end_date" className="form-label">To *</label>
+            <input
+              type="date"
+              id="end_date"
+              name="end_date"
+              value={formData.end_date}
+              onChange={handleInputChange}
+              min={formData.start_date}
+              className={`form-input ${errors.end_date ? 'error' : ''}`}
+              required
+            />
+            {errors.end_date && (
+              <div className="error-message">{errors.end_date}</div>
+            )}
+          </div>
+        </div>
+
+        <div className="leave-days">
+          {leaveDays} working day(s) of leave. Holidays and weekly offs in the range are not counted.
+        </div>
+
+        <div className="form-group">
+          <label htmlFor="reason" className="form-label">Reason</label>
+          <textarea
+            id="reason"
+            name="reason"
+            value={formData.reason}
+            onChange={handleInputChange}
+            className={`form-input ${errors.reason ? 'error' : ''}`}
+            rows={2}
+            maxLength={500}
+            placeholder="Optional"
+          />
+          {errors.reason && (
+            <div className="error-message">{errors.reason}</div>
+          )}
+        </div>
+
+        <div className="form-actions">
+          {onCancel && (
+            <button type="button" onClick={onCancel} className="btn-secondary" disabled={isSubmitting}>
+              Cancel
+            </button>
+          )}
+          <button type="submit" className="btn-primary" disabled={isSubmitting || leaveDays === 0}>
+            {isSubmitting ? 'Saving...' : 'Submit Request'}
+          </button>
+        </div>
+      </form>
+
+      <style jsx>{`
+        .leave-request-form {
+          background: white;
+          padding: 25px;
+          border-radius: 8px;
+          box-shadow: 0 2px 4px rgba(0, 0, 0, 0.1);
+          margin-bottom: 20px;
+        }
+
+        .form-header h2 {
+          margin: 0 0 6px 0;
+          color: #1f2937;
+          font-size: 1.25rem;
+        }
+
+        .form-description {
+          margin: 0 0 20px 0;
+          color: #6b7280;
+          font-size: 0.9rem;
+        }
+
+        .error-banner {
+          background: #fef2f2;
+          border: 1px solid #fecaca;
+          color: #dc2626;
+          padding: 10px 14px;
+          border-radius: 6px;
+          margin-bottom: 16px;
+          font-size: 0.9rem;
+        }
+
+        .form-row {
+          display: grid;
+          grid-template-columns: 1fr 1fr;
+          gap: 16px;
+        }
+
+        .form-group {
+          display: flex;
+          flex-direction: column;
+          margin-bottom: 16px;
+        }
+
+        .form-label {
+          margin-bottom: 6px;
+          font-weight: 500;
+          color: #374151;
+          font-size: 0.9rem;
+        }
+
+        .form-input {
+          padding: 10px 12px;
+          border: 1px solid #d1d5db;
+          border-radius: 6px;
+          font-size: 0.9rem;
+          font-family: inherit;
+        }
+
+        .form-input.error {
+          border-color: #dc2626;
+        }
+
+        .error-message {
+          color: #dc2626;
+          font-size: 0.8rem;
+          margin-top: 4px;
+        }
+
+        .field-hint {
+          color: #6b7280;
+          font-size: 0.8rem;
+          margin-top: 4px;
+        }
+
+        .leave-days {
+          background: #eff6ff;
+          border: 1px solid #bfdbfe;
+          color: #1e40af;
+          padding: 10px 14px;
+          border-radius: 6px;
+          font-size: 0.9rem;
+          margin-bottom: 16px;
+        }
+
+        .form-actions {
+          display: flex;
+          justify-content: flex-end;
+          gap: 12px;
+        }
+
+        .btn-primary,
+        .btn-secondary {
+          padding: 10px 20px;
+          border-radius: 6px;
+          font-size: 0.9rem;
+          font-weight: 500;
+          cursor: pointer;
+        }
+
+        .btn-primary {
+          background: #3b82f6;
+          color: white;
+          border: none;
+        }
+
+        .btn-primary:hover:not(:disabled) {
+          background: #2563eb;
+        }
+
+        .btn-secondary {
+          background: #f3f4f6;
+          color: #374151;
+          border: 1px solid #d1d5db;
+        }
+
+        .btn-primary:disabled,
+        .btn-secondary:disabled {
+          opacity: 0.6;
+          cursor: not-allowed;
+        }
+
+        @media (max-width: 768px) {
+          .form-row {
+            grid-template-columns: 1fr;
+          }
+        }
+      `}</style>
+    </div>
+  );
+};
+
+export default LeaveRequestForm;
@@ -0,0 +1,243 @@
+import { useState } from 'react';
+import {
+  LeaveRequestStatus,
+  getLeaveRequestStatusLabel,
+  getLeaveRequestStatusColor
+} from '../../lib/models/Leave';
+
+const LeaveRequestList = ({
+  requests = [],
+  isAdmin = false,
+  busyId = null,
+  onApprove,
+  onReject,
+  onCancel
+}) => {
+  const [statusFilter, setStatusFilter] = useState(LeaveRequestStatus.PENDING);
+
+  const filteredRequests = statusFilter ?
+    requests.filter(request => request.status === statusFilter) :
+    requests;
+
+  const formatDate = (date) => new Date(date).toLocaleDateString('en-IN');
+
+  return (
+    <div className="leave-request-list">
+      <div className="list-header">
+        <h2>Leave Requests</h2>
+        <select
+          value={statusFilter}
+          onChange={(e) => setStatusFilter(e.target.value)}
+          className="status-filter"
+          aria-label="Filter by status"
+        >
+          <option value="">All Requests</option>
+          {Object.values(LeaveRequestStatus).map(status => (
+            <option key={status} value={status}>
+              {getLeaveRequestStatusLabel(status)} ({requests.filter(r => r.status === status).length})
+            </option>
+          ))}
+        </select>
+      </div>
+
+      {filteredRequests.length === 0 ? (
+        <p className="empty">No {statusFilter ? getLeaveRequestStatusLabel(statusFilter).toLowerCase() : ''} leave requests.</p>
+      ) : (
+        <div className="table-wrapper">
+          <table className="requests-table">
+            <thead>
+              <tr>
+                <th>Employee</th>
+                <th>Leave Type</th>
+                <th>Dates</th>
+                <th>Days</th>
+                <th>Reason</th>
+                <th>Status</th>
+                <th>Actions</th>
+              </tr>
+            </thead>
+            <tbody>
+              {filteredRequests.map(request => (
+                <tr key={request.id}>
+                  <td>
+                    <div className="employee-name">{request.employee_name}</div>
+                    <div className="meta">Entered by {request.requested_by || '-'}</div>
+                  </td>
+                  <td>{request.leave_type_name}</td>
+                  <td>
+                    {formatDate(request.start_date)}
+                    {request.end_date !== request.start_date && ` – ${formatDate(request.end_date)}`}
+                  </td>
+                  <td>{request.days}</td>
+                  <td className="reason">{request.reason || '-'}</td>
+                  <td>
+                    <span
+                      className="status-badge"
+                      style={{ backgroundColor: getLeaveRequestStatusColor(request.status) }}
+                    >
+                      {getLeaveRequestStatusLabel(request.status)}
+                    </span>
+                    {request.reviewed_by && (
+                      <div className="meta">
+                        by {request.reviewed_by}
+                        {request.review_note && `: ${request.review_note}`}
+                      </div>
+                    )}
+                  </td>
+                  <td className="actions">
+                    {request.status === LeaveRequestStatus.PENDING && (
+                      <>
+                        {isAdmin && (
+                          <>
+                            <button
+                              onClick={() => onApprove(request)}
+                              className="btn-action approve"
+                              disabled={busyId === request.id}
+                            >
+                              Approve
+                            </button>
+                            <button
+                              onClick={() => onReject(request)}
+                              className="btn-action reject"
+                              disabled={busyId === request.id}
+                            >
+                              Reject
+                            </button>
+                          </>
+                        )}
+                        <button
+                          onClick={() => onCancel(request)}
+                          className="btn-action"
+                          disabled={busyId === request.id}
+                        >
+                          Withdraw
+                        </button>
+                      </>
+                    )}
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+      )}
+
+      <style jsx>{`
+        .leave-request-list {
+          background: white;
+          padding: 25px;
+          border-radius: 8px;
+          box-shadow: 0 2px 4px rgba(0, 0, 0, 0.1);
+          margin-bottom: 20px;
+        }
+
+        .list-header {
+          display: flex;
+          justify-content: space-between;
+          align-items: center;
+          margin-bottom: 16px;
+        }
+
+        .list-header h2 {
+          margin: 0;
+          color: #1f2937;
+          font-size: 1.25rem;
+        }
+
+        .status-filter {
+          padding: 8px 12px;
+          border: 1px solid #d1d5db;
+          border-radius: 6px;
+          font-size: 0.9rem;
+        }
+
+        .empty {
+          color: #6b7280;
+          margin: 0;
+        }
+
+        .table-wrapper {
+          overflow-x: auto;
+        }
+
+        .requests-table {
+          width: 100%;
+          border-collapse: collapse;
+        }
+
+        .requests-table th,
+        .requests-table td {
+          padding: 10px 12px;
+          text-align: left;
+          border-bottom: 1px solid #f3f4f6;
+          font-size: 0.9rem;
+          vertical-align: top;
+        }
+
+        .requests-table th {
+          background: #f9fafb;
+          color: #374151;
+          font-weight: 600;
+        }
+
+        .employee-name {
+          font-weight: 500;
+          color: #1f2937;
+        }
+
+        .meta {
+          color: #6b7280;
+          font-size: 0.75rem;
+          margin-top: 4px;
+        }
+
+        .reason {
+          max-width: 220px;
+        }
+
+        .status-badge {
+          display: inline-block;
+          padding: 3px 8px;
+          border-radius: 12px;
+          color: white;
+          font-size: 0.75rem;
+          font-weight: 600;
+        }
+
+        .actions {
+          white-space: nowrap;
+        }
+
+        .btn-action {
+          padding: 6px 10px;
+          margin-right: 6px;
+          border: 1px solid #d1d5db;
+          border-radius: 4px;
+          background: #f3f4f6;
+          color: #374151;
+          font-size: 0.8rem;
+          cursor: pointer;
+        }
+
+        .btn-action.approve {
+          background: #28a745;
+          border-color: #28a745;
+          color: white;
+        }
+
+        .btn-action.reject {
+          background: #dc3545;
+          border-color: #dc3545;
+          color: white;
+        }
+
+        .btn-action:disabled {
+          opacity: 0.6;
+          cursor: not-allowed;
+        }
+      `}</style>
+    </div>
+  );
+};
+
+export default LeaveRequestList;
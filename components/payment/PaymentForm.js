@@ -1,5 +1,13 @@
 import { useState, useEffect } from 'react';
-import { validatePayment, createEmptyPayment, PaymentModes } from '../../lib/models/Payment';
+import {
+  validatePayment,
+  createEmptyPayment,
+  PaymentModes,
+  PaymentTypes,
+  getPaymentType,
+  getPaymentTypeLabel,
+  getLoanSchedule
+} from '../../lib/models/Payment';
 
 const PaymentForm = ({ 
   initialData = null, 
@@ -24,6 +32,9 @@ const PaymentForm = ({
             initialData.payment_date : 
             initialData.payment_date.toISOString().split('T')[0]) : '',
         payment_mode: initialData.payment_mode || '',
+        payment_type: getPaymentType(initialData),
+        instalment_amount: initialData.instalment_amount || '',
+        repayment_start: initialData.repayment_start || '',
         paid_by: initialData.paid_by || '',
         notes: initialData.notes || ''
       });
@@ -51,6 +62,7 @@ const PaymentForm = ({
 
   // Handle amount change with validation
   const handleAmountChange = (e) => {
+    const { name } = e.target;
     let value = e.target.value;
     
     // Remove any non-numeric characters except decimal point
@@ -69,18 +81,21 @@ const PaymentForm = ({
 
     setFormData(prev => ({
       ...prev,
-      amount: value
+      [name]: value
     }));
 
     // Clear error when user starts typing
-    if (errors.amount) {
+    if (errors[name]) {
       setErrors(prev => ({
         ...prev,
-        amount: ''
+        [name]: ''
       }));
     }
   };
 
+  // Repayment schedule preview for loans
+  const loanSchedule = formData.payment_type === PaymentTypes.LOAN ? getLoanSchedule(formData) : [];
+
   // Validate form
   const validateForm = () => {
     const validation = validatePayment(formData);
@@ -173,6 +188,34 @@ const PaymentForm = ({
           </div>
         </div>
 
+        {/* Payment Type */}
+        <div className="form-group">
+          <label htmlFor="payment_type" className="form-label">
+            Payment Type *
+          </label>
+          <select
+            id="payment_type"
+            name="payment_type"
+            value={formData.payment_type}
+            onChange={handleInputChange}
+            className={`form-input ${errors.payment_type ? 'error' : ''}`}
+            required
+          >
+            {Object.values(PaymentTypes).map((type) => (
+              <option key={type} value={type}>
+                {type === PaymentTypes.LOAN ? 'Loan disbursement' : getPaymentTypeLabel(type)}
+              </option>
+            ))}
+          </select>
+          {errors.payment_type && (
+            <div className="error-message">{errors.payment_type}</div>
+          )}
+          <div className="field-hint">
+            Salary and advances are deducted from the salary of the period they are paid in.
+            Loans are recovered in fixed monthly instalments.
+          </div>
+        </div>
+
         {/* Payment Amount */}
         <div className="form-group">
           <label htmlFor="amount" className="form-label">
@@ -219,6 +262,62 @@ const PaymentForm = ({
           </div>
         </div>
 
+        {/* Loan Repayment Schedule */}
+        {formData.payment_type === PaymentTypes.LOAN && (
+          <div className="loan-fields">
+            <div className="form-group">
+              <label htmlFor="instalment_amount" className="form-label">
+                Monthly Instalment (₹) *
+              </label>
+              <input
+                type="text"
+                id="instalment_amount"
+                name="instalment_amount"
+                value={formData.instalment_amount}
+                onChange={handleAmountChange}
+                className={`form-input ${errors.instalment_amount ? 'error' : ''}`}
+                placeholder="Amount recovered from salary each month"
+                required
+              />
+              {errors.instalment_amount && (
+                <div className="error-message">{errors.instalment_amount}</div>
+              )}
+            </div>
+
+            <div className="form-group">
+              <label htmlFor="repayment_start" className="form-label">
+                Repayment Starts *
+              </label>
+              <input
+                type="month"
+                id="repayment_start"
+                name="repayment_start"
+                value={formData.repayment_start}
+                onChange={handleInputChange}
+                className={`form-input ${errors.repayment_start ? 'error' : ''}`}
+                min={formData.payment_date ? formData.payment_date.substring(0, 7) : undefined}
+                required
+              />
+              {errors.repayment_start && (
+                <div className="error-message">{errors.repayment_start}</div>
+              )}
+              <div className="field-hint">
+                Each instalment falls due at the end of its month
+              </div>
+            </div>
+
+            {loanSchedule.length > 0 && (
+              <div className="schedule-preview">
+                {loanSchedule.length} instalment{loanSchedule.length !== 1 ? 's' : ''}:{' '}
+                {loanSchedule[0].dueDate.substring(0, 7)} to {loanSchedule[loanSchedule.length - 1].dueDate.substring(0, 7)}
+                {loanSchedule.length > 1 &&
+                  loanSchedule[loanSchedule.length - 1].amount !== loanSchedule[0].amount &&
+                  ` (last instalment ₹${loanSchedule[loanSchedule.length - 1].amount.toLocaleString('en-IN')})`}
+              </div>
+            )}
+          </div>
+        )}
+
         {/* Payment Mode */}
         <div className="form-group">
           <label htmlFor="payment_mode" className="form-label">
@@ -391,6 +490,20 @@ const PaymentForm = ({
           box-shadow: 0 0 0 3px rgba(239, 68, 68, 0.1);
         }
 
+        .loan-fields {
+          background: #f5f3ff;
+          border: 1px solid #ddd6fe;
+          border-radius: 6px;
+          padding: 16px 16px 1px;
+          margin-bottom: 20px;
+        }
+
+        .schedule-preview {
+          color: #5b21b6;
+          font-size: 0.85rem;
+          margin-bottom: 16px;
+        }
+
         .error-message {
           color: #ef4444;
           font-size: 0.8rem;
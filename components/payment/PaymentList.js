@@ -1,5 +1,12 @@
 import { useState, useMemo } from 'react';
-import { formatDate, PaymentModes } from '../../lib/models/Payment';
+import {
+  formatDate,
+  PaymentModes,
+  PaymentTypes,
+  getPaymentType,
+  getPaymentTypeLabel,
+  getPaymentTypeColor
+} from '../../lib/models/Payment';
 
 const PaymentList = ({ 
   payments = [], 
@@ -33,6 +40,7 @@ const PaymentList = ({
   const [filters, setFilters] = useState({
     employee_id: '',
     payment_mode: '',
+    payment_type: '',
     date_from: '',
     date_to: '',
     search: ''
@@ -73,6 +81,11 @@ const PaymentList = ({
       filtered = filtered.filter(payment => payment.payment_mode === filters.payment_mode);
     }
 
+    // Payment type filter
+    if (filters.payment_type) {
+      filtered = filtered.filter(payment => getPaymentType(payment) === filters.payment_type);
+    }
+
     // Date range filter
     if (filters.date_from) {
       filtered = filtered.filter(payment => {
@@ -129,6 +142,12 @@ const PaymentList = ({
         bValue = parseFloat(bValue);
       }
 
+      // Handle payment type sorting (older records have no type)
+      if (sortConfig.key === 'payment_type') {
+        aValue = getPaymentType(a);
+        bValue = getPaymentType(b);
+      }
+
       // Handle employee name sorting
       if (sortConfig.key === 'employee_name') {
         aValue = getEmployeeName(a.employee_id);
@@ -184,6 +203,7 @@ const PaymentList = ({
     setFilters({
       employee_id: '',
       payment_mode: '',
+      payment_type: '',
       date_from: '',
       date_to: '',
       search: ''
@@ -253,6 +273,25 @@ const PaymentList = ({
               </select>
             </div>
 
+            {/* Payment Type Filter */}
+            <div className="filter-group">
+              <label htmlFor="type_filter">Payment Type</label>
+              <select
+                id="type_filter"
+                name="payment_type"
+                value={filters.payment_type}
+                onChange={handleFilterChange}
+                className="filter-input"
+              >
+                <option value="">All Types</option>
+                {Object.values(PaymentTypes).map((type) => (
+                  <option key={type} value={type}>
+                    {getPaymentTypeLabel(type)}
+                  </option>
+                ))}
+              </select>
+            </div>
+
             {/* Date From Filter */}
             <div className="filter-group">
               <label htmlFor="date_from_filter">From Date</label>
@@ -354,6 +393,9 @@ const PaymentList = ({
                 <th onClick={() => handleSort('employee_name')} className="sortable">
                   Employee {getSortIcon('employee_name')}
                 </th>
+                <th onClick={() => handleSort('payment_type')} className="sortable">
+                  Type {getSortIcon('payment_type')}
+                </th>
                 <th onClick={() => handleSort('amount')} className="sortable">
                   Amount {getSortIcon('amount')}
                 </th>
@@ -379,6 +421,19 @@ const PaymentList = ({
                       <div className="employee-designation">{getEmployeeDesignation(payment.employee_id)}</div>
                     </div>
                   </td>
+                  <td className="type-cell">
+                    <span
+                      className="payment-type"
+                      style={{ backgroundColor: getPaymentTypeColor(getPaymentType(payment)) }}
+                    >
+                      {getPaymentTypeLabel(getPaymentType(payment))}
+                    </span>
+                    {getPaymentType(payment) === PaymentTypes.LOAN && payment.instalment_amount && (
+                      <div className="loan-terms">
+                        {formatCurrency(payment.instalment_amount)}/month from {payment.repayment_start}
+                      </div>
+                    )}
+                  </td>
                   <td className="amount-cell">
                     {formatCurrency(payment.amount)}
                   </td>
@@ -608,6 +663,21 @@ const PaymentList = ({
           text-align: right;
         }
 
+        .payment-type {
+          color: white;
+          padding: 4px 8px;
+          border-radius: 12px;
+          font-size: 0.8rem;
+          font-weight: 500;
+        }
+
+        .loan-terms {
+          color: #6b7280;
+          font-size: 0.75rem;
+          margin-top: 4px;
+          white-space: nowrap;
+        }
+
         .payment-mode {
           padding: 4px 8px;
           border-radius: 12px;
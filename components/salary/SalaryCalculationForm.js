@@ -1,5 +1,6 @@
 import { useState, useEffect } from 'react';
 import salaryService from '../../lib/services/salaryService';
+import { PayBasis, getPayBasis, getPayBasisUnit } from '../../lib/models/Employee';
 
 const SalaryCalculationForm = ({ 
   employees = [],
@@ -10,8 +11,7 @@ const SalaryCalculationForm = ({
   const [formData, setFormData] = useState({
     employeeId: '',
     startDate: '',
-    endDate: '',
-    dailyRate: '750'
+    endDate: ''
   });
 
   const [errors, setErrors] = useState({});
@@ -23,8 +23,7 @@ const SalaryCalculationForm = ({
       setFormData({
         employeeId: initialData.employeeId || '',
         startDate: initialData.startDate || '',
-        endDate: initialData.endDate || '',
-        dailyRate: initialData.dailyRate || '750'
+        endDate: initialData.endDate || ''
       });
     } else {
       // Set default date range (current month)
@@ -57,45 +56,12 @@ const SalaryCalculationForm = ({
     }
   };
 
-  // Handle daily rate change with validation
-  const handleDailyRateChange = (e) => {
-    let value = e.target.value;
-    
-    // Remove any non-numeric characters except decimal point
-    value = value.replace(/[^0-9.]/g, '');
-    
-    // Ensure only one decimal point
-    const parts = value.split('.');
-    if (parts.length > 2) {
-      value = parts[0] + '.' + parts.slice(1).join('');
-    }
-    
-    // Limit decimal places to 2
-    if (parts[1] && parts[1].length > 2) {
-      value = parts[0] + '.' + parts[1].substring(0, 2);
-    }
-
-    setFormData(prev => ({
-      ...prev,
-      dailyRate: value
-    }));
-
-    // Clear error
-    if (errors.dailyRate) {
-      setErrors(prev => ({
-        ...prev,
-        dailyRate: ''
-      }));
-    }
-  };
-
   // Validate form
   const validateForm = () => {
     const validation = salaryService.validateInputs(
       formData.employeeId,
       formData.startDate,
-      formData.endDate,
-      parseFloat(formData.dailyRate)
+      formData.endDate
     );
 
     setErrors(validation.errors);
@@ -116,8 +82,7 @@ const SalaryCalculationForm = ({
       const calculationData = {
         employeeId: formData.employeeId,
         startDate: formData.startDate,
-        endDate: formData.endDate,
-        dailyRate: parseFloat(formData.dailyRate)
+        endDate: formData.endDate
       };
 
       await onCalculate(calculationData);
@@ -143,13 +108,28 @@ const SalaryCalculationForm = ({
     return 0;
   };
 
-  // Calculate expected gross salary
-  const getExpectedGrossSalary = () => {
-    const totalDays = getTotalDays();
-    const dailyRate = parseFloat(formData.dailyRate) || 0;
-    return (totalDays * dailyRate).toFixed(2);
+  const selectedEmployee = employees.find(emp => emp.id === formData.employeeId);
+  const payBasis = getPayBasis(selectedEmployee);
+
+  // Wage rates in force for the selected employee over the period
+  const getRatePeriods = () => {
+    if (!selectedEmployee || payBasis === PayBasis.OUTPUT) return [];
+    return salaryService.getRatePeriods(selectedEmployee.wage_rates, formData.startDate, formData.endDate, payBasis);
   };
 
+  // Calculate expected gross salary; monthly salaries are pro-rated over
+  // calendar days here, whatever rule the payroll settings use
+  const getExpectedGrossSalary = (ratePeriods) => {
+    const total = ratePeriods.reduce((sum, period) => {
+      const days = payBasis === PayBasis.MONTHLY ? period.days / period.monthDays : period.days;
+      return sum + days * (period.dailyRate || 0);
+    }, 0);
+    return total.toFixed(2);
+  };
+
+  const ratePeriods = getRatePeriods();
+  const hasUnratedDays = ratePeriods.some(period => period.dailyRate === null);
+
   return (
     <div className="salary-calculation-form">
       <form onSubmit={handleSubmit} className="form">
@@ -232,33 +212,10 @@ const SalaryCalculationForm = ({
               <div className="error-message">{errors.dateRange}</div>
             )}
           </div>
-
-          {/* Daily Rate */}
-          <div className="form-group full-width">
-            <label htmlFor="dailyRate" className="form-label">
-              Daily Rate (₹) *
-            </label>
-            <input
-              type="text"
-              id="dailyRate"
-              name="dailyRate"
-              value={formData.dailyRate}
-              onChange={handleDailyRateChange}
-              className={`form-input ${errors.dailyRate ? 'error' : ''}`}
-              placeholder="750"
-              required
-            />
-            {errors.dailyRate && (
-              <div className="error-message">{errors.dailyRate}</div>
-            )}
-            <div className="field-hint">
-              Enter the daily rate in Indian Rupees (₹1 - ₹50,000). Default is ₹750 per day.
-            </div>
-          </div>
         </div>
 
         {/* Calculation Preview */}
-        {formData.startDate && formData.endDate && formData.dailyRate && (
+        {formData.startDate && formData.endDate && formData.employeeId && (
           <div className="calculation-preview">
             <h3>Calculation Preview</h3>
             <div className="preview-grid">
@@ -266,18 +223,38 @@ const SalaryCalculationForm = ({
                 <span className="preview-label">Total Days:</span>
                 <span className="preview-value">{getTotalDays()} days</span>
               </div>
-              <div className="preview-item">
-                <span className="preview-label">Daily Rate:</span>
-                <span className="preview-value">₹{formData.dailyRate}/day</span>
+              {payBasis !== PayBasis.HOURLY && payBasis !== PayBasis.OUTPUT && (
+                <div className="preview-item">
+                  <span className="preview-label">Expected Gross Salary:</span>
+                  <span className="preview-value highlight">₹{getExpectedGrossSalary(ratePeriods)}</span>
+                </div>
+              )}
+            </div>
+            {payBasis !== PayBasis.OUTPUT && (
+              <div className="rate-periods">
+                <div className="rate-periods-title">Wage rates in force</div>
+                {ratePeriods.map((period) => (
+                  <div key={period.startDate} className={`rate-period ${period.dailyRate === null ? 'missing' : ''}`}>
+                    <span>{period.startDate} → {period.endDate} ({period.days} days)</span>
+                    <span className="preview-value">
+                      {period.dailyRate === null ? 'No rate set' : `₹${period.dailyRate}/${getPayBasisUnit(payBasis)}`}
+                    </span>
+                  </div>
+                ))}
               </div>
-              <div className="preview-item">
-                <span className="preview-label">Expected Gross Salary:</span>
-                <span className="preview-value highlight">₹{getExpectedGrossSalary()}</span>
+            )}
+            {hasUnratedDays && (
+              <div className="error-message">
+                This employee has no wage rate for part of the period. Add one on the employee record before calculating.
               </div>
-            </div>
+            )}
             <div className="preview-note">
-              <strong>Note:</strong> This is an estimate based on full attendance. 
-              Actual calculation will consider real attendance data and existing payments.
+              <strong>Note:</strong> {payBasis === PayBasis.HOURLY ?
+                'Hourly wages depend on the hours punched, so no estimate is shown. ' :
+                payBasis === PayBasis.OUTPUT ?
+                  'This employee is paid only for piece-rate work, so no estimate is shown. ' :
+                  'This is an estimate based on full attendance. '}
+              Actual calculation will price each attendance day at the rate in force on that date and consider existing payments.
             </div>
           </div>
         )}
@@ -443,6 +420,33 @@ const SalaryCalculationForm = ({
           font-size: 1rem;
         }
 
+        .rate-periods {
+          background: white;
+          border: 1px solid #e5e7eb;
+          border-radius: 4px;
+          padding: 10px 12px;
+          margin-bottom: 15px;
+        }
+
+        .rate-periods-title {
+          font-size: 0.85rem;
+          color: #6b7280;
+          font-weight: 500;
+          margin-bottom: 6px;
+        }
+
+        .rate-period {
+          display: flex;
+          justify-content: space-between;
+          font-size: 0.85rem;
+          color: #374151;
+          padding: 4px 0;
+        }
+
+        .rate-period.missing {
+          color: #ef4444;
+        }
+
         .preview-note {
           background: #fef3c7;
           border: 1px solid #fcd34d;
@@ -1,13 +1,28 @@
 import { useState } from 'react';
 import salaryService, { SALARY_STATUS, SALARY_RECORD_TYPES } from '../../lib/services/salaryService';
+import { getPaymentType, getPaymentTypeLabel, getPaymentTypeColor } from '../../lib/models/Payment';
+import payslipService from '../../lib/services/payslipService';
+import { getPayrollRunStatusLabel, getPayrollRunStatusColor } from '../../lib/models/PayrollRun';
+import { getStatusLabel } from '../../lib/models/Attendance';
+import { formatMinutes } from '../../lib/models/Shift';
+import { PayBasis, getPayBasisLabel, getPayBasisUnit } from '../../lib/models/Employee';
+import { getMonthlyProrationLabel } from '../../lib/models/Settings';
+import { StatutoryComponents, getStatutoryComponentLabel } from '../../lib/models/Statutory';
+import { AdjustmentTypes } from '../../lib/models/Adjustment';
+import { describePieceRateLine } from '../../lib/models/WorkEntry';
 
 const SalaryReport = ({ 
   salaryData = null, 
   onBack = null,
-  onRecalculate = null 
+  onRecalculate = null,
+  onSaveRun = null,
+  savingRun = false,
+  payrollRun = null
 }) => {
   const [showAttendanceDetails, setShowAttendanceDetails] = useState(false);
   const [showPaymentDetails, setShowPaymentDetails] = useState(false);
+  const [downloadingPayslip, setDownloadingPayslip] = useState(false);
+  const [payslipError, setPayslipError] = useState('');
 
   if (!salaryData) {
     return (
@@ -49,9 +64,17 @@ const SalaryReport = ({
     return `${value}%`;
   };
 
-  // Handle print
-  const handlePrint = () => {
-    window.print();
+  // Download the A4 payslip PDF
+  const handleDownloadPayslip = async () => {
+    try {
+      setDownloadingPayslip(true);
+      setPayslipError('');
+      await payslipService.downloadPayslip(salaryData);
+    } catch (error) {
+      setPayslipError(`Failed to generate payslip: ${error.message}`);
+    } finally {
+      setDownloadingPayslip(false);
+    }
   };
 
   // Get status color class
@@ -67,6 +90,22 @@ const SalaryReport = ({
   };
 
   const { employee, period, rates, attendance, financial, payments, attendanceRecords } = salaryData;
+  // Snapshots saved before statutory deductions existed have none
+  const statutory = salaryData.statutory || [];
+  const warnings = salaryData.warnings || [];
+  // Snapshots saved before adjustments existed have none
+  const adjustments = salaryData.adjustments || [];
+  const earningAdjustments = adjustments.filter(adjustment => adjustment.type === AdjustmentTypes.EARNING);
+  const deductionAdjustments = adjustments.filter(adjustment => adjustment.type === AdjustmentTypes.DEDUCTION);
+  // Snapshots saved before piece-rate work existed have none
+  const pieceRates = salaryData.pieceRates || [];
+  const payBasis = rates.payBasis || PayBasis.DAILY;
+
+  // Rate as quoted on the employee record, e.g. "₹25,000/month"
+  const formatRate = (amount) => `${formatCurrency(amount)}/${getPayBasisUnit(payBasis)}`;
+  const loans = salaryData.loans || [];
+  // Snapshots saved before payment types existed only carry a payments total
+  const hasDeductionBreakdown = financial.salaryPaid !== undefined;
 
   return (
     <div className="salary-report">
@@ -89,12 +128,49 @@ const SalaryReport = ({
               Recalculate
             </button>
           )}
-          <button onClick={handlePrint} className="btn-print">
-            🖨️ Print Report
+          {onSaveRun && (
+            <button onClick={onSaveRun} className="btn-primary" disabled={savingRun}>
+              {savingRun ? 'Saving...' : 'Save as Payroll Run'}
+            </button>
+          )}
+          <button onClick={handleDownloadPayslip} className="btn-print" disabled={downloadingPayslip}>
+            {downloadingPayslip ? 'Generating...' : '📄 Download Payslip (PDF)'}
           </button>
         </div>
       </div>
 
+      {payslipError && (
+        <div className="payslip-error">{payslipError}</div>
+      )}
+
+      {/* Payroll Run Snapshot */}
+      {payrollRun && (
+        <div className="run-banner">
+          <span
+            className="run-status"
+            style={{ backgroundColor: getPayrollRunStatusColor(payrollRun.status) }}
+          >
+            {getPayrollRunStatusLabel(payrollRun.status)}
+          </span>
+          <span>
+            Stored payroll run snapshot saved by {payrollRun.created_by || 'unknown'} on {formatDate(payrollRun.created_at)}.
+            {' '}Figures below are exactly what was recorded and do not change if attendance or payments are edited later.
+          </span>
+        </div>
+      )}
+
+      {/* Minimum Wage Warnings */}
+      {warnings.length > 0 && (
+        <div className="warning-banner">
+          <strong>Below minimum wage</strong>
+          <ul>
+            {warnings.map((warning, index) => (
+              <li key={index}>{warning.message}</li>
+            ))}
+          </ul>
+        </div>
+      )}
+
       {/* Employee Information */}
       <div className="report-section">
         <h2>Employee Information</h2>
@@ -138,22 +214,73 @@ const SalaryReport = ({
             <span className="info-label">Working Days:</span>
             <span className="info-value">{period.workingDays} days</span>
           </div>
+          {period.offDays > 0 && (
+            <div className="info-item">
+              <span className="info-label">Holidays &amp; Weekly Offs:</span>
+              <span className="info-value">{period.offDays} days</span>
+            </div>
+          )}
         </div>
       </div>
 
       {/* Rate Information */}
       <div className="report-section">
         <h2>Rate Configuration</h2>
-        <div className="info-grid">
-          <div className="info-item">
-            <span className="info-label">Daily Rate:</span>
-            <span className="info-value">{formatCurrency(rates.dailyRate)}</span>
-          </div>
-          <div className="info-item">
-            <span className="info-label">Daily Rate:</span>
-            <span className="info-value">{formatCurrency(rates.dailyRate)}</span>
+        <p className="pay-basis">
+          Pay basis: <strong>{getPayBasisLabel(payBasis)}</strong>
+          {payBasis === PayBasis.MONTHLY && rates.proration && (
+            <> · pro-rated over {getMonthlyProrationLabel(rates.proration).toLowerCase()}</>
+          )}
+        </p>
+        {rates.segments && rates.segments.length > 0 ? (
+          <table className="details-table">
+            <thead>
+              <tr>
+                <th>Effective From</th>
+                <th>Days Covered</th>
+                <th>Rate</th>
+                {payBasis !== PayBasis.DAILY && <th>Day Rate</th>}
+                <th>{payBasis === PayBasis.HOURLY ? 'Paid Hours' : 'Paid Days'}</th>
+                <th>Amount</th>
+              </tr>
+            </thead>
+            <tbody>
+              {rates.segments.map((segment) => (
+                <tr key={`${segment.effectiveFrom}-${segment.startDate}`}>
+                  <td>{formatDate(segment.effectiveFrom)}</td>
+                  <td>{formatDate(segment.startDate)} – {formatDate(segment.endDate)}</td>
+                  <td className="amount">{formatRate(segment.rate !== undefined ? segment.rate : segment.dailyRate)}</td>
+                  {payBasis !== PayBasis.DAILY && (
+                    <td className="amount">
+                      {formatCurrency(segment.dailyRate)}
+                      {segment.prorationDays && <span className="rate-note"> (÷ {segment.prorationDays})</span>}
+                    </td>
+                  )}
+                  <td>
+                    {payBasis === PayBasis.HOURLY ? formatHours(segment.hours) : segment.workingDays}
+                  </td>
+                  <td className="amount">{formatCurrency(segment.amount)}</td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        ) : (
+          <div className="info-grid">
+            <div className="info-item">
+              <span className="info-label">{getPayBasisLabel(payBasis)} Rate:</span>
+              <span className="info-value">
+                {payBasis === PayBasis.OUTPUT ? 'Piece-rate work only' :
+                  rates.rate !== null && rates.rate !== undefined ? formatRate(rates.rate) :
+                  rates.dailyRate !== null && rates.dailyRate !== undefined ? formatCurrency(rates.dailyRate) : 'Not set'}
+              </span>
+            </div>
           </div>
-        </div>
+        )}
+        {rates.standardHours && (
+          <p className="overtime-terms">
+            Standard day: {rates.standardHours} hours. Overtime paid at {rates.overtimeMultiplier}x the hourly rate.
+          </p>
+        )}
       </div>
 
       {/* Attendance Summary */}
@@ -184,6 +311,17 @@ const SalaryReport = ({
             <div className="card-value">{attendance.partialDays}</div>
             <div className="card-label">Partial Days</div>
           </div>
+          {[
+            ['Paid Leave', attendance.paidLeaveDays],
+            ['Unpaid Leave', attendance.unpaidLeaveDays],
+            ['Holidays', attendance.holidays],
+            ['Week Offs', attendance.weekOffs]
+          ].filter(([, count]) => count > 0).map(([label, count]) => (
+            <div key={label} className="summary-card">
+              <div className="card-value">{count}</div>
+              <div className="card-label">{label}</div>
+            </div>
+          ))}
         </div>
 
         {attendance.overtimeHours > 0 && (
@@ -200,6 +338,25 @@ const SalaryReport = ({
           </div>
         )}
 
+        {attendance.nightShifts > 0 && (
+          <div className="night-shift-info">
+            <span className="night-shift-label">Night Shifts:</span>
+            <span className="night-shift-value">
+              {attendance.nightShifts} ({formatCurrency(attendance.nightAllowance)} allowance)
+            </span>
+          </div>
+        )}
+
+        {(attendance.lateDays > 0 || attendance.earlyExitDays > 0) && (
+          <div className="undertime-info">
+            <span className="undertime-label">Late / Early Exit:</span>
+            <span className="undertime-value">
+              {attendance.lateDays} late day(s), {formatMinutes(attendance.lateMinutes)} ·{' '}
+              {attendance.earlyExitDays} early exit(s), {formatMinutes(attendance.earlyExitMinutes)}
+            </span>
+          </div>
+        )}
+
         {/* Attendance Details Toggle */}
         <div className="details-toggle">
           <button
@@ -223,6 +380,8 @@ const SalaryReport = ({
                   <th>Hours</th>
                   <th>Type</th>
                   <th>Overtime</th>
+                  <th>Rate</th>
+                  <th>Earned</th>
                 </tr>
               </thead>
               <tbody>
@@ -231,8 +390,18 @@ const SalaryReport = ({
                     <td>{formatDate(record.date)}</td>
                     <td>
                       <span className={`status-badge ${record.status.toLowerCase()}`}>
-                        {record.status}
+                        {getStatusLabel(record.status)}
                       </span>
+                      {record.fromCalendar && (
+                        <span className="calendar-note" title="Not marked; taken from the holiday calendar"> (calendar)</span>
+                      )}
+                      {record.shiftName && (
+                        <div className="shift-note">
+                          {record.shiftName}
+                          {record.lateMinutes > 0 && ` · late ${formatMinutes(record.lateMinutes)}`}
+                          {record.earlyExitMinutes > 0 && ` · left ${formatMinutes(record.earlyExitMinutes)} early`}
+                        </div>
+                      )}
                     </td>
                     <td>{record.checkIn || '-'}</td>
                     <td>{record.checkOut || '-'}</td>
@@ -242,7 +411,19 @@ const SalaryReport = ({
                         {record.type}
                       </span>
                     </td>
-                    <td>{record.overtime > 0 ? formatHours(record.overtime) : '-'}</td>
+                    <td>
+                      {record.overtime > 0 ? formatHours(record.overtime) : '-'}
+                      {record.overtimePay > 0 && (
+                        <span className="overtime-pay"> ({formatCurrency(record.overtimePay)})</span>
+                      )}
+                    </td>
+                    <td>{record.pieceRate ? 'Piece rate' : record.dailyRate ? formatCurrency(record.dailyRate) : '-'}</td>
+                    <td className="amount">
+                      {record.amount > 0 ? formatCurrency(record.amount) : '-'}
+                      {record.nightAllowance > 0 && (
+                        <span className="overtime-pay"> (+{formatCurrency(record.nightAllowance)} night)</span>
+                      )}
+                    </td>
                   </tr>
                 ))}
               </tbody>
@@ -251,18 +432,131 @@ const SalaryReport = ({
         )}
       </div>
 
+      {/* Piece-Rate Work */}
+      {pieceRates.length > 0 && (
+        <div className="report-section">
+          <h2>Piece-Rate Work</h2>
+          <table className="details-table">
+            <thead>
+              <tr>
+                <th>Measured</th>
+                <th>Task</th>
+                <th>Quantity</th>
+                <th>Rate</th>
+                <th>Total</th>
+                <th>Share</th>
+                <th>Earned</th>
+              </tr>
+            </thead>
+            <tbody>
+              {pieceRates.map(line => (
+                <tr key={line.entry_id}>
+                  <td>
+                    {formatDate(line.date)}
+                    {line.start_date !== line.date && (
+                      <div className="shift-note">from {formatDate(line.start_date)}</div>
+                    )}
+                  </td>
+                  <td>{line.task}</td>
+                  <td>{line.quantity} {line.unit}</td>
+                  <td>{formatCurrency(line.unit_rate)}</td>
+                  <td className="amount">{formatCurrency(line.total)}</td>
+                  <td>
+                    {line.crewSize > 1 ? (
+                      <>
+                        {line.crew_name || `Crew of ${line.crewSize}`}
+                        <div className="shift-note">
+                          {line.crewDays > 0 ?
+                            `${line.daysPresent} of ${line.crewDays} days present` :
+                            'Equal share, no days present'}
+                        </div>
+                      </>
+                    ) : 'Individual'}
+                  </td>
+                  <td className="amount">{formatCurrency(line.amount)}</td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+      )}
+
       {/* Financial Summary */}
       <div className="report-section">
         <h2>Financial Summary</h2>
         <div className="financial-summary">
+          {(financial.overtimePay > 0 || financial.nightAllowance > 0 || earningAdjustments.length > 0 ||
+            pieceRates.length > 0) && (
+            <>
+              <div className="financial-item">
+                <span className="financial-label">Wages:</span>
+                <span className="financial-value">{formatCurrency(financial.wages)}</span>
+              </div>
+              {pieceRates.map(line => (
+                <div key={line.entry_id} className="financial-item">
+                  <span className="financial-label">{describePieceRateLine(line, formatCurrency)}:</span>
+                  <span className="financial-value">{formatCurrency(line.amount)}</span>
+                </div>
+              ))}
+              {financial.overtimePay > 0 && (
+                <div className="financial-item">
+                  <span className="financial-label">
+                    Overtime ({formatHours(attendance.overtimeHours)} @ {rates.overtimeMultiplier}x):
+                  </span>
+                  <span className="financial-value">{formatCurrency(financial.overtimePay)}</span>
+                </div>
+              )}
+              {financial.nightAllowance > 0 && (
+                <div className="financial-item">
+                  <span className="financial-label">Night Shift Allowance ({attendance.nightShifts} shift(s)):</span>
+                  <span className="financial-value">{formatCurrency(financial.nightAllowance)}</span>
+                </div>
+              )}
+              {earningAdjustments.map(adjustment => (
+                <div key={adjustment.id} className="financial-item">
+                  <span className="financial-label">{adjustment.reason} ({formatDate(adjustment.date)}):</span>
+                  <span className="financial-value">{formatCurrency(adjustment.amount)}</span>
+                </div>
+              ))}
+            </>
+          )}
           <div className="financial-item">
             <span className="financial-label">Gross Salary:</span>
             <span className="financial-value gross">{formatCurrency(financial.grossSalary)}</span>
           </div>
-          <div className="financial-item">
-            <span className="financial-label">Total Payments:</span>
-            <span className="financial-value payments">-{formatCurrency(financial.totalPayments)}</span>
-          </div>
+          {statutory.map(line => (
+            <div key={line.component} className="financial-item">
+              <span className="financial-label">{line.label}:</span>
+              <span className="financial-value payments">-{formatCurrency(line.employee)}</span>
+            </div>
+          ))}
+          {deductionAdjustments.map(adjustment => (
+            <div key={adjustment.id} className="financial-item">
+              <span className="financial-label">{adjustment.reason} ({formatDate(adjustment.date)}):</span>
+              <span className="financial-value payments">-{formatCurrency(adjustment.amount)}</span>
+            </div>
+          ))}
+          {hasDeductionBreakdown ? (
+            <>
+              <div className="financial-item">
+                <span className="financial-label">Salary Paid:</span>
+                <span className="financial-value payments">-{formatCurrency(financial.salaryPaid)}</span>
+              </div>
+              <div className="financial-item">
+                <span className="financial-label">Advance Recovery:</span>
+                <span className="financial-value payments">-{formatCurrency(financial.advanceRecovery)}</span>
+              </div>
+              <div className="financial-item">
+                <span className="financial-label">Loan EMI:</span>
+                <span className="financial-value payments">-{formatCurrency(financial.loanRecovery)}</span>
+              </div>
+            </>
+          ) : (
+            <div className="financial-item">
+              <span className="financial-label">Total Payments:</span>
+              <span className="financial-value payments">-{formatCurrency(financial.totalPayments)}</span>
+            </div>
+          )}
           <div className="financial-separator"></div>
           <div className="financial-item final">
             <span className="financial-label">Net Salary:</span>
@@ -275,6 +569,44 @@ const SalaryReport = ({
           </div>
         </div>
 
+        {/* Statutory Contributions */}
+        {statutory.length > 0 && (
+          <div className="statutory-details">
+            <h3>Statutory Contributions</h3>
+            <table className="details-table">
+              <thead>
+                <tr>
+                  <th>Component</th>
+                  <th>Wage Base</th>
+                  <th>Employee</th>
+                  <th>Employer</th>
+                </tr>
+              </thead>
+              <tbody>
+                {statutory.map(line => (
+                  <tr key={line.component}>
+                    <td>{getStatutoryComponentLabel(line.component)}</td>
+                    <td className="amount">{formatCurrency(line.wageBase)}</td>
+                    <td className="amount">{formatCurrency(line.employee)}</td>
+                    <td className="amount">
+                      {line.employer > 0 ? formatCurrency(line.employer) : '-'}
+                      {line.component === StatutoryComponents.PF && line.pension > 0 && (
+                        <span className="rate-note"> (pension {formatCurrency(line.pension)})</span>
+                      )}
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+            {financial.employerContributions > 0 && (
+              <p className="overtime-terms">
+                Employer contributions of {formatCurrency(financial.employerContributions)} are paid on top of
+                the salary and are not deducted from it.
+              </p>
+            )}
+          </div>
+        )}
+
         {/* Payment Details Toggle */}
         {payments.length > 0 && (
           <div className="details-toggle">
@@ -294,6 +626,7 @@ const SalaryReport = ({
               <thead>
                 <tr>
                   <th>Date</th>
+                  <th>Type</th>
                   <th>Amount</th>
                   <th>Mode</th>
                   <th>Paid By</th>
@@ -304,6 +637,14 @@ const SalaryReport = ({
                 {payments.map((payment) => (
                   <tr key={payment.id}>
                     <td>{formatDate(payment.payment_date)}</td>
+                    <td>
+                      <span
+                        className="payment-type"
+                        style={{ backgroundColor: getPaymentTypeColor(getPaymentType(payment)) }}
+                      >
+                        {getPaymentTypeLabel(getPaymentType(payment))}
+                      </span>
+                    </td>
                     <td className="amount">{formatCurrency(payment.amount)}</td>
                     <td>
                       <span className={`payment-mode ${payment.payment_mode.toLowerCase()}`}>
@@ -318,6 +659,35 @@ const SalaryReport = ({
             </table>
           </div>
         )}
+
+        {/* Loans */}
+        {loans.length > 0 && (
+          <div className="loan-details">
+            <h3>Loans</h3>
+            <table className="details-table">
+              <thead>
+                <tr>
+                  <th>Disbursed</th>
+                  <th>Loan Amount</th>
+                  <th>Monthly EMI</th>
+                  <th>Recovered This Period</th>
+                  <th>Outstanding at {formatDate(period.endDate)}</th>
+                </tr>
+              </thead>
+              <tbody>
+                {loans.map((loan) => (
+                  <tr key={loan.id}>
+                    <td>{formatDate(loan.disbursedOn)}</td>
+                    <td className="amount">{formatCurrency(loan.amount)}</td>
+                    <td className="amount">{formatCurrency(loan.instalmentAmount)}</td>
+                    <td className="amount">{formatCurrency(loan.recovered)}</td>
+                    <td className="amount">{formatCurrency(loan.outstanding)}</td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+        )}
       </div>
 
       {/* Calculation Notes */}
@@ -325,12 +695,37 @@ const SalaryReport = ({
         <h2>Calculation Notes</h2>
         <div className="calculation-notes">
           <ul>
-            <li>Gross salary is calculated as: Working Days × Daily Rate</li>
-            <li>Net salary is calculated as: Gross Salary - Total Payments Made</li>
+            {payBasis === PayBasis.MONTHLY ? (
+              <li>
+                Gross salary is calculated as: Paid Days × Monthly Salary ÷{' '}
+                {getMonthlyProrationLabel(rates.proration).toLowerCase()} in each month
+              </li>
+            ) : payBasis === PayBasis.HOURLY ? (
+              <li>Gross salary is calculated as: Hours Worked × Hourly Rate, with paid days off at the standard day&apos;s hours</li>
+            ) : payBasis === PayBasis.OUTPUT ? (
+              <li>Gross salary is calculated as: the employee&apos;s share of piece-rate work; no day pay is earned</li>
+            ) : (
+              <li>Gross salary is calculated as: Working Days × Daily Rate in force on each day</li>
+            )}
+            {rates.segments && rates.segments.length > 1 && (
+              <li>The wage rate changed during this period, so earnings are split by rate</li>
+            )}
+            <li>Net salary is calculated as: Gross Salary - Statutory Deductions - Penalty Deductions - Salary Paid - Advance Recovery - Loan EMI</li>
+            {pieceRates.length > 0 && (
+              <li>
+                Piece-rate work measured in the period is paid as Quantity × Rate per unit, in place of day pay for
+                the days the work covers; crew work is split among its members by the days each was present over the work
+              </li>
+            )}
+            {adjustments.length > 0 && (
+              <li>Bonuses, incentives and penalties dated in the period are listed as their own lines and are not part of the statutory wage base</li>
+            )}
+            <li>Statutory deductions are worked out on each calendar month&apos;s whole earnings and charged in the period containing the last day of the month</li>
             <li>Only attendance records marked as "Present" are considered for salary calculation</li>
             <li>Overtime hours are included in the total hours calculation</li>
             <li>Partial days are calculated based on actual check-in and check-out times</li>
-            <li>All payments made within the selected date range are considered</li>
+            <li>Salary payments and advances made within the selected date range are deducted</li>
+            <li>Loans are not deducted when paid out; each monthly instalment is recovered in the period containing the last day of its month</li>
             {financial.netSalaryStatus === SALARY_STATUS.OVERPAID && (
               <li className="note-warning">
                 <strong>Note:</strong> Employee has been overpaid by {formatCurrency(Math.abs(financial.netSalary))}
@@ -413,15 +808,72 @@ const SalaryReport = ({
           background: #e5e7eb;
         }
 
+        .btn-primary:disabled {
+          opacity: 0.6;
+          cursor: not-allowed;
+        }
+
+        .run-banner {
+          display: flex;
+          gap: 12px;
+          align-items: center;
+          background: #eff6ff;
+          border: 1px solid #bfdbfe;
+          border-radius: 6px;
+          padding: 12px 16px;
+          margin-bottom: 24px;
+          font-size: 0.9rem;
+          color: #1e3a8a;
+        }
+
+        .run-status {
+          color: white;
+          padding: 4px 10px;
+          border-radius: 12px;
+          font-size: 0.8rem;
+          font-weight: 600;
+          white-space: nowrap;
+        }
+
         .btn-print {
           background: #059669;
           color: white;
         }
 
-        .btn-print:hover {
+        .btn-print:hover:not(:disabled) {
           background: #047857;
         }
 
+        .btn-print:disabled {
+          opacity: 0.6;
+          cursor: not-allowed;
+        }
+
+        .payslip-error {
+          background: #fef2f2;
+          border: 1px solid #fecaca;
+          color: #dc2626;
+          border-radius: 6px;
+          padding: 12px 16px;
+          margin-bottom: 24px;
+          font-size: 0.9rem;
+        }
+
+        .warning-banner {
+          background: #fffbeb;
+          border: 1px solid #fde68a;
+          color: #92400e;
+          border-radius: 6px;
+          padding: 12px 16px;
+          margin-bottom: 24px;
+          font-size: 0.9rem;
+        }
+
+        .warning-banner ul {
+          margin: 6px 0 0;
+          padding-left: 20px;
+        }
+
         .report-section {
           margin-bottom: 30px;
           padding: 25px;
@@ -494,8 +946,35 @@ const SalaryReport = ({
           font-weight: 500;
         }
 
+        .pay-basis {
+          margin: 0 0 1rem;
+          color: #374151;
+        }
+
+        .rate-note {
+          font-size: 0.8rem;
+          color: #666;
+        }
+
+        .overtime-terms {
+          margin: 0.75rem 0 0;
+          font-size: 0.875rem;
+          color: #666;
+        }
+
+        .calendar-note {
+          color: #6b7280;
+          font-size: 0.8rem;
+        }
+
+        .overtime-pay {
+          font-size: 0.8rem;
+          color: #666;
+        }
+
         .overtime-info,
-        .undertime-info {
+        .undertime-info,
+        .night-shift-info {
           display: flex;
           justify-content: space-between;
           align-items: center;
@@ -526,6 +1005,23 @@ const SalaryReport = ({
           font-weight: 500;
         }
 
+        .night-shift-info {
+          background: #eef2ff;
+          border: 1px solid #c7d2fe;
+        }
+
+        .night-shift-label,
+        .night-shift-value {
+          color: #3730a3;
+          font-weight: 500;
+        }
+
+        .shift-note {
+          color: #6b7280;
+          font-size: 0.8rem;
+          margin-top: 2px;
+        }
+
         .details-toggle {
           margin: 15px 0;
         }
@@ -586,6 +1082,23 @@ const SalaryReport = ({
           color: #dc2626;
         }
 
+        .status-badge.half-day {
+          background: #fef3c7;
+          color: #92400e;
+        }
+
+        .status-badge.paid-leave,
+        .status-badge.unpaid-leave {
+          background: #cffafe;
+          color: #155e75;
+        }
+
+        .status-badge.holiday,
+        .status-badge.week-off {
+          background: #ede9fe;
+          color: #5b21b6;
+        }
+
         .type-badge {
           padding: 2px 6px;
           border-radius: 8px;
@@ -608,6 +1121,16 @@ const SalaryReport = ({
           color: #dc2626;
         }
 
+        .type-badge.leave {
+          background: #cffafe;
+          color: #155e75;
+        }
+
+        .type-badge.off {
+          background: #ede9fe;
+          color: #5b21b6;
+        }
+
         .payment-mode {
           padding: 3px 8px;
           border-radius: 12px;
@@ -625,6 +1148,27 @@ const SalaryReport = ({
           color: #1d4ed8;
         }
 
+        .payment-type {
+          color: white;
+          padding: 3px 8px;
+          border-radius: 12px;
+          font-size: 0.75rem;
+          font-weight: 500;
+        }
+
+        .loan-details,
+        .statutory-details {
+          margin-top: 20px;
+          overflow-x: auto;
+        }
+
+        .loan-details h3,
+        .statutory-details h3 {
+          color: #374151;
+          font-size: 1rem;
+          margin: 0 0 10px 0;
+        }
+
         .financial-summary {
           background: #f8fafc;
           border: 1px solid #e2e8f0;
@@ -0,0 +1,52 @@
+import { useState, useEffect } from 'react';
+import { useAuth } from '../contexts/AuthContext';
+import settingsService from '../lib/services/settingsService';
+
+/**
+ * Custom hook for checking whether the signed-in user is an admin
+ * @returns {Object} isAdmin flag, loading state, and error
+ */
+export const useAdmin = () => {
+  const { user } = useAuth();
+  const [isAdmin, setIsAdmin] = useState(false);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    if (!user) {
+      setIsAdmin(false);
+      setLoading(false);
+      return;
+    }
+
+    let cancelled = false;
+
+    const checkAdmin = async () => {
+      try {
+        setLoading(true);
+        setError(null);
+        const admin = await settingsService.isAdmin(user.email);
+        if (!cancelled) {
+          setIsAdmin(admin);
+        }
+      } catch (err) {
+        if (!cancelled) {
+          setError(err.message);
+          setIsAdmin(false);
+        }
+      } finally {
+        if (!cancelled) {
+          setLoading(false);
+        }
+      }
+    };
+
+    checkAdmin();
+
+    return () => {
+      cancelled = true;
+    };
+  }, [user]);
+
+  return { isAdmin, loading, error };
+};
@@ -5,21 +5,27 @@ import {
   getDoc,
   getDocs,
   updateDoc,
+  setDoc,
   deleteDoc,
   query,
   where,
   orderBy,
   limit,
+  startAfter,
   onSnapshot,
   serverTimestamp,
   arrayUnion,
   arrayRemove,
   increment,
-  writeBatch
+  writeBatch,
+  runTransaction
 } from 'firebase/firestore';
 
 import { getFirebaseFirestore } from './firebase';
 
+// Firestore rejects a write batch with more operations than this
+export const MAX_BATCH_OPERATIONS = 500;
+
 /**
  * Firestore service for database operations
  */
@@ -113,6 +119,47 @@ class FirestoreService {
     }
   }
 
+  /**
+   * Build a query on a collection. Equality filters combined with a range
+   * filter or an order on another field need a composite index
+   * (see firestore.indexes.json).
+   * @param {string} collectionName - Name of the collection
+   * @param {Object} options - Query options: where, orderBy (one { field,
+   *   direction } or an array of them), startAfter (a cursor from
+   *   getDocumentsPage) and limit
+   * @returns {Query} Firestore query
+   */
+  buildQuery(collectionName, options = {}) {
+    const db = this.getDB();
+    let q = collection(db, collectionName);
+
+    // Apply where clauses
+    if (options.where) {
+      options.where.forEach(whereClause => {
+        q = query(q, where(whereClause.field, whereClause.operator, whereClause.value));
+      });
+    }
+
+    // Apply order by
+    if (options.orderBy) {
+      [].concat(options.orderBy).forEach(order => {
+        q = query(q, orderBy(order.field, order.direction || 'asc'));
+      });
+    }
+
+    // Continue after the last document of the previous page
+    if (options.startAfter) {
+      q = query(q, startAfter(options.startAfter));
+    }
+
+    // Apply limit
+    if (options.limit) {
+      q = query(q, limit(options.limit));
+    }
+
+    return q;
+  }
+
   /**
    * Get all documents from a collection
    * @param {string} collectionName - Name of the collection
@@ -121,28 +168,7 @@ class FirestoreService {
    */
   async getDocuments(collectionName, options = {}) {
     try {
-      const db = this.getDB();
-      let collectionRef = collection(db, collectionName);
-      let q = collectionRef;
-
-      // Apply where clauses
-      if (options.where) {
-        options.where.forEach(whereClause => {
-          q = query(q, where(whereClause.field, whereClause.operator, whereClause.value));
-        });
-      }
-
-      // Apply order by
-      if (options.orderBy) {
-        q = query(q, orderBy(options.orderBy.field, options.orderBy.direction || 'asc'));
-      }
-
-      // Apply limit
-      if (options.limit) {
-        q = query(q, limit(options.limit));
-      }
-
-      const querySnapshot = await getDocs(q);
+      const querySnapshot = await getDocs(this.buildQuery(collectionName, options));
       const documents = [];
       
       querySnapshot.forEach((doc) => {
@@ -159,6 +185,39 @@ class FirestoreService {
     }
   }
 
+  /**
+   * Get one page of a query. The query needs an orderBy so pages follow on
+   * from each other; one extra document is read to tell whether more remain.
+   * @param {string} collectionName - Name of the collection
+   * @param {Object} options - Query options (where, orderBy, pageSize, cursor)
+   * @returns {Promise<Object>} { documents, cursor, hasMore }; pass cursor
+   *   back to get the next page
+   */
+  async getDocumentsPage(collectionName, options = {}) {
+    try {
+      const pageSize = options.pageSize || 50;
+      const querySnapshot = await getDocs(this.buildQuery(collectionName, {
+        where: options.where,
+        orderBy: options.orderBy,
+        startAfter: options.cursor || null,
+        limit: pageSize + 1
+      }));
+
+      const snapshots = querySnapshot.docs.slice(0, pageSize);
+      return {
+        documents: snapshots.map(snapshot => ({
+          id: snapshot.id,
+          ...snapshot.data()
+        })),
+        cursor: snapshots.length > 0 ? snapshots[snapshots.length - 1] : null,
+        hasMore: querySnapshot.docs.length > pageSize
+      };
+    } catch (error) {
+      console.error('Error getting page of documents: ', error);
+      throw error;
+    }
+  }
+
   /**
    * Update a document
    * @param {string} collectionName - Name of the collection
@@ -181,6 +240,28 @@ class FirestoreService {
     }
   }
 
+  /**
+   * Create or merge a document with a known ID
+   * @param {string} collectionName - Name of the collection
+   * @param {string} docId - Document ID
+   * @param {Object} data - Document data
+   * @returns {Promise<void>}
+   */
+  async setDocument(collectionName, docId, data) {
+    try {
+      const db = this.getDB();
+      const docRef = doc(db, collectionName, docId);
+      await setDoc(docRef, {
+        ...data,
+        updatedAt: serverTimestamp()
+      }, { merge: true });
+      console.log('Document saved successfully');
+    } catch (error) {
+      console.error('Error saving document: ', error);
+      throw error;
+    }
+  }
+
   /**
    * Delete a document
    * @param {string} collectionName - Name of the collection
@@ -208,26 +289,7 @@ class FirestoreService {
    */
   subscribeToCollection(collectionName, callback, options = {}) {
     try {
-      const db = this.getDB();
-      let collectionRef = collection(db, collectionName);
-      let q = collectionRef;
-
-      // Apply where clauses
-      if (options.where) {
-        options.where.forEach(whereClause => {
-          q = query(q, where(whereClause.field, whereClause.operator, whereClause.value));
-        });
-      }
-
-      // Apply order by
-      if (options.orderBy) {
-        q = query(q, orderBy(options.orderBy.field, options.orderBy.direction || 'asc'));
-      }
-
-      // Apply limit
-      if (options.limit) {
-        q = query(q, limit(options.limit));
-      }
+      const q = this.buildQuery(collectionName, options);
 
       const unsubscribe = onSnapshot(q, (querySnapshot) => {
         const documents = [];
@@ -403,6 +465,44 @@ class FirestoreService {
       throw error;
     }
   }
+
+  /**
+   * Run reads and writes in a transaction. The update function receives a
+   * helper with get(collectionName, docId), set(collectionName, docId, data)
+   * and update(collectionName, docId, data); Firestore retries it if a
+   * document it read changes before the commit, so it must not have side
+   * effects of its own.
+   * @param {Function} updateFunction - Async function given the transaction helper
+   * @returns {Promise<*>} Whatever the update function returns
+   */
+  async runTransaction(updateFunction) {
+    try {
+      const db = this.getDB();
+
+      return await runTransaction(db, (transaction) => updateFunction({
+        get: async (collectionName, docId) => {
+          const docSnap = await transaction.get(doc(db, collectionName, docId));
+          return docSnap.exists() ? { id: docSnap.id, ...docSnap.data() } : null;
+        },
+        set: (collectionName, docId, data) => {
+          transaction.set(doc(db, collectionName, docId), {
+            ...data,
+            createdAt: serverTimestamp(),
+            updatedAt: serverTimestamp()
+          });
+        },
+        update: (collectionName, docId, data) => {
+          transaction.update(doc(db, collectionName, docId), {
+            ...data,
+            updatedAt: serverTimestamp()
+          });
+        }
+      }));
+    } catch (error) {
+      console.error('Error in transaction: ', error);
+      throw error;
+    }
+  }
 }
 
 // Create and export a singleton instance
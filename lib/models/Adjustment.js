@@ -0,0 +1,168 @@
+/**
+ * Salary adjustment data model and validation utilities.
+ * Adjustments are one-off amounts outside attendance-based pay: earnings such
+ * as site-completion bonuses and incentives, and deductions such as penalties
+ * for damaged tools or lost safety gear.
+ */
+
+// Adjustment type options
+export const AdjustmentTypes = {
+  EARNING: 'earning',
+  DEDUCTION: 'deduction'
+};
+
+// Adjustment amount limits (INR)
+export const AdjustmentLimits = {
+  MIN: 0.01,
+  MAX: 1000000
+};
+
+// Adjustment schema definition
+export const AdjustmentSchema = {
+  employee_id: {
+    required: true,
+    type: 'string'
+  },
+  date: {
+    required: true,
+    type: 'string',
+    format: 'date' // YYYY-MM-DD, the pay period it falls in
+  },
+  type: {
+    required: true,
+    type: 'string',
+    enum: Object.values(AdjustmentTypes)
+  },
+  amount: {
+    required: true,
+    type: 'number',
+    min: AdjustmentLimits.MIN,
+    max: AdjustmentLimits.MAX
+  },
+  reason: {
+    required: true,
+    type: 'string',
+    minLength: 2,
+    maxLength: 200
+  },
+  created_by: {
+    required: false,
+    type: 'string'
+  }
+};
+
+/**
+ * Validate adjustment data
+ * @param {Object} adjustmentData - Adjustment data to validate
+ * @returns {Object} Validation result with isValid and errors
+ */
+export const validateAdjustment = (adjustmentData) => {
+  const errors = {};
+
+  if (!adjustmentData.employee_id || adjustmentData.employee_id.trim() === '') {
+    errors.employee_id = 'Employee is required';
+  }
+
+  if (!adjustmentData.date) {
+    errors.date = 'Date is required';
+  } else if (!/^\d{4}-\d{2}-\d{2}$/.test(adjustmentData.date) ||
+      isNaN(new Date(adjustmentData.date).getTime())) {
+    errors.date = 'Invalid date';
+  } else if (adjustmentData.date < '2020-01-01') {
+    errors.date = 'Date cannot be before 2020';
+  }
+
+  if (!Object.values(AdjustmentTypes).includes(adjustmentData.type)) {
+    errors.type = 'Please select earning or deduction';
+  }
+
+  const amount = parseFloat(adjustmentData.amount);
+  if (adjustmentData.amount === '' || adjustmentData.amount === undefined || isNaN(amount)) {
+    errors.amount = 'Amount is required';
+  } else if (amount < AdjustmentLimits.MIN) {
+    errors.amount = 'Amount must be greater than 0';
+  } else if (amount > AdjustmentLimits.MAX) {
+    errors.amount = 'Amount cannot exceed 10,00,000';
+  }
+
+  const reason = (adjustmentData.reason || '').trim();
+  if (!reason) {
+    errors.reason = 'Reason is required';
+  } else if (reason.length < 2 || reason.length > 200) {
+    errors.reason = 'Reason must be between 2 and 200 characters';
+  }
+
+  return { isValid: Object.keys(errors).length === 0, errors };
+};
+
+/**
+ * Format adjustment data for storage
+ * @param {Object} adjustmentData - Raw adjustment form data
+ * @returns {Object} Formatted adjustment for Firestore
+ */
+export const formatAdjustmentForStorage = (adjustmentData) => {
+  const formatted = {
+    employee_id: adjustmentData.employee_id,
+    date: adjustmentData.date,
+    type: adjustmentData.type,
+    amount: parseFloat(parseFloat(adjustmentData.amount).toFixed(2)),
+    reason: adjustmentData.reason.trim()
+  };
+
+  if (adjustmentData.created_by) {
+    formatted.created_by = adjustmentData.created_by;
+  }
+
+  return formatted;
+};
+
+/**
+ * Create empty adjustment object for forms
+ * @param {string} employeeId - Employee to start with
+ * @returns {Object} Empty adjustment object
+ */
+export const createEmptyAdjustment = (employeeId = '') => ({
+  employee_id: employeeId,
+  date: new Date().toISOString().split('T')[0],
+  type: AdjustmentTypes.EARNING,
+  amount: '',
+  reason: ''
+});
+
+/**
+ * Sum adjustments by type
+ * @param {Array} adjustments - Adjustment records
+ * @returns {Object} { earnings, deductions }
+ */
+export const getAdjustmentTotals = (adjustments) => {
+  const totals = (adjustments || []).reduce((sums, adjustment) => {
+    const amount = parseFloat(adjustment.amount) || 0;
+    if (adjustment.type === AdjustmentTypes.DEDUCTION) {
+      sums.deductions += amount;
+    } else {
+      sums.earnings += amount;
+    }
+    return sums;
+  }, { earnings: 0, deductions: 0 });
+
+  return {
+    earnings: parseFloat(totals.earnings.toFixed(2)),
+    deductions: parseFloat(totals.deductions.toFixed(2))
+  };
+};
+
+/**
+ * Get display label for adjustment type
+ * @param {string} type - Adjustment type
+ * @returns {string} Display label
+ */
+export const getAdjustmentTypeLabel = (type) => {
+  switch (type) {
+    case AdjustmentTypes.EARNING:
+      return 'Earning';
+    case AdjustmentTypes.DEDUCTION:
+      return 'Deduction';
+    default:
+      return type;
+  }
+};
@@ -2,13 +2,28 @@
  * Attendance data model and validation utilities
  */
 
+import { findPeriodCoveringDate } from './ClosedPeriod';
+
 // Attendance status options
 export const AttendanceStatus = {
   PRESENT: 'present',
   ABSENT: 'absent',
-  HALF_DAY: 'half-day'
+  HALF_DAY: 'half-day',
+  PAID_LEAVE: 'paid-leave',
+  UNPAID_LEAVE: 'unpaid-leave',
+  HOLIDAY: 'holiday',
+  WEEK_OFF: 'week-off'
 };
 
+// Statuses on which the employee actually worked (and may have punch times)
+export const WORKED_STATUSES = [AttendanceStatus.PRESENT, AttendanceStatus.HALF_DAY];
+
+// Statuses for days the employee was not expected to work
+export const OFF_DAY_STATUSES = [AttendanceStatus.HOLIDAY, AttendanceStatus.WEEK_OFF];
+
+// Leave statuses; approved leave may be recorded ahead of the day
+export const LEAVE_STATUSES = [AttendanceStatus.PAID_LEAVE, AttendanceStatus.UNPAID_LEAVE];
+
 // Attendance schema definition
 export const AttendanceSchema = {
   employee_id: {
@@ -32,10 +47,78 @@ export const AttendanceSchema = {
     required: true,
     type: 'timestamp'
   },
+  check_in_time: {
+    required: false,
+    type: 'time' // HH:MM, 24-hour
+  },
+  check_out_time: {
+    required: false,
+    type: 'time' // HH:MM, 24-hour; earlier than check-in means the next day
+  },
   notes: {
     required: false,
     type: 'string',
     maxLength: 500
+  },
+  leave_request_id: {
+    required: false,
+    type: 'string' // Set when the record was created by an approved leave request
+  },
+  location: {
+    required: false,
+    type: 'object' // { latitude, longitude, accuracy, captured_at } from the marking device
+  },
+  site_id: {
+    required: false,
+    type: 'string' // Site matched to the location when the record was written
+  },
+  site_name: {
+    required: false,
+    type: 'string'
+  },
+  site_distance_m: {
+    required: false,
+    type: 'number'
+  },
+  outside_geofence: {
+    required: false,
+    type: 'boolean'
+  },
+  shift_id: {
+    required: false,
+    type: 'string' // Shift worked: picked when marking, or from the week's roster
+  },
+  shift_name: {
+    required: false,
+    type: 'string'
+  },
+  shift_start: {
+    required: false,
+    type: 'time' // Shift times when the record was written
+  },
+  shift_end: {
+    required: false,
+    type: 'time'
+  },
+  late_minutes: {
+    required: false,
+    type: 'number' // Check-in after the shift start and its grace period
+  },
+  early_exit_minutes: {
+    required: false,
+    type: 'number' // Check-out before the shift end
+  },
+  night_shift: {
+    required: false,
+    type: 'boolean'
+  },
+  night_allowance: {
+    required: false,
+    type: 'number' // INR for the shift, paid through salary
+  },
+  history: {
+    required: false,
+    type: 'array' // Earlier versions of the record, oldest first (see createAttendanceHistoryEntry)
   }
 };
 
@@ -61,18 +144,14 @@ export const validateAttendance = (attendanceData) => {
   } else {
     const date = new Date(attendanceData.date);
     const today = new Date();
-    const maxPastDate = new Date();
-    maxPastDate.setMonth(maxPastDate.getMonth() - 3); // Allow marking up to 3 months back
-    
+
+    // How far back a date may be changed is governed by closed periods, not a fixed window
     if (isNaN(date.getTime())) {
       errors.date = 'Invalid date';
       isValid = false;
-    } else if (date > today) {
+    } else if (attendanceData.date > getLocalDateString(today) && !LEAVE_STATUSES.includes(attendanceData.status)) {
       errors.date = 'Cannot mark attendance for future dates';
       isValid = false;
-    } else if (date < maxPastDate) {
-      errors.date = 'Cannot mark attendance for dates older than 3 months';
-      isValid = false;
     }
   }
 
@@ -91,6 +170,35 @@ export const validateAttendance = (attendanceData) => {
     isValid = false;
   }
 
+  // Validate check-in and check-out times (optional)
+  const checkIn = attendanceData.check_in_time;
+  const checkOut = attendanceData.check_out_time;
+  if (checkIn && !isValidTime(checkIn)) {
+    errors.check_in_time = 'Check-in time must be in HH:MM format';
+    isValid = false;
+  }
+  if (checkOut && !isValidTime(checkOut)) {
+    errors.check_out_time = 'Check-out time must be in HH:MM format';
+    isValid = false;
+  } else if (checkOut && !checkIn) {
+    errors.check_out_time = 'Check-out time needs a check-in time';
+    isValid = false;
+  } else if (checkOut && checkIn === checkOut) {
+    errors.check_out_time = 'Check-out time must differ from check-in time';
+    isValid = false;
+  }
+  if ((checkIn || checkOut) && attendanceData.status && !WORKED_STATUSES.includes(attendanceData.status)) {
+    errors.check_in_time = `Times cannot be recorded for ${getStatusLabel(attendanceData.status).toLowerCase()}`;
+    isValid = false;
+  }
+
+  // Validate location (optional)
+  const location = attendanceData.location;
+  if (location && !isValidLocation(location)) {
+    errors.location = 'Location must have a valid latitude and longitude';
+    isValid = false;
+  }
+
   // Validate notes (optional)
   if (attendanceData.notes && attendanceData.notes.length > 500) {
     errors.notes = 'Notes cannot exceed 500 characters';
@@ -100,6 +208,47 @@ export const validateAttendance = (attendanceData) => {
   return { isValid, errors };
 };
 
+/**
+ * Check a 24-hour HH:MM time string
+ * @param {string} time - Time string
+ * @returns {boolean} True if valid
+ */
+export const isValidTime = (time) => {
+  return typeof time === 'string' && /^([01]\d|2[0-3]):[0-5]\d$/.test(time);
+};
+
+/**
+ * Check a captured location
+ * @param {Object} location - { latitude, longitude, accuracy }
+ * @returns {boolean} True if the coordinates are usable
+ */
+export const isValidLocation = (location) => {
+  return !!location &&
+    typeof location.latitude === 'number' && location.latitude >= -90 && location.latitude <= 90 &&
+    typeof location.longitude === 'number' && location.longitude >= -180 && location.longitude <= 180;
+};
+
+/**
+ * Get a date as YYYY-MM-DD in the device's timezone, so that early-morning
+ * check-ins are not dated the previous day
+ * @param {Date} date - Date (defaults to now)
+ * @returns {string} Local date string
+ */
+export const getLocalDateString = (date = new Date()) => {
+  const pad = (n) => String(n).padStart(2, '0');
+  return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+};
+
+/**
+ * Get a time as 24-hour HH:MM in the device's timezone
+ * @param {Date} date - Date (defaults to now)
+ * @returns {string} Local time string
+ */
+export const getLocalTimeString = (date = new Date()) => {
+  const pad = (n) => String(n).padStart(2, '0');
+  return `${pad(date.getHours())}:${pad(date.getMinutes())}`;
+};
+
 /**
  * Validate bulk attendance data
  * @param {Array} bulkAttendanceData - Array of attendance records
@@ -154,9 +303,125 @@ export const formatAttendanceForStorage = (attendanceData) => {
     formatted.notes = attendanceData.notes.trim();
   }
 
+  if (attendanceData.check_in_time) {
+    formatted.check_in_time = attendanceData.check_in_time;
+  }
+
+  if (attendanceData.check_out_time) {
+    formatted.check_out_time = attendanceData.check_out_time;
+  }
+
+  if (attendanceData.leave_request_id) {
+    formatted.leave_request_id = attendanceData.leave_request_id;
+  }
+
+  if (attendanceData.location) {
+    formatted.location = {
+      latitude: attendanceData.location.latitude,
+      longitude: attendanceData.location.longitude,
+      accuracy: Math.round(attendanceData.location.accuracy || 0),
+      captured_at: attendanceData.location.captured_at || formatted.marked_at
+    };
+    if (attendanceData.location.mocked) {
+      formatted.location.mocked = true; // Test coordinates, not a device fix
+    }
+  }
+
+  // Geofence result, filled in by the attendance service from the location
+  if (attendanceData.site_id) {
+    formatted.site_id = attendanceData.site_id;
+    formatted.site_name = attendanceData.site_name || '';
+    formatted.site_distance_m = attendanceData.site_distance_m || 0;
+    formatted.outside_geofence = !!attendanceData.outside_geofence;
+  }
+
+  // Shift worked, filled in by the attendance service from the roster
+  if (attendanceData.shift_id) {
+    formatted.shift_id = attendanceData.shift_id;
+    formatted.shift_name = attendanceData.shift_name || '';
+    formatted.shift_start = attendanceData.shift_start || null;
+    formatted.shift_end = attendanceData.shift_end || null;
+    formatted.late_minutes = attendanceData.late_minutes || 0;
+    formatted.early_exit_minutes = attendanceData.early_exit_minutes || 0;
+    formatted.night_shift = !!attendanceData.night_shift;
+    formatted.night_allowance = attendanceData.night_allowance || 0;
+  }
+
   return formatted;
 };
 
+/**
+ * Snapshot a record's current values before an update replaces them
+ * @param {Object} record - Existing attendance record
+ * @param {Object} change - { changed_by, reason, correction_request_id }
+ * @returns {Object} History entry
+ */
+export const createAttendanceHistoryEntry = (record, change = {}) => ({
+  status: record.status,
+  check_in_time: record.check_in_time || null,
+  check_out_time: record.check_out_time || null,
+  notes: record.notes || '',
+  marked_by: record.marked_by || '',
+  marked_at: record.marked_at || null,
+  replaced_at: new Date().toISOString(),
+  replaced_by: change.changed_by || '',
+  reason: change.reason || '',
+  correction_request_id: change.correction_request_id || null
+});
+
+/**
+ * Plan the merge of attendance stored more than once for the same employee
+ * and day. Records marked before the employee_id_date key became the
+ * document ID have random IDs, and two concurrent marks could store two of
+ * them. The most recently marked record is kept under the employee_id_date
+ * document ID and the values of the others go into its history.
+ * @param {Array} records - Attendance records, each with its document id
+ * @param {string} mergedBy - Email of the admin running the merge
+ * @returns {Array} One entry per employee and day to rewrite:
+ *   { attendance_id, record, remove_ids, duplicates } where remove_ids are the
+ *   document IDs to delete once the record is written
+ */
+export const planAttendanceMerge = (records, mergedBy) => {
+  const groups = new Map();
+  records.forEach(record => {
+    if (!record.employee_id || !record.date) return;
+    const attendanceId = generateAttendanceId(record.employee_id, record.date);
+    if (!groups.has(attendanceId)) {
+      groups.set(attendanceId, []);
+    }
+    groups.get(attendanceId).push(record);
+  });
+
+  const plan = [];
+  groups.forEach((group, attendanceId) => {
+    if (group.length === 1 && group[0].id === attendanceId) return; // Already keyed by employee and date
+
+    const [latest, ...duplicates] = [...group].sort(
+      (a, b) => (b.marked_at || '').localeCompare(a.marked_at || '')
+    );
+
+    const record = { ...latest, attendance_id: attendanceId };
+    delete record.id;
+    record.history = [
+      ...(latest.history || []),
+      ...duplicates.flatMap(duplicate => duplicate.history || []),
+      ...duplicates.map(duplicate => createAttendanceHistoryEntry(duplicate, {
+        changed_by: mergedBy,
+        reason: 'Duplicate record merged'
+      }))
+    ].sort((a, b) => (a.replaced_at || '').localeCompare(b.replaced_at || ''));
+
+    plan.push({
+      attendance_id: attendanceId,
+      record,
+      remove_ids: group.map(item => item.id).filter(id => id !== attendanceId),
+      duplicates: duplicates.length
+    });
+  });
+
+  return plan;
+};
+
 /**
  * Format attendance data for display
  * @param {Object} attendance - Attendance data
@@ -190,11 +455,81 @@ export const getStatusLabel = (status) => {
       return 'Absent';
     case AttendanceStatus.HALF_DAY:
       return 'Half Day';
+    case AttendanceStatus.PAID_LEAVE:
+      return 'Paid Leave';
+    case AttendanceStatus.UNPAID_LEAVE:
+      return 'Unpaid Leave';
+    case AttendanceStatus.HOLIDAY:
+      return 'Holiday';
+    case AttendanceStatus.WEEK_OFF:
+      return 'Week Off';
     default:
       return 'Unknown';
   }
 };
 
+/**
+ * Get status icon for compact display
+ * @param {string} status - Attendance status
+ * @returns {string} Icon character
+ */
+export const getStatusIcon = (status) => {
+  switch (status) {
+    case AttendanceStatus.PRESENT:
+      return '✓';
+    case AttendanceStatus.ABSENT:
+      return '✗';
+    case AttendanceStatus.HALF_DAY:
+      return '◐';
+    case AttendanceStatus.PAID_LEAVE:
+      return '✈';
+    case AttendanceStatus.UNPAID_LEAVE:
+      return '○';
+    case AttendanceStatus.HOLIDAY:
+      return '★';
+    case AttendanceStatus.WEEK_OFF:
+      return '☾';
+    default:
+      return '?';
+  }
+};
+
+/**
+ * Get the muster-roll code for a status
+ * @param {string} status - Attendance status
+ * @returns {string} Code (P, A, H, L, LWP, PH, WO)
+ */
+export const getStatusCode = (status) => {
+  switch (status) {
+    case AttendanceStatus.PRESENT:
+      return 'P';
+    case AttendanceStatus.ABSENT:
+      return 'A';
+    case AttendanceStatus.HALF_DAY:
+      return 'H';
+    case AttendanceStatus.PAID_LEAVE:
+      return 'L';
+    case AttendanceStatus.UNPAID_LEAVE:
+      return 'LWP';
+    case AttendanceStatus.HOLIDAY:
+      return 'PH';
+    case AttendanceStatus.WEEK_OFF:
+      return 'WO';
+    default:
+      return '';
+  }
+};
+
+/**
+ * Get the key a status is counted under in statistics objects
+ * (e.g. 'half-day' -> 'halfDay', 'paid-leave' -> 'paidLeave')
+ * @param {string} status - Attendance status
+ * @returns {string} Statistics key
+ */
+export const getStatusStatKey = (status) => {
+  return status.replace(/-(\w)/g, (match, letter) => letter.toUpperCase());
+};
+
 /**
  * Get status color for display
  * @param {string} status - Attendance status
@@ -208,6 +543,14 @@ export const getStatusColor = (status) => {
       return '#dc3545'; // Red
     case AttendanceStatus.HALF_DAY:
       return '#ffc107'; // Yellow/Orange
+    case AttendanceStatus.PAID_LEAVE:
+      return '#17a2b8'; // Teal
+    case AttendanceStatus.UNPAID_LEAVE:
+      return '#fd7e14'; // Orange
+    case AttendanceStatus.HOLIDAY:
+      return '#6f42c1'; // Purple
+    case AttendanceStatus.WEEK_OFF:
+      return '#20c997'; // Mint
     default:
       return '#6c757d'; // Gray
   }
@@ -277,42 +620,60 @@ export const parseAttendanceId = (attendanceId) => {
  * @returns {Object} Attendance statistics
  */
 export const calculateAttendanceStats = (attendanceRecords) => {
-  const stats = {
-    total: attendanceRecords.length,
-    present: 0,
-    absent: 0,
-    halfDay: 0,
-    presentPercent: 0,
-    absentPercent: 0,
-    halfDayPercent: 0
-  };
+  const stats = createStatusCounts();
+  stats.total = attendanceRecords.length;
+
+  Object.values(AttendanceStatus).forEach(status => {
+    stats[`${getStatusStatKey(status)}Percent`] = 0;
+  });
 
   if (attendanceRecords.length === 0) {
     return stats;
   }
 
   attendanceRecords.forEach(record => {
-    switch (record.status) {
-      case AttendanceStatus.PRESENT:
-        stats.present++;
-        break;
-      case AttendanceStatus.ABSENT:
-        stats.absent++;
-        break;
-      case AttendanceStatus.HALF_DAY:
-        stats.halfDay++;
-        break;
+    if (Object.values(AttendanceStatus).includes(record.status)) {
+      stats[getStatusStatKey(record.status)]++;
     }
   });
 
   // Calculate percentages
-  stats.presentPercent = Math.round((stats.present / stats.total) * 100);
-  stats.absentPercent = Math.round((stats.absent / stats.total) * 100);
-  stats.halfDayPercent = Math.round((stats.halfDay / stats.total) * 100);
+  Object.values(AttendanceStatus).forEach(status => {
+    const key = getStatusStatKey(status);
+    stats[`${key}Percent`] = Math.round((stats[key] / stats.total) * 100);
+  });
 
   return stats;
 };
 
+/**
+ * Create a zeroed counter for every attendance status
+ * @returns {Object} { present: 0, absent: 0, halfDay: 0, paidLeave: 0, ... }
+ */
+export const createStatusCounts = () => {
+  return Object.values(AttendanceStatus).reduce((counts, status) => {
+    counts[getStatusStatKey(status)] = 0;
+    return counts;
+  }, {});
+};
+
+/**
+ * Attendance rate: days attended over days the employee was expected to work.
+ * Holidays and week-offs are left out; leave counts as not attended.
+ * @param {Object} counts - Status counts keyed by getStatusStatKey
+ * @returns {number} Percentage (0-100, one decimal)
+ */
+export const calculateAttendanceRate = (counts) => {
+  const expectedDays = Object.values(AttendanceStatus)
+    .filter(status => !OFF_DAY_STATUSES.includes(status))
+    .reduce((sum, status) => sum + (counts[getStatusStatKey(status)] || 0), 0);
+
+  if (expectedDays === 0) return 0;
+
+  const attendedDays = (counts.present || 0) + (counts.halfDay || 0) * 0.5;
+  return parseFloat(((attendedDays / expectedDays) * 100).toFixed(1));
+};
+
 /**
  * Get date range for attendance queries
  * @param {string} period - Period type ('today', 'week', 'month', 'custom')
@@ -368,30 +729,26 @@ export const createEmptyAttendance = () => ({
   date: new Date().toISOString().split('T')[0], // Today's date
   status: AttendanceStatus.PRESENT,
   marked_by: '',
+  check_in_time: '',
+  check_out_time: '',
   notes: ''
 });
 
 /**
  * Check if attendance can be modified
- * @param {Object} attendance - Attendance record
- * @param {string} currentUserId - Current user ID
+ * @param {Object} attendance - Attendance record (or { date } for an unmarked day)
+ * @param {Array} closedPeriods - Closed periods from periodService.getClosedPeriods
  * @returns {Object} Result with canModify and reason
  */
-export const canModifyAttendance = (attendance, currentUserId) => {
+export const canModifyAttendance = (attendance, closedPeriods = []) => {
   if (!attendance) {
     return { canModify: false, reason: 'Attendance record not found' };
   }
 
-  const attendanceDate = new Date(attendance.date);
-  const today = new Date();
-  const daysDiff = Math.floor((today - attendanceDate) / (1000 * 60 * 60 * 24));
-
-  // Can't modify attendance older than 7 days
-  if (daysDiff > 7) {
-    return { canModify: false, reason: 'Cannot modify attendance older than 7 days' };
+  const period = findPeriodCoveringDate(closedPeriods, attendance.date);
+  if (period) {
+    return { canModify: false, reason: `Period closed: ${period.label}` };
   }
 
-  // Can modify if user is admin or marked by current user
-  // For now, we'll allow modification by anyone (can be enhanced with role-based access)
   return { canModify: true, reason: '' };
 };
\ No newline at end of file
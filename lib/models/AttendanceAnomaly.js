@@ -0,0 +1,455 @@
+/**
+ * Attendance anomaly detection: patterns in attendance worth a supervisor's
+ * attention, each flag carrying the records behind it
+ */
+
+import { AttendanceStatus, WORKED_STATUSES } from './Attendance';
+import { getOffDay, getDayOfWeek, applyCalendarToRecords } from './Holiday';
+import { PaymentTypes, getPaymentType } from './Payment';
+
+// Kinds of flag raised by the analysis
+export const AnomalyType = {
+  CONSECUTIVE_ABSENCE: 'consecutive_absence',
+  MONDAY_ABSENCE: 'monday_absence',
+  AFTER_PAYDAY_ABSENCE: 'after_payday_absence',
+  CREW_DROP: 'crew_drop',
+  UNUSUAL_MARKER: 'unusual_marker'
+};
+
+// Thresholds each pattern has to reach before it is flagged
+export const ANOMALY_THRESHOLDS = {
+  consecutiveAbsences: 3, // Absences on working days in a row
+  mondayAbsences: 3, // Monday absences in the period...
+  mondayAbsenceShare: 0.5, // ...that are at least this share of the Mondays marked
+  paydayWindowDays: 2, // Working days after a salary payment that are watched
+  afterPaydayAbsences: 2, // Absences in those windows, after at least 2 paydays
+  crewBaselineDays: 7, // Earlier working days a site's usual headcount is taken from
+  minCrewSize: 4, // Usual headcount below which a site is not checked
+  crewDropShare: 0.5, // Flag when the day's headcount falls by at least this share
+  markerHistory: 10, // Records an employee needs before a marker can look unusual
+  unusualMarkerShare: 0.1 // A marker below this share of the records is unusual
+};
+
+// Days of attendance read before the period so runs and baselines are complete
+export const ANOMALY_LOOKBACK_DAYS = 28;
+
+// Days checked when no period is chosen, ending today
+export const DEFAULT_ANOMALY_PERIOD_DAYS = 30;
+
+// Day number of Monday (0 = Sunday)
+const MONDAY = 1;
+
+/**
+ * Move a YYYY-MM-DD date by a number of days
+ * @param {string} date - Date (YYYY-MM-DD)
+ * @param {number} days - Days to add (negative for earlier)
+ * @returns {string} Date (YYYY-MM-DD)
+ */
+export const addDaysToDate = (date, days) => {
+  const [year, month, day] = date.split('-').map(Number);
+  return new Date(Date.UTC(year, month - 1, day + days)).toISOString().split('T')[0];
+};
+
+/**
+ * Group records by employee, each list sorted by date
+ * @param {Array} records - Attendance records
+ * @returns {Object} Employee ID to records
+ */
+const groupByEmployee = (records) => {
+  const groups = {};
+  records.forEach(record => {
+    if (!groups[record.employee_id]) {
+      groups[record.employee_id] = [];
+    }
+    groups[record.employee_id].push(record);
+  });
+  Object.values(groups).forEach(group => group.sort((a, b) => a.date.localeCompare(b.date)));
+  return groups;
+};
+
+/**
+ * Check whether a record falls on a working day
+ * @param {Object} record - Attendance record, with the calendar applied
+ * @param {Object} calendar - Work calendar
+ * @returns {boolean} True unless the day is a holiday or weekly off
+ */
+const isWorkingDayRecord = (record, calendar) => {
+  return record.status !== AttendanceStatus.HOLIDAY &&
+    record.status !== AttendanceStatus.WEEK_OFF &&
+    !getOffDay(calendar, record.date);
+};
+
+/**
+ * Find runs of absences on consecutive working days. Off days and days with
+ * no record neither extend nor break a run; any other status ends it.
+ * @param {Array} records - Attendance records, with the calendar applied
+ * @param {Object} calendar - Work calendar
+ * @returns {Array} Flags
+ */
+export const detectConsecutiveAbsences = (records, calendar) => {
+  const flags = [];
+
+  Object.entries(groupByEmployee(records)).forEach(([employeeId, employeeRecords]) => {
+    const workingRecords = employeeRecords.filter(record => isWorkingDayRecord(record, calendar));
+    let run = [];
+
+    const closeRun = (ongoing) => {
+      if (run.length >= ANOMALY_THRESHOLDS.consecutiveAbsences) {
+        const startDate = run[0].date;
+        const endDate = run[run.length - 1].date;
+        flags.push({
+          id: `${AnomalyType.CONSECUTIVE_ABSENCE}_${employeeId}_${startDate}`,
+          type: AnomalyType.CONSECUTIVE_ABSENCE,
+          employee_id: employeeId,
+          date: endDate,
+          startDate,
+          endDate,
+          count: run.length,
+          description: `Absent ${run.length} working days in a row from ${startDate}` +
+            (ongoing ? ' and not back yet' : ` to ${endDate}`),
+          records: run
+        });
+      }
+      run = [];
+    };
+
+    workingRecords.forEach(record => {
+      if (record.status === AttendanceStatus.ABSENT) {
+        run.push(record);
+      } else {
+        closeRun(false);
+      }
+    });
+    closeRun(true);
+  });
+
+  return flags;
+};
+
+/**
+ * Find employees who are often absent on working Mondays
+ * @param {Array} records - Attendance records in the period, with the calendar applied
+ * @param {Object} calendar - Work calendar
+ * @returns {Array} Flags
+ */
+export const detectMondayAbsences = (records, calendar) => {
+  const flags = [];
+
+  Object.entries(groupByEmployee(records)).forEach(([employeeId, employeeRecords]) => {
+    const mondays = employeeRecords.filter(record =>
+      getDayOfWeek(record.date) === MONDAY && isWorkingDayRecord(record, calendar)
+    );
+    const absences = mondays.filter(record => record.status === AttendanceStatus.ABSENT);
+
+    if (absences.length < ANOMALY_THRESHOLDS.mondayAbsences ||
+        absences.length / mondays.length < ANOMALY_THRESHOLDS.mondayAbsenceShare) {
+      return;
+    }
+
+    flags.push({
+      id: `${AnomalyType.MONDAY_ABSENCE}_${employeeId}`,
+      type: AnomalyType.MONDAY_ABSENCE,
+      employee_id: employeeId,
+      date: absences[absences.length - 1].date,
+      startDate: absences[0].date,
+      endDate: absences[absences.length - 1].date,
+      count: absences.length,
+      description: `Absent on ${absences.length} of ${mondays.length} working Mondays`,
+      records: absences
+    });
+  });
+
+  return flags;
+};
+
+/**
+ * Find employees who are often absent in the first working days after being
+ * paid their salary
+ * @param {Array} records - Attendance records, with the calendar applied
+ * @param {Array} payments - Payments; only salary payments mark a payday
+ * @param {Object} calendar - Work calendar
+ * @returns {Array} Flags
+ */
+export const detectAfterPaydayAbsences = (records, payments, calendar) => {
+  const flags = [];
+  const recordsByEmployee = groupByEmployee(records);
+
+  const paydaysByEmployee = {};
+  payments
+    .filter(payment => getPaymentType(payment) === PaymentTypes.SALARY && payment.payment_date)
+    .forEach(payment => {
+      if (!paydaysByEmployee[payment.employee_id]) {
+        paydaysByEmployee[payment.employee_id] = new Set();
+      }
+      paydaysByEmployee[payment.employee_id].add(payment.payment_date);
+    });
+
+  Object.entries(paydaysByEmployee).forEach(([employeeId, paydays]) => {
+    const employeeRecords = recordsByEmployee[employeeId] || [];
+    const recordsByDate = new Map(employeeRecords.map(record => [record.date, record]));
+    const absences = [];
+    const paydaysFollowed = [];
+
+    [...paydays].sort().forEach(payday => {
+      // The next working days after the payday; off days are skipped
+      let watched = 0;
+      let absentAfterPayday = false;
+      for (let step = 1; watched < ANOMALY_THRESHOLDS.paydayWindowDays && step <= 31; step++) {
+        const date = addDaysToDate(payday, step);
+        if (getOffDay(calendar, date)) continue;
+        watched++;
+
+        const record = recordsByDate.get(date);
+        if (record && record.status === AttendanceStatus.ABSENT && !absences.includes(record)) {
+          absences.push(record);
+          absentAfterPayday = true;
+        }
+      }
+      if (absentAfterPayday) {
+        paydaysFollowed.push(payday);
+      }
+    });
+
+    if (absences.length < ANOMALY_THRESHOLDS.afterPaydayAbsences || paydaysFollowed.length < 2) {
+      return;
+    }
+
+    flags.push({
+      id: `${AnomalyType.AFTER_PAYDAY_ABSENCE}_${employeeId}`,
+      type: AnomalyType.AFTER_PAYDAY_ABSENCE,
+      employee_id: employeeId,
+      date: absences[absences.length - 1].date,
+      startDate: absences[0].date,
+      endDate: absences[absences.length - 1].date,
+      count: absences.length,
+      description: `Absent ${absences.length} time(s) within ${ANOMALY_THRESHOLDS.paydayWindowDays} ` +
+        `working days of being paid (paydays ${paydaysFollowed.join(', ')})`,
+      records: absences
+    });
+  });
+
+  return flags;
+};
+
+/**
+ * Find days when a site's crew - the workers usually present there - turned
+ * up in much smaller numbers than on the days before. Only dates on which
+ * some attendance was marked are compared.
+ * @param {Array} records - Attendance records, with the calendar applied
+ * @param {Object} calendar - Work calendar
+ * @returns {Array} Flags
+ */
+export const detectCrewDrops = (records, calendar) => {
+  const flags = [];
+
+  const markedDates = [...new Set(records.map(record => record.date))]
+    .filter(date => !getOffDay(calendar, date))
+    .sort();
+
+  // Workers present at each site on each date
+  const presentBySite = {};
+  const siteNames = {};
+  records.forEach(record => {
+    if (!record.site_id || !WORKED_STATUSES.includes(record.status)) return;
+    if (!presentBySite[record.site_id]) {
+      presentBySite[record.site_id] = {};
+      siteNames[record.site_id] = record.site_name || 'Unnamed site';
+    }
+    if (!presentBySite[record.site_id][record.date]) {
+      presentBySite[record.site_id][record.date] = new Set();
+    }
+    presentBySite[record.site_id][record.date].add(record.employee_id);
+  });
+
+  Object.entries(presentBySite).forEach(([siteId, presentByDate]) => {
+    markedDates.forEach((date, index) => {
+      const baselineDates = markedDates.slice(Math.max(0, index - ANOMALY_THRESHOLDS.crewBaselineDays), index);
+      if (baselineDates.length < ANOMALY_THRESHOLDS.crewBaselineDays) return;
+
+      const crew = new Set();
+      const baselineTotal = baselineDates.reduce((sum, baselineDate) => {
+        const present = presentByDate[baselineDate] || new Set();
+        present.forEach(employeeId => crew.add(employeeId));
+        return sum + present.size;
+      }, 0);
+      const usual = baselineTotal / baselineDates.length;
+      const present = (presentByDate[date] || new Set()).size;
+
+      if (usual < ANOMALY_THRESHOLDS.minCrewSize ||
+          present > usual * (1 - ANOMALY_THRESHOLDS.crewDropShare)) {
+        return;
+      }
+
+      flags.push({
+        id: `${AnomalyType.CREW_DROP}_${siteId}_${date}`,
+        type: AnomalyType.CREW_DROP,
+        employee_id: null,
+        site_id: siteId,
+        site_name: siteNames[siteId],
+        date,
+        startDate: date,
+        endDate: date,
+        count: present,
+        description: `${present} present at ${siteNames[siteId]} against a usual ` +
+          `${usual.toFixed(1)} over the previous ${baselineDates.length} working days`,
+        // What the usual crew was marked that day, wherever they were
+        records: records.filter(record => record.date === date && crew.has(record.employee_id))
+      });
+    });
+  });
+
+  return flags;
+};
+
+/**
+ * Find records marked by someone who rarely marks that employee. Leave
+ * approvals are left out: they are marked by whoever reviewed the request.
+ * @param {Array} records - Attendance records; all of them set who is usual
+ * @param {string} since - First date whose records can be flagged (YYYY-MM-DD)
+ * @returns {Array} Flags, one per employee and unusual marker
+ */
+export const detectUnusualMarkers = (records, since = '') => {
+  const flags = [];
+  const marked = records.filter(record => record.marked_by && !record.leave_request_id);
+
+  Object.entries(groupByEmployee(marked)).forEach(([employeeId, employeeRecords]) => {
+    if (employeeRecords.length < ANOMALY_THRESHOLDS.markerHistory) return;
+
+    const markerCounts = {};
+    employeeRecords.forEach(record => {
+      markerCounts[record.marked_by] = (markerCounts[record.marked_by] || 0) + 1;
+    });
+    const usualMarker = Object.keys(markerCounts).sort((a, b) => markerCounts[b] - markerCounts[a])[0];
+
+    Object.entries(markerCounts).forEach(([marker, count]) => {
+      if (count / employeeRecords.length >= ANOMALY_THRESHOLDS.unusualMarkerShare) return;
+
+      const markerRecords = employeeRecords.filter(record =>
+        record.marked_by === marker && record.date >= since
+      );
+      if (markerRecords.length === 0) return;
+
+      flags.push({
+        id: `${AnomalyType.UNUSUAL_MARKER}_${employeeId}_${marker}`,
+        type: AnomalyType.UNUSUAL_MARKER,
+        employee_id: employeeId,
+        marked_by: marker,
+        date: markerRecords[markerRecords.length - 1].date,
+        startDate: markerRecords[0].date,
+        endDate: markerRecords[markerRecords.length - 1].date,
+        count: markerRecords.length,
+        description: `Marked by ${marker} on ${markerRecords.length} day(s); ` +
+          `usually marked by ${usualMarker}`,
+        records: markerRecords
+      });
+    });
+  });
+
+  return flags;
+};
+
+/**
+ * Run every check over attendance and return the flags that fall in a period
+ * @param {Object} data - { records, employees, payments, calendar }; records
+ *   and payments should reach ANOMALY_LOOKBACK_DAYS before the period
+ * @param {string} startDate - Period start (YYYY-MM-DD)
+ * @param {string} endDate - Period end (YYYY-MM-DD)
+ * @returns {Array} Flags, latest first, each with { id, type, employee_id,
+ *   employee_name, date, startDate, endDate, count, description, records }
+ */
+export const detectAttendanceAnomalies = (data, startDate, endDate) => {
+  const calendar = data.calendar || null;
+  // Absences on holidays and weekly offs are off days, not absences
+  const records = applyCalendarToRecords(
+    (data.records || []).filter(record => record.date <= endDate),
+    calendar
+  );
+  const periodRecords = records.filter(record => record.date >= startDate);
+
+  const employeeNames = {};
+  (data.employees || []).forEach(employee => {
+    employeeNames[employee.id] = employee.name;
+  });
+
+  const flags = [
+    ...detectConsecutiveAbsences(records, calendar),
+    ...detectMondayAbsences(periodRecords, calendar),
+    ...detectAfterPaydayAbsences(records, data.payments || [], calendar),
+    ...detectCrewDrops(records, calendar),
+    ...detectUnusualMarkers(records, startDate)
+  ];
+
+  return flags
+    .filter(flag => flag.date >= startDate)
+    .map(flag => ({
+      ...flag,
+      employee_name: flag.employee_id ? employeeNames[flag.employee_id] || 'Unknown Employee' : null,
+      records: flag.records.map(record => ({
+        ...record,
+        employee_name: employeeNames[record.employee_id] || record.employee_name || 'Unknown Employee'
+      }))
+    }))
+    .sort((a, b) => b.date.localeCompare(a.date) || a.type.localeCompare(b.type));
+};
+
+/**
+ * Index flags by the attendance records behind them
+ * @param {Array} flags - Flags from detectAttendanceAnomalies
+ * @returns {Object} Attendance record ID to flags
+ */
+export const indexAnomaliesByRecord = (flags) => {
+  const index = {};
+  flags.forEach(flag => {
+    flag.records.forEach(record => {
+      if (!index[record.id]) {
+        index[record.id] = [];
+      }
+      index[record.id].push(flag);
+    });
+  });
+  return index;
+};
+
+/**
+ * Get display label for an anomaly type
+ * @param {string} type - Anomaly type
+ * @returns {string} Display label
+ */
+export const getAnomalyTypeLabel = (type) => {
+  switch (type) {
+    case AnomalyType.CONSECUTIVE_ABSENCE:
+      return 'Consecutive absences';
+    case AnomalyType.MONDAY_ABSENCE:
+      return 'Monday absences';
+    case AnomalyType.AFTER_PAYDAY_ABSENCE:
+      return 'Absent after payday';
+    case AnomalyType.CREW_DROP:
+      return 'Crew attendance drop';
+    case AnomalyType.UNUSUAL_MARKER:
+      return 'Unusual marker';
+    default:
+      return type;
+  }
+};
+
+/**
+ * Get icon for an anomaly type
+ * @param {string} type - Anomaly type
+ * @returns {string} Icon emoji
+ */
+export const getAnomalyTypeIcon = (type) => {
+  switch (type) {
+    case AnomalyType.CONSECUTIVE_ABSENCE:
+      return '🚨';
+    case AnomalyType.MONDAY_ABSENCE:
+      return '📆';
+    case AnomalyType.AFTER_PAYDAY_ABSENCE:
+      return '💸';
+    case AnomalyType.CREW_DROP:
+      return '📉';
+    case AnomalyType.UNUSUAL_MARKER:
+      return '🕵';
+    default:
+      return '⚠';
+  }
+};
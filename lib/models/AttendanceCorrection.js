@@ -0,0 +1,270 @@
+/**
+ * Attendance correction requests: a proposed change to a marked day,
+ * applied to the record only once an admin approves it
+ */
+
+import {
+  AttendanceStatus,
+  WORKED_STATUSES,
+  isValidTime,
+  getStatusLabel
+} from './Attendance';
+
+// Correction request status options
+export const CorrectionRequestStatus = {
+  PENDING: 'pending',
+  APPROVED: 'approved',
+  REJECTED: 'rejected',
+  CANCELLED: 'cancelled'
+};
+
+// Shortest reason accepted for a correction
+export const MIN_CORRECTION_REASON_LENGTH = 10;
+
+// Correction request schema definition
+export const CorrectionRequestSchema = {
+  attendance_id: {
+    required: true,
+    type: 'string' // employee_id_date of the record being corrected
+  },
+  employee_id: {
+    required: true,
+    type: 'string'
+  },
+  date: {
+    required: true,
+    type: 'string',
+    format: 'date' // YYYY-MM-DD
+  },
+  original_status: {
+    required: true,
+    type: 'string',
+    enum: Object.values(AttendanceStatus)
+  },
+  original_check_in_time: {
+    required: false,
+    type: 'time'
+  },
+  original_check_out_time: {
+    required: false,
+    type: 'time'
+  },
+  proposed_status: {
+    required: true,
+    type: 'string',
+    enum: Object.values(AttendanceStatus)
+  },
+  proposed_check_in_time: {
+    required: false,
+    type: 'time'
+  },
+  proposed_check_out_time: {
+    required: false,
+    type: 'time'
+  },
+  reason: {
+    required: true,
+    type: 'string',
+    maxLength: 500
+  },
+  status: {
+    required: true,
+    type: 'string',
+    enum: Object.values(CorrectionRequestStatus)
+  },
+  requested_by: {
+    required: true,
+    type: 'string'
+  },
+  reviewed_by: {
+    required: false,
+    type: 'string'
+  },
+  review_note: {
+    required: false,
+    type: 'string',
+    maxLength: 500
+  }
+};
+
+/**
+ * Validate correction request form data
+ * @param {Object} requestData - { employee_id, date, proposed_status, proposed_check_in_time, proposed_check_out_time, reason }
+ * @returns {Object} Validation result with isValid and errors
+ */
+export const validateCorrectionRequest = (requestData) => {
+  const errors = {};
+
+  if (!requestData.employee_id) {
+    errors.employee_id = 'Employee is required';
+  }
+
+  if (!/^\d{4}-\d{2}-\d{2}$/.test(requestData.date || '') || isNaN(new Date(requestData.date).getTime())) {
+    errors.date = 'Valid date is required';
+  }
+
+  if (!Object.values(AttendanceStatus).includes(requestData.proposed_status)) {
+    errors.proposed_status = 'Corrected status is required';
+  }
+
+  const checkIn = requestData.proposed_check_in_time;
+  const checkOut = requestData.proposed_check_out_time;
+  if (checkIn && !isValidTime(checkIn)) {
+    errors.proposed_check_in_time = 'Check-in time must be in HH:MM format';
+  }
+  if (checkOut && !isValidTime(checkOut)) {
+    errors.proposed_check_out_time = 'Check-out time must be in HH:MM format';
+  } else if (checkOut && !checkIn) {
+    errors.proposed_check_out_time = 'Check-out time needs a check-in time';
+  } else if (checkOut && checkIn === checkOut) {
+    errors.proposed_check_out_time = 'Check-out time must differ from check-in time';
+  }
+  if ((checkIn || checkOut) && !errors.proposed_status && !WORKED_STATUSES.includes(requestData.proposed_status)) {
+    errors.proposed_check_in_time = `Times cannot be recorded for ${getStatusLabel(requestData.proposed_status).toLowerCase()}`;
+  }
+
+  const reason = (requestData.reason || '').trim();
+  if (!reason) {
+    errors.reason = 'A reason for the correction is required';
+  } else if (reason.length < MIN_CORRECTION_REASON_LENGTH) {
+    errors.reason = `Reason must be at least ${MIN_CORRECTION_REASON_LENGTH} characters`;
+  } else if (reason.length > 500) {
+    errors.reason = 'Reason cannot exceed 500 characters';
+  }
+
+  return { isValid: Object.keys(errors).length === 0, errors };
+};
+
+/**
+ * Check whether a correction would change anything on the record
+ * @param {Object} record - Current attendance record
+ * @param {Object} requestData - Correction form data
+ * @returns {boolean} True if the status or a time differs
+ */
+export const correctionChangesRecord = (record, requestData) => {
+  return record.status !== requestData.proposed_status ||
+    (record.check_in_time || '') !== (requestData.proposed_check_in_time || '') ||
+    (record.check_out_time || '') !== (requestData.proposed_check_out_time || '');
+};
+
+/**
+ * Format a correction request for storage, recording the values it replaces
+ * @param {Object} requestData - Correction form data
+ * @param {Object} record - Attendance record being corrected
+ * @param {string} employeeName - Employee's name, kept for display
+ * @param {string} requestedBy - Email of the supervisor entering it
+ * @returns {Object} Formatted correction request for Firestore
+ */
+export const formatCorrectionRequestForStorage = (requestData, record, employeeName, requestedBy) => ({
+  attendance_id: record.attendance_id,
+  employee_id: record.employee_id,
+  employee_name: employeeName || '',
+  date: record.date,
+  original_status: record.status,
+  original_check_in_time: record.check_in_time || null,
+  original_check_out_time: record.check_out_time || null,
+  proposed_status: requestData.proposed_status,
+  proposed_check_in_time: requestData.proposed_check_in_time || null,
+  proposed_check_out_time: requestData.proposed_check_out_time || null,
+  reason: requestData.reason.trim(),
+  status: CorrectionRequestStatus.PENDING,
+  requested_by: requestedBy || '',
+  requested_at: new Date().toISOString()
+});
+
+/**
+ * Check whether the record still holds the values the request was raised against
+ * @param {Object} record - Current attendance record
+ * @param {Object} request - Correction request
+ * @returns {boolean} True if nobody has changed the record since
+ */
+export const recordMatchesCorrectionOriginal = (record, request) => {
+  return record.status === request.original_status &&
+    (record.check_in_time || null) === (request.original_check_in_time || null) &&
+    (record.check_out_time || null) === (request.original_check_out_time || null);
+};
+
+/**
+ * Build the attendance update that applies an approved correction
+ * @param {Object} record - Current attendance record
+ * @param {Object} request - Correction request
+ * @param {string} reviewerEmail - Email of the approving admin
+ * @returns {Object} Attendance data for attendanceService.updateAttendance
+ */
+export const buildCorrectedAttendance = (record, request, reviewerEmail) => ({
+  employee_id: record.employee_id,
+  date: record.date,
+  status: request.proposed_status,
+  marked_by: reviewerEmail,
+  check_in_time: request.proposed_check_in_time || '',
+  check_out_time: request.proposed_check_out_time || '',
+  notes: record.notes || '',
+  location: record.location || null,
+  shift_id: record.shift_id || ''
+});
+
+/**
+ * Create empty correction request object for forms
+ * @returns {Object} Empty correction request object
+ */
+export const createEmptyCorrectionRequest = () => ({
+  employee_id: '',
+  date: '',
+  proposed_status: '',
+  proposed_check_in_time: '',
+  proposed_check_out_time: '',
+  reason: ''
+});
+
+/**
+ * Describe a status with its times, e.g. 'Present (09:00–18:00)'
+ * @param {string} status - Attendance status
+ * @param {string} checkIn - Check-in time
+ * @param {string} checkOut - Check-out time
+ * @returns {string} Description
+ */
+export const describeCorrectionValue = (status, checkIn, checkOut) => {
+  const label = getStatusLabel(status);
+  if (!checkIn) return label;
+  return `${label} (${checkIn}–${checkOut || '…'})`;
+};
+
+/**
+ * Get correction request status label for display
+ * @param {string} status - Correction request status
+ * @returns {string} Display label
+ */
+export const getCorrectionStatusLabel = (status) => {
+  switch (status) {
+    case CorrectionRequestStatus.PENDING:
+      return 'Pending';
+    case CorrectionRequestStatus.APPROVED:
+      return 'Approved';
+    case CorrectionRequestStatus.REJECTED:
+      return 'Rejected';
+    case CorrectionRequestStatus.CANCELLED:
+      return 'Cancelled';
+    default:
+      return 'Unknown';
+  }
+};
+
+/**
+ * Get correction request status color for UI
+ * @param {string} status - Correction request status
+ * @returns {string} Color code
+ */
+export const getCorrectionStatusColor = (status) => {
+  switch (status) {
+    case CorrectionRequestStatus.PENDING:
+      return '#ffc107';
+    case CorrectionRequestStatus.APPROVED:
+      return '#28a745';
+    case CorrectionRequestStatus.REJECTED:
+      return '#dc3545';
+    case CorrectionRequestStatus.CANCELLED:
+      return '#6c757d';
+    default:
+      return '#6c757d';
+  }
+};
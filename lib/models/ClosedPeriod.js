@@ -0,0 +1,258 @@
+/**
+ * Closed period data model: date ranges an admin has closed for changes
+ */
+
+import { periodsOverlap } from './PayrollRun';
+
+// Period types an admin can close
+export const PeriodType = {
+  WEEK: 'week',
+  MONTH: 'month',
+  CUSTOM: 'custom'
+};
+
+// Period status options
+export const PeriodStatus = {
+  CLOSED: 'closed',
+  REOPENED: 'reopened'
+};
+
+// Actions kept in a period's history
+export const PeriodAction = {
+  CLOSED: 'closed',
+  REOPENED: 'reopened'
+};
+
+// Shortest reason accepted when reopening a period
+export const MIN_REOPEN_REASON_LENGTH = 10;
+
+// Closed period schema definition
+export const ClosedPeriodSchema = {
+  period_type: {
+    required: true,
+    type: 'string',
+    enum: Object.values(PeriodType)
+  },
+  start_date: {
+    required: true,
+    type: 'date'
+  },
+  end_date: {
+    required: true,
+    type: 'date'
+  },
+  status: {
+    required: true,
+    type: 'string',
+    enum: Object.values(PeriodStatus)
+  },
+  note: {
+    required: false,
+    type: 'string',
+    maxLength: 500
+  },
+  history: {
+    required: true,
+    type: 'array' // [{ action, by, at, reason }], oldest first
+  }
+};
+
+const isValidDateString = (value) => {
+  return typeof value === 'string' &&
+    /^\d{4}-\d{2}-\d{2}$/.test(value) &&
+    !isNaN(new Date(value).getTime());
+};
+
+/**
+ * Get the first and last dates of the week or month containing a date.
+ * Weeks run Monday to Sunday.
+ * @param {string} periodType - PeriodType.WEEK or PeriodType.MONTH
+ * @param {string} date - Any date in the period (YYYY-MM-DD)
+ * @returns {Object} { startDate, endDate } (YYYY-MM-DD)
+ */
+export const getPeriodBounds = (periodType, date) => {
+  const [year, month, day] = date.split('-').map(Number);
+  const toDateString = (utcDate) => utcDate.toISOString().split('T')[0];
+
+  if (periodType === PeriodType.MONTH) {
+    return {
+      startDate: toDateString(new Date(Date.UTC(year, month - 1, 1))),
+      endDate: toDateString(new Date(Date.UTC(year, month, 0)))
+    };
+  }
+
+  const current = new Date(Date.UTC(year, month - 1, day));
+  const daysSinceMonday = (current.getUTCDay() + 6) % 7;
+  return {
+    startDate: toDateString(new Date(Date.UTC(year, month - 1, day - daysSinceMonday))),
+    endDate: toDateString(new Date(Date.UTC(year, month - 1, day - daysSinceMonday + 6)))
+  };
+};
+
+/**
+ * Validate a request to close a period
+ * @param {Object} periodData - { period_type, start_date, end_date, note }
+ * @param {string} today - Today's date (YYYY-MM-DD); periods must have ended by then
+ * @returns {Object} Validation result with isValid and errors
+ */
+export const validateClosePeriod = (periodData, today) => {
+  const errors = {};
+
+  if (!Object.values(PeriodType).includes(periodData.period_type)) {
+    errors.period_type = 'Invalid period type';
+  }
+
+  if (!isValidDateString(periodData.start_date)) {
+    errors.start_date = 'Valid start date is required';
+  }
+  if (!isValidDateString(periodData.end_date)) {
+    errors.end_date = 'Valid end date is required';
+  }
+
+  if (!errors.start_date && !errors.end_date) {
+    if (periodData.end_date < periodData.start_date) {
+      errors.end_date = 'End date cannot be before start date';
+    } else if (periodData.end_date > today) {
+      errors.end_date = 'Cannot close a period that has not ended yet';
+    }
+  }
+
+  if (periodData.note && periodData.note.length > 500) {
+    errors.note = 'Note cannot exceed 500 characters';
+  }
+
+  return { isValid: Object.keys(errors).length === 0, errors };
+};
+
+/**
+ * Validate the reason given for reopening a period
+ * @param {string} reason - Written reason
+ * @returns {Object} Validation result with isValid and errors
+ */
+export const validateReopenReason = (reason) => {
+  const errors = {};
+  const trimmed = (reason || '').trim();
+
+  if (!trimmed) {
+    errors.reason = 'A reason is required to reopen a period';
+  } else if (trimmed.length < MIN_REOPEN_REASON_LENGTH) {
+    errors.reason = `Reason must be at least ${MIN_REOPEN_REASON_LENGTH} characters`;
+  } else if (trimmed.length > 500) {
+    errors.reason = 'Reason cannot exceed 500 characters';
+  }
+
+  return { isValid: Object.keys(errors).length === 0, errors };
+};
+
+/**
+ * Describe a period for display, e.g. 'March 2024' or '2024-03-04 to 2024-03-10'
+ * @param {Object} period - { period_type, start_date, end_date }
+ * @returns {string} Label
+ */
+export const getPeriodLabel = (period) => {
+  if (period.period_type === PeriodType.MONTH) {
+    const [year, month] = period.start_date.split('-').map(Number);
+    return new Date(Date.UTC(year, month - 1, 1))
+      .toLocaleDateString('en-US', { month: 'long', year: 'numeric', timeZone: 'UTC' });
+  }
+  if (period.period_type === PeriodType.WEEK) {
+    return `Week of ${period.start_date}`;
+  }
+  return `${period.start_date} to ${period.end_date}`;
+};
+
+/**
+ * Format a newly closed period for storage
+ * @param {Object} periodData - { period_type, start_date, end_date, note }
+ * @param {string} closedBy - Email of the admin closing the period
+ * @returns {Object} Formatted period for Firestore
+ */
+export const formatClosedPeriodForStorage = (periodData, closedBy) => {
+  const now = new Date().toISOString();
+  const period = {
+    period_type: periodData.period_type,
+    start_date: periodData.start_date,
+    end_date: periodData.end_date,
+    note: (periodData.note || '').trim()
+  };
+
+  return {
+    ...period,
+    label: getPeriodLabel(period),
+    status: PeriodStatus.CLOSED,
+    closed_by: closedBy || '',
+    closed_at: now,
+    history: [
+      { action: PeriodAction.CLOSED, by: closedBy || '', at: now, reason: period.note }
+    ]
+  };
+};
+
+/**
+ * Check whether a closed period covers a date
+ * @param {Object} period - Closed period
+ * @param {string} date - Date (YYYY-MM-DD)
+ * @returns {boolean} True if the period is closed and contains the date
+ */
+export const periodCoversDate = (period, date) => {
+  if (!period || !date) return false;
+  return period.status === PeriodStatus.CLOSED &&
+         period.start_date <= date &&
+         period.end_date >= date;
+};
+
+/**
+ * Find the closed period containing a date
+ * @param {Array} periods - Closed periods
+ * @param {string} date - Date (YYYY-MM-DD)
+ * @returns {Object|null} Closed period or null
+ */
+export const findPeriodCoveringDate = (periods = [], date) => {
+  return periods.find(period => periodCoversDate(period, date)) || null;
+};
+
+/**
+ * Find a closed period overlapping a date range
+ * @param {Array} periods - Closed periods
+ * @param {string} startDate - Range start (YYYY-MM-DD)
+ * @param {string} endDate - Range end (YYYY-MM-DD)
+ * @returns {Object|null} Overlapping closed period or null
+ */
+export const findOverlappingPeriod = (periods = [], startDate, endDate) => {
+  return periods.find(period =>
+    period.status === PeriodStatus.CLOSED &&
+    periodsOverlap(startDate, endDate, period.start_date, period.end_date)
+  ) || null;
+};
+
+/**
+ * Get status label for display
+ * @param {string} status - Period status
+ * @returns {string} Display label
+ */
+export const getPeriodStatusLabel = (status) => {
+  switch (status) {
+    case PeriodStatus.CLOSED:
+      return 'Closed';
+    case PeriodStatus.REOPENED:
+      return 'Reopened';
+    default:
+      return 'Unknown';
+  }
+};
+
+/**
+ * Get status color for display
+ * @param {string} status - Period status
+ * @returns {string} Color code
+ */
+export const getPeriodStatusColor = (status) => {
+  switch (status) {
+    case PeriodStatus.CLOSED:
+      return '#dc3545'; // Red
+    case PeriodStatus.REOPENED:
+      return '#ffc107'; // Amber
+    default:
+      return '#6c757d';
+  }
+};
@@ -10,6 +10,49 @@ export const EmployeeDesignations = {
   ADMIN: 'Admin'
 };
 
+// Skill levels that minimum wages are notified for
+export const SkillCategory = {
+  UNSKILLED: 'unskilled',
+  SEMI_SKILLED: 'semi_skilled',
+  SKILLED: 'skilled',
+  HIGHLY_SKILLED: 'highly_skilled'
+};
+
+// How an employee's wage rates are expressed and paid
+export const PayBasis = {
+  DAILY: 'daily', // Per paid day
+  MONTHLY: 'monthly', // Per month, pro-rated by paid days
+  HOURLY: 'hourly', // Per hour worked
+  OUTPUT: 'output' // Only by output measured in piece-rate work entries; no day pay
+};
+
+// Daily wage rate limits (INR)
+export const WageRateLimits = {
+  MIN: 1,
+  MAX: 50000
+};
+
+// Wage rate limits for each pay basis (INR per day, month or hour)
+export const PayBasisRateLimits = {
+  [PayBasis.DAILY]: WageRateLimits,
+  [PayBasis.MONTHLY]: { MIN: 1, MAX: 1000000 },
+  [PayBasis.HOURLY]: { MIN: 1, MAX: 10000 }
+};
+
+// Suggested amount for a new wage rate entry (INR per day). Every day was
+// paid at this rate before employees had their own wage rates.
+export const DEFAULT_DAILY_RATE = 750;
+
+// Prefix of the value encoded in employee QR badges
+export const EMPLOYEE_BADGE_PREFIX = 'AMITOJ-EMP:';
+
+// User IDs enrolled on biometric attendance devices
+export const DEVICE_USER_ID_PATTERN = /^[A-Za-z0-9_-]{1,20}$/;
+
+// Provident fund Universal Account Number and ESI insurance number
+export const UAN_PATTERN = /^\d{12}$/;
+export const ESI_NUMBER_PATTERN = /^\d{10}$/;
+
 // Employee schema definition
 export const EmployeeSchema = {
   name: {
@@ -38,6 +81,52 @@ export const EmployeeSchema = {
     type: 'number',
     min: 18,
     max: 65
+  },
+  device_user_id: {
+    required: false,
+    type: 'string',
+    pattern: DEVICE_USER_ID_PATTERN // User ID on the site's fingerprint machine
+  },
+  pay_basis: {
+    required: false,
+    type: 'string',
+    enum: Object.values(PayBasis) // Daily when not set
+  },
+  skill_category: {
+    required: false,
+    type: 'string',
+    enum: Object.values(SkillCategory) // Minimum wage is not checked when not set
+  },
+  work_state: {
+    required: false,
+    type: 'string',
+    maxLength: 50 // Minimum wage state; the payroll settings' state when empty
+  },
+  uan: {
+    required: false,
+    type: 'string',
+    pattern: UAN_PATTERN // For PF returns
+  },
+  esi_number: {
+    required: false,
+    type: 'string',
+    pattern: ESI_NUMBER_PATTERN // For ESI returns
+  },
+  wage_rates: {
+    required: false,
+    type: 'array',
+    items: {
+      amount: {
+        required: true,
+        type: 'number',
+        min: WageRateLimits.MIN,
+        max: PayBasisRateLimits[PayBasis.MONTHLY].MAX // Limit depends on pay_basis
+      },
+      effective_from: {
+        required: true,
+        type: 'date'
+      }
+    }
   }
 };
 
@@ -110,9 +199,89 @@ export const validateEmployee = (employeeData) => {
     }
   }
 
+  // Validate biometric device user ID (optional)
+  if (employeeData.device_user_id && employeeData.device_user_id.trim() !== '') {
+    if (!DEVICE_USER_ID_PATTERN.test(employeeData.device_user_id.trim())) {
+      errors.device_user_id = 'Device user ID can only contain letters, digits, - and _ (up to 20)';
+      isValid = false;
+    }
+  }
+
+  // Validate skill category and work state (optional)
+  if (employeeData.skill_category && !Object.values(SkillCategory).includes(employeeData.skill_category)) {
+    errors.skill_category = 'Please select a valid skill category';
+    isValid = false;
+  }
+
+  if (employeeData.work_state && employeeData.work_state.trim().length > 50) {
+    errors.work_state = 'State cannot exceed 50 characters';
+    isValid = false;
+  }
+
+  // Validate PF and ESI numbers (optional)
+  if (employeeData.uan && employeeData.uan.trim() !== '' && !UAN_PATTERN.test(employeeData.uan.trim())) {
+    errors.uan = 'UAN must be exactly 12 digits';
+    isValid = false;
+  }
+
+  if (employeeData.esi_number && employeeData.esi_number.trim() !== '' &&
+      !ESI_NUMBER_PATTERN.test(employeeData.esi_number.trim())) {
+    errors.esi_number = 'ESI number must be exactly 10 digits';
+    isValid = false;
+  }
+
+  // Validate pay basis (optional; daily when not set)
+  if (employeeData.pay_basis && !Object.values(PayBasis).includes(employeeData.pay_basis)) {
+    errors.pay_basis = 'Please select a valid pay basis';
+    isValid = false;
+  }
+
+  // Validate wage rate history (optional)
+  const wageRateError = validateWageRates(employeeData.wage_rates, employeeData.pay_basis);
+  if (wageRateError) {
+    errors.wage_rates = wageRateError;
+    isValid = false;
+  }
+
   return { isValid, errors };
 };
 
+/**
+ * Validate an employee's wage rate history
+ * @param {Array} wageRates - Array of { amount, effective_from } entries
+ * @param {string} payBasis - Pay basis the amounts are expressed in (daily by default)
+ * @returns {string|null} Error message, or null if the history is valid
+ */
+export const validateWageRates = (wageRates, payBasis = PayBasis.DAILY) => {
+  if (wageRates === undefined || wageRates === null) return null;
+
+  if (!Array.isArray(wageRates)) {
+    return 'Wage rates must be a list';
+  }
+
+  const basis = PayBasisRateLimits[payBasis] ? payBasis : PayBasis.DAILY;
+  const limits = PayBasisRateLimits[basis];
+  const seenDates = new Set();
+
+  for (const rate of wageRates) {
+    const amount = parseFloat(rate.amount);
+    if (isNaN(amount) || amount < limits.MIN || amount > limits.MAX) {
+      return `${getPayBasisLabel(basis)} rate must be between ₹${limits.MIN} and ₹${limits.MAX.toLocaleString('en-IN')}`;
+    }
+
+    if (!rate.effective_from || isNaN(new Date(rate.effective_from).getTime())) {
+      return 'Each wage rate needs a valid effective-from date';
+    }
+
+    if (seenDates.has(rate.effective_from)) {
+      return `More than one wage rate is effective from ${rate.effective_from}`;
+    }
+    seenDates.add(rate.effective_from);
+  }
+
+  return null;
+};
+
 /**
  * Format employee data for display
  * @param {Object} employee - Employee data
@@ -153,9 +322,162 @@ export const formatEmployeeForStorage = (employeeData) => {
     formatted.age = parseInt(employeeData.age);
   }
 
+  formatted.pay_basis = employeeData.pay_basis || PayBasis.DAILY;
+  formatted.skill_category = employeeData.skill_category || '';
+  formatted.work_state = employeeData.work_state ? employeeData.work_state.trim() : '';
+  formatted.uan = employeeData.uan ? employeeData.uan.trim() : '';
+  formatted.esi_number = employeeData.esi_number ? employeeData.esi_number.trim() : '';
+
+  // Stored even when empty, so clearing it unlinks the device user
+  formatted.device_user_id = normalizeDeviceUserId(employeeData.device_user_id) || null;
+
+  if (Array.isArray(employeeData.wage_rates)) {
+    formatted.wage_rates = formatWageRatesForStorage(employeeData.wage_rates);
+  }
+
   return formatted;
 };
 
+/**
+ * Format wage rate history for storage (sorted oldest first)
+ * @param {Array} wageRates - Raw wage rate entries
+ * @returns {Array} Formatted wage rate entries
+ */
+export const formatWageRatesForStorage = (wageRates) => {
+  return wageRates
+    .map(rate => ({
+      amount: parseFloat(parseFloat(rate.amount).toFixed(2)),
+      effective_from: rate.effective_from
+    }))
+    .sort((a, b) => a.effective_from.localeCompare(b.effective_from));
+};
+
+/**
+ * Get an employee's pay basis; records saved before pay bases existed are daily
+ * @param {Object} employee - Employee data
+ * @returns {string} Pay basis
+ */
+export const getPayBasis = (employee) => {
+  return employee && Object.values(PayBasis).includes(employee.pay_basis) ?
+    employee.pay_basis : PayBasis.DAILY;
+};
+
+/**
+ * Get display label for a pay basis
+ * @param {string} payBasis - Pay basis
+ * @returns {string} Display label
+ */
+export const getPayBasisLabel = (payBasis) => {
+  switch (payBasis) {
+    case PayBasis.DAILY:
+      return 'Daily';
+    case PayBasis.MONTHLY:
+      return 'Monthly';
+    case PayBasis.HOURLY:
+      return 'Hourly';
+    case PayBasis.OUTPUT:
+      return 'Output';
+    default:
+      return payBasis;
+  }
+};
+
+/**
+ * Get the unit a pay basis's rates are quoted per, e.g. "day" for "₹750/day"
+ * @param {string} payBasis - Pay basis
+ * @returns {string} Rate unit
+ */
+export const getPayBasisUnit = (payBasis) => {
+  switch (payBasis) {
+    case PayBasis.MONTHLY:
+      return 'month';
+    case PayBasis.HOURLY:
+      return 'hour';
+    default:
+      return 'day';
+  }
+};
+
+/**
+ * Get display label for a skill category
+ * @param {string} category - Skill category
+ * @returns {string} Display label
+ */
+export const getSkillCategoryLabel = (category) => {
+  switch (category) {
+    case SkillCategory.UNSKILLED:
+      return 'Unskilled';
+    case SkillCategory.SEMI_SKILLED:
+      return 'Semi-skilled';
+    case SkillCategory.SKILLED:
+      return 'Skilled';
+    case SkillCategory.HIGHLY_SKILLED:
+      return 'Highly skilled';
+    default:
+      return 'Not set';
+  }
+};
+
+/**
+ * Get the wage rate in force on a given date
+ * @param {Array} wageRates - Employee wage rate history
+ * @param {string} date - Date in YYYY-MM-DD format
+ * @returns {Object|null} Wage rate entry in force on that date, or null if none
+ */
+export const getWageRateForDate = (wageRates, date) => {
+  if (!Array.isArray(wageRates) || !date) return null;
+
+  return wageRates
+    .filter(rate => rate.effective_from <= date)
+    .reduce((latest, rate) => (
+      !latest || rate.effective_from > latest.effective_from ? rate : latest
+    ), null);
+};
+
+/**
+ * Get the wage rate in force today
+ * @param {Object} employee - Employee data
+ * @returns {Object|null} Current wage rate entry or null
+ */
+export const getCurrentWageRate = (employee) => {
+  if (!employee) return null;
+  return getWageRateForDate(employee.wage_rates, new Date().toISOString().split('T')[0]);
+};
+
+/**
+ * Get the first day an employee has to be paid for without a wage rate in
+ * force: the joining date or first attendance day, whichever is earlier,
+ * when no rate covers it. Employees paid by output need no rate.
+ * @param {Object} employee - Employee data
+ * @param {string|null} firstAttendanceDate - Earliest attendance date (YYYY-MM-DD)
+ * @returns {string|null} First unrated day, or null if every day has a rate
+ */
+export const getFirstUnratedDate = (employee, firstAttendanceDate = null) => {
+  if (getPayBasis(employee) === PayBasis.OUTPUT) return null;
+  const firstDay = [employee.joining_date, firstAttendanceDate].filter(Boolean).sort()[0];
+  if (!firstDay) return null;
+  return getWageRateForDate(employee.wage_rates, firstDay) ? null : firstDay;
+};
+
+/**
+ * Seed the wage rate history of a daily-rated employee recorded before wage
+ * rates existed: the days they were paid at DEFAULT_DAILY_RATE get that rate
+ * from their first unrated day, ahead of any rates already recorded
+ * @param {Object} employee - Employee data
+ * @param {string|null} firstAttendanceDate - Earliest attendance date (YYYY-MM-DD)
+ * @returns {Array|null} Wage rates to store, or null if none are missing or
+ *   the employee is not paid by the day
+ */
+export const planWageRateSeed = (employee, firstAttendanceDate = null) => {
+  const firstUnrated = getFirstUnratedDate(employee, firstAttendanceDate);
+  if (!firstUnrated || getPayBasis(employee) !== PayBasis.DAILY) return null;
+
+  return formatWageRatesForStorage([
+    { amount: DEFAULT_DAILY_RATE, effective_from: firstUnrated },
+    ...(employee.wage_rates || [])
+  ]);
+};
+
 /**
  * Format Aadhar ID for display (mask middle digits)
  * @param {string} aadharId - Aadhar ID
@@ -263,7 +585,14 @@ export const createEmptyEmployee = () => ({
   designation: '',
   aadhar_id: '',
   joining_date: '',
-  age: ''
+  age: '',
+  device_user_id: '',
+  pay_basis: PayBasis.DAILY,
+  skill_category: '',
+  work_state: '',
+  uan: '',
+  esi_number: '',
+  wage_rates: []
 });
 
 /**
@@ -291,4 +620,37 @@ export const getEmployeeStatus = (joiningDate) => {
   } catch (error) {
     return { status: 'unknown', label: 'Unknown', color: '#6c757d' };
   }
-};
\ No newline at end of file
+};
+
+/**
+ * Get the value encoded in an employee's QR badge
+ * @param {Object} employee - Employee data
+ * @returns {string} Badge value
+ */
+export const getEmployeeBadgeValue = (employee) => {
+  return `${EMPLOYEE_BADGE_PREFIX}${employee.id}`;
+};
+
+/**
+ * Read the employee ID from a scanned QR badge
+ * @param {string} value - Scanned text
+ * @returns {string|null} Employee ID, or null if it is not an employee badge
+ */
+export const parseEmployeeBadgeValue = (value) => {
+  const text = String(value || '').trim();
+  if (!text.startsWith(EMPLOYEE_BADGE_PREFIX)) return null;
+
+  const employeeId = text.slice(EMPLOYEE_BADGE_PREFIX.length);
+  return /^[A-Za-z0-9_-]+$/.test(employeeId) ? employeeId : null;
+};
+
+/**
+ * Normalize a biometric device user ID so that padded numbers match,
+ * e.g. '00017' and '17'
+ * @param {string|number} value - User ID from a device log or the employee form
+ * @returns {string} Normalized user ID, or '' if empty
+ */
+export const normalizeDeviceUserId = (value) => {
+  const text = String(value === undefined || value === null ? '' : value).trim();
+  return /^\d+$/.test(text) ? String(parseInt(text, 10)) : text;
+};
@@ -0,0 +1,221 @@
+/**
+ * Holiday calendar data model and validation utilities
+ */
+
+import { AttendanceStatus } from './Attendance';
+
+// Holiday types
+export const HolidayTypes = {
+  PUBLIC: 'public',
+  FESTIVAL: 'festival',
+  SITE_SHUTDOWN: 'site-shutdown'
+};
+
+// Holiday schema definition
+export const HolidaySchema = {
+  date: {
+    required: true,
+    type: 'string',
+    format: 'date' // YYYY-MM-DD
+  },
+  name: {
+    required: true,
+    type: 'string',
+    minLength: 2,
+    maxLength: 100
+  },
+  type: {
+    required: true,
+    type: 'string',
+    enum: Object.values(HolidayTypes)
+  },
+  notes: {
+    required: false,
+    type: 'string',
+    maxLength: 500
+  },
+  created_by: {
+    required: false,
+    type: 'string'
+  }
+};
+
+/**
+ * Validate holiday data
+ * @param {Object} holidayData - Holiday data to validate
+ * @returns {Object} Validation result with isValid and errors
+ */
+export const validateHoliday = (holidayData) => {
+  const errors = {};
+
+  if (!holidayData.date) {
+    errors.date = 'Date is required';
+  } else if (!/^\d{4}-\d{2}-\d{2}$/.test(holidayData.date) || isNaN(new Date(holidayData.date).getTime())) {
+    errors.date = 'Invalid date';
+  }
+
+  const name = (holidayData.name || '').trim();
+  if (!name) {
+    errors.name = 'Holiday name is required';
+  } else if (name.length < 2) {
+    errors.name = 'Holiday name must be at least 2 characters';
+  } else if (name.length > 100) {
+    errors.name = 'Holiday name cannot exceed 100 characters';
+  }
+
+  if (!Object.values(HolidayTypes).includes(holidayData.type)) {
+    errors.type = 'Invalid holiday type';
+  }
+
+  if (holidayData.notes && holidayData.notes.length > 500) {
+    errors.notes = 'Notes cannot exceed 500 characters';
+  }
+
+  return { isValid: Object.keys(errors).length === 0, errors };
+};
+
+/**
+ * Format holiday data for storage
+ * @param {Object} holidayData - Raw holiday form data
+ * @returns {Object} Formatted holiday for Firestore
+ */
+export const formatHolidayForStorage = (holidayData) => {
+  const formatted = {
+    date: holidayData.date,
+    name: holidayData.name.trim(),
+    type: holidayData.type,
+    notes: (holidayData.notes || '').trim()
+  };
+
+  if (holidayData.created_by) {
+    formatted.created_by = holidayData.created_by;
+  }
+
+  return formatted;
+};
+
+/**
+ * Create empty holiday object for forms
+ * @returns {Object} Empty holiday object
+ */
+export const createEmptyHoliday = () => ({
+  date: '',
+  name: '',
+  type: HolidayTypes.PUBLIC,
+  notes: ''
+});
+
+/**
+ * Get holiday type label for display
+ * @param {string} type - Holiday type
+ * @returns {string} Display label
+ */
+export const getHolidayTypeLabel = (type) => {
+  switch (type) {
+    case HolidayTypes.PUBLIC:
+      return 'Public Holiday';
+    case HolidayTypes.FESTIVAL:
+      return 'Festival';
+    case HolidayTypes.SITE_SHUTDOWN:
+      return 'Site Shutdown';
+    default:
+      return 'Holiday';
+  }
+};
+
+/**
+ * Build a work calendar from holidays and the weekly-off days
+ * @param {Array} holidays - Holiday records
+ * @param {Array} weeklyOffs - Day numbers (0 = Sunday) that are weekly offs
+ * @returns {Object} { holidaysByDate, weeklyOffs }
+ */
+export const buildWorkCalendar = (holidays = [], weeklyOffs = []) => ({
+  holidaysByDate: holidays.reduce((byDate, holiday) => {
+    byDate[holiday.date] = holiday;
+    return byDate;
+  }, {}),
+  weeklyOffs: weeklyOffs.map(Number)
+});
+
+/**
+ * Get the day of the week for a YYYY-MM-DD date, independent of timezone
+ * @param {string} date - Date (YYYY-MM-DD)
+ * @returns {number} Day number (0 = Sunday)
+ */
+export const getDayOfWeek = (date) => {
+  return new Date(`${date}T00:00:00Z`).getUTCDay();
+};
+
+/**
+ * Check whether a date is a holiday or weekly off in the calendar
+ * @param {Object} calendar - Work calendar from buildWorkCalendar
+ * @param {string} date - Date (YYYY-MM-DD)
+ * @returns {Object|null} { status, name } for an off day, null for a working day
+ */
+export const getOffDay = (calendar, date) => {
+  if (!calendar || !date) return null;
+
+  const holiday = calendar.holidaysByDate[date];
+  if (holiday) {
+    return { status: AttendanceStatus.HOLIDAY, name: holiday.name };
+  }
+
+  if (calendar.weeklyOffs.includes(getDayOfWeek(date))) {
+    return { status: AttendanceStatus.WEEK_OFF, name: 'Weekly off' };
+  }
+
+  return null;
+};
+
+/**
+ * Describe an off day for messages, e.g. "a holiday (Diwali)" or "a weekly off"
+ * @param {Object} offDay - Off day from getOffDay
+ * @returns {string} Description
+ */
+export const describeOffDay = (offDay) => {
+  if (!offDay) return '';
+  return offDay.status === AttendanceStatus.HOLIDAY ? `a holiday (${offDay.name})` : 'a weekly off';
+};
+
+/**
+ * List the off days between two dates (inclusive)
+ * @param {Object} calendar - Work calendar from buildWorkCalendar
+ * @param {string} startDate - Start date (YYYY-MM-DD)
+ * @param {string} endDate - End date (YYYY-MM-DD)
+ * @returns {Array} Array of { date, status, name }
+ */
+export const getOffDaysInRange = (calendar, startDate, endDate) => {
+  const offDays = [];
+  if (!calendar || !startDate || !endDate || startDate > endDate) return offDays;
+
+  const cursor = new Date(`${startDate}T00:00:00Z`);
+  const end = new Date(`${endDate}T00:00:00Z`);
+  while (cursor <= end) {
+    const date = cursor.toISOString().split('T')[0];
+    const offDay = getOffDay(calendar, date);
+    if (offDay) {
+      offDays.push({ date, ...offDay });
+    }
+    cursor.setUTCDate(cursor.getUTCDate() + 1);
+  }
+
+  return offDays;
+};
+
+/**
+ * Apply the work calendar to attendance records: a record marked absent on a
+ * holiday or weekly off is counted as that off day instead
+ * @param {Array} records - Attendance records
+ * @param {Object} calendar - Work calendar from buildWorkCalendar
+ * @returns {Array} Records with calendar statuses applied
+ */
+export const applyCalendarToRecords = (records, calendar) => {
+  if (!calendar) return records;
+
+  return records.map(record => {
+    if (record.status !== AttendanceStatus.ABSENT) return record;
+
+    const offDay = getOffDay(calendar, record.date);
+    return offDay ? { ...record, status: offDay.status } : record;
+  });
+};
@@ -0,0 +1,451 @@
+/**
+ * Leave types, leave requests and leave balance utilities
+ */
+
+import { AttendanceStatus } from './Attendance';
+import { getOffDay } from './Holiday';
+
+// How a leave type's yearly allowance is credited
+export const LeaveAccrual = {
+  YEARLY: 'yearly', // Whole allowance on 1 January (pro-rated in the joining year)
+  MONTHLY: 'monthly' // One twelfth of the allowance at the start of each month
+};
+
+// Leave request status options
+export const LeaveRequestStatus = {
+  PENDING: 'pending',
+  APPROVED: 'approved',
+  REJECTED: 'rejected',
+  CANCELLED: 'cancelled'
+};
+
+// Statuses whose days count against the balance
+export const BOOKED_REQUEST_STATUSES = [LeaveRequestStatus.PENDING, LeaveRequestStatus.APPROVED];
+
+// Allowed ranges for leave type settings
+export const LeaveTypeLimits = {
+  yearly_allowance: { min: 0, max: 365 },
+  carry_forward_limit: { min: 0, max: 365 }
+};
+
+// Leave type schema definition
+export const LeaveTypeSchema = {
+  name: {
+    required: true,
+    type: 'string',
+    minLength: 2,
+    maxLength: 50
+  },
+  paid: {
+    required: true,
+    type: 'boolean'
+  },
+  yearly_allowance: {
+    required: true,
+    type: 'number' // Days per year; 0 means no limit (unpaid leave only)
+  },
+  accrual: {
+    required: true,
+    type: 'string',
+    enum: Object.values(LeaveAccrual)
+  },
+  carry_forward_limit: {
+    required: true,
+    type: 'number' // Unused days that roll into the next year
+  },
+  active: {
+    required: true,
+    type: 'boolean'
+  }
+};
+
+// Leave request schema definition
+export const LeaveRequestSchema = {
+  employee_id: {
+    required: true,
+    type: 'string'
+  },
+  leave_type_id: {
+    required: true,
+    type: 'string'
+  },
+  start_date: {
+    required: true,
+    type: 'string',
+    format: 'date' // YYYY-MM-DD
+  },
+  end_date: {
+    required: true,
+    type: 'string',
+    format: 'date' // YYYY-MM-DD
+  },
+  dates: {
+    required: true,
+    type: 'array' // Working days covered, holidays and weekly offs left out
+  },
+  reason: {
+    required: false,
+    type: 'string',
+    maxLength: 500
+  },
+  status: {
+    required: true,
+    type: 'string',
+    enum: Object.values(LeaveRequestStatus)
+  },
+  requested_by: {
+    required: true,
+    type: 'string'
+  },
+  reviewed_by: {
+    required: false,
+    type: 'string'
+  },
+  review_note: {
+    required: false,
+    type: 'string',
+    maxLength: 500
+  }
+};
+
+/**
+ * Validate a number against limits
+ * @param {*} value - Raw value
+ * @param {Object} limits - { min, max }
+ * @param {string} label - Field label for messages
+ * @returns {string|null} Error message or null
+ */
+const validateDays = (value, limits, label) => {
+  if (value === '' || value === null || value === undefined) {
+    return `${label} is required`;
+  }
+
+  const number = parseFloat(value);
+  if (isNaN(number)) {
+    return `${label} must be a number`;
+  }
+  if (number < limits.min || number > limits.max) {
+    return `${label} must be between ${limits.min} and ${limits.max} days`;
+  }
+  return null;
+};
+
+/**
+ * Validate leave type data
+ * @param {Object} leaveTypeData - Leave type data to validate
+ * @returns {Object} Validation result with isValid and errors
+ */
+export const validateLeaveType = (leaveTypeData) => {
+  const errors = {};
+
+  const name = (leaveTypeData.name || '').trim();
+  if (!name) {
+    errors.name = 'Leave type name is required';
+  } else if (name.length < 2 || name.length > 50) {
+    errors.name = 'Leave type name must be between 2 and 50 characters';
+  }
+
+  const allowanceError = validateDays(
+    leaveTypeData.yearly_allowance, LeaveTypeLimits.yearly_allowance, 'Yearly allowance'
+  );
+  if (allowanceError) {
+    errors.yearly_allowance = allowanceError;
+  } else if (leaveTypeData.paid && parseFloat(leaveTypeData.yearly_allowance) === 0) {
+    errors.yearly_allowance = 'Paid leave needs a yearly allowance';
+  }
+
+  if (!Object.values(LeaveAccrual).includes(leaveTypeData.accrual)) {
+    errors.accrual = 'Invalid accrual rule';
+  }
+
+  const carryForwardError = validateDays(
+    leaveTypeData.carry_forward_limit, LeaveTypeLimits.carry_forward_limit, 'Carry-forward limit'
+  );
+  if (carryForwardError) {
+    errors.carry_forward_limit = carryForwardError;
+  }
+
+  return { isValid: Object.keys(errors).length === 0, errors };
+};
+
+/**
+ * Format leave type data for storage
+ * @param {Object} leaveTypeData - Raw leave type form data
+ * @returns {Object} Formatted leave type for Firestore
+ */
+export const formatLeaveTypeForStorage = (leaveTypeData) => ({
+  name: leaveTypeData.name.trim(),
+  paid: !!leaveTypeData.paid,
+  yearly_allowance: parseFloat(leaveTypeData.yearly_allowance),
+  accrual: leaveTypeData.accrual,
+  carry_forward_limit: parseFloat(leaveTypeData.carry_forward_limit),
+  active: leaveTypeData.active !== false
+});
+
+/**
+ * Create empty leave type object for forms
+ * @returns {Object} Empty leave type object
+ */
+export const createEmptyLeaveType = () => ({
+  name: '',
+  paid: true,
+  yearly_allowance: '12',
+  accrual: LeaveAccrual.MONTHLY,
+  carry_forward_limit: '0',
+  active: true
+});
+
+/**
+ * Validate leave request data
+ * @param {Object} requestData - Leave request form data
+ * @returns {Object} Validation result with isValid and errors
+ */
+export const validateLeaveRequest = (requestData) => {
+  const errors = {};
+  const isDate = (value) => /^\d{4}-\d{2}-\d{2}$/.test(value || '') && !isNaN(new Date(value).getTime());
+
+  if (!requestData.employee_id) {
+    errors.employee_id = 'Employee is required';
+  }
+
+  if (!requestData.leave_type_id) {
+    errors.leave_type_id = 'Leave type is required';
+  }
+
+  if (!isDate(requestData.start_date)) {
+    errors.start_date = 'Valid start date is required';
+  }
+
+  if (!isDate(requestData.end_date)) {
+    errors.end_date = 'Valid end date is required';
+  } else if (!errors.start_date && requestData.end_date < requestData.start_date) {
+    errors.end_date = 'End date cannot be before the start date';
+  } else if (!errors.start_date && getDatesBetween(requestData.start_date, requestData.end_date).length > 62) {
+    errors.end_date = 'A leave request cannot span more than 62 days';
+  }
+
+  if (requestData.reason && requestData.reason.length > 500) {
+    errors.reason = 'Reason cannot exceed 500 characters';
+  }
+
+  return { isValid: Object.keys(errors).length === 0, errors };
+};
+
+/**
+ * Format leave request data for storage
+ * @param {Object} requestData - Leave request form data
+ * @param {Array} dates - Working days the leave covers
+ * @param {string} requestedBy - Email of the user entering the request
+ * @returns {Object} Formatted leave request for Firestore
+ */
+export const formatLeaveRequestForStorage = (requestData, dates, requestedBy) => ({
+  employee_id: requestData.employee_id,
+  employee_name: requestData.employee_name || '',
+  leave_type_id: requestData.leave_type_id,
+  leave_type_name: requestData.leave_type_name || '',
+  start_date: requestData.start_date,
+  end_date: requestData.end_date,
+  dates,
+  days: dates.length,
+  reason: (requestData.reason || '').trim(),
+  status: LeaveRequestStatus.PENDING,
+  requested_by: requestedBy || '',
+  requested_at: new Date().toISOString()
+});
+
+/**
+ * Create empty leave request object for forms
+ * @returns {Object} Empty leave request object
+ */
+export const createEmptyLeaveRequest = () => {
+  const today = new Date().toISOString().split('T')[0];
+  return {
+    employee_id: '',
+    leave_type_id: '',
+    start_date: today,
+    end_date: today,
+    reason: ''
+  };
+};
+
+/**
+ * List every date between two dates (inclusive)
+ * @param {string} startDate - Start date (YYYY-MM-DD)
+ * @param {string} endDate - End date (YYYY-MM-DD)
+ * @returns {Array} Dates (YYYY-MM-DD)
+ */
+export const getDatesBetween = (startDate, endDate) => {
+  const dates = [];
+  if (!startDate || !endDate || startDate > endDate) return dates;
+
+  const cursor = new Date(`${startDate}T00:00:00Z`);
+  const end = new Date(`${endDate}T00:00:00Z`);
+  while (cursor <= end) {
+    dates.push(cursor.toISOString().split('T')[0]);
+    cursor.setUTCDate(cursor.getUTCDate() + 1);
+  }
+  return dates;
+};
+
+/**
+ * Get the working days a leave request covers. Holidays and weekly offs
+ * are not taken from the balance.
+ * @param {string} startDate - Start date (YYYY-MM-DD)
+ * @param {string} endDate - End date (YYYY-MM-DD)
+ * @param {Object} calendar - Work calendar from buildWorkCalendar
+ * @returns {Array} Dates (YYYY-MM-DD)
+ */
+export const getLeaveDates = (startDate, endDate, calendar) => {
+  return getDatesBetween(startDate, endDate).filter(date => !getOffDay(calendar, date));
+};
+
+/**
+ * Get the attendance status recorded for a day of approved leave
+ * @param {Object} leaveType - Leave type
+ * @returns {string} Attendance status
+ */
+export const getLeaveAttendanceStatus = (leaveType) => {
+  return leaveType && leaveType.paid ? AttendanceStatus.PAID_LEAVE : AttendanceStatus.UNPAID_LEAVE;
+};
+
+/**
+ * Whether a leave type limits how many days can be taken
+ * @param {Object} leaveType - Leave type
+ * @returns {boolean} True if the type has a yearly allowance
+ */
+export const hasLeaveAllowance = (leaveType) => {
+  return !!leaveType && leaveType.yearly_allowance > 0;
+};
+
+/**
+ * Round days to the nearest half day
+ * @param {number} days - Days
+ * @returns {number} Rounded days
+ */
+const roundToHalfDay = (days) => Math.round(days * 2) / 2;
+
+/**
+ * Days credited in a year up to a date
+ * @param {Object} leaveType - Leave type
+ * @param {string} joiningDate - Employee joining date (YYYY-MM-DD), optional
+ * @param {number} year - Calendar year
+ * @param {string} asOfDate - Date up to which monthly credits count (YYYY-MM-DD)
+ * @returns {number} Days accrued
+ */
+export const getAccruedDays = (leaveType, joiningDate, year, asOfDate) => {
+  if (!hasLeaveAllowance(leaveType)) return 0;
+
+  const joinYear = joiningDate ? parseInt(joiningDate.slice(0, 4), 10) : null;
+  if (joinYear && joinYear > year) return 0;
+
+  // Months (1-12) credited this year
+  const firstMonth = joinYear === year ? parseInt(joiningDate.slice(5, 7), 10) : 1;
+  const asOfYear = parseInt(asOfDate.slice(0, 4), 10);
+  const lastMonth = asOfYear > year ? 12 : asOfYear < year ? 0 : parseInt(asOfDate.slice(5, 7), 10);
+
+  const months = leaveType.accrual === LeaveAccrual.MONTHLY ?
+    Math.max(0, lastMonth - firstMonth + 1) :
+    (lastMonth > 0 ? 13 - firstMonth : 0);
+
+  return roundToHalfDay(leaveType.yearly_allowance * months / 12);
+};
+
+/**
+ * Days of a leave type taken (or requested) in a year
+ * @param {Array} requests - The employee's leave requests
+ * @param {string} leaveTypeId - Leave type ID
+ * @param {number} year - Calendar year
+ * @param {Array} statuses - Request statuses to count
+ * @returns {number} Days
+ */
+const countRequestDays = (requests, leaveTypeId, year, statuses) => {
+  const yearPrefix = `${year}-`;
+  return requests
+    .filter(request => request.leave_type_id === leaveTypeId && statuses.includes(request.status))
+    .reduce((total, request) => (
+      total + (request.dates || []).filter(date => date.startsWith(yearPrefix)).length
+    ), 0);
+};
+
+/**
+ * Calculate an employee's balance for a leave type.
+ * Unused days from earlier years roll forward up to the carry-forward limit.
+ * @param {Object} leaveType - Leave type
+ * @param {Object} employee - Employee (joining_date is used for pro-rating)
+ * @param {Array} requests - The employee's leave requests
+ * @param {number} year - Calendar year
+ * @param {string} asOfDate - Date for monthly accrual (YYYY-MM-DD)
+ * @returns {Object} { limited, carriedForward, accrued, used, pending, available }
+ */
+export const calculateLeaveBalance = (leaveType, employee, requests, year, asOfDate) => {
+  const joiningDate = (employee && employee.joining_date) || '';
+  const used = countRequestDays(requests, leaveType.id, year, [LeaveRequestStatus.APPROVED]);
+  const pending = countRequestDays(requests, leaveType.id, year, [LeaveRequestStatus.PENDING]);
+
+  if (!hasLeaveAllowance(leaveType)) {
+    return { limited: false, carriedForward: 0, accrued: 0, used, pending, available: null };
+  }
+
+  // Walk forward from the first year with requests or the joining year
+  const requestYears = requests.map(request => parseInt(request.start_date.slice(0, 4), 10));
+  const firstYear = Math.min(year, joiningDate ? parseInt(joiningDate.slice(0, 4), 10) : year, ...requestYears);
+
+  let carriedForward = 0;
+  for (let y = firstYear; y < year; y++) {
+    const closing = carriedForward +
+      getAccruedDays(leaveType, joiningDate, y, `${y}-12-31`) -
+      countRequestDays(requests, leaveType.id, y, [LeaveRequestStatus.APPROVED]);
+    carriedForward = Math.min(leaveType.carry_forward_limit, Math.max(0, closing));
+  }
+
+  const accrued = getAccruedDays(leaveType, joiningDate, year, asOfDate);
+
+  return {
+    limited: true,
+    carriedForward,
+    accrued,
+    used,
+    pending,
+    available: carriedForward + accrued - used
+  };
+};
+
+/**
+ * Get leave request status label for display
+ * @param {string} status - Leave request status
+ * @returns {string} Display label
+ */
+export const getLeaveRequestStatusLabel = (status) => {
+  switch (status) {
+    case LeaveRequestStatus.PENDING:
+      return 'Pending';
+    case LeaveRequestStatus.APPROVED:
+      return 'Approved';
+    case LeaveRequestStatus.REJECTED:
+      return 'Rejected';
+    case LeaveRequestStatus.CANCELLED:
+      return 'Cancelled';
+    default:
+      return 'Unknown';
+  }
+};
+
+/**
+ * Get leave request status color for UI
+ * @param {string} status - Leave request status
+ * @returns {string} Color code
+ */
+export const getLeaveRequestStatusColor = (status) => {
+  switch (status) {
+    case LeaveRequestStatus.PENDING:
+      return '#ffc107';
+    case LeaveRequestStatus.APPROVED:
+      return '#28a745';
+    case LeaveRequestStatus.REJECTED:
+      return '#dc3545';
+    case LeaveRequestStatus.CANCELLED:
+      return '#6c757d';
+    default:
+      return '#6c757d';
+  }
+};
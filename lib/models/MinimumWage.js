@@ -0,0 +1,287 @@
+/**
+ * Minimum wage data model and compliance utilities.
+ * Minimum wages are notified as daily rates per state and skill category,
+ * each in force from its effective date until the next revision.
+ */
+
+import {
+  SkillCategory,
+  PayBasis,
+  getPayBasis,
+  getWageRateForDate,
+  getSkillCategoryLabel
+} from './Employee';
+
+// A monthly salary's daily equivalent, as minimum wage notifications reckon it
+export const MONTHLY_WAGE_DAYS = 26;
+
+// Minimum wage limits (INR per day)
+export const MinimumWageLimits = {
+  MIN: 1,
+  MAX: 50000
+};
+
+// Minimum wage schema definition
+export const MinimumWageSchema = {
+  state: {
+    required: true,
+    type: 'string',
+    minLength: 2,
+    maxLength: 50
+  },
+  skill_category: {
+    required: true,
+    type: 'string',
+    enum: Object.values(SkillCategory)
+  },
+  daily_rate: {
+    required: true,
+    type: 'number',
+    min: MinimumWageLimits.MIN,
+    max: MinimumWageLimits.MAX
+  },
+  effective_from: {
+    required: true,
+    type: 'string',
+    format: 'date' // YYYY-MM-DD
+  },
+  notes: {
+    required: false,
+    type: 'string',
+    maxLength: 500 // e.g. the notification number
+  },
+  created_by: {
+    required: false,
+    type: 'string'
+  }
+};
+
+/**
+ * Validate minimum wage data
+ * @param {Object} minimumWageData - Minimum wage data to validate
+ * @returns {Object} Validation result with isValid and errors
+ */
+export const validateMinimumWage = (minimumWageData) => {
+  const errors = {};
+
+  const state = (minimumWageData.state || '').trim();
+  if (!state) {
+    errors.state = 'State is required';
+  } else if (state.length < 2 || state.length > 50) {
+    errors.state = 'State must be between 2 and 50 characters';
+  }
+
+  if (!Object.values(SkillCategory).includes(minimumWageData.skill_category)) {
+    errors.skill_category = 'Please select a skill category';
+  }
+
+  const dailyRate = parseFloat(minimumWageData.daily_rate);
+  if (isNaN(dailyRate) || dailyRate < MinimumWageLimits.MIN || dailyRate > MinimumWageLimits.MAX) {
+    errors.daily_rate = `Daily minimum wage must be between ₹${MinimumWageLimits.MIN} and ` +
+      `₹${MinimumWageLimits.MAX.toLocaleString('en-IN')}`;
+  }
+
+  if (!minimumWageData.effective_from) {
+    errors.effective_from = 'Effective date is required';
+  } else if (!/^\d{4}-\d{2}-\d{2}$/.test(minimumWageData.effective_from) ||
+      isNaN(new Date(minimumWageData.effective_from).getTime())) {
+    errors.effective_from = 'Invalid effective date';
+  }
+
+  if (minimumWageData.notes && minimumWageData.notes.length > 500) {
+    errors.notes = 'Notes cannot exceed 500 characters';
+  }
+
+  return { isValid: Object.keys(errors).length === 0, errors };
+};
+
+/**
+ * Format minimum wage data for storage
+ * @param {Object} minimumWageData - Raw minimum wage form data
+ * @returns {Object} Formatted minimum wage for Firestore
+ */
+export const formatMinimumWageForStorage = (minimumWageData) => {
+  const formatted = {
+    state: minimumWageData.state.trim(),
+    skill_category: minimumWageData.skill_category,
+    daily_rate: parseFloat(minimumWageData.daily_rate),
+    effective_from: minimumWageData.effective_from,
+    notes: (minimumWageData.notes || '').trim()
+  };
+
+  if (minimumWageData.created_by) {
+    formatted.created_by = minimumWageData.created_by;
+  }
+
+  return formatted;
+};
+
+/**
+ * Create empty minimum wage object for forms
+ * @param {string} state - State to start with
+ * @returns {Object} Empty minimum wage object
+ */
+export const createEmptyMinimumWage = (state = '') => ({
+  state,
+  skill_category: SkillCategory.UNSKILLED,
+  daily_rate: '',
+  effective_from: '',
+  notes: ''
+});
+
+/**
+ * Compare state names ignoring case and surrounding spaces
+ * @param {string} a - State name
+ * @param {string} b - State name
+ * @returns {boolean} True when they name the same state
+ */
+export const isSameState = (a, b) => {
+  return (a || '').trim().toLowerCase() === (b || '').trim().toLowerCase();
+};
+
+/**
+ * Get the state whose minimum wages apply to an employee
+ * @param {Object} employee - Employee record (work_state)
+ * @param {Object} settings - Payroll settings (minimum_wage_state)
+ * @returns {string} State, or '' when none is set
+ */
+export const getEmployeeWageState = (employee, settings) => {
+  const state = (employee && employee.work_state) || (settings && settings.minimum_wage_state) || '';
+  return state.trim();
+};
+
+/**
+ * Get the minimum wage in force for a state and skill category on a date
+ * @param {Array} minimumWages - Minimum wage entries
+ * @param {string} state - State
+ * @param {string} skillCategory - Skill category
+ * @param {string} date - Date (YYYY-MM-DD)
+ * @returns {Object|null} Minimum wage entry or null
+ */
+export const getMinimumWageForDate = (minimumWages, state, skillCategory, date) => {
+  if (!Array.isArray(minimumWages) || !state || !skillCategory || !date) return null;
+
+  return minimumWages
+    .filter(entry => isSameState(entry.state, state) &&
+      entry.skill_category === skillCategory &&
+      entry.effective_from <= date)
+    .reduce((latest, entry) => (
+      !latest || entry.effective_from > latest.effective_from ? entry : latest
+    ), null);
+};
+
+/**
+ * Convert a wage rate to a daily rate for comparing with minimum wages:
+ * hourly rates over the standard day, monthly salaries over MONTHLY_WAGE_DAYS
+ * @param {number} amount - Wage rate amount
+ * @param {string} payBasis - Pay basis the amount is quoted in
+ * @param {number} standardHours - Standard hours per day
+ * @returns {number} Daily rate
+ */
+export const getEffectiveDailyRate = (amount, payBasis, standardHours) => {
+  switch (payBasis) {
+    case PayBasis.MONTHLY:
+      return parseFloat((amount / MONTHLY_WAGE_DAYS).toFixed(2));
+    case PayBasis.HOURLY:
+      return parseFloat((amount * standardHours).toFixed(2));
+    default:
+      return amount;
+  }
+};
+
+/**
+ * Add days to a YYYY-MM-DD date
+ * @param {string} date - Date (YYYY-MM-DD)
+ * @param {number} days - Days to add (may be negative)
+ * @returns {string} Date (YYYY-MM-DD)
+ */
+const addDays = (date, days) => {
+  const result = new Date(`${date}T00:00:00Z`);
+  result.setUTCDate(result.getUTCDate() + days);
+  return result.toISOString().split('T')[0];
+};
+
+/**
+ * Find the stretches of a period in which an employee's effective daily rate
+ * was below the minimum wage for their state and skill category. The period
+ * is split wherever the employee's rate or the minimum wage changes.
+ * @param {Object} employee - Employee record (pay_basis, wage_rates, skill_category)
+ * @param {Array} minimumWages - Minimum wage entries
+ * @param {string} state - State whose minimum wages apply
+ * @param {number} standardHours - Standard hours per day, for hourly rates
+ * @param {string} startDate - Start date (YYYY-MM-DD)
+ * @param {string} endDate - End date (YYYY-MM-DD)
+ * @returns {Array} Shortfalls [{ startDate, endDate, rate, payBasis,
+ *   effectiveDailyRate, minimumWage, shortfall }]
+ */
+export const findMinimumWageShortfalls = (employee, minimumWages, state, standardHours, startDate, endDate) => {
+  const payBasis = getPayBasis(employee);
+  // Employees paid by output have no day rate to compare
+  if (payBasis === PayBasis.OUTPUT) return [];
+
+  const wageRates = (employee.wage_rates || []).filter(rate => rate.effective_from && rate.amount);
+  if (!employee.skill_category || !state || wageRates.length === 0 || startDate > endDate) return [];
+
+  const applicable = (minimumWages || []).filter(entry =>
+    isSameState(entry.state, state) && entry.skill_category === employee.skill_category
+  );
+
+  // Dates inside the period on which the rate or the minimum wage changes
+  const changes = new Set([startDate]);
+  [...wageRates, ...applicable].forEach(entry => {
+    if (entry.effective_from > startDate && entry.effective_from <= endDate) {
+      changes.add(entry.effective_from);
+    }
+  });
+  const boundaries = [...changes].sort();
+
+  const shortfalls = [];
+  boundaries.forEach((from, index) => {
+    const to = index < boundaries.length - 1 ? addDays(boundaries[index + 1], -1) : endDate;
+    const rate = getWageRateForDate(wageRates, from);
+    const minimumWage = getMinimumWageForDate(applicable, state, employee.skill_category, from);
+    if (!rate || !minimumWage) return;
+
+    const effectiveDailyRate = getEffectiveDailyRate(parseFloat(rate.amount), payBasis, standardHours);
+    if (effectiveDailyRate >= minimumWage.daily_rate) return;
+
+    const last = shortfalls[shortfalls.length - 1];
+    if (last && last.rate === rate.amount && last.minimumWage === minimumWage) {
+      last.endDate = to;
+      return;
+    }
+
+    shortfalls.push({
+      startDate: from,
+      endDate: to,
+      rate: rate.amount,
+      payBasis,
+      effectiveDailyRate,
+      minimumWage,
+      shortfall: parseFloat((minimumWage.daily_rate - effectiveDailyRate).toFixed(2))
+    });
+  });
+
+  return shortfalls;
+};
+
+/**
+ * Describe a shortfall in one line
+ * @param {Object} shortfall - Shortfall from findMinimumWageShortfalls
+ * @returns {string} e.g. "₹600.00/day from 2026-04-01 to 2026-06-30 is below the
+ *   Skilled minimum of ₹650.00/day in Maharashtra"
+ */
+export const describeMinimumWageShortfall = (shortfall) => {
+  const format = (amount) => `₹${parseFloat(amount).toLocaleString('en-IN', {
+    minimumFractionDigits: 2,
+    maximumFractionDigits: 2
+  })}`;
+  const rate = shortfall.payBasis === PayBasis.DAILY ?
+    `${format(shortfall.effectiveDailyRate)}/day` :
+    `${format(shortfall.rate)}/${shortfall.payBasis === PayBasis.MONTHLY ? 'month' : 'hour'} ` +
+      `(${format(shortfall.effectiveDailyRate)}/day)`;
+
+  return `${rate} from ${shortfall.startDate} to ${shortfall.endDate} is below the ` +
+    `${getSkillCategoryLabel(shortfall.minimumWage.skill_category)} minimum of ` +
+    `${format(shortfall.minimumWage.daily_rate)}/day in ${shortfall.minimumWage.state}`;
+};
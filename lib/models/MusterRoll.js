@@ -0,0 +1,128 @@
+/**
+ * Monthly muster roll: employees by days of the month with status codes
+ */
+
+import {
+  AttendanceStatus,
+  getStatusCode,
+  getStatusLabel,
+  createStatusCounts,
+  getStatusStatKey,
+  canModifyAttendance,
+  getLocalDateString
+} from './Attendance';
+import { getOffDay, getDayOfWeek } from './Holiday';
+import { getDatesBetween } from './Leave';
+import { WEEK_DAYS } from './Settings';
+
+// Code legend printed under the muster roll, in status order
+export const MUSTER_LEGEND = Object.values(AttendanceStatus).map(status => ({
+  status,
+  code: getStatusCode(status),
+  label: getStatusLabel(status)
+}));
+
+/**
+ * Get the first and last dates of a month
+ * @param {string} month - Month (YYYY-MM)
+ * @returns {Object} { startDate, endDate } (YYYY-MM-DD)
+ */
+export const getMonthBounds = (month) => {
+  const [year, monthNumber] = month.split('-').map(Number);
+  const lastDay = new Date(Date.UTC(year, monthNumber, 0)).getUTCDate();
+  return {
+    startDate: `${month}-01`,
+    endDate: `${month}-${String(lastDay).padStart(2, '0')}`
+  };
+};
+
+/**
+ * Check whether a muster-roll cell can be changed inline
+ * @param {Object} employee - Employee
+ * @param {string} date - Date (YYYY-MM-DD)
+ * @param {Object|null} record - Attendance record in the cell, if any
+ * @param {Array} closedPeriods - Closed periods
+ * @param {string} today - Today's date (YYYY-MM-DD)
+ * @returns {Object} { editable, reason }
+ */
+export const getCellEditability = (employee, date, record, closedPeriods = [], today = getLocalDateString()) => {
+  if (date > today) {
+    return { editable: false, reason: 'Future date' };
+  }
+  if (employee.joining_date && date < employee.joining_date) {
+    return { editable: false, reason: 'Before joining date' };
+  }
+  if (record && record.leave_request_id) {
+    return { editable: false, reason: 'Approved leave; change it through the leave request' };
+  }
+
+  const { canModify, reason } = canModifyAttendance(record || { date }, closedPeriods);
+  return { editable: canModify, reason };
+};
+
+/**
+ * Build the muster roll for a month
+ * @param {Array} employees - Employees
+ * @param {Array} records - Attendance records for the month
+ * @param {string} month - Month (YYYY-MM)
+ * @param {Object} calendar - Work calendar from buildWorkCalendar
+ * @param {Array} closedPeriods - Closed periods; their cells are read-only
+ * @param {string} today - Today's date (YYYY-MM-DD)
+ * @returns {Object} { days, rows } where each row has the employee, a cell per
+ *   date ({ date, status, code, record, fromCalendar, notJoined, editable, reason })
+ *   and totals (status counts plus daysWorked)
+ */
+export const buildMusterRoll = (employees, records, month, calendar, closedPeriods = [], today = getLocalDateString()) => {
+  const { startDate, endDate } = getMonthBounds(month);
+
+  const days = getDatesBetween(startDate, endDate).map(date => ({
+    date,
+    day: Number(date.slice(8)),
+    weekday: WEEK_DAYS[getDayOfWeek(date)].label.slice(0, 2),
+    offDay: getOffDay(calendar, date)
+  }));
+
+  const recordsByKey = records.reduce((byKey, record) => {
+    byKey[`${record.employee_id}_${record.date}`] = record;
+    return byKey;
+  }, {});
+
+  const rows = employees
+    .filter(employee => !employee.joining_date || employee.joining_date <= endDate)
+    .sort((a, b) => a.name.localeCompare(b.name))
+    .map(employee => {
+      const totals = { ...createStatusCounts(), daysWorked: 0 };
+
+      const cells = days.map(({ date, offDay }) => {
+        const record = recordsByKey[`${employee.id}_${date}`] || null;
+        const notJoined = !!employee.joining_date && date < employee.joining_date;
+
+        // Unmarked holidays and weekly offs up to today count as off days, as in payroll
+        let status = record ? record.status : null;
+        const fromCalendar = !record && !notJoined && !!offDay && date <= today;
+        if (fromCalendar) {
+          status = offDay.status;
+        }
+
+        if (status) {
+          totals[getStatusStatKey(status)]++;
+        }
+
+        return {
+          date,
+          status,
+          code: status ? getStatusCode(status) : '',
+          record,
+          fromCalendar,
+          notJoined,
+          ...getCellEditability(employee, date, record, closedPeriods, today)
+        };
+      });
+
+      totals.daysWorked = totals.present + totals.halfDay * 0.5;
+
+      return { employee, cells, totals };
+    });
+
+  return { days, rows };
+};
@@ -8,6 +8,13 @@ export const PaymentModes = {
   ONLINE: 'Online'
 };
 
+// Payment type options
+export const PaymentTypes = {
+  SALARY: 'salary',
+  ADVANCE: 'advance',
+  LOAN: 'loan'
+};
+
 // Payment schema definition
 export const PaymentSchema = {
   employee_id: {
@@ -28,6 +35,20 @@ export const PaymentSchema = {
     type: 'string',
     enum: Object.values(PaymentModes)
   },
+  payment_type: {
+    required: false, // Records saved before payment types existed are salary payments
+    type: 'string',
+    enum: Object.values(PaymentTypes)
+  },
+  instalment_amount: {
+    required: false, // Required for loan disbursements
+    type: 'number',
+    min: 0.01
+  },
+  repayment_start: {
+    required: false, // Required for loan disbursements
+    type: 'month' // YYYY-MM, first month an instalment is recovered
+  },
   paid_by: {
     required: true,
     type: 'string',
@@ -101,6 +122,33 @@ export const validatePayment = (paymentData) => {
     isValid = false;
   }
 
+  // Validate payment_type (optional, defaults to salary)
+  if (paymentData.payment_type && !Object.values(PaymentTypes).includes(paymentData.payment_type)) {
+    errors.payment_type = 'Please select a valid payment type';
+    isValid = false;
+  }
+
+  // Validate loan repayment schedule
+  if (paymentData.payment_type === PaymentTypes.LOAN) {
+    const instalment = parseFloat(paymentData.instalment_amount);
+    const amount = parseFloat(paymentData.amount);
+    if (isNaN(instalment) || instalment <= 0) {
+      errors.instalment_amount = 'Monthly instalment must be greater than 0';
+      isValid = false;
+    } else if (!isNaN(amount) && instalment > amount) {
+      errors.instalment_amount = 'Monthly instalment cannot exceed the loan amount';
+      isValid = false;
+    }
+
+    if (!paymentData.repayment_start || !/^\d{4}-\d{2}$/.test(paymentData.repayment_start)) {
+      errors.repayment_start = 'Repayment start month is required';
+      isValid = false;
+    } else if (paymentData.payment_date && paymentData.repayment_start < paymentData.payment_date.substring(0, 7)) {
+      errors.repayment_start = 'Repayment cannot start before the loan is disbursed';
+      isValid = false;
+    }
+  }
+
   // Validate paid_by
   if (!paymentData.paid_by || paymentData.paid_by.trim() === '') {
     errors.paid_by = 'Paid by name is required';
@@ -152,11 +200,18 @@ export const formatPaymentForStorage = (paymentData) => {
     amount: parseFloat(paymentData.amount) || 0,
     payment_date: paymentData.payment_date || null,
     payment_mode: paymentData.payment_mode?.trim() || '',
+    payment_type: paymentData.payment_type || PaymentTypes.SALARY,
     paid_by: paymentData.paid_by?.trim() || '',
     created_at: new Date().toISOString(),
     updated_at: new Date().toISOString()
   };
 
+  // Only loans carry a repayment schedule
+  if (formatted.payment_type === PaymentTypes.LOAN) {
+    formatted.instalment_amount = parseFloat(paymentData.instalment_amount) || 0;
+    formatted.repayment_start = paymentData.repayment_start;
+  }
+
   // Only include notes if they have values
   if (paymentData.notes && paymentData.notes.trim() !== '') {
     formatted.notes = paymentData.notes.trim();
@@ -165,6 +220,99 @@ export const formatPaymentForStorage = (paymentData) => {
   return formatted;
 };
 
+/**
+ * Get a payment's type. Records saved before payment types existed are salary payments.
+ * @param {Object} payment - Payment data
+ * @returns {string} Payment type
+ */
+export const getPaymentType = (payment) => {
+  return (payment && payment.payment_type) || PaymentTypes.SALARY;
+};
+
+/**
+ * Get payment type label for display
+ * @param {string} type - Payment type
+ * @returns {string} Display label
+ */
+export const getPaymentTypeLabel = (type) => {
+  switch (type) {
+    case PaymentTypes.SALARY:
+      return 'Salary';
+    case PaymentTypes.ADVANCE:
+      return 'Advance';
+    case PaymentTypes.LOAN:
+      return 'Loan';
+    default:
+      return 'Salary';
+  }
+};
+
+/**
+ * Get payment type color for display
+ * @param {string} type - Payment type
+ * @returns {string} Color code
+ */
+export const getPaymentTypeColor = (type) => {
+  switch (type) {
+    case PaymentTypes.ADVANCE:
+      return '#fd7e14'; // Orange
+    case PaymentTypes.LOAN:
+      return '#6f42c1'; // Purple
+    default:
+      return '#28a745'; // Green
+  }
+};
+
+/**
+ * Last day of the month `offset` months after a YYYY-MM month
+ * @param {string} month - Month in YYYY-MM format
+ * @param {number} offset - Months to add
+ * @returns {string} Date in YYYY-MM-DD format
+ */
+const getMonthEnd = (month, offset = 0) => {
+  const [year, monthIndex] = month.split('-').map(Number);
+  return new Date(Date.UTC(year, monthIndex + offset, 0)).toISOString().split('T')[0];
+};
+
+/**
+ * Build a loan's repayment schedule. One fixed instalment falls due at the
+ * end of each month from `repayment_start`; the last one is the remainder.
+ * @param {Object} loan - Loan disbursement payment
+ * @returns {Array} Instalments [{ number, dueDate, amount, balanceAfter }]
+ */
+export const getLoanSchedule = (loan) => {
+  const amount = parseFloat(loan.amount) || 0;
+  const instalment = parseFloat(loan.instalment_amount) || 0;
+  if (amount <= 0 || instalment <= 0 || !loan.repayment_start) return [];
+
+  const schedule = [];
+  let balance = amount;
+  for (let number = 1; balance > 0.005; number++) {
+    const due = Math.min(instalment, balance);
+    balance = parseFloat((balance - due).toFixed(2));
+    schedule.push({
+      number,
+      dueDate: getMonthEnd(loan.repayment_start, number - 1),
+      amount: parseFloat(due.toFixed(2)),
+      balanceAfter: balance
+    });
+  }
+  return schedule;
+};
+
+/**
+ * Outstanding loan balance after every instalment due on or before a date
+ * @param {Object} loan - Loan disbursement payment
+ * @param {string} asOfDate - Date in YYYY-MM-DD format
+ * @returns {number} Outstanding balance
+ */
+export const getLoanOutstanding = (loan, asOfDate) => {
+  const recovered = getLoanSchedule(loan)
+    .filter(instalment => instalment.dueDate <= asOfDate)
+    .reduce((sum, instalment) => sum + instalment.amount, 0);
+  return parseFloat(((parseFloat(loan.amount) || 0) - recovered).toFixed(2));
+};
+
 /**
  * Format date for display
  * @param {string|Date} date - Date to format
@@ -225,6 +373,8 @@ export const generatePaymentSearchKeywords = (payment) => {
   if (payment.payment_mode) {
     keywords.push(payment.payment_mode.toLowerCase());
   }
+
+  keywords.push(getPaymentTypeLabel(getPaymentType(payment)).toLowerCase());
   
   // Add payment date components
   if (payment.payment_date) {
@@ -249,6 +399,9 @@ export const createEmptyPayment = () => ({
   amount: '',
   payment_date: new Date().toISOString().split('T')[0],
   payment_mode: '',
+  payment_type: PaymentTypes.SALARY,
+  instalment_amount: '',
+  repayment_start: '',
   paid_by: '',
   notes: ''
 });
@@ -0,0 +1,271 @@
+/**
+ * Payroll run data model and lifecycle utilities
+ */
+
+// Payroll run status options
+export const PayrollRunStatus = {
+  DRAFT: 'draft',
+  FINALIZED: 'finalized',
+  PAID: 'paid'
+};
+
+// Allowed status transitions (a run only ever moves forward)
+export const PayrollRunTransitions = {
+  [PayrollRunStatus.DRAFT]: [PayrollRunStatus.FINALIZED],
+  [PayrollRunStatus.FINALIZED]: [PayrollRunStatus.PAID],
+  [PayrollRunStatus.PAID]: []
+};
+
+// Statuses that lock the attendance and payments a run covers
+export const LOCKING_STATUSES = [PayrollRunStatus.FINALIZED, PayrollRunStatus.PAID];
+
+// Payroll run schema definition
+export const PayrollRunSchema = {
+  employee_id: {
+    required: true,
+    type: 'string'
+  },
+  period_start: {
+    required: true,
+    type: 'date'
+  },
+  period_end: {
+    required: true,
+    type: 'date'
+  },
+  status: {
+    required: true,
+    type: 'string',
+    enum: Object.values(PayrollRunStatus)
+  },
+  calculation: {
+    required: true,
+    type: 'object'
+  },
+  attendance_ids: {
+    required: true,
+    type: 'array'
+  },
+  payment_ids: {
+    required: true,
+    type: 'array'
+  },
+  status_history: {
+    required: true,
+    type: 'array'
+  }
+};
+
+/**
+ * Validate a salary calculation before it is stored as a payroll run
+ * @param {Object} calculation - Result of salaryService.calculateSalary
+ * @returns {Object} Validation result with isValid and errors
+ */
+export const validatePayrollCalculation = (calculation) => {
+  const errors = {};
+  let isValid = true;
+
+  if (!calculation || typeof calculation !== 'object') {
+    return { isValid: false, errors: { calculation: 'Salary calculation is required' } };
+  }
+
+  if (!calculation.employee || !calculation.employee.id) {
+    errors.employee = 'Calculation has no employee';
+    isValid = false;
+  }
+
+  if (!calculation.period || !calculation.period.startDate || !calculation.period.endDate) {
+    errors.period = 'Calculation has no period';
+    isValid = false;
+  }
+
+  if (!calculation.financial) {
+    errors.financial = 'Calculation has no financial summary';
+    isValid = false;
+  }
+
+  if (calculation.error) {
+    errors.calculation = calculation.error;
+    isValid = false;
+  }
+
+  return { isValid, errors };
+};
+
+/**
+ * Check whether a run may move to the given status
+ * @param {string} currentStatus - Current run status
+ * @param {string} nextStatus - Requested status
+ * @returns {boolean} True if the transition is allowed
+ */
+export const canTransitionPayrollRun = (currentStatus, nextStatus) => {
+  const allowed = PayrollRunTransitions[currentStatus] || [];
+  return allowed.includes(nextStatus);
+};
+
+/**
+ * Format a salary calculation as an immutable payroll run snapshot
+ * @param {Object} calculation - Result of salaryService.calculateSalary
+ * @param {string} createdBy - Name or email of the user saving the run
+ * @returns {Object} Formatted payroll run for Firestore
+ */
+export const formatPayrollRunForStorage = (calculation, createdBy) => {
+  // Deep copy to plain data: drops undefined values Firestore rejects and
+  // detaches the snapshot from the live records it was built from
+  const snapshot = JSON.parse(JSON.stringify(calculation));
+  const now = new Date().toISOString();
+
+  return {
+    employee_id: snapshot.employee.id,
+    employee_name: snapshot.employee.name || '',
+    period_start: snapshot.period.startDate,
+    period_end: snapshot.period.endDate,
+    status: PayrollRunStatus.DRAFT,
+    gross_salary: snapshot.financial.grossSalary,
+    statutory_deductions: snapshot.financial.statutoryDeductions || 0,
+    total_payments: snapshot.financial.totalPayments,
+    net_salary: snapshot.financial.netSalary,
+    attendance_ids: (snapshot.attendanceRecords || []).map(record => record.id),
+    payment_ids: (snapshot.payments || []).map(payment => payment.id),
+    adjustment_ids: (snapshot.adjustments || []).map(adjustment => adjustment.id),
+    work_entry_ids: (snapshot.pieceRates || []).map(line => line.entry_id),
+    calculation: snapshot,
+    created_by: createdBy || '',
+    created_at: now,
+    status_history: [
+      { status: PayrollRunStatus.DRAFT, changed_at: now, changed_by: createdBy || '' }
+    ]
+  };
+};
+
+// Snapshot figures compared before a run is finalized
+const FINANCIAL_CHANGE_LABELS = {
+  wages: 'wages',
+  pieceRateEarnings: 'piece-rate earnings',
+  overtimePay: 'overtime pay',
+  nightAllowance: 'night allowance',
+  adjustmentEarnings: 'bonuses and incentives',
+  grossSalary: 'gross salary',
+  statutoryDeductions: 'statutory deductions',
+  adjustmentDeductions: 'penalties',
+  employerContributions: 'employer contributions',
+  salaryPaid: 'salary paid',
+  advanceRecovery: 'advance recovery',
+  loanRecovery: 'loan EMIs',
+  totalPayments: 'total payments',
+  totalDeductions: 'total deductions',
+  netSalary: 'net salary'
+};
+
+// Record lists compared before a run is finalized
+const RECORD_CHANGE_LABELS = {
+  attendance_ids: 'attendance records',
+  payment_ids: 'payments',
+  adjustment_ids: 'adjustments',
+  work_entry_ids: 'piece-rate work'
+};
+
+/**
+ * List how a salary recalculated for a run's employee and period differs from
+ * the snapshot the run stored: the records it covers, each day's pay and the
+ * financial figures
+ * @param {Object} run - Payroll run
+ * @param {Object} calculation - Fresh result of salaryService.calculateSalary
+ * @returns {Array} Descriptions of what changed; empty when the snapshot still holds
+ */
+export const getPayrollRunChanges = (run, calculation) => {
+  const fresh = formatPayrollRunForStorage(calculation, '');
+  const stored = run.calculation || {};
+  const changes = [];
+
+  Object.keys(RECORD_CHANGE_LABELS).forEach(field => {
+    const before = [...(run[field] || [])].sort();
+    const after = [...fresh[field]].sort();
+    if (before.length !== after.length || before.some((id, index) => id !== after[index])) {
+      changes.push(RECORD_CHANGE_LABELS[field]);
+    }
+  });
+
+  // Edits that keep the same records can still change a day's pay
+  const describeDays = (snapshot) => JSON.stringify(
+    ((snapshot.attendance && snapshot.attendance.details) || []).map(detail => [
+      detail.date, detail.status, detail.dayValue, detail.amount || 0, detail.overtimePay || 0, detail.nightAllowance || 0
+    ])
+  );
+  if (describeDays(stored) !== describeDays(fresh.calculation)) {
+    changes.push('daily pay');
+  }
+
+  const storedFinancial = stored.financial || {};
+  Object.keys(FINANCIAL_CHANGE_LABELS).forEach(key => {
+    const before = storedFinancial[key] || 0;
+    const after = fresh.calculation.financial[key] || 0;
+    if (Math.abs(before - after) >= 0.01) {
+      changes.push(`${FINANCIAL_CHANGE_LABELS[key]} (${before} → ${after})`);
+    }
+  });
+
+  return changes;
+};
+
+/**
+ * Check whether a run covers a date for an employee
+ * @param {Object} run - Payroll run
+ * @param {string} employeeId - Employee ID
+ * @param {string} date - Date in YYYY-MM-DD format
+ * @returns {boolean} True if the date falls inside the run's period
+ */
+export const payrollRunCoversDate = (run, employeeId, date) => {
+  if (!run || !date) return false;
+  return run.employee_id === employeeId &&
+         run.period_start <= date &&
+         run.period_end >= date;
+};
+
+/**
+ * Check whether two date ranges overlap
+ * @param {string} startA - Start of first range (YYYY-MM-DD)
+ * @param {string} endA - End of first range
+ * @param {string} startB - Start of second range
+ * @param {string} endB - End of second range
+ * @returns {boolean} True if the ranges share at least one day
+ */
+export const periodsOverlap = (startA, endA, startB, endB) => {
+  return startA <= endB && startB <= endA;
+};
+
+/**
+ * Get status label for display
+ * @param {string} status - Payroll run status
+ * @returns {string} Display label
+ */
+export const getPayrollRunStatusLabel = (status) => {
+  switch (status) {
+    case PayrollRunStatus.DRAFT:
+      return 'Draft';
+    case PayrollRunStatus.FINALIZED:
+      return 'Finalized';
+    case PayrollRunStatus.PAID:
+      return 'Paid';
+    default:
+      return 'Unknown';
+  }
+};
+
+/**
+ * Get status color for display
+ * @param {string} status - Payroll run status
+ * @returns {string} Color code
+ */
+export const getPayrollRunStatusColor = (status) => {
+  switch (status) {
+    case PayrollRunStatus.DRAFT:
+      return '#6c757d'; // Gray
+    case PayrollRunStatus.FINALIZED:
+      return '#007bff'; // Blue
+    case PayrollRunStatus.PAID:
+      return '#28a745'; // Green
+    default:
+      return '#6c757d';
+  }
+};
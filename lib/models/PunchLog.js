@@ -0,0 +1,382 @@
+/**
+ * Biometric punch logs: parsing the CSV or text exported by fingerprint
+ * machines, pairing each worker's punches on a day into check-in and
+ * check-out, and previewing the attendance an import would write
+ */
+
+import {
+  AttendanceStatus,
+  WORKED_STATUSES,
+  LEAVE_STATUSES,
+  OFF_DAY_STATUSES,
+  generateAttendanceId,
+  getStatusLabel
+} from './Attendance';
+import { findPeriodCoveringDate } from './ClosedPeriod';
+import { normalizeDeviceUserId, DEVICE_USER_ID_PATTERN } from './Employee';
+
+// What importing a day would do
+export const PunchImportAction = {
+  CREATE: 'create',
+  UPDATE: 'update',
+  UNCHANGED: 'unchanged',
+  CONFLICT: 'conflict'
+};
+
+// Share of the standard hours a worker must put in to be marked present
+// rather than half-day
+export const FULL_DAY_HOURS_SHARE = 0.75;
+
+// Punches this close to the previous one are a repeated finger press
+export const REPEAT_PUNCH_MINUTES = 2;
+
+// Header names of the column holding the device user ID
+const USER_ID_HEADERS = /^(user ?id|userid|user|emp(loyee)? ?(no|id|code)\.?|enroll(ment)? ?(no|id)?\.?|ac-?no\.?|pin|id|no\.?)$/i;
+
+/**
+ * Parse a date as exported by attendance devices: YYYY-MM-DD, YYYY/MM/DD,
+ * or day-first DD-MM-YYYY and DD/MM/YYYY
+ * @param {string} value - Date text
+ * @returns {string|null} Date in YYYY-MM-DD format, or null if it is not a date
+ */
+export const parsePunchDate = (value) => {
+  const text = String(value || '').trim();
+  let match = text.match(/^(\d{4})[-/.](\d{1,2})[-/.](\d{1,2})$/);
+  let year, month, day;
+  if (match) {
+    [, year, month, day] = match;
+  } else {
+    match = text.match(/^(\d{1,2})[-/.](\d{1,2})[-/.](\d{4})$/);
+    if (!match) return null;
+    [, day, month, year] = match;
+  }
+
+  const date = new Date(Date.UTC(Number(year), Number(month) - 1, Number(day)));
+  if (date.getUTCMonth() !== Number(month) - 1 || date.getUTCDate() !== Number(day)) {
+    return null;
+  }
+  return date.toISOString().split('T')[0];
+};
+
+/**
+ * Parse a time as exported by attendance devices: HH:MM or HH:MM:SS, with an
+ * optional AM/PM
+ * @param {string} value - Time text
+ * @returns {string|null} Time in HH:MM format, or null if it is not a time
+ */
+export const parsePunchTime = (value) => {
+  const match = String(value || '').trim().match(/^(\d{1,2}):(\d{2})(?::\d{2})?\s*(am|pm)?$/i);
+  if (!match) return null;
+
+  let hours = Number(match[1]);
+  const minutes = Number(match[2]);
+  const meridiem = (match[3] || '').toLowerCase();
+  if (meridiem) {
+    if (hours < 1 || hours > 12) return null;
+    hours = (hours % 12) + (meridiem === 'pm' ? 12 : 0);
+  }
+  if (hours > 23 || minutes > 59) return null;
+
+  return `${String(hours).padStart(2, '0')}:${String(minutes).padStart(2, '0')}`;
+};
+
+/**
+ * Split a log line into fields on tabs, commas or semicolons, falling back
+ * to runs of spaces
+ * @param {string} line - Log line
+ * @returns {Array} Field values without surrounding quotes
+ */
+const splitLogLine = (line) => {
+  const separator = line.includes('\t') ? '\t' :
+    line.includes(',') ? ',' :
+    line.includes(';') ? ';' :
+    /\s+/;
+  return line.trim().split(separator).map(field => field.trim().replace(/^"(.*)"$/, '$1').trim());
+};
+
+/**
+ * Find the punch date and time among a line's fields, whether they are in
+ * one field ('2024-03-01 09:02:11') or two
+ * @param {Array} fields - Field values
+ * @param {number} skipIndex - Field holding the user ID
+ * @returns {Object|null} { date, time }, or null if the line has none
+ */
+const findPunchDateTime = (fields, skipIndex) => {
+  for (let i = 0; i < fields.length; i++) {
+    if (i === skipIndex) continue;
+
+    const [datePart, ...rest] = fields[i].split(/[ T]+/);
+    const date = parsePunchDate(datePart);
+    if (!date) continue;
+
+    // Time in the same field, or in the next one (with AM/PM possibly after it)
+    const timeText = rest.length > 0 ?
+      rest.join(' ') :
+      [fields[i + 1], /^(am|pm)$/i.test(fields[i + 2] || '') ? fields[i + 2] : ''].join(' ');
+    const time = parsePunchTime(timeText);
+    return time ? { date, time } : null;
+  }
+  return null;
+};
+
+/**
+ * Parse a punch log exported from a biometric device. The user ID is taken
+ * from a column headed like 'User ID', 'Emp No' or 'AC-No', or the first
+ * column when there is no header; the first date and time on the line is
+ * the punch.
+ * @param {string} text - Log file contents
+ * @returns {Object} { punches: [{ device_user_id, date, time, line }], errors: [{ line, message }] }
+ */
+export const parsePunchLog = (text) => {
+  const punches = [];
+  const errors = [];
+  let userIdIndex = 0;
+  let seenData = false;
+
+  String(text || '').split(/\r?\n/).forEach((rawLine, index) => {
+    const lineNumber = index + 1;
+    if (rawLine.trim() === '') return;
+
+    const fields = splitLogLine(rawLine);
+
+    // A header is a line before any data with no date on it
+    if (!seenData && !fields.some(field => parsePunchDate(field.split(/[ T]+/)[0]))) {
+      const headerIndex = fields.findIndex(field => USER_ID_HEADERS.test(field));
+      if (headerIndex >= 0) {
+        userIdIndex = headerIndex;
+      }
+      return;
+    }
+    seenData = true;
+
+    const deviceUserId = normalizeDeviceUserId(fields[userIdIndex]);
+    if (!DEVICE_USER_ID_PATTERN.test(deviceUserId)) {
+      errors.push({ line: lineNumber, message: `No device user ID in "${rawLine.trim()}"` });
+      return;
+    }
+
+    const punch = findPunchDateTime(fields, userIdIndex);
+    if (!punch) {
+      errors.push({ line: lineNumber, message: `No punch date and time in "${rawLine.trim()}"` });
+      return;
+    }
+
+    punches.push({ device_user_id: deviceUserId, ...punch, line: lineNumber });
+  });
+
+  return { punches, errors };
+};
+
+/**
+ * Convert an HH:MM time to minutes after midnight
+ * @param {string} time - Time in HH:MM format
+ * @returns {number} Minutes
+ */
+const toMinutes = (time) => {
+  const [hours, minutes] = time.split(':').map(Number);
+  return hours * 60 + minutes;
+};
+
+/**
+ * Pair each device user's punches on a day into a check-in (the first punch)
+ * and a check-out (the last), ignoring repeated presses
+ * @param {Array} punches - Punches from parsePunchLog
+ * @returns {Array} Days: { device_user_id, date, punches, check_in_time,
+ *   check_out_time, hours_worked }, ordered by date then user ID
+ */
+export const pairPunches = (punches) => {
+  const days = new Map();
+  punches.forEach(punch => {
+    const key = `${punch.device_user_id}|${punch.date}`;
+    if (!days.has(key)) {
+      days.set(key, { device_user_id: punch.device_user_id, date: punch.date, times: [] });
+    }
+    days.get(key).times.push(punch.time);
+  });
+
+  return [...days.values()]
+    .map(day => {
+      const times = [];
+      [...day.times].sort().forEach(time => {
+        const previous = times[times.length - 1];
+        if (!previous || toMinutes(time) - toMinutes(previous) > REPEAT_PUNCH_MINUTES) {
+          times.push(time);
+        }
+      });
+
+      const checkIn = times[0];
+      const checkOut = times.length > 1 ? times[times.length - 1] : null;
+      return {
+        device_user_id: day.device_user_id,
+        date: day.date,
+        punches: times,
+        check_in_time: checkIn,
+        check_out_time: checkOut,
+        hours_worked: checkOut ? parseFloat(((toMinutes(checkOut) - toMinutes(checkIn)) / 60).toFixed(2)) : 0
+      };
+    })
+    .sort((a, b) => a.date.localeCompare(b.date) ||
+      a.device_user_id.localeCompare(b.device_user_id, undefined, { numeric: true }));
+};
+
+/**
+ * Derive the attendance status from the hours worked
+ * @param {number} hoursWorked - Hours between check-in and check-out
+ * @param {number} standardHours - Standard hours per day from the payroll settings
+ * @returns {string} Present or half-day
+ */
+export const derivePunchStatus = (hoursWorked, standardHours) => {
+  return hoursWorked >= standardHours * FULL_DAY_HOURS_SHARE ?
+    AttendanceStatus.PRESENT :
+    AttendanceStatus.HALF_DAY;
+};
+
+/**
+ * Work out what importing each punched day would do
+ * @param {Array} days - Days from pairPunches
+ * @param {Object} context - { employees, existingRecords (Map of attendance ID
+ *   to record), closedPeriods, standardHours, today, mappings (device user ID
+ *   to employee ID, for users not yet linked on the employee) }
+ * @returns {Array} Preview rows: the day plus { key, employee_id,
+ *   employee_name, status, action, reason, existing }
+ */
+export const buildPunchImportPreview = (days, context) => {
+  const { employees = [], existingRecords = new Map(), closedPeriods = [], standardHours, today, mappings = {} } = context;
+
+  const employeesByDeviceId = new Map();
+  employees.forEach(employee => {
+    const deviceUserId = normalizeDeviceUserId(employee.device_user_id);
+    if (deviceUserId) {
+      employeesByDeviceId.set(deviceUserId, employee);
+    }
+  });
+  Object.entries(mappings).forEach(([deviceUserId, employeeId]) => {
+    const employee = employees.find(item => item.id === employeeId);
+    if (employee) {
+      employeesByDeviceId.set(deviceUserId, employee);
+    }
+  });
+
+  return days.map(day => {
+    const employee = employeesByDeviceId.get(day.device_user_id) || null;
+    const row = {
+      ...day,
+      key: `${day.device_user_id}_${day.date}`,
+      employee_id: employee ? employee.id : null,
+      employee_name: employee ? employee.name : '',
+      status: day.check_out_time ? derivePunchStatus(day.hours_worked, standardHours) : null,
+      existing: null
+    };
+    const conflict = (reason) => ({ ...row, action: PunchImportAction.CONFLICT, reason });
+
+    if (!employee) {
+      return conflict(`Device user ${day.device_user_id} is not linked to an employee`);
+    }
+    if (today && day.date > today) {
+      return conflict('Date is in the future');
+    }
+    if (!day.check_out_time) {
+      return conflict(`Only one punch (${day.check_in_time}); the check-out is missing`);
+    }
+    const closedPeriod = findPeriodCoveringDate(closedPeriods, day.date);
+    if (closedPeriod) {
+      return conflict(`In the closed period ${closedPeriod.label}`);
+    }
+
+    const existing = existingRecords.get(generateAttendanceId(employee.id, day.date)) || null;
+    row.existing = existing;
+    if (!existing) {
+      return { ...row, action: PunchImportAction.CREATE, reason: '' };
+    }
+
+    if (existing.leave_request_id || LEAVE_STATUSES.includes(existing.status) || OFF_DAY_STATUSES.includes(existing.status)) {
+      return conflict(`Already marked ${getStatusLabel(existing.status)}; raise a correction if they worked`);
+    }
+    if (existing.status === row.status &&
+        (existing.check_in_time || null) === row.check_in_time &&
+        (existing.check_out_time || null) === row.check_out_time) {
+      return { ...row, action: PunchImportAction.UNCHANGED, reason: 'Already marked with these punches' };
+    }
+
+    const from = WORKED_STATUSES.includes(existing.status) && existing.check_in_time ?
+      `${getStatusLabel(existing.status)} ${existing.check_in_time}–${existing.check_out_time || '…'}` :
+      getStatusLabel(existing.status);
+    return { ...row, action: PunchImportAction.UPDATE, reason: `Replaces ${from}` };
+  });
+};
+
+/**
+ * Build the attendance records to write for the importable preview rows
+ * @param {Array} rows - Preview rows from buildPunchImportPreview
+ * @param {string} markedBy - Email of the user importing
+ * @returns {Array} Attendance data for attendanceService.markBulkAttendance
+ */
+export const buildPunchImportRecords = (rows, markedBy) => {
+  return rows
+    .filter(row => row.action === PunchImportAction.CREATE || row.action === PunchImportAction.UPDATE)
+    .map(row => ({
+      employee_id: row.employee_id,
+      date: row.date,
+      status: row.status,
+      check_in_time: row.check_in_time,
+      check_out_time: row.check_out_time,
+      marked_by: markedBy,
+      notes: `Biometric import (device user ${row.device_user_id})`
+    }));
+};
+
+/**
+ * Count preview rows by action
+ * @param {Array} rows - Preview rows
+ * @returns {Object} Count for each PunchImportAction
+ */
+export const countPunchImportActions = (rows) => {
+  const counts = {};
+  Object.values(PunchImportAction).forEach(action => {
+    counts[action] = 0;
+  });
+  rows.forEach(row => {
+    counts[row.action]++;
+  });
+  return counts;
+};
+
+/**
+ * Get import action label for display
+ * @param {string} action - Import action
+ * @returns {string} Display label
+ */
+export const getPunchImportActionLabel = (action) => {
+  switch (action) {
+    case PunchImportAction.CREATE:
+      return 'Create';
+    case PunchImportAction.UPDATE:
+      return 'Update';
+    case PunchImportAction.UNCHANGED:
+      return 'Unchanged';
+    case PunchImportAction.CONFLICT:
+      return 'Conflict';
+    default:
+      return 'Unknown';
+  }
+};
+
+/**
+ * Get import action color for UI
+ * @param {string} action - Import action
+ * @returns {string} Color code
+ */
+export const getPunchImportActionColor = (action) => {
+  switch (action) {
+    case PunchImportAction.CREATE:
+      return '#28a745';
+    case PunchImportAction.UPDATE:
+      return '#007bff';
+    case PunchImportAction.UNCHANGED:
+      return '#6c757d';
+    case PunchImportAction.CONFLICT:
+      return '#dc3545';
+    default:
+      return '#6c757d';
+  }
+};
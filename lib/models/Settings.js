@@ -0,0 +1,284 @@
+/**
+ * Payroll settings data model and validation utilities
+ */
+
+import { AttendanceStatus, getStatusLabel } from './Attendance';
+import {
+  DEFAULT_STATUTORY_SETTINGS,
+  withDefaultStatutorySettings,
+  validateStatutorySettings,
+  formatStatutorySettingsForStorage
+} from './Statutory';
+
+// Settings are stored as a single document in the settings collection
+export const PAYROLL_SETTINGS_ID = 'payroll';
+
+// Share of a day's wage paid for each attendance status
+export const DEFAULT_STATUS_PAY_FACTORS = {
+  [AttendanceStatus.PRESENT]: 1,
+  [AttendanceStatus.ABSENT]: 0,
+  [AttendanceStatus.HALF_DAY]: 0.5,
+  [AttendanceStatus.PAID_LEAVE]: 1,
+  [AttendanceStatus.UNPAID_LEAVE]: 0,
+  [AttendanceStatus.HOLIDAY]: 1,
+  [AttendanceStatus.WEEK_OFF]: 0
+};
+
+// Days of the week (Date.getDay() numbers) for the weekly-off picker
+export const WEEK_DAYS = [
+  { value: 0, label: 'Sunday' },
+  { value: 1, label: 'Monday' },
+  { value: 2, label: 'Tuesday' },
+  { value: 3, label: 'Wednesday' },
+  { value: 4, label: 'Thursday' },
+  { value: 5, label: 'Friday' },
+  { value: 6, label: 'Saturday' }
+];
+
+// How a monthly salary is pro-rated: the month's pay is divided by its
+// calendar days (off days are paid) or by its working days (off days are not)
+export const MonthlyProration = {
+  CALENDAR_DAYS: 'calendar_days',
+  WORKING_DAYS: 'working_days'
+};
+
+// Values used until an admin saves their own
+export const DEFAULT_SETTINGS = {
+  standard_hours: 8,
+  overtime_multiplier: 1.5,
+  status_pay_factors: DEFAULT_STATUS_PAY_FACTORS,
+  monthly_proration: MonthlyProration.CALENDAR_DAYS,
+  statutory: DEFAULT_STATUTORY_SETTINGS,
+  minimum_wage_state: '', // State whose minimum wages apply when an employee has none
+  weekly_offs: [0], // Sunday
+  admin_emails: [] // Empty until the first admin is named: everyone may administer
+};
+
+// Allowed ranges for numeric settings
+export const SettingsLimits = {
+  standard_hours: { min: 1, max: 16 },
+  overtime_multiplier: { min: 1, max: 4 },
+  status_pay_factor: { min: 0, max: 1 }
+};
+
+// Settings schema definition
+export const SettingsSchema = {
+  standard_hours: {
+    required: true,
+    type: 'number',
+    min: SettingsLimits.standard_hours.min,
+    max: SettingsLimits.standard_hours.max
+  },
+  overtime_multiplier: {
+    required: true,
+    type: 'number',
+    min: SettingsLimits.overtime_multiplier.min,
+    max: SettingsLimits.overtime_multiplier.max
+  },
+  status_pay_factors: {
+    required: false,
+    type: 'object' // { [status]: number between 0 and 1 }
+  },
+  monthly_proration: {
+    required: false,
+    type: 'string',
+    enum: Object.values(MonthlyProration)
+  },
+  statutory: {
+    required: false,
+    type: 'object' // PF, ESI and professional tax (see Statutory.js)
+  },
+  minimum_wage_state: {
+    required: false,
+    type: 'string',
+    maxLength: 50
+  },
+  weekly_offs: {
+    required: false,
+    type: 'array' // Day numbers, 0 = Sunday
+  },
+  admin_emails: {
+    required: false,
+    type: 'array' // Lower-case email addresses
+  },
+  updated_by: {
+    required: false,
+    type: 'string'
+  }
+};
+
+/**
+ * Validate a numeric setting against its limits
+ * @param {*} value - Raw value
+ * @param {Object} limits - { min, max }
+ * @param {string} label - Field label for messages
+ * @returns {string|null} Error message or null
+ */
+const validateNumberSetting = (value, limits, label) => {
+  if (value === '' || value === null || value === undefined) {
+    return `${label} is required`;
+  }
+
+  const number = parseFloat(value);
+  if (isNaN(number)) {
+    return `${label} must be a number`;
+  }
+  if (number < limits.min || number > limits.max) {
+    return `${label} must be between ${limits.min} and ${limits.max}`;
+  }
+  return null;
+};
+
+/**
+ * Validate settings data
+ * @param {Object} settingsData - Settings data to validate
+ * @returns {Object} Validation result with isValid and errors
+ */
+export const validateSettings = (settingsData) => {
+  const errors = {};
+
+  const standardHoursError = validateNumberSetting(
+    settingsData.standard_hours, SettingsLimits.standard_hours, 'Standard hours'
+  );
+  if (standardHoursError) {
+    errors.standard_hours = standardHoursError;
+  }
+
+  const multiplierError = validateNumberSetting(
+    settingsData.overtime_multiplier, SettingsLimits.overtime_multiplier, 'Overtime multiplier'
+  );
+  if (multiplierError) {
+    errors.overtime_multiplier = multiplierError;
+  }
+
+  const payFactors = settingsData.status_pay_factors || {};
+  Object.keys(payFactors).forEach(status => {
+    const factorError = validateNumberSetting(
+      payFactors[status], SettingsLimits.status_pay_factor, `${getStatusLabel(status)} pay factor`
+    );
+    if (factorError) {
+      errors[`status_pay_factors.${status}`] = factorError;
+    }
+  });
+
+  if (settingsData.monthly_proration &&
+      !Object.values(MonthlyProration).includes(settingsData.monthly_proration)) {
+    errors.monthly_proration = 'Please select how monthly salaries are pro-rated';
+  }
+
+  Object.assign(errors, validateStatutorySettings(settingsData.statutory));
+
+  if (settingsData.minimum_wage_state && settingsData.minimum_wage_state.trim().length > 50) {
+    errors.minimum_wage_state = 'State cannot exceed 50 characters';
+  }
+
+  const weeklyOffs = settingsData.weekly_offs || [];
+  if (!Array.isArray(weeklyOffs) || weeklyOffs.some(day => !WEEK_DAYS.some(weekDay => weekDay.value === Number(day)))) {
+    errors.weekly_offs = 'Weekly offs must be days of the week';
+  } else if (weeklyOffs.length >= WEEK_DAYS.length) {
+    errors.weekly_offs = 'At least one day of the week must be a working day';
+  }
+
+  const adminEmails = parseAdminEmails(settingsData.admin_emails);
+  const invalidEmail = adminEmails.find(email => !/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(email));
+  if (invalidEmail) {
+    errors.admin_emails = `Invalid admin email: ${invalidEmail}`;
+  }
+
+  return { isValid: Object.keys(errors).length === 0, errors };
+};
+
+/**
+ * Format settings data for storage
+ * @param {Object} settingsData - Raw settings form data
+ * @param {string} updatedBy - Name or email of the user saving the settings
+ * @returns {Object} Formatted settings for Firestore
+ */
+export const formatSettingsForStorage = (settingsData, updatedBy) => {
+  return {
+    standard_hours: parseFloat(settingsData.standard_hours),
+    overtime_multiplier: parseFloat(settingsData.overtime_multiplier),
+    status_pay_factors: Object.keys(DEFAULT_STATUS_PAY_FACTORS).reduce((factors, status) => {
+      const value = settingsData.status_pay_factors && settingsData.status_pay_factors[status];
+      factors[status] = value === undefined || value === '' ?
+        DEFAULT_STATUS_PAY_FACTORS[status] : parseFloat(value);
+      return factors;
+    }, {}),
+    monthly_proration: settingsData.monthly_proration || DEFAULT_SETTINGS.monthly_proration,
+    statutory: formatStatutorySettingsForStorage(settingsData.statutory),
+    minimum_wage_state: (settingsData.minimum_wage_state || '').trim(),
+    weekly_offs: [...new Set((settingsData.weekly_offs || []).map(Number))].sort((a, b) => a - b),
+    admin_emails: parseAdminEmails(settingsData.admin_emails),
+    updated_by: updatedBy || '',
+    updated_at: new Date().toISOString()
+  };
+};
+
+/**
+ * Fill in defaults for any setting that has not been saved
+ * @param {Object|null} storedSettings - Settings document from Firestore
+ * @returns {Object} Complete settings
+ */
+export const withDefaultSettings = (storedSettings) => {
+  const settings = storedSettings || {};
+  return {
+    ...DEFAULT_SETTINGS,
+    ...settings,
+    status_pay_factors: {
+      ...DEFAULT_STATUS_PAY_FACTORS,
+      ...(settings.status_pay_factors || {})
+    },
+    statutory: withDefaultStatutorySettings(settings.statutory)
+  };
+};
+
+/**
+ * Normalise a list of admin emails (array or comma/newline separated text)
+ * @param {Array|string} emails - Admin emails
+ * @returns {Array} Unique lower-case emails
+ */
+export const parseAdminEmails = (emails) => {
+  const list = Array.isArray(emails) ? emails : String(emails || '').split(/[\s,;]+/);
+  return [...new Set(list.map(email => email.trim().toLowerCase()).filter(Boolean))];
+};
+
+/**
+ * Check whether a user may administer the app.
+ * Until an admin list is saved, every signed-in user is treated as an admin.
+ * @param {Object} settings - Payroll settings
+ * @param {string} email - User's email
+ * @returns {boolean} True if the user is an admin
+ */
+export const isAdminEmail = (settings, email) => {
+  const adminEmails = (settings && settings.admin_emails) || [];
+  if (adminEmails.length === 0) return true;
+  return !!email && adminEmails.includes(email.trim().toLowerCase());
+};
+
+/**
+ * Get the share of a day's wage paid for an attendance status
+ * @param {Object} settings - Payroll settings
+ * @param {string} status - Attendance status
+ * @returns {number} Pay factor (0 for unknown statuses)
+ */
+export const getStatusPayFactor = (settings, status) => {
+  const factors = (settings && settings.status_pay_factors) || DEFAULT_STATUS_PAY_FACTORS;
+  const factor = factors[status];
+  return typeof factor === 'number' ? factor : 0;
+};
+
+/**
+ * Get display label for a monthly pro-ration rule
+ * @param {string} rule - Monthly pro-ration rule
+ * @returns {string} Display label
+ */
+export const getMonthlyProrationLabel = (rule) => {
+  switch (rule) {
+    case MonthlyProration.CALENDAR_DAYS:
+      return 'Calendar days';
+    case MonthlyProration.WORKING_DAYS:
+      return 'Working days';
+    default:
+      return rule;
+  }
+};
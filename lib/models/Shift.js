@@ -0,0 +1,341 @@
+/**
+ * Work shift and weekly roster data model. A shift that ends at or before
+ * its start time runs past midnight into the next day; its attendance
+ * belongs to the day it starts.
+ */
+
+import { WORKED_STATUSES, isValidTime } from './Attendance';
+import { PeriodType, getPeriodBounds } from './ClosedPeriod';
+
+// Minutes after the shift start before a check-in counts as late
+export const DEFAULT_GRACE_MINUTES = 10;
+export const MAX_GRACE_MINUTES = 120;
+
+// Night shift allowance limits (INR per shift)
+export const MAX_NIGHT_ALLOWANCE = 5000;
+
+// How long after an overnight shift ends a scan still checks it out
+export const OVERNIGHT_CHECK_OUT_WINDOW = 4 * 60;
+
+const MINUTES_PER_DAY = 24 * 60;
+
+// Shift schema definition
+export const ShiftSchema = {
+  name: {
+    required: true,
+    type: 'string',
+    minLength: 2,
+    maxLength: 50
+  },
+  start_time: {
+    required: true,
+    type: 'time' // HH:MM
+  },
+  end_time: {
+    required: true,
+    type: 'time' // HH:MM; at or before start_time means the next day
+  },
+  grace_minutes: {
+    required: true,
+    type: 'number',
+    min: 0,
+    max: MAX_GRACE_MINUTES
+  },
+  is_night: {
+    required: true,
+    type: 'boolean'
+  },
+  night_allowance: {
+    required: false,
+    type: 'number',
+    min: 0,
+    max: MAX_NIGHT_ALLOWANCE // Paid per night shift worked
+  },
+  is_active: {
+    required: true,
+    type: 'boolean' // Inactive shifts stay on old records but cannot be rostered
+  }
+};
+
+// Weekly roster schema definition (document ID is the week's Monday)
+export const ShiftRosterSchema = {
+  week_start: {
+    required: true,
+    type: 'string',
+    format: 'date' // Monday, YYYY-MM-DD
+  },
+  assignments: {
+    required: true,
+    type: 'object' // Employee ID to shift ID
+  },
+  updated_by: {
+    required: false,
+    type: 'string'
+  }
+};
+
+/**
+ * Convert an HH:MM time to minutes after midnight
+ * @param {string} time - Time in HH:MM format
+ * @returns {number} Minutes
+ */
+const toMinutes = (time) => {
+  const [hours, minutes] = time.split(':').map(Number);
+  return hours * 60 + minutes;
+};
+
+/**
+ * Check whether a shift runs past midnight
+ * @param {Object} shift - Shift with start_time and end_time
+ * @returns {boolean} True if it ends on the next day
+ */
+export const shiftCrossesMidnight = (shift) => {
+  return toMinutes(shift.end_time) <= toMinutes(shift.start_time);
+};
+
+/**
+ * Length of a shift
+ * @param {Object} shift - Shift with start_time and end_time
+ * @returns {number} Hours
+ */
+export const getShiftHours = (shift) => {
+  const minutes = (toMinutes(shift.end_time) - toMinutes(shift.start_time) + MINUTES_PER_DAY) % MINUTES_PER_DAY;
+  return (minutes || MINUTES_PER_DAY) / 60;
+};
+
+/**
+ * Validate shift data
+ * @param {Object} shiftData - Shift form data
+ * @returns {Object} Validation result with isValid and errors
+ */
+export const validateShift = (shiftData) => {
+  const errors = {};
+
+  const name = (shiftData.name || '').trim();
+  if (!name) {
+    errors.name = 'Shift name is required';
+  } else if (name.length < 2) {
+    errors.name = 'Shift name must be at least 2 characters';
+  } else if (name.length > 50) {
+    errors.name = 'Shift name cannot exceed 50 characters';
+  }
+
+  if (!isValidTime(shiftData.start_time)) {
+    errors.start_time = 'Start time must be in HH:MM format';
+  }
+  if (!isValidTime(shiftData.end_time)) {
+    errors.end_time = 'End time must be in HH:MM format';
+  }
+
+  const grace = Number(shiftData.grace_minutes);
+  if (shiftData.grace_minutes === '' || isNaN(grace) || grace < 0 || grace > MAX_GRACE_MINUTES) {
+    errors.grace_minutes = `Grace period must be between 0 and ${MAX_GRACE_MINUTES} minutes`;
+  }
+
+  if (shiftData.is_night) {
+    const allowance = Number(shiftData.night_allowance || 0);
+    if (isNaN(allowance) || allowance < 0 || allowance > MAX_NIGHT_ALLOWANCE) {
+      errors.night_allowance = `Night allowance must be between ₹0 and ₹${MAX_NIGHT_ALLOWANCE.toLocaleString('en-IN')}`;
+    }
+  }
+
+  return { isValid: Object.keys(errors).length === 0, errors };
+};
+
+/**
+ * Format shift data for storage
+ * @param {Object} shiftData - Raw shift form data
+ * @returns {Object} Formatted shift for Firestore
+ */
+export const formatShiftForStorage = (shiftData) => ({
+  name: shiftData.name.trim(),
+  start_time: shiftData.start_time,
+  end_time: shiftData.end_time,
+  grace_minutes: parseInt(shiftData.grace_minutes, 10),
+  is_night: !!shiftData.is_night,
+  // Only night shifts carry an allowance
+  night_allowance: shiftData.is_night ? parseFloat(parseFloat(shiftData.night_allowance || 0).toFixed(2)) : 0,
+  is_active: shiftData.is_active !== false
+});
+
+/**
+ * Create empty shift object for forms
+ * @returns {Object} Empty shift object
+ */
+export const createEmptyShift = () => ({
+  name: '',
+  start_time: '09:00',
+  end_time: '18:00',
+  grace_minutes: DEFAULT_GRACE_MINUTES,
+  is_night: false,
+  night_allowance: '',
+  is_active: true
+});
+
+/**
+ * Get the Monday that starts the roster week containing a date
+ * @param {string} date - Date in YYYY-MM-DD format
+ * @returns {string} Monday in YYYY-MM-DD format
+ */
+export const getRosterWeekStart = (date) => {
+  return getPeriodBounds(PeriodType.WEEK, date).startDate;
+};
+
+/**
+ * Move a roster week by a number of weeks
+ * @param {string} weekStart - Monday in YYYY-MM-DD format
+ * @param {number} weeks - Weeks to move (negative for earlier)
+ * @returns {string} Monday in YYYY-MM-DD format
+ */
+export const shiftRosterWeek = (weekStart, weeks) => {
+  const [year, month, day] = weekStart.split('-').map(Number);
+  return new Date(Date.UTC(year, month - 1, day + weeks * 7)).toISOString().split('T')[0];
+};
+
+/**
+ * Validate a weekly roster
+ * @param {Object} rosterData - { week_start, assignments }
+ * @param {Array} shifts - Shifts
+ * @returns {Object} Validation result with isValid and errors
+ */
+export const validateRoster = (rosterData, shifts = []) => {
+  const errors = {};
+
+  const weekStart = rosterData.week_start;
+  if (!weekStart || !/^\d{4}-\d{2}-\d{2}$/.test(weekStart) || isNaN(new Date(weekStart).getTime())) {
+    errors.week_start = 'Roster week is required';
+  } else if (getRosterWeekStart(weekStart) !== weekStart) {
+    errors.week_start = 'Roster weeks start on a Monday';
+  }
+
+  const shiftIds = Object.values(rosterData.assignments || {}).filter(Boolean);
+  const unknown = shiftIds.find(shiftId => !shifts.some(shift => shift.id === shiftId));
+  if (unknown) {
+    errors.assignments = 'Roster uses a shift that no longer exists';
+  } else if (shiftIds.some(shiftId => shifts.find(shift => shift.id === shiftId).is_active === false)) {
+    errors.assignments = 'Inactive shifts cannot be rostered';
+  }
+
+  return { isValid: Object.keys(errors).length === 0, errors };
+};
+
+/**
+ * Find the shift an employee is rostered on for a date
+ * @param {Array} rosters - Weekly rosters
+ * @param {Array} shifts - Shifts
+ * @param {string} employeeId - Employee ID
+ * @param {string} date - Date in YYYY-MM-DD format
+ * @returns {Object|null} Shift or null
+ */
+export const findRosteredShift = (rosters, shifts, employeeId, date) => {
+  const weekStart = getRosterWeekStart(date);
+  const roster = rosters.find(item => item.week_start === weekStart);
+  const shiftId = roster && roster.assignments ? roster.assignments[employeeId] : null;
+  return shiftId ? shifts.find(shift => shift.id === shiftId) || null : null;
+};
+
+/**
+ * Lateness and early exit against a shift. Times are compared on the
+ * shift's clock, so a night shift's 00:30 check-in is 2½ hours late for a
+ * 22:00 start, and anything more than 12 hours off is taken as early (for a
+ * check-in) or late (for a check-out) rather than the other way round.
+ * @param {Object} shift - Shift with start_time, end_time and grace_minutes
+ * @param {string} checkIn - Check-in time (HH:MM)
+ * @param {string} checkOut - Check-out time (HH:MM)
+ * @returns {Object} { late_minutes, early_exit_minutes } (0 when on time)
+ */
+export const getShiftTiming = (shift, checkIn, checkOut) => {
+  const halfDay = MINUTES_PER_DAY / 2;
+  let lateMinutes = 0;
+  let earlyExitMinutes = 0;
+
+  if (checkIn) {
+    const minutesAfterStart = (toMinutes(checkIn) - toMinutes(shift.start_time) + MINUTES_PER_DAY) % MINUTES_PER_DAY;
+    if (minutesAfterStart < halfDay && minutesAfterStart > (shift.grace_minutes || 0)) {
+      lateMinutes = minutesAfterStart;
+    }
+  }
+
+  if (checkOut) {
+    const minutesBeforeEnd = (toMinutes(shift.end_time) - toMinutes(checkOut) + MINUTES_PER_DAY) % MINUTES_PER_DAY;
+    if (minutesBeforeEnd < halfDay) {
+      earlyExitMinutes = minutesBeforeEnd;
+    }
+  }
+
+  return { late_minutes: lateMinutes, early_exit_minutes: earlyExitMinutes };
+};
+
+/**
+ * Check whether a scan closes the previous day's overnight shift: the
+ * record is checked in but not out, its shift crosses midnight, and the
+ * scan is no more than OVERNIGHT_CHECK_OUT_WINDOW minutes past the shift end
+ * @param {Object} record - Previous day's attendance record
+ * @param {string} time - Scan time (HH:MM)
+ * @returns {boolean} True if the scan is that shift's check-out
+ */
+export const isOvernightCheckOut = (record, time) => {
+  if (!record || !record.check_in_time || record.check_out_time || !record.shift_start || !record.shift_end) {
+    return false;
+  }
+  const shift = { start_time: record.shift_start, end_time: record.shift_end };
+  return shiftCrossesMidnight(shift) &&
+    toMinutes(time) <= toMinutes(shift.end_time) + OVERNIGHT_CHECK_OUT_WINDOW &&
+    toMinutes(time) < toMinutes(record.check_in_time);
+};
+
+/**
+ * Record the shift worked on attendance data, with lateness, early exit and
+ * any night allowance. Days not worked carry no shift.
+ * @param {Object} attendanceData - Attendance data
+ * @param {Object|null} shift - Shift worked
+ * @returns {Object} Attendance data with the shift fields set (null when there is no shift)
+ */
+export const applyShift = (attendanceData, shift) => {
+  if (!shift || !WORKED_STATUSES.includes(attendanceData.status)) {
+    return {
+      ...attendanceData,
+      shift_id: null,
+      shift_name: null,
+      shift_start: null,
+      shift_end: null,
+      late_minutes: null,
+      early_exit_minutes: null,
+      night_shift: false,
+      night_allowance: 0
+    };
+  }
+
+  const timing = getShiftTiming(shift, attendanceData.check_in_time, attendanceData.check_out_time);
+  return {
+    ...attendanceData,
+    shift_id: shift.id,
+    shift_name: shift.name,
+    shift_start: shift.start_time,
+    shift_end: shift.end_time,
+    ...timing,
+    night_shift: !!shift.is_night,
+    // Kept on the record, so a later change to the shift's rate leaves past pay alone
+    night_allowance: shift.is_night ? shift.night_allowance || 0 : 0
+  };
+};
+
+/**
+ * Describe a shift's hours, e.g. '22:00–06:00 (next day)'
+ * @param {Object} shift - Shift with start_time and end_time
+ * @returns {string} Description
+ */
+export const describeShiftHours = (shift) => {
+  return `${shift.start_time}–${shift.end_time}${shiftCrossesMidnight(shift) ? ' (next day)' : ''}`;
+};
+
+/**
+ * Format a number of minutes for display, e.g. '1h 05m' or '25m'
+ * @param {number} minutes - Minutes
+ * @returns {string} Formatted duration
+ */
+export const formatMinutes = (minutes) => {
+  const hours = Math.floor(minutes / 60);
+  const rest = minutes % 60;
+  return hours > 0 ? `${hours}h ${String(rest).padStart(2, '0')}m` : `${rest}m`;
+};
@@ -0,0 +1,230 @@
+/**
+ * Work site data model, geofence and geolocation utilities
+ */
+
+// Fence radius used when a site is created without one (metres)
+export const DEFAULT_SITE_RADIUS_M = 200;
+export const MIN_SITE_RADIUS_M = 25;
+export const MAX_SITE_RADIUS_M = 5000;
+
+const EARTH_RADIUS_M = 6371000;
+
+// Site schema definition
+export const SiteSchema = {
+  name: {
+    required: true,
+    type: 'string',
+    minLength: 2,
+    maxLength: 100
+  },
+  latitude: {
+    required: true,
+    type: 'number',
+    min: -90,
+    max: 90
+  },
+  longitude: {
+    required: true,
+    type: 'number',
+    min: -180,
+    max: 180
+  },
+  radius_m: {
+    required: true,
+    type: 'number',
+    min: MIN_SITE_RADIUS_M,
+    max: MAX_SITE_RADIUS_M
+  },
+  address: {
+    required: false,
+    type: 'string',
+    maxLength: 300
+  },
+  is_active: {
+    required: true,
+    type: 'boolean' // Inactive sites are kept for old records but no longer matched
+  },
+  created_by: {
+    required: false,
+    type: 'string'
+  }
+};
+
+/**
+ * Check a latitude/longitude pair
+ * @param {number|string} latitude - Latitude in degrees
+ * @param {number|string} longitude - Longitude in degrees
+ * @returns {boolean} True if both are in range
+ */
+export const isValidCoordinates = (latitude, longitude) => {
+  const lat = parseFloat(latitude);
+  const lng = parseFloat(longitude);
+  return !isNaN(lat) && !isNaN(lng) && lat >= -90 && lat <= 90 && lng >= -180 && lng <= 180;
+};
+
+/**
+ * Validate site data
+ * @param {Object} siteData - Site data to validate
+ * @returns {Object} Validation result with isValid and errors
+ */
+export const validateSite = (siteData) => {
+  const errors = {};
+
+  const name = (siteData.name || '').trim();
+  if (!name) {
+    errors.name = 'Site name is required';
+  } else if (name.length < 2) {
+    errors.name = 'Site name must be at least 2 characters';
+  } else if (name.length > 100) {
+    errors.name = 'Site name cannot exceed 100 characters';
+  }
+
+  if (siteData.latitude === '' || siteData.latitude === null || siteData.latitude === undefined ||
+    siteData.longitude === '' || siteData.longitude === null || siteData.longitude === undefined) {
+    errors.coordinates = 'Latitude and longitude are required';
+  } else if (!isValidCoordinates(siteData.latitude, siteData.longitude)) {
+    errors.coordinates = 'Latitude must be between -90 and 90 and longitude between -180 and 180';
+  }
+
+  const radius = parseFloat(siteData.radius_m);
+  if (isNaN(radius) || radius < MIN_SITE_RADIUS_M || radius > MAX_SITE_RADIUS_M) {
+    errors.radius_m = `Radius must be between ${MIN_SITE_RADIUS_M} and ${MAX_SITE_RADIUS_M} metres`;
+  }
+
+  if (siteData.address && siteData.address.length > 300) {
+    errors.address = 'Address cannot exceed 300 characters';
+  }
+
+  return { isValid: Object.keys(errors).length === 0, errors };
+};
+
+/**
+ * Format site data for storage
+ * @param {Object} siteData - Raw site form data
+ * @returns {Object} Formatted site for Firestore
+ */
+export const formatSiteForStorage = (siteData) => {
+  const formatted = {
+    name: siteData.name.trim(),
+    latitude: parseFloat(siteData.latitude),
+    longitude: parseFloat(siteData.longitude),
+    radius_m: Math.round(parseFloat(siteData.radius_m)),
+    address: (siteData.address || '').trim(),
+    is_active: siteData.is_active !== false
+  };
+
+  if (siteData.created_by) {
+    formatted.created_by = siteData.created_by;
+  }
+
+  return formatted;
+};
+
+/**
+ * Create empty site object for forms
+ * @returns {Object} Empty site object
+ */
+export const createEmptySite = () => ({
+  name: '',
+  latitude: '',
+  longitude: '',
+  radius_m: DEFAULT_SITE_RADIUS_M,
+  address: '',
+  is_active: true
+});
+
+/**
+ * Great-circle distance between two points (haversine)
+ * @param {Object} from - { latitude, longitude }
+ * @param {Object} to - { latitude, longitude }
+ * @returns {number} Distance in metres
+ */
+export const getDistanceMeters = (from, to) => {
+  const toRadians = (degrees) => degrees * Math.PI / 180;
+  const dLat = toRadians(to.latitude - from.latitude);
+  const dLng = toRadians(to.longitude - from.longitude);
+  const a = Math.sin(dLat / 2) ** 2 +
+    Math.cos(toRadians(from.latitude)) * Math.cos(toRadians(to.latitude)) * Math.sin(dLng / 2) ** 2;
+  return 2 * EARTH_RADIUS_M * Math.asin(Math.min(1, Math.sqrt(a)));
+};
+
+/**
+ * Match a location against the active sites
+ * @param {Object} location - { latitude, longitude }
+ * @param {Array} sites - Sites
+ * @returns {Object|null} Geofence fields for the attendance record
+ *   ({ site_id, site_name, site_distance_m, outside_geofence }), or null when
+ *   there is no location or no active site to check against
+ */
+export const matchLocationToSite = (location, sites = []) => {
+  if (!location || !isValidCoordinates(location.latitude, location.longitude)) {
+    return null;
+  }
+
+  const activeSites = sites.filter(site => site.is_active !== false);
+  if (activeSites.length === 0) {
+    return null;
+  }
+
+  // Prefer a site whose fence contains the point; otherwise report the nearest one
+  const measured = activeSites
+    .map(site => ({ site, distance: getDistanceMeters(location, site) }))
+    .sort((a, b) => (a.distance - a.site.radius_m) - (b.distance - b.site.radius_m));
+  const { site, distance } = measured[0];
+
+  return {
+    site_id: site.id,
+    site_name: site.name,
+    site_distance_m: Math.round(distance),
+    outside_geofence: distance > site.radius_m
+  };
+};
+
+/**
+ * Describe a distance for display
+ * @param {number} meters - Distance in metres
+ * @returns {string} e.g. '350 m' or '2.4 km'
+ */
+export const formatDistance = (meters) => {
+  if (meters < 1000) {
+    return `${Math.round(meters)} m`;
+  }
+  return `${(meters / 1000).toFixed(1)} km`;
+};
+
+/**
+ * Describe where an attendance record was marked
+ * @param {Object} record - Attendance record
+ * @returns {string} Description, or '' if the record has no location
+ */
+export const describeRecordLocation = (record) => {
+  if (!record || !record.location) {
+    return '';
+  }
+  const mocked = record.location.mocked ? ' [mocked location]' : '';
+  if (!record.site_id) {
+    return `Location captured; no site to check against${mocked}`;
+  }
+  if (record.outside_geofence) {
+    return `Marked ${formatDistance(record.site_distance_m)} from ${record.site_name} (outside the site fence)${mocked}`;
+  }
+  return `Marked at ${record.site_name}${mocked}`;
+};
+
+/**
+ * Parse 'latitude,longitude[,accuracy]' text, as used for mocked locations
+ * @param {string} text - Coordinate text
+ * @returns {Object|null} { latitude, longitude, accuracy } or null if invalid
+ */
+export const parseCoordinates = (text) => {
+  if (!text || typeof text !== 'string') {
+    return null;
+  }
+
+  const [latitude, longitude, accuracy] = text.split(',').map(part => parseFloat(part.trim()));
+  if (!isValidCoordinates(latitude, longitude)) {
+    return null;
+  }
+
+  return { latitude, longitude, accuracy: isNaN(accuracy) ? 0 : accuracy };
+};
@@ -0,0 +1,356 @@
+/**
+ * Statutory deductions: provident fund (PF), employees' state insurance (ESI)
+ * and state professional tax (PT). Ceilings, thresholds and slabs are monthly
+ * figures, so deductions are worked out per calendar month on that month's
+ * earnings, and charged in the pay period holding the month's last day.
+ */
+
+// Statutory components, in the order they are listed
+export const StatutoryComponents = {
+  PF: 'pf',
+  ESI: 'esi',
+  PROFESSIONAL_TAX: 'professional_tax'
+};
+
+// Rates are percentages of wages; ceilings, thresholds and slabs are monthly (INR).
+// Every component starts switched off so existing payroll is unchanged until an
+// admin turns it on.
+export const DEFAULT_STATUTORY_SETTINGS = {
+  [StatutoryComponents.PF]: {
+    enabled: false,
+    employee_rate: 12,
+    employer_rate: 12, // Of which pension_rate goes to the pension scheme (EPS)
+    pension_rate: 8.33,
+    wage_ceiling: 15000
+  },
+  [StatutoryComponents.ESI]: {
+    enabled: false,
+    employee_rate: 0.75,
+    employer_rate: 3.25,
+    wage_threshold: 21000 // Covered while monthly gross (less overtime) is at or below this
+  },
+  [StatutoryComponents.PROFESSIONAL_TAX]: {
+    enabled: false,
+    state: 'Maharashtra',
+    slabs: [ // Tax for monthly gross salary from min_gross upwards
+      { min_gross: 0, amount: 0 },
+      { min_gross: 7501, amount: 175 },
+      { min_gross: 10001, amount: 200 }
+    ]
+  }
+};
+
+// Allowed ranges for statutory settings
+export const StatutoryLimits = {
+  rate: { min: 0, max: 100 },
+  wage: { min: 0, max: 1000000 },
+  professional_tax: { min: 0, max: 2500 }
+};
+
+/**
+ * Apply default statutory settings to stored ones, component by component
+ * @param {Object|null} statutory - Stored statutory settings
+ * @returns {Object} Complete statutory settings
+ */
+export const withDefaultStatutorySettings = (statutory) => {
+  const stored = statutory || {};
+  return Object.values(StatutoryComponents).reduce((settings, component) => {
+    settings[component] = {
+      ...DEFAULT_STATUTORY_SETTINGS[component],
+      ...(stored[component] || {})
+    };
+    return settings;
+  }, {});
+};
+
+/**
+ * Check a number lies within limits
+ * @param {*} value - Raw value
+ * @param {Object} limits - { min, max }
+ * @param {string} label - Field label for messages
+ * @returns {string|null} Error message or null
+ */
+const validateStatutoryNumber = (value, limits, label) => {
+  const number = parseFloat(value);
+  if (value === '' || value === null || value === undefined || isNaN(number)) {
+    return `${label} must be a number`;
+  }
+  if (number < limits.min || number > limits.max) {
+    return `${label} must be between ${limits.min} and ${limits.max.toLocaleString('en-IN')}`;
+  }
+  return null;
+};
+
+/**
+ * Validate statutory settings. Errors are keyed `statutory.<component>.<field>`.
+ * @param {Object} statutory - Statutory settings
+ * @returns {Object} Errors by field (empty when valid)
+ */
+export const validateStatutorySettings = (statutory) => {
+  const errors = {};
+  const settings = withDefaultStatutorySettings(statutory);
+  const check = (component, field, limits, label) => {
+    const error = validateStatutoryNumber(settings[component][field], limits, label);
+    if (error) errors[`statutory.${component}.${field}`] = error;
+  };
+
+  check(StatutoryComponents.PF, 'employee_rate', StatutoryLimits.rate, 'PF employee rate');
+  check(StatutoryComponents.PF, 'employer_rate', StatutoryLimits.rate, 'PF employer rate');
+  check(StatutoryComponents.PF, 'pension_rate', StatutoryLimits.rate, 'PF pension rate');
+  check(StatutoryComponents.PF, 'wage_ceiling', StatutoryLimits.wage, 'PF wage ceiling');
+  if (!errors['statutory.pf.pension_rate'] && !errors['statutory.pf.employer_rate'] &&
+      parseFloat(settings.pf.pension_rate) > parseFloat(settings.pf.employer_rate)) {
+    errors['statutory.pf.pension_rate'] = 'PF pension rate cannot be more than the employer rate';
+  }
+
+  check(StatutoryComponents.ESI, 'employee_rate', StatutoryLimits.rate, 'ESI employee rate');
+  check(StatutoryComponents.ESI, 'employer_rate', StatutoryLimits.rate, 'ESI employer rate');
+  check(StatutoryComponents.ESI, 'wage_threshold', StatutoryLimits.wage, 'ESI wage threshold');
+
+  const slabs = settings.professional_tax.slabs;
+  if (!Array.isArray(slabs)) {
+    errors['statutory.professional_tax.slabs'] = 'Professional tax slabs must be a list';
+  } else {
+    const seen = new Set();
+    for (const slab of slabs) {
+      const error =
+        validateStatutoryNumber(slab.min_gross, StatutoryLimits.wage, 'Slab salary') ||
+        validateStatutoryNumber(slab.amount, StatutoryLimits.professional_tax, 'Professional tax');
+      if (error) {
+        errors['statutory.professional_tax.slabs'] = error;
+        break;
+      }
+      const minGross = parseFloat(slab.min_gross);
+      if (seen.has(minGross)) {
+        errors['statutory.professional_tax.slabs'] = 'Two professional tax slabs start at the same salary';
+        break;
+      }
+      seen.add(minGross);
+    }
+  }
+
+  return errors;
+};
+
+/**
+ * Format statutory settings for storage: numbers parsed, slabs sorted
+ * @param {Object} statutory - Statutory settings from the form
+ * @returns {Object} Statutory settings to store
+ */
+export const formatStatutorySettingsForStorage = (statutory) => {
+  const settings = withDefaultStatutorySettings(statutory);
+  const { pf, esi, professional_tax: pt } = settings;
+
+  return {
+    [StatutoryComponents.PF]: {
+      enabled: !!pf.enabled,
+      employee_rate: parseFloat(pf.employee_rate),
+      employer_rate: parseFloat(pf.employer_rate),
+      pension_rate: parseFloat(pf.pension_rate),
+      wage_ceiling: parseFloat(pf.wage_ceiling)
+    },
+    [StatutoryComponents.ESI]: {
+      enabled: !!esi.enabled,
+      employee_rate: parseFloat(esi.employee_rate),
+      employer_rate: parseFloat(esi.employer_rate),
+      wage_threshold: parseFloat(esi.wage_threshold)
+    },
+    [StatutoryComponents.PROFESSIONAL_TAX]: {
+      enabled: !!pt.enabled,
+      state: (pt.state || '').trim(),
+      slabs: (pt.slabs || [])
+        .map(slab => ({ min_gross: parseFloat(slab.min_gross), amount: parseFloat(slab.amount) }))
+        .sort((a, b) => a.min_gross - b.min_gross)
+    }
+  };
+};
+
+/**
+ * Get the professional tax for a monthly gross salary: the slab with the
+ * highest starting salary at or below it
+ * @param {Array} slabs - Professional tax slabs
+ * @param {number} grossSalary - Monthly gross salary
+ * @returns {number} Tax
+ */
+export const getProfessionalTax = (slabs, grossSalary) => {
+  const slab = (slabs || [])
+    .filter(entry => grossSalary >= entry.min_gross)
+    .sort((a, b) => b.min_gross - a.min_gross)[0];
+  return slab ? slab.amount : 0;
+};
+
+/**
+ * Work out the statutory contributions on one month's earnings.
+ * PF is on wages (without overtime or allowances) up to the wage ceiling;
+ * the employer's share is split into pension (EPS) and provident fund (EPF).
+ * ESI covers employees whose gross without overtime is within the threshold,
+ * and is charged on the whole gross. Professional tax is on the whole gross.
+ * PF is rounded to the nearest rupee and ESI up to the next rupee.
+ * @param {Object} earnings - { wages, overtimePay, grossSalary } for the month
+ * @param {Object} statutory - Statutory settings (see withDefaultStatutorySettings)
+ * @returns {Object} { lines, employeeTotal, employerTotal }; each line is
+ *   { component, label, wageBase, employee, employer, pension }
+ */
+export const calculateStatutoryContributions = (earnings, statutory) => {
+  const settings = withDefaultStatutorySettings(statutory);
+  const wages = earnings.wages || 0;
+  const grossSalary = earnings.grossSalary || 0;
+  const lines = [];
+
+  if (settings.pf.enabled && wages > 0) {
+    const wageBase = Math.min(wages, settings.pf.wage_ceiling);
+    const employer = Math.round(wageBase * settings.pf.employer_rate / 100);
+    lines.push({
+      component: StatutoryComponents.PF,
+      label: `Provident Fund @ ${settings.pf.employee_rate}%`,
+      wageBase: parseFloat(wageBase.toFixed(2)),
+      employee: Math.round(wageBase * settings.pf.employee_rate / 100),
+      employer,
+      pension: Math.min(employer, Math.round(wageBase * settings.pf.pension_rate / 100))
+    });
+  }
+
+  const esiWages = grossSalary - (earnings.overtimePay || 0);
+  if (settings.esi.enabled && grossSalary > 0 && esiWages <= settings.esi.wage_threshold) {
+    lines.push({
+      component: StatutoryComponents.ESI,
+      label: `ESI @ ${settings.esi.employee_rate}%`,
+      wageBase: parseFloat(grossSalary.toFixed(2)),
+      employee: Math.ceil(grossSalary * settings.esi.employee_rate / 100),
+      employer: Math.ceil(grossSalary * settings.esi.employer_rate / 100),
+      pension: 0
+    });
+  }
+
+  if (settings.professional_tax.enabled && grossSalary > 0) {
+    const tax = getProfessionalTax(settings.professional_tax.slabs, grossSalary);
+    if (tax > 0) {
+      lines.push({
+        component: StatutoryComponents.PROFESSIONAL_TAX,
+        label: `Professional Tax${settings.professional_tax.state ? ` (${settings.professional_tax.state})` : ''}`,
+        wageBase: parseFloat(grossSalary.toFixed(2)),
+        employee: tax,
+        employer: 0,
+        pension: 0
+      });
+    }
+  }
+
+  return {
+    lines,
+    employeeTotal: lines.reduce((sum, line) => sum + line.employee, 0),
+    employerTotal: lines.reduce((sum, line) => sum + line.employer, 0)
+  };
+};
+
+/**
+ * Get the last day of a calendar month
+ * @param {string} month - Month (YYYY-MM)
+ * @returns {string} Month end (YYYY-MM-DD)
+ */
+const getMonthEnd = (month) => {
+  const [year, monthNumber] = month.split('-').map(Number);
+  return new Date(Date.UTC(year, monthNumber, 0)).toISOString().split('T')[0];
+};
+
+/**
+ * Get the first date whose earnings count towards the statutory contributions
+ * charged in a period: the start of the first month, when that month ends
+ * inside the period, since its contributions are on the whole month
+ * @param {string} startDate - Start date (YYYY-MM-DD)
+ * @param {string} endDate - End date (YYYY-MM-DD)
+ * @returns {string} Date (YYYY-MM-DD)
+ */
+export const getStatutoryStartDate = (startDate, endDate) => {
+  const month = startDate.substring(0, 7);
+  return getMonthEnd(month) <= endDate ? `${month}-01` : startDate;
+};
+
+/**
+ * Work out the statutory contributions for each calendar month ending in a
+ * period, on that month's whole earnings. Months ending after the period are
+ * left for the period holding their last day.
+ * @param {Array} details - Priced attendance days { date, amount, overtimePay, nightAllowance }
+ * @param {Array} pieceRates - Piece-rate lines { date, amount }, wages in the month measured
+ * @param {Object} statutory - Statutory settings (see withDefaultStatutorySettings)
+ * @param {string} startDate - Start date (YYYY-MM-DD); months ending before it are left out
+ * @param {string} endDate - End date (YYYY-MM-DD)
+ * @returns {Object} { months, lines, employeeTotal, employerTotal }; each month is
+ *   { month, monthEnd, lines, employeeTotal, employerTotal } and lines are
+ *   totalled by component across the months
+ */
+export const calculateMonthlyStatutoryContributions = (details, pieceRates, statutory, startDate, endDate) => {
+  const earningsByMonth = {};
+  const getMonthEarnings = (date) => {
+    const month = date.substring(0, 7);
+    if (!earningsByMonth[month]) {
+      earningsByMonth[month] = { wages: 0, overtimePay: 0, grossSalary: 0 };
+    }
+    return earningsByMonth[month];
+  };
+
+  (details || []).forEach(detail => {
+    const earnings = getMonthEarnings(detail.date);
+    earnings.wages += detail.amount || 0;
+    earnings.overtimePay += detail.overtimePay || 0;
+    earnings.grossSalary += (detail.amount || 0) + (detail.overtimePay || 0) + (detail.nightAllowance || 0);
+  });
+
+  (pieceRates || []).forEach(line => {
+    const earnings = getMonthEarnings(line.date);
+    earnings.wages += line.amount || 0;
+    earnings.grossSalary += line.amount || 0;
+  });
+
+  const months = Object.keys(earningsByMonth)
+    .sort()
+    .map(month => ({ month, monthEnd: getMonthEnd(month) }))
+    .filter(({ monthEnd }) => (!startDate || monthEnd >= startDate) && monthEnd <= endDate)
+    .map(({ month, monthEnd }) => ({
+      month,
+      monthEnd,
+      ...calculateStatutoryContributions(earningsByMonth[month], statutory)
+    }));
+
+  const linesByComponent = {};
+  months.forEach(month => {
+    month.lines.forEach(line => {
+      const total = linesByComponent[line.component];
+      linesByComponent[line.component] = total ? {
+        ...total,
+        wageBase: parseFloat((total.wageBase + line.wageBase).toFixed(2)),
+        employee: total.employee + line.employee,
+        employer: total.employer + line.employer,
+        pension: total.pension + line.pension
+      } : { ...line };
+    });
+  });
+  const lines = Object.values(StatutoryComponents)
+    .filter(component => linesByComponent[component])
+    .map(component => linesByComponent[component]);
+
+  return {
+    months,
+    lines,
+    employeeTotal: lines.reduce((sum, line) => sum + line.employee, 0),
+    employerTotal: lines.reduce((sum, line) => sum + line.employer, 0)
+  };
+};
+
+/**
+ * Get display label for a statutory component
+ * @param {string} component - Statutory component
+ * @returns {string} Display label
+ */
+export const getStatutoryComponentLabel = (component) => {
+  switch (component) {
+    case StatutoryComponents.PF:
+      return 'Provident Fund';
+    case StatutoryComponents.ESI:
+      return 'ESI';
+    case StatutoryComponents.PROFESSIONAL_TAX:
+      return 'Professional Tax';
+    default:
+      return component;
+  }
+};
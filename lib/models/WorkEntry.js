@@ -0,0 +1,362 @@
+/**
+ * Work measurement (piece-rate) data model and utilities.
+ * A work entry records output measured on a date - e.g. cubic metres
+ * excavated or thousands of bricks laid - and the rate per unit. It is
+ * credited to one employee, or to a crew and split among its members by the
+ * days each was present over the work. The split is worked out when the entry
+ * is saved and stored with it, so later attendance edits do not change pay
+ * that has already been run.
+ */
+
+import { AttendanceStatus } from './Attendance';
+
+// Units offered as suggestions; any unit may be entered
+export const COMMON_WORK_UNITS = [
+  'cubic metre',
+  'square metre',
+  'running metre',
+  '1000 bricks',
+  'bag',
+  'trip',
+  'piece'
+];
+
+// Work entry limits
+export const WorkEntryLimits = {
+  MAX_QUANTITY: 1000000,
+  MAX_UNIT_RATE: 100000,
+  MAX_AMOUNT: 10000000,
+  MAX_CREW_SIZE: 100
+};
+
+// Work entry schema definition
+export const WorkEntrySchema = {
+  employee_ids: {
+    required: true,
+    type: 'array' // One employee, or every member of the crew
+  },
+  crew_name: {
+    required: false,
+    type: 'string',
+    maxLength: 100
+  },
+  start_date: {
+    required: false,
+    type: 'string',
+    format: 'date' // First day of the work; the entry date when empty
+  },
+  date: {
+    required: true,
+    type: 'string',
+    format: 'date' // YYYY-MM-DD the work was measured; its pay period
+  },
+  task: {
+    required: true,
+    type: 'string',
+    minLength: 2,
+    maxLength: 100
+  },
+  unit: {
+    required: true,
+    type: 'string',
+    minLength: 1,
+    maxLength: 30
+  },
+  quantity: {
+    required: true,
+    type: 'number',
+    min: 0.001,
+    max: WorkEntryLimits.MAX_QUANTITY
+  },
+  unit_rate: {
+    required: true,
+    type: 'number',
+    min: 0.01,
+    max: WorkEntryLimits.MAX_UNIT_RATE
+  },
+  notes: {
+    required: false,
+    type: 'string',
+    maxLength: 500
+  },
+  shares: {
+    required: false,
+    type: 'array' // [{ employee_id, days_present, amount }], set when saved
+  },
+  crew_days: {
+    required: false,
+    type: 'number' // Days present by the whole crew, set when saved
+  },
+  created_by: {
+    required: false,
+    type: 'string'
+  }
+};
+
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+/**
+ * Validate work entry data
+ * @param {Object} entryData - Work entry data to validate
+ * @returns {Object} Validation result with isValid and errors
+ */
+export const validateWorkEntry = (entryData) => {
+  const errors = {};
+
+  const employeeIds = (entryData.employee_ids || []).filter(Boolean);
+  if (employeeIds.length === 0) {
+    errors.employee_ids = 'Select an employee or the crew members';
+  } else if (new Set(employeeIds).size !== employeeIds.length) {
+    errors.employee_ids = 'An employee is listed twice in the crew';
+  } else if (employeeIds.length > WorkEntryLimits.MAX_CREW_SIZE) {
+    errors.employee_ids = `A crew cannot have more than ${WorkEntryLimits.MAX_CREW_SIZE} members`;
+  }
+
+  if (entryData.crew_name && entryData.crew_name.trim().length > 100) {
+    errors.crew_name = 'Crew name cannot exceed 100 characters';
+  }
+
+  if (!entryData.date) {
+    errors.date = 'Date is required';
+  } else if (!DATE_PATTERN.test(entryData.date) || isNaN(new Date(entryData.date).getTime())) {
+    errors.date = 'Invalid date';
+  }
+
+  if (entryData.start_date) {
+    if (!DATE_PATTERN.test(entryData.start_date) || isNaN(new Date(entryData.start_date).getTime())) {
+      errors.start_date = 'Invalid start date';
+    } else if (!errors.date && entryData.start_date > entryData.date) {
+      errors.start_date = 'Work cannot start after it is measured';
+    }
+  }
+
+  const task = (entryData.task || '').trim();
+  if (task.length < 2 || task.length > 100) {
+    errors.task = 'Task must be between 2 and 100 characters';
+  }
+
+  const unit = (entryData.unit || '').trim();
+  if (!unit) {
+    errors.unit = 'Unit is required';
+  } else if (unit.length > 30) {
+    errors.unit = 'Unit cannot exceed 30 characters';
+  }
+
+  const quantity = parseFloat(entryData.quantity);
+  if (isNaN(quantity) || quantity <= 0) {
+    errors.quantity = 'Quantity must be greater than 0';
+  } else if (quantity > WorkEntryLimits.MAX_QUANTITY) {
+    errors.quantity = `Quantity cannot exceed ${WorkEntryLimits.MAX_QUANTITY.toLocaleString('en-IN')}`;
+  }
+
+  const unitRate = parseFloat(entryData.unit_rate);
+  if (isNaN(unitRate) || unitRate <= 0) {
+    errors.unit_rate = 'Rate per unit must be greater than 0';
+  } else if (unitRate > WorkEntryLimits.MAX_UNIT_RATE) {
+    errors.unit_rate = `Rate per unit cannot exceed ₹${WorkEntryLimits.MAX_UNIT_RATE.toLocaleString('en-IN')}`;
+  }
+
+  if (!errors.quantity && !errors.unit_rate && quantity * unitRate > WorkEntryLimits.MAX_AMOUNT) {
+    errors.quantity = `Amount cannot exceed ₹${WorkEntryLimits.MAX_AMOUNT.toLocaleString('en-IN')}`;
+  }
+
+  if (entryData.notes && entryData.notes.length > 500) {
+    errors.notes = 'Notes cannot exceed 500 characters';
+  }
+
+  return { isValid: Object.keys(errors).length === 0, errors };
+};
+
+/**
+ * Format work entry data for storage
+ * @param {Object} entryData - Raw work entry form data
+ * @returns {Object} Formatted work entry for Firestore
+ */
+export const formatWorkEntryForStorage = (entryData) => {
+  const employeeIds = entryData.employee_ids.filter(Boolean);
+  const formatted = {
+    employee_ids: employeeIds,
+    crew_name: employeeIds.length > 1 ? (entryData.crew_name || '').trim() : '',
+    start_date: entryData.start_date || entryData.date,
+    date: entryData.date,
+    task: entryData.task.trim(),
+    unit: entryData.unit.trim(),
+    quantity: parseFloat(entryData.quantity),
+    unit_rate: parseFloat(entryData.unit_rate),
+    notes: (entryData.notes || '').trim()
+  };
+
+  if (entryData.created_by) {
+    formatted.created_by = entryData.created_by;
+  }
+
+  return formatted;
+};
+
+/**
+ * Create empty work entry object for forms
+ * @returns {Object} Empty work entry object
+ */
+export const createEmptyWorkEntry = () => {
+  const today = new Date().toISOString().split('T')[0];
+  return {
+    employee_ids: [],
+    crew_name: '',
+    start_date: today,
+    date: today,
+    task: '',
+    unit: COMMON_WORK_UNITS[0],
+    quantity: '',
+    unit_rate: '',
+    notes: ''
+  };
+};
+
+/**
+ * Check whether a work entry is shared by a crew
+ * @param {Object} entry - Work entry
+ * @returns {boolean} True for more than one employee
+ */
+export const isCrewWorkEntry = (entry) => (entry.employee_ids || []).length > 1;
+
+/**
+ * Get the amount earned by a work entry
+ * @param {Object} entry - Work entry
+ * @returns {number} Quantity × rate, rounded to paise
+ */
+export const getWorkEntryAmount = (entry) => {
+  return parseFloat(((parseFloat(entry.quantity) || 0) * (parseFloat(entry.unit_rate) || 0)).toFixed(2));
+};
+
+/**
+ * Count the days each crew member was present over a work entry's dates:
+ * a full day for present, half for a half day. Duplicate records for a day
+ * count once.
+ * @param {Object} entry - Work entry
+ * @param {Array} attendanceRecords - Attendance records covering the entry's dates
+ * @returns {Object} Days present by employee ID
+ */
+export const getCrewDaysPresent = (entry, attendanceRecords) => {
+  const startDate = entry.start_date || entry.date;
+  const dayValues = {};
+
+  (attendanceRecords || []).forEach(record => {
+    if (!entry.employee_ids.includes(record.employee_id)) return;
+    if (record.date < startDate || record.date > entry.date) return;
+
+    const value = record.status === AttendanceStatus.PRESENT ? 1 :
+      record.status === AttendanceStatus.HALF_DAY ? 0.5 : 0;
+    const key = `${record.employee_id}|${record.date}`;
+    dayValues[key] = Math.max(dayValues[key] || 0, value);
+  });
+
+  const days = entry.employee_ids.reduce((byEmployee, id) => ({ ...byEmployee, [id]: 0 }), {});
+  Object.keys(dayValues).forEach(key => {
+    days[key.split('|')[0]] += dayValues[key];
+  });
+
+  return days;
+};
+
+/**
+ * Split a work entry's amount among the employees it is credited to, in
+ * proportion to the days each was present over the work. When no member was
+ * present the amount is split equally. Shares are rounded to paise and the
+ * rounding difference goes to the largest share, so they add up to the whole.
+ * @param {Object} entry - Work entry
+ * @param {Array} attendanceRecords - Attendance records covering the entry's dates
+ * @returns {Array} Shares [{ employee_id, daysPresent, crewDays, amount }]
+ */
+export const splitWorkEntryAmount = (entry, attendanceRecords) => {
+  const total = getWorkEntryAmount(entry);
+  const days = getCrewDaysPresent(entry, attendanceRecords);
+  const crewDays = Object.values(days).reduce((sum, value) => sum + value, 0);
+  const members = entry.employee_ids;
+
+  const shares = members.map(id => ({
+    employee_id: id,
+    daysPresent: days[id],
+    crewDays,
+    amount: parseFloat((crewDays > 0 ? total * days[id] / crewDays : total / members.length).toFixed(2))
+  }));
+
+  const difference = parseFloat((total - shares.reduce((sum, share) => sum + share.amount, 0)).toFixed(2));
+  if (difference !== 0) {
+    const largest = shares.reduce((max, share) => (share.amount > max.amount ? share : max), shares[0]);
+    largest.amount = parseFloat((largest.amount + difference).toFixed(2));
+  }
+
+  return shares;
+};
+
+/**
+ * Format a work entry's split for storage with the entry
+ * @param {Array} shares - Shares from splitWorkEntryAmount
+ * @returns {Object} { shares, crew_days }
+ */
+export const formatWorkEntrySharesForStorage = (shares) => ({
+  shares: shares.map(share => ({
+    employee_id: share.employee_id,
+    days_present: share.daysPresent,
+    amount: share.amount
+  })),
+  crew_days: shares.length > 0 ? shares[0].crewDays : 0
+});
+
+/**
+ * Get the split stored with a work entry when it was saved
+ * @param {Object} entry - Work entry
+ * @returns {Array|null} Shares [{ employee_id, daysPresent, crewDays, amount }],
+ *   or null for entries saved before splits were stored
+ */
+export const getStoredWorkEntryShares = (entry) => {
+  if (!Array.isArray(entry.shares) || entry.shares.length === 0) {
+    return null;
+  }
+
+  return entry.shares.map(share => ({
+    employee_id: share.employee_id,
+    daysPresent: share.days_present || 0,
+    crewDays: entry.crew_days || 0,
+    amount: share.amount || 0
+  }));
+};
+
+/**
+ * Get the dates covered by an employee's piece-rate work, from each entry's
+ * start date to the date it was measured. The output pays for those days, so
+ * they earn no day pay.
+ * @param {Array} lines - The employee's piece-rate lines (see workEntryService.getPieceRateEarnings)
+ * @returns {Set} Dates (YYYY-MM-DD)
+ */
+export const getPieceRateDates = (lines) => {
+  const dates = new Set();
+  (lines || []).forEach(line => {
+    const cursor = new Date(`${line.start_date || line.date}T00:00:00Z`);
+    const last = new Date(`${line.date}T00:00:00Z`);
+    while (cursor <= last) {
+      dates.add(cursor.toISOString().split('T')[0]);
+      cursor.setUTCDate(cursor.getUTCDate() + 1);
+    }
+  });
+  return dates;
+};
+
+/**
+ * Describe a piece-rate line, e.g. "Excavation: 12.5 cubic metre @ ₹300.00",
+ * with the employee's share for crew work, e.g. "(Team A share: 5 of 20 days)"
+ * @param {Object} line - Piece-rate line (see workEntryService.getPieceRateEarnings)
+ * @param {Function} formatAmount - Currency formatter
+ * @returns {string} Description
+ */
+export const describePieceRateLine = (line, formatAmount) => {
+  const output = `${line.task}: ${line.quantity} ${line.unit} @ ${formatAmount(line.unit_rate)}`;
+  if (!line.crewSize || line.crewSize <= 1) {
+    return output;
+  }
+
+  const crew = line.crew_name || `crew of ${line.crewSize}`;
+  return line.crewDays > 0 ?
+    `${output} (${crew} share: ${line.daysPresent} of ${line.crewDays} days)` :
+    `${output} (${crew} share: equal, no days present)`;
+};
@@ -0,0 +1,150 @@
+/**
+ * Adjustment Service - Admin-entered bonuses, incentives and penalty
+ * deductions, each carried into the salary of the period it is dated in.
+ */
+
+import firestoreService from '../firebase/firestore';
+import settingsService from './settingsService';
+import employeeService from './employeeService';
+import payrollRunService from './payrollRunService';
+import periodService from './periodService';
+import { validateAdjustment, formatAdjustmentForStorage } from '../models/Adjustment';
+
+class AdjustmentService {
+  constructor() {
+    this.collectionName = 'adjustments';
+  }
+
+  /**
+   * Get adjustments, optionally for one employee and a date range
+   * @param {Object} options - { employeeId, startDate, endDate } (YYYY-MM-DD)
+   * @returns {Promise<Array>} Adjustments sorted by date
+   */
+  async getAdjustments(options = {}) {
+    try {
+      const queryOptions = options.employeeId ?
+        { where: [{ field: 'employee_id', operator: '==', value: options.employeeId }] } : {};
+      const adjustments = await firestoreService.getDocuments(this.collectionName, queryOptions);
+
+      return adjustments
+        .filter(adjustment => !options.startDate || adjustment.date >= options.startDate)
+        .filter(adjustment => !options.endDate || adjustment.date <= options.endDate)
+        .sort((a, b) => a.date.localeCompare(b.date));
+    } catch (error) {
+      console.error('Error getting adjustments:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Add an adjustment
+   * @param {Object} adjustmentData - Adjustment form data
+   * @param {string} userEmail - Email of the admin adding the adjustment
+   * @returns {Promise<Object>} Created adjustment
+   */
+  async addAdjustment(adjustmentData, userEmail) {
+    try {
+      await settingsService.assertAdmin(userEmail, 'manage salary adjustments');
+
+      const validation = validateAdjustment(adjustmentData);
+      if (!validation.isValid) {
+        throw new Error(`Validation failed: ${Object.values(validation.errors).join(', ')}`);
+      }
+
+      await this.assertEmployeeExists(adjustmentData.employee_id);
+
+      // Finalized payroll runs and closed periods lock the adjustments they cover
+      await payrollRunService.assertUnlocked(adjustmentData.employee_id, adjustmentData.date, 'adjustment');
+      await periodService.assertPeriodOpen(adjustmentData.date, 'adjustment');
+
+      const formattedData = formatAdjustmentForStorage({ ...adjustmentData, created_by: userEmail });
+      const docRef = await firestoreService.addDocument(this.collectionName, formattedData);
+
+      return { id: docRef.id, ...formattedData };
+    } catch (error) {
+      console.error('Error adding adjustment:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Update an adjustment
+   * @param {string} adjustmentId - Adjustment document ID
+   * @param {Object} adjustmentData - Adjustment form data
+   * @param {string} userEmail - Email of the admin making the change
+   * @returns {Promise<Object>} Updated adjustment
+   */
+  async updateAdjustment(adjustmentId, adjustmentData, userEmail) {
+    try {
+      await settingsService.assertAdmin(userEmail, 'manage salary adjustments');
+
+      const validation = validateAdjustment(adjustmentData);
+      if (!validation.isValid) {
+        throw new Error(`Validation failed: ${Object.values(validation.errors).join(', ')}`);
+      }
+
+      const existing = await firestoreService.getDocument(this.collectionName, adjustmentId);
+      if (!existing) {
+        throw new Error('Adjustment not found');
+      }
+
+      await this.assertEmployeeExists(adjustmentData.employee_id);
+
+      // Locked both where it was and where it is moving to
+      await payrollRunService.assertUnlocked(existing.employee_id, existing.date, 'adjustment');
+      await payrollRunService.assertUnlocked(adjustmentData.employee_id, adjustmentData.date, 'adjustment');
+      await periodService.assertPeriodOpen(existing.date, 'adjustment');
+      await periodService.assertPeriodOpen(adjustmentData.date, 'adjustment');
+
+      const formattedData = formatAdjustmentForStorage(adjustmentData);
+      formattedData.updated_by = userEmail;
+      await firestoreService.updateDocument(this.collectionName, adjustmentId, formattedData);
+
+      return { id: adjustmentId, ...existing, ...formattedData };
+    } catch (error) {
+      console.error('Error updating adjustment:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Delete an adjustment
+   * @param {string} adjustmentId - Adjustment document ID
+   * @param {string} userEmail - Email of the admin making the change
+   * @returns {Promise<void>}
+   */
+  async deleteAdjustment(adjustmentId, userEmail) {
+    try {
+      await settingsService.assertAdmin(userEmail, 'manage salary adjustments');
+
+      const existing = await firestoreService.getDocument(this.collectionName, adjustmentId);
+      if (!existing) {
+        throw new Error('Adjustment not found');
+      }
+
+      await payrollRunService.assertUnlocked(existing.employee_id, existing.date, 'adjustment');
+      await periodService.assertPeriodOpen(existing.date, 'adjustment');
+
+      await firestoreService.deleteDocument(this.collectionName, adjustmentId);
+    } catch (error) {
+      console.error('Error deleting adjustment:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Throw if the employee does not exist
+   * @param {string} employeeId - Employee ID
+   * @returns {Promise<void>}
+   */
+  async assertEmployeeExists(employeeId) {
+    const employee = await employeeService.getEmployee(employeeId);
+    if (!employee) {
+      throw new Error('Employee not found');
+    }
+  }
+}
+
+// Create and export singleton instance
+const adjustmentService = new AdjustmentService();
+export default adjustmentService;
@@ -0,0 +1,55 @@
+/**
+ * Anomaly Service - Flags attendance patterns worth following up: long runs
+ * of absence, Monday and after-payday absences, sudden drops in a site
+ * crew's attendance and records marked by an unusual supervisor.
+ */
+
+import attendanceService from './attendanceService';
+import employeeService from './employeeService';
+import paymentService from './paymentService';
+import holidayService from './holidayService';
+import {
+  detectAttendanceAnomalies,
+  addDaysToDate,
+  ANOMALY_LOOKBACK_DAYS
+} from '../models/AttendanceAnomaly';
+import { PaymentTypes } from '../models/Payment';
+
+class AnomalyService {
+  /**
+   * Get the attendance flags raised in a period. Attendance and payments are
+   * read from ANOMALY_LOOKBACK_DAYS earlier so that absence runs and a site's
+   * usual headcount reaching back before the period are seen whole.
+   * @param {string} startDate - Start date (YYYY-MM-DD)
+   * @param {string} endDate - End date (YYYY-MM-DD)
+   * @returns {Promise<Array>} Flags, latest first, with the records behind each
+   */
+  async getAnomalies(startDate, endDate) {
+    try {
+      if (!startDate || !endDate) {
+        throw new Error('Start date and end date are required');
+      }
+
+      if (startDate > endDate) {
+        throw new Error('Start date must be before or equal to end date');
+      }
+
+      const lookbackDate = addDaysToDate(startDate, -ANOMALY_LOOKBACK_DAYS);
+      const [records, employees, payments, calendar] = await Promise.all([
+        attendanceService.getAttendanceByDateRange(lookbackDate, endDate),
+        employeeService.getAllEmployees(),
+        paymentService.getPaymentsByDateRange(lookbackDate, endDate, { payment_type: PaymentTypes.SALARY }),
+        holidayService.getWorkCalendar()
+      ]);
+
+      return detectAttendanceAnomalies({ records, employees, payments, calendar }, startDate, endDate);
+    } catch (error) {
+      console.error('Error getting attendance anomalies:', error);
+      throw error;
+    }
+  }
+}
+
+// Create and export singleton instance
+const anomalyService = new AnomalyService();
+export default anomalyService;
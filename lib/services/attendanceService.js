@@ -1,9 +1,16 @@
 /**
  * Attendance service for managing attendance data in Firestore
- * Uses simple queries to avoid composite index requirements
+ * Reads filter and order on the server; queries combining employee_id or
+ * status with date need the composite indexes in firestore.indexes.json
  */
-import firestoreService from '../firebase/firestore';
+import firestoreService, { MAX_BATCH_OPERATIONS } from '../firebase/firestore';
 import employeeService from './employeeService';
+import payrollRunService from './payrollRunService';
+import periodService from './periodService';
+import holidayService from './holidayService';
+import siteService from './siteService';
+import settingsService from './settingsService';
+import shiftService from './shiftService';
 import { 
   validateAttendance, 
   validateBulkAttendance,
@@ -11,8 +18,88 @@ import {
   generateAttendanceId,
   parseAttendanceId,
   AttendanceStatus,
-  getDateRange
+  getLocalDateString,
+  calculateAttendanceStats,
+  createStatusCounts,
+  getStatusStatKey,
+  createAttendanceHistoryEntry,
+  planAttendanceMerge
 } from '../models/Attendance';
+import { applyCalendarToRecords } from '../models/Holiday';
+import { payrollRunCoversDate } from '../models/PayrollRun';
+import { findPeriodCoveringDate } from '../models/ClosedPeriod';
+import { matchLocationToSite } from '../models/Site';
+import { applyShift, findRosteredShift } from '../models/Shift';
+
+/**
+ * Set the geofence fields on attendance data from a site match
+ * @param {Object} attendanceData - Attendance data
+ * @param {Object|null} geofence - Result of matchLocationToSite
+ * @returns {Object} Attendance data with site_id, site_name,
+ *   site_distance_m and outside_geofence
+ */
+const applyGeofence = (attendanceData, geofence) => ({
+  ...attendanceData,
+  site_id: geofence ? geofence.site_id : null,
+  site_name: geofence ? geofence.site_name : null,
+  site_distance_m: geofence ? geofence.site_distance_m : null,
+  outside_geofence: geofence ? geofence.outside_geofence : false
+});
+
+/**
+ * Turn a date bound into the YYYY-MM-DD form attendance dates are stored in
+ * @param {Date|string} value - Date, or date string
+ * @returns {string|null} Date string, or null when there is no bound
+ */
+const toDateKey = (value) => {
+  if (!value) return null;
+  return value instanceof Date ? getLocalDateString(value) : value;
+};
+
+/**
+ * Build the Firestore query options for attendance filters, newest first
+ * @param {Object} filters - { employeeId, status, date, startDate, endDate };
+ *   dates as YYYY-MM-DD strings or Dates
+ * @returns {Object} Options for firestoreService.getDocuments
+ */
+const buildAttendanceQuery = (filters = {}) => {
+  const conditions = [];
+
+  if (filters.employeeId) {
+    conditions.push({ field: 'employee_id', operator: '==', value: filters.employeeId });
+  }
+  if (filters.status) {
+    conditions.push({ field: 'status', operator: '==', value: filters.status });
+  }
+
+  if (filters.date) {
+    conditions.push({ field: 'date', operator: '==', value: toDateKey(filters.date) });
+    return { where: conditions };
+  }
+
+  const startDate = toDateKey(filters.startDate);
+  const endDate = toDateKey(filters.endDate);
+  if (startDate) {
+    conditions.push({ field: 'date', operator: '>=', value: startDate });
+  }
+  if (endDate) {
+    conditions.push({ field: 'date', operator: '<=', value: endDate });
+  }
+
+  return {
+    where: conditions,
+    orderBy: { field: 'date', direction: 'desc' }
+  };
+};
+
+/**
+ * Sort attendance by date descending, then by employee name
+ * @param {Array} records - Attendance records
+ * @returns {Array} The same array, sorted
+ */
+const sortAttendance = (records) => records.sort((a, b) =>
+  b.date.localeCompare(a.date) || (a.employee_name || '').localeCompare(b.employee_name || '')
+);
 
 /**
  * Attendance service for managing attendance data in Firestore
@@ -23,7 +110,10 @@ class AttendanceService {
   }
 
   /**
-   * Mark attendance for a single employee
+   * Mark attendance for a single employee. The record is stored under its
+   * employee_id_date attendance ID and written in a transaction, so two
+   * supervisors marking the same worker at once leave one record: the later
+   * write becomes an update of the earlier one.
    * @param {Object} attendanceData - Attendance data
    * @returns {Promise<Object>} Created attendance record
    */
@@ -44,10 +134,10 @@ class AttendanceService {
       // Generate unique attendance ID
       const attendanceId = generateAttendanceId(attendanceData.employee_id, attendanceData.date);
       
-      // Check if attendance already exists for this employee and date
-      const existingAttendance = await this.getAttendanceById(attendanceId);
-      if (existingAttendance) {
-        // Update existing attendance
+      // Records marked before the attendance ID became the document ID are
+      // updated where they are until the duplicate merge moves them
+      const legacyAttendance = await this.getLegacyAttendance(attendanceId);
+      if (legacyAttendance) {
         const updatedRecord = await this.updateAttendance(attendanceId, attendanceData);
         return {
           ...updatedRecord,
@@ -56,22 +146,42 @@ class AttendanceService {
         };
       }
 
-      // Format data for storage
-      const formattedData = formatAttendanceForStorage(attendanceData);
+      // Finalized payroll runs and closed periods lock the days they cover
+      await payrollRunService.assertUnlocked(attendanceData.employee_id, attendanceData.date, 'attendance record');
+      await periodService.assertPeriodOpen(attendanceData.date, 'attendance record');
+
+      // Format data for storage, flagging locations outside the site fences
+      // and timing the day against the shift worked
+      const formattedData = formatAttendanceForStorage(await this.withShift(await this.withGeofence(attendanceData)));
       
       // Include our custom attendance ID as a field
       formattedData.attendance_id = attendanceId;
       
-      // Create attendance document
-      const docRef = await firestoreService.addDocument(this.collectionName, formattedData);
-      
-      return {
-        id: docRef.id,
-        attendance_id: attendanceId,
-        ...formattedData,
-        isUpdate: false,
-        operation: 'created'
-      };
+      // Create the attendance document, or update it if it was marked meanwhile
+      return await firestoreService.runTransaction(async (transaction) => {
+        const existingAttendance = await transaction.get(this.collectionName, attendanceId);
+        if (existingAttendance) {
+          const updateData = this.buildAttendanceUpdate(existingAttendance, formattedData, {
+            changed_by: attendanceData.marked_by
+          });
+          transaction.update(this.collectionName, attendanceId, updateData);
+          return {
+            ...existingAttendance,
+            ...updateData,
+            isUpdate: true,
+            operation: 'updated'
+          };
+        }
+
+        transaction.set(this.collectionName, attendanceId, formattedData);
+        return {
+          id: attendanceId,
+          attendance_id: attendanceId,
+          ...formattedData,
+          isUpdate: false,
+          operation: 'created'
+        };
+      });
     } catch (error) {
       console.error('Error marking attendance:', error);
       throw error;
@@ -79,7 +189,130 @@ class AttendanceService {
   }
 
   /**
-   * Mark attendance for multiple employees (bulk operation)
+   * Prepare an attendance write for a transaction: the document it goes to
+   * (the legacy record for the day where one exists) and its stored form.
+   * Validation and locks are the caller's to check.
+   * @param {Object} attendanceData - Attendance data
+   * @returns {Promise<Object>} { attendanceId, docId, formattedData, changedBy }
+   */
+  async prepareAttendanceWrite(attendanceData) {
+    const attendanceId = generateAttendanceId(attendanceData.employee_id, attendanceData.date);
+    const legacyAttendance = await this.getLegacyAttendance(attendanceId);
+    const formattedData = formatAttendanceForStorage(await this.withShift(await this.withGeofence(attendanceData)));
+    formattedData.attendance_id = attendanceId;
+
+    return {
+      attendanceId,
+      docId: legacyAttendance ? legacyAttendance.id : attendanceId,
+      formattedData,
+      changedBy: attendanceData.marked_by
+    };
+  }
+
+  /**
+   * Write prepared attendance inside a transaction, so the days are written
+   * together with whatever else the transaction changes or not at all. Each
+   * day is created, or updated with the values it replaces kept in its
+   * history. Every read happens before the first write, as Firestore requires.
+   * @param {Object} transaction - Transaction from firestoreService.runTransaction
+   * @param {Array} writes - Results of prepareAttendanceWrite
+   * @returns {Promise<Array>} Attendance IDs written
+   */
+  async writeAttendanceInTransaction(transaction, writes) {
+    const existingRecords = [];
+    for (const write of writes) {
+      existingRecords.push(await transaction.get(this.collectionName, write.docId));
+    }
+
+    writes.forEach((write, index) => {
+      const existingAttendance = existingRecords[index];
+      if (existingAttendance) {
+        transaction.update(this.collectionName, write.docId, this.buildAttendanceUpdate(
+          existingAttendance, write.formattedData, { changed_by: write.changedBy }
+        ));
+      } else {
+        transaction.set(this.collectionName, write.docId, write.formattedData);
+      }
+    });
+
+    return writes.map(write => write.attendanceId);
+  }
+
+  /**
+   * Replace any geofence fields on attendance data with the result for its location
+   * @param {Object} attendanceData - Attendance data, optionally with a location
+   * @returns {Promise<Object>} Attendance data with site_id, site_name,
+   *   site_distance_m and outside_geofence when the location matched a site
+   */
+  async withGeofence(attendanceData) {
+    const geofence = await siteService.getGeofence(attendanceData.location);
+    return applyGeofence(attendanceData, geofence);
+  }
+
+  /**
+   * Replace any shift fields on attendance data with those of the shift
+   * worked: the shift_id given, or else the employee's rostered shift
+   * @param {Object} attendanceData - Attendance data, optionally with a shift_id
+   * @returns {Promise<Object>} Attendance data with the shift, lateness,
+   *   early exit and night allowance set
+   */
+  async withShift(attendanceData) {
+    const shift = await shiftService.getShiftForAttendance(
+      attendanceData.employee_id,
+      attendanceData.date,
+      attendanceData.shift_id
+    );
+    return applyShift(attendanceData, shift);
+  }
+
+  /**
+   * Build the stored form of a re-mark over an existing record. The values
+   * it replaces are appended to the record's history.
+   * @param {Object} existingAttendance - Record being replaced
+   * @param {Object} formattedData - New values from formatAttendanceForStorage
+   * @param {Object} change - { changed_by, reason, correction_request_id } kept with the history entry
+   * @returns {Object} Data for the document update
+   */
+  buildAttendanceUpdate(existingAttendance, formattedData, change = {}) {
+    const updateData = {
+      ...formattedData,
+      updated_at: new Date().toISOString()
+    };
+
+    // A re-mark replaces the recorded times, so clear any it leaves out
+    updateData.check_in_time = updateData.check_in_time || null;
+    updateData.check_out_time = updateData.check_out_time || null;
+    // ...and it is no longer the record of an approved leave unless it says so
+    updateData.leave_request_id = updateData.leave_request_id || null;
+    // ...and the location (and geofence result) is that of the latest write
+    updateData.location = updateData.location || null;
+    updateData.site_id = updateData.site_id || null;
+    updateData.site_name = updateData.site_name || null;
+    updateData.site_distance_m = updateData.site_id ? updateData.site_distance_m : null;
+    updateData.outside_geofence = updateData.site_id ? updateData.outside_geofence : false;
+    // ...and so is the shift worked
+    updateData.shift_id = updateData.shift_id || null;
+    updateData.shift_name = updateData.shift_name || null;
+    updateData.shift_start = updateData.shift_start || null;
+    updateData.shift_end = updateData.shift_end || null;
+    updateData.late_minutes = updateData.shift_id ? updateData.late_minutes : null;
+    updateData.early_exit_minutes = updateData.shift_id ? updateData.early_exit_minutes : null;
+    updateData.night_shift = updateData.shift_id ? updateData.night_shift : false;
+    updateData.night_allowance = updateData.shift_id ? updateData.night_allowance : 0;
+
+    updateData.history = [
+      ...(existingAttendance.history || []),
+      createAttendanceHistoryEntry(existingAttendance, change)
+    ];
+
+    return updateData;
+  }
+
+  /**
+   * Mark attendance for multiple employees (bulk operation). Everything is
+   * read and checked first, then the records are written in write batches
+   * of up to MAX_BATCH_OPERATIONS. A batch cannot read, so a record marked
+   * by someone else between the check and the commit is overwritten.
    * @param {Array} attendanceDataArray - Array of attendance data
    * @returns {Promise<Object>} Result with success and error counts
    */
@@ -87,6 +320,9 @@ class AttendanceService {
     try {
       // Validate bulk attendance data
       const validation = validateBulkAttendance(attendanceDataArray);
+      const invalidRecords = new Map(
+        validation.errors.filter(entry => typeof entry === 'object').map(entry => [entry.index, entry])
+      );
       
       const results = {
         total: attendanceDataArray.length,
@@ -98,36 +334,133 @@ class AttendanceService {
         errorRecords: []
       };
 
-      // Process each attendance record
-      for (let i = 0; i < attendanceDataArray.length; i++) {
+      const addError = (index, error) => {
+        results.errors++;
+        results.errorRecords.push({
+          index,
+          employee_id: attendanceDataArray[index].employee_id,
+          error
+        });
+      };
+
+      // Drop invalid records, and any second entry for the same employee and day
+      const candidates = [];
+      const seenIds = new Set();
+      attendanceDataArray.forEach((attendanceData, index) => {
+        const invalid = invalidRecords.get(index);
+        if (invalid) {
+          addError(index, `Validation failed: ${Object.values(invalid.errors).join(', ')}`);
+          return;
+        }
+
+        const attendanceId = generateAttendanceId(attendanceData.employee_id, attendanceData.date);
+        if (seenIds.has(attendanceId)) {
+          addError(index, `Attendance for this employee on ${attendanceData.date} appears more than once`);
+          return;
+        }
+        seenIds.add(attendanceId);
+        candidates.push({ index, attendanceData, attendanceId });
+      });
+
+      if (candidates.length === 0) {
+        return results;
+      }
+
+      // Read everything the checks need once, rather than once per worker
+      const employeeIds = [...new Set(candidates.map(candidate => candidate.attendanceData.employee_id))];
+      const dates = [...new Set(candidates.map(candidate => candidate.attendanceData.date))];
+      const [employees, lockingRuns, closedPeriods, sites, existingRecords, shifts, rosters] = await Promise.all([
+        Promise.all(employeeIds.map(employeeId => employeeService.getEmployee(employeeId))),
+        Promise.all(employeeIds.map(employeeId => payrollRunService.getLockingRuns(employeeId))),
+        periodService.getClosedPeriods(),
+        candidates.some(candidate => candidate.attendanceData.location) ?
+          siteService.getSites({ activeOnly: true }) :
+          Promise.resolve([]),
+        this.getAttendanceForDates(dates),
+        shiftService.getShifts(),
+        shiftService.getRostersForDates(dates)
+      ]);
+
+      // Check each record and build its write
+      const writes = [];
+      candidates.forEach(({ index, attendanceData, attendanceId }) => {
+        const employeeIndex = employeeIds.indexOf(attendanceData.employee_id);
+        if (!employees[employeeIndex]) {
+          addError(index, 'Employee not found');
+          return;
+        }
+
+        // Finalized payroll runs and closed periods lock the days they cover
+        const lockingRun = lockingRuns[employeeIndex].find(
+          run => payrollRunCoversDate(run, attendanceData.employee_id, attendanceData.date)
+        );
+        if (lockingRun) {
+          addError(index, payrollRunService.getLockError(lockingRun, 'attendance record').message);
+          return;
+        }
+        const closedPeriod = findPeriodCoveringDate(closedPeriods, attendanceData.date);
+        if (closedPeriod) {
+          addError(index, periodService.getClosedPeriodError(closedPeriod, attendanceData.date, 'attendance record').message);
+          return;
+        }
+
+        // Format data for storage, flagging locations outside the site fences
+        // and timing the day against the shift worked
+        const geofence = attendanceData.location ? matchLocationToSite(attendanceData.location, sites) : null;
+        const shift = (attendanceData.shift_id && shifts.find(item => item.id === attendanceData.shift_id)) ||
+          findRosteredShift(rosters, shifts, attendanceData.employee_id, attendanceData.date);
+        const formattedData = formatAttendanceForStorage(applyShift(applyGeofence(attendanceData, geofence), shift));
+        formattedData.attendance_id = attendanceId;
+
+        const existingAttendance = existingRecords.get(attendanceId);
+        if (existingAttendance) {
+          const updateData = this.buildAttendanceUpdate(existingAttendance, formattedData, {
+            changed_by: attendanceData.marked_by
+          });
+          writes.push({
+            index,
+            operation: { type: 'update', collectionName: this.collectionName, docId: existingAttendance.id, data: updateData },
+            result: { ...existingAttendance, ...updateData, isUpdate: true, operation: 'updated' }
+          });
+        } else {
+          writes.push({
+            index,
+            operation: { type: 'set', collectionName: this.collectionName, docId: attendanceId, data: formattedData },
+            result: { id: attendanceId, ...formattedData, isUpdate: false, operation: 'created' }
+          });
+        }
+      });
+
+      // Commit in write batches; a failed batch fails only its own records
+      for (let start = 0; start < writes.length; start += MAX_BATCH_OPERATIONS) {
+        const chunk = writes.slice(start, start + MAX_BATCH_OPERATIONS);
         try {
-          const attendanceData = attendanceDataArray[i];
-          const result = await this.markAttendance(attendanceData);
+          await firestoreService.batchOperations(chunk.map(write => write.operation));
+        } catch (error) {
+          chunk.forEach(write => addError(write.index, error.message));
+          continue;
+        }
+
+        chunk.forEach(({ index, result }) => {
           results.success++;
           
           // Track whether record was created or updated
           if (result.operation === 'created') {
             results.created++;
-          } else if (result.operation === 'updated') {
+          } else {
             results.updated++;
           }
           
           results.successRecords.push({
-            index: i,
-            employee_id: attendanceData.employee_id,
+            index,
+            employee_id: attendanceDataArray[index].employee_id,
             operation: result.operation,
             result
           });
-        } catch (error) {
-          results.errors++;
-          results.errorRecords.push({
-            index: i,
-            employee_id: attendanceDataArray[i].employee_id,
-            error: error.message
-          });
-        }
+        });
       }
 
+      results.errorRecords.sort((a, b) => a.index - b.index);
       return results;
     } catch (error) {
       console.error('Error marking bulk attendance:', error);
@@ -142,28 +475,77 @@ class AttendanceService {
    */
   async getAttendanceById(attendanceId) {
     try {
-      // Since we're storing with auto-generated IDs, we need to search by attendance_id field
+      // The attendance ID is the document ID of records marked since it became the key
+      const attendance = await firestoreService.getDocument(this.collectionName, attendanceId);
+      if (attendance) {
+        return attendance;
+      }
+
+      return await this.getLegacyAttendance(attendanceId);
+    } catch (error) {
+      console.error('Error getting attendance by ID:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Get a record for an attendance ID that is stored under a random document
+   * ID, as records were before the duplicate merge
+   * @param {string} attendanceId - Attendance ID (employee_id_date)
+   * @returns {Promise<Object|null>} Attendance record or null
+   */
+  async getLegacyAttendance(attendanceId) {
+    try {
       const attendanceRecords = await firestoreService.getDocuments(this.collectionName, {
         where: [
           { field: 'attendance_id', operator: '==', value: attendanceId }
-        ],
-        limit: 1
+        ]
       });
 
-      return attendanceRecords.length > 0 ? attendanceRecords[0] : null;
+      return attendanceRecords.find(record => record.id !== attendanceId) || null;
     } catch (error) {
-      console.error('Error getting attendance by ID:', error);
+      console.error('Error getting legacy attendance:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Get the records on some dates, keyed by attendance ID. Where a day is
+   * stored more than once, the record under the attendance ID wins.
+   * @param {Array} dates - Dates in YYYY-MM-DD format
+   * @returns {Promise<Map>} Map of attendance ID to attendance record
+   */
+  async getAttendanceForDates(dates) {
+    try {
+      const recordsByDate = await Promise.all(
+        dates.map(date => firestoreService.getDocuments(this.collectionName, {
+          where: [{ field: 'date', operator: '==', value: date }]
+        }))
+      );
+
+      const records = new Map();
+      recordsByDate.flat().forEach(record => {
+        const attendanceId = generateAttendanceId(record.employee_id, record.date);
+        if (!records.has(attendanceId) || record.id === attendanceId) {
+          records.set(attendanceId, record);
+        }
+      });
+      return records;
+    } catch (error) {
+      console.error('Error getting attendance for dates:', error);
       throw error;
     }
   }
 
   /**
-   * Update attendance record
+   * Update attendance record. The values it replaces are appended to the
+   * record's history.
    * @param {string} attendanceId - Attendance ID
    * @param {Object} attendanceData - Updated attendance data
+   * @param {Object} change - Optional { changed_by, reason, correction_request_id } kept with the history entry
    * @returns {Promise<Object>} Updated attendance record
    */
-  async updateAttendance(attendanceId, attendanceData) {
+  async updateAttendance(attendanceId, attendanceData, change = {}) {
     try {
       // Validate attendance data
       const validation = validateAttendance(attendanceData);
@@ -177,18 +559,33 @@ class AttendanceService {
         throw new Error('Attendance record not found');
       }
 
-      // Format data for storage
-      const formattedData = formatAttendanceForStorage(attendanceData);
+      // Finalized payroll runs and closed periods lock the days they cover
+      await payrollRunService.assertUnlocked(existingAttendance.employee_id, existingAttendance.date, 'attendance record');
+      await periodService.assertPeriodOpen(existingAttendance.date, 'attendance record');
+
+      // Format data for storage, flagging locations outside the site fences
+      // and timing the day against the shift worked
+      const formattedData = formatAttendanceForStorage(await this.withShift(await this.withGeofence(attendanceData)));
       formattedData.attendance_id = attendanceId;
-      formattedData.updated_at = new Date().toISOString();
-      
-      // Update the document
-      await firestoreService.updateDocument(this.collectionName, existingAttendance.id, formattedData);
-      
-      return {
-        ...existingAttendance,
-        ...formattedData
-      };
+
+      // Re-read the record in the transaction so a concurrent change is not lost from its history
+      return await firestoreService.runTransaction(async (transaction) => {
+        const currentAttendance = await transaction.get(this.collectionName, existingAttendance.id);
+        if (!currentAttendance) {
+          throw new Error('Attendance record not found');
+        }
+
+        const updateData = this.buildAttendanceUpdate(currentAttendance, formattedData, {
+          changed_by: attendanceData.marked_by,
+          ...change
+        });
+        transaction.update(this.collectionName, currentAttendance.id, updateData);
+
+        return {
+          ...currentAttendance,
+          ...updateData
+        };
+      });
     } catch (error) {
       console.error('Error updating attendance:', error);
       throw error;
@@ -204,28 +601,30 @@ class AttendanceService {
     try {
       console.log(`Attempting to delete attendance record: ${attendanceId}`);
       
-      // First, try to delete by Firestore document ID directly
+      // First, try to find the record by Firestore document ID directly
+      let existingAttendance = null;
       try {
-        const docRef = await firestoreService.getDocument(this.collectionName, attendanceId);
-        if (docRef) {
-          await firestoreService.deleteDocument(this.collectionName, attendanceId);
-          console.log(`Successfully deleted attendance record by document ID: ${attendanceId}`);
-          return true;
-        }
-      } catch (directDeleteError) {
-        console.log(`Direct deletion failed, trying by attendance_id field: ${directDeleteError.message}`);
+        existingAttendance = await firestoreService.getDocument(this.collectionName, attendanceId);
+      } catch (directLookupError) {
+        console.log(`Direct lookup failed, trying by attendance_id field: ${directLookupError.message}`);
       }
 
-      // If direct deletion failed, try to find by attendance_id field
-      const existingAttendance = await this.getAttendanceById(attendanceId);
+      // If direct lookup failed, try to find by attendance_id field
+      if (!existingAttendance) {
+        existingAttendance = await this.getAttendanceById(attendanceId);
+      }
       if (!existingAttendance) {
         console.warn(`Attendance record ${attendanceId} not found in database`);
         return false; // Record doesn't exist, but don't throw error
       }
 
+      // Finalized payroll runs and closed periods lock the days they cover
+      await payrollRunService.assertUnlocked(existingAttendance.employee_id, existingAttendance.date, 'attendance record');
+      await periodService.assertPeriodOpen(existingAttendance.date, 'attendance record');
+
       // Delete the record using the Firestore document ID
       await firestoreService.deleteDocument(this.collectionName, existingAttendance.id);
-      console.log(`Successfully deleted attendance record by lookup: ${attendanceId} (doc ID: ${existingAttendance.id})`);
+      console.log(`Successfully deleted attendance record: ${attendanceId} (doc ID: ${existingAttendance.id})`);
       return true;
     } catch (error) {
       console.error(`Error deleting attendance record ${attendanceId}:`, error);
@@ -239,46 +638,74 @@ class AttendanceService {
   }
 
   /**
-   * Get attendance records for a specific employee
-   * @param {string} employeeId - Employee ID
-   * @param {Object} options - Query options (dateRange, status, limit)
-   * @returns {Promise<Array>} Array of attendance records
+   * One-time migration: collapse attendance stored more than once for the
+   * same employee and day, and move every record to its employee_id_date
+   * document ID. The values of the dropped copies are kept in the history of
+   * the surviving record. Running it again finds nothing to do.
+   * @param {string} userEmail - Email of the admin running the merge
+   * @returns {Promise<Object>} { checked, rewritten, duplicatesRemoved }
    */
-  async getEmployeeAttendance(employeeId, options = {}) {
+  async mergeDuplicateAttendance(userEmail) {
     try {
-      // Get all attendance records for the employee
-      const attendanceRecords = await firestoreService.getDocuments(this.collectionName, {
-        where: [
-          { field: 'employee_id', operator: '==', value: employeeId }
-        ]
+      await settingsService.assertAdmin(userEmail, 'merge duplicate attendance records');
+
+      const records = await firestoreService.getDocuments(this.collectionName);
+      const plan = planAttendanceMerge(records, userEmail);
+
+      // Each day's write and deletes go in the same batch, so a failure
+      // part-way through never leaves a day missing or still duplicated
+      const batches = [];
+      let operations = [];
+      plan.forEach(entry => {
+        const dayOperations = [
+          { type: 'set', collectionName: this.collectionName, docId: entry.attendance_id, data: entry.record },
+          ...entry.remove_ids.map(docId => ({ type: 'delete', collectionName: this.collectionName, docId }))
+        ];
+        if (operations.length > 0 && operations.length + dayOperations.length > MAX_BATCH_OPERATIONS) {
+          batches.push(operations);
+          operations = [];
+        }
+        operations = operations.concat(dayOperations);
       });
-
-      // Apply client-side filtering
-      let filteredRecords = attendanceRecords;
-
-      // Filter by date range
-      if (options.dateRange) {
-        const { start, end } = options.dateRange;
-        filteredRecords = filteredRecords.filter(record => {
-          const recordDate = new Date(record.date);
-          return recordDate >= start && recordDate <= end;
-        });
+      if (operations.length > 0) {
+        batches.push(operations);
       }
 
-      // Filter by status
-      if (options.status) {
-        filteredRecords = filteredRecords.filter(record => record.status === options.status);
+      for (const batch of batches) {
+        await firestoreService.batchOperations(batch);
       }
 
-      // Sort by date descending
-      filteredRecords.sort((a, b) => new Date(b.date) - new Date(a.date));
-
-      // Apply limit
-      if (options.limit) {
-        filteredRecords = filteredRecords.slice(0, options.limit);
-      }
+      return {
+        checked: records.length,
+        rewritten: plan.length,
+        duplicatesRemoved: plan.reduce((sum, entry) => sum + entry.duplicates, 0)
+      };
+    } catch (error) {
+      console.error('Error merging duplicate attendance:', error);
+      throw error;
+    }
+  }
 
-      return filteredRecords;
+  /**
+   * Get attendance records for a specific employee, newest first
+   * @param {string} employeeId - Employee ID
+   * @param {Object} options - Query options: dateRange { start, end } (either
+   *   bound may be left out), status, limit
+   * @returns {Promise<Array>} Array of attendance records
+   */
+  async getEmployeeAttendance(employeeId, options = {}) {
+    try {
+      const dateRange = options.dateRange || {};
+
+      return await firestoreService.getDocuments(this.collectionName, {
+        ...buildAttendanceQuery({
+          employeeId,
+          status: options.status,
+          startDate: dateRange.start,
+          endDate: dateRange.end
+        }),
+        limit: options.limit
+      });
     } catch (error) {
       console.error('Error getting employee attendance:', error);
       throw error;
@@ -292,11 +719,10 @@ class AttendanceService {
    */
   async getAttendanceByDate(date) {
     try {
-      // Get all attendance records (simple query to avoid composite index)
-      const allRecords = await firestoreService.getDocuments(this.collectionName);
-      
-      // Filter by date client-side
-      const dateRecords = allRecords.filter(record => record.date === date);
+      const dateRecords = await firestoreService.getDocuments(
+        this.collectionName,
+        buildAttendanceQuery({ date })
+      );
       
       // Sort by employee name (we'll need to get employee data)
       const recordsWithEmployees = await Promise.all(
@@ -352,50 +778,59 @@ class AttendanceService {
    */
   async getEmployeesWithAttendanceForDate(employeeIds, date) {
     try {
-      const employeesWithAttendance = new Set();
+      const existingAttendance = await this.getExistingAttendanceForDate(employeeIds, date);
+      return new Set(existingAttendance.keys());
+    } catch (error) {
+      console.error('Error getting employees with attendance for date:', error);
+      return new Set();
+    }
+  }
+
+  /**
+   * Get the existing attendance records of employees for a specific date
+   * @param {Array} employeeIds - Array of employee IDs to check
+   * @param {string} date - Date in YYYY-MM-DD format
+   * @returns {Promise<Map>} Map of employee ID to attendance record
+   */
+  async getExistingAttendanceForDate(employeeIds, date) {
+    try {
+      const existingAttendance = new Map();
       
       // Check each employee's attendance for the date
       await Promise.all(
         employeeIds.map(async (employeeId) => {
           const attendance = await this.checkEmployeeAttendanceForDate(employeeId, date);
           if (attendance) {
-            employeesWithAttendance.add(employeeId);
+            existingAttendance.set(employeeId, attendance);
           }
         })
       );
       
-      return employeesWithAttendance;
+      return existingAttendance;
     } catch (error) {
-      console.error('Error getting employees with attendance for date:', error);
-      return new Set();
+      console.error('Error getting existing attendance for date:', error);
+      return new Map();
     }
   }
 
   /**
    * Get attendance records for date range
-   * @param {Date} startDate - Start date
-   * @param {Date} endDate - End date
+   * @param {Date|string} startDate - Start date (YYYY-MM-DD or Date)
+   * @param {Date|string} endDate - End date (YYYY-MM-DD or Date)
+   * @param {Object} options - Optional { employeeId, status } filters
    * @returns {Promise<Array>} Array of attendance records
    */
-  async getAttendanceByDateRange(startDate, endDate) {
+  async getAttendanceByDateRange(startDate, endDate, options = {}) {
     try {
-      // Get all attendance records
-      const allRecords = await firestoreService.getDocuments(this.collectionName);
-      
-      // Filter by date range client-side
-      const rangeRecords = allRecords.filter(record => {
-        const recordDate = new Date(record.date);
-        return recordDate >= startDate && recordDate <= endDate;
-      });
+      const rangeRecords = await firestoreService.getDocuments(this.collectionName, buildAttendanceQuery({
+        employeeId: options.employeeId,
+        status: options.status,
+        startDate,
+        endDate
+      }));
 
       // Sort by date descending, then by employee name
-      rangeRecords.sort((a, b) => {
-        const dateCompare = new Date(b.date) - new Date(a.date);
-        if (dateCompare !== 0) return dateCompare;
-        return (a.employee_name || '').localeCompare(b.employee_name || '');
-      });
-
-      return rangeRecords;
+      return sortAttendance(rangeRecords);
     } catch (error) {
       console.error('Error getting attendance by date range:', error);
       throw error;
@@ -403,31 +838,35 @@ class AttendanceService {
   }
 
   /**
-   * Get all attendance records
-   * @returns {Promise<Array>} Array of all attendance records
+   * Get one page of attendance records, newest first
+   * @param {Object} filters - { employeeId, status, date, startDate, endDate }
+   * @param {Object} options - { pageSize, cursor } where cursor is the one
+   *   returned with the previous page
+   * @returns {Promise<Object>} { records, cursor, hasMore }
    */
-  async getAllAttendance() {
+  async getAttendancePage(filters = {}, options = {}) {
     try {
-      // Get all attendance records
-      const allRecords = await firestoreService.getDocuments(this.collectionName);
-      
-      // Sort by date descending, then by employee name
-      allRecords.sort((a, b) => {
-        const dateCompare = new Date(b.date) - new Date(a.date);
-        if (dateCompare !== 0) return dateCompare;
-        return (a.employee_name || '').localeCompare(b.employee_name || '');
+      const page = await firestoreService.getDocumentsPage(this.collectionName, {
+        ...buildAttendanceQuery(filters),
+        pageSize: options.pageSize,
+        cursor: options.cursor
       });
 
-      return allRecords;
+      return {
+        records: page.documents,
+        cursor: page.cursor,
+        hasMore: page.hasMore
+      };
     } catch (error) {
-      console.error('Error getting all attendance records:', error);
+      console.error('Error getting attendance page:', error);
       throw error;
     }
   }
 
   /**
    * Get attendance statistics
-   * @param {Object} options - Options (employeeId, dateRange)
+   * @param {Object} options - Options (employeeId, dateRange); a date range is
+   *   required unless the statistics are for one employee
    * @returns {Promise<Object>} Attendance statistics
    */
   async getAttendanceStats(options = {}) {
@@ -439,67 +878,43 @@ class AttendanceService {
           dateRange: options.dateRange
         });
       } else {
-        if (options.dateRange) {
-          attendanceRecords = await this.getAttendanceByDateRange(
-            options.dateRange.start, 
-            options.dateRange.end
-          );
-        } else {
-          // Get all records
-          attendanceRecords = await firestoreService.getDocuments(this.collectionName);
+        if (!options.dateRange || !options.dateRange.start || !options.dateRange.end) {
+          throw new Error('A date range is required for attendance statistics across employees');
         }
+        attendanceRecords = await this.getAttendanceByDateRange(
+          options.dateRange.start, 
+          options.dateRange.end
+        );
       }
 
+      // Absences on holidays and weekly offs are not counted against attendance
+      const calendar = await holidayService.getWorkCalendar();
+      attendanceRecords = applyCalendarToRecords(attendanceRecords, calendar);
+
       const stats = {
-        total: attendanceRecords.length,
-        present: 0,
-        absent: 0,
-        halfDay: 0,
-        presentPercent: 0,
-        absentPercent: 0,
-        halfDayPercent: 0,
+        ...calculateAttendanceStats(attendanceRecords),
         byDate: {},
         byEmployee: {}
       };
 
-      if (attendanceRecords.length === 0) {
-        return stats;
-      }
-
-      // Calculate basic statistics
+      // Group by date and by employee
       attendanceRecords.forEach(record => {
-        switch (record.status) {
-          case AttendanceStatus.PRESENT:
-            stats.present++;
-            break;
-          case AttendanceStatus.ABSENT:
-            stats.absent++;
-            break;
-          case AttendanceStatus.HALF_DAY:
-            stats.halfDay++;
-            break;
-        }
+        if (!Object.values(AttendanceStatus).includes(record.status)) return;
+        const statusKey = getStatusStatKey(record.status);
 
-        // Group by date
         if (!stats.byDate[record.date]) {
-          stats.byDate[record.date] = { present: 0, absent: 0, halfDay: 0, total: 0 };
+          stats.byDate[record.date] = { ...createStatusCounts(), total: 0 };
         }
-        stats.byDate[record.date][record.status === 'half-day' ? 'halfDay' : record.status]++;
+        stats.byDate[record.date][statusKey]++;
         stats.byDate[record.date].total++;
 
-        // Group by employee
         if (!stats.byEmployee[record.employee_id]) {
-          stats.byEmployee[record.employee_id] = { present: 0, absent: 0, halfDay: 0, total: 0 };
+          stats.byEmployee[record.employee_id] = { ...createStatusCounts(), total: 0 };
         }
-        stats.byEmployee[record.employee_id][record.status === 'half-day' ? 'halfDay' : record.status]++;
+        stats.byEmployee[record.employee_id][statusKey]++;
         stats.byEmployee[record.employee_id].total++;
       });
 
-      // Calculate percentages
-      stats.presentPercent = Math.round((stats.present / stats.total) * 100);
-      stats.absentPercent = Math.round((stats.absent / stats.total) * 100);
-      stats.halfDayPercent = Math.round((stats.halfDay / stats.total) * 100);
-
       return stats;
     } catch (error) {
       console.error('Error getting attendance stats:', error);
@@ -508,12 +923,18 @@ class AttendanceService {
   }
 
   /**
-   * Get employees with no attendance for a specific date
+   * Get employees with no attendance for a specific date.
+   * Holidays and weekly offs expect no attendance, so nobody is missing.
    * @param {string} date - Date in YYYY-MM-DD format
    * @returns {Promise<Array>} Array of employees without attendance
    */
   async getEmployeesWithoutAttendance(date) {
     try {
+      const offDay = await holidayService.getOffDay(date);
+      if (offDay) {
+        return [];
+      }
+
       // Get all active employees
       const allEmployees = await employeeService.getAllEmployees();
       
@@ -536,46 +957,24 @@ class AttendanceService {
   /**
    * Subscribe to attendance changes
    * @param {Function} callback - Callback function for updates
-   * @param {Object} options - Query options
+   * @param {Object} options - Query options: employeeId, status, date,
+   *   dateRange { start, end }, limit
    * @returns {Function} Unsubscribe function
    */
   subscribeToAttendance(callback, options = {}) {
     try {
-      // Subscribe to all attendance records and filter client-side
-      const wrappedCallback = (allRecords) => {
-        let filteredRecords = allRecords;
-
-        // Apply filters client-side
-        if (options.employeeId) {
-          filteredRecords = filteredRecords.filter(record => 
-            record.employee_id === options.employeeId
-          );
-        }
-
-        if (options.date) {
-          filteredRecords = filteredRecords.filter(record => 
-            record.date === options.date
-          );
-        }
-
-        if (options.dateRange) {
-          const { start, end } = options.dateRange;
-          filteredRecords = filteredRecords.filter(record => {
-            const recordDate = new Date(record.date);
-            return recordDate >= start && recordDate <= end;
-          });
-        }
-
-        // Sort by date descending
-        filteredRecords.sort((a, b) => new Date(b.date) - new Date(a.date));
-
-        callback(filteredRecords);
-      };
-
-      return firestoreService.subscribeToCollection(
-        this.collectionName,
-        wrappedCallback
-      );
+      const dateRange = options.dateRange || {};
+
+      return firestoreService.subscribeToCollection(this.collectionName, callback, {
+        ...buildAttendanceQuery({
+          employeeId: options.employeeId,
+          status: options.status,
+          date: options.date,
+          startDate: dateRange.start,
+          endDate: dateRange.end
+        }),
+        limit: options.limit
+      });
     } catch (error) {
       console.error('Error subscribing to attendance:', error);
       throw error;
@@ -0,0 +1,130 @@
+/**
+ * Badge Service - Builds printable A4 sheets of employee QR badges
+ */
+
+import { PAYSLIP_COMPANY } from './payslipService';
+import { getEmployeeBadgeValue } from '../models/Employee';
+
+// Credit-card sized badges, two across and five down an A4 page
+const BADGE_WIDTH = 85;
+const BADGE_HEIGHT = 54;
+const BADGE_COLUMNS = 2;
+const BADGE_ROWS = 5;
+const BADGE_GAP = 2;
+const PAGE_MARGIN_X = (210 - BADGE_COLUMNS * BADGE_WIDTH - (BADGE_COLUMNS - 1) * BADGE_GAP) / 2;
+const PAGE_MARGIN_Y = (297 - BADGE_ROWS * BADGE_HEIGHT - (BADGE_ROWS - 1) * BADGE_GAP) / 2;
+const QR_SIZE = 40;
+
+class BadgeService {
+  /**
+   * Render an employee's badge QR code as a PNG data URL
+   * @param {Object} employee - Employee data
+   * @returns {Promise<string>} PNG data URL
+   */
+  async getBadgeQrDataUrl(employee) {
+    const QRCode = await import('qrcode');
+    return QRCode.toDataURL(getEmployeeBadgeValue(employee), {
+      errorCorrectionLevel: 'M',
+      margin: 1,
+      width: 320
+    });
+  }
+
+  /**
+   * Draw one badge with its top-left corner at (x, y)
+   * @param {jsPDF} doc - jsPDF document
+   * @param {Object} employee - Employee data
+   * @param {string} qrDataUrl - Badge QR code
+   * @param {number} x - Left edge (mm)
+   * @param {number} y - Top edge (mm)
+   */
+  drawBadge(doc, employee, qrDataUrl, x, y) {
+    // Cut line
+    doc.setDrawColor(160);
+    doc.setLineDashPattern([1, 1], 0);
+    doc.rect(x, y, BADGE_WIDTH, BADGE_HEIGHT);
+    doc.setLineDashPattern([], 0);
+
+    // Company band
+    doc.setFillColor(0, 124, 186);
+    doc.rect(x, y, BADGE_WIDTH, 9, 'F');
+    doc.setTextColor(255);
+    doc.setFont('helvetica', 'bold');
+    doc.setFontSize(10);
+    doc.text(PAYSLIP_COMPANY.name, x + 4, y + 6);
+    doc.setFont('helvetica', 'normal');
+    doc.setFontSize(7);
+    doc.text('Attendance Badge', x + BADGE_WIDTH - 4, y + 6, { align: 'right' });
+    doc.setTextColor(0);
+
+    // Employee details
+    const textWidth = BADGE_WIDTH - QR_SIZE - 10;
+    doc.setFont('helvetica', 'bold');
+    doc.setFontSize(11);
+    const nameLines = doc.splitTextToSize(employee.name, textWidth).slice(0, 2);
+    doc.text(nameLines, x + 4, y + 17);
+
+    doc.setFont('helvetica', 'normal');
+    doc.setFontSize(8);
+    let textY = y + 17 + nameLines.length * 5;
+    if (employee.designation) {
+      doc.text(employee.designation, x + 4, textY);
+      textY += 5;
+    }
+    doc.setTextColor(110);
+    doc.text(`ID: ${employee.id}`, x + 4, textY, { maxWidth: textWidth });
+    doc.setTextColor(0);
+
+    doc.setFontSize(6.5);
+    doc.setTextColor(110);
+    doc.text('Scan at the site kiosk to check in and out', x + 4, y + BADGE_HEIGHT - 7, { maxWidth: textWidth });
+    doc.setTextColor(0);
+
+    doc.addImage(qrDataUrl, 'PNG', x + BADGE_WIDTH - QR_SIZE - 3, y + 11, QR_SIZE, QR_SIZE);
+  }
+
+  /**
+   * Generate and download an A4 PDF of QR badges, ten to a page
+   * @param {Array} employees - Employees to print badges for
+   * @returns {Promise<number>} Number of badges written
+   */
+  async downloadBadges(employees) {
+    try {
+      if (!employees || employees.length === 0) {
+        throw new Error('Select at least one employee to print badges for');
+      }
+
+      const { jsPDF } = await import('jspdf');
+      const doc = new jsPDF({ orientation: 'portrait', unit: 'mm', format: 'a4' });
+      const perPage = BADGE_COLUMNS * BADGE_ROWS;
+
+      for (let index = 0; index < employees.length; index++) {
+        const slot = index % perPage;
+        if (index > 0 && slot === 0) {
+          doc.addPage();
+        }
+
+        const column = slot % BADGE_COLUMNS;
+        const row = Math.floor(slot / BADGE_COLUMNS);
+        const qrDataUrl = await this.getBadgeQrDataUrl(employees[index]);
+        this.drawBadge(
+          doc,
+          employees[index],
+          qrDataUrl,
+          PAGE_MARGIN_X + column * (BADGE_WIDTH + BADGE_GAP),
+          PAGE_MARGIN_Y + row * (BADGE_HEIGHT + BADGE_GAP)
+        );
+      }
+
+      doc.save(`qr-badges-${new Date().toISOString().split('T')[0]}.pdf`);
+      return employees.length;
+    } catch (error) {
+      console.error('Error generating QR badges:', error);
+      throw error;
+    }
+  }
+}
+
+// Create and export singleton instance
+const badgeService = new BadgeService();
+export default badgeService;
@@ -0,0 +1,136 @@
+/**
+ * Contribution Service - Monthly PF, ESI and professional tax summary per
+ * employee, laid out for filing the statutory returns.
+ */
+
+import employeeService from './employeeService';
+import attendanceService from './attendanceService';
+import workEntryService from './workEntryService';
+import salaryService from './salaryService';
+import { StatutoryComponents } from '../models/Statutory';
+
+class ContributionService {
+  /**
+   * Get the statutory contributions for every employee in a month. Each
+   * employee's salary for the month is calculated and the PF, ESI and
+   * professional tax lines are lifted out of it. Employees who have since
+   * left or been deactivated are included when they worked in the month.
+   * @param {string} month - Month (YYYY-MM)
+   * @returns {Promise<Object>} { month, startDate, endDate, rows, errors, totals }
+   */
+  async getMonthlyContributions(month) {
+    try {
+      if (!/^\d{4}-\d{2}$/.test(month || '')) {
+        throw new Error('Select a month');
+      }
+
+      const [year, monthNumber] = month.split('-').map(Number);
+      const startDate = `${month}-01`;
+      const endDate = new Date(Date.UTC(year, monthNumber, 0)).toISOString().split('T')[0];
+
+      const [allEmployees, attendance, workEntries] = await Promise.all([
+        employeeService.getAllEmployees({ includeInactive: true }),
+        attendanceService.getAttendanceByDateRange(startDate, endDate),
+        workEntryService.getWorkEntries({ startDate, endDate })
+      ]);
+
+      // Attendance or piece-rate work in the month earns wages, whatever the
+      // employee's status is now
+      const workedIds = new Set([
+        ...attendance.map(record => record.employee_id),
+        ...workEntries.reduce((ids, entry) => [...ids, ...entry.employee_ids], [])
+      ]);
+      const employees = allEmployees.filter(employee => employee.status === 'active' || workedIds.has(employee.id));
+      employees.sort((a, b) => (a.name || '').localeCompare(b.name || ''));
+      const employeesById = employees.reduce((byId, employee) => ({ ...byId, [employee.id]: employee }), {});
+
+      const calculations = await salaryService.calculateSalaryForEmployees(employees, startDate, endDate);
+      const rows = [];
+      const errors = [];
+
+      calculations.forEach(calculation => {
+        if (calculation.error) {
+          errors.push({ employee: calculation.employee, error: calculation.error });
+          return;
+        }
+
+        const lines = calculation.statutory || [];
+        if (lines.length === 0) return;
+
+        const employee = employeesById[calculation.employee.id] || {};
+        const findLine = (component) => lines.find(line => line.component === component) || null;
+        rows.push({
+          employee: calculation.employee,
+          uan: employee.uan || '',
+          esi_number: employee.esi_number || '',
+          paidDays: calculation.period.workingDays,
+          grossSalary: calculation.financial.grossSalary,
+          pf: findLine(StatutoryComponents.PF),
+          esi: findLine(StatutoryComponents.ESI),
+          professionalTax: findLine(StatutoryComponents.PROFESSIONAL_TAX)
+        });
+      });
+
+      return {
+        month,
+        startDate,
+        endDate,
+        rows,
+        errors,
+        totals: this.getContributionTotals(rows)
+      };
+    } catch (error) {
+      console.error('Error getting monthly contributions:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Sum contribution rows. The employer's PF share is split into pension
+   * (EPS) and the provident fund balance (EPF), as the PF return asks.
+   * @param {Array} rows - Rows from getMonthlyContributions
+   * @returns {Object} Totals
+   */
+  getContributionTotals(rows) {
+    const totals = {
+      employees: rows.length,
+      grossSalary: 0,
+      pfWages: 0,
+      pfEmployee: 0,
+      pfPension: 0,
+      pfEmployer: 0,
+      esiWages: 0,
+      esiEmployee: 0,
+      esiEmployer: 0,
+      professionalTax: 0
+    };
+
+    rows.forEach(row => {
+      totals.grossSalary += row.grossSalary;
+      if (row.pf) {
+        totals.pfWages += row.pf.wageBase;
+        totals.pfEmployee += row.pf.employee;
+        totals.pfPension += row.pf.pension;
+        totals.pfEmployer += row.pf.employer - row.pf.pension;
+      }
+      if (row.esi) {
+        totals.esiWages += row.esi.wageBase;
+        totals.esiEmployee += row.esi.employee;
+        totals.esiEmployer += row.esi.employer;
+      }
+      if (row.professionalTax) {
+        totals.professionalTax += row.professionalTax.employee;
+      }
+    });
+
+    Object.keys(totals).forEach(key => {
+      totals[key] = parseFloat(totals[key].toFixed(2));
+    });
+
+    return totals;
+  }
+}
+
+// Create and export singleton instance
+const contributionService = new ContributionService();
+export default contributionService;
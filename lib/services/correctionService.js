@@ -0,0 +1,240 @@
+/**
+ * Correction Service - Attendance correction requests.
+ * Supervisors propose a change to a marked day with a reason; an admin
+ * approves or rejects it. Approval applies the change through
+ * attendanceService.updateAttendance, which keeps the replaced values in
+ * the record's history.
+ */
+
+import firestoreService from '../firebase/firestore';
+import employeeService from './employeeService';
+import attendanceService from './attendanceService';
+import payrollRunService from './payrollRunService';
+import periodService from './periodService';
+import settingsService from './settingsService';
+import {
+  CorrectionRequestStatus,
+  validateCorrectionRequest,
+  correctionChangesRecord,
+  formatCorrectionRequestForStorage,
+  recordMatchesCorrectionOriginal,
+  buildCorrectedAttendance
+} from '../models/AttendanceCorrection';
+import { validateAttendance } from '../models/Attendance';
+
+class CorrectionService {
+  constructor() {
+    this.collectionName = 'attendanceCorrections';
+  }
+
+  /**
+   * Get correction requests
+   * @param {Object} options - { employeeId, status }
+   * @returns {Promise<Array>} Correction requests, latest date first
+   */
+  async getCorrectionRequests(options = {}) {
+    try {
+      const queryOptions = {};
+      if (options.employeeId) {
+        queryOptions.where = [{ field: 'employee_id', operator: '==', value: options.employeeId }];
+      }
+
+      const requests = await firestoreService.getDocuments(this.collectionName, queryOptions);
+
+      // Filter and sort client-side to avoid composite index requirements
+      return requests
+        .filter(request => !options.status || request.status === options.status)
+        .sort((a, b) => b.date.localeCompare(a.date) || (b.requested_at || '').localeCompare(a.requested_at || ''));
+    } catch (error) {
+      console.error('Error getting correction requests:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Get a correction request by ID
+   * @param {string} requestId - Correction request document ID
+   * @returns {Promise<Object|null>} Correction request or null
+   */
+  async getCorrectionRequest(requestId) {
+    try {
+      return await firestoreService.getDocument(this.collectionName, requestId);
+    } catch (error) {
+      console.error('Error getting correction request:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Enter a correction request for a marked day
+   * @param {Object} requestData - Correction form data
+   * @param {string} requestedBy - Email of the supervisor entering it
+   * @returns {Promise<Object>} Created correction request
+   */
+  async createCorrectionRequest(requestData, requestedBy) {
+    try {
+      const validation = validateCorrectionRequest(requestData);
+      if (!validation.isValid) {
+        throw new Error(`Validation failed: ${Object.values(validation.errors).join(', ')}`);
+      }
+
+      const [employee, record] = await Promise.all([
+        employeeService.getEmployee(requestData.employee_id),
+        attendanceService.checkEmployeeAttendanceForDate(requestData.employee_id, requestData.date)
+      ]);
+
+      if (!employee) {
+        throw new Error('Employee not found');
+      }
+      if (!record) {
+        throw new Error(`${employee.name} has no attendance marked on ${requestData.date}; mark it instead`);
+      }
+      if (record.leave_request_id) {
+        throw new Error('This day is approved leave; change it through the leave request');
+      }
+      if (!correctionChangesRecord(record, requestData)) {
+        throw new Error('The correction is the same as the current attendance');
+      }
+
+      // Fail now rather than at approval if the day cannot be changed
+      await payrollRunService.assertUnlocked(record.employee_id, record.date, 'attendance record');
+      await periodService.assertPeriodOpen(record.date, 'attendance record');
+
+      const pending = await this.getCorrectionRequests({
+        employeeId: record.employee_id,
+        status: CorrectionRequestStatus.PENDING
+      });
+      if (pending.some(request => request.date === record.date)) {
+        throw new Error(`${employee.name} already has a pending correction for ${record.date}`);
+      }
+
+      const formattedData = formatCorrectionRequestForStorage(requestData, record, employee.name, requestedBy);
+      const docRef = await firestoreService.addDocument(this.collectionName, formattedData);
+
+      return { id: docRef.id, ...formattedData };
+    } catch (error) {
+      console.error('Error creating correction request:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Approve a pending correction and apply it to the attendance record
+   * @param {string} requestId - Correction request document ID
+   * @param {string} reviewerEmail - Email of the approving admin
+   * @param {string} note - Optional review note
+   * @returns {Promise<Object>} Approved correction request
+   */
+  async approveCorrectionRequest(requestId, reviewerEmail, note = '') {
+    try {
+      await settingsService.assertAdmin(reviewerEmail, 'approve attendance corrections');
+
+      const request = await this.getPendingRequest(requestId);
+      const record = await attendanceService.getAttendanceById(request.attendance_id);
+      if (!record) {
+        throw new Error('The attendance record has been deleted since the correction was requested');
+      }
+      if (!recordMatchesCorrectionOriginal(record, request)) {
+        throw new Error(
+          'The attendance record has changed since the correction was requested. ' +
+          'Reject this request and raise a new one if it is still needed.'
+        );
+      }
+
+      const attendanceData = buildCorrectedAttendance(record, request, reviewerEmail);
+      const attendanceValidation = validateAttendance(attendanceData);
+      if (!attendanceValidation.isValid) {
+        throw new Error(`Validation failed: ${Object.values(attendanceValidation.errors).join(', ')}`);
+      }
+
+      await attendanceService.updateAttendance(request.attendance_id, attendanceData, {
+        changed_by: reviewerEmail,
+        reason: request.reason,
+        correction_request_id: request.id
+      });
+
+      const reviewData = {
+        status: CorrectionRequestStatus.APPROVED,
+        reviewed_by: reviewerEmail,
+        reviewed_at: new Date().toISOString(),
+        review_note: (note || '').trim()
+      };
+      await firestoreService.updateDocument(this.collectionName, request.id, reviewData);
+
+      return { ...request, ...reviewData };
+    } catch (error) {
+      console.error('Error approving correction request:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Reject a pending correction request
+   * @param {string} requestId - Correction request document ID
+   * @param {string} reviewerEmail - Email of the rejecting admin
+   * @param {string} note - Reason for rejecting
+   * @returns {Promise<Object>} Rejected correction request
+   */
+  async rejectCorrectionRequest(requestId, reviewerEmail, note = '') {
+    try {
+      await settingsService.assertAdmin(reviewerEmail, 'reject attendance corrections');
+
+      const request = await this.getPendingRequest(requestId);
+      const reviewData = {
+        status: CorrectionRequestStatus.REJECTED,
+        reviewed_by: reviewerEmail,
+        reviewed_at: new Date().toISOString(),
+        review_note: (note || '').trim()
+      };
+      await firestoreService.updateDocument(this.collectionName, request.id, reviewData);
+
+      return { ...request, ...reviewData };
+    } catch (error) {
+      console.error('Error rejecting correction request:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Withdraw a correction request that has not been reviewed yet
+   * @param {string} requestId - Correction request document ID
+   * @param {string} userEmail - Email of the user withdrawing it
+   * @returns {Promise<Object>} Cancelled correction request
+   */
+  async cancelCorrectionRequest(requestId, userEmail) {
+    try {
+      const request = await this.getPendingRequest(requestId);
+      const cancelData = {
+        status: CorrectionRequestStatus.CANCELLED,
+        cancelled_by: userEmail || '',
+        cancelled_at: new Date().toISOString()
+      };
+      await firestoreService.updateDocument(this.collectionName, request.id, cancelData);
+
+      return { ...request, ...cancelData };
+    } catch (error) {
+      console.error('Error cancelling correction request:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Get a correction request, throwing unless it is still pending
+   * @param {string} requestId - Correction request document ID
+   * @returns {Promise<Object>} Correction request
+   */
+  async getPendingRequest(requestId) {
+    const request = await this.getCorrectionRequest(requestId);
+    if (!request) {
+      throw new Error('Correction request not found');
+    }
+    if (request.status !== CorrectionRequestStatus.PENDING) {
+      throw new Error(`This correction request has already been ${request.status}`);
+    }
+    return request;
+  }
+}
+
+// Create and export singleton instance
+const correctionService = new CorrectionService();
+export default correctionService;
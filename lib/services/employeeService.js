@@ -2,7 +2,9 @@ import firestoreService from '../firebase/firestore';
 import { 
   validateEmployee, 
   formatEmployeeForStorage, 
-  generateEmployeeSearchKeywords 
+  generateEmployeeSearchKeywords,
+  normalizeDeviceUserId,
+  DEVICE_USER_ID_PATTERN
 } from '../models/Employee';
 
 /**
@@ -34,6 +36,9 @@ class EmployeeService {
         }
       }
 
+      // Each device user ID belongs to one employee, so punch logs map unambiguously
+      await this.assertDeviceUserIdFree(employeeData.device_user_id);
+
       // Format data for storage
       const formattedData = formatEmployeeForStorage(employeeData);
       
@@ -92,6 +97,8 @@ class EmployeeService {
         }
       }
 
+      await this.assertDeviceUserIdFree(employeeData.device_user_id, employeeId);
+
       // Format data for storage
       const formattedData = formatEmployeeForStorage(employeeData);
       
@@ -139,19 +146,22 @@ class EmployeeService {
 
   /**
    * Get all active employees
-   * @param {Object} options - Query options
+   * @param {Object} options - Query options; { includeInactive: true } also
+   *   returns employees who have been made inactive
    * @returns {Promise<Array>} Array of employees
    */
   async getAllEmployees(options = {}) {
     try {
+      const { includeInactive, ...restOptions } = options;
+
       // Use simple query to avoid composite index requirement
       const queryOptions = {
-        where: [
+        where: includeInactive ? [] : [
           { field: 'status', operator: '==', value: 'active' }
         ],
         // Remove orderBy to avoid composite index requirement
         // We'll sort client-side instead
-        ...options
+        ...restOptions
       };
 
       const employees = await firestoreService.getDocuments(this.collectionName, queryOptions);
@@ -239,6 +249,67 @@ class EmployeeService {
     }
   }
 
+  /**
+   * Find employee by biometric device user ID
+   * @param {string} deviceUserId - User ID on the attendance device
+   * @returns {Promise<Object|null>} Employee or null
+   */
+  async findByDeviceUserId(deviceUserId) {
+    try {
+      const normalized = normalizeDeviceUserId(deviceUserId);
+      if (!normalized) {
+        return null;
+      }
+
+      // Use single field query to avoid composite index
+      const employees = await firestoreService.getDocuments(this.collectionName, {
+        where: [
+          { field: 'device_user_id', operator: '==', value: normalized }
+        ]
+      });
+
+      // Filter active employees client-side
+      return employees.find(emp => emp.status === 'active') || null;
+    } catch (error) {
+      console.error('Error finding employee by device user ID:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Throw if a device user ID is already linked to another employee
+   * @param {string} deviceUserId - User ID on the attendance device
+   * @param {string} employeeId - Employee the ID is for, when updating
+   * @returns {Promise<void>}
+   */
+  async assertDeviceUserIdFree(deviceUserId, employeeId = null) {
+    const existingEmployee = await this.findByDeviceUserId(deviceUserId);
+    if (existingEmployee && existingEmployee.id !== employeeId) {
+      throw new Error(`${existingEmployee.name} already has device user ID ${normalizeDeviceUserId(deviceUserId)}`);
+    }
+  }
+
+  /**
+   * Link an employee to their user ID on a biometric attendance device
+   * @param {string} employeeId - Employee ID
+   * @param {string} deviceUserId - User ID on the attendance device
+   * @returns {Promise<void>}
+   */
+  async linkDeviceUserId(employeeId, deviceUserId) {
+    try {
+      const normalized = normalizeDeviceUserId(deviceUserId);
+      if (!DEVICE_USER_ID_PATTERN.test(normalized)) {
+        throw new Error(`Invalid device user ID: ${deviceUserId}`);
+      }
+
+      await this.assertDeviceUserIdFree(normalized, employeeId);
+      await firestoreService.updateDocument(this.collectionName, employeeId, { device_user_id: normalized });
+    } catch (error) {
+      console.error('Error linking device user ID:', error);
+      throw error;
+    }
+  }
+
   /**
    * Get employees by joining date range
    * @param {Date} startDate - Start date
@@ -1,4 +1,5 @@
 import firestoreService from '../firebase/firestore';
+import periodService from './periodService';
 
 // Expense Categories Constants
 export const EXPENSE_CATEGORIES = {
@@ -59,6 +60,17 @@ class ExpenseService {
     return new Date(timestamp);
   }
 
+  // Helper method to get an expense date as YYYY-MM-DD
+  toDateString(date) {
+    const converted = this.convertTimestampToDate(date);
+    return converted ? converted.toISOString().split('T')[0] : null;
+  }
+
+  // Closed periods lock the expenses dated inside them
+  async assertExpensePeriodOpen(date) {
+    await periodService.assertPeriodOpen(this.toDateString(date), 'expense');
+  }
+
   // Helper method to format expense data
   formatExpenseData(expenseData) {
     return {
@@ -133,6 +145,8 @@ class ExpenseService {
         throw new Error(`Validation failed: ${Object.values(validation.errors).join(', ')}`);
       }
 
+      await this.assertExpensePeriodOpen(expenseData.date);
+
       const expense = {
         amount: parseFloat(expenseData.amount),
         category: expenseData.category,
@@ -267,6 +281,14 @@ class ExpenseService {
         throw new Error(`Validation failed: ${Object.values(validation.errors).join(', ')}`);
       }
 
+      // Check both where the expense was dated and where it is moving to
+      const existing = await this.getExpenseById(expenseId);
+      if (!existing.success) {
+        throw new Error(existing.error);
+      }
+      await this.assertExpensePeriodOpen(existing.expense.date);
+      await this.assertExpensePeriodOpen(updateData.date);
+
       const updates = {
         amount: parseFloat(updateData.amount),
         category: updateData.category,
@@ -295,6 +317,12 @@ class ExpenseService {
   // Delete expense
   async deleteExpense(expenseId) {
     try {
+      const existing = await this.getExpenseById(expenseId);
+      if (!existing.success) {
+        throw new Error(existing.error);
+      }
+      await this.assertExpensePeriodOpen(existing.expense.date);
+
       await firestoreService.deleteDocument(this.collectionName, expenseId);
 
       return {
@@ -0,0 +1,165 @@
+/**
+ * Holiday Service - Admin-managed holiday calendar.
+ * Together with the weekly-off days in the payroll settings it makes up the
+ * work calendar used by attendance marking, reports and salary.
+ */
+
+import firestoreService from '../firebase/firestore';
+import settingsService from './settingsService';
+import {
+  validateHoliday,
+  formatHolidayForStorage,
+  buildWorkCalendar,
+  getOffDay
+} from '../models/Holiday';
+
+class HolidayService {
+  constructor() {
+    this.collectionName = 'holidays';
+  }
+
+  /**
+   * Get holidays, optionally limited to a date range
+   * @param {Object} options - { startDate, endDate } (YYYY-MM-DD)
+   * @returns {Promise<Array>} Holidays sorted by date
+   */
+  async getHolidays(options = {}) {
+    try {
+      // Holidays are few; filter client-side to avoid index requirements
+      const holidays = await firestoreService.getDocuments(this.collectionName);
+
+      return holidays
+        .filter(holiday => !options.startDate || holiday.date >= options.startDate)
+        .filter(holiday => !options.endDate || holiday.date <= options.endDate)
+        .sort((a, b) => a.date.localeCompare(b.date));
+    } catch (error) {
+      console.error('Error getting holidays:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Add a holiday
+   * @param {Object} holidayData - Holiday form data
+   * @param {string} userEmail - Email of the admin adding the holiday
+   * @returns {Promise<Object>} Created holiday
+   */
+  async addHoliday(holidayData, userEmail) {
+    try {
+      await settingsService.assertAdmin(userEmail, 'manage the holiday calendar');
+
+      const validation = validateHoliday(holidayData);
+      if (!validation.isValid) {
+        throw new Error(`Validation failed: ${Object.values(validation.errors).join(', ')}`);
+      }
+
+      await this.assertDateFree(holidayData.date);
+
+      const formattedData = formatHolidayForStorage({ ...holidayData, created_by: userEmail });
+      const docRef = await firestoreService.addDocument(this.collectionName, formattedData);
+
+      return { id: docRef.id, ...formattedData };
+    } catch (error) {
+      console.error('Error adding holiday:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Update a holiday
+   * @param {string} holidayId - Holiday document ID
+   * @param {Object} holidayData - Holiday form data
+   * @param {string} userEmail - Email of the admin making the change
+   * @returns {Promise<Object>} Updated holiday
+   */
+  async updateHoliday(holidayId, holidayData, userEmail) {
+    try {
+      await settingsService.assertAdmin(userEmail, 'manage the holiday calendar');
+
+      const validation = validateHoliday(holidayData);
+      if (!validation.isValid) {
+        throw new Error(`Validation failed: ${Object.values(validation.errors).join(', ')}`);
+      }
+
+      await this.assertDateFree(holidayData.date, holidayId);
+
+      const formattedData = formatHolidayForStorage(holidayData);
+      await firestoreService.updateDocument(this.collectionName, holidayId, formattedData);
+
+      return { id: holidayId, ...formattedData };
+    } catch (error) {
+      console.error('Error updating holiday:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Delete a holiday
+   * @param {string} holidayId - Holiday document ID
+   * @param {string} userEmail - Email of the admin making the change
+   * @returns {Promise<void>}
+   */
+  async deleteHoliday(holidayId, userEmail) {
+    try {
+      await settingsService.assertAdmin(userEmail, 'manage the holiday calendar');
+      await firestoreService.deleteDocument(this.collectionName, holidayId);
+    } catch (error) {
+      console.error('Error deleting holiday:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Throw if another holiday is already on the date
+   * @param {string} date - Date (YYYY-MM-DD)
+   * @param {string} exceptId - Holiday being edited, if any
+   * @returns {Promise<void>}
+   */
+  async assertDateFree(date, exceptId = null) {
+    const existing = await firestoreService.getDocuments(this.collectionName, {
+      where: [{ field: 'date', operator: '==', value: date }]
+    });
+
+    const clash = existing.find(holiday => holiday.id !== exceptId);
+    if (clash) {
+      throw new Error(`${date} is already a holiday (${clash.name})`);
+    }
+  }
+
+  /**
+   * Get the work calendar: holidays plus the configured weekly offs
+   * @returns {Promise<Object>} Work calendar (see buildWorkCalendar)
+   */
+  async getWorkCalendar() {
+    try {
+      const [holidays, settings] = await Promise.all([
+        this.getHolidays(),
+        settingsService.getSettings()
+      ]);
+
+      return buildWorkCalendar(holidays, settings.weekly_offs);
+    } catch (error) {
+      console.error('Error getting work calendar:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Check whether a date is a holiday or weekly off
+   * @param {string} date - Date (YYYY-MM-DD)
+   * @returns {Promise<Object|null>} { status, name } for an off day, null otherwise
+   */
+  async getOffDay(date) {
+    try {
+      const calendar = await this.getWorkCalendar();
+      return getOffDay(calendar, date);
+    } catch (error) {
+      console.error('Error checking off day:', error);
+      throw error;
+    }
+  }
+}
+
+// Create and export singleton instance
+const holidayService = new HolidayService();
+export default holidayService;
@@ -0,0 +1,149 @@
+/**
+ * Kiosk Service - Self check-in and check-out from employee QR badges.
+ * The first scan of the day marks the worker present with a check-in time;
+ * the next scan records the check-out time. A worker on an overnight shift
+ * checks out on the day the shift started.
+ */
+
+import employeeService from './employeeService';
+import attendanceService from './attendanceService';
+import {
+  AttendanceStatus,
+  LEAVE_STATUSES,
+  getLocalDateString,
+  getLocalTimeString,
+  getStatusLabel
+} from '../models/Attendance';
+import { parseEmployeeBadgeValue } from '../models/Employee';
+import { isOvernightCheckOut } from '../models/Shift';
+
+// What a scan did
+export const KioskScanAction = {
+  CHECK_IN: 'check-in',
+  CHECK_OUT: 'check-out',
+  REPEAT: 'repeat', // Scanned again too soon after the last scan; nothing recorded
+  COMPLETE: 'complete' // Already checked in and out today; nothing recorded
+};
+
+// A scan this soon after the previous one is treated as an accidental repeat
+export const MIN_SCAN_GAP_MINUTES = 5;
+
+/**
+ * Minutes between two HH:MM times on the same day
+ * @param {string} from - Earlier time
+ * @param {string} to - Later time
+ * @returns {number} Minutes
+ */
+const minutesBetween = (from, to) => {
+  const [fromHours, fromMinutes] = from.split(':').map(Number);
+  const [toHours, toMinutes] = to.split(':').map(Number);
+  return (toHours * 60 + toMinutes) - (fromHours * 60 + fromMinutes);
+};
+
+class KioskService {
+  /**
+   * Record a badge scan
+   * @param {string} badgeValue - Text read from the QR code
+   * @param {string} kioskUser - UID or email of the user signed in on the kiosk
+   * @param {Date} scannedAt - Scan time (defaults to now)
+   * @param {Object|null} location - Kiosk location, if the device provided one
+   * @returns {Promise<Object>} { action, employee, time, record }
+   */
+  async recordScan(badgeValue, kioskUser, scannedAt = new Date(), location = null) {
+    try {
+      const employeeId = parseEmployeeBadgeValue(badgeValue);
+      if (!employeeId) {
+        throw new Error('This QR code is not an employee badge');
+      }
+
+      const employee = await employeeService.getEmployee(employeeId);
+      if (!employee) {
+        throw new Error('No employee found for this badge');
+      }
+
+      const date = getLocalDateString(scannedAt);
+      const time = getLocalTimeString(scannedAt);
+      const existing = await attendanceService.checkEmployeeAttendanceForDate(employeeId, date);
+
+      if (existing && LEAVE_STATUSES.includes(existing.status)) {
+        throw new Error(
+          `${employee.name} is on ${getStatusLabel(existing.status)} today. Ask a supervisor to update the attendance.`
+        );
+      }
+
+      // Before the day's first scan, see whether it ends last night's shift
+      if (!existing || !existing.check_in_time) {
+        const previousDay = new Date(scannedAt);
+        previousDay.setDate(previousDay.getDate() - 1);
+        const previous = await attendanceService.checkEmployeeAttendanceForDate(employeeId, getLocalDateString(previousDay));
+
+        if (previous && previous.check_out_time && isOvernightCheckOut({ ...previous, check_out_time: null }, time)) {
+          const sinceCheckOut = minutesBetween(previous.check_out_time, time);
+          if (sinceCheckOut >= 0 && sinceCheckOut < MIN_SCAN_GAP_MINUTES) {
+            return { action: KioskScanAction.REPEAT, employee, time: previous.check_out_time, record: previous };
+          }
+        }
+
+        if (isOvernightCheckOut(previous, time)) {
+          const record = await attendanceService.markAttendance({
+            employee_id: employeeId,
+            date: previous.date,
+            status: previous.status,
+            marked_by: kioskUser || 'kiosk',
+            check_in_time: previous.check_in_time,
+            check_out_time: time,
+            notes: previous.notes || '',
+            shift_id: previous.shift_id,
+            location: location || previous.location || null
+          });
+          return { action: KioskScanAction.CHECK_OUT, employee, time, record };
+        }
+      }
+
+      const baseRecord = {
+        employee_id: employeeId,
+        date,
+        status: AttendanceStatus.PRESENT,
+        marked_by: kioskUser || 'kiosk'
+      };
+
+      // First scan (or the worker was marked absent / off and came in anyway)
+      if (!existing || !existing.check_in_time) {
+        const record = await attendanceService.markAttendance({
+          ...baseRecord,
+          check_in_time: time,
+          notes: 'Kiosk check-in'
+        });
+        return { action: KioskScanAction.CHECK_IN, employee, time, record };
+      }
+
+      const lastScan = existing.check_out_time || existing.check_in_time;
+      if (minutesBetween(lastScan, time) < MIN_SCAN_GAP_MINUTES) {
+        return { action: KioskScanAction.REPEAT, employee, time: lastScan, record: existing };
+      }
+
+      if (existing.check_out_time) {
+        return { action: KioskScanAction.COMPLETE, employee, time: existing.check_out_time, record: existing };
+      }
+
+      const record = await attendanceService.markAttendance({
+        ...baseRecord,
+        status: existing.status,
+        check_in_time: existing.check_in_time,
+        check_out_time: time,
+        notes: existing.notes || '',
+        shift_id: existing.shift_id || '',
+        // Keep the check-in geotag if the kiosk has no fix now
+        location: location || existing.location || null
+      });
+      return { action: KioskScanAction.CHECK_OUT, employee, time, record };
+    } catch (error) {
+      console.error('Error recording kiosk scan:', error);
+      throw error;
+    }
+  }
+}
+
+// Create and export singleton instance
+const kioskService = new KioskService();
+export default kioskService;
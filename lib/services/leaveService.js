@@ -0,0 +1,353 @@
+/**
+ * Leave Service - Leave requests, approvals and balances.
+ * Supervisors enter requests for workers; an admin approves or rejects them.
+ * Approving a request marks the leave days in attendance.
+ */
+
+import firestoreService from '../firebase/firestore';
+import employeeService from './employeeService';
+import attendanceService from './attendanceService';
+import holidayService from './holidayService';
+import leaveTypeService from './leaveTypeService';
+import payrollRunService from './payrollRunService';
+import periodService from './periodService';
+import settingsService from './settingsService';
+import {
+  LeaveRequestStatus,
+  BOOKED_REQUEST_STATUSES,
+  validateLeaveRequest,
+  formatLeaveRequestForStorage,
+  getLeaveDates,
+  getLeaveAttendanceStatus,
+  calculateLeaveBalance
+} from '../models/Leave';
+import { WORKED_STATUSES, validateAttendance, getStatusLabel } from '../models/Attendance';
+
+class LeaveService {
+  constructor() {
+    this.collectionName = 'leaveRequests';
+  }
+
+  /**
+   * Get leave requests
+   * @param {Object} options - { employeeId, status }
+   * @returns {Promise<Array>} Leave requests, latest start date first
+   */
+  async getLeaveRequests(options = {}) {
+    try {
+      const queryOptions = {};
+      if (options.employeeId) {
+        queryOptions.where = [{ field: 'employee_id', operator: '==', value: options.employeeId }];
+      }
+
+      const requests = await firestoreService.getDocuments(this.collectionName, queryOptions);
+
+      // Filter and sort client-side to avoid composite index requirements
+      return requests
+        .filter(request => !options.status || request.status === options.status)
+        .sort((a, b) => b.start_date.localeCompare(a.start_date));
+    } catch (error) {
+      console.error('Error getting leave requests:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Get a leave request by ID
+   * @param {string} requestId - Leave request document ID
+   * @returns {Promise<Object|null>} Leave request or null
+   */
+  async getLeaveRequest(requestId) {
+    try {
+      return await firestoreService.getDocument(this.collectionName, requestId);
+    } catch (error) {
+      console.error('Error getting leave request:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Enter a leave request for an employee
+   * @param {Object} requestData - Leave request form data
+   * @param {string} requestedBy - Email of the supervisor entering it
+   * @returns {Promise<Object>} Created leave request
+   */
+  async createLeaveRequest(requestData, requestedBy) {
+    try {
+      const validation = validateLeaveRequest(requestData);
+      if (!validation.isValid) {
+        throw new Error(`Validation failed: ${Object.values(validation.errors).join(', ')}`);
+      }
+
+      const [employee, leaveType, calendar, employeeRequests] = await Promise.all([
+        employeeService.getEmployee(requestData.employee_id),
+        leaveTypeService.getLeaveType(requestData.leave_type_id),
+        holidayService.getWorkCalendar(),
+        this.getLeaveRequests({ employeeId: requestData.employee_id })
+      ]);
+
+      if (!employee) {
+        throw new Error('Employee not found');
+      }
+      if (!leaveType || leaveType.active === false) {
+        throw new Error('Leave type not found or no longer in use');
+      }
+
+      const dates = getLeaveDates(requestData.start_date, requestData.end_date, calendar);
+      if (dates.length === 0) {
+        throw new Error('The selected dates are all holidays or weekly offs');
+      }
+
+      // Another pending or approved request already covers one of the days
+      const overlapping = employeeRequests.find(request => (
+        BOOKED_REQUEST_STATUSES.includes(request.status) &&
+        (request.dates || []).some(date => dates.includes(date))
+      ));
+      if (overlapping) {
+        throw new Error(
+          `${employee.name} already has ${overlapping.status} leave from ${overlapping.start_date} to ${overlapping.end_date}`
+        );
+      }
+
+      // Pending requests are held against the balance too
+      this.assertBalance(leaveType, employee, employeeRequests, dates, true);
+
+      const formattedData = formatLeaveRequestForStorage({
+        ...requestData,
+        employee_name: employee.name,
+        leave_type_name: leaveType.name
+      }, dates, requestedBy);
+      const docRef = await firestoreService.addDocument(this.collectionName, formattedData);
+
+      return { id: docRef.id, ...formattedData };
+    } catch (error) {
+      console.error('Error creating leave request:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Approve a pending leave request and mark its days in attendance
+   * @param {string} requestId - Leave request document ID
+   * @param {string} reviewerEmail - Email of the approving admin
+   * @param {string} note - Optional review note
+   * @returns {Promise<Object>} Approved leave request
+   */
+  async approveLeaveRequest(requestId, reviewerEmail, note = '') {
+    try {
+      await settingsService.assertAdmin(reviewerEmail, 'approve leave');
+
+      const request = await this.getPendingRequest(requestId);
+      const [employee, leaveType, employeeRequests] = await Promise.all([
+        employeeService.getEmployee(request.employee_id),
+        leaveTypeService.getLeaveType(request.leave_type_id),
+        this.getLeaveRequests({ employeeId: request.employee_id })
+      ]);
+
+      if (!employee) {
+        throw new Error('Employee not found');
+      }
+      if (!leaveType) {
+        throw new Error('Leave type not found');
+      }
+
+      // Other approvals may have used the balance since the request was entered
+      this.assertBalance(
+        leaveType,
+        employee,
+        employeeRequests.filter(other => other.id !== request.id),
+        request.dates,
+        false
+      );
+
+      const status = getLeaveAttendanceStatus(leaveType);
+      const attendanceRecords = request.dates.map(date => ({
+        employee_id: request.employee_id,
+        date,
+        status,
+        notes: `${leaveType.name}${request.reason ? `: ${request.reason}` : ''}`.slice(0, 500),
+        marked_by: reviewerEmail,
+        leave_request_id: request.id
+      }));
+
+      // Check every day before writing any, so an approval never half-applies
+      for (const record of attendanceRecords) {
+        const recordValidation = validateAttendance(record);
+        if (!recordValidation.isValid) {
+          throw new Error(`${record.date}: ${Object.values(recordValidation.errors).join(', ')}`);
+        }
+
+        const existing = await attendanceService.checkEmployeeAttendanceForDate(record.employee_id, record.date);
+        if (existing && WORKED_STATUSES.includes(existing.status)) {
+          throw new Error(
+            `${employee.name} is already marked ${getStatusLabel(existing.status)} on ${record.date}. ` +
+            'Correct that attendance before approving the leave.'
+          );
+        }
+
+        await payrollRunService.assertUnlocked(record.employee_id, record.date, 'attendance record');
+        await periodService.assertPeriodOpen(record.date, 'attendance record');
+      }
+
+      const writes = await Promise.all(attendanceRecords.map(record => attendanceService.prepareAttendanceWrite(record)));
+      const reviewData = {
+        status: LeaveRequestStatus.APPROVED,
+        reviewed_by: reviewerEmail,
+        reviewed_at: new Date().toISOString(),
+        review_note: (note || '').trim(),
+        attendance_ids: writes.map(write => write.attendanceId)
+      };
+
+      // The leave days and the approval are written in one transaction, which
+      // also stops the same request being approved twice
+      await firestoreService.runTransaction(async (transaction) => {
+        const current = await transaction.get(this.collectionName, request.id);
+        if (!current || current.status !== LeaveRequestStatus.PENDING) {
+          throw new Error(`This leave request has already been ${current ? current.status : 'removed'}`);
+        }
+
+        await attendanceService.writeAttendanceInTransaction(transaction, writes);
+        transaction.update(this.collectionName, request.id, reviewData);
+      });
+
+      return { ...request, ...reviewData };
+    } catch (error) {
+      console.error('Error approving leave request:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Reject a pending leave request
+   * @param {string} requestId - Leave request document ID
+   * @param {string} reviewerEmail - Email of the rejecting admin
+   * @param {string} note - Reason for rejecting
+   * @returns {Promise<Object>} Rejected leave request
+   */
+  async rejectLeaveRequest(requestId, reviewerEmail, note = '') {
+    try {
+      await settingsService.assertAdmin(reviewerEmail, 'reject leave');
+
+      const request = await this.getPendingRequest(requestId);
+      const reviewData = {
+        status: LeaveRequestStatus.REJECTED,
+        reviewed_by: reviewerEmail,
+        reviewed_at: new Date().toISOString(),
+        review_note: (note || '').trim()
+      };
+      await firestoreService.updateDocument(this.collectionName, request.id, reviewData);
+
+      return { ...request, ...reviewData };
+    } catch (error) {
+      console.error('Error rejecting leave request:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Withdraw a leave request that has not been reviewed yet
+   * @param {string} requestId - Leave request document ID
+   * @param {string} userEmail - Email of the user withdrawing it
+   * @returns {Promise<Object>} Cancelled leave request
+   */
+  async cancelLeaveRequest(requestId, userEmail) {
+    try {
+      const request = await this.getPendingRequest(requestId);
+      const cancelData = {
+        status: LeaveRequestStatus.CANCELLED,
+        cancelled_by: userEmail || '',
+        cancelled_at: new Date().toISOString()
+      };
+      await firestoreService.updateDocument(this.collectionName, request.id, cancelData);
+
+      return { ...request, ...cancelData };
+    } catch (error) {
+      console.error('Error cancelling leave request:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Get a leave request, throwing unless it is still pending
+   * @param {string} requestId - Leave request document ID
+   * @returns {Promise<Object>} Leave request
+   */
+  async getPendingRequest(requestId) {
+    const request = await this.getLeaveRequest(requestId);
+    if (!request) {
+      throw new Error('Leave request not found');
+    }
+    if (request.status !== LeaveRequestStatus.PENDING) {
+      throw new Error(`This leave request has already been ${request.status}`);
+    }
+    return request;
+  }
+
+  /**
+   * Throw if the employee does not have enough balance for the dates
+   * @param {Object} leaveType - Leave type
+   * @param {Object} employee - Employee
+   * @param {Array} requests - The employee's other leave requests
+   * @param {Array} dates - Leave dates requested
+   * @param {boolean} holdPending - Whether pending requests reduce the balance
+   */
+  assertBalance(leaveType, employee, requests, dates, holdPending) {
+    const years = [...new Set(dates.map(date => parseInt(date.slice(0, 4), 10)))];
+
+    years.forEach(year => {
+      const yearDates = dates.filter(date => date.startsWith(`${year}-`));
+      // Monthly credits count up to the last day of leave in the year
+      const asOfDate = yearDates[yearDates.length - 1];
+      const balance = calculateLeaveBalance(leaveType, employee, requests, year, asOfDate);
+      if (!balance.limited) return;
+
+      const available = balance.available - (holdPending ? balance.pending : 0);
+      if (yearDates.length > available) {
+        throw new Error(
+          `${employee.name} has ${Math.max(0, available)} day(s) of ${leaveType.name} available in ${year} ` +
+          `but ${yearDates.length} were requested`
+        );
+      }
+    });
+  }
+
+  /**
+   * Get an employee's balance for every leave type
+   * @param {string} employeeId - Employee ID
+   * @param {number} year - Calendar year
+   * @returns {Promise<Array>} [{ leaveType, carriedForward, accrued, used, pending, available }]
+   */
+  async getEmployeeBalances(employeeId, year) {
+    try {
+      const [employee, leaveTypes, requests] = await Promise.all([
+        employeeService.getEmployee(employeeId),
+        leaveTypeService.getLeaveTypes(),
+        this.getLeaveRequests({ employeeId })
+      ]);
+
+      if (!employee) {
+        throw new Error('Employee not found');
+      }
+
+      // Monthly credits count up to today, or the whole year once it is over
+      const today = new Date().toISOString().split('T')[0];
+      const yearEnd = `${year}-12-31`;
+      const asOfDate = today < yearEnd ? today : yearEnd;
+
+      return leaveTypes
+        .map(leaveType => ({
+          leaveType,
+          ...calculateLeaveBalance(leaveType, employee, requests, year, asOfDate)
+        }))
+        // Retired types only matter while they still have days on record
+        .filter(balance => balance.leaveType.active !== false || balance.used > 0 || balance.pending > 0);
+    } catch (error) {
+      console.error('Error getting leave balances:', error);
+      throw error;
+    }
+  }
+}
+
+// Create and export singleton instance
+const leaveService = new LeaveService();
+export default leaveService;
@@ -0,0 +1,122 @@
+/**
+ * Leave Type Service - Admin-managed leave types and their accrual rules
+ */
+
+import firestoreService from '../firebase/firestore';
+import settingsService from './settingsService';
+import { validateLeaveType, formatLeaveTypeForStorage } from '../models/Leave';
+
+class LeaveTypeService {
+  constructor() {
+    this.collectionName = 'leaveTypes';
+  }
+
+  /**
+   * Get leave types
+   * @param {Object} options - { activeOnly }
+   * @returns {Promise<Array>} Leave types sorted by name
+   */
+  async getLeaveTypes(options = {}) {
+    try {
+      const leaveTypes = await firestoreService.getDocuments(this.collectionName);
+
+      return leaveTypes
+        .filter(leaveType => !options.activeOnly || leaveType.active !== false)
+        .sort((a, b) => a.name.localeCompare(b.name));
+    } catch (error) {
+      console.error('Error getting leave types:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Get a leave type by ID
+   * @param {string} leaveTypeId - Leave type document ID
+   * @returns {Promise<Object|null>} Leave type or null
+   */
+  async getLeaveType(leaveTypeId) {
+    try {
+      return await firestoreService.getDocument(this.collectionName, leaveTypeId);
+    } catch (error) {
+      console.error('Error getting leave type:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Add a leave type
+   * @param {Object} leaveTypeData - Leave type form data
+   * @param {string} userEmail - Email of the admin adding it
+   * @returns {Promise<Object>} Created leave type
+   */
+  async addLeaveType(leaveTypeData, userEmail) {
+    try {
+      await settingsService.assertAdmin(userEmail, 'manage leave types');
+
+      const validation = validateLeaveType(leaveTypeData);
+      if (!validation.isValid) {
+        throw new Error(`Validation failed: ${Object.values(validation.errors).join(', ')}`);
+      }
+
+      await this.assertNameFree(leaveTypeData.name);
+
+      const formattedData = formatLeaveTypeForStorage(leaveTypeData);
+      const docRef = await firestoreService.addDocument(this.collectionName, formattedData);
+
+      return { id: docRef.id, ...formattedData };
+    } catch (error) {
+      console.error('Error adding leave type:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Update a leave type. Types are deactivated rather than deleted so that
+   * past requests keep their type.
+   * @param {string} leaveTypeId - Leave type document ID
+   * @param {Object} leaveTypeData - Leave type form data
+   * @param {string} userEmail - Email of the admin making the change
+   * @returns {Promise<Object>} Updated leave type
+   */
+  async updateLeaveType(leaveTypeId, leaveTypeData, userEmail) {
+    try {
+      await settingsService.assertAdmin(userEmail, 'manage leave types');
+
+      const validation = validateLeaveType(leaveTypeData);
+      if (!validation.isValid) {
+        throw new Error(`Validation failed: ${Object.values(validation.errors).join(', ')}`);
+      }
+
+      await this.assertNameFree(leaveTypeData.name, leaveTypeId);
+
+      const formattedData = formatLeaveTypeForStorage(leaveTypeData);
+      await firestoreService.updateDocument(this.collectionName, leaveTypeId, formattedData);
+
+      return { id: leaveTypeId, ...formattedData };
+    } catch (error) {
+      console.error('Error updating leave type:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Throw if another leave type already has the name
+   * @param {string} name - Leave type name
+   * @param {string} exceptId - Leave type being edited, if any
+   * @returns {Promise<void>}
+   */
+  async assertNameFree(name, exceptId = null) {
+    const leaveTypes = await this.getLeaveTypes();
+    const normalized = name.trim().toLowerCase();
+    const clash = leaveTypes.find(leaveType => (
+      leaveType.id !== exceptId && leaveType.name.toLowerCase() === normalized
+    ));
+    if (clash) {
+      throw new Error(`A leave type named ${clash.name} already exists`);
+    }
+  }
+}
+
+// Create and export singleton instance
+const leaveTypeService = new LeaveTypeService();
+export default leaveTypeService;
@@ -0,0 +1,341 @@
+/**
+ * Ledger Service - Running account per employee.
+ * Earned wages and bonuses are credited day by day; penalties, salary
+ * payments, advances and loan EMIs are debited. The balance carries forward
+ * from one period to the next.
+ */
+
+import attendanceService from './attendanceService';
+import paymentService from './paymentService';
+import employeeService from './employeeService';
+import settingsService from './settingsService';
+import holidayService from './holidayService';
+import adjustmentService from './adjustmentService';
+import workEntryService from './workEntryService';
+import salaryService, { SALARY_STATUS } from './salaryService';
+import {
+  PaymentTypes,
+  getPaymentType,
+  getLoanSchedule,
+  getLoanOutstanding
+} from '../models/Payment';
+import { withDefaultSettings } from '../models/Settings';
+import { AttendanceStatus, getStatusLabel } from '../models/Attendance';
+import { PayBasis, getPayBasis, getWageRateForDate } from '../models/Employee';
+import { calculateMonthlyStatutoryContributions } from '../models/Statutory';
+import { AdjustmentTypes, getAdjustmentTypeLabel } from '../models/Adjustment';
+import { describePieceRateLine, getPieceRateDates } from '../models/WorkEntry';
+
+// Ledger entry types, in the order they are listed within a day
+const LEDGER_ENTRY_TYPES = {
+  WAGES: 'wages',
+  PIECE_RATE: 'piece_rate',
+  OVERTIME: 'overtime',
+  NIGHT_ALLOWANCE: 'night_allowance',
+  ADJUSTMENT: 'adjustment',
+  STATUTORY: 'statutory',
+  SALARY_PAYMENT: 'salary_payment',
+  ADVANCE: 'advance',
+  LOAN_EMI: 'loan_emi'
+};
+
+const ENTRY_ORDER = Object.values(LEDGER_ENTRY_TYPES);
+
+class LedgerService {
+  /**
+   * Get an employee's ledger for a period
+   * @param {string} employeeId - Employee ID
+   * @param {string} startDate - Start date (YYYY-MM-DD)
+   * @param {string} endDate - End date (YYYY-MM-DD)
+   * @returns {Promise<Object>} Ledger with opening balance, entries and closing balance
+   */
+  async getLedger(employeeId, startDate, endDate) {
+    try {
+      if (!employeeId || !startDate || !endDate) {
+        throw new Error('Employee ID and date range are required');
+      }
+
+      if (startDate > endDate) {
+        throw new Error('Start date must be before or equal to end date');
+      }
+
+      const employee = await employeeService.getEmployee(employeeId);
+      if (!employee) {
+        throw new Error('Employee not found');
+      }
+
+      const [attendance, payments, adjustments, pieceRatesByEmployee, settings, calendar] = await Promise.all([
+        // Earlier days feed the opening balance
+        attendanceService.getEmployeeAttendance(employeeId, { dateRange: { end: endDate } }),
+        paymentService.getEmployeePayments(employeeId),
+        adjustmentService.getAdjustments({ employeeId, endDate }),
+        // Work measured later can cover days up to endDate, which earn no day pay
+        workEntryService.getPieceRateEarnings({ employeeId }),
+        settingsService.getSettings(),
+        holidayService.getWorkCalendar()
+      ]);
+
+      const pieceRates = pieceRatesByEmployee[employeeId] || [];
+
+      return this.buildLedger(
+        employee, { attendance, payments, adjustments, pieceRates, settings, calendar }, startDate, endDate
+      );
+    } catch (error) {
+      console.error('Error getting employee ledger:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Build a ledger from already-fetched records
+   * @param {Object} employee - Employee record
+   * @param {Object} data - { attendance, payments, adjustments, pieceRates }
+   *   for the employee, any date, payroll { settings } and the work { calendar }
+   * @param {string} startDate - Start date (YYYY-MM-DD)
+   * @param {string} endDate - End date (YYYY-MM-DD)
+   * @returns {Object} Ledger
+   */
+  buildLedger(employee, data, startDate, endDate) {
+    const entries = this.buildEntries(employee, data, endDate);
+
+    let openingBalance = 0;
+    let credits = 0;
+    let debits = 0;
+    const periodEntries = [];
+
+    entries.forEach(entry => {
+      if (entry.date < startDate) {
+        openingBalance += entry.credit - entry.debit;
+        return;
+      }
+
+      credits += entry.credit;
+      debits += entry.debit;
+      periodEntries.push(entry);
+    });
+
+    // Running balance through the period
+    let balance = openingBalance;
+    periodEntries.forEach(entry => {
+      balance += entry.credit - entry.debit;
+      entry.balance = parseFloat(balance.toFixed(2));
+    });
+
+    const closingBalance = parseFloat(balance.toFixed(2));
+    const loans = (data.payments || []).filter(payment =>
+      getPaymentType(payment) === PaymentTypes.LOAN && payment.payment_date <= endDate
+    );
+
+    return {
+      employee: {
+        id: employee.id,
+        name: employee.name,
+        designation: employee.designation,
+        employee_code: employee.employee_code
+      },
+      period: { startDate, endDate },
+      openingBalance: parseFloat(openingBalance.toFixed(2)),
+      entries: periodEntries,
+      totals: {
+        credits: parseFloat(credits.toFixed(2)),
+        debits: parseFloat(debits.toFixed(2))
+      },
+      closingBalance,
+      closingStatus: closingBalance >= 0 ? SALARY_STATUS.DUE : SALARY_STATUS.OVERPAID,
+      // Loans are a separate account: only their EMIs pass through the wage ledger
+      outstandingLoans: parseFloat(
+        loans.reduce((sum, loan) => sum + getLoanOutstanding(loan, endDate), 0).toFixed(2)
+      ),
+      generatedAt: new Date().toISOString()
+    };
+  }
+
+  /**
+   * Turn attendance, piece-rate work, adjustments and payments into dated
+   * ledger entries up to a date
+   * @param {Object} employee - Employee record with wage_rates
+   * @param {Object} data - { attendance, payments, adjustments, pieceRates }
+   *   for the employee, payroll { settings } and the work { calendar }
+   * @param {string} endDate - Last date to include (YYYY-MM-DD)
+   * @returns {Array} Entries sorted by date: { date, type, description, credit, debit, reference }
+   */
+  buildEntries(employee, data, endDate) {
+    const entries = [];
+
+    // Credit each paid day at the rate in force on that date. Holidays and
+    // weekly offs are filled in from the employee's first day.
+    const records = (data.attendance || []).filter(record => record.date <= endDate);
+    const firstDay = employee.joining_date ||
+      records.reduce((first, record) => (!first || record.date < first ? record.date : first), null);
+    const attendance = firstDay ?
+      salaryService.applyWorkCalendar(records, data.calendar, employee, firstDay, endDate) : records;
+    const settings = salaryService.getEmployeePaySettings(employee, withDefaultSettings(data.settings));
+    const summary = salaryService.calculateAttendanceSummary(attendance, settings);
+    salaryService.priceAttendance(
+      employee, summary.details, settings, data.calendar, getPieceRateDates(data.pieceRates)
+    );
+    const payBasis = getPayBasis(employee);
+
+    summary.details.forEach((detail, index) => {
+      if (!detail.amount) return;
+
+      entries.push({
+        date: detail.date,
+        type: LEDGER_ENTRY_TYPES.WAGES,
+        description: payBasis === PayBasis.HOURLY && detail.hoursWorked > 0 ?
+          `Wages: ${parseFloat((detail.hoursWorked - detail.overtime).toFixed(2))} hr(s) @ ` +
+            `${salaryService.formatCurrency(getWageRateForDate(employee.wage_rates, detail.date).amount)}/hour` :
+          `${payBasis === PayBasis.MONTHLY ? 'Salary' : 'Wages'}: ${this.describeDay(detail)} @ ` +
+            `${salaryService.formatCurrency(detail.dailyRate)}/day`,
+        credit: detail.amount,
+        debit: 0,
+        reference: attendance[index].id
+      });
+
+      if (detail.overtimePay > 0) {
+        entries.push({
+          date: detail.date,
+          type: LEDGER_ENTRY_TYPES.OVERTIME,
+          description: `Overtime: ${detail.overtime} hr(s) @ ${settings.overtime_multiplier}x`,
+          credit: detail.overtimePay,
+          debit: 0,
+          reference: attendance[index].id
+        });
+      }
+
+      if (detail.nightAllowance > 0) {
+        entries.push({
+          date: detail.date,
+          type: LEDGER_ENTRY_TYPES.NIGHT_ALLOWANCE,
+          description: `Night shift allowance${detail.shiftName ? ` (${detail.shiftName})` : ''}`,
+          credit: detail.nightAllowance,
+          debit: 0,
+          reference: attendance[index].id
+        });
+      }
+    });
+
+    // Piece-rate work is credited on the date it was measured
+    const pieceRates = (data.pieceRates || []).filter(line => line.date <= endDate);
+    pieceRates.forEach(line => {
+      entries.push({
+        date: line.date,
+        type: LEDGER_ENTRY_TYPES.PIECE_RATE,
+        description: describePieceRateLine(line, amount => salaryService.formatCurrency(amount)),
+        credit: line.amount,
+        debit: 0,
+        reference: line.entry_id
+      });
+    });
+
+    entries.push(...this.buildStatutoryEntries(summary.details, settings, endDate, pieceRates));
+
+    (data.adjustments || [])
+      .filter(adjustment => adjustment.date <= endDate)
+      .forEach(adjustment => {
+        const isEarning = adjustment.type === AdjustmentTypes.EARNING;
+        entries.push({
+          date: adjustment.date,
+          type: LEDGER_ENTRY_TYPES.ADJUSTMENT,
+          description: `${getAdjustmentTypeLabel(adjustment.type)}: ${adjustment.reason}`,
+          credit: isEarning ? adjustment.amount : 0,
+          debit: isEarning ? 0 : adjustment.amount,
+          reference: adjustment.id
+        });
+      });
+
+    (data.payments || []).forEach(payment => {
+      const type = getPaymentType(payment);
+
+      // Loan disbursements are recovered as EMIs on their due dates
+      if (type === PaymentTypes.LOAN) {
+        getLoanSchedule(payment)
+          .filter(instalment => instalment.dueDate <= endDate)
+          .forEach(instalment => {
+            entries.push({
+              date: instalment.dueDate,
+              type: LEDGER_ENTRY_TYPES.LOAN_EMI,
+              description: `Loan EMI #${instalment.number} (loan of ` +
+                `${salaryService.formatCurrency(payment.amount)} on ${payment.payment_date})`,
+              credit: 0,
+              debit: instalment.amount,
+              reference: payment.id
+            });
+          });
+        return;
+      }
+
+      if (payment.payment_date > endDate) return;
+
+      const isAdvance = type === PaymentTypes.ADVANCE;
+      entries.push({
+        date: payment.payment_date,
+        type: isAdvance ? LEDGER_ENTRY_TYPES.ADVANCE : LEDGER_ENTRY_TYPES.SALARY_PAYMENT,
+        description: `${isAdvance ? 'Advance' : 'Salary paid'} (${payment.payment_mode})` +
+          (payment.notes ? ` - ${payment.notes}` : ''),
+        credit: 0,
+        debit: parseFloat(payment.amount) || 0,
+        reference: payment.id
+      });
+    });
+
+    entries.sort((a, b) => {
+      const dateCompare = a.date.localeCompare(b.date);
+      if (dateCompare !== 0) return dateCompare;
+      return ENTRY_ORDER.indexOf(a.type) - ENTRY_ORDER.indexOf(b.type);
+    });
+
+    return entries;
+  }
+
+  /**
+   * Debit PF, ESI and professional tax on the last day of each month, worked
+   * out on that month's earnings. Months still running at endDate are left
+   * until they close.
+   * @param {Array} details - Priced attendance summary details
+   * @param {Object} settings - Payroll settings (statutory)
+   * @param {string} endDate - Last date to include (YYYY-MM-DD)
+   * @param {Array} pieceRates - Piece-rate lines, counted as wages in the month measured
+   * @returns {Array} Statutory ledger entries
+   */
+  buildStatutoryEntries(details, settings, endDate, pieceRates = []) {
+    const statutory = calculateMonthlyStatutoryContributions(details, pieceRates, settings.statutory, null, endDate);
+
+    const entries = [];
+    statutory.months.forEach(({ month, monthEnd, lines }) => {
+      lines.forEach(line => {
+        entries.push({
+          date: monthEnd,
+          type: LEDGER_ENTRY_TYPES.STATUTORY,
+          description: `${line.label} for ${month}`,
+          credit: 0,
+          debit: line.employee,
+          reference: null
+        });
+      });
+    });
+
+    return entries;
+  }
+
+  /**
+   * Describe a paid day for a wages entry, e.g. "full day", "half day" or
+   * "holiday × 0.5" when the status pays a share of the day
+   * @param {Object} detail - Attendance summary detail
+   * @returns {string} Description
+   */
+  describeDay(detail) {
+    if (detail.status === AttendanceStatus.PRESENT && detail.dayValue === 1) return 'full day';
+    if (detail.status === AttendanceStatus.HALF_DAY && detail.dayValue === 0.5) return 'half day';
+
+    const label = getStatusLabel(detail.status).toLowerCase();
+    return detail.dayValue === 1 ? label : `${label} × ${detail.dayValue}`;
+  }
+}
+
+// Create and export singleton instance
+const ledgerService = new LedgerService();
+export default ledgerService;
+
+// Export constants for use in UI components
+export { LEDGER_ENTRY_TYPES };
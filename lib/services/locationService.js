@@ -0,0 +1,89 @@
+/**
+ * Location Service - Reads the device location for geotagged attendance.
+ * Capturing a location is best-effort: when the browser has no geolocation,
+ * permission is denied or the fix times out, attendance is saved without one.
+ *
+ * For testing without GPS hardware a mocked location can be set for the
+ * browser (see setMockLocation) or for a build with
+ * NEXT_PUBLIC_MOCK_LOCATION="latitude,longitude[,accuracy]".
+ */
+
+import { parseCoordinates } from '../models/Site';
+
+const MOCK_LOCATION_KEY = 'mock_location';
+
+// How long to wait for a position fix, and how old a cached fix may be
+const LOCATION_TIMEOUT_MS = 10000;
+const LOCATION_MAX_AGE_MS = 60000;
+
+class LocationService {
+  /**
+   * Get the mocked location, if one is set
+   * @returns {Object|null} { latitude, longitude, accuracy } or null
+   */
+  getMockLocation() {
+    if (typeof window !== 'undefined' && window.localStorage) {
+      const stored = parseCoordinates(window.localStorage.getItem(MOCK_LOCATION_KEY));
+      if (stored) {
+        return stored;
+      }
+    }
+    return parseCoordinates(process.env.NEXT_PUBLIC_MOCK_LOCATION);
+  }
+
+  /**
+   * Use fixed coordinates instead of the device location in this browser
+   * @param {string} coordinates - 'latitude,longitude[,accuracy]'
+   * @returns {Object} Parsed location
+   */
+  setMockLocation(coordinates) {
+    const location = parseCoordinates(coordinates);
+    if (!location) {
+      throw new Error('Enter coordinates as latitude,longitude (e.g. 28.6139,77.2090)');
+    }
+    window.localStorage.setItem(MOCK_LOCATION_KEY, `${location.latitude},${location.longitude},${location.accuracy}`);
+    return location;
+  }
+
+  /**
+   * Go back to the device location in this browser
+   */
+  clearMockLocation() {
+    window.localStorage.removeItem(MOCK_LOCATION_KEY);
+  }
+
+  /**
+   * Get the current location for an attendance write
+   * @returns {Promise<Object|null>} { latitude, longitude, accuracy, captured_at, mocked? } or null
+   */
+  async getCurrentLocation() {
+    const mock = this.getMockLocation();
+    if (mock) {
+      return { ...mock, captured_at: new Date().toISOString(), mocked: true };
+    }
+
+    if (typeof navigator === 'undefined' || !navigator.geolocation) {
+      return null;
+    }
+
+    return new Promise((resolve) => {
+      navigator.geolocation.getCurrentPosition(
+        (position) => resolve({
+          latitude: position.coords.latitude,
+          longitude: position.coords.longitude,
+          accuracy: position.coords.accuracy,
+          captured_at: new Date(position.timestamp).toISOString()
+        }),
+        (error) => {
+          console.warn('Location unavailable, saving attendance without it:', error.message);
+          resolve(null);
+        },
+        { enableHighAccuracy: true, timeout: LOCATION_TIMEOUT_MS, maximumAge: LOCATION_MAX_AGE_MS }
+      );
+    });
+  }
+}
+
+// Create and export singleton instance
+const locationService = new LocationService();
+export default locationService;
@@ -0,0 +1,206 @@
+/**
+ * Minimum Wage Service - Admin-maintained minimum wages by state, skill
+ * category and effective date, and the compliance check of employee rates
+ * against them.
+ */
+
+import firestoreService from '../firebase/firestore';
+import settingsService from './settingsService';
+import employeeService from './employeeService';
+import {
+  validateMinimumWage,
+  formatMinimumWageForStorage,
+  isSameState,
+  getEmployeeWageState,
+  findMinimumWageShortfalls
+} from '../models/MinimumWage';
+import { getSkillCategoryLabel } from '../models/Employee';
+
+class MinimumWageService {
+  constructor() {
+    this.collectionName = 'minimumWages';
+  }
+
+  /**
+   * Get all minimum wage entries
+   * @returns {Promise<Array>} Entries sorted by state, skill category and newest first
+   */
+  async getMinimumWages() {
+    try {
+      // The table is small; sort client-side to avoid index requirements
+      const minimumWages = await firestoreService.getDocuments(this.collectionName);
+
+      return minimumWages.sort((a, b) =>
+        a.state.localeCompare(b.state) ||
+        a.skill_category.localeCompare(b.skill_category) ||
+        b.effective_from.localeCompare(a.effective_from)
+      );
+    } catch (error) {
+      console.error('Error getting minimum wages:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Add a minimum wage entry
+   * @param {Object} minimumWageData - Minimum wage form data
+   * @param {string} userEmail - Email of the admin adding the entry
+   * @returns {Promise<Object>} Created entry
+   */
+  async addMinimumWage(minimumWageData, userEmail) {
+    try {
+      await settingsService.assertAdmin(userEmail, 'manage minimum wages');
+
+      const validation = validateMinimumWage(minimumWageData);
+      if (!validation.isValid) {
+        throw new Error(`Validation failed: ${Object.values(validation.errors).join(', ')}`);
+      }
+
+      await this.assertEntryFree(minimumWageData);
+
+      const formattedData = formatMinimumWageForStorage({ ...minimumWageData, created_by: userEmail });
+      const docRef = await firestoreService.addDocument(this.collectionName, formattedData);
+
+      return { id: docRef.id, ...formattedData };
+    } catch (error) {
+      console.error('Error adding minimum wage:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Update a minimum wage entry
+   * @param {string} minimumWageId - Minimum wage document ID
+   * @param {Object} minimumWageData - Minimum wage form data
+   * @param {string} userEmail - Email of the admin making the change
+   * @returns {Promise<Object>} Updated entry
+   */
+  async updateMinimumWage(minimumWageId, minimumWageData, userEmail) {
+    try {
+      await settingsService.assertAdmin(userEmail, 'manage minimum wages');
+
+      const validation = validateMinimumWage(minimumWageData);
+      if (!validation.isValid) {
+        throw new Error(`Validation failed: ${Object.values(validation.errors).join(', ')}`);
+      }
+
+      await this.assertEntryFree(minimumWageData, minimumWageId);
+
+      const formattedData = formatMinimumWageForStorage(minimumWageData);
+      await firestoreService.updateDocument(this.collectionName, minimumWageId, formattedData);
+
+      return { id: minimumWageId, ...formattedData };
+    } catch (error) {
+      console.error('Error updating minimum wage:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Delete a minimum wage entry
+   * @param {string} minimumWageId - Minimum wage document ID
+   * @param {string} userEmail - Email of the admin making the change
+   * @returns {Promise<void>}
+   */
+  async deleteMinimumWage(minimumWageId, userEmail) {
+    try {
+      await settingsService.assertAdmin(userEmail, 'manage minimum wages');
+      await firestoreService.deleteDocument(this.collectionName, minimumWageId);
+    } catch (error) {
+      console.error('Error deleting minimum wage:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Throw if the state and skill category already have a rate from the same date
+   * @param {Object} minimumWageData - Minimum wage form data
+   * @param {string} exceptId - Entry being edited, if any
+   * @returns {Promise<void>}
+   */
+  async assertEntryFree(minimumWageData, exceptId = null) {
+    const existing = await firestoreService.getDocuments(this.collectionName, {
+      where: [{ field: 'effective_from', operator: '==', value: minimumWageData.effective_from }]
+    });
+
+    const clash = existing.find(entry =>
+      entry.id !== exceptId &&
+      entry.skill_category === minimumWageData.skill_category &&
+      isSameState(entry.state, minimumWageData.state)
+    );
+    if (clash) {
+      throw new Error(
+        `${clash.state} already has a ${getSkillCategoryLabel(clash.skill_category)} minimum wage ` +
+        `from ${minimumWageData.effective_from}`
+      );
+    }
+  }
+
+  /**
+   * Check every employee's wage rates against the minimum wages over a period.
+   * Employees without a skill category or state, or whose state and skill
+   * category have no minimum wage, cannot be checked and are listed separately.
+   * @param {string} startDate - Start date (YYYY-MM-DD)
+   * @param {string} endDate - End date (YYYY-MM-DD)
+   * @returns {Promise<Object>} { startDate, endDate, violations, unchecked, checked };
+   *   each violation is { employee, state, skillCategory, shortfall }
+   */
+  async getComplianceReport(startDate, endDate) {
+    try {
+      if (!startDate || !endDate || startDate > endDate) {
+        throw new Error('Select a valid period');
+      }
+
+      const [employees, minimumWages, settings] = await Promise.all([
+        employeeService.getAllEmployees(),
+        this.getMinimumWages(),
+        settingsService.getSettings()
+      ]);
+      employees.sort((a, b) => (a.name || '').localeCompare(b.name || ''));
+
+      const violations = [];
+      const unchecked = [];
+      let checked = 0;
+
+      employees.forEach(employee => {
+        const state = getEmployeeWageState(employee, settings);
+        const summary = { id: employee.id, name: employee.name, designation: employee.designation };
+
+        if (!employee.skill_category || !state) {
+          unchecked.push({
+            employee: summary,
+            reason: !employee.skill_category ? 'No skill category' : 'No state'
+          });
+          return;
+        }
+
+        const hasMinimumWage = minimumWages.some(entry =>
+          isSameState(entry.state, state) && entry.skill_category === employee.skill_category
+        );
+        if (!hasMinimumWage) {
+          unchecked.push({
+            employee: summary,
+            reason: `No ${getSkillCategoryLabel(employee.skill_category)} minimum wage for ${state}`
+          });
+          return;
+        }
+
+        checked++;
+        findMinimumWageShortfalls(
+          employee, minimumWages, state, settings.standard_hours, startDate, endDate
+        ).forEach(shortfall => {
+          violations.push({ employee: summary, state, skillCategory: employee.skill_category, shortfall });
+        });
+      });
+
+      return { startDate, endDate, violations, unchecked, checked };
+    } catch (error) {
+      console.error('Error getting minimum wage compliance report:', error);
+      throw error;
+    }
+  }
+}
+
+// Create and export singleton instance
+const minimumWageService = new MinimumWageService();
+export default minimumWageService;
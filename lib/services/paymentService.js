@@ -4,12 +4,20 @@
 
 import firestoreService from '../firebase/firestore';
 import employeeService from './employeeService';
+import payrollRunService from './payrollRunService';
+import periodService from './periodService';
 import {
+  PaymentTypes,
   validatePayment,
   formatPaymentForStorage,
   generatePaymentSearchKeywords,
-  calculateTotalPayment
+  calculateTotalPayment,
+  getPaymentType,
+  getLoanSchedule,
+  getLoanOutstanding
 } from '../models/Payment';
+import { payrollRunCoversDate } from '../models/PayrollRun';
+import { findPeriodCoveringDate } from '../models/ClosedPeriod';
 
 class PaymentService {
   constructor() {
@@ -37,6 +45,12 @@ class PaymentService {
 
       // Format data for storage
       const formattedData = formatPaymentForStorage(paymentData);
+
+      // Finalized payroll runs and closed periods lock the payments they
+      // cover, and a back-dated loan's instalments falling inside them
+      await payrollRunService.assertUnlocked(paymentData.employee_id, paymentData.payment_date, 'payment');
+      await periodService.assertPeriodOpen(paymentData.payment_date, 'payment');
+      await this.assertLoanUnlocked(formattedData);
       
       // Add search keywords
       formattedData.search_keywords = generatePaymentSearchKeywords(formattedData);
@@ -105,6 +119,13 @@ class PaymentService {
         );
       }
 
+      // Filter by payment type if specified
+      if (options.payment_type) {
+        filteredPayments = filteredPayments.filter(payment =>
+          getPaymentType(payment) === options.payment_type
+        );
+      }
+
       // Filter by paid_by if specified
       if (options.paid_by) {
         filteredPayments = filteredPayments.filter(payment => 
@@ -193,8 +214,20 @@ class PaymentService {
         throw new Error('Employee not found');
       }
 
+      // Finalized payroll runs and closed periods lock the payments they cover,
+      // both where it was and where it is moving to
+      await payrollRunService.assertUnlocked(existingPayment.employee_id, existingPayment.payment_date, 'payment');
+      await payrollRunService.assertUnlocked(paymentData.employee_id, paymentData.payment_date, 'payment');
+      await periodService.assertPeriodOpen(existingPayment.payment_date, 'payment');
+      await periodService.assertPeriodOpen(paymentData.payment_date, 'payment');
+      await this.assertLoanUnlocked(existingPayment);
+
       // Format data for storage
       const formattedData = formatPaymentForStorage(paymentData);
+
+      // A payment turned into a loan, or a loan rescheduled, must not put
+      // instalments into locked months either
+      await this.assertLoanUnlocked(formattedData);
       formattedData.updated_at = new Date().toISOString();
       
       // Add search keywords
@@ -227,6 +260,11 @@ class PaymentService {
         return false;
       }
 
+      // Finalized payroll runs and closed periods lock the payments they cover
+      await payrollRunService.assertUnlocked(existingPayment.employee_id, existingPayment.payment_date, 'payment');
+      await periodService.assertPeriodOpen(existingPayment.payment_date, 'payment');
+      await this.assertLoanUnlocked(existingPayment);
+
       await firestoreService.deleteDocument(this.collectionName, paymentId);
       console.log(`Successfully deleted payment record: ${paymentId}`);
       return true;
@@ -236,6 +274,113 @@ class PaymentService {
     }
   }
 
+  /**
+   * Throw if any instalment of a loan falls due inside a finalized or paid
+   * payroll run, or in a closed period. Adding, changing or removing such a
+   * loan would rewrite a settled salary.
+   * @param {Object} payment - Payment record, as stored or about to be stored
+   * @returns {Promise<void>}
+   */
+  async assertLoanUnlocked(payment) {
+    if (getPaymentType(payment) !== PaymentTypes.LOAN) return;
+
+    const schedule = getLoanSchedule(payment);
+    if (schedule.length === 0) return;
+
+    const [lockingRuns, closedPeriods] = await Promise.all([
+      payrollRunService.getLockingRuns(payment.employee_id),
+      periodService.getClosedPeriods()
+    ]);
+
+    const recovered = schedule.find(instalment =>
+      lockingRuns.some(run => payrollRunCoversDate(run, payment.employee_id, instalment.dueDate))
+    );
+    if (recovered) {
+      throw new Error(
+        `This loan is locked: instalment ${recovered.number} due ${recovered.dueDate} ` +
+        'falls in a finalized payroll run'
+      );
+    }
+
+    for (const instalment of schedule) {
+      const period = findPeriodCoveringDate(closedPeriods, instalment.dueDate);
+      if (period) {
+        throw periodService.getClosedPeriodError(period, instalment.dueDate, `loan's instalment ${instalment.number}`);
+      }
+    }
+  }
+
+  /**
+   * Get loan disbursements with their repayment position
+   * @param {Object} options - Query options (employee_id)
+   * @param {string} asOfDate - Date the balance is reported at (YYYY-MM-DD), defaults to today
+   * @returns {Promise<Array>} Loans with schedule, recovered and outstanding amounts
+   */
+  async getLoans(options = {}, asOfDate = new Date().toISOString().split('T')[0]) {
+    try {
+      const loans = await this.getAllPayments({
+        employee_id: options.employee_id,
+        payment_type: PaymentTypes.LOAN
+      });
+
+      return loans.map(loan => {
+        const schedule = getLoanSchedule(loan);
+        const outstanding = getLoanOutstanding(loan, asOfDate);
+        const nextInstalment = schedule.find(instalment => instalment.dueDate > asOfDate) || null;
+
+        return {
+          ...loan,
+          schedule,
+          recovered: parseFloat(((parseFloat(loan.amount) || 0) - outstanding).toFixed(2)),
+          outstanding,
+          next_instalment: nextInstalment
+        };
+      });
+    } catch (error) {
+      console.error('Error getting loans:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Get the outstanding loan balance for each employee with an open loan
+   * @param {string} asOfDate - Date the balance is reported at (YYYY-MM-DD), defaults to today
+   * @returns {Promise<Array>} [{ employee_id, outstanding, loan_count, next_instalment_amount, next_due_date }]
+   */
+  async getOutstandingLoanBalances(asOfDate) {
+    try {
+      const loans = await this.getLoans({}, asOfDate);
+      const balances = {};
+
+      loans.filter(loan => loan.outstanding > 0).forEach(loan => {
+        if (!balances[loan.employee_id]) {
+          balances[loan.employee_id] = {
+            employee_id: loan.employee_id,
+            outstanding: 0,
+            loan_count: 0,
+            next_instalment_amount: 0,
+            next_due_date: null
+          };
+        }
+
+        const balance = balances[loan.employee_id];
+        balance.outstanding = parseFloat((balance.outstanding + loan.outstanding).toFixed(2));
+        balance.loan_count += 1;
+        if (loan.next_instalment) {
+          balance.next_instalment_amount += loan.next_instalment.amount;
+          if (!balance.next_due_date || loan.next_instalment.dueDate < balance.next_due_date) {
+            balance.next_due_date = loan.next_instalment.dueDate;
+          }
+        }
+      });
+
+      return Object.values(balances).sort((a, b) => b.outstanding - a.outstanding);
+    } catch (error) {
+      console.error('Error getting outstanding loan balances:', error);
+      throw error;
+    }
+  }
+
   /**
    * Get payment statistics
    * @param {Object} options - Query options
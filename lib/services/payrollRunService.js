@@ -0,0 +1,300 @@
+/**
+ * Payroll Run Service - Stores salary calculations as immutable snapshots
+ * and moves them through the draft → finalized → paid lifecycle.
+ * Finalized and paid runs lock the attendance and payments they cover.
+ */
+
+import firestoreService from '../firebase/firestore';
+import {
+  PayrollRunStatus,
+  LOCKING_STATUSES,
+  validatePayrollCalculation,
+  canTransitionPayrollRun,
+  formatPayrollRunForStorage,
+  payrollRunCoversDate,
+  periodsOverlap,
+  getPayrollRunStatusLabel,
+  getPayrollRunChanges
+} from '../models/PayrollRun';
+
+class PayrollRunService {
+  constructor() {
+    this.collectionName = 'payrollRuns';
+  }
+
+  /**
+   * Save a salary calculation as a draft payroll run
+   * @param {Object} calculation - Result of salaryService.calculateSalary
+   * @param {string} createdBy - Name or email of the user saving the run
+   * @returns {Promise<Object>} Created payroll run
+   */
+  async createRun(calculation, createdBy) {
+    try {
+      const validation = validatePayrollCalculation(calculation);
+      if (!validation.isValid) {
+        throw new Error(`Validation failed: ${Object.values(validation.errors).join(', ')}`);
+      }
+
+      const formattedData = formatPayrollRunForStorage(calculation, createdBy);
+      const docRef = await firestoreService.addDocument(this.collectionName, formattedData);
+
+      return {
+        id: docRef.id,
+        ...formattedData
+      };
+    } catch (error) {
+      console.error('Error creating payroll run:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Get payroll run by ID
+   * @param {string} runId - Payroll run document ID
+   * @returns {Promise<Object|null>} Payroll run or null
+   */
+  async getRun(runId) {
+    try {
+      return await firestoreService.getDocument(this.collectionName, runId);
+    } catch (error) {
+      console.error('Error getting payroll run:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Get all payroll runs
+   * @param {Object} options - Query options (employee_id, status)
+   * @returns {Promise<Array>} Array of payroll runs, newest period first
+   */
+  async getAllRuns(options = {}) {
+    try {
+      const queryOptions = {};
+      if (options.employee_id) {
+        queryOptions.where = [
+          { field: 'employee_id', operator: '==', value: options.employee_id }
+        ];
+      }
+
+      let runs = await firestoreService.getDocuments(this.collectionName, queryOptions);
+
+      // Filter by status client-side to avoid composite index requirement
+      if (options.status) {
+        runs = runs.filter(run => run.status === options.status);
+      }
+
+      runs.sort((a, b) => {
+        const periodCompare = (b.period_start || '').localeCompare(a.period_start || '');
+        if (periodCompare !== 0) return periodCompare;
+        return (a.employee_name || '').localeCompare(b.employee_name || '');
+      });
+
+      return runs;
+    } catch (error) {
+      console.error('Error getting payroll runs:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Get runs for an employee that lock their data (finalized or paid)
+   * @param {string} employeeId - Employee ID
+   * @returns {Promise<Array>} Array of locking payroll runs
+   */
+  async getLockingRuns(employeeId) {
+    try {
+      const runs = await this.getAllRuns({ employee_id: employeeId });
+      return runs.filter(run => LOCKING_STATUSES.includes(run.status));
+    } catch (error) {
+      console.error('Error getting locking payroll runs:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Find the finalized or paid run covering an employee's date, if any
+   * @param {string} employeeId - Employee ID
+   * @param {string} date - Date in YYYY-MM-DD format
+   * @returns {Promise<Object|null>} Locking payroll run or null
+   */
+  async findLockingRun(employeeId, date) {
+    if (!employeeId || !date) return null;
+
+    const runs = await this.getLockingRuns(employeeId);
+    return runs.find(run => payrollRunCoversDate(run, employeeId, date)) || null;
+  }
+
+  /**
+   * Throw if an employee's record on a date is covered by a finalized or paid run
+   * @param {string} employeeId - Employee ID
+   * @param {string} date - Date in YYYY-MM-DD format
+   * @param {string} recordType - Record description for the error message
+   * @returns {Promise<void>}
+   */
+  async assertUnlocked(employeeId, date, recordType = 'record') {
+    const run = await this.findLockingRun(employeeId, date);
+    if (run) {
+      throw this.getLockError(run, recordType);
+    }
+  }
+
+  /**
+   * Build the error thrown for a record covered by a locking run
+   * @param {Object} run - Finalized or paid payroll run
+   * @param {string} recordType - Record description for the error message
+   * @returns {Error} Lock error
+   */
+  getLockError(run, recordType = 'record') {
+    return new Error(
+      `This ${recordType} is locked: it is covered by a ${getPayrollRunStatusLabel(run.status).toLowerCase()} ` +
+      `payroll run for ${run.period_start} to ${run.period_end}`
+    );
+  }
+
+  /**
+   * Move a run to a new status, recording who made the change
+   * @param {string} runId - Payroll run ID
+   * @param {string} nextStatus - Requested status
+   * @param {string} changedBy - Name or email of the user
+   * @param {Object} extraData - Additional fields to store with the change
+   * @returns {Promise<Object>} Updated payroll run
+   */
+  async transitionRun(runId, nextStatus, changedBy, extraData = {}) {
+    try {
+      const run = await this.getRun(runId);
+      if (!run) {
+        throw new Error('Payroll run not found');
+      }
+
+      if (!canTransitionPayrollRun(run.status, nextStatus)) {
+        throw new Error(
+          `Cannot move a ${getPayrollRunStatusLabel(run.status).toLowerCase()} payroll run to ` +
+          getPayrollRunStatusLabel(nextStatus).toLowerCase()
+        );
+      }
+
+      const now = new Date().toISOString();
+      const updateData = {
+        ...extraData,
+        status: nextStatus,
+        [`${nextStatus}_at`]: now,
+        [`${nextStatus}_by`]: changedBy || '',
+        status_history: [
+          ...(run.status_history || []),
+          { status: nextStatus, changed_at: now, changed_by: changedBy || '' }
+        ]
+      };
+
+      await firestoreService.updateDocument(this.collectionName, runId, updateData);
+
+      return {
+        ...run,
+        ...updateData
+      };
+    } catch (error) {
+      console.error('Error updating payroll run status:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Finalize a draft run, locking the attendance and payments it covers.
+   * Refused when a fresh calculation no longer matches the draft's snapshot.
+   * @param {string} runId - Payroll run ID
+   * @param {string} finalizedBy - Name or email of the user
+   * @returns {Promise<Object>} Updated payroll run
+   */
+  async finalizeRun(runId, finalizedBy) {
+    try {
+      const run = await this.getRun(runId);
+      if (!run) {
+        throw new Error('Payroll run not found');
+      }
+
+      // A day can only be paid once: reject overlaps with other locking runs
+      const lockingRuns = await this.getLockingRuns(run.employee_id);
+      const overlapping = lockingRuns.find(other =>
+        other.id !== run.id &&
+        periodsOverlap(run.period_start, run.period_end, other.period_start, other.period_end)
+      );
+      if (overlapping) {
+        throw new Error(
+          `Period overlaps a ${getPayrollRunStatusLabel(overlapping.status).toLowerCase()} payroll run ` +
+          `for ${overlapping.period_start} to ${overlapping.period_end}`
+        );
+      }
+
+      // Finalizing locks the records behind the snapshot, so the snapshot must
+      // still be what they add up to. salaryService is loaded here because it
+      // imports the services that check this one's locks.
+      if (run.status === PayrollRunStatus.DRAFT) {
+        const { default: salaryService } = await import('./salaryService');
+        const calculation = await salaryService.calculateSalary(run.employee_id, run.period_start, run.period_end);
+        const changes = getPayrollRunChanges(run, calculation);
+        if (changes.length > 0) {
+          throw new Error(
+            `Records have changed since this draft was saved: ${changes.join(', ')}. ` +
+            'Delete the draft and save a fresh one before finalizing.'
+          );
+        }
+      }
+
+      return await this.transitionRun(runId, PayrollRunStatus.FINALIZED, finalizedBy);
+    } catch (error) {
+      console.error('Error finalizing payroll run:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Mark a finalized run as paid
+   * @param {string} runId - Payroll run ID
+   * @param {string} paidBy - Name or email of the user
+   * @param {Object} paymentInfo - Optional { payment_mode, notes }
+   * @returns {Promise<Object>} Updated payroll run
+   */
+  async markRunPaid(runId, paidBy, paymentInfo = {}) {
+    try {
+      const extraData = {};
+      if (paymentInfo.payment_mode) {
+        extraData.paid_mode = paymentInfo.payment_mode;
+      }
+      if (paymentInfo.notes && paymentInfo.notes.trim() !== '') {
+        extraData.paid_notes = paymentInfo.notes.trim();
+      }
+
+      return await this.transitionRun(runId, PayrollRunStatus.PAID, paidBy, extraData);
+    } catch (error) {
+      console.error('Error marking payroll run paid:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Delete a draft run. Finalized and paid runs are permanent.
+   * @param {string} runId - Payroll run ID
+   * @returns {Promise<boolean>} Success status
+   */
+  async deleteDraftRun(runId) {
+    try {
+      const run = await this.getRun(runId);
+      if (!run) {
+        return false;
+      }
+
+      if (run.status !== PayrollRunStatus.DRAFT) {
+        throw new Error('Only draft payroll runs can be deleted');
+      }
+
+      await firestoreService.deleteDocument(this.collectionName, runId);
+      return true;
+    } catch (error) {
+      console.error('Error deleting payroll run:', error);
+      throw error;
+    }
+  }
+}
+
+// Create and export singleton instance
+const payrollRunService = new PayrollRunService();
+export default payrollRunService;
@@ -0,0 +1,613 @@
+/**
+ * Payslip Service - Builds A4 payslip and ledger statement PDFs in the browser
+ */
+
+import { SALARY_STATUS, DEDUCTION_TYPES } from './salaryService';
+import { PayBasis } from '../models/Employee';
+import { AdjustmentTypes } from '../models/Adjustment';
+import { describePieceRateLine } from '../models/WorkEntry';
+
+// Company details printed at the top of every payslip
+export const PAYSLIP_COMPANY = {
+  name: 'AmitojInfra',
+  tagline: 'Construction & Infrastructure'
+};
+
+const ONES = [
+  '', 'One', 'Two', 'Three', 'Four', 'Five', 'Six', 'Seven', 'Eight', 'Nine', 'Ten',
+  'Eleven', 'Twelve', 'Thirteen', 'Fourteen', 'Fifteen', 'Sixteen', 'Seventeen', 'Eighteen', 'Nineteen'
+];
+
+const TENS = ['', '', 'Twenty', 'Thirty', 'Forty', 'Fifty', 'Sixty', 'Seventy', 'Eighty', 'Ninety'];
+
+/**
+ * Convert a number below 1000 to words
+ * @param {number} n - Whole number 0-999
+ * @returns {string} Number in words
+ */
+const belowThousandToWords = (n) => {
+  const words = [];
+  const hundreds = Math.floor(n / 100);
+  const rest = n % 100;
+
+  if (hundreds > 0) {
+    words.push(`${ONES[hundreds]} Hundred`);
+  }
+
+  if (rest > 0) {
+    if (rest < 20) {
+      words.push(ONES[rest]);
+    } else {
+      words.push(TENS[Math.floor(rest / 10)] + (rest % 10 ? ` ${ONES[rest % 10]}` : ''));
+    }
+  }
+
+  return words.join(' ');
+};
+
+/**
+ * Convert a whole number to words using Indian numbering (thousand, lakh, crore)
+ * @param {number} n - Whole number
+ * @returns {string} Number in words
+ */
+export const numberToIndianWords = (n) => {
+  n = Math.floor(Math.abs(n));
+  if (n === 0) return 'Zero';
+
+  const words = [];
+  const crore = Math.floor(n / 10000000);
+  const lakh = Math.floor((n % 10000000) / 100000);
+  const thousand = Math.floor((n % 100000) / 1000);
+  const rest = n % 1000;
+
+  if (crore > 0) words.push(`${numberToIndianWords(crore)} Crore`);
+  if (lakh > 0) words.push(`${belowThousandToWords(lakh)} Lakh`);
+  if (thousand > 0) words.push(`${belowThousandToWords(thousand)} Thousand`);
+  if (rest > 0) words.push(belowThousandToWords(rest));
+
+  return words.join(' ');
+};
+
+/**
+ * Write a rupee amount in words
+ * @param {number} amount - Amount in INR
+ * @returns {string} e.g. "Rupees Twelve Thousand Five Hundred and Fifty Paise Only"
+ */
+export const amountToWords = (amount) => {
+  const value = Math.abs(parseFloat(amount) || 0);
+  const rupees = Math.floor(value);
+  const paise = Math.round((value - rupees) * 100);
+
+  let words = `Rupees ${numberToIndianWords(rupees)}`;
+  if (paise > 0) {
+    words += ` and ${numberToIndianWords(paise)} Paise`;
+  }
+  return `${words} Only`;
+};
+
+class PayslipService {
+  /**
+   * Format an amount for the PDF. The standard PDF fonts have no rupee
+   * glyph, so amounts are prefixed with "Rs." instead of "₹".
+   * @param {number} amount - Amount in INR
+   * @returns {string} Formatted amount
+   */
+  formatAmount(amount) {
+    return `Rs. ${parseFloat(amount || 0).toLocaleString('en-IN', {
+      minimumFractionDigits: 2,
+      maximumFractionDigits: 2
+    })}`;
+  }
+
+  /**
+   * Format a YYYY-MM-DD date for the PDF
+   * @param {string} dateString - Date string
+   * @returns {string} Formatted date
+   */
+  formatDate(dateString) {
+    if (!dateString) return '-';
+    return new Date(dateString).toLocaleDateString('en-IN', {
+      year: 'numeric',
+      month: 'short',
+      day: 'numeric'
+    });
+  }
+
+  /**
+   * Label a wages earning line by the pay basis its rate is quoted in
+   * @param {Object} segment - Rate segment from the salary calculation
+   * @returns {string} e.g. "Salary: 28 of 30 day(s) @ Rs. 25,000.00/month"
+   */
+  getWageLineLabel(segment) {
+    switch (segment.payBasis) {
+      case PayBasis.MONTHLY:
+        return `Salary: ${segment.workingDays} of ${segment.prorationDays} day(s) @ ` +
+          `${this.formatAmount(segment.rate)}/month`;
+      case PayBasis.HOURLY:
+        return `Wages: ${segment.hours} hr(s) @ ${this.formatAmount(segment.rate)}/hour`;
+      default:
+        return `Wages: ${segment.workingDays} day(s) @ ${this.formatAmount(segment.dailyRate)}`;
+    }
+  }
+
+  /**
+   * Label a deduction line: statutory deductions by name, adjustments by
+   * reason and date, loan EMIs with the balance left, and payments with their
+   * date and mode
+   * @param {Object} deduction - Deduction line item from the salary calculation
+   * @returns {string} Label
+   */
+  getDeductionLineLabel(deduction) {
+    switch (deduction.type) {
+      case DEDUCTION_TYPES.PF:
+      case DEDUCTION_TYPES.ESI:
+      case DEDUCTION_TYPES.PROFESSIONAL_TAX:
+        return deduction.label;
+      case DEDUCTION_TYPES.ADJUSTMENT:
+        return `${deduction.label} (${this.formatDate(deduction.date)})`;
+      case DEDUCTION_TYPES.LOAN_EMI:
+        return `${deduction.label} - balance after: ${this.formatAmount(deduction.outstanding)}`;
+      default:
+        return `${deduction.label} ${this.formatDate(deduction.date)} (${deduction.payment_mode || '-'})` +
+          (deduction.notes ? ` - ${deduction.notes}` : '');
+    }
+  }
+
+  /**
+   * Build the payslip line items from a salary calculation
+   * @param {Object} calculation - Salary calculation
+   * @returns {Object} { earnings, deductions, netPayable, excessPaid }
+   */
+  getPayslipLines(calculation) {
+    const { rates, attendance, financial, payments } = calculation;
+
+    const earnings = (rates.segments && rates.segments.length > 0) ?
+      rates.segments.map(segment => ({
+        label: this.getWageLineLabel(segment),
+        amount: segment.amount
+      })) :
+      [{ label: `Wages: ${attendance.workingDays} day(s)`, amount: financial.grossSalary - (financial.overtimePay || 0) - (financial.nightAllowance || 0) - (financial.adjustmentEarnings || 0) - (financial.pieceRateEarnings || 0) }];
+
+    (calculation.pieceRates || []).forEach(line => {
+      earnings.push({
+        label: describePieceRateLine(line, amount => this.formatAmount(amount)),
+        amount: line.amount
+      });
+    });
+
+    if (financial.overtimePay > 0) {
+      earnings.push({
+        label: `Overtime: ${attendance.overtimeHours} hr(s) @ ${rates.overtimeMultiplier}x`,
+        amount: financial.overtimePay
+      });
+    }
+
+    if (financial.nightAllowance > 0) {
+      earnings.push({
+        label: `Night shift allowance: ${attendance.nightShifts} shift(s)`,
+        amount: financial.nightAllowance
+      });
+    }
+
+    (calculation.adjustments || [])
+      .filter(adjustment => adjustment.type === AdjustmentTypes.EARNING)
+      .forEach(adjustment => {
+        earnings.push({
+          label: `${adjustment.reason} (${this.formatDate(adjustment.date)})`,
+          amount: adjustment.amount
+        });
+      });
+
+    // Snapshots saved before deduction line items existed list raw payments
+    const deductions = calculation.deductions ?
+      calculation.deductions.map(deduction => ({
+        label: this.getDeductionLineLabel(deduction),
+        amount: deduction.amount
+      })) :
+      (payments || []).map(payment => ({
+        label: `Paid ${this.formatDate(payment.payment_date)} (${payment.payment_mode || '-'})` +
+          (payment.notes ? ` - ${payment.notes}` : ''),
+        amount: parseFloat(payment.amount) || 0
+      }));
+
+    const overpaid = financial.netSalaryStatus === SALARY_STATUS.OVERPAID;
+
+    return {
+      earnings,
+      deductions,
+      netPayable: overpaid ? 0 : financial.netSalary,
+      excessPaid: overpaid ? Math.abs(financial.netSalary) : 0
+    };
+  }
+
+  /**
+   * Draw one payslip on the current page of a jsPDF document
+   * @param {jsPDF} doc - jsPDF document (A4, mm)
+   * @param {Object} calculation - Salary calculation
+   */
+  drawPayslip(doc, calculation) {
+    const { employee, period, attendance, financial } = calculation;
+    const lines = this.getPayslipLines(calculation);
+    const left = 15;
+    const right = 195;
+    let y = 20;
+
+    // Company header
+    doc.setFont('helvetica', 'bold');
+    doc.setFontSize(18);
+    doc.text(PAYSLIP_COMPANY.name, 105, y, { align: 'center' });
+    y += 6;
+    doc.setFont('helvetica', 'normal');
+    doc.setFontSize(10);
+    doc.text(PAYSLIP_COMPANY.tagline, 105, y, { align: 'center' });
+    y += 8;
+    doc.setFont('helvetica', 'bold');
+    doc.setFontSize(13);
+    doc.text(`Payslip: ${this.formatDate(period.startDate)} to ${this.formatDate(period.endDate)}`, 105, y, { align: 'center' });
+    y += 4;
+    doc.setLineWidth(0.5);
+    doc.line(left, y, right, y);
+    y += 8;
+
+    // Employee details
+    doc.setFontSize(10);
+    const details = [
+      ['Employee Name', employee.name || '-'],
+      ['Employee Code', employee.employee_code || employee.id],
+      ['Designation', employee.designation || '-'],
+      ['Pay Period', `${period.startDate} to ${period.endDate} (${period.totalDays} days)`]
+    ];
+    details.forEach(([label, value]) => {
+      doc.setFont('helvetica', 'bold');
+      doc.text(`${label}:`, left, y);
+      doc.setFont('helvetica', 'normal');
+      doc.text(String(value), left + 40, y);
+      y += 6;
+    });
+    y += 4;
+
+    // Day breakdown
+    y = this.drawSectionTitle(doc, 'Day Breakdown', y);
+    const dayRows = [
+      ['Full days', attendance.fullDays],
+      ['Half days', attendance.halfDays],
+      ['Absent days', attendance.absentDays]
+    ];
+    // Leave and off days are listed only when they occur
+    [
+      ['Paid leave', attendance.paidLeaveDays],
+      ['Unpaid leave', attendance.unpaidLeaveDays],
+      ['Holidays', attendance.holidays],
+      ['Week-offs', attendance.weekOffs]
+    ].forEach(row => {
+      if (row[1] > 0) dayRows.push(row);
+    });
+    dayRows.push(['Payable working days', attendance.workingDays]);
+    dayRows.forEach(([label, value]) => {
+      doc.text(label, left + 2, y);
+      doc.text(String(value), right - 2, y, { align: 'right' });
+      y += 6;
+    });
+    y += 4;
+
+    // Earnings
+    y = this.drawSectionTitle(doc, 'Earnings', y);
+    y = this.drawAmountRows(doc, lines.earnings, y);
+    y = this.drawTotalRow(doc, 'Gross Earnings', financial.grossSalary, y);
+    y += 4;
+
+    // Deductions
+    y = this.drawSectionTitle(doc, 'Deductions, Payments, Advances & Loan EMI', y);
+    if (lines.deductions.length === 0) {
+      doc.text('None', left + 2, y);
+      y += 6;
+    } else {
+      y = this.drawAmountRows(doc, lines.deductions, y);
+    }
+    y = this.drawTotalRow(
+      doc,
+      'Total Deductions',
+      financial.totalDeductions !== undefined ? financial.totalDeductions : financial.totalPayments,
+      y
+    );
+    y += 6;
+
+    // Employer PF and ESI are paid on top of the salary, not deducted from it
+    if (financial.employerContributions > 0) {
+      doc.setFont('helvetica', 'italic');
+      doc.setFontSize(9);
+      doc.text(
+        `Employer contributions (not deducted): ${this.formatAmount(financial.employerContributions)}`,
+        left,
+        y
+      );
+      doc.setFont('helvetica', 'normal');
+      doc.setFontSize(10);
+      y += 8;
+    }
+
+    // Net payable
+    doc.setLineWidth(0.5);
+    doc.rect(left, y - 5, right - left, 20);
+    doc.setFont('helvetica', 'bold');
+    doc.setFontSize(12);
+    doc.text('Net Payable', left + 3, y + 2);
+    doc.text(this.formatAmount(lines.netPayable), right - 3, y + 2, { align: 'right' });
+    doc.setFont('helvetica', 'italic');
+    doc.setFontSize(9);
+    doc.text(amountToWords(lines.netPayable), left + 3, y + 10, { maxWidth: right - left - 6 });
+    y += 22;
+
+    if (lines.excessPaid > 0) {
+      doc.setFont('helvetica', 'normal');
+      doc.setFontSize(9);
+      doc.text(
+        `Note: deductions exceed earnings by ${this.formatAmount(lines.excessPaid)} (${amountToWords(lines.excessPaid)}).`,
+        left,
+        y,
+        { maxWidth: right - left }
+      );
+      y += 10;
+    }
+
+    // Signatures
+    y = Math.max(y + 20, 260);
+    doc.setFont('helvetica', 'normal');
+    doc.setFontSize(10);
+    doc.line(left, y, left + 60, y);
+    doc.line(right - 60, y, right, y);
+    doc.text('Employer Signature', left, y + 5);
+    doc.text('Employee Signature / Thumb', right, y + 5, { align: 'right' });
+
+    doc.setFontSize(8);
+    doc.setTextColor(120);
+    doc.text(`Generated on ${new Date().toLocaleString('en-IN')}`, 105, 290, { align: 'center' });
+    doc.setTextColor(0);
+  }
+
+  /**
+   * Draw a shaded section heading
+   * @returns {number} Next y position
+   */
+  drawSectionTitle(doc, title, y) {
+    doc.setFillColor(240, 240, 240);
+    doc.rect(15, y - 5, 180, 7, 'F');
+    doc.setFont('helvetica', 'bold');
+    doc.setFontSize(10);
+    doc.text(title, 17, y);
+    doc.setFont('helvetica', 'normal');
+    return y + 8;
+  }
+
+  /**
+   * Draw label/amount rows
+   * @returns {number} Next y position
+   */
+  drawAmountRows(doc, rows, y) {
+    doc.setFont('helvetica', 'normal');
+    doc.setFontSize(10);
+    rows.forEach(row => {
+      doc.text(row.label, 17, y, { maxWidth: 130 });
+      doc.text(this.formatAmount(row.amount), 193, y, { align: 'right' });
+      y += 6;
+    });
+    return y;
+  }
+
+  /**
+   * Draw a bold total row with a rule above it
+   * @returns {number} Next y position
+   */
+  drawTotalRow(doc, label, amount, y) {
+    doc.setLineWidth(0.2);
+    doc.line(120, y - 4, 195, y - 4);
+    doc.setFont('helvetica', 'bold');
+    doc.text(label, 17, y);
+    doc.text(this.formatAmount(amount), 193, y, { align: 'right' });
+    doc.setFont('helvetica', 'normal');
+    return y + 6;
+  }
+
+  /**
+   * Create an empty A4 document. jsPDF is loaded on demand so it never
+   * runs during static export.
+   * @returns {Promise<jsPDF>} jsPDF document
+   */
+  async createDocument() {
+    const { jsPDF } = await import('jspdf');
+    return new jsPDF({ orientation: 'portrait', unit: 'mm', format: 'a4' });
+  }
+
+  /**
+   * Build a file-name-safe slug
+   * @param {string} value - Raw text
+   * @returns {string} Slug
+   */
+  slugify(value) {
+    return String(value || '').trim().replace(/[^a-zA-Z0-9]+/g, '-').replace(/^-|-$/g, '');
+  }
+
+  /**
+   * Generate and download the payslip PDF for one employee
+   * @param {Object} calculation - Salary calculation
+   * @returns {Promise<void>}
+   */
+  async downloadPayslip(calculation) {
+    try {
+      if (!calculation || calculation.error) {
+        throw new Error('A completed salary calculation is required to generate a payslip');
+      }
+
+      const doc = await this.createDocument();
+      this.drawPayslip(doc, calculation);
+      doc.save(`payslip-${this.slugify(calculation.employee.name)}-${calculation.period.startDate}-to-${calculation.period.endDate}.pdf`);
+    } catch (error) {
+      console.error('Error generating payslip:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Generate and download one combined PDF with a page per employee
+   * @param {Array} calculations - Salary calculations (entries with an error are skipped)
+   * @returns {Promise<number>} Number of payslips written
+   */
+  async downloadBatchPayslips(calculations) {
+    try {
+      const completed = (calculations || []).filter(calculation => !calculation.error);
+      if (completed.length === 0) {
+        throw new Error('No completed salary calculations to generate payslips for');
+      }
+
+      const doc = await this.createDocument();
+      completed.forEach((calculation, index) => {
+        if (index > 0) {
+          doc.addPage();
+        }
+        this.drawPayslip(doc, calculation);
+      });
+
+      const { startDate, endDate } = completed[0].period;
+      doc.save(`payslips-${startDate}-to-${endDate}.pdf`);
+      return completed.length;
+    } catch (error) {
+      console.error('Error generating batch payslips:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Describe a ledger balance for print
+   * @param {number} balance - Ledger balance (positive means due to the employee)
+   * @returns {string} e.g. "Rs. 1,200.00 due" or "Rs. 300.00 overpaid"
+   */
+  formatBalance(balance) {
+    return `${this.formatAmount(Math.abs(balance))} ${balance >= 0 ? 'due' : 'overpaid'}`;
+  }
+
+  /**
+   * Draw the heading block of a ledger statement page
+   * @returns {number} Next y position
+   */
+  drawStatementHeader(doc, ledger, continued) {
+    let y = 20;
+    doc.setFont('helvetica', 'bold');
+    doc.setFontSize(16);
+    doc.text(PAYSLIP_COMPANY.name, 105, y, { align: 'center' });
+    y += 7;
+    doc.setFontSize(12);
+    doc.text(`Statement of Account${continued ? ' (continued)' : ''}`, 105, y, { align: 'center' });
+    y += 6;
+    doc.setFont('helvetica', 'normal');
+    doc.setFontSize(10);
+    doc.text(
+      `${ledger.employee.name} (${ledger.employee.employee_code || ledger.employee.id}) - ${ledger.employee.designation || '-'}`,
+      105, y, { align: 'center' }
+    );
+    y += 5;
+    doc.text(
+      `${this.formatDate(ledger.period.startDate)} to ${this.formatDate(ledger.period.endDate)}`,
+      105, y, { align: 'center' }
+    );
+    y += 4;
+    doc.setLineWidth(0.5);
+    doc.line(15, y, 195, y);
+    y += 7;
+
+    // Column headings
+    doc.setFont('helvetica', 'bold');
+    doc.text('Date', 17, y);
+    doc.text('Particulars', 42, y);
+    doc.text('Credit', 138, y, { align: 'right' });
+    doc.text('Debit', 163, y, { align: 'right' });
+    doc.text('Balance', 193, y, { align: 'right' });
+    doc.setFont('helvetica', 'normal');
+    doc.setLineWidth(0.2);
+    doc.line(15, y + 2, 195, y + 2);
+    return y + 8;
+  }
+
+  /**
+   * Generate and download a printable ledger statement
+   * @param {Object} ledger - Result of ledgerService.getLedger
+   * @returns {Promise<void>}
+   */
+  async downloadLedgerStatement(ledger) {
+    try {
+      if (!ledger || !ledger.employee) {
+        throw new Error('A ledger is required to generate a statement');
+      }
+
+      const doc = await this.createDocument();
+      const signedAmount = (balance) => `${balance < 0 ? '-' : ''}${this.formatAmount(Math.abs(balance)).replace('Rs. ', '')}`;
+      let y = this.drawStatementHeader(doc, ledger, false);
+
+      doc.setFont('helvetica', 'bold');
+      doc.text('Opening balance', 42, y);
+      doc.text(signedAmount(ledger.openingBalance), 193, y, { align: 'right' });
+      doc.setFont('helvetica', 'normal');
+      y += 6;
+
+      ledger.entries.forEach(entry => {
+        if (y > 270) {
+          doc.addPage();
+          y = this.drawStatementHeader(doc, ledger, true);
+        }
+
+        doc.setFontSize(9);
+        doc.text(entry.date, 17, y);
+        doc.text(doc.splitTextToSize(entry.description, 80)[0], 42, y);
+        if (entry.credit) doc.text(signedAmount(entry.credit), 138, y, { align: 'right' });
+        if (entry.debit) doc.text(signedAmount(entry.debit), 163, y, { align: 'right' });
+        doc.text(signedAmount(entry.balance), 193, y, { align: 'right' });
+        y += 5.5;
+      });
+
+      if (y > 240) {
+        doc.addPage();
+        y = this.drawStatementHeader(doc, ledger, true);
+      }
+
+      doc.setFontSize(10);
+      doc.setLineWidth(0.2);
+      doc.line(15, y - 3, 195, y - 3);
+      y += 2;
+      doc.setFont('helvetica', 'bold');
+      doc.text('Period totals', 42, y);
+      doc.text(signedAmount(ledger.totals.credits), 138, y, { align: 'right' });
+      doc.text(signedAmount(ledger.totals.debits), 163, y, { align: 'right' });
+      y += 8;
+
+      doc.setLineWidth(0.5);
+      doc.rect(15, y - 5, 180, 20);
+      doc.setFontSize(12);
+      doc.text('Closing Balance', 18, y + 2);
+      doc.text(this.formatBalance(ledger.closingBalance), 192, y + 2, { align: 'right' });
+      doc.setFont('helvetica', 'italic');
+      doc.setFontSize(9);
+      doc.text(amountToWords(ledger.closingBalance), 18, y + 10, { maxWidth: 170 });
+      y += 22;
+
+      doc.setFont('helvetica', 'normal');
+      doc.text('Credits are wages earned; debits are salary paid, advances and loan EMIs. Amounts in Rs.', 15, y);
+      y += 5;
+      if (ledger.outstandingLoans > 0) {
+        doc.text(`Outstanding loan balance at ${this.formatDate(ledger.period.endDate)}: ${this.formatAmount(ledger.outstandingLoans)}`, 15, y);
+      }
+
+      doc.setFontSize(8);
+      doc.setTextColor(120);
+      doc.text(`Generated on ${new Date().toLocaleString('en-IN')}`, 105, 290, { align: 'center' });
+      doc.setTextColor(0);
+
+      doc.save(`statement-${this.slugify(ledger.employee.name)}-${ledger.period.startDate}-to-${ledger.period.endDate}.pdf`);
+    } catch (error) {
+      console.error('Error generating ledger statement:', error);
+      throw error;
+    }
+  }
+}
+
+// Create and export singleton instance
+const payslipService = new PayslipService();
+export default payslipService;
@@ -0,0 +1,177 @@
+/**
+ * Period Service - Admin-closed periods (a week, a month or any date range).
+ * Attendance, payments and expenses dated inside a closed period cannot be
+ * created, changed or deleted until an admin reopens it with a written reason.
+ */
+
+import firestoreService from '../firebase/firestore';
+import settingsService from './settingsService';
+import { getLocalDateString } from '../models/Attendance';
+import {
+  PeriodStatus,
+  PeriodAction,
+  validateClosePeriod,
+  validateReopenReason,
+  formatClosedPeriodForStorage,
+  findPeriodCoveringDate,
+  findOverlappingPeriod
+} from '../models/ClosedPeriod';
+
+class PeriodService {
+  constructor() {
+    this.collectionName = 'closedPeriods';
+  }
+
+  /**
+   * Get all periods, closed and reopened
+   * @returns {Promise<Array>} Periods, most recent first
+   */
+  async getPeriods() {
+    try {
+      const periods = await firestoreService.getDocuments(this.collectionName);
+      return periods.sort((a, b) =>
+        b.start_date.localeCompare(a.start_date) || (b.closed_at || '').localeCompare(a.closed_at || '')
+      );
+    } catch (error) {
+      console.error('Error getting closed periods:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Get the periods that are currently closed
+   * @returns {Promise<Array>} Closed periods
+   */
+  async getClosedPeriods() {
+    try {
+      // Filter by status client-side to avoid composite index requirement
+      const periods = await this.getPeriods();
+      return periods.filter(period => period.status === PeriodStatus.CLOSED);
+    } catch (error) {
+      console.error('Error getting closed periods:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Find the closed period containing a date, if any
+   * @param {string} date - Date in YYYY-MM-DD format
+   * @returns {Promise<Object|null>} Closed period or null
+   */
+  async findClosedPeriod(date) {
+    if (!date) return null;
+
+    const periods = await this.getClosedPeriods();
+    return findPeriodCoveringDate(periods, date);
+  }
+
+  /**
+   * Throw if a date falls in a closed period
+   * @param {string} date - Date in YYYY-MM-DD format
+   * @param {string} recordType - Record description for the error message
+   * @returns {Promise<void>}
+   */
+  async assertPeriodOpen(date, recordType = 'record') {
+    const period = await this.findClosedPeriod(date);
+    if (period) {
+      throw this.getClosedPeriodError(period, date, recordType);
+    }
+  }
+
+  /**
+   * Build the error thrown for a date in a closed period
+   * @param {Object} period - Closed period covering the date
+   * @param {string} date - Date in YYYY-MM-DD format
+   * @param {string} recordType - Record description for the error message
+   * @returns {Error} Lock error
+   */
+  getClosedPeriodError(period, date, recordType = 'record') {
+    return new Error(
+      `This ${recordType} is locked: ${date} falls in the closed period ${period.label} ` +
+      `(${period.start_date} to ${period.end_date})`
+    );
+  }
+
+  /**
+   * Close a period
+   * @param {Object} periodData - { period_type, start_date, end_date, note }
+   * @param {string} userEmail - Email of the admin closing the period
+   * @returns {Promise<Object>} Closed period
+   */
+  async closePeriod(periodData, userEmail) {
+    try {
+      await settingsService.assertAdmin(userEmail, 'close periods');
+
+      const validation = validateClosePeriod(periodData, getLocalDateString());
+      if (!validation.isValid) {
+        throw new Error(`Validation failed: ${Object.values(validation.errors).join(', ')}`);
+      }
+
+      const closedPeriods = await this.getClosedPeriods();
+      const overlapping = findOverlappingPeriod(closedPeriods, periodData.start_date, periodData.end_date);
+      if (overlapping) {
+        throw new Error(
+          `Period overlaps the closed period ${overlapping.label} ` +
+          `(${overlapping.start_date} to ${overlapping.end_date})`
+        );
+      }
+
+      const formattedData = formatClosedPeriodForStorage(periodData, userEmail);
+      const docRef = await firestoreService.addDocument(this.collectionName, formattedData);
+
+      return { id: docRef.id, ...formattedData };
+    } catch (error) {
+      console.error('Error closing period:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Reopen a closed period. The reason is kept in the period's history.
+   * @param {string} periodId - Period document ID
+   * @param {string} reason - Why the period is being reopened
+   * @param {string} userEmail - Email of the admin reopening the period
+   * @returns {Promise<Object>} Reopened period
+   */
+  async reopenPeriod(periodId, reason, userEmail) {
+    try {
+      await settingsService.assertAdmin(userEmail, 'reopen closed periods');
+
+      const validation = validateReopenReason(reason);
+      if (!validation.isValid) {
+        throw new Error(`Validation failed: ${Object.values(validation.errors).join(', ')}`);
+      }
+
+      const period = await firestoreService.getDocument(this.collectionName, periodId);
+      if (!period) {
+        throw new Error('Closed period not found');
+      }
+      if (period.status !== PeriodStatus.CLOSED) {
+        throw new Error('This period is already open');
+      }
+
+      const now = new Date().toISOString();
+      const updateData = {
+        status: PeriodStatus.REOPENED,
+        reopened_by: userEmail || '',
+        reopened_at: now,
+        reopen_reason: reason.trim(),
+        history: [
+          ...(period.history || []),
+          { action: PeriodAction.REOPENED, by: userEmail || '', at: now, reason: reason.trim() }
+        ]
+      };
+
+      await firestoreService.updateDocument(this.collectionName, periodId, updateData);
+
+      return { ...period, ...updateData };
+    } catch (error) {
+      console.error('Error reopening period:', error);
+      throw error;
+    }
+  }
+}
+
+// Create and export singleton instance
+const periodService = new PeriodService();
+export default periodService;
@@ -0,0 +1,78 @@
+/**
+ * Punch Import Service - Imports punch logs exported from biometric
+ * attendance devices. Loading a log reads everything the preview needs;
+ * committing writes the importable days through
+ * attendanceService.markBulkAttendance.
+ */
+
+import employeeService from './employeeService';
+import attendanceService from './attendanceService';
+import periodService from './periodService';
+import settingsService from './settingsService';
+import { parsePunchLog, pairPunches, buildPunchImportRecords } from '../models/PunchLog';
+
+class PunchImportService {
+  /**
+   * Parse a punch log and load what the import preview checks it against
+   * @param {string} text - Log file contents
+   * @returns {Promise<Object>} { days, errors, punchCount, employees,
+   *   existingRecords, closedPeriods, standardHours }
+   */
+  async loadPunchLog(text) {
+    try {
+      const { punches, errors } = parsePunchLog(text);
+      const days = pairPunches(punches);
+      const dates = [...new Set(days.map(day => day.date))];
+
+      const [employees, existingRecords, closedPeriods, settings] = await Promise.all([
+        employeeService.getAllEmployees(),
+        attendanceService.getAttendanceForDates(dates),
+        periodService.getClosedPeriods(),
+        settingsService.getSettings()
+      ]);
+
+      return {
+        days,
+        errors,
+        punchCount: punches.length,
+        employees,
+        existingRecords,
+        closedPeriods,
+        standardHours: settings.standard_hours
+      };
+    } catch (error) {
+      console.error('Error loading punch log:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Import the create and update rows of a preview
+   * @param {Array} rows - Preview rows from buildPunchImportPreview
+   * @param {string} markedBy - Email of the user importing
+   * @param {Object} newLinks - Device user ID to employee ID, saved on the
+   *   employees before the import so the next log maps on its own
+   * @returns {Promise<Object>} Result of markBulkAttendance
+   */
+  async importPunches(rows, markedBy, newLinks = {}) {
+    try {
+      for (const [deviceUserId, employeeId] of Object.entries(newLinks)) {
+        await employeeService.linkDeviceUserId(employeeId, deviceUserId);
+      }
+
+      const records = buildPunchImportRecords(rows, markedBy);
+      if (records.length === 0) {
+        throw new Error('Nothing to import: every day is unchanged or has a conflict');
+      }
+
+      return await attendanceService.markBulkAttendance(records);
+    } catch (error) {
+      console.error('Error importing punches:', error);
+      throw error;
+    }
+  }
+}
+
+// Create and export singleton instance
+const punchImportService = new PunchImportService();
+export default punchImportService;
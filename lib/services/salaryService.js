@@ -1,13 +1,70 @@
+import firestoreService, { MAX_BATCH_OPERATIONS } from '../firebase/firestore';
 import attendanceService from './attendanceService';
 import paymentService from './paymentService';
 import employeeService from './employeeService';
-import { AttendanceStatus } from '../models/Attendance';
+import {
+  AttendanceStatus,
+  WORKED_STATUSES,
+  createStatusCounts,
+  getStatusStatKey,
+  calculateAttendanceRate
+} from '../models/Attendance';
+import {
+  getWageRateForDate,
+  PayBasis,
+  getPayBasis,
+  getFirstUnratedDate,
+  planWageRateSeed
+} from '../models/Employee';
+import {
+  DEFAULT_SETTINGS,
+  MonthlyProration,
+  withDefaultSettings,
+  getStatusPayFactor
+} from '../models/Settings';
+import settingsService from './settingsService';
+import holidayService from './holidayService';
+import { applyCalendarToRecords, getOffDaysInRange } from '../models/Holiday';
+import {
+  PaymentTypes,
+  getPaymentType,
+  getLoanSchedule,
+  getLoanOutstanding
+} from '../models/Payment';
+import {
+  StatutoryComponents,
+  getStatutoryStartDate,
+  calculateMonthlyStatutoryContributions
+} from '../models/Statutory';
+import minimumWageService from './minimumWageService';
+import {
+  getEmployeeWageState,
+  findMinimumWageShortfalls,
+  describeMinimumWageShortfall
+} from '../models/MinimumWage';
+import adjustmentService from './adjustmentService';
+import { AdjustmentTypes, getAdjustmentTotals } from '../models/Adjustment';
+import workEntryService from './workEntryService';
+import { getPieceRateDates } from '../models/WorkEntry';
 
 // Salary calculation constants
 const SALARY_RECORD_TYPES = {
   FULL: 'full',
   PARTIAL: 'partial',
-  ABSENT: 'absent'
+  ABSENT: 'absent',
+  LEAVE: 'leave',
+  OFF: 'off'
+};
+
+// Salary record type for each attendance status
+const STATUS_RECORD_TYPES = {
+  [AttendanceStatus.PRESENT]: SALARY_RECORD_TYPES.FULL,
+  [AttendanceStatus.HALF_DAY]: SALARY_RECORD_TYPES.PARTIAL,
+  [AttendanceStatus.ABSENT]: SALARY_RECORD_TYPES.ABSENT,
+  [AttendanceStatus.PAID_LEAVE]: SALARY_RECORD_TYPES.LEAVE,
+  [AttendanceStatus.UNPAID_LEAVE]: SALARY_RECORD_TYPES.LEAVE,
+  [AttendanceStatus.HOLIDAY]: SALARY_RECORD_TYPES.OFF,
+  [AttendanceStatus.WEEK_OFF]: SALARY_RECORD_TYPES.OFF
 };
 
 const SALARY_STATUS = {
@@ -15,6 +72,29 @@ const SALARY_STATUS = {
   OVERPAID: 'overpaid'
 };
 
+// Line items subtracted from gross salary
+const DEDUCTION_TYPES = {
+  PF: 'pf',
+  ESI: 'esi',
+  PROFESSIONAL_TAX: 'professional_tax',
+  ADJUSTMENT: 'adjustment',
+  SALARY_PAYMENT: 'salary_payment',
+  ADVANCE_RECOVERY: 'advance_recovery',
+  LOAN_EMI: 'loan_emi'
+};
+
+// Deduction line type for each statutory component
+const STATUTORY_DEDUCTION_TYPES = {
+  [StatutoryComponents.PF]: DEDUCTION_TYPES.PF,
+  [StatutoryComponents.ESI]: DEDUCTION_TYPES.ESI,
+  [StatutoryComponents.PROFESSIONAL_TAX]: DEDUCTION_TYPES.PROFESSIONAL_TAX
+};
+
+// Problems flagged on a calculation that do not stop it
+const SALARY_WARNING_TYPES = {
+  MINIMUM_WAGE: 'minimum_wage'
+};
+
 /**
  * Salary Calculation Service
  * Handles salary calculations based on attendance and payment data
@@ -22,22 +102,18 @@ const SALARY_STATUS = {
 class SalaryService {
   
   /**
-   * Calculate salary for an employee for a specific date range
+   * Calculate salary for an employee for a specific date range.
+   * Each attendance day is priced at the employee's wage rate in force on that date.
    * @param {string} employeeId - Employee ID
    * @param {string} startDate - Start date (YYYY-MM-DD)
    * @param {string} endDate - End date (YYYY-MM-DD)
-   * @param {number} dailyRate - Daily rate in INR (default: 750)
    * @returns {Object} Detailed salary calculation
    */
-  async calculateSalary(employeeId, startDate, endDate, dailyRate = 750) {
+  async calculateSalary(employeeId, startDate, endDate) {
     try {
       // Validate inputs
-      if (!employeeId || !startDate || !endDate || !dailyRate) {
-        throw new Error('Employee ID, date range, and daily rate are required');
-      }
-
-      if (dailyRate <= 0) {
-        throw new Error('Daily rate must be greater than 0');
+      if (!employeeId || !startDate || !endDate) {
+        throw new Error('Employee ID and date range are required');
       }
 
       // Get employee details
@@ -46,54 +122,45 @@ class SalaryService {
         throw new Error('Employee not found');
       }
 
+      // Statutory contributions for a month ending in the period are on the
+      // whole month, so its earlier days are fetched too
+      const statutoryStart = getStatutoryStartDate(startDate, endDate);
+
       // Get attendance data for the date range
-      const attendanceData = await this.getAttendanceForDateRange(employeeId, startDate, endDate);
+      const attendanceData = await this.getAttendanceForDateRange(employeeId, statutoryStart, endDate);
       
       // Get payment data for the date range  
       const paymentData = await this.getPaymentsForDateRange(employeeId, startDate, endDate);
 
-      // Calculate attendance summary
-      const attendanceSummary = this.calculateAttendanceSummary(attendanceData);
-      
-      // Calculate gross salary based on working days
-      const grossSalary = attendanceSummary.workingDays * dailyRate;
-      
-      // Calculate total payments made
-      const totalPayments = paymentData.reduce((sum, payment) => sum + parseFloat(payment.amount), 0);
-      
-      // Calculate net salary (gross - payments)
-      const netSalary = grossSalary - totalPayments;
-
-      // Generate detailed calculation
-      const calculation = {
-        employee: {
-          id: employee.id,
-          name: employee.name,
-          designation: employee.designation,
-          employee_code: employee.employee_code
-        },
-        period: {
-          startDate,
-          endDate,
-          totalDays: this.calculateTotalDays(startDate, endDate),
-          workingDays: attendanceSummary.workingDays
-        },
-        rates: {
-          dailyRate
-        },
-        attendance: attendanceSummary,
-        financial: {
-          grossSalary: parseFloat(grossSalary.toFixed(2)),
-          totalPayments: parseFloat(totalPayments.toFixed(2)),
-          netSalary: parseFloat(netSalary.toFixed(2)),
-          netSalaryStatus: netSalary >= 0 ? SALARY_STATUS.DUE : SALARY_STATUS.OVERPAID
-        },
-        payments: paymentData,
-        attendanceRecords: attendanceData,
-        calculatedAt: new Date().toISOString()
-      };
+      // Loans are recovered in instalments long after they are disbursed
+      const loanData = await this.getLoansForEmployee(employeeId);
 
-      return calculation;
+      // Bonuses, incentives and penalties dated in the period
+      const adjustmentData = await adjustmentService.getAdjustments({ employeeId, startDate, endDate });
+
+      // Output measured in the period at piece rates, with crew shares. Work
+      // measured later can cover days in the period, which then earn no day pay.
+      const pieceRateData = await workEntryService.getPieceRateEarnings({ employeeId, startDate: statutoryStart });
+
+      // Standard hours, overtime multiplier and pay factors
+      const settings = await settingsService.getSettings();
+
+      // Holidays and weekly offs
+      const calendar = await holidayService.getWorkCalendar();
+
+      // Minimum wages, to warn about rates below them
+      const minimumWages = await minimumWageService.getMinimumWages();
+
+      return this.buildSalaryCalculation(employee, {
+        attendance: attendanceData,
+        payments: paymentData,
+        loans: loanData,
+        adjustments: adjustmentData,
+        pieceRates: pieceRateData[employeeId] || [],
+        settings,
+        calendar,
+        minimumWages
+      }, startDate, endDate);
 
     } catch (error) {
       console.error('Error calculating salary:', error);
@@ -101,25 +168,543 @@ class SalaryService {
     }
   }
 
+  /**
+   * Build a salary calculation from already-fetched records
+   * @param {Object} employee - Employee record
+   * @param {Object} data - { attendance, payments, adjustments } records inside
+   *   the period, the employee's { pieceRates } lines for work measured in it or
+   *   later (see workEntryService.getPieceRateEarnings), { loans } disbursed at any time, payroll
+   *   { settings }, the work { calendar } and { minimumWages }. Attendance and
+   *   piece rates may start earlier, from getStatutoryStartDate, to work out
+   *   the statutory contributions for the whole of a month ending in the period.
+   * @param {string} startDate - Start date (YYYY-MM-DD)
+   * @param {string} endDate - End date (YYYY-MM-DD)
+   * @returns {Object} Detailed salary calculation
+   */
+  buildSalaryCalculation(employee, data, startDate, endDate) {
+    const attendanceData = (data.attendance || [])
+      .filter(record => record.date >= startDate && record.date <= endDate);
+    const calendarAttendance = this.applyWorkCalendar(attendanceData, data.calendar, employee, startDate, endDate);
+    // Loan disbursements are not deducted when paid out; they come back as EMIs
+    const paymentData = (data.payments || []).filter(payment => getPaymentType(payment) !== PaymentTypes.LOAN);
+    const settings = this.getEmployeePaySettings(employee, withDefaultSettings(data.settings));
+    const payBasis = getPayBasis(employee);
+
+    // Calculate attendance summary
+    const attendanceSummary = this.calculateAttendanceSummary(calendarAttendance, settings);
+    
+    // Price each working day at the rate in force on that date, plus overtime
+    // and the allowances for night shifts worked. Days the employee's
+    // piece-rate work covers are paid by the output instead.
+    const pieceRateDates = getPieceRateDates(data.pieceRates);
+    const { grossSalary: wages, overtimePay, rateSegments } =
+      this.priceAttendance(employee, attendanceSummary.details, settings, data.calendar, pieceRateDates);
+    const nightAllowance = attendanceSummary.nightAllowance;
+
+    // Piece-rate earnings for work measured in the period are wages like day
+    // pay, alongside it
+    const pieceRates = (data.pieceRates || [])
+      .filter(line => line.date >= startDate && line.date <= endDate)
+      .sort((a, b) => a.date.localeCompare(b.date));
+    const pieceRateEarnings = pieceRates.reduce((sum, line) => sum + (line.amount || 0), 0);
+    const attendanceEarnings = wages + pieceRateEarnings + overtimePay + nightAllowance;
+
+    // PF, ESI and professional tax for each month ending in the period, on the
+    // month's day-rate and piece-rate earnings, as the ledger charges them;
+    // one-off adjustments stay outside the statutory wage base
+    const statutoryDetails = [
+      ...this.getEarlierMonthDetails(employee, data, settings, startDate, endDate),
+      ...attendanceSummary.details
+    ];
+    const statutory = calculateMonthlyStatutoryContributions(
+      statutoryDetails, data.pieceRates || [], settings.statutory, startDate, endDate
+    );
+    const statutoryDeductions = [];
+    statutory.months.forEach(({ month, monthEnd, lines }) => {
+      lines.forEach(line => {
+        statutoryDeductions.push({
+          type: STATUTORY_DEDUCTION_TYPES[line.component],
+          label: `${line.label} for ${month}`,
+          date: monthEnd,
+          amount: line.employee
+        });
+      });
+    });
+
+    // Bonuses and incentives are added to gross; penalties are deducted
+    const adjustments = (data.adjustments || [])
+      .filter(adjustment => adjustment.date >= startDate && adjustment.date <= endDate)
+      .sort((a, b) => a.date.localeCompare(b.date));
+    const adjustmentTotals = getAdjustmentTotals(adjustments);
+    const adjustmentDeductions = adjustments
+      .filter(adjustment => adjustment.type === AdjustmentTypes.DEDUCTION)
+      .map(adjustment => ({
+        type: DEDUCTION_TYPES.ADJUSTMENT,
+        label: adjustment.reason,
+        date: adjustment.date,
+        amount: adjustment.amount,
+        adjustment_id: adjustment.id
+      }));
+    const grossSalary = attendanceEarnings + adjustmentTotals.earnings;
+
+    // Salary paid, advances recovered and loan EMIs due in the period
+    const { deductions, loans, totals } = this.calculateDeductions(paymentData, data.loans || [], startDate, endDate);
+    const totalPayments = totals.salaryPaid + totals.advanceRecovery + totals.loanRecovery;
+    const totalDeductions = statutory.employeeTotal + adjustmentTotals.deductions + totalPayments;
+    
+    // Calculate net salary (gross - deductions)
+    const netSalary = grossSalary - totalDeductions;
+
+    // Rate in force at the end of the period (for display)
+    const closingRate = getWageRateForDate(employee.wage_rates, endDate);
+
+    // Rates below the minimum wage are paid as calculated but flagged
+    const warnings = this.getMinimumWageWarnings(employee, data.minimumWages, settings, startDate, endDate);
+
+    // Generate detailed calculation
+    return {
+      employee: {
+        id: employee.id,
+        name: employee.name,
+        designation: employee.designation,
+        employee_code: employee.employee_code,
+        pay_basis: payBasis
+      },
+      period: {
+        startDate,
+        endDate,
+        totalDays: this.calculateTotalDays(startDate, endDate),
+        offDays: data.calendar ? getOffDaysInRange(data.calendar, startDate, endDate).length : 0,
+        workingDays: attendanceSummary.workingDays
+      },
+      rates: {
+        payBasis,
+        rate: closingRate ? closingRate.amount : null,
+        dailyRate: closingRate ?
+          parseFloat(this.getDayRate(employee, closingRate, endDate, settings, data.calendar).toFixed(2)) : null,
+        proration: payBasis === PayBasis.MONTHLY ? settings.monthly_proration : null,
+        segments: rateSegments,
+        standardHours: settings.standard_hours,
+        overtimeMultiplier: settings.overtime_multiplier
+      },
+      attendance: attendanceSummary,
+      financial: {
+        wages: parseFloat(wages.toFixed(2)),
+        pieceRateEarnings: parseFloat(pieceRateEarnings.toFixed(2)),
+        overtimePay: parseFloat(overtimePay.toFixed(2)),
+        nightAllowance: parseFloat(nightAllowance.toFixed(2)),
+        adjustmentEarnings: adjustmentTotals.earnings,
+        grossSalary: parseFloat(grossSalary.toFixed(2)),
+        statutoryDeductions: statutory.employeeTotal,
+        adjustmentDeductions: adjustmentTotals.deductions,
+        employerContributions: statutory.employerTotal,
+        salaryPaid: parseFloat(totals.salaryPaid.toFixed(2)),
+        advanceRecovery: parseFloat(totals.advanceRecovery.toFixed(2)),
+        loanRecovery: parseFloat(totals.loanRecovery.toFixed(2)),
+        totalPayments: parseFloat(totalPayments.toFixed(2)),
+        totalDeductions: parseFloat(totalDeductions.toFixed(2)),
+        netSalary: parseFloat(netSalary.toFixed(2)),
+        netSalaryStatus: netSalary >= 0 ? SALARY_STATUS.DUE : SALARY_STATUS.OVERPAID
+      },
+      statutory: statutory.lines,
+      warnings,
+      pieceRates,
+      adjustments,
+      deductions: [...statutoryDeductions, ...adjustmentDeductions, ...deductions],
+      loans,
+      payments: paymentData,
+      attendanceRecords: attendanceData,
+      calculatedAt: new Date().toISOString()
+    };
+  }
+
+  /**
+   * Price the days of a month ending in the period that fall before the period
+   * starts, for that month's statutory contributions
+   * @param {Object} employee - Employee record
+   * @param {Object} data - Salary calculation data (see buildSalaryCalculation)
+   * @param {Object} settings - Employee pay settings
+   * @param {string} startDate - Start date (YYYY-MM-DD)
+   * @param {string} endDate - End date (YYYY-MM-DD)
+   * @returns {Array} Priced attendance summary details
+   */
+  getEarlierMonthDetails(employee, data, settings, startDate, endDate) {
+    const statutoryStart = getStatutoryStartDate(startDate, endDate);
+    if (statutoryStart >= startDate) return [];
+
+    const records = (data.attendance || []).filter(record => record.date >= statutoryStart && record.date <= endDate);
+    const summary = this.calculateAttendanceSummary(
+      this.applyWorkCalendar(records, data.calendar, employee, statutoryStart, endDate), settings
+    );
+    const details = summary.details.filter(detail => detail.date < startDate);
+    this.priceAttendance(employee, details, settings, data.calendar, getPieceRateDates(data.pieceRates));
+    return details;
+  }
+
+  /**
+   * Get warnings for the stretches of a period in which an employee's rate,
+   * as a daily rate, is below the minimum wage for their state and skill category
+   * @param {Object} employee - Employee record
+   * @param {Array} minimumWages - Minimum wage entries
+   * @param {Object} settings - Payroll settings
+   * @param {string} startDate - Start date (YYYY-MM-DD)
+   * @param {string} endDate - End date (YYYY-MM-DD)
+   * @returns {Array} Warnings [{ type, message, shortfall }]
+   */
+  getMinimumWageWarnings(employee, minimumWages, settings, startDate, endDate) {
+    const state = getEmployeeWageState(employee, settings);
+    return findMinimumWageShortfalls(
+      employee, minimumWages, state, settings.standard_hours, startDate, endDate
+    ).map(shortfall => ({
+      type: SALARY_WARNING_TYPES.MINIMUM_WAGE,
+      message: describeMinimumWageShortfall(shortfall),
+      shortfall
+    }));
+  }
+
+  /**
+   * Apply the work calendar to an employee's attendance for a period.
+   * Absent marks on holidays and weekly offs count as the off day, and off
+   * days with no attendance record are added so they are paid by their
+   * status's pay factor. Days before joining or after today are not filled.
+   * @param {Array} attendanceRecords - Attendance records inside the period
+   * @param {Object|null} calendar - Work calendar (see holidayService.getWorkCalendar)
+   * @param {Object} employee - Employee record (joining_date)
+   * @param {string} startDate - Start date (YYYY-MM-DD)
+   * @param {string} endDate - End date (YYYY-MM-DD)
+   * @returns {Array} Attendance records sorted by date
+   */
+  applyWorkCalendar(attendanceRecords, calendar, employee, startDate, endDate) {
+    if (!calendar) return attendanceRecords;
+
+    const today = new Date().toISOString().split('T')[0];
+    const fillFrom = employee.joining_date && employee.joining_date > startDate ? employee.joining_date : startDate;
+    const fillTo = endDate < today ? endDate : today;
+    const recordedDates = new Set(attendanceRecords.map(record => record.date));
+
+    const offDayRecords = getOffDaysInRange(calendar, fillFrom, fillTo)
+      .filter(offDay => !recordedDates.has(offDay.date))
+      .map(offDay => ({
+        id: null,
+        employee_id: employee.id,
+        date: offDay.date,
+        status: offDay.status,
+        notes: offDay.name,
+        fromCalendar: true
+      }));
+
+    return [...applyCalendarToRecords(attendanceRecords, calendar), ...offDayRecords]
+      .sort((a, b) => a.date.localeCompare(b.date));
+  }
+
+  /**
+   * Split the period's payments into deduction line items and work out the
+   * loan instalments falling due in the period
+   * @param {Array} payments - Salary and advance payments inside the period
+   * @param {Array} loans - The employee's loan disbursements
+   * @param {string} startDate - Start date (YYYY-MM-DD)
+   * @param {string} endDate - End date (YYYY-MM-DD)
+   * @returns {Object} { deductions, loans, totals: { salaryPaid, advanceRecovery, loanRecovery } }
+   */
+  calculateDeductions(payments, loans, startDate, endDate) {
+    const deductions = [];
+    const totals = { salaryPaid: 0, advanceRecovery: 0, loanRecovery: 0 };
+
+    [...payments]
+      .sort((a, b) => (a.payment_date || '').localeCompare(b.payment_date || ''))
+      .forEach(payment => {
+        const amount = parseFloat(payment.amount) || 0;
+        const isAdvance = getPaymentType(payment) === PaymentTypes.ADVANCE;
+
+        if (isAdvance) {
+          totals.advanceRecovery += amount;
+        } else {
+          totals.salaryPaid += amount;
+        }
+
+        deductions.push({
+          type: isAdvance ? DEDUCTION_TYPES.ADVANCE_RECOVERY : DEDUCTION_TYPES.SALARY_PAYMENT,
+          label: isAdvance ? 'Advance recovery' : 'Salary paid',
+          date: payment.payment_date,
+          amount,
+          payment_id: payment.id,
+          payment_mode: payment.payment_mode,
+          notes: payment.notes || ''
+        });
+      });
+
+    const loanSummaries = [];
+    loans
+      .filter(loan => getPaymentType(loan) === PaymentTypes.LOAN && loan.payment_date <= endDate)
+      .sort((a, b) => (a.payment_date || '').localeCompare(b.payment_date || ''))
+      .forEach(loan => {
+        const dueInPeriod = getLoanSchedule(loan).filter(instalment =>
+          instalment.dueDate >= startDate && instalment.dueDate <= endDate
+        );
+        const recovery = dueInPeriod.reduce((sum, instalment) => sum + instalment.amount, 0);
+        const outstanding = getLoanOutstanding(loan, endDate);
+
+        // Skip loans settled before the period started
+        if (recovery === 0 && outstanding <= 0) {
+          return;
+        }
+
+        loanSummaries.push({
+          id: loan.id,
+          disbursedOn: loan.payment_date,
+          amount: parseFloat(loan.amount) || 0,
+          instalmentAmount: parseFloat(loan.instalment_amount) || 0,
+          recovered: parseFloat(recovery.toFixed(2)),
+          outstanding
+        });
+
+        if (recovery > 0) {
+          totals.loanRecovery += recovery;
+          deductions.push({
+            type: DEDUCTION_TYPES.LOAN_EMI,
+            label: `Loan EMI (${dueInPeriod.map(instalment => `#${instalment.number}`).join(', ')})`,
+            date: dueInPeriod[dueInPeriod.length - 1].dueDate,
+            amount: parseFloat(recovery.toFixed(2)),
+            loan_id: loan.id,
+            outstanding
+          });
+        }
+      });
+
+    return { deductions, loans: loanSummaries, totals };
+  }
+
+  /**
+   * Adjust payroll settings for an employee's pay basis. A monthly salary
+   * pro-rated over calendar days pays holidays and weekly offs in full; one
+   * pro-rated over working days does not pay them at all.
+   * @param {Object} employee - Employee record (pay_basis)
+   * @param {Object} settings - Payroll settings with defaults applied
+   * @returns {Object} Settings to calculate this employee's pay with
+   */
+  getEmployeePaySettings(employee, settings) {
+    if (getPayBasis(employee) !== PayBasis.MONTHLY) return settings;
+
+    const offDayFactor = settings.monthly_proration === MonthlyProration.WORKING_DAYS ? 0 : 1;
+    return {
+      ...settings,
+      status_pay_factors: {
+        ...settings.status_pay_factors,
+        [AttendanceStatus.HOLIDAY]: offDayFactor,
+        [AttendanceStatus.WEEK_OFF]: offDayFactor
+      }
+    };
+  }
+
+  /**
+   * Get the number of days a monthly salary is divided by for a month:
+   * its calendar days, or those less its holidays and weekly offs
+   * @param {string} date - Any date in the month (YYYY-MM-DD)
+   * @param {Object} settings - Payroll settings (monthly_proration)
+   * @param {Object|null} calendar - Work calendar (see holidayService.getWorkCalendar)
+   * @returns {number} Days in the month to pro-rate over (at least 1)
+   */
+  getProrationDays(date, settings, calendar) {
+    const [year, month] = date.split('-').map(Number);
+    const daysInMonth = new Date(Date.UTC(year, month, 0)).getUTCDate();
+
+    if (settings.monthly_proration !== MonthlyProration.WORKING_DAYS || !calendar) {
+      return daysInMonth;
+    }
+
+    const monthKey = date.substring(0, 7);
+    const offDays = getOffDaysInRange(calendar, `${monthKey}-01`, `${monthKey}-${String(daysInMonth).padStart(2, '0')}`);
+    return Math.max(1, daysInMonth - offDays.length);
+  }
+
+  /**
+   * Get the pay for one full day at a wage rate: the daily rate itself, an
+   * hourly rate times the standard hours, or a monthly salary over its
+   * pro-ration days
+   * @param {Object} employee - Employee record (pay_basis)
+   * @param {Object} rate - Wage rate entry { amount, effective_from }
+   * @param {string} date - Date being paid (YYYY-MM-DD)
+   * @param {Object} settings - Payroll settings (standard_hours, monthly_proration)
+   * @param {Object|null} calendar - Work calendar
+   * @returns {number} Day rate
+   */
+  getDayRate(employee, rate, date, settings, calendar) {
+    switch (getPayBasis(employee)) {
+      case PayBasis.MONTHLY:
+        return rate.amount / this.getProrationDays(date, settings, calendar);
+      case PayBasis.HOURLY:
+        return rate.amount * settings.standard_hours;
+      default:
+        return rate.amount;
+    }
+  }
+
+  /**
+   * Price attendance days using the employee's wage rate history.
+   * Adds `dailyRate`, `amount` and `overtimePay` to each detail entry and
+   * groups the earnings by the rate that applied, so a period spanning a
+   * raise splits. Monthly salaries are also split by month, since each month
+   * has its own day rate. Hourly workers are paid for the hours punched on
+   * worked days, and a day's rate on other paid days. Overtime is paid at
+   * the hourly equivalent of the day rate times the overtime multiplier.
+   * Days covered by the employee's piece-rate work, and every day for those
+   * paid by output, earn no day pay; the output pays for them instead.
+   * @param {Object} employee - Employee record with pay_basis and wage_rates
+   * @param {Array} details - Attendance summary details
+   * @param {Object} settings - Payroll settings (standard_hours, overtime_multiplier, monthly_proration)
+   * @param {Object|null} calendar - Work calendar, for pro-rating monthly salaries over working days
+   * @param {Set|null} pieceRateDates - Dates covered by piece-rate work (see getPieceRateDates)
+   * @returns {Object} { grossSalary, overtimePay, rateSegments }
+   */
+  priceAttendance(employee, details, settings = DEFAULT_SETTINGS, calendar = null, pieceRateDates = null) {
+    const payBasis = getPayBasis(employee);
+    const segmentsByKey = {};
+    const unpricedDates = [];
+    let grossSalary = 0;
+    let overtimePay = 0;
+
+    details.forEach(detail => {
+      if (payBasis === PayBasis.OUTPUT || (pieceRateDates && pieceRateDates.has(detail.date))) {
+        detail.dailyRate = null;
+        detail.amount = 0;
+        detail.overtimePay = 0;
+        detail.pieceRate = true;
+        return;
+      }
+
+      const rate = getWageRateForDate(employee.wage_rates, detail.date);
+      const dayRate = rate ? this.getDayRate(employee, rate, detail.date, settings, calendar) : null;
+      detail.dailyRate = dayRate !== null ? parseFloat(dayRate.toFixed(2)) : null;
+      detail.amount = 0;
+      detail.overtimePay = 0;
+
+      if (detail.dayValue === 0) {
+        return;
+      }
+
+      if (!rate) {
+        unpricedDates.push(detail.date);
+        return;
+      }
+
+      // Hours inside the standard day; overtime is priced separately below
+      const paidHours = payBasis === PayBasis.HOURLY && detail.hoursWorked > 0 ?
+        detail.hoursWorked - detail.overtime : null;
+      // Summed unrounded so a full month adds back up to the monthly salary
+      const amount = paidHours !== null ? paidHours * rate.amount : detail.dayValue * dayRate;
+      detail.amount = parseFloat(amount.toFixed(2));
+      grossSalary += amount;
+
+      if (detail.overtime > 0) {
+        const hourlyRate = dayRate / settings.standard_hours;
+        detail.overtimePay = parseFloat(
+          (detail.overtime * hourlyRate * settings.overtime_multiplier).toFixed(2)
+        );
+        overtimePay += detail.overtimePay;
+      }
+
+      const key = payBasis === PayBasis.MONTHLY ?
+        `${rate.effective_from}|${detail.date.substring(0, 7)}` : rate.effective_from;
+      if (!segmentsByKey[key]) {
+        segmentsByKey[key] = {
+          effectiveFrom: rate.effective_from,
+          payBasis,
+          rate: rate.amount,
+          dailyRate: parseFloat(dayRate.toFixed(2)),
+          prorationDays: payBasis === PayBasis.MONTHLY ?
+            this.getProrationDays(detail.date, settings, calendar) : null,
+          startDate: detail.date,
+          endDate: detail.date,
+          workingDays: 0,
+          hours: 0,
+          amount: 0
+        };
+      }
+
+      const segment = segmentsByKey[key];
+      segment.workingDays += detail.dayValue;
+      segment.hours += paidHours !== null ? paidHours : detail.dayValue * settings.standard_hours;
+      segment.amount += amount;
+      if (detail.date < segment.startDate) segment.startDate = detail.date;
+      if (detail.date > segment.endDate) segment.endDate = detail.date;
+    });
+
+    if (unpricedDates.length > 0) {
+      unpricedDates.sort();
+      throw new Error(
+        `No wage rate in force for ${employee.name} on ${unpricedDates[0]}` +
+        (unpricedDates.length > 1 ? ` (and ${unpricedDates.length - 1} more day(s))` : '') +
+        '. Add a wage rate on the employee record, or seed missing wage rates from Payroll Settings.'
+      );
+    }
+
+    const rateSegments = Object.values(segmentsByKey)
+      .sort((a, b) => a.startDate.localeCompare(b.startDate))
+      .map(segment => ({
+        ...segment,
+        workingDays: parseFloat(segment.workingDays.toFixed(2)),
+        hours: parseFloat(segment.hours.toFixed(2)),
+        amount: parseFloat(segment.amount.toFixed(2))
+      }));
+
+    return { grossSalary, overtimePay, rateSegments };
+  }
+
+  /**
+   * Split a calendar period into runs of days sharing the same wage rate.
+   * Monthly rates also split at month ends, and each run carries its
+   * month's length so the salary can be pro-rated.
+   * @param {Array} wageRates - Employee wage rate history
+   * @param {string} startDate - Start date (YYYY-MM-DD)
+   * @param {string} endDate - End date (YYYY-MM-DD)
+   * @param {string} payBasis - Pay basis the rates are quoted in (daily by default)
+   * @returns {Array} Array of { effectiveFrom, dailyRate, startDate, endDate, days, monthDays }
+   */
+  getRatePeriods(wageRates, startDate, endDate, payBasis = PayBasis.DAILY) {
+    const periods = [];
+    if (!startDate || !endDate || startDate > endDate) return periods;
+
+    const current = new Date(startDate);
+    const end = new Date(endDate);
+
+    while (current <= end) {
+      const date = current.toISOString().split('T')[0];
+      const rate = getWageRateForDate(wageRates, date);
+      const effectiveFrom = rate ? rate.effective_from : null;
+      const last = periods[periods.length - 1];
+      const sameMonth = last && last.startDate.substring(0, 7) === date.substring(0, 7);
+
+      if (last && last.effectiveFrom === effectiveFrom && (payBasis !== PayBasis.MONTHLY || sameMonth)) {
+        last.endDate = date;
+        last.days++;
+      } else {
+        periods.push({
+          effectiveFrom,
+          dailyRate: rate ? rate.amount : null,
+          startDate: date,
+          endDate: date,
+          days: 1,
+          monthDays: new Date(Date.UTC(current.getUTCFullYear(), current.getUTCMonth() + 1, 0)).getUTCDate()
+        });
+      }
+
+      current.setUTCDate(current.getUTCDate() + 1);
+    }
+
+    return periods;
+  }
+
   /**
    * Get attendance records for date range
    * @param {string} employeeId - Employee ID
-   * @param {string} startDate - Start date
-   * @param {string} endDate - End date
+   * @param {string} startDate - Start date (YYYY-MM-DD)
+   * @param {string} endDate - End date (YYYY-MM-DD)
    * @returns {Array} Attendance records
    */
   async getAttendanceForDateRange(employeeId, startDate, endDate) {
     try {
-      const allAttendance = await attendanceService.getAllAttendance();
-      
-      return allAttendance.filter(record => {
-        const recordDate = new Date(record.date);
-        const start = new Date(startDate);
-        const end = new Date(endDate);
-        
-        return record.employee_id === employeeId && 
-               recordDate >= start && 
-               recordDate <= end;
+      return await attendanceService.getEmployeeAttendance(employeeId, {
+        dateRange: { start: startDate, end: endDate }
       });
     } catch (error) {
       console.error('Error fetching attendance data:', error);
@@ -154,17 +739,55 @@ class SalaryService {
   }
 
   /**
-   * Calculate attendance summary
+   * Get every loan disbursed to an employee
+   * @param {string} employeeId - Employee ID
+   * @returns {Array} Loan disbursement payment records
+   */
+  async getLoansForEmployee(employeeId) {
+    try {
+      return await paymentService.getAllPayments({
+        employee_id: employeeId,
+        payment_type: PaymentTypes.LOAN
+      });
+    } catch (error) {
+      console.error('Error fetching loan data:', error);
+      return [];
+    }
+  }
+
+  /**
+   * Calculate attendance summary.
+   * Each day counts towards working days by its status's pay factor from the
+   * payroll settings. Worked days with both check-in and check-out times also
+   * get hours worked and any overtime or undertime against the standard day.
+   * Worked days record the shift, lateness and early exit saved on the
+   * record, and night shifts add their allowance.
    * @param {Array} attendanceRecords - Array of attendance records
+   * @param {Object} settings - Payroll settings (standard_hours, status_pay_factors)
    * @returns {Object} Attendance summary
    */
-  calculateAttendanceSummary(attendanceRecords) {
+  calculateAttendanceSummary(attendanceRecords, settings = DEFAULT_SETTINGS) {
     const summary = {
       totalRecords: attendanceRecords.length,
       workingDays: 0,
       fullDays: 0,
       halfDays: 0,
+      partialDays: 0,
       absentDays: 0,
+      paidLeaveDays: 0,
+      unpaidLeaveDays: 0,
+      holidays: 0,
+      weekOffs: 0,
+      statusCounts: createStatusCounts(),
+      totalHours: 0,
+      overtimeHours: 0,
+      undertimeHours: 0,
+      nightShifts: 0,
+      nightAllowance: 0,
+      lateDays: 0,
+      lateMinutes: 0,
+      earlyExitDays: 0,
+      earlyExitMinutes: 0,
       attendancePercentage: 0,
       details: []
     };
@@ -174,32 +797,54 @@ class SalaryService {
     }
 
     let workingDays = 0;
-    let fullDays = 0;
-    let halfDays = 0;
-    let absentDays = 0;
+    let totalHours = 0;
+    let overtimeHours = 0;
+    let undertimeHours = 0;
 
     attendanceRecords.forEach(record => {
-      let recordType = SALARY_RECORD_TYPES.ABSENT;
-      let dayValue = 0; // 0 for absent, 0.5 for half day, 1 for full day
-      
-      // Calculate working days based on attendance status
-      if (record.status === AttendanceStatus.PRESENT) {
-        workingDays++;
-        fullDays++;
-        recordType = SALARY_RECORD_TYPES.FULL;
-        dayValue = 1;
-        
-      } else if (record.status === AttendanceStatus.HALF_DAY) {
-        workingDays += 0.5; // Half day counts as 0.5 working day
-        halfDays++;
-        recordType = SALARY_RECORD_TYPES.PARTIAL;
-        dayValue = 0.5;
-        
+      // Unknown statuses are treated as absent and unpaid
+      const recordType = STATUS_RECORD_TYPES[record.status] || SALARY_RECORD_TYPES.ABSENT;
+      const dayValue = getStatusPayFactor(settings, record.status);
+      workingDays += dayValue;
+
+      if (STATUS_RECORD_TYPES[record.status]) {
+        summary.statusCounts[getStatusStatKey(record.status)]++;
       } else {
-        // absent or any other status (AttendanceStatus.ABSENT)
-        absentDays++;
-        recordType = SALARY_RECORD_TYPES.ABSENT;
-        dayValue = 0;
+        summary.statusCounts.absent++;
+      }
+
+      // Hours are only measured on worked days when both punches were recorded
+      const isWorked = WORKED_STATUSES.includes(record.status);
+      const hoursWorked = isWorked ?
+        this.calculateHoursWorked(record.check_in_time, record.check_out_time) : 0;
+      let overtime = 0;
+      let undertime = 0;
+
+      if (hoursWorked > 0) {
+        const dayFraction = record.status === AttendanceStatus.HALF_DAY ? 0.5 : 1;
+        const standardHours = dayFraction * settings.standard_hours;
+        overtime = Math.max(0, hoursWorked - standardHours);
+        undertime = Math.max(0, standardHours - hoursWorked);
+        totalHours += hoursWorked;
+        overtimeHours += overtime;
+        undertimeHours += undertime;
+      }
+
+      // Shift timing and allowance were worked out when the record was saved
+      const lateMinutes = isWorked ? record.late_minutes || 0 : 0;
+      const earlyExitMinutes = isWorked ? record.early_exit_minutes || 0 : 0;
+      const nightAllowance = isWorked && record.night_shift ? record.night_allowance || 0 : 0;
+      if (lateMinutes > 0) {
+        summary.lateDays++;
+        summary.lateMinutes += lateMinutes;
+      }
+      if (earlyExitMinutes > 0) {
+        summary.earlyExitDays++;
+        summary.earlyExitMinutes += earlyExitMinutes;
+      }
+      if (isWorked && record.night_shift) {
+        summary.nightShifts++;
+        summary.nightAllowance += nightAllowance;
       }
 
       // Add to details
@@ -209,16 +854,34 @@ class SalaryService {
         type: recordType,
         dayValue: dayValue,
         checkIn: record.check_in_time || null,
-        checkOut: record.check_out_time || null
+        checkOut: record.check_out_time || null,
+        fromCalendar: !!record.fromCalendar,
+        hoursWorked: parseFloat(hoursWorked.toFixed(2)),
+        overtime: parseFloat(overtime.toFixed(2)),
+        undertime: parseFloat(undertime.toFixed(2)),
+        shiftName: isWorked ? record.shift_name || null : null,
+        lateMinutes,
+        earlyExitMinutes,
+        nightShift: isWorked && !!record.night_shift,
+        nightAllowance
       });
     });
 
-    summary.workingDays = parseFloat(workingDays.toFixed(1));
-    summary.fullDays = fullDays;
-    summary.halfDays = halfDays;
-    summary.absentDays = absentDays;
-    summary.attendancePercentage = attendanceRecords.length > 0 ? 
-      parseFloat(((workingDays / attendanceRecords.length) * 100).toFixed(1)) : 0;
+    const counts = summary.statusCounts;
+    summary.workingDays = parseFloat(workingDays.toFixed(2));
+    summary.fullDays = counts.present;
+    summary.halfDays = counts.halfDay;
+    summary.partialDays = counts.halfDay;
+    summary.absentDays = counts.absent;
+    summary.paidLeaveDays = counts.paidLeave;
+    summary.unpaidLeaveDays = counts.unpaidLeave;
+    summary.holidays = counts.holiday;
+    summary.weekOffs = counts.weekOff;
+    summary.totalHours = parseFloat(totalHours.toFixed(2));
+    summary.overtimeHours = parseFloat(overtimeHours.toFixed(2));
+    summary.undertimeHours = parseFloat(undertimeHours.toFixed(2));
+    summary.nightAllowance = parseFloat(summary.nightAllowance.toFixed(2));
+    summary.attendancePercentage = calculateAttendanceRate(counts);
 
     return summary;
   }
@@ -271,29 +934,250 @@ class SalaryService {
    * @param {Array} employeeIds - Array of employee IDs
    * @param {string} startDate - Start date
    * @param {string} endDate - End date
-   * @param {number} dailyRate - Daily rate
    * @returns {Array} Array of salary calculations
    */
-  async calculateSalaryForMultipleEmployees(employeeIds, startDate, endDate, dailyRate = 750) {
+  async calculateSalaryForMultipleEmployees(employeeIds, startDate, endDate) {
     try {
-      const calculations = [];
-      
-      for (const employeeId of employeeIds) {
+      const employees = await Promise.all(
+        employeeIds.map(async (employeeId) => {
+          const employee = await employeeService.getEmployee(employeeId);
+          return employee || { id: employeeId, missing: true };
+        })
+      );
+
+      return await this.calculateSalaryForEmployees(employees, startDate, endDate);
+    } catch (error) {
+      console.error('Error calculating salary for multiple employees:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Calculate salaries for a list of employee records in one pass.
+   * Attendance and payments are fetched once and shared across employees.
+   * @param {Array} employees - Array of employee records
+   * @param {string} startDate - Start date (YYYY-MM-DD)
+   * @param {string} endDate - End date (YYYY-MM-DD)
+   * @returns {Array} Salary calculations; failed employees carry an `error` message
+   */
+  async calculateSalaryForEmployees(employees, startDate, endDate) {
+    try {
+      // Statutory contributions for a month ending in the period are on the whole month
+      const statutoryStart = getStatutoryStartDate(startDate, endDate);
+      const [
+        periodAttendance, allPayments, settings, calendar, minimumWages, periodAdjustments, pieceRatesByEmployee
+      ] = await Promise.all([
+        attendanceService.getAttendanceByDateRange(statutoryStart, endDate),
+        paymentService.getAllPayments(),
+        settingsService.getSettings(),
+        holidayService.getWorkCalendar(),
+        minimumWageService.getMinimumWages(),
+        adjustmentService.getAdjustments({ startDate, endDate }),
+        workEntryService.getPieceRateEarnings({ startDate: statutoryStart })
+      ]);
+
+      const attendanceByEmployee = this.groupByEmployee(periodAttendance);
+      const paymentsByEmployee = this.groupByEmployee(
+        allPayments.filter(payment => payment.payment_date >= startDate && payment.payment_date <= endDate)
+      );
+      const loansByEmployee = this.groupByEmployee(
+        allPayments.filter(payment => getPaymentType(payment) === PaymentTypes.LOAN)
+      );
+      const adjustmentsByEmployee = this.groupByEmployee(periodAdjustments);
+
+      return employees.map(employee => {
         try {
-          const calculation = await this.calculateSalary(employeeId, startDate, endDate, dailyRate);
-          calculations.push(calculation);
+          if (employee.missing) {
+            throw new Error('Employee not found');
+          }
+
+          return this.buildSalaryCalculation(employee, {
+            attendance: attendanceByEmployee[employee.id] || [],
+            payments: paymentsByEmployee[employee.id] || [],
+            loans: loansByEmployee[employee.id] || [],
+            adjustments: adjustmentsByEmployee[employee.id] || [],
+            pieceRates: pieceRatesByEmployee[employee.id] || [],
+            settings,
+            calendar,
+            minimumWages
+          }, startDate, endDate);
         } catch (error) {
-          console.error(`Error calculating salary for employee ${employeeId}:`, error);
-          calculations.push({
-            employee: { id: employeeId },
+          console.error(`Error calculating salary for employee ${employee.id}:`, error);
+          return {
+            employee: {
+              id: employee.id,
+              name: employee.name,
+              designation: employee.designation,
+              employee_code: employee.employee_code
+            },
             error: error.message
+          };
+        }
+      });
+    } catch (error) {
+      console.error('Error calculating salaries for employees:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Calculate the payroll sheet for every active employee in a period
+   * @param {string} startDate - Start date (YYYY-MM-DD)
+   * @param {string} endDate - End date (YYYY-MM-DD)
+   * @returns {Object} { calculations, totals }
+   */
+  async calculatePayrollSheet(startDate, endDate) {
+    try {
+      const employees = await employeeService.getAllEmployees();
+      employees.sort((a, b) => (a.name || '').localeCompare(b.name || ''));
+
+      const calculations = await this.calculateSalaryForEmployees(employees, startDate, endDate);
+
+      return {
+        calculations,
+        totals: this.getPayrollSheetTotals(calculations)
+      };
+    } catch (error) {
+      console.error('Error calculating payroll sheet:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Sum a set of salary calculations into payroll sheet totals
+   * @param {Array} calculations - Salary calculations (errored entries are counted, not summed)
+   * @returns {Object} Grand totals
+   */
+  getPayrollSheetTotals(calculations) {
+    const totals = {
+      employees: 0,
+      errors: 0,
+      belowMinimumWage: 0,
+      payBasisCounts: Object.values(PayBasis).reduce((counts, basis) => ({ ...counts, [basis]: 0 }), {}),
+      workingDays: 0,
+      pieceRateEarnings: 0,
+      overtimePay: 0,
+      nightAllowance: 0,
+      adjustmentEarnings: 0,
+      adjustmentDeductions: 0,
+      grossSalary: 0,
+      statutoryDeductions: 0,
+      employerContributions: 0,
+      totalPayments: 0,
+      netDue: 0,
+      overpaid: 0,
+      netSalary: 0
+    };
+
+    calculations.forEach(calculation => {
+      if (calculation.error) {
+        totals.errors++;
+        return;
+      }
+
+      const { financial } = calculation;
+      totals.employees++;
+      if ((calculation.warnings || []).length > 0) totals.belowMinimumWage++;
+      totals.payBasisCounts[calculation.rates.payBasis || PayBasis.DAILY]++;
+      totals.workingDays += calculation.period.workingDays;
+      totals.pieceRateEarnings += financial.pieceRateEarnings || 0;
+      totals.overtimePay += financial.overtimePay || 0;
+      totals.nightAllowance += financial.nightAllowance || 0;
+      totals.adjustmentEarnings += financial.adjustmentEarnings || 0;
+      totals.adjustmentDeductions += financial.adjustmentDeductions || 0;
+      totals.grossSalary += financial.grossSalary;
+      totals.statutoryDeductions += financial.statutoryDeductions || 0;
+      totals.employerContributions += financial.employerContributions || 0;
+      totals.totalPayments += financial.totalPayments;
+      totals.netSalary += financial.netSalary;
+
+      if (financial.netSalaryStatus === SALARY_STATUS.OVERPAID) {
+        totals.overpaid += Math.abs(financial.netSalary);
+      } else {
+        totals.netDue += financial.netSalary;
+      }
+    });
+
+    totals.workingDays = parseFloat(totals.workingDays.toFixed(2));
+    [
+      'pieceRateEarnings', 'overtimePay', 'nightAllowance', 'adjustmentEarnings', 'adjustmentDeductions', 'grossSalary',
+      'statutoryDeductions', 'employerContributions', 'totalPayments', 'netDue', 'overpaid', 'netSalary'
+    ].forEach(key => {
+      totals[key] = parseFloat(totals[key].toFixed(2));
+    });
+
+    return totals;
+  }
+
+  /**
+   * Group records by employee_id
+   * @param {Array} records - Records with an employee_id field
+   * @returns {Object} Records keyed by employee_id
+   */
+  groupByEmployee(records) {
+    return records.reduce((groups, record) => {
+      if (!groups[record.employee_id]) {
+        groups[record.employee_id] = [];
+      }
+      groups[record.employee_id].push(record);
+      return groups;
+    }, {});
+  }
+
+  /**
+   * One-time migration: give daily-rated employees recorded before wage rates
+   * existed the rate every day was paid at until then, from their joining
+   * date or first attendance, whichever is earlier. Monthly and hourly
+   * employees are not guessed at; they are listed for a rate to be added by
+   * hand. Running it again finds nothing to do.
+   * @param {string} userEmail - Email of the admin running the migration
+   * @returns {Promise<Object>} { checked, seeded, needsRate } where needsRate
+   *   lists [{ id, name, from }] still to be given a rate
+   */
+  async seedMissingWageRates(userEmail) {
+    try {
+      await settingsService.assertAdmin(userEmail, 'seed missing wage rates');
+
+      // Inactive employees keep their history, so they are seeded too
+      const [employees, attendance] = await Promise.all([
+        employeeService.getAllEmployees({ includeInactive: true }),
+        attendanceService.getAttendanceByDateRange()
+      ]);
+
+      const firstAttendance = attendance.reduce((firstDates, record) => {
+        if (!firstDates[record.employee_id] || record.date < firstDates[record.employee_id]) {
+          firstDates[record.employee_id] = record.date;
+        }
+        return firstDates;
+      }, {});
+
+      const operations = [];
+      const needsRate = [];
+      employees.forEach(employee => {
+        const wageRates = planWageRateSeed(employee, firstAttendance[employee.id] || null);
+        if (wageRates) {
+          operations.push({
+            type: 'update',
+            collectionName: employeeService.collectionName,
+            docId: employee.id,
+            data: { wage_rates: wageRates }
           });
+          return;
         }
+
+        const from = getFirstUnratedDate(employee, firstAttendance[employee.id] || null);
+        if (from) {
+          needsRate.push({ id: employee.id, name: employee.name, from });
+        }
+      });
+
+      for (let index = 0; index < operations.length; index += MAX_BATCH_OPERATIONS) {
+        await firestoreService.batchOperations(operations.slice(index, index + MAX_BATCH_OPERATIONS));
       }
-      
-      return calculations;
+
+      return { checked: employees.length, seeded: operations.length, needsRate };
     } catch (error) {
-      console.error('Error calculating salary for multiple employees:', error);
+      console.error('Error seeding missing wage rates:', error);
       throw error;
     }
   }
@@ -311,6 +1195,10 @@ class SalaryService {
       attendanceRate: calculation.attendance.attendancePercentage,
       totalHours: calculation.attendance.totalHours,
       grossSalary: calculation.financial.grossSalary,
+      pieceRateEarnings: calculation.financial.pieceRateEarnings || 0,
+      statutoryDeductions: calculation.financial.statutoryDeductions || 0,
+      adjustmentEarnings: calculation.financial.adjustmentEarnings || 0,
+      adjustmentDeductions: calculation.financial.adjustmentDeductions || 0,
       totalPayments: calculation.financial.totalPayments,
       netSalary: calculation.financial.netSalary,
       netSalaryStatus: calculation.financial.netSalaryStatus
@@ -345,10 +1233,9 @@ class SalaryService {
    * @param {string} employeeId - Employee ID
    * @param {string} startDate - Start date
    * @param {string} endDate - End date
-   * @param {number} dailyRate - Daily rate
    * @returns {Object} Validation result
    */
-  validateInputs(employeeId, startDate, endDate, dailyRate = 750) {
+  validateInputs(employeeId, startDate, endDate) {
     const errors = {};
 
     if (!employeeId || employeeId.trim() === '') {
@@ -367,14 +1254,6 @@ class SalaryService {
       errors.dateRange = 'Start date must be before or equal to end date';
     }
 
-    if (!dailyRate || dailyRate <= 0) {
-      errors.dailyRate = 'Valid daily rate is required';
-    }
-
-    if (dailyRate && (dailyRate < 1 || dailyRate > 50000)) {
-      errors.dailyRate = 'Daily rate must be between ₹1 and ₹50,000';
-    }
-
     return {
       isValid: Object.keys(errors).length === 0,
       errors
@@ -387,4 +1266,4 @@ const salaryService = new SalaryService();
 export default salaryService;
 
 // Export constants for use in UI components
-export { SALARY_RECORD_TYPES, SALARY_STATUS };
\ No newline at end of file
+export { SALARY_RECORD_TYPES, SALARY_STATUS, DEDUCTION_TYPES, SALARY_WARNING_TYPES };
\ No newline at end of file
@@ -0,0 +1,99 @@
+/**
+ * Settings Service - Reads and saves the payroll settings document
+ */
+
+import firestoreService from '../firebase/firestore';
+import {
+  PAYROLL_SETTINGS_ID,
+  validateSettings,
+  formatSettingsForStorage,
+  withDefaultSettings,
+  parseAdminEmails,
+  isAdminEmail
+} from '../models/Settings';
+
+class SettingsService {
+  constructor() {
+    this.collectionName = 'settings';
+  }
+
+  /**
+   * Get payroll settings, with defaults for anything not saved yet
+   * @returns {Promise<Object>} Payroll settings
+   */
+  async getSettings() {
+    try {
+      const storedSettings = await firestoreService.getDocument(this.collectionName, PAYROLL_SETTINGS_ID);
+      return withDefaultSettings(storedSettings);
+    } catch (error) {
+      console.error('Error getting settings:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Check whether a user is an admin
+   * @param {string} email - User's email
+   * @returns {Promise<boolean>} True if the user is an admin
+   */
+  async isAdmin(email) {
+    try {
+      const settings = await this.getSettings();
+      return isAdminEmail(settings, email);
+    } catch (error) {
+      console.error('Error checking admin access:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Throw unless the user is an admin
+   * @param {string} email - User's email
+   * @param {string} action - What the user is trying to do, for the error message
+   * @returns {Promise<void>}
+   */
+  async assertAdmin(email, action) {
+    if (!(await this.isAdmin(email))) {
+      throw new Error(`Only admins can ${action}`);
+    }
+  }
+
+  /**
+   * Save payroll settings. Fields left out keep their current values.
+   * @param {Object} settingsData - Settings form data
+   * @param {string} updatedBy - Email of the admin saving the settings
+   * @returns {Promise<Object>} Saved settings
+   */
+  async updateSettings(settingsData, updatedBy) {
+    try {
+      const currentSettings = await this.getSettings();
+      if (!isAdminEmail(currentSettings, updatedBy)) {
+        throw new Error('Only admins can change payroll settings');
+      }
+
+      const mergedData = { ...currentSettings, ...settingsData };
+      const validation = validateSettings(mergedData);
+      if (!validation.isValid) {
+        throw new Error(`Validation failed: ${Object.values(validation.errors).join(', ')}`);
+      }
+
+      // Stop an admin from locking themselves out
+      const adminEmails = parseAdminEmails(mergedData.admin_emails);
+      if (adminEmails.length > 0 && !isAdminEmail({ admin_emails: adminEmails }, updatedBy)) {
+        throw new Error('Add your own email to the admin list to keep admin access');
+      }
+
+      const formattedData = formatSettingsForStorage(mergedData, updatedBy);
+      await firestoreService.setDocument(this.collectionName, PAYROLL_SETTINGS_ID, formattedData);
+
+      return withDefaultSettings(formattedData);
+    } catch (error) {
+      console.error('Error updating settings:', error);
+      throw error;
+    }
+  }
+}
+
+// Create and export singleton instance
+const settingsService = new SettingsService();
+export default settingsService;
@@ -0,0 +1,235 @@
+/**
+ * Shift Service - Admin-managed work shifts and the weekly rosters that
+ * assign employees to them. Attendance records the shift worked, taken from
+ * the roster unless one is picked when marking.
+ */
+
+import firestoreService from '../firebase/firestore';
+import settingsService from './settingsService';
+import {
+  validateShift,
+  formatShiftForStorage,
+  validateRoster,
+  getRosterWeekStart,
+  findRosteredShift
+} from '../models/Shift';
+
+class ShiftService {
+  constructor() {
+    this.collectionName = 'shifts';
+    this.rosterCollectionName = 'shiftRosters';
+  }
+
+  /**
+   * Get work shifts
+   * @param {Object} options - { activeOnly }
+   * @returns {Promise<Array>} Shifts sorted by start time
+   */
+  async getShifts(options = {}) {
+    try {
+      // Shifts are few; filter client-side to avoid index requirements
+      const shifts = await firestoreService.getDocuments(this.collectionName);
+
+      return shifts
+        .filter(shift => !options.activeOnly || shift.is_active !== false)
+        .sort((a, b) => a.start_time.localeCompare(b.start_time) || a.name.localeCompare(b.name));
+    } catch (error) {
+      console.error('Error getting shifts:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Add a work shift
+   * @param {Object} shiftData - Shift form data
+   * @param {string} userEmail - Email of the admin adding the shift
+   * @returns {Promise<Object>} Created shift
+   */
+  async addShift(shiftData, userEmail) {
+    try {
+      await settingsService.assertAdmin(userEmail, 'manage shifts');
+
+      const validation = validateShift(shiftData);
+      if (!validation.isValid) {
+        throw new Error(`Validation failed: ${Object.values(validation.errors).join(', ')}`);
+      }
+
+      await this.assertNameFree(shiftData.name);
+
+      const formattedData = formatShiftForStorage(shiftData);
+      const docRef = await firestoreService.addDocument(this.collectionName, {
+        ...formattedData,
+        created_by: userEmail
+      });
+
+      return { id: docRef.id, ...formattedData };
+    } catch (error) {
+      console.error('Error adding shift:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Update a work shift. Records already marked keep the shift times and
+   * night allowance they were saved with.
+   * @param {string} shiftId - Shift document ID
+   * @param {Object} shiftData - Shift form data
+   * @param {string} userEmail - Email of the admin making the change
+   * @returns {Promise<Object>} Updated shift
+   */
+  async updateShift(shiftId, shiftData, userEmail) {
+    try {
+      await settingsService.assertAdmin(userEmail, 'manage shifts');
+
+      const validation = validateShift(shiftData);
+      if (!validation.isValid) {
+        throw new Error(`Validation failed: ${Object.values(validation.errors).join(', ')}`);
+      }
+
+      await this.assertNameFree(shiftData.name, shiftId);
+
+      const formattedData = formatShiftForStorage(shiftData);
+      await firestoreService.updateDocument(this.collectionName, shiftId, formattedData);
+
+      return { id: shiftId, ...formattedData };
+    } catch (error) {
+      console.error('Error updating shift:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Delete a work shift. Rosters still naming it leave those employees
+   * without a rostered shift.
+   * @param {string} shiftId - Shift document ID
+   * @param {string} userEmail - Email of the admin making the change
+   * @returns {Promise<void>}
+   */
+  async deleteShift(shiftId, userEmail) {
+    try {
+      await settingsService.assertAdmin(userEmail, 'manage shifts');
+      await firestoreService.deleteDocument(this.collectionName, shiftId);
+    } catch (error) {
+      console.error('Error deleting shift:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Throw if another shift already has the name
+   * @param {string} name - Shift name
+   * @param {string} exceptId - Shift being edited, if any
+   * @returns {Promise<void>}
+   */
+  async assertNameFree(name, exceptId = null) {
+    const shifts = await this.getShifts();
+    const clash = shifts.find(shift =>
+      shift.id !== exceptId && shift.name.toLowerCase() === name.trim().toLowerCase()
+    );
+    if (clash) {
+      throw new Error(`A shift named "${clash.name}" already exists`);
+    }
+  }
+
+  /**
+   * Get the roster for a week
+   * @param {string} weekStart - Monday in YYYY-MM-DD format
+   * @returns {Promise<Object>} Roster; an empty one if none has been saved
+   */
+  async getRoster(weekStart) {
+    try {
+      const roster = await firestoreService.getDocument(this.rosterCollectionName, weekStart);
+      return roster || { id: weekStart, week_start: weekStart, assignments: {} };
+    } catch (error) {
+      console.error('Error getting shift roster:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Get the rosters covering some dates
+   * @param {Array} dates - Dates in YYYY-MM-DD format
+   * @returns {Promise<Array>} Rosters, one per week
+   */
+  async getRostersForDates(dates) {
+    try {
+      const weekStarts = [...new Set(dates.map(getRosterWeekStart))];
+      return await Promise.all(weekStarts.map(weekStart => this.getRoster(weekStart)));
+    } catch (error) {
+      console.error('Error getting shift rosters:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Save a week's roster, replacing its assignments
+   * @param {string} weekStart - Monday in YYYY-MM-DD format
+   * @param {Object} assignments - Employee ID to shift ID; blank for no shift
+   * @param {string} userEmail - Email of the admin saving the roster
+   * @returns {Promise<Object>} Saved roster
+   */
+  async saveRoster(weekStart, assignments, userEmail) {
+    try {
+      await settingsService.assertAdmin(userEmail, 'manage shift rosters');
+
+      const cleanAssignments = Object.fromEntries(
+        Object.entries(assignments || {}).filter(([, shiftId]) => shiftId)
+      );
+
+      const shifts = await this.getShifts();
+      const validation = validateRoster({ week_start: weekStart, assignments: cleanAssignments }, shifts);
+      if (!validation.isValid) {
+        throw new Error(`Validation failed: ${Object.values(validation.errors).join(', ')}`);
+      }
+
+      const rosterData = {
+        week_start: weekStart,
+        assignments: cleanAssignments,
+        updated_by: userEmail
+      };
+
+      // Update rather than merge, so employees taken off the roster are removed
+      await firestoreService.runTransaction(async (transaction) => {
+        const existingRoster = await transaction.get(this.rosterCollectionName, weekStart);
+        if (existingRoster) {
+          transaction.update(this.rosterCollectionName, weekStart, rosterData);
+        } else {
+          transaction.set(this.rosterCollectionName, weekStart, rosterData);
+        }
+      });
+
+      return { id: weekStart, ...rosterData };
+    } catch (error) {
+      console.error('Error saving shift roster:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Get the shift an employee works on a date: the one picked when marking,
+   * or else the one on the week's roster. A picked shift that has since been
+   * deleted falls back to the roster.
+   * @param {string} employeeId - Employee ID
+   * @param {string} date - Date in YYYY-MM-DD format
+   * @param {string} shiftId - Shift picked when marking, if any
+   * @returns {Promise<Object|null>} Shift or null
+   */
+  async getShiftForAttendance(employeeId, date, shiftId = null) {
+    try {
+      const [shifts, roster] = await Promise.all([
+        this.getShifts(),
+        this.getRoster(getRosterWeekStart(date))
+      ]);
+
+      const pickedShift = shiftId ? shifts.find(shift => shift.id === shiftId) : null;
+      return pickedShift || findRosteredShift([roster], shifts, employeeId, date);
+    } catch (error) {
+      console.error('Error getting shift for attendance:', error);
+      throw error;
+    }
+  }
+}
+
+// Create and export singleton instance
+const shiftService = new ShiftService();
+export default shiftService;
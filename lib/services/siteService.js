@@ -0,0 +1,148 @@
+/**
+ * Site Service - Admin-managed work sites and their geofences.
+ * Attendance marked with a location is matched to the nearest active site
+ * and flagged when it falls outside that site's radius.
+ */
+
+import firestoreService from '../firebase/firestore';
+import settingsService from './settingsService';
+import {
+  validateSite,
+  formatSiteForStorage,
+  matchLocationToSite
+} from '../models/Site';
+
+class SiteService {
+  constructor() {
+    this.collectionName = 'sites';
+  }
+
+  /**
+   * Get work sites
+   * @param {Object} options - { activeOnly }
+   * @returns {Promise<Array>} Sites sorted by name
+   */
+  async getSites(options = {}) {
+    try {
+      // Sites are few; filter client-side to avoid index requirements
+      const sites = await firestoreService.getDocuments(this.collectionName);
+
+      return sites
+        .filter(site => !options.activeOnly || site.is_active !== false)
+        .sort((a, b) => a.name.localeCompare(b.name));
+    } catch (error) {
+      console.error('Error getting sites:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Add a work site
+   * @param {Object} siteData - Site form data
+   * @param {string} userEmail - Email of the admin adding the site
+   * @returns {Promise<Object>} Created site
+   */
+  async addSite(siteData, userEmail) {
+    try {
+      await settingsService.assertAdmin(userEmail, 'manage work sites');
+
+      const validation = validateSite(siteData);
+      if (!validation.isValid) {
+        throw new Error(`Validation failed: ${Object.values(validation.errors).join(', ')}`);
+      }
+
+      await this.assertNameFree(siteData.name);
+
+      const formattedData = formatSiteForStorage({ ...siteData, created_by: userEmail });
+      const docRef = await firestoreService.addDocument(this.collectionName, formattedData);
+
+      return { id: docRef.id, ...formattedData };
+    } catch (error) {
+      console.error('Error adding site:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Update a work site. Records already marked keep the geofence result
+   * they were saved with.
+   * @param {string} siteId - Site document ID
+   * @param {Object} siteData - Site form data
+   * @param {string} userEmail - Email of the admin making the change
+   * @returns {Promise<Object>} Updated site
+   */
+  async updateSite(siteId, siteData, userEmail) {
+    try {
+      await settingsService.assertAdmin(userEmail, 'manage work sites');
+
+      const validation = validateSite(siteData);
+      if (!validation.isValid) {
+        throw new Error(`Validation failed: ${Object.values(validation.errors).join(', ')}`);
+      }
+
+      await this.assertNameFree(siteData.name, siteId);
+
+      const formattedData = formatSiteForStorage(siteData);
+      await firestoreService.updateDocument(this.collectionName, siteId, formattedData);
+
+      return { id: siteId, ...formattedData };
+    } catch (error) {
+      console.error('Error updating site:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Delete a work site
+   * @param {string} siteId - Site document ID
+   * @param {string} userEmail - Email of the admin making the change
+   * @returns {Promise<void>}
+   */
+  async deleteSite(siteId, userEmail) {
+    try {
+      await settingsService.assertAdmin(userEmail, 'manage work sites');
+      await firestoreService.deleteDocument(this.collectionName, siteId);
+    } catch (error) {
+      console.error('Error deleting site:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Throw if another site already has the name
+   * @param {string} name - Site name
+   * @param {string} exceptId - Site being edited, if any
+   * @returns {Promise<void>}
+   */
+  async assertNameFree(name, exceptId = null) {
+    const sites = await this.getSites();
+    const clash = sites.find(site =>
+      site.id !== exceptId && site.name.toLowerCase() === name.trim().toLowerCase()
+    );
+    if (clash) {
+      throw new Error(`A site named "${clash.name}" already exists`);
+    }
+  }
+
+  /**
+   * Match a location against the active sites
+   * @param {Object} location - { latitude, longitude }
+   * @returns {Promise<Object|null>} Geofence fields, or null if there is nothing to check
+   */
+  async getGeofence(location) {
+    try {
+      if (!location) {
+        return null;
+      }
+      const sites = await this.getSites({ activeOnly: true });
+      return matchLocationToSite(location, sites);
+    } catch (error) {
+      console.error('Error checking geofence:', error);
+      throw error;
+    }
+  }
+}
+
+// Create and export singleton instance
+const siteService = new SiteService();
+export default siteService;
@@ -0,0 +1,248 @@
+/**
+ * Work Entry Service - Measured output paid at a piece rate, such as cubic
+ * metres of excavation or thousands of bricks. Entries for a crew are split
+ * among its members by the days each was present over the work, when the
+ * entry is saved.
+ */
+
+import firestoreService from '../firebase/firestore';
+import settingsService from './settingsService';
+import employeeService from './employeeService';
+import attendanceService from './attendanceService';
+import payrollRunService from './payrollRunService';
+import periodService from './periodService';
+import {
+  validateWorkEntry,
+  formatWorkEntryForStorage,
+  isCrewWorkEntry,
+  getWorkEntryAmount,
+  splitWorkEntryAmount,
+  formatWorkEntrySharesForStorage,
+  getStoredWorkEntryShares
+} from '../models/WorkEntry';
+
+class WorkEntryService {
+  constructor() {
+    this.collectionName = 'workEntries';
+  }
+
+  /**
+   * Get work entries, optionally for one employee and a date range
+   * @param {Object} options - { employeeId, startDate, endDate } (YYYY-MM-DD);
+   *   an employee gets their own entries and their crews'
+   * @returns {Promise<Array>} Work entries sorted by date
+   */
+  async getWorkEntries(options = {}) {
+    try {
+      const conditions = [];
+      if (options.employeeId) {
+        conditions.push({ field: 'employee_ids', operator: 'array-contains', value: options.employeeId });
+      }
+      if (options.startDate) {
+        conditions.push({ field: 'date', operator: '>=', value: options.startDate });
+      }
+      if (options.endDate) {
+        conditions.push({ field: 'date', operator: '<=', value: options.endDate });
+      }
+
+      const entries = await firestoreService.getDocuments(this.collectionName, { where: conditions });
+
+      return entries.sort((a, b) => a.date.localeCompare(b.date));
+    } catch (error) {
+      console.error('Error getting work entries:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Get the piece-rate earnings from work measured in a period, each crew
+   * entry split among its members as stored when it was saved
+   * @param {Object} options - { employeeId, startDate, endDate } (YYYY-MM-DD)
+   * @returns {Promise<Object>} Piece-rate lines by employee ID; each line is
+   *   { entry_id, date, start_date, task, unit, quantity, unit_rate, total,
+   *   crew_name, crewSize, daysPresent, crewDays, amount }
+   */
+  async getPieceRateEarnings(options = {}) {
+    try {
+      const entries = await this.getWorkEntries(options);
+      if (entries.length === 0) {
+        return {};
+      }
+
+      // Entries saved before splits were stored are split on current
+      // attendance, counted over each entry's own dates, which can start
+      // before the pay period
+      const crewEntries = entries.filter(entry => isCrewWorkEntry(entry) && !getStoredWorkEntryShares(entry));
+      let attendance = [];
+      if (crewEntries.length > 0) {
+        const firstDate = crewEntries.map(entry => entry.start_date || entry.date).sort()[0];
+        const lastDate = crewEntries.map(entry => entry.date).sort().pop();
+        attendance = await attendanceService.getAttendanceByDateRange(firstDate, lastDate);
+      }
+
+      return entries.reduce((byEmployee, entry) => {
+        const total = getWorkEntryAmount(entry);
+        const shares = getStoredWorkEntryShares(entry) || splitWorkEntryAmount(entry, attendance);
+        shares.forEach(share => {
+          if (options.employeeId && share.employee_id !== options.employeeId) return;
+
+          byEmployee[share.employee_id] = byEmployee[share.employee_id] || [];
+          byEmployee[share.employee_id].push({
+            entry_id: entry.id,
+            date: entry.date,
+            start_date: entry.start_date || entry.date,
+            task: entry.task,
+            unit: entry.unit,
+            quantity: entry.quantity,
+            unit_rate: entry.unit_rate,
+            total,
+            crew_name: entry.crew_name || '',
+            crewSize: entry.employee_ids.length,
+            daysPresent: share.daysPresent,
+            crewDays: share.crewDays,
+            amount: share.amount
+          });
+        });
+        return byEmployee;
+      }, {});
+    } catch (error) {
+      console.error('Error getting piece-rate earnings:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Add a work entry
+   * @param {Object} entryData - Work entry form data
+   * @param {string} userEmail - Email of the admin adding the entry
+   * @returns {Promise<Object>} Created work entry
+   */
+  async addWorkEntry(entryData, userEmail) {
+    try {
+      await settingsService.assertAdmin(userEmail, 'manage work entries');
+
+      const validation = validateWorkEntry(entryData);
+      if (!validation.isValid) {
+        throw new Error(`Validation failed: ${Object.values(validation.errors).join(', ')}`);
+      }
+
+      const formattedData = formatWorkEntryForStorage({ ...entryData, created_by: userEmail });
+      await this.assertEmployeesExist(formattedData.employee_ids);
+
+      // Finalized payroll runs and closed periods lock the entries they cover
+      await this.assertUnlocked(formattedData);
+
+      const entryRecord = { ...formattedData, ...(await this.splitEntry(formattedData)) };
+      const docRef = await firestoreService.addDocument(this.collectionName, entryRecord);
+
+      return { id: docRef.id, ...entryRecord };
+    } catch (error) {
+      console.error('Error adding work entry:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Update a work entry
+   * @param {string} entryId - Work entry document ID
+   * @param {Object} entryData - Work entry form data
+   * @param {string} userEmail - Email of the admin making the change
+   * @returns {Promise<Object>} Updated work entry
+   */
+  async updateWorkEntry(entryId, entryData, userEmail) {
+    try {
+      await settingsService.assertAdmin(userEmail, 'manage work entries');
+
+      const validation = validateWorkEntry(entryData);
+      if (!validation.isValid) {
+        throw new Error(`Validation failed: ${Object.values(validation.errors).join(', ')}`);
+      }
+
+      const existing = await firestoreService.getDocument(this.collectionName, entryId);
+      if (!existing) {
+        throw new Error('Work entry not found');
+      }
+
+      const formattedData = formatWorkEntryForStorage(entryData);
+      await this.assertEmployeesExist(formattedData.employee_ids);
+
+      // Locked both where it was and where it is moving to
+      await this.assertUnlocked(existing);
+      await this.assertUnlocked(formattedData);
+
+      // Saving again re-splits the entry on the attendance as it stands now
+      const entryRecord = { ...formattedData, ...(await this.splitEntry(formattedData)), updated_by: userEmail };
+      await firestoreService.updateDocument(this.collectionName, entryId, entryRecord);
+
+      return { id: entryId, ...existing, ...entryRecord };
+    } catch (error) {
+      console.error('Error updating work entry:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Delete a work entry
+   * @param {string} entryId - Work entry document ID
+   * @param {string} userEmail - Email of the admin making the change
+   * @returns {Promise<void>}
+   */
+  async deleteWorkEntry(entryId, userEmail) {
+    try {
+      await settingsService.assertAdmin(userEmail, 'manage work entries');
+
+      const existing = await firestoreService.getDocument(this.collectionName, entryId);
+      if (!existing) {
+        throw new Error('Work entry not found');
+      }
+
+      await this.assertUnlocked(existing);
+
+      await firestoreService.deleteDocument(this.collectionName, entryId);
+    } catch (error) {
+      console.error('Error deleting work entry:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Split a work entry among its employees by the days each was present over
+   * the work
+   * @param {Object} entry - Formatted work entry
+   * @returns {Promise<Object>} { shares, crew_days } to store with the entry
+   */
+  async splitEntry(entry) {
+    const attendance = isCrewWorkEntry(entry) ?
+      await attendanceService.getAttendanceByDateRange(entry.start_date, entry.date) : [];
+    return formatWorkEntrySharesForStorage(splitWorkEntryAmount(entry, attendance));
+  }
+
+  /**
+   * Throw if the entry's pay period is closed, or a payroll run covering it
+   * has been finalized for any of its employees
+   * @param {Object} entry - Work entry
+   * @returns {Promise<void>}
+   */
+  async assertUnlocked(entry) {
+    for (const employeeId of entry.employee_ids) {
+      await payrollRunService.assertUnlocked(employeeId, entry.date, 'work entry');
+    }
+    await periodService.assertPeriodOpen(entry.date, 'work entry');
+  }
+
+  /**
+   * Throw if any of the employees does not exist
+   * @param {Array} employeeIds - Employee IDs
+   * @returns {Promise<void>}
+   */
+  async assertEmployeesExist(employeeIds) {
+    const employees = await Promise.all(employeeIds.map(id => employeeService.getEmployee(id)));
+    if (employees.some(employee => !employee)) {
+      throw new Error('Employee not found');
+    }
+  }
+}
+
+// Create and export singleton instance
+const workEntryService = new WorkEntryService();
+export default workEntryService;
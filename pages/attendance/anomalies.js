@@ -0,0 +1,558 @@
+import { useState, useEffect } from 'react';
+import { useRouter } from 'next/router';
+import Head from 'next/head';
+import { useAuth } from '../../contexts/AuthContext';
+import anomalyService from '../../lib/services/anomalyService';
+import {
+  getLocalDateString,
+  getStatusLabel,
+  getStatusColor,
+  getStatusIcon
+} from '../../lib/models/Attendance';
+import {
+  AnomalyType,
+  ANOMALY_THRESHOLDS,
+  DEFAULT_ANOMALY_PERIOD_DAYS,
+  addDaysToDate,
+  getAnomalyTypeLabel,
+  getAnomalyTypeIcon
+} from '../../lib/models/AttendanceAnomaly';
+
+// What each check looks for, shown under the filters
+const ANOMALY_HINTS = {
+  [AnomalyType.CONSECUTIVE_ABSENCE]: `${ANOMALY_THRESHOLDS.consecutiveAbsences}+ absences on working days in a row`,
+  [AnomalyType.MONDAY_ABSENCE]: `${ANOMALY_THRESHOLDS.mondayAbsences}+ Monday absences, at least ` +
+    `${ANOMALY_THRESHOLDS.mondayAbsenceShare * 100}% of the Mondays marked`,
+  [AnomalyType.AFTER_PAYDAY_ABSENCE]: `Absent within ${ANOMALY_THRESHOLDS.paydayWindowDays} working days ` +
+    'of a salary payment, after more than one payday',
+  [AnomalyType.CREW_DROP]: `A site's headcount down ${ANOMALY_THRESHOLDS.crewDropShare * 100}% or more ` +
+    `on its usual ${ANOMALY_THRESHOLDS.crewBaselineDays}-day average`,
+  [AnomalyType.UNUSUAL_MARKER]: `Marked by someone behind less than ${ANOMALY_THRESHOLDS.unusualMarkerShare * 100}% ` +
+    'of the employee\'s records'
+};
+
+export default function AttendanceAnomalies() {
+  const { user, loading: authLoading } = useAuth();
+  const router = useRouter();
+  const [period, setPeriod] = useState(() => {
+    const today = getLocalDateString();
+    return { start: addDaysToDate(today, -(DEFAULT_ANOMALY_PERIOD_DAYS - 1)), end: today };
+  });
+  const [flags, setFlags] = useState([]);
+  const [typeFilter, setTypeFilter] = useState('');
+  const [expanded, setExpanded] = useState(new Set());
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState('');
+
+  // Redirect if not authenticated
+  useEffect(() => {
+    if (!authLoading && !user) {
+      router.push('/auth/login');
+    }
+  }, [user, authLoading, router]);
+
+  // Load the flags for the period
+  useEffect(() => {
+    if (user) {
+      loadFlags();
+    }
+  }, [user]); // eslint-disable-line react-hooks/exhaustive-deps
+
+  // Open the flag linked to from the dashboard
+  useEffect(() => {
+    if (router.query.flag) {
+      setExpanded(new Set([router.query.flag]));
+    }
+  }, [router.query.flag]);
+
+  const loadFlags = async () => {
+    if (!period.start || !period.end) {
+      setError('Choose both dates for the period.');
+      return;
+    }
+
+    setLoading(true);
+    setError('');
+
+    try {
+      setFlags(await anomalyService.getAnomalies(period.start, period.end));
+    } catch (err) {
+      console.error('Error loading attendance anomalies:', err);
+      setError(err.message || 'Failed to load attendance flags. Please try again.');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const toggleExpanded = (flagId) => {
+    setExpanded(prev => {
+      const next = new Set(prev);
+      if (next.has(flagId)) {
+        next.delete(flagId);
+      } else {
+        next.add(flagId);
+      }
+      return next;
+    });
+  };
+
+  const handleRequestCorrection = (record) => {
+    router.push({
+      pathname: '/attendance/corrections',
+      query: { employee: record.employee_id, date: record.date }
+    });
+  };
+
+  if (authLoading) {
+    return (
+      <div className="loading-container">
+        <div className="spinner"></div>
+        <p>Loading...</p>
+      </div>
+    );
+  }
+
+  if (!user) {
+    return null; // Will redirect
+  }
+
+  const typeCounts = flags.reduce((counts, flag) => {
+    counts[flag.type] = (counts[flag.type] || 0) + 1;
+    return counts;
+  }, {});
+  const shownFlags = typeFilter ? flags.filter(flag => flag.type === typeFilter) : flags;
+
+  return (
+    <>
+      <Head>
+        <title>Attendance Flags - Employee Management</title>
+        <meta name="description" content="Attendance patterns that need following up" />
+      </Head>
+
+      <div className="anomalies-page">
+        {/* Header */}
+        <div className="page-header">
+          <div className="breadcrumb">
+            <button onClick={() => router.push('/attendance')} className="breadcrumb-link">
+              ← Attendance Dashboard
+            </button>
+          </div>
+
+          <div className="header-content">
+            <h1>Attendance Flags</h1>
+            <p>Patterns in attendance worth following up, with the records behind each one</p>
+          </div>
+        </div>
+
+        {error && (
+          <div className="message error">
+            <strong>Error:</strong> {error}
+            <button onClick={() => setError('')} className="close-message">×</button>
+          </div>
+        )}
+
+        {/* Period and type */}
+        <div className="card">
+          <div className="controls">
+            <div className="form-group">
+              <label htmlFor="period-start">From</label>
+              <input
+                id="period-start"
+                type="date"
+                value={period.start}
+                onChange={(e) => setPeriod(prev => ({ ...prev, start: e.target.value }))}
+              />
+            </div>
+            <div className="form-group">
+              <label htmlFor="period-end">To</label>
+              <input
+                id="period-end"
+                type="date"
+                value={period.end}
+                onChange={(e) => setPeriod(prev => ({ ...prev, end: e.target.value }))}
+              />
+            </div>
+            <button onClick={loadFlags} className="btn-primary" disabled={loading}>
+              {loading ? 'Checking...' : 'Check Period'}
+            </button>
+          </div>
+
+          <div className="type-filters">
+            <button
+              className={`type-chip ${typeFilter === '' ? 'active' : ''}`}
+              onClick={() => setTypeFilter('')}
+            >
+              All ({flags.length})
+            </button>
+            {Object.values(AnomalyType).map(type => (
+              <button
+                key={type}
+                className={`type-chip ${typeFilter === type ? 'active' : ''}`}
+                onClick={() => setTypeFilter(type)}
+                title={ANOMALY_HINTS[type]}
+              >
+                {getAnomalyTypeIcon(type)} {getAnomalyTypeLabel(type)} ({typeCounts[type] || 0})
+              </button>
+            ))}
+          </div>
+          {typeFilter && <p className="card-hint">{ANOMALY_HINTS[typeFilter]}</p>}
+        </div>
+
+        {/* Flags */}
+        {loading ? (
+          <div className="card loading-section">
+            <div className="spinner"></div>
+            <p>Checking attendance...</p>
+          </div>
+        ) : shownFlags.length === 0 ? (
+          <div className="card empty">
+            No attendance flags between {period.start} and {period.end}.
+          </div>
+        ) : (
+          shownFlags.map(flag => (
+            <div key={flag.id} className={`card flag ${flag.type}`}>
+              <div className="flag-header">
+                <div>
+                  <div className="flag-type">
+                    {getAnomalyTypeIcon(flag.type)} {getAnomalyTypeLabel(flag.type)}
+                  </div>
+                  <h3>{flag.employee_name || flag.site_name}</h3>
+                  <p className="flag-description">{flag.description}</p>
+                </div>
+                <div className="flag-dates">
+                  {flag.startDate === flag.endDate ? flag.date : `${flag.startDate} – ${flag.endDate}`}
+                </div>
+              </div>
+
+              <button onClick={() => toggleExpanded(flag.id)} className="btn-link">
+                {expanded.has(flag.id) ? 'Hide records' : `View ${flag.records.length} record(s)`}
+              </button>
+
+              {expanded.has(flag.id) && (
+                <table className="record-table">
+                  <thead>
+                    <tr>
+                      <th>Date</th>
+                      {!flag.employee_id && <th>Employee</th>}
+                      <th>Status</th>
+                      <th>Check In / Out</th>
+                      <th>Site</th>
+                      <th>Marked By</th>
+                      <th></th>
+                    </tr>
+                  </thead>
+                  <tbody>
+                    {flag.records.map(record => (
+                      <tr key={record.id}>
+                        <td>{record.date}</td>
+                        {!flag.employee_id && <td>{record.employee_name || record.employee_id}</td>}
+                        <td>
+                          <span className="status-badge" style={{ backgroundColor: getStatusColor(record.status) }}>
+                            {getStatusIcon(record.status)} {getStatusLabel(record.status)}
+                          </span>
+                        </td>
+                        <td>
+                          {record.check_in_time ? `${record.check_in_time} – ${record.check_out_time || '…'}` : '-'}
+                        </td>
+                        <td>{record.site_name || '-'}</td>
+                        <td>{record.marked_by || '-'}</td>
+                        <td>
+                          <button onClick={() => handleRequestCorrection(record)} className="btn-link">
+                            Request correction
+                          </button>
+                        </td>
+                      </tr>
+                    ))}
+                  </tbody>
+                </table>
+              )}
+            </div>
+          ))
+        )}
+      </div>
+
+      <style jsx>{`
+        .anomalies-page {
+          max-width: 1000px;
+          margin: 0 auto;
+          padding: 20px;
+          min-height: 100vh;
+          background: #f5f5f5;
+        }
+
+        .loading-container {
+          display: flex;
+          flex-direction: column;
+          align-items: center;
+          justify-content: center;
+          min-height: 100vh;
+          gap: 20px;
+        }
+
+        .spinner {
+          border: 4px solid #f3f3f3;
+          border-top: 4px solid #007cba;
+          border-radius: 50%;
+          width: 40px;
+          height: 40px;
+          animation: spin 1s linear infinite;
+        }
+
+        @keyframes spin {
+          0% { transform: rotate(0deg); }
+          100% { transform: rotate(360deg); }
+        }
+
+        .page-header {
+          background: white;
+          padding: 30px;
+          border-radius: 12px;
+          box-shadow: 0 2px 10px rgba(0, 0, 0, 0.1);
+          margin-bottom: 20px;
+        }
+
+        .breadcrumb {
+          margin-bottom: 20px;
+        }
+
+        .breadcrumb-link {
+          background: none;
+          border: none;
+          color: #007cba;
+          cursor: pointer;
+          font-size: 14px;
+          text-decoration: underline;
+          padding: 0;
+        }
+
+        .header-content h1 {
+          margin: 0 0 10px 0;
+          color: #333;
+          font-size: 2rem;
+        }
+
+        .header-content p {
+          margin: 0;
+          color: #666;
+          font-size: 1rem;
+        }
+
+        .message {
+          padding: 15px 20px;
+          border-radius: 6px;
+          margin-bottom: 20px;
+          display: flex;
+          justify-content: space-between;
+          align-items: center;
+        }
+
+        .message.error {
+          background: #fee;
+          color: #c33;
+          border: 1px solid #fcc;
+        }
+
+        .close-message {
+          background: none;
+          border: none;
+          color: inherit;
+          cursor: pointer;
+          font-size: 18px;
+          padding: 0;
+          margin-left: 10px;
+        }
+
+        .card {
+          background: white;
+          padding: 25px;
+          border-radius: 8px;
+          box-shadow: 0 2px 4px rgba(0, 0, 0, 0.1);
+          margin-bottom: 20px;
+        }
+
+        .card-hint {
+          margin: 12px 0 0 0;
+          color: #666;
+          font-size: 0.9rem;
+        }
+
+        .controls {
+          display: flex;
+          align-items: flex-end;
+          flex-wrap: wrap;
+          gap: 15px;
+        }
+
+        .form-group {
+          display: flex;
+          flex-direction: column;
+        }
+
+        .form-group label {
+          margin-bottom: 6px;
+          font-weight: 500;
+          color: #333;
+          font-size: 0.9rem;
+        }
+
+        .form-group input {
+          padding: 10px 12px;
+          border: 1px solid #ddd;
+          border-radius: 6px;
+          font-size: 0.9rem;
+        }
+
+        .btn-primary {
+          padding: 10px 20px;
+          border-radius: 6px;
+          font-size: 14px;
+          font-weight: 500;
+          cursor: pointer;
+          background: #007cba;
+          color: white;
+          border: none;
+        }
+
+        .btn-primary:hover:not(:disabled) {
+          background: #005a87;
+        }
+
+        .btn-primary:disabled {
+          opacity: 0.6;
+          cursor: not-allowed;
+        }
+
+        .type-filters {
+          display: flex;
+          flex-wrap: wrap;
+          gap: 8px;
+          margin-top: 20px;
+        }
+
+        .type-chip {
+          padding: 6px 12px;
+          border: 1px solid #ddd;
+          border-radius: 16px;
+          background: #f8f9fa;
+          color: #333;
+          font-size: 0.85rem;
+          cursor: pointer;
+        }
+
+        .type-chip.active {
+          background: #007cba;
+          border-color: #007cba;
+          color: white;
+        }
+
+        .loading-section {
+          padding: 40px;
+          text-align: center;
+          color: #666;
+        }
+
+        .loading-section .spinner {
+          margin: 0 auto 20px;
+        }
+
+        .empty {
+          color: #666;
+        }
+
+        .flag {
+          border-left: 4px solid #ffc107;
+        }
+
+        .flag.consecutive_absence,
+        .flag.crew_drop {
+          border-left-color: #dc3545;
+        }
+
+        .flag-header {
+          display: flex;
+          justify-content: space-between;
+          align-items: flex-start;
+          gap: 15px;
+          margin-bottom: 10px;
+        }
+
+        .flag-type {
+          color: #666;
+          font-size: 0.8rem;
+          font-weight: 600;
+          text-transform: uppercase;
+        }
+
+        .flag h3 {
+          margin: 4px 0;
+          color: #333;
+          font-size: 1.1rem;
+        }
+
+        .flag-description {
+          margin: 0;
+          color: #555;
+          font-size: 0.9rem;
+        }
+
+        .flag-dates {
+          color: #666;
+          font-size: 0.85rem;
+          white-space: nowrap;
+        }
+
+        .btn-link {
+          background: none;
+          border: none;
+          color: #007cba;
+          cursor: pointer;
+          font-size: 0.9rem;
+          padding: 0;
+        }
+
+        .record-table {
+          width: 100%;
+          border-collapse: collapse;
+          margin-top: 15px;
+        }
+
+        .record-table th,
+        .record-table td {
+          padding: 8px 10px;
+          text-align: left;
+          border-bottom: 1px solid #eee;
+          font-size: 0.85rem;
+        }
+
+        .record-table th {
+          background: #f8f9fa;
+          color: #333;
+          font-weight: 600;
+        }
+
+        .status-badge {
+          padding: 3px 8px;
+          border-radius: 12px;
+          color: white;
+          font-size: 0.8rem;
+          white-space: nowrap;
+        }
+
+        @media (max-width: 768px) {
+          .anomalies-page {
+            padding: 10px;
+          }
+
+          .flag-header {
+            flex-direction: column;
+          }
+
+          .record-table {
+            display: block;
+            overflow-x: auto;
+          }
+        }
+      `}</style>
+    </>
+  );
+}
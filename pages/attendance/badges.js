@@ -0,0 +1,417 @@
+import { useState, useEffect } from 'react';
+import { useRouter } from 'next/router';
+import Head from 'next/head';
+import { useAuth } from '../../contexts/AuthContext';
+import employeeService from '../../lib/services/employeeService';
+import badgeService from '../../lib/services/badgeService';
+
+export default function EmployeeBadges() {
+  const { user, loading: authLoading } = useAuth();
+  const router = useRouter();
+  const [employees, setEmployees] = useState([]);
+  const [selectedIds, setSelectedIds] = useState([]);
+  const [search, setSearch] = useState('');
+  const [loading, setLoading] = useState(true);
+  const [generating, setGenerating] = useState(false);
+  const [error, setError] = useState('');
+  const [success, setSuccess] = useState('');
+
+  // Redirect if not authenticated
+  useEffect(() => {
+    if (!authLoading && !user) {
+      router.push('/auth/login');
+    }
+  }, [user, authLoading, router]);
+
+  // Load employees
+  useEffect(() => {
+    if (user) {
+      loadEmployees();
+    }
+  }, [user]); // eslint-disable-line react-hooks/exhaustive-deps
+
+  const loadEmployees = async () => {
+    setLoading(true);
+    setError('');
+
+    try {
+      const employeesData = await employeeService.getAllEmployees();
+      setEmployees(employeesData);
+    } catch (err) {
+      console.error('Error loading employees:', err);
+      setError('Failed to load employees. Please try again.');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const filteredEmployees = employees.filter(employee =>
+    !search || employee.name.toLowerCase().includes(search.toLowerCase())
+  );
+
+  const allFilteredSelected = filteredEmployees.length > 0 &&
+    filteredEmployees.every(employee => selectedIds.includes(employee.id));
+
+  const toggleEmployee = (employeeId) => {
+    setSelectedIds(prev =>
+      prev.includes(employeeId) ? prev.filter(id => id !== employeeId) : [...prev, employeeId]
+    );
+  };
+
+  const toggleAll = () => {
+    const filteredIds = filteredEmployees.map(employee => employee.id);
+    setSelectedIds(prev =>
+      allFilteredSelected ?
+        prev.filter(id => !filteredIds.includes(id)) :
+        [...new Set([...prev, ...filteredIds])]
+    );
+  };
+
+  const handleDownload = async () => {
+    setError('');
+    setSuccess('');
+    setGenerating(true);
+
+    try {
+      const selected = employees.filter(employee => selectedIds.includes(employee.id));
+      const count = await badgeService.downloadBadges(selected);
+      setSuccess(`Downloaded ${count} badge${count === 1 ? '' : 's'}. Print at 100% scale on A4 and cut along the dashed lines.`);
+    } catch (err) {
+      setError(err.message || 'Failed to generate badges. Please try again.');
+    } finally {
+      setGenerating(false);
+    }
+  };
+
+  if (authLoading) {
+    return (
+      <div className="loading-container">
+        <div className="spinner"></div>
+        <p>Loading...</p>
+      </div>
+    );
+  }
+
+  if (!user) {
+    return null; // Will redirect
+  }
+
+  return (
+    <>
+      <Head>
+        <title>QR Badges - Employee Management</title>
+        <meta name="description" content="Print QR badges for the attendance kiosk" />
+      </Head>
+
+      <div className="badges-page">
+        {/* Header */}
+        <div className="page-header">
+          <div className="breadcrumb">
+            <button onClick={() => router.push('/attendance')} className="breadcrumb-link">
+              ← Attendance Dashboard
+            </button>
+          </div>
+
+          <div className="header-content">
+            <h1>QR Badges</h1>
+            <p>Print badges that workers scan at the site kiosk to check in and out</p>
+          </div>
+        </div>
+
+        {/* Messages */}
+        {error && (
+          <div className="message error">
+            <strong>Error:</strong> {error}
+            <button onClick={() => setError('')} className="close-message">×</button>
+          </div>
+        )}
+
+        {success && (
+          <div className="message success">
+            <strong>Success:</strong> {success}
+            <button onClick={() => setSuccess('')} className="close-message">×</button>
+          </div>
+        )}
+
+        <div className="badges-card">
+          {loading ? (
+            <div className="loading-section">
+              <div className="spinner"></div>
+              <p>Loading employees...</p>
+            </div>
+          ) : employees.length === 0 ? (
+            <p className="empty">Add employees before printing badges.</p>
+          ) : (
+            <>
+              <div className="toolbar">
+                <input
+                  type="text"
+                  value={search}
+                  onChange={(e) => setSearch(e.target.value)}
+                  placeholder="Search employees..."
+                  className="search-input"
+                />
+                <label className="select-all">
+                  <input type="checkbox" checked={allFilteredSelected} onChange={toggleAll} />
+                  Select All
+                </label>
+              </div>
+
+              <div className="employee-list">
+                {filteredEmployees.map(employee => (
+                  <label key={employee.id} className="employee-item">
+                    <input
+                      type="checkbox"
+                      checked={selectedIds.includes(employee.id)}
+                      onChange={() => toggleEmployee(employee.id)}
+                    />
+                    <span className="employee-name">{employee.name}</span>
+                    {employee.designation && <span className="employee-meta">{employee.designation}</span>}
+                  </label>
+                ))}
+              </div>
+
+              <div className="footer">
+                <span className="selected-count">{selectedIds.length} selected · 10 badges per A4 page</span>
+                <div className="footer-actions">
+                  <button onClick={() => router.push('/attendance/kiosk')} className="btn-secondary">
+                    📷 Open Kiosk
+                  </button>
+                  <button
+                    onClick={handleDownload}
+                    className="btn-primary"
+                    disabled={generating || selectedIds.length === 0}
+                  >
+                    {generating ? 'Generating...' : '⬇ Download Badges PDF'}
+                  </button>
+                </div>
+              </div>
+            </>
+          )}
+        </div>
+      </div>
+
+      <style jsx>{`
+        .badges-page {
+          max-width: 1000px;
+          margin: 0 auto;
+          padding: 20px;
+          min-height: 100vh;
+          background: #f5f5f5;
+        }
+
+        .loading-container {
+          display: flex;
+          flex-direction: column;
+          align-items: center;
+          justify-content: center;
+          min-height: 100vh;
+          gap: 20px;
+        }
+
+        .spinner {
+          border: 4px solid #f3f3f3;
+          border-top: 4px solid #007cba;
+          border-radius: 50%;
+          width: 40px;
+          height: 40px;
+          animation: spin 1s linear infinite;
+        }
+
+        @keyframes spin {
+          0% { transform: rotate(0deg); }
+          100% { transform: rotate(360deg); }
+        }
+
+        .page-header {
+          background: white;
+          padding: 30px;
+          border-radius: 12px;
+          box-shadow: 0 2px 10px rgba(0, 0, 0, 0.1);
+          margin-bottom: 20px;
+        }
+
+        .breadcrumb {
+          margin-bottom: 20px;
+        }
+
+        .breadcrumb-link {
+          background: none;
+          border: none;
+          color: #007cba;
+          cursor: pointer;
+          font-size: 14px;
+          text-decoration: underline;
+          padding: 0;
+        }
+
+        .header-content h1 {
+          margin: 0 0 10px 0;
+          color: #333;
+          font-size: 2rem;
+        }
+
+        .header-content p {
+          margin: 0;
+          color: #666;
+        }
+
+        .message {
+          padding: 15px 20px;
+          border-radius: 6px;
+          margin-bottom: 20px;
+          display: flex;
+          justify-content: space-between;
+          align-items: center;
+        }
+
+        .message.error {
+          background: #fee;
+          color: #c33;
+          border: 1px solid #fcc;
+        }
+
+        .message.success {
+          background: #dfd;
+          color: #363;
+          border: 1px solid #beb;
+        }
+
+        .close-message {
+          background: none;
+          border: none;
+          color: inherit;
+          cursor: pointer;
+          font-size: 18px;
+          padding: 0;
+          margin-left: 10px;
+        }
+
+        .badges-card {
+          background: white;
+          padding: 25px;
+          border-radius: 8px;
+          box-shadow: 0 2px 4px rgba(0, 0, 0, 0.1);
+        }
+
+        .loading-section {
+          text-align: center;
+          padding: 40px;
+        }
+
+        .loading-section .spinner {
+          margin: 0 auto 20px;
+        }
+
+        .empty {
+          color: #666;
+          margin: 0;
+        }
+
+        .toolbar {
+          display: flex;
+          justify-content: space-between;
+          align-items: center;
+          gap: 15px;
+          margin-bottom: 15px;
+        }
+
+        .search-input {
+          flex: 1;
+          max-width: 320px;
+          padding: 10px 12px;
+          border: 1px solid #ddd;
+          border-radius: 6px;
+          font-size: 14px;
+        }
+
+        .select-all {
+          display: flex;
+          align-items: center;
+          gap: 8px;
+          font-weight: 500;
+          cursor: pointer;
+        }
+
+        .employee-list {
+          display: grid;
+          grid-template-columns: repeat(auto-fill, minmax(260px, 1fr));
+          gap: 8px;
+          max-height: 480px;
+          overflow-y: auto;
+          margin-bottom: 20px;
+        }
+
+        .employee-item {
+          display: flex;
+          align-items: center;
+          gap: 10px;
+          padding: 10px 12px;
+          border: 1px solid #eee;
+          border-radius: 6px;
+          cursor: pointer;
+        }
+
+        .employee-item:hover {
+          background: #f8f9fa;
+        }
+
+        .employee-name {
+          font-weight: 500;
+          color: #333;
+        }
+
+        .employee-meta {
+          color: #888;
+          font-size: 0.85rem;
+          margin-left: auto;
+        }
+
+        .footer {
+          display: flex;
+          justify-content: space-between;
+          align-items: center;
+          gap: 15px;
+          flex-wrap: wrap;
+          border-top: 1px solid #eee;
+          padding-top: 15px;
+        }
+
+        .selected-count {
+          color: #666;
+          font-size: 0.9rem;
+        }
+
+        .footer-actions {
+          display: flex;
+          gap: 10px;
+        }
+
+        .btn-primary,
+        .btn-secondary {
+          padding: 12px 24px;
+          border: none;
+          border-radius: 6px;
+          font-size: 14px;
+          font-weight: 500;
+          cursor: pointer;
+        }
+
+        .btn-primary {
+          background: #007cba;
+          color: white;
+        }
+
+        .btn-primary:disabled {
+          opacity: 0.6;
+          cursor: not-allowed;
+        }
+
+        .btn-secondary {
+          background: #6c757d;
+          color: white;
+        }
+      `}</style>
+    </>
+  );
+}
@@ -134,11 +134,12 @@ export default function BulkAttendance() {
         <div className="instructions">
           <h2>How to use Bulk Attendance Marking:</h2>
           <ol>
-            <li>Select the date for attendance marking</li>
+            <li>Select the date for attendance marking (on a holiday or weekly off everyone starts as Holiday/Week Off)</li>
             <li>Choose employees by checking the boxes next to their names</li>
             <li>Use "Select All" to quickly select all employees</li>
             <li>Set a bulk status (Present/Absent/Half Day) and apply to selected employees</li>
-            <li>Adjust individual employee status as needed</li>
+            <li>Optionally set default check-in/check-out times; they are applied along with the bulk status</li>
+            <li>Adjust individual employee status and times as needed</li>
             <li>Add optional notes if required</li>
             <li>Click "Mark Attendance" to save</li>
           </ol>
@@ -0,0 +1,302 @@
+import { useState, useEffect } from 'react';
+import { useRouter } from 'next/router';
+import Head from 'next/head';
+import { useAuth } from '../../contexts/AuthContext';
+import { useAdmin } from '../../hooks/useAdmin';
+import employeeService from '../../lib/services/employeeService';
+import correctionService from '../../lib/services/correctionService';
+import CorrectionRequestForm from '../../components/attendance/CorrectionRequestForm';
+import CorrectionRequestList from '../../components/attendance/CorrectionRequestList';
+import { getStatusLabel } from '../../lib/models/Attendance';
+
+export default function AttendanceCorrections() {
+  const { user, loading: authLoading } = useAuth();
+  const { isAdmin } = useAdmin();
+  const router = useRouter();
+  const [employees, setEmployees] = useState([]);
+  const [requests, setRequests] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [busyId, setBusyId] = useState(null);
+  const [error, setError] = useState('');
+  const [success, setSuccess] = useState('');
+
+  // Redirect if not authenticated
+  useEffect(() => {
+    if (!authLoading && !user) {
+      router.push('/auth/login');
+    }
+  }, [user, authLoading, router]);
+
+  // Load initial data
+  useEffect(() => {
+    if (user) {
+      loadData();
+    }
+  }, [user]); // eslint-disable-line react-hooks/exhaustive-deps
+
+  const loadData = async () => {
+    setLoading(true);
+    setError('');
+
+    try {
+      const [employeesData, requestsData] = await Promise.all([
+        employeeService.getAllEmployees(),
+        correctionService.getCorrectionRequests()
+      ]);
+      setEmployees(employeesData);
+      setRequests(requestsData);
+    } catch (err) {
+      console.error('Error loading correction requests:', err);
+      setError('Failed to load correction requests. Please try again.');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const handleCreateRequest = async (requestData) => {
+    setError('');
+    setSuccess('');
+
+    const request = await correctionService.createCorrectionRequest(requestData, user?.email || '');
+    setSuccess(`Correction for ${request.employee_name} on ${request.date} sent for approval.`);
+    await loadData();
+  };
+
+  const handleApprove = async (request) => {
+    const note = window.prompt(
+      `Change ${request.employee_name}'s attendance on ${request.date} from ` +
+      `${getStatusLabel(request.original_status)} to ${getStatusLabel(request.proposed_status)}? Optional note:`,
+      ''
+    );
+    if (note === null) return;
+
+    setError('');
+    setSuccess('');
+    setBusyId(request.id);
+    try {
+      await correctionService.approveCorrectionRequest(request.id, user?.email || '', note);
+      setSuccess(`Approved the correction for ${request.employee_name}. The attendance record has been updated.`);
+      await loadData();
+    } catch (err) {
+      console.error('Error approving correction:', err);
+      setError(err.message || 'Failed to approve correction.');
+    } finally {
+      setBusyId(null);
+    }
+  };
+
+  const handleReject = async (request) => {
+    const note = window.prompt(`Reason for rejecting the correction for ${request.employee_name}:`, '');
+    if (note === null) return;
+
+    setError('');
+    setSuccess('');
+    setBusyId(request.id);
+    try {
+      await correctionService.rejectCorrectionRequest(request.id, user?.email || '', note);
+      setSuccess(`Rejected the correction for ${request.employee_name}.`);
+      await loadData();
+    } catch (err) {
+      console.error('Error rejecting correction:', err);
+      setError(err.message || 'Failed to reject correction.');
+    } finally {
+      setBusyId(null);
+    }
+  };
+
+  const handleCancel = async (request) => {
+    if (!window.confirm(`Withdraw the correction for ${request.employee_name} on ${request.date}?`)) return;
+
+    setError('');
+    setSuccess('');
+    setBusyId(request.id);
+    try {
+      await correctionService.cancelCorrectionRequest(request.id, user?.email || '');
+      setSuccess(`Withdrew the correction for ${request.employee_name}.`);
+      await loadData();
+    } catch (err) {
+      console.error('Error withdrawing correction:', err);
+      setError(err.message || 'Failed to withdraw correction request.');
+    } finally {
+      setBusyId(null);
+    }
+  };
+
+  if (authLoading || loading) {
+    return (
+      <div className="loading-container">
+        <div className="spinner"></div>
+        <p>Loading attendance corrections...</p>
+      </div>
+    );
+  }
+
+  if (!user) {
+    return null; // Will redirect
+  }
+
+  // Opened from a record in the attendance list
+  const initialData = router.query.employee && router.query.date ?
+    { employee_id: router.query.employee, date: router.query.date } :
+    null;
+
+  return (
+    <>
+      <Head>
+        <title>Attendance Corrections - Employee Management</title>
+        <meta name="description" content="Attendance correction requests and approvals" />
+      </Head>
+
+      <div className="corrections-page">
+        {/* Header */}
+        <div className="page-header">
+          <div className="breadcrumb">
+            <button onClick={() => router.push('/attendance')} className="breadcrumb-link">
+              ← Attendance Dashboard
+            </button>
+          </div>
+
+          <div className="header-content">
+            <h1>Attendance Corrections</h1>
+            <p>Propose changes to attendance already marked; an admin reviews each one before it is applied</p>
+          </div>
+        </div>
+
+        {/* Messages */}
+        {error && (
+          <div className="message error">
+            <strong>Error:</strong> {error}
+            <button onClick={() => setError('')} className="close-message">×</button>
+          </div>
+        )}
+
+        {success && (
+          <div className="message success">
+            <strong>Success:</strong> {success}
+            <button onClick={() => setSuccess('')} className="close-message">×</button>
+          </div>
+        )}
+
+        <CorrectionRequestForm
+          key={initialData ? `${initialData.employee_id}_${initialData.date}` : 'new'}
+          employees={employees}
+          initialData={initialData}
+          onSubmit={handleCreateRequest}
+        />
+
+        <CorrectionRequestList
+          requests={requests}
+          isAdmin={isAdmin}
+          busyId={busyId}
+          onApprove={handleApprove}
+          onReject={handleReject}
+          onCancel={handleCancel}
+        />
+      </div>
+
+      <style jsx>{`
+        .corrections-page {
+          max-width: 1100px;
+          margin: 0 auto;
+          padding: 20px;
+          min-height: 100vh;
+          background: #f5f5f5;
+        }
+
+        .loading-container {
+          display: flex;
+          flex-direction: column;
+          align-items: center;
+          justify-content: center;
+          min-height: 100vh;
+          gap: 20px;
+        }
+
+        .spinner {
+          border: 4px solid #f3f3f3;
+          border-top: 4px solid #007cba;
+          border-radius: 50%;
+          width: 40px;
+          height: 40px;
+          animation: spin 1s linear infinite;
+        }
+
+        @keyframes spin {
+          0% { transform: rotate(0deg); }
+          100% { transform: rotate(360deg); }
+        }
+
+        .page-header {
+          background: white;
+          padding: 30px;
+          border-radius: 12px;
+          box-shadow: 0 2px 10px rgba(0, 0, 0, 0.1);
+          margin-bottom: 20px;
+        }
+
+        .breadcrumb {
+          margin-bottom: 20px;
+        }
+
+        .breadcrumb-link {
+          background: none;
+          border: none;
+          color: #007cba;
+          cursor: pointer;
+          font-size: 14px;
+          text-decoration: underline;
+          padding: 0;
+        }
+
+        .header-content h1 {
+          margin: 0 0 10px 0;
+          color: #333;
+          font-size: 2rem;
+        }
+
+        .header-content p {
+          margin: 0;
+          color: #666;
+          font-size: 1rem;
+        }
+
+        .message {
+          padding: 15px 20px;
+          border-radius: 6px;
+          margin-bottom: 20px;
+          display: flex;
+          justify-content: space-between;
+          align-items: center;
+        }
+
+        .message.error {
+          background: #fee;
+          color: #c33;
+          border: 1px solid #fcc;
+        }
+
+        .message.success {
+          background: #dfd;
+          color: #363;
+          border: 1px solid #beb;
+        }
+
+        .close-message {
+          background: none;
+          border: none;
+          color: inherit;
+          cursor: pointer;
+          font-size: 18px;
+          padding: 0;
+          margin-left: 10px;
+        }
+
+        @media (max-width: 768px) {
+          .corrections-page {
+            padding: 10px;
+          }
+        }
+      `}</style>
+    </>
+  );
+}
@@ -0,0 +1,699 @@
+import { useState, useEffect } from 'react';
+import { useRouter } from 'next/router';
+import Head from 'next/head';
+import { useAuth } from '../../contexts/AuthContext';
+import { useAdmin } from '../../hooks/useAdmin';
+import holidayService from '../../lib/services/holidayService';
+import settingsService from '../../lib/services/settingsService';
+import {
+  HolidayTypes,
+  validateHoliday,
+  createEmptyHoliday,
+  getHolidayTypeLabel,
+  getDayOfWeek
+} from '../../lib/models/Holiday';
+import { WEEK_DAYS } from '../../lib/models/Settings';
+
+export default function HolidayCalendar() {
+  const { user, loading: authLoading } = useAuth();
+  const { isAdmin, loading: adminLoading } = useAdmin();
+  const router = useRouter();
+  const [year, setYear] = useState(new Date().getFullYear());
+  const [holidays, setHolidays] = useState([]);
+  const [weeklyOffs, setWeeklyOffs] = useState([]);
+  const [formData, setFormData] = useState(createEmptyHoliday());
+  const [editingId, setEditingId] = useState(null);
+  const [errors, setErrors] = useState({});
+  const [loading, setLoading] = useState(true);
+  const [saving, setSaving] = useState(false);
+  const [error, setError] = useState('');
+  const [success, setSuccess] = useState('');
+
+  // Redirect if not authenticated
+  useEffect(() => {
+    if (!authLoading && !user) {
+      router.push('/auth/login');
+    }
+  }, [user, authLoading, router]);
+
+  // Load holidays for the selected year and the weekly offs
+  useEffect(() => {
+    if (user) {
+      loadData();
+    }
+  }, [user, year]); // eslint-disable-line react-hooks/exhaustive-deps
+
+  const loadData = async () => {
+    setLoading(true);
+    setError('');
+
+    try {
+      const [holidaysData, settings] = await Promise.all([
+        holidayService.getHolidays({ startDate: `${year}-01-01`, endDate: `${year}-12-31` }),
+        settingsService.getSettings()
+      ]);
+      setHolidays(holidaysData);
+      setWeeklyOffs(settings.weekly_offs);
+    } catch (err) {
+      console.error('Error loading holiday calendar:', err);
+      setError('Failed to load the holiday calendar. Please try again.');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const handleWeeklyOffToggle = (day) => {
+    setWeeklyOffs(prev => (
+      prev.includes(day) ? prev.filter(d => d !== day) : [...prev, day]
+    ));
+  };
+
+  const handleSaveWeeklyOffs = async () => {
+    setError('');
+    setSuccess('');
+    setSaving(true);
+
+    try {
+      const settings = await settingsService.updateSettings({ weekly_offs: weeklyOffs }, user?.email || '');
+      setWeeklyOffs(settings.weekly_offs);
+      setSuccess('Weekly offs saved.');
+    } catch (err) {
+      console.error('Error saving weekly offs:', err);
+      setError(err.message || 'Failed to save weekly offs.');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleInputChange = (e) => {
+    const { name, value } = e.target;
+    setFormData(prev => ({
+      ...prev,
+      [name]: value
+    }));
+
+    if (errors[name]) {
+      setErrors(prev => ({ ...prev, [name]: '' }));
+    }
+  };
+
+  const resetForm = () => {
+    setFormData(createEmptyHoliday());
+    setEditingId(null);
+    setErrors({});
+  };
+
+  const handleEdit = (holiday) => {
+    setFormData({
+      date: holiday.date,
+      name: holiday.name,
+      type: holiday.type,
+      notes: holiday.notes || ''
+    });
+    setEditingId(holiday.id);
+    setErrors({});
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setError('');
+    setSuccess('');
+
+    const validation = validateHoliday(formData);
+    if (!validation.isValid) {
+      setErrors(validation.errors);
+      return;
+    }
+
+    setSaving(true);
+    try {
+      if (editingId) {
+        await holidayService.updateHoliday(editingId, formData, user?.email || '');
+        setSuccess(`Updated ${formData.name}.`);
+      } else {
+        await holidayService.addHoliday(formData, user?.email || '');
+        setSuccess(`Added ${formData.name} on ${formData.date}.`);
+      }
+      resetForm();
+      await loadData();
+    } catch (err) {
+      console.error('Error saving holiday:', err);
+      setError(err.message || 'Failed to save holiday.');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleDelete = async (holiday) => {
+    if (!window.confirm(`Delete ${holiday.name} (${holiday.date})?`)) {
+      return;
+    }
+
+    setError('');
+    setSuccess('');
+
+    try {
+      await holidayService.deleteHoliday(holiday.id, user?.email || '');
+      if (editingId === holiday.id) {
+        resetForm();
+      }
+      setSuccess(`Deleted ${holiday.name}.`);
+      await loadData();
+    } catch (err) {
+      console.error('Error deleting holiday:', err);
+      setError(err.message || 'Failed to delete holiday.');
+    }
+  };
+
+  if (authLoading) {
+    return (
+      <div className="loading-container">
+        <div className="spinner"></div>
+        <p>Loading...</p>
+      </div>
+    );
+  }
+
+  if (!user) {
+    return null; // Will redirect
+  }
+
+  const canEdit = isAdmin && !adminLoading;
+
+  return (
+    <>
+      <Head>
+        <title>Holiday Calendar - Employee Management</title>
+        <meta name="description" content="Manage holidays and weekly off days" />
+      </Head>
+
+      <div className="holidays-page">
+        {/* Header */}
+        <div className="page-header">
+          <div className="breadcrumb">
+            <button onClick={() => router.push('/attendance')} className="breadcrumb-link">
+              ← Attendance Dashboard
+            </button>
+          </div>
+
+          <div className="header-content">
+            <h1>Holiday Calendar</h1>
+            <p>Holidays and weekly offs are skipped by missing-attendance checks, pre-filled in bulk marking and paid by the pay factors in payroll settings</p>
+          </div>
+        </div>
+
+        {/* Messages */}
+        {error && (
+          <div className="message error">
+            <strong>Error:</strong> {error}
+            <button onClick={() => setError('')} className="close-message">×</button>
+          </div>
+        )}
+
+        {success && (
+          <div className="message success">
+            <strong>Success:</strong> {success}
+            <button onClick={() => setSuccess('')} className="close-message">×</button>
+          </div>
+        )}
+
+        {!adminLoading && !isAdmin && (
+          <div className="message info">
+            Only admins can change the holiday calendar.
+          </div>
+        )}
+
+        {/* Weekly Offs */}
+        <div className="card">
+          <h2>Weekly Offs</h2>
+          <div className="week-days">
+            {WEEK_DAYS.map(day => (
+              <label key={day.value} className="week-day">
+                <input
+                  type="checkbox"
+                  checked={weeklyOffs.includes(day.value)}
+                  onChange={() => handleWeeklyOffToggle(day.value)}
+                  disabled={!canEdit || saving}
+                />
+                {day.label}
+              </label>
+            ))}
+          </div>
+          {canEdit && (
+            <button onClick={handleSaveWeeklyOffs} className="btn-primary" disabled={saving}>
+              {saving ? 'Saving...' : 'Save Weekly Offs'}
+            </button>
+          )}
+        </div>
+
+        {/* Add / Edit Holiday */}
+        {canEdit && (
+          <form onSubmit={handleSubmit} className="card holiday-form">
+            <h2>{editingId ? 'Edit Holiday' : 'Add Holiday'}</h2>
+            <div className="form-grid">
+              <div className="form-group">
+                <label htmlFor="date">Date *</label>
+                <input
+                  type="date"
+                  id="date"
+                  name="date"
+                  value={formData.date}
+                  onChange={handleInputChange}
+                  className={errors.date ? 'error' : ''}
+                  required
+                />
+                {errors.date && <div className="error-message">{errors.date}</div>}
+              </div>
+
+              <div className="form-group">
+                <label htmlFor="name">Name *</label>
+                <input
+                  type="text"
+                  id="name"
+                  name="name"
+                  value={formData.name}
+                  onChange={handleInputChange}
+                  className={errors.name ? 'error' : ''}
+                  placeholder="e.g. Diwali"
+                  required
+                />
+                {errors.name && <div className="error-message">{errors.name}</div>}
+              </div>
+
+              <div className="form-group">
+                <label htmlFor="type">Type *</label>
+                <select
+                  id="type"
+                  name="type"
+                  value={formData.type}
+                  onChange={handleInputChange}
+                  className={errors.type ? 'error' : ''}
+                >
+                  {Object.values(HolidayTypes).map(type => (
+                    <option key={type} value={type}>{getHolidayTypeLabel(type)}</option>
+                  ))}
+                </select>
+                {errors.type && <div className="error-message">{errors.type}</div>}
+              </div>
+
+              <div className="form-group">
+                <label htmlFor="notes">Notes</label>
+                <input
+                  type="text"
+                  id="notes"
+                  name="notes"
+                  value={formData.notes}
+                  onChange={handleInputChange}
+                  className={errors.notes ? 'error' : ''}
+                  placeholder="Optional"
+                />
+                {errors.notes && <div className="error-message">{errors.notes}</div>}
+              </div>
+            </div>
+
+            <div className="form-actions">
+              {editingId && (
+                <button type="button" onClick={resetForm} className="btn-secondary" disabled={saving}>
+                  Cancel
+                </button>
+              )}
+              <button type="submit" className="btn-primary" disabled={saving}>
+                {saving ? 'Saving...' : editingId ? 'Update Holiday' : 'Add Holiday'}
+              </button>
+            </div>
+          </form>
+        )}
+
+        {/* Holiday List */}
+        <div className="card">
+          <div className="list-header">
+            <h2>Holidays in {year}</h2>
+            <div className="year-nav">
+              <button onClick={() => setYear(year - 1)} className="btn-secondary">← {year - 1}</button>
+              <button onClick={() => setYear(year + 1)} className="btn-secondary">{year + 1} →</button>
+            </div>
+          </div>
+
+          {loading ? (
+            <div className="loading-section">
+              <div className="spinner"></div>
+              <p>Loading holidays...</p>
+            </div>
+          ) : holidays.length === 0 ? (
+            <p className="empty">No holidays added for {year}.</p>
+          ) : (
+            <table className="holiday-table">
+              <thead>
+                <tr>
+                  <th>Date</th>
+                  <th>Day</th>
+                  <th>Name</th>
+                  <th>Type</th>
+                  <th>Notes</th>
+                  {canEdit && <th>Actions</th>}
+                </tr>
+              </thead>
+              <tbody>
+                {holidays.map(holiday => (
+                  <tr key={holiday.id}>
+                    <td>{holiday.date}</td>
+                    <td>{WEEK_DAYS[getDayOfWeek(holiday.date)].label}</td>
+                    <td>{holiday.name}</td>
+                    <td>
+                      <span className={`type-badge ${holiday.type}`}>{getHolidayTypeLabel(holiday.type)}</span>
+                    </td>
+                    <td>{holiday.notes || '-'}</td>
+                    {canEdit && (
+                      <td className="actions">
+                        <button onClick={() => handleEdit(holiday)} className="btn-link">Edit</button>
+                        <button onClick={() => handleDelete(holiday)} className="btn-link danger">Delete</button>
+                      </td>
+                    )}
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          )}
+        </div>
+      </div>
+
+      <style jsx>{`
+        .holidays-page {
+          max-width: 1000px;
+          margin: 0 auto;
+          padding: 20px;
+          min-height: 100vh;
+          background: #f5f5f5;
+        }
+
+        .loading-container {
+          display: flex;
+          flex-direction: column;
+          align-items: center;
+          justify-content: center;
+          min-height: 100vh;
+          gap: 20px;
+        }
+
+        .spinner {
+          border: 4px solid #f3f3f3;
+          border-top: 4px solid #007cba;
+          border-radius: 50%;
+          width: 40px;
+          height: 40px;
+          animation: spin 1s linear infinite;
+        }
+
+        @keyframes spin {
+          0% { transform: rotate(0deg); }
+          100% { transform: rotate(360deg); }
+        }
+
+        .page-header {
+          background: white;
+          padding: 30px;
+          border-radius: 12px;
+          box-shadow: 0 2px 10px rgba(0, 0, 0, 0.1);
+          margin-bottom: 20px;
+        }
+
+        .breadcrumb {
+          margin-bottom: 20px;
+        }
+
+        .breadcrumb-link {
+          background: none;
+          border: none;
+          color: #007cba;
+          cursor: pointer;
+          font-size: 14px;
+          text-decoration: underline;
+          padding: 0;
+        }
+
+        .header-content h1 {
+          margin: 0 0 10px 0;
+          color: #333;
+          font-size: 2rem;
+        }
+
+        .header-content p {
+          margin: 0;
+          color: #666;
+          font-size: 1rem;
+        }
+
+        .message {
+          padding: 15px 20px;
+          border-radius: 6px;
+          margin-bottom: 20px;
+          display: flex;
+          justify-content: space-between;
+          align-items: center;
+        }
+
+        .message.error {
+          background: #fee;
+          color: #c33;
+          border: 1px solid #fcc;
+        }
+
+        .message.success {
+          background: #dfd;
+          color: #363;
+          border: 1px solid #beb;
+        }
+
+        .message.info {
+          background: #eef6fc;
+          color: #1e5a87;
+          border: 1px solid #bcdff5;
+        }
+
+        .close-message {
+          background: none;
+          border: none;
+          color: inherit;
+          cursor: pointer;
+          font-size: 18px;
+          padding: 0;
+          margin-left: 10px;
+        }
+
+        .card {
+          background: white;
+          padding: 25px;
+          border-radius: 8px;
+          box-shadow: 0 2px 4px rgba(0, 0, 0, 0.1);
+          margin-bottom: 20px;
+        }
+
+        .card h2 {
+          margin: 0 0 15px 0;
+          color: #333;
+          font-size: 1.2rem;
+        }
+
+        .week-days {
+          display: flex;
+          flex-wrap: wrap;
+          gap: 15px;
+          margin-bottom: 15px;
+        }
+
+        .week-day {
+          display: flex;
+          align-items: center;
+          gap: 6px;
+          color: #333;
+          font-size: 0.95rem;
+          cursor: pointer;
+        }
+
+        .form-grid {
+          display: grid;
+          grid-template-columns: repeat(auto-fit, minmax(200px, 1fr));
+          gap: 15px;
+        }
+
+        .form-group {
+          display: flex;
+          flex-direction: column;
+        }
+
+        .form-group label {
+          margin-bottom: 6px;
+          font-weight: 500;
+          color: #333;
+          font-size: 0.9rem;
+        }
+
+        .form-group input,
+        .form-group select {
+          padding: 10px 12px;
+          border: 1px solid #ddd;
+          border-radius: 6px;
+          font-size: 0.9rem;
+        }
+
+        .form-group input.error,
+        .form-group select.error {
+          border-color: #c33;
+        }
+
+        .error-message {
+          color: #c33;
+          font-size: 0.8rem;
+          margin-top: 4px;
+        }
+
+        .form-actions {
+          display: flex;
+          justify-content: flex-end;
+          gap: 10px;
+          margin-top: 20px;
+        }
+
+        .btn-primary,
+        .btn-secondary {
+          padding: 10px 20px;
+          border-radius: 6px;
+          font-size: 14px;
+          font-weight: 500;
+          cursor: pointer;
+        }
+
+        .btn-primary {
+          background: #007cba;
+          color: white;
+          border: none;
+        }
+
+        .btn-primary:hover:not(:disabled) {
+          background: #005a87;
+        }
+
+        .btn-secondary {
+          background: #f8f9fa;
+          color: #333;
+          border: 1px solid #ddd;
+        }
+
+        .btn-secondary:hover:not(:disabled) {
+          background: #e9ecef;
+        }
+
+        .btn-primary:disabled,
+        .btn-secondary:disabled {
+          opacity: 0.6;
+          cursor: not-allowed;
+        }
+
+        .list-header {
+          display: flex;
+          justify-content: space-between;
+          align-items: center;
+          margin-bottom: 15px;
+        }
+
+        .list-header h2 {
+          margin: 0;
+        }
+
+        .year-nav {
+          display: flex;
+          gap: 8px;
+        }
+
+        .loading-section {
+          padding: 40px;
+          text-align: center;
+          color: #666;
+        }
+
+        .loading-section .spinner {
+          margin: 0 auto 20px;
+        }
+
+        .empty {
+          color: #666;
+          margin: 0;
+        }
+
+        .holiday-table {
+          width: 100%;
+          border-collapse: collapse;
+        }
+
+        .holiday-table th,
+        .holiday-table td {
+          padding: 10px 12px;
+          text-align: left;
+          border-bottom: 1px solid #eee;
+          font-size: 0.9rem;
+        }
+
+        .holiday-table th {
+          background: #f8f9fa;
+          color: #333;
+          font-weight: 600;
+        }
+
+        .type-badge {
+          padding: 3px 8px;
+          border-radius: 12px;
+          font-size: 0.8rem;
+          font-weight: 500;
+          background: #e2d9f3;
+          color: #6f42c1;
+        }
+
+        .type-badge.festival {
+          background: #fff3cd;
+          color: #856404;
+        }
+
+        .type-badge.site-shutdown {
+          background: #e2e3e5;
+          color: #383d41;
+        }
+
+        .actions {
+          white-space: nowrap;
+        }
+
+        .btn-link {
+          background: none;
+          border: none;
+          color: #007cba;
+          cursor: pointer;
+          font-size: 0.9rem;
+          padding: 0 8px 0 0;
+        }
+
+        .btn-link.danger {
+          color: #c33;
+        }
+
+        @media (max-width: 768px) {
+          .holidays-page {
+            padding: 10px;
+          }
+
+          .page-header {
+            padding: 20px;
+          }
+
+          .header-content h1 {
+            font-size: 1.5rem;
+          }
+
+          .holiday-table {
+            display: block;
+            overflow-x: auto;
+          }
+        }
+      `}</style>
+    </>
+  );
+}
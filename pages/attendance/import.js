@@ -0,0 +1,656 @@
+import { useState, useEffect, useMemo } from 'react';
+import { useRouter } from 'next/router';
+import Head from 'next/head';
+import { useAuth } from '../../contexts/AuthContext';
+import punchImportService from '../../lib/services/punchImportService';
+import { getLocalDateString, getStatusLabel, getStatusColor } from '../../lib/models/Attendance';
+import { normalizeDeviceUserId } from '../../lib/models/Employee';
+import {
+  PunchImportAction,
+  FULL_DAY_HOURS_SHARE,
+  buildPunchImportPreview,
+  countPunchImportActions,
+  getPunchImportActionLabel,
+  getPunchImportActionColor
+} from '../../lib/models/PunchLog';
+
+export default function PunchImport() {
+  const { user, loading: authLoading } = useAuth();
+  const router = useRouter();
+  const [logText, setLogText] = useState('');
+  const [fileName, setFileName] = useState('');
+  const [log, setLog] = useState(null);
+  const [mappings, setMappings] = useState({});
+  const [actionFilter, setActionFilter] = useState('all');
+  const [loading, setLoading] = useState(false);
+  const [importing, setImporting] = useState(false);
+  const [error, setError] = useState('');
+  const [success, setSuccess] = useState('');
+  const [importErrors, setImportErrors] = useState([]);
+
+  // Redirect if not authenticated
+  useEffect(() => {
+    if (!authLoading && !user) {
+      router.push('/auth/login');
+    }
+  }, [user, authLoading, router]);
+
+  const rows = useMemo(() => (
+    log ? buildPunchImportPreview(log.days, { ...log, today: getLocalDateString(), mappings }) : []
+  ), [log, mappings]);
+
+  const counts = countPunchImportActions(rows);
+  const visibleRows = actionFilter === 'all' ? rows : rows.filter(row => row.action === actionFilter);
+
+  // Device users in the log that no employee is linked to yet
+  const unlinkedUserIds = useMemo(() => {
+    if (!log) return [];
+    const linked = new Set(log.employees.map(employee => normalizeDeviceUserId(employee.device_user_id)).filter(Boolean));
+    return [...new Set(log.days.map(day => day.device_user_id))]
+      .filter(deviceUserId => !linked.has(deviceUserId))
+      .sort((a, b) => a.localeCompare(b, undefined, { numeric: true }));
+  }, [log]);
+
+  const handleFileChange = (e) => {
+    const file = e.target.files[0];
+    if (!file) return;
+
+    const reader = new FileReader();
+    reader.onload = () => {
+      setLogText(String(reader.result || ''));
+      setFileName(file.name);
+    };
+    reader.onerror = () => setError(`Could not read ${file.name}`);
+    reader.readAsText(file);
+  };
+
+  const loadPreview = async (text) => {
+    setError('');
+    setLoading(true);
+    try {
+      const loaded = await punchImportService.loadPunchLog(text);
+      if (loaded.punchCount === 0) {
+        setLog(null);
+        setError('No punches found in the log. Check that it has a user ID, date and time on each line.');
+        return;
+      }
+      setLog(loaded);
+    } catch (err) {
+      console.error('Error loading punch log:', err);
+      setError(err.message || 'Failed to read the punch log.');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const handlePreview = async () => {
+    setSuccess('');
+    setImportErrors([]);
+    setMappings({});
+    await loadPreview(logText);
+  };
+
+  const handleMappingChange = (deviceUserId, employeeId) => {
+    setMappings(prev => {
+      const updated = { ...prev };
+      if (employeeId) {
+        updated[deviceUserId] = employeeId;
+      } else {
+        delete updated[deviceUserId];
+      }
+      return updated;
+    });
+  };
+
+  const handleImport = async () => {
+    const toImport = counts[PunchImportAction.CREATE] + counts[PunchImportAction.UPDATE];
+    const linkCount = Object.keys(mappings).length;
+    if (!window.confirm(
+      `Import ${toImport} attendance records` +
+      (linkCount > 0 ? ` and link ${linkCount} device users to employees` : '') +
+      '? Days with conflicts are skipped.'
+    )) return;
+
+    setError('');
+    setSuccess('');
+    setImportErrors([]);
+    setImporting(true);
+    try {
+      const results = await punchImportService.importPunches(rows, user?.email || '', mappings);
+      let message = `Imported ${results.success} records (${results.created} new, ${results.updated} updated).`;
+      if (results.errors > 0) {
+        message += ` ${results.errors} could not be saved; see below.`;
+      }
+      setSuccess(message);
+      // Error indexes are positions among the rows that were imported
+      const importedRows = rows.filter(row => row.action === PunchImportAction.CREATE || row.action === PunchImportAction.UPDATE);
+      setImportErrors(results.errorRecords.map(record => {
+        const row = importedRows[record.index];
+        return row ? `${row.employee_name} on ${row.date}: ${record.error}` : record.error;
+      }));
+      setMappings({});
+      await loadPreview(logText);
+    } catch (err) {
+      console.error('Error importing punches:', err);
+      setError(err.message || 'Failed to import punches.');
+    } finally {
+      setImporting(false);
+    }
+  };
+
+  if (authLoading) {
+    return (
+      <div className="loading-container">
+        <div className="spinner"></div>
+        <p>Loading...</p>
+      </div>
+    );
+  }
+
+  if (!user) {
+    return null; // Will redirect
+  }
+
+  const importCount = counts[PunchImportAction.CREATE] + counts[PunchImportAction.UPDATE];
+
+  return (
+    <>
+      <Head>
+        <title>Import Punches - Employee Management</title>
+        <meta name="description" content="Import attendance from biometric device punch logs" />
+      </Head>
+
+      <div className="import-page">
+        {/* Header */}
+        <div className="page-header">
+          <div className="breadcrumb">
+            <button onClick={() => router.push('/attendance')} className="breadcrumb-link">
+              ← Attendance Dashboard
+            </button>
+          </div>
+
+          <div className="header-content">
+            <h1>Import Biometric Punches</h1>
+            <p>
+              Load the punch log exported from a fingerprint machine. Each worker&apos;s first punch of the day
+              is the check-in and the last is the check-out; {Math.round(FULL_DAY_HOURS_SHARE * 100)}% of the
+              standard hours or more is a full day, less is a half day.
+            </p>
+          </div>
+        </div>
+
+        {/* Messages */}
+        {error && (
+          <div className="message error">
+            <strong>Error:</strong> {error}
+            <button onClick={() => setError('')} className="close-message">×</button>
+          </div>
+        )}
+
+        {success && (
+          <div className="message success">
+            <div>
+              <strong>Success:</strong> {success}
+              {importErrors.length > 0 && (
+                <ul className="import-errors">
+                  {importErrors.map((message, index) => <li key={index}>{message}</li>)}
+                </ul>
+              )}
+            </div>
+            <button onClick={() => setSuccess('')} className="close-message">×</button>
+          </div>
+        )}
+
+        {/* Log input */}
+        <div className="card">
+          <h2>1. Punch Log</h2>
+          <div className="file-row">
+            <input type="file" accept=".csv,.txt,.dat,.log" onChange={handleFileChange} />
+            {fileName && <span className="file-name">{fileName}</span>}
+          </div>
+          <textarea
+            value={logText}
+            onChange={(e) => {
+              setLogText(e.target.value);
+              setFileName('');
+            }}
+            className="log-input"
+            rows={8}
+            placeholder={'Or paste the log here, e.g.\nUser ID,Date,Time\n17,2024-03-01,09:02:11\n17,2024-03-01,18:05:40'}
+          />
+          <div className="card-actions">
+            <button onClick={handlePreview} className="btn-primary" disabled={!logText.trim() || loading}>
+              {loading ? 'Reading...' : 'Preview Import'}
+            </button>
+          </div>
+
+          {log && log.errors.length > 0 && (
+            <div className="parse-errors">
+              <strong>{log.errors.length} lines skipped:</strong>
+              <ul>
+                {log.errors.slice(0, 10).map(entry => (
+                  <li key={entry.line}>Line {entry.line}: {entry.message}</li>
+                ))}
+                {log.errors.length > 10 && <li>…and {log.errors.length - 10} more</li>}
+              </ul>
+            </div>
+          )}
+        </div>
+
+        {/* Device user links */}
+        {log && unlinkedUserIds.length > 0 && (
+          <div className="card">
+            <h2>2. Link Device Users</h2>
+            <p className="card-hint">
+              These device users are not linked to an employee. Pick who each one is; the links are saved
+              to the employees when you import, so later logs map on their own.
+            </p>
+            <table className="link-table">
+              <tbody>
+                {unlinkedUserIds.map(deviceUserId => (
+                  <tr key={deviceUserId}>
+                    <td>Device user <strong>{deviceUserId}</strong></td>
+                    <td>
+                      <select
+                        value={mappings[deviceUserId] || ''}
+                        onChange={(e) => handleMappingChange(deviceUserId, e.target.value)}
+                        className="form-input"
+                        aria-label={`Employee for device user ${deviceUserId}`}
+                      >
+                        <option value="">Not linked</option>
+                        {log.employees
+                          .filter(employee => !normalizeDeviceUserId(employee.device_user_id))
+                          .map(employee => (
+                            <option
+                              key={employee.id}
+                              value={employee.id}
+                              disabled={Object.entries(mappings).some(([id, employeeId]) => employeeId === employee.id && id !== deviceUserId)}
+                            >
+                              {employee.name} - {employee.designation}
+                            </option>
+                          ))}
+                      </select>
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+        )}
+
+        {/* Preview */}
+        {log && (
+          <div className="card">
+            <div className="preview-header">
+              <h2>{unlinkedUserIds.length > 0 ? '3' : '2'}. Preview</h2>
+              <div className="action-counts">
+                {Object.values(PunchImportAction).map(action => (
+                  <button
+                    key={action}
+                    className={`count-chip ${actionFilter === action ? 'active' : ''}`}
+                    style={{ borderColor: getPunchImportActionColor(action), color: getPunchImportActionColor(action) }}
+                    onClick={() => setActionFilter(actionFilter === action ? 'all' : action)}
+                  >
+                    {getPunchImportActionLabel(action)}: {counts[action]}
+                  </button>
+                ))}
+              </div>
+            </div>
+            <p className="card-hint">
+              {log.punchCount} punches over {log.days.length} worker-days. Nothing is saved until you import.
+            </p>
+
+            <div className="table-wrap">
+              <table className="preview-table">
+                <thead>
+                  <tr>
+                    <th>Date</th>
+                    <th>Device User</th>
+                    <th>Employee</th>
+                    <th>Punches</th>
+                    <th>In</th>
+                    <th>Out</th>
+                    <th>Hours</th>
+                    <th>Status</th>
+                    <th>Action</th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {visibleRows.map(row => (
+                    <tr key={row.key}>
+                      <td>{row.date}</td>
+                      <td>{row.device_user_id}</td>
+                      <td>{row.employee_name || '—'}</td>
+                      <td className="punches" title={row.punches.join(', ')}>{row.punches.length}</td>
+                      <td>{row.check_in_time}</td>
+                      <td>{row.check_out_time || '—'}</td>
+                      <td>{row.check_out_time ? row.hours_worked.toFixed(2) : '—'}</td>
+                      <td>
+                        {row.status ? (
+                          <span className="status-badge" style={{ backgroundColor: getStatusColor(row.status) }}>
+                            {getStatusLabel(row.status)}
+                          </span>
+                        ) : '—'}
+                      </td>
+                      <td>
+                        <span className="action-badge" style={{ backgroundColor: getPunchImportActionColor(row.action) }}>
+                          {getPunchImportActionLabel(row.action)}
+                        </span>
+                        {row.reason && <div className="action-reason">{row.reason}</div>}
+                      </td>
+                    </tr>
+                  ))}
+                  {visibleRows.length === 0 && (
+                    <tr>
+                      <td colSpan={9} className="empty-row">No rows to show</td>
+                    </tr>
+                  )}
+                </tbody>
+              </table>
+            </div>
+
+            <div className="card-actions">
+              <button onClick={handleImport} className="btn-primary" disabled={importing || importCount === 0}>
+                {importing ? 'Importing...' : `Import ${importCount} Records`}
+              </button>
+            </div>
+          </div>
+        )}
+      </div>
+
+      <style jsx>{`
+        .import-page {
+          max-width: 1100px;
+          margin: 0 auto;
+          padding: 20px;
+          min-height: 100vh;
+          background: #f5f5f5;
+        }
+
+        .loading-container {
+          display: flex;
+          flex-direction: column;
+          align-items: center;
+          justify-content: center;
+          min-height: 100vh;
+          gap: 20px;
+        }
+
+        .spinner {
+          border: 4px solid #f3f3f3;
+          border-top: 4px solid #007cba;
+          border-radius: 50%;
+          width: 40px;
+          height: 40px;
+          animation: spin 1s linear infinite;
+        }
+
+        @keyframes spin {
+          0% { transform: rotate(0deg); }
+          100% { transform: rotate(360deg); }
+        }
+
+        .page-header {
+          background: white;
+          padding: 30px;
+          border-radius: 12px;
+          box-shadow: 0 2px 10px rgba(0, 0, 0, 0.1);
+          margin-bottom: 20px;
+        }
+
+        .breadcrumb {
+          margin-bottom: 20px;
+        }
+
+        .breadcrumb-link {
+          background: none;
+          border: none;
+          color: #007cba;
+          cursor: pointer;
+          font-size: 14px;
+          text-decoration: underline;
+          padding: 0;
+        }
+
+        .header-content h1 {
+          margin: 0 0 10px 0;
+          color: #333;
+          font-size: 2rem;
+        }
+
+        .header-content p {
+          margin: 0;
+          color: #666;
+          font-size: 1rem;
+        }
+
+        .message {
+          padding: 15px 20px;
+          border-radius: 6px;
+          margin-bottom: 20px;
+          display: flex;
+          justify-content: space-between;
+          align-items: flex-start;
+        }
+
+        .message.error {
+          background: #fee;
+          color: #c33;
+          border: 1px solid #fcc;
+        }
+
+        .message.success {
+          background: #dfd;
+          color: #363;
+          border: 1px solid #beb;
+        }
+
+        .import-errors {
+          margin: 8px 0 0;
+          padding-left: 20px;
+          color: #c33;
+        }
+
+        .close-message {
+          background: none;
+          border: none;
+          color: inherit;
+          cursor: pointer;
+          font-size: 18px;
+          padding: 0;
+          margin-left: 10px;
+        }
+
+        .card {
+          background: white;
+          padding: 25px;
+          border-radius: 8px;
+          box-shadow: 0 2px 4px rgba(0, 0, 0, 0.1);
+          margin-bottom: 20px;
+        }
+
+        .card h2 {
+          margin: 0 0 12px 0;
+          color: #1f2937;
+          font-size: 1.25rem;
+        }
+
+        .card-hint {
+          margin: 0 0 16px 0;
+          color: #6b7280;
+          font-size: 0.9rem;
+        }
+
+        .file-row {
+          display: flex;
+          align-items: center;
+          gap: 12px;
+          margin-bottom: 12px;
+        }
+
+        .file-name {
+          color: #6b7280;
+          font-size: 0.85rem;
+        }
+
+        .log-input {
+          width: 100%;
+          box-sizing: border-box;
+          padding: 10px 12px;
+          border: 1px solid #d1d5db;
+          border-radius: 6px;
+          font-family: monospace;
+          font-size: 0.85rem;
+        }
+
+        .card-actions {
+          display: flex;
+          justify-content: flex-end;
+          margin-top: 16px;
+        }
+
+        .parse-errors {
+          margin-top: 16px;
+          background: #fffbeb;
+          border: 1px solid #fde68a;
+          color: #92400e;
+          padding: 10px 14px;
+          border-radius: 6px;
+          font-size: 0.85rem;
+        }
+
+        .parse-errors ul {
+          margin: 6px 0 0;
+          padding-left: 20px;
+        }
+
+        .link-table {
+          width: 100%;
+          border-collapse: collapse;
+        }
+
+        .link-table td {
+          padding: 8px 0;
+          border-bottom: 1px solid #f3f4f6;
+          font-size: 0.9rem;
+          color: #374151;
+        }
+
+        .link-table td:last-child {
+          width: 60%;
+        }
+
+        .form-input {
+          width: 100%;
+          padding: 8px 10px;
+          border: 1px solid #d1d5db;
+          border-radius: 6px;
+          font-size: 0.9rem;
+        }
+
+        .preview-header {
+          display: flex;
+          justify-content: space-between;
+          align-items: center;
+          flex-wrap: wrap;
+          gap: 12px;
+        }
+
+        .action-counts {
+          display: flex;
+          gap: 8px;
+          flex-wrap: wrap;
+        }
+
+        .count-chip {
+          background: white;
+          border: 1px solid;
+          border-radius: 14px;
+          padding: 4px 12px;
+          font-size: 0.8rem;
+          font-weight: 500;
+          cursor: pointer;
+        }
+
+        .count-chip.active {
+          background: #f3f4f6;
+        }
+
+        .table-wrap {
+          overflow-x: auto;
+        }
+
+        .preview-table {
+          width: 100%;
+          border-collapse: collapse;
+          font-size: 0.85rem;
+        }
+
+        .preview-table th,
+        .preview-table td {
+          padding: 8px 10px;
+          border-bottom: 1px solid #e5e7eb;
+          text-align: left;
+          vertical-align: top;
+        }
+
+        .preview-table th {
+          background: #f9fafb;
+          color: #374151;
+          font-weight: 600;
+        }
+
+        .punches {
+          cursor: help;
+        }
+
+        .status-badge,
+        .action-badge {
+          display: inline-block;
+          padding: 2px 8px;
+          border-radius: 10px;
+          color: white;
+          font-size: 0.75rem;
+          font-weight: 500;
+        }
+
+        .action-reason {
+          margin-top: 4px;
+          color: #6b7280;
+          font-size: 0.75rem;
+        }
+
+        .empty-row {
+          text-align: center;
+          color: #6b7280;
+        }
+
+        .btn-primary {
+          padding: 10px 20px;
+          border-radius: 6px;
+          font-size: 0.9rem;
+          font-weight: 500;
+          cursor: pointer;
+          background: #3b82f6;
+          color: white;
+          border: none;
+        }
+
+        .btn-primary:hover:not(:disabled) {
+          background: #2563eb;
+        }
+
+        .btn-primary:disabled {
+          opacity: 0.6;
+          cursor: not-allowed;
+        }
+
+        @media (max-width: 768px) {
+          .import-page {
+            padding: 10px;
+          }
+        }
+      `}</style>
+    </>
+  );
+}
@@ -4,19 +4,53 @@ import Head from 'next/head';
 import { useAuth } from '../../contexts/AuthContext';
 import attendanceService from '../../lib/services/attendanceService';
 import employeeService from '../../lib/services/employeeService';
+import holidayService from '../../lib/services/holidayService';
+import anomalyService from '../../lib/services/anomalyService';
 import AttendanceForm from '../../components/attendance/AttendanceForm';
 import AttendanceList from '../../components/attendance/AttendanceList';
+import { calculateAttendanceStats, calculateAttendanceRate, getLocalDateString } from '../../lib/models/Attendance';
+import {
+  DEFAULT_ANOMALY_PERIOD_DAYS,
+  addDaysToDate,
+  indexAnomaliesByRecord,
+  getAnomalyTypeIcon
+} from '../../lib/models/AttendanceAnomaly';
+import { getOffDay, describeOffDay, applyCalendarToRecords } from '../../lib/models/Holiday';
 import TestConnection from '../../components/TestConnection';
 
+// Records fetched per page in the reports view
+const REPORT_PAGE_SIZE = 50;
+
+// Days of attendance the dashboard loads for today's list and recent activity
+const RECENT_DAYS = 7;
+
+/**
+ * First date shown under recent activity
+ * @returns {string} Date in YYYY-MM-DD format
+ */
+const getRecentStartDate = () => {
+  const recent = new Date();
+  recent.setDate(recent.getDate() - RECENT_DAYS);
+  return recent.toISOString().split('T')[0];
+};
+
 export default function AttendanceDashboard() {
   const { user, loading: authLoading } = useAuth();
   const router = useRouter();
   const [employees, setEmployees] = useState([]);
   const [attendanceRecords, setAttendanceRecords] = useState([]);
   const [statistics, setStatistics] = useState(null);
+  const [calendar, setCalendar] = useState(null);
+  const [anomalyFlags, setAnomalyFlags] = useState([]);
   const [loading, setLoading] = useState(true);
   const [error, setError] = useState('');
   const [currentView, setCurrentView] = useState('dashboard'); // 'dashboard', 'mark', 'bulk', 'reports'
+  const [reportFilters, setReportFilters] = useState({});
+  const [reportRecords, setReportRecords] = useState([]);
+  const [reportCursor, setReportCursor] = useState(null);
+  const [reportHasMore, setReportHasMore] = useState(false);
+  const [reportLoading, setReportLoading] = useState(false);
+  const [reportLoadingMore, setReportLoadingMore] = useState(false);
   const [selectedDate, setSelectedDate] = useState(new Date().toISOString().split('T')[0]);
 
   // Redirect if not authenticated
@@ -52,30 +86,47 @@ export default function AttendanceDashboard() {
         throw new Error(`Failed to load employees: ${empError.message}`);
       }
 
-      // Load attendance records
+      // Load the last week of attendance; reports page through the rest
       console.log('Loading attendance records...');
-      let attendanceData = [];
       try {
-        attendanceData = await attendanceService.getAllAttendance();
+        const attendanceData = await loadRecentAttendance();
         console.log('Attendance records loaded successfully:', attendanceData.length);
-        setAttendanceRecords(attendanceData);
       } catch (attError) {
         console.error('Error loading attendance records:', attError);
         throw new Error(`Failed to load attendance records: ${attError.message}`);
       }
 
+      // Load holidays and weekly offs
+      try {
+        setCalendar(await holidayService.getWorkCalendar());
+      } catch (calendarError) {
+        console.error('Error loading work calendar:', calendarError);
+        // Without the calendar every day is treated as a working day
+        setCalendar(null);
+      }
+
+      // Attendance flags over the default period
+      try {
+        const today = getLocalDateString();
+        setAnomalyFlags(await anomalyService.getAnomalies(
+          addDaysToDate(today, -(DEFAULT_ANOMALY_PERIOD_DAYS - 1)),
+          today
+        ));
+      } catch (anomalyError) {
+        console.error('Error checking attendance flags:', anomalyError);
+        // Don't fail the entire load for the flags
+        setAnomalyFlags([]);
+      }
+
       // Calculate today's statistics
       console.log('Calculating statistics...');
       try {
         const today = new Date().toISOString().split('T')[0];
-        const todayStart = new Date(today);
-        const todayEnd = new Date(today);
-        todayEnd.setHours(23, 59, 59, 999);
         
         const todayStats = await attendanceService.getAttendanceStats({
           dateRange: {
-            start: todayStart,
-            end: todayEnd
+            start: today,
+            end: today
           }
         });
         console.log('Statistics calculated successfully:', todayStats);
@@ -95,6 +146,48 @@ export default function AttendanceDashboard() {
     }
   };
 
+  const loadRecentAttendance = async () => {
+    const today = new Date().toISOString().split('T')[0];
+    const attendanceData = await attendanceService.getAttendanceByDateRange(getRecentStartDate(), today);
+    setAttendanceRecords(attendanceData);
+    return attendanceData;
+  };
+
+  // Reports fetch a page at a time, filtered on the server by the list's
+  // date, employee and status filters
+  const loadReportPage = async (filters, cursor = null) => {
+    if (cursor) {
+      setReportLoadingMore(true);
+    } else {
+      setReportLoading(true);
+    }
+
+    try {
+      const page = await attendanceService.getAttendancePage({
+        employeeId: filters.employee,
+        status: filters.status,
+        date: filters.date,
+        startDate: filters.dateRange ? filters.dateRange.start : '',
+        endDate: filters.dateRange ? filters.dateRange.end : ''
+      }, { pageSize: REPORT_PAGE_SIZE, cursor });
+
+      setReportRecords(prev => (cursor ? [...prev, ...page.records] : page.records));
+      setReportCursor(page.cursor);
+      setReportHasMore(page.hasMore);
+    } catch (err) {
+      console.error('Error loading attendance report page:', err);
+      setError(`Failed to load attendance records: ${err.message}`);
+    } finally {
+      setReportLoading(false);
+      setReportLoadingMore(false);
+    }
+  };
+
+  const handleReportFiltersChange = (filters) => {
+    setReportFilters(filters);
+    loadReportPage(filters);
+  };
+
   const handleMarkAttendance = async (attendanceData) => {
     setError('');
     
@@ -134,10 +227,19 @@ export default function AttendanceDashboard() {
       setCurrentView('dashboard');
     } catch (err) {
       console.error('Error marking attendance:', err);
-      setError('Failed to mark attendance. Please try again.');
+      setError(err.message && err.message.includes('locked') ?
+        err.message :
+        'Failed to mark attendance. Please try again.');
     }
   };
 
+  const handleRequestCorrection = (record) => {
+    router.push({
+      pathname: '/attendance/corrections',
+      query: { employee: record.employee_id, date: record.date }
+    });
+  };
+
   const handleDeleteAttendance = async (recordIds) => {
     if (!window.confirm(`Are you sure you want to delete ${recordIds.length} attendance record(s)?`)) {
       return;
@@ -169,7 +271,11 @@ export default function AttendanceDashboard() {
       console.log(`Deletion results: ${successCount} deleted, ${notFoundCount} not found, ${errorCount} errors`);
 
       // Reload data regardless of some failures
-      await loadData();
+      if (currentView === 'reports') {
+        await Promise.all([loadRecentAttendance(), loadReportPage(reportFilters)]);
+      } else {
+        await loadData();
+      }
 
       // Show appropriate message
       if (errorCount > 0) {
@@ -191,36 +297,34 @@ export default function AttendanceDashboard() {
     return attendanceRecords.filter(record => record.date === today);
   };
 
+  // Records load newest first
   const getRecentAttendance = () => {
-    const recent = new Date();
-    recent.setDate(recent.getDate() - 7); // Last 7 days
-    const recentDate = recent.toISOString().split('T')[0];
-    
-    return attendanceRecords
-      .filter(record => record.date >= recentDate)
-      .sort((a, b) => new Date(b.date) - new Date(a.date))
-      .slice(0, 10);
+    return attendanceRecords.slice(0, 10);
   };
 
   const getQuickStats = () => {
     const today = new Date().toISOString().split('T')[0];
-    const todayRecords = attendanceRecords.filter(record => record.date === today);
+    const todayRecords = applyCalendarToRecords(
+      attendanceRecords.filter(record => record.date === today),
+      calendar
+    );
     
-    const present = todayRecords.filter(r => r.status === 'present').length;
-    const absent = todayRecords.filter(r => r.status === 'absent').length;
-    const halfDay = todayRecords.filter(r => r.status === 'half-day').length;
+    const counts = calculateAttendanceStats(todayRecords);
     const total = employees.length;
     const marked = todayRecords.length;
-    const pending = total - marked;
+    // Nobody is expected to be marked on a holiday or weekly off
+    const pending = getOffDay(calendar, today) ? 0 : total - marked;
     
     return {
       total,
       marked,
       pending,
-      present,
-      absent,
-      halfDay,
-      attendanceRate: marked > 0 ? ((present + halfDay * 0.5) / marked * 100).toFixed(1) : 0
+      present: counts.present,
+      absent: counts.absent,
+      halfDay: counts.halfDay,
+      onLeave: counts.paidLeave + counts.unpaidLeave,
+      off: counts.holiday + counts.weekOff,
+      attendanceRate: calculateAttendanceRate(counts).toFixed(1)
     };
   };
 
@@ -238,6 +342,8 @@ export default function AttendanceDashboard() {
   }
 
   const quickStats = getQuickStats();
+  const anomalyIndex = indexAnomaliesByRecord(anomalyFlags);
+  const todayOffDay = getOffDay(calendar, new Date().toISOString().split('T')[0]);
   const todayAttendance = getTodayAttendance();
   const recentAttendance = getRecentAttendance();
 
@@ -261,6 +367,9 @@ export default function AttendanceDashboard() {
           <div className="header-content">
             <h1>Attendance Dashboard</h1>
             <p>Manage employee attendance for {new Date().toLocaleDateString()}</p>
+            {todayOffDay && (
+              <p className="off-day-note">📅 Today is {describeOffDay(todayOffDay)}. No attendance is expected.</p>
+            )}
           </div>
           
           <div className="header-actions">
@@ -282,6 +391,54 @@ export default function AttendanceDashboard() {
             >
               📊 View Reports
             </button>
+            <button
+              onClick={() => router.push('/attendance/leave')}
+              className="btn-secondary"
+            >
+              ✈ Leave
+            </button>
+            <button
+              onClick={() => router.push('/attendance/corrections')}
+              className="btn-secondary"
+            >
+              📝 Corrections
+            </button>
+            <button
+              onClick={() => router.push('/attendance/anomalies')}
+              className="btn-secondary"
+            >
+              ⚠ Flags{anomalyFlags.length > 0 ? ` (${anomalyFlags.length})` : ''}
+            </button>
+            <button
+              onClick={() => router.push('/attendance/holidays')}
+              className="btn-secondary"
+            >
+              📅 Holidays
+            </button>
+            <button
+              onClick={() => router.push('/attendance/sites')}
+              className="btn-secondary"
+            >
+              📍 Sites
+            </button>
+            <button
+              onClick={() => router.push('/attendance/shifts')}
+              className="btn-secondary"
+            >
+              🕒 Shifts
+            </button>
+            <button
+              onClick={() => router.push('/attendance/kiosk')}
+              className="btn-secondary"
+            >
+              📷 Kiosk
+            </button>
+            <button
+              onClick={() => router.push('/attendance/import')}
+              className="btn-secondary"
+            >
+              🖐 Import Punches
+            </button>
             <button
               onClick={loadData}
               className="btn-refresh"
@@ -329,6 +486,34 @@ export default function AttendanceDashboard() {
         <div className="dashboard-content">
           {currentView === 'dashboard' && (
             <div className="dashboard-view">
+              {/* Attendance flags */}
+              {anomalyFlags.length > 0 && (
+                <div className="anomaly-alert">
+                  <div className="anomaly-alert-header">
+                    <strong>⚠ {anomalyFlags.length} attendance flag(s) in the last {DEFAULT_ANOMALY_PERIOD_DAYS} days</strong>
+                    <button
+                      onClick={() => router.push('/attendance/anomalies')}
+                      className="btn-secondary"
+                    >
+                      Review All
+                    </button>
+                  </div>
+                  <ul>
+                    {anomalyFlags.slice(0, 3).map(flag => (
+                      <li key={flag.id}>
+                        <button
+                          onClick={() => router.push({ pathname: '/attendance/anomalies', query: { flag: flag.id } })}
+                          className="anomaly-link"
+                        >
+                          {getAnomalyTypeIcon(flag.type)} {flag.employee_name || flag.site_name}
+                        </button>
+                        {' '}– {flag.description}
+                      </li>
+                    ))}
+                  </ul>
+                </div>
+              )}
+
               {/* Quick Stats */}
               <div className="quick-stats">
                 <div className="stats-grid">
@@ -380,6 +565,22 @@ export default function AttendanceDashboard() {
                     </div>
                   </div>
                   
+                  <div className="stat-card on-leave">
+                    <div className="stat-icon">✈</div>
+                    <div className="stat-info">
+                      <div className="stat-value">{quickStats.onLeave}</div>
+                      <div className="stat-label">On Leave</div>
+                    </div>
+                  </div>
+                  
+                  <div className="stat-card off-day">
+                    <div className="stat-icon">★</div>
+                    <div className="stat-info">
+                      <div className="stat-value">{quickStats.off}</div>
+                      <div className="stat-label">Holiday / Week Off</div>
+                    </div>
+                  </div>
+                  
                   <div className="stat-card rate">
                     <div className="stat-icon">📈</div>
                     <div className="stat-info">
@@ -408,8 +609,11 @@ export default function AttendanceDashboard() {
                   <AttendanceList
                     attendanceRecords={todayAttendance}
                     employees={employees}
+                    calendar={calendar}
                     loading={loading}
                     onDelete={handleDeleteAttendance}
+                    onRequestCorrection={handleRequestCorrection}
+                    anomalies={anomalyIndex}
                     onRefresh={loadData}
                   />
                 ) : (
@@ -443,8 +647,11 @@ export default function AttendanceDashboard() {
                   <AttendanceList
                     attendanceRecords={recentAttendance}
                     employees={employees}
+                    calendar={calendar}
                     loading={loading}
                     onDelete={handleDeleteAttendance}
+                    onRequestCorrection={handleRequestCorrection}
+                    anomalies={anomalyIndex}
                     onRefresh={loadData}
                   />
                 </div>
@@ -459,17 +666,14 @@ export default function AttendanceDashboard() {
                 <p>Select an employee and mark their attendance for a specific date.</p>
               </div>
               
-              {/* Single attendance form would go here */}
-              <div className="coming-soon">
-                <h3>Individual Attendance Marking</h3>
-                <p>This feature is coming soon. Please use bulk marking for now.</p>
-                <button
-                  onClick={() => setCurrentView('bulk')}
-                  className="btn-primary"
-                >
-                  Go to Bulk Marking
-                </button>
-              </div>
+              <AttendanceForm
+                employees={employees}
+                selectedDate={selectedDate}
+                mode="single"
+                onSubmit={handleMarkAttendance}
+                onCancel={() => setCurrentView('dashboard')}
+                loading={loading}
+              />
             </div>
           )}
 
@@ -499,11 +703,18 @@ export default function AttendanceDashboard() {
               </div>
               
               <AttendanceList
-                attendanceRecords={attendanceRecords}
+                attendanceRecords={reportRecords}
                 employees={employees}
-                loading={loading}
+                calendar={calendar}
+                loading={reportLoading}
                 onDelete={handleDeleteAttendance}
-                onRefresh={loadData}
+                onRequestCorrection={handleRequestCorrection}
+                anomalies={anomalyIndex}
+                onRefresh={() => loadReportPage(reportFilters)}
+                onFiltersChange={handleReportFiltersChange}
+                hasMore={reportHasMore}
+                loadingMore={reportLoadingMore}
+                onLoadMore={() => loadReportPage(reportFilters, reportCursor)}
               />
             </div>
           )}
@@ -587,6 +798,12 @@ export default function AttendanceDashboard() {
           font-size: 1rem;
         }
 
+        .header-content .off-day-note {
+          margin-top: 6px;
+          color: #6f42c1;
+          font-size: 0.9rem;
+        }
+
         .header-actions {
           display: flex;
           gap: 12px;
@@ -687,6 +904,42 @@ export default function AttendanceDashboard() {
           padding: 0;
         }
 
+        .anomaly-alert {
+          background: #fff3cd;
+          border: 1px solid #ffeeba;
+          color: #856404;
+          border-radius: 8px;
+          padding: 15px 20px;
+          margin-bottom: 20px;
+        }
+
+        .anomaly-alert-header {
+          display: flex;
+          justify-content: space-between;
+          align-items: center;
+          gap: 10px;
+        }
+
+        .anomaly-alert ul {
+          margin: 10px 0 0 0;
+          padding-left: 20px;
+        }
+
+        .anomaly-alert li {
+          margin-bottom: 4px;
+          font-size: 0.9rem;
+        }
+
+        .anomaly-link {
+          background: none;
+          border: none;
+          color: #856404;
+          font-weight: 600;
+          cursor: pointer;
+          padding: 0;
+          text-decoration: underline;
+        }
+
         .quick-stats {
           padding: 30px;
           border-bottom: 1px solid #eee;
@@ -749,6 +1002,18 @@ export default function AttendanceDashboard() {
           border: none;
         }
 
+        .stat-card.on-leave {
+          background: linear-gradient(135deg, #d1ecf1 0%, #a0d8e6 100%);
+          color: #333;
+          border: none;
+        }
+
+        .stat-card.off-day {
+          background: linear-gradient(135deg, #e2d9f3 0%, #c5b3e6 100%);
+          color: #333;
+          border: none;
+        }
+
         .stat-card.rate {
           background: linear-gradient(135deg, #74b9ff 0%, #0984e3 100%);
           color: white;
@@ -840,24 +1105,6 @@ export default function AttendanceDashboard() {
           color: #666;
         }
 
-        .coming-soon {
-          text-align: center;
-          padding: 60px 20px;
-          background: #f8f9fa;
-          border-radius: 8px;
-          border: 1px solid #eee;
-        }
-
-        .coming-soon h3 {
-          margin: 0 0 10px 0;
-          color: #333;
-        }
-
-        .coming-soon p {
-          margin: 0 0 20px 0;
-          color: #666;
-        }
-
         @media (max-width: 768px) {
           .attendance-dashboard {
             padding: 10px;
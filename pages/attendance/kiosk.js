@@ -0,0 +1,485 @@
+import { useState, useEffect, useRef } from 'react';
+import { useRouter } from 'next/router';
+import Head from 'next/head';
+import { useAuth } from '../../contexts/AuthContext';
+import kioskService, { KioskScanAction } from '../../lib/services/kioskService';
+import locationService from '../../lib/services/locationService';
+import { describeRecordLocation } from '../../lib/models/Site';
+
+// How often a camera frame is checked for a QR code
+const SCAN_INTERVAL_MS = 250;
+// How long a scan result stays on screen before the next scan is accepted
+const RESULT_DISPLAY_MS = 3000;
+// The same badge held in front of the camera is ignored for this long
+const SAME_BADGE_IGNORE_MS = 10000;
+
+const RESULT_MESSAGES = {
+  [KioskScanAction.CHECK_IN]: 'Checked in',
+  [KioskScanAction.CHECK_OUT]: 'Checked out',
+  [KioskScanAction.REPEAT]: 'Already scanned',
+  [KioskScanAction.COMPLETE]: 'Already checked out today'
+};
+
+export default function AttendanceKiosk() {
+  const { user, loading: authLoading } = useAuth();
+  const router = useRouter();
+  const videoRef = useRef(null);
+  const canvasRef = useRef(null);
+  const streamRef = useRef(null);
+  const timerRef = useRef(null);
+  const busyRef = useRef(false);
+  const lastBadgeRef = useRef({ value: '', at: 0 });
+  const [cameraState, setCameraState] = useState('idle'); // 'idle', 'starting', 'running', 'error'
+  const [cameraError, setCameraError] = useState('');
+  const [result, setResult] = useState(null);
+  const [recentScans, setRecentScans] = useState([]);
+  const [now, setNow] = useState(new Date());
+
+  // Redirect if not authenticated
+  useEffect(() => {
+    if (!authLoading && !user) {
+      router.push('/auth/login');
+    }
+  }, [user, authLoading, router]);
+
+  // Clock
+  useEffect(() => {
+    const interval = setInterval(() => setNow(new Date()), 1000);
+    return () => clearInterval(interval);
+  }, []);
+
+  // Release the camera when leaving the page
+  useEffect(() => {
+    return () => stopCamera();
+  }, []); // eslint-disable-line react-hooks/exhaustive-deps
+
+  const stopCamera = () => {
+    clearTimeout(timerRef.current);
+    if (streamRef.current) {
+      streamRef.current.getTracks().forEach(track => track.stop());
+      streamRef.current = null;
+    }
+  };
+
+  const startCamera = async () => {
+    setCameraError('');
+
+    if (!navigator.mediaDevices || !navigator.mediaDevices.getUserMedia) {
+      setCameraState('error');
+      setCameraError('This browser cannot use the camera. Open the kiosk over HTTPS in Chrome or Safari.');
+      return;
+    }
+
+    setCameraState('starting');
+    try {
+      const stream = await navigator.mediaDevices.getUserMedia({
+        video: { facingMode: 'environment' },
+        audio: false
+      });
+      streamRef.current = stream;
+      videoRef.current.srcObject = stream;
+      await videoRef.current.play();
+      setCameraState('running');
+      scheduleScan();
+    } catch (error) {
+      console.error('Error starting camera:', error);
+      stopCamera();
+      setCameraState('error');
+      setCameraError(
+        error.name === 'NotAllowedError' ?
+          'Camera permission was denied. Allow camera access for this site and try again.' :
+          `Could not start the camera: ${error.message}`
+      );
+    }
+  };
+
+  const scheduleScan = () => {
+    clearTimeout(timerRef.current);
+    timerRef.current = setTimeout(scanFrame, SCAN_INTERVAL_MS);
+  };
+
+  // Look for a QR code in the current camera frame
+  const scanFrame = async () => {
+    const video = videoRef.current;
+    const canvas = canvasRef.current;
+    if (!streamRef.current || !video || !canvas) return;
+
+    if (!busyRef.current && video.readyState >= video.HAVE_ENOUGH_DATA) {
+      // Scan a reduced frame; badges fill most of the view
+      const scale = Math.min(1, 480 / video.videoWidth);
+      canvas.width = Math.round(video.videoWidth * scale);
+      canvas.height = Math.round(video.videoHeight * scale);
+      const context = canvas.getContext('2d', { willReadFrequently: true });
+      context.drawImage(video, 0, 0, canvas.width, canvas.height);
+      const image = context.getImageData(0, 0, canvas.width, canvas.height);
+
+      const jsQR = (await import('jsqr')).default;
+      const code = jsQR(image.data, image.width, image.height, { inversionAttempts: 'dontInvert' });
+
+      if (code && code.data) {
+        const lastBadge = lastBadgeRef.current;
+        const isSameBadge = code.data === lastBadge.value && Date.now() - lastBadge.at < SAME_BADGE_IGNORE_MS;
+        if (!isSameBadge) {
+          lastBadgeRef.current = { value: code.data, at: Date.now() };
+          await handleScan(code.data);
+        }
+      }
+    }
+
+    scheduleScan();
+  };
+
+  const handleScan = async (badgeValue) => {
+    busyRef.current = true;
+
+    let scanResult;
+    try {
+      const location = await locationService.getCurrentLocation();
+      const scan = await kioskService.recordScan(badgeValue, user?.uid || user?.email || 'kiosk', new Date(), location);
+      scanResult = {
+        type: scan.action,
+        name: scan.employee.name,
+        time: scan.time,
+        message: RESULT_MESSAGES[scan.action],
+        outsideSite: scan.record && scan.record.outside_geofence ? describeRecordLocation(scan.record) : ''
+      };
+      if (navigator.vibrate) {
+        navigator.vibrate(scan.action === KioskScanAction.CHECK_IN || scan.action === KioskScanAction.CHECK_OUT ? 150 : [80, 60, 80]);
+      }
+    } catch (error) {
+      scanResult = { type: 'error', name: '', time: '', message: error.message };
+      if (navigator.vibrate) {
+        navigator.vibrate([200, 100, 200]);
+      }
+    }
+
+    setResult(scanResult);
+    setRecentScans(prev => [{ ...scanResult, at: new Date() }, ...prev].slice(0, 8));
+
+    setTimeout(() => {
+      setResult(null);
+      busyRef.current = false;
+    }, RESULT_DISPLAY_MS);
+  };
+
+  if (authLoading) {
+    return (
+      <div className="loading-container">
+        <div className="spinner"></div>
+        <p>Loading...</p>
+      </div>
+    );
+  }
+
+  if (!user) {
+    return null; // Will redirect
+  }
+
+  return (
+    <>
+      <Head>
+        <title>Attendance Kiosk - Employee Management</title>
+        <meta name="description" content="Scan employee QR badges to check in and out" />
+      </Head>
+
+      <div className="kiosk-page">
+        <div className="kiosk-header">
+          <button onClick={() => router.push('/attendance')} className="header-link">
+            ← Attendance
+          </button>
+          <div className="clock">
+            <div className="clock-time">{now.toLocaleTimeString('en-IN', { hour: '2-digit', minute: '2-digit' })}</div>
+            <div className="clock-date">{now.toLocaleDateString('en-IN', { weekday: 'long', day: 'numeric', month: 'long' })}</div>
+          </div>
+          <button onClick={() => router.push('/attendance/badges')} className="header-link">
+            QR Badges →
+          </button>
+        </div>
+
+        <div className="scanner">
+          <video ref={videoRef} className="camera" playsInline muted />
+          <canvas ref={canvasRef} className="hidden-canvas" />
+
+          {cameraState !== 'running' && (
+            <div className="camera-overlay">
+              {cameraState === 'error' && <p className="camera-error">{cameraError}</p>}
+              <button onClick={startCamera} className="start-btn" disabled={cameraState === 'starting'}>
+                {cameraState === 'starting' ? 'Starting camera...' : '📷 Start Scanning'}
+              </button>
+            </div>
+          )}
+
+          {cameraState === 'running' && !result && (
+            <div className="scan-frame">
+              <span>Hold your badge inside the box</span>
+            </div>
+          )}
+
+          {result && (
+            <div className={`result-card ${result.type}`}>
+              <div className="result-icon">
+                {result.type === KioskScanAction.CHECK_IN ? '✓' :
+                  result.type === KioskScanAction.CHECK_OUT ? '👋' :
+                    result.type === 'error' ? '✗' : 'ℹ'}
+              </div>
+              {result.name && <div className="result-name">{result.name}</div>}
+              <div className="result-message">
+                {result.message}{result.time ? ` at ${result.time}` : ''}
+              </div>
+              {result.outsideSite && <div className="result-warning">📍 {result.outsideSite}</div>}
+            </div>
+          )}
+        </div>
+
+        {recentScans.length > 0 && (
+          <div className="recent-scans">
+            <h2>Recent Scans</h2>
+            <ul>
+              {recentScans.map((scan, index) => (
+                <li key={index} className={scan.type}>
+                  <span className="scan-at">{scan.at.toLocaleTimeString('en-IN', { hour: '2-digit', minute: '2-digit' })}</span>
+                  <span className="scan-name">{scan.name || '—'}</span>
+                  <span className="scan-message">{scan.message}</span>
+                </li>
+              ))}
+            </ul>
+          </div>
+        )}
+      </div>
+
+      <style jsx>{`
+        .kiosk-page {
+          min-height: 100vh;
+          background: #111827;
+          color: white;
+          padding: 16px;
+          display: flex;
+          flex-direction: column;
+          gap: 16px;
+        }
+
+        .loading-container {
+          display: flex;
+          flex-direction: column;
+          align-items: center;
+          justify-content: center;
+          min-height: 100vh;
+          gap: 20px;
+        }
+
+        .spinner {
+          border: 4px solid #f3f3f3;
+          border-top: 4px solid #007cba;
+          border-radius: 50%;
+          width: 40px;
+          height: 40px;
+          animation: spin 1s linear infinite;
+        }
+
+        @keyframes spin {
+          0% { transform: rotate(0deg); }
+          100% { transform: rotate(360deg); }
+        }
+
+        .kiosk-header {
+          display: flex;
+          justify-content: space-between;
+          align-items: center;
+        }
+
+        .header-link {
+          background: none;
+          border: 1px solid #374151;
+          color: #d1d5db;
+          padding: 8px 12px;
+          border-radius: 6px;
+          font-size: 0.9rem;
+          cursor: pointer;
+        }
+
+        .clock {
+          text-align: center;
+        }
+
+        .clock-time {
+          font-size: 2rem;
+          font-weight: 700;
+        }
+
+        .clock-date {
+          color: #9ca3af;
+          font-size: 0.9rem;
+        }
+
+        .scanner {
+          position: relative;
+          flex: 1;
+          min-height: 360px;
+          background: black;
+          border-radius: 12px;
+          overflow: hidden;
+        }
+
+        .camera {
+          width: 100%;
+          height: 100%;
+          object-fit: cover;
+          display: block;
+        }
+
+        .hidden-canvas {
+          display: none;
+        }
+
+        .camera-overlay {
+          position: absolute;
+          inset: 0;
+          display: flex;
+          flex-direction: column;
+          align-items: center;
+          justify-content: center;
+          gap: 16px;
+          padding: 20px;
+          text-align: center;
+        }
+
+        .camera-error {
+          color: #fca5a5;
+          max-width: 420px;
+          margin: 0;
+        }
+
+        .start-btn {
+          padding: 18px 32px;
+          font-size: 1.25rem;
+          font-weight: 600;
+          background: #007cba;
+          color: white;
+          border: none;
+          border-radius: 10px;
+          cursor: pointer;
+        }
+
+        .start-btn:disabled {
+          opacity: 0.7;
+          cursor: wait;
+        }
+
+        .scan-frame {
+          position: absolute;
+          top: 50%;
+          left: 50%;
+          width: min(70vw, 320px);
+          height: min(70vw, 320px);
+          transform: translate(-50%, -50%);
+          border: 4px solid rgba(255, 255, 255, 0.8);
+          border-radius: 16px;
+          display: flex;
+          align-items: flex-end;
+          justify-content: center;
+        }
+
+        .scan-frame span {
+          transform: translateY(40px);
+          color: white;
+          font-size: 1rem;
+          text-shadow: 0 1px 3px black;
+          white-space: nowrap;
+        }
+
+        .result-card {
+          position: absolute;
+          inset: 0;
+          display: flex;
+          flex-direction: column;
+          align-items: center;
+          justify-content: center;
+          gap: 12px;
+          text-align: center;
+          padding: 20px;
+        }
+
+        .result-card.check-in {
+          background: rgba(22, 163, 74, 0.92);
+        }
+
+        .result-card.check-out {
+          background: rgba(37, 99, 235, 0.92);
+        }
+
+        .result-card.repeat,
+        .result-card.complete {
+          background: rgba(202, 138, 4, 0.92);
+        }
+
+        .result-card.error {
+          background: rgba(220, 38, 38, 0.92);
+        }
+
+        .result-icon {
+          font-size: 4rem;
+          line-height: 1;
+        }
+
+        .result-name {
+          font-size: 2rem;
+          font-weight: 700;
+        }
+
+        .result-message {
+          font-size: 1.3rem;
+        }
+
+        .result-warning {
+          font-size: 1rem;
+          background: rgba(0, 0, 0, 0.25);
+          padding: 6px 12px;
+          border-radius: 6px;
+        }
+
+        .recent-scans h2 {
+          font-size: 1rem;
+          color: #9ca3af;
+          margin: 0 0 8px 0;
+        }
+
+        .recent-scans ul {
+          list-style: none;
+          margin: 0;
+          padding: 0;
+        }
+
+        .recent-scans li {
+          display: grid;
+          grid-template-columns: 60px 1fr auto;
+          gap: 10px;
+          padding: 8px 10px;
+          border-radius: 6px;
+          background: #1f2937;
+          margin-bottom: 6px;
+          font-size: 0.9rem;
+        }
+
+        .recent-scans li.error .scan-message {
+          color: #fca5a5;
+        }
+
+        .recent-scans li.check-in .scan-message {
+          color: #86efac;
+        }
+
+        .recent-scans li.check-out .scan-message {
+          color: #93c5fd;
+        }
+
+        .scan-at {
+          color: #9ca3af;
+        }
+
+        .scan-name {
+          font-weight: 500;
+        }
+      `}</style>
+    </>
+  );
+}
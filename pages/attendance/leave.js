@@ -0,0 +1,856 @@
+import { useState, useEffect } from 'react';
+import { useRouter } from 'next/router';
+import Head from 'next/head';
+import { useAuth } from '../../contexts/AuthContext';
+import { useAdmin } from '../../hooks/useAdmin';
+import employeeService from '../../lib/services/employeeService';
+import holidayService from '../../lib/services/holidayService';
+import leaveService from '../../lib/services/leaveService';
+import leaveTypeService from '../../lib/services/leaveTypeService';
+import LeaveRequestForm from '../../components/leave/LeaveRequestForm';
+import LeaveRequestList from '../../components/leave/LeaveRequestList';
+import {
+  LeaveAccrual,
+  LeaveRequestStatus,
+  LeaveTypeLimits,
+  validateLeaveType,
+  createEmptyLeaveType,
+  hasLeaveAllowance
+} from '../../lib/models/Leave';
+
+export default function LeaveManagement() {
+  const { user, loading: authLoading } = useAuth();
+  const { isAdmin } = useAdmin();
+  const router = useRouter();
+  const [currentView, setCurrentView] = useState('requests'); // 'requests', 'balances', 'types'
+  const [employees, setEmployees] = useState([]);
+  const [leaveTypes, setLeaveTypes] = useState([]);
+  const [requests, setRequests] = useState([]);
+  const [calendar, setCalendar] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [busyId, setBusyId] = useState(null);
+  const [error, setError] = useState('');
+  const [success, setSuccess] = useState('');
+
+  // Balances view
+  const [balanceEmployeeId, setBalanceEmployeeId] = useState('');
+  const [balanceYear, setBalanceYear] = useState(new Date().getFullYear());
+  const [balances, setBalances] = useState([]);
+  const [balancesLoading, setBalancesLoading] = useState(false);
+
+  // Leave types view
+  const [typeForm, setTypeForm] = useState(createEmptyLeaveType());
+  const [editingTypeId, setEditingTypeId] = useState(null);
+  const [typeErrors, setTypeErrors] = useState({});
+  const [savingType, setSavingType] = useState(false);
+
+  // Redirect if not authenticated
+  useEffect(() => {
+    if (!authLoading && !user) {
+      router.push('/auth/login');
+    }
+  }, [user, authLoading, router]);
+
+  // Load initial data
+  useEffect(() => {
+    if (user) {
+      loadData();
+    }
+  }, [user]); // eslint-disable-line react-hooks/exhaustive-deps
+
+  // Load balances when the employee or year changes
+  useEffect(() => {
+    if (balanceEmployeeId) {
+      loadBalances();
+    } else {
+      setBalances([]);
+    }
+  }, [balanceEmployeeId, balanceYear]); // eslint-disable-line react-hooks/exhaustive-deps
+
+  const loadData = async () => {
+    setLoading(true);
+    setError('');
+
+    try {
+      const [employeesData, leaveTypesData, requestsData, calendarData] = await Promise.all([
+        employeeService.getAllEmployees(),
+        leaveTypeService.getLeaveTypes(),
+        leaveService.getLeaveRequests(),
+        holidayService.getWorkCalendar()
+      ]);
+      setEmployees(employeesData);
+      setLeaveTypes(leaveTypesData);
+      setRequests(requestsData);
+      setCalendar(calendarData);
+    } catch (err) {
+      console.error('Error loading leave data:', err);
+      setError('Failed to load leave data. Please try again.');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const loadBalances = async () => {
+    setBalancesLoading(true);
+    try {
+      setBalances(await leaveService.getEmployeeBalances(balanceEmployeeId, balanceYear));
+    } catch (err) {
+      console.error('Error loading leave balances:', err);
+      setError(`Failed to load leave balances: ${err.message}`);
+      setBalances([]);
+    } finally {
+      setBalancesLoading(false);
+    }
+  };
+
+  const handleCreateRequest = async (requestData) => {
+    setError('');
+    setSuccess('');
+
+    const request = await leaveService.createLeaveRequest(requestData, user?.email || '');
+    setSuccess(`Leave request for ${request.employee_name} (${request.days} day(s)) sent for approval.`);
+    await loadData();
+  };
+
+  const handleApprove = async (request) => {
+    const note = window.prompt(`Approve ${request.days} day(s) of ${request.leave_type_name} for ${request.employee_name}? Optional note:`, '');
+    if (note === null) return;
+
+    setError('');
+    setSuccess('');
+    setBusyId(request.id);
+    try {
+      await leaveService.approveLeaveRequest(request.id, user?.email || '', note);
+      setSuccess(`Approved leave for ${request.employee_name}. ${request.days} attendance record(s) marked as leave.`);
+      await loadData();
+    } catch (err) {
+      console.error('Error approving leave:', err);
+      setError(err.message || 'Failed to approve leave.');
+    } finally {
+      setBusyId(null);
+    }
+  };
+
+  const handleReject = async (request) => {
+    const note = window.prompt(`Reason for rejecting ${request.employee_name}'s leave:`, '');
+    if (note === null) return;
+
+    setError('');
+    setSuccess('');
+    setBusyId(request.id);
+    try {
+      await leaveService.rejectLeaveRequest(request.id, user?.email || '', note);
+      setSuccess(`Rejected leave for ${request.employee_name}.`);
+      await loadData();
+    } catch (err) {
+      console.error('Error rejecting leave:', err);
+      setError(err.message || 'Failed to reject leave.');
+    } finally {
+      setBusyId(null);
+    }
+  };
+
+  const handleCancel = async (request) => {
+    if (!window.confirm(`Withdraw ${request.employee_name}'s leave request?`)) return;
+
+    setError('');
+    setSuccess('');
+    setBusyId(request.id);
+    try {
+      await leaveService.cancelLeaveRequest(request.id, user?.email || '');
+      setSuccess(`Withdrew leave request for ${request.employee_name}.`);
+      await loadData();
+    } catch (err) {
+      console.error('Error withdrawing leave:', err);
+      setError(err.message || 'Failed to withdraw leave request.');
+    } finally {
+      setBusyId(null);
+    }
+  };
+
+  const handleTypeInputChange = (e) => {
+    const { name, value, type, checked } = e.target;
+    setTypeForm(prev => ({
+      ...prev,
+      [name]: type === 'checkbox' ? checked : value
+    }));
+
+    if (typeErrors[name]) {
+      setTypeErrors(prev => ({ ...prev, [name]: '' }));
+    }
+  };
+
+  const resetTypeForm = () => {
+    setTypeForm(createEmptyLeaveType());
+    setEditingTypeId(null);
+    setTypeErrors({});
+  };
+
+  const handleEditType = (leaveType) => {
+    setTypeForm({
+      name: leaveType.name,
+      paid: leaveType.paid,
+      yearly_allowance: String(leaveType.yearly_allowance),
+      accrual: leaveType.accrual,
+      carry_forward_limit: String(leaveType.carry_forward_limit),
+      active: leaveType.active !== false
+    });
+    setEditingTypeId(leaveType.id);
+    setTypeErrors({});
+  };
+
+  const handleSaveType = async (e) => {
+    e.preventDefault();
+    setError('');
+    setSuccess('');
+
+    const validation = validateLeaveType(typeForm);
+    if (!validation.isValid) {
+      setTypeErrors(validation.errors);
+      return;
+    }
+
+    setSavingType(true);
+    try {
+      if (editingTypeId) {
+        await leaveTypeService.updateLeaveType(editingTypeId, typeForm, user?.email || '');
+        setSuccess(`Updated ${typeForm.name}.`);
+      } else {
+        await leaveTypeService.addLeaveType(typeForm, user?.email || '');
+        setSuccess(`Added ${typeForm.name}.`);
+      }
+      resetTypeForm();
+      await loadData();
+    } catch (err) {
+      console.error('Error saving leave type:', err);
+      setError(err.message || 'Failed to save leave type.');
+    } finally {
+      setSavingType(false);
+    }
+  };
+
+  const describeAccrual = (leaveType) => {
+    if (!hasLeaveAllowance(leaveType)) return 'No limit';
+    const credit = leaveType.accrual === LeaveAccrual.MONTHLY ?
+      `${(leaveType.yearly_allowance / 12).toFixed(2)}/month` :
+      'all on 1 Jan';
+    return `${leaveType.yearly_allowance} days/year (${credit})`;
+  };
+
+  if (authLoading || loading) {
+    return (
+      <div className="loading-container">
+        <div className="spinner"></div>
+        <p>Loading leave management...</p>
+      </div>
+    );
+  }
+
+  if (!user) {
+    return null; // Will redirect
+  }
+
+  const activeLeaveTypes = leaveTypes.filter(leaveType => leaveType.active !== false);
+  const pendingCount = requests.filter(request => request.status === LeaveRequestStatus.PENDING).length;
+
+  return (
+    <>
+      <Head>
+        <title>Leave Management - Employee Management</title>
+        <meta name="description" content="Leave requests, approvals and balances" />
+      </Head>
+
+      <div className="leave-page">
+        {/* Header */}
+        <div className="page-header">
+          <div className="breadcrumb">
+            <button onClick={() => router.push('/attendance')} className="breadcrumb-link">
+              ← Attendance Dashboard
+            </button>
+          </div>
+
+          <div className="header-content">
+            <h1>Leave Management</h1>
+            <p>Enter leave requests for workers, approve them, and track each worker's balance</p>
+          </div>
+        </div>
+
+        {/* Messages */}
+        {error && (
+          <div className="message error">
+            <strong>Error:</strong> {error}
+            <button onClick={() => setError('')} className="close-message">×</button>
+          </div>
+        )}
+
+        {success && (
+          <div className="message success">
+            <strong>Success:</strong> {success}
+            <button onClick={() => setSuccess('')} className="close-message">×</button>
+          </div>
+        )}
+
+        {/* Navigation */}
+        <div className="view-navigation">
+          <button
+            className={`nav-btn ${currentView === 'requests' ? 'active' : ''}`}
+            onClick={() => setCurrentView('requests')}
+          >
+            📝 Requests{pendingCount > 0 ? ` (${pendingCount} pending)` : ''}
+          </button>
+          <button
+            className={`nav-btn ${currentView === 'balances' ? 'active' : ''}`}
+            onClick={() => setCurrentView('balances')}
+          >
+            📊 Balances
+          </button>
+          <button
+            className={`nav-btn ${currentView === 'types' ? 'active' : ''}`}
+            onClick={() => setCurrentView('types')}
+          >
+            ⚙️ Leave Types
+          </button>
+        </div>
+
+        {currentView === 'requests' && (
+          <>
+            {activeLeaveTypes.length === 0 ? (
+              <div className="card">
+                <p className="empty">
+                  No leave types yet. {isAdmin ? 'Add one under Leave Types first.' : 'Ask an admin to add leave types.'}
+                </p>
+              </div>
+            ) : (
+              <LeaveRequestForm
+                employees={employees}
+                leaveTypes={activeLeaveTypes}
+                calendar={calendar}
+                onSubmit={handleCreateRequest}
+              />
+            )}
+
+            <LeaveRequestList
+              requests={requests}
+              isAdmin={isAdmin}
+              busyId={busyId}
+              onApprove={handleApprove}
+              onReject={handleReject}
+              onCancel={handleCancel}
+            />
+          </>
+        )}
+
+        {currentView === 'balances' && (
+          <div className="card">
+            <h2>Leave Balances</h2>
+            <div className="balance-controls">
+              <select
+                value={balanceEmployeeId}
+                onChange={(e) => setBalanceEmployeeId(e.target.value)}
+                aria-label="Employee"
+              >
+                <option value="">Select Employee</option>
+                {employees.map(employee => (
+                  <option key={employee.id} value={employee.id}>{employee.name}</option>
+                ))}
+              </select>
+              <input
+                type="number"
+                value={balanceYear}
+                onChange={(e) => setBalanceYear(parseInt(e.target.value, 10) || new Date().getFullYear())}
+                min="2000"
+                max="2100"
+                aria-label="Year"
+              />
+            </div>
+
+            {!balanceEmployeeId ? (
+              <p className="empty">Select an employee to see their balances.</p>
+            ) : balancesLoading ? (
+              <p className="empty">Loading balances...</p>
+            ) : balances.length === 0 ? (
+              <p className="empty">No leave types set up.</p>
+            ) : (
+              <table className="data-table">
+                <thead>
+                  <tr>
+                    <th>Leave Type</th>
+                    <th>Carried Forward</th>
+                    <th>Accrued</th>
+                    <th>Used</th>
+                    <th>Pending</th>
+                    <th>Available</th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {balances.map(balance => (
+                    <tr key={balance.leaveType.id}>
+                      <td>
+                        {balance.leaveType.name}
+                        {balance.leaveType.active === false && <span className="muted"> (retired)</span>}
+                      </td>
+                      <td>{balance.limited ? balance.carriedForward : '-'}</td>
+                      <td>{balance.limited ? balance.accrued : '-'}</td>
+                      <td>{balance.used}</td>
+                      <td>{balance.pending}</td>
+                      <td className="available">{balance.limited ? balance.available : 'No limit'}</td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            )}
+            <p className="hint">
+              Monthly accrual counts the months up to today. Available days do not yet subtract pending requests.
+            </p>
+          </div>
+        )}
+
+        {currentView === 'types' && (
+          <>
+            {isAdmin && (
+              <form onSubmit={handleSaveType} className="card type-form">
+                <h2>{editingTypeId ? 'Edit Leave Type' : 'Add Leave Type'}</h2>
+                <div className="form-grid">
+                  <div className="form-group">
+                    <label htmlFor="name">Name *</label>
+                    <input
+                      type="text"
+                      id="name"
+                      name="name"
+                      value={typeForm.name}
+                      onChange={handleTypeInputChange}
+                      className={typeErrors.name ? 'error' : ''}
+                      placeholder="e.g. Casual Leave"
+                      required
+                    />
+                    {typeErrors.name && <div className="error-message">{typeErrors.name}</div>}
+                  </div>
+
+                  <div className="form-group">
+                    <label htmlFor="yearly_allowance">Days per Year *</label>
+                    <input
+                      type="number"
+                      id="yearly_allowance"
+                      name="yearly_allowance"
+                      value={typeForm.yearly_allowance}
+                      onChange={handleTypeInputChange}
+                      className={typeErrors.yearly_allowance ? 'error' : ''}
+                      min={LeaveTypeLimits.yearly_allowance.min}
+                      max={LeaveTypeLimits.yearly_allowance.max}
+                      step="0.5"
+                      required
+                    />
+                    {typeErrors.yearly_allowance && <div className="error-message">{typeErrors.yearly_allowance}</div>}
+                    <div className="field-hint">0 means no limit (unpaid leave only)</div>
+                  </div>
+
+                  <div className="form-group">
+                    <label htmlFor="accrual">Accrual *</label>
+                    <select
+                      id="accrual"
+                      name="accrual"
+                      value={typeForm.accrual}
+                      onChange={handleTypeInputChange}
+                      className={typeErrors.accrual ? 'error' : ''}
+                    >
+                      <option value={LeaveAccrual.MONTHLY}>Monthly (1/12 each month)</option>
+                      <option value={LeaveAccrual.YEARLY}>Yearly (all on 1 January)</option>
+                    </select>
+                    {typeErrors.accrual && <div className="error-message">{typeErrors.accrual}</div>}
+                  </div>
+
+                  <div className="form-group">
+                    <label htmlFor="carry_forward_limit">Carry Forward (days) *</label>
+                    <input
+                      type="number"
+                      id="carry_forward_limit"
+                      name="carry_forward_limit"
+                      value={typeForm.carry_forward_limit}
+                      onChange={handleTypeInputChange}
+                      className={typeErrors.carry_forward_limit ? 'error' : ''}
+                      min={LeaveTypeLimits.carry_forward_limit.min}
+                      max={LeaveTypeLimits.carry_forward_limit.max}
+                      step="0.5"
+                      required
+                    />
+                    {typeErrors.carry_forward_limit && <div className="error-message">{typeErrors.carry_forward_limit}</div>}
+                    <div className="field-hint">Unused days that roll into next year</div>
+                  </div>
+                </div>
+
+                <div className="checkbox-row">
+                  <label>
+                    <input type="checkbox" name="paid" checked={typeForm.paid} onChange={handleTypeInputChange} />
+                    Paid leave
+                  </label>
+                  <label>
+                    <input type="checkbox" name="active" checked={typeForm.active} onChange={handleTypeInputChange} />
+                    In use
+                  </label>
+                </div>
+
+                <div className="form-actions">
+                  {editingTypeId && (
+                    <button type="button" onClick={resetTypeForm} className="btn-secondary" disabled={savingType}>
+                      Cancel
+                    </button>
+                  )}
+                  <button type="submit" className="btn-primary" disabled={savingType}>
+                    {savingType ? 'Saving...' : editingTypeId ? 'Update Leave Type' : 'Add Leave Type'}
+                  </button>
+                </div>
+              </form>
+            )}
+
+            <div className="card">
+              <h2>Leave Types</h2>
+              {leaveTypes.length === 0 ? (
+                <p className="empty">No leave types yet.</p>
+              ) : (
+                <table className="data-table">
+                  <thead>
+                    <tr>
+                      <th>Name</th>
+                      <th>Pay</th>
+                      <th>Allowance</th>
+                      <th>Carry Forward</th>
+                      <th>Status</th>
+                      {isAdmin && <th>Actions</th>}
+                    </tr>
+                  </thead>
+                  <tbody>
+                    {leaveTypes.map(leaveType => (
+                      <tr key={leaveType.id}>
+                        <td>{leaveType.name}</td>
+                        <td>{leaveType.paid ? 'Paid' : 'Unpaid'}</td>
+                        <td>{describeAccrual(leaveType)}</td>
+                        <td>{leaveType.carry_forward_limit > 0 ? `Up to ${leaveType.carry_forward_limit} days` : 'None'}</td>
+                        <td>{leaveType.active !== false ? 'In use' : 'Retired'}</td>
+                        {isAdmin && (
+                          <td>
+                            <button onClick={() => handleEditType(leaveType)} className="btn-link">Edit</button>
+                          </td>
+                        )}
+                      </tr>
+                    ))}
+                  </tbody>
+                </table>
+              )}
+            </div>
+          </>
+        )}
+      </div>
+
+      <style jsx>{`
+        .leave-page {
+          max-width: 1100px;
+          margin: 0 auto;
+          padding: 20px;
+          min-height: 100vh;
+          background: #f5f5f5;
+        }
+
+        .loading-container {
+          display: flex;
+          flex-direction: column;
+          align-items: center;
+          justify-content: center;
+          min-height: 100vh;
+          gap: 20px;
+        }
+
+        .spinner {
+          border: 4px solid #f3f3f3;
+          border-top: 4px solid #007cba;
+          border-radius: 50%;
+          width: 40px;
+          height: 40px;
+          animation: spin 1s linear infinite;
+        }
+
+        @keyframes spin {
+          0% { transform: rotate(0deg); }
+          100% { transform: rotate(360deg); }
+        }
+
+        .page-header {
+          background: white;
+          padding: 30px;
+          border-radius: 12px;
+          box-shadow: 0 2px 10px rgba(0, 0, 0, 0.1);
+          margin-bottom: 20px;
+        }
+
+        .breadcrumb {
+          margin-bottom: 20px;
+        }
+
+        .breadcrumb-link {
+          background: none;
+          border: none;
+          color: #007cba;
+          cursor: pointer;
+          font-size: 14px;
+          text-decoration: underline;
+          padding: 0;
+        }
+
+        .header-content h1 {
+          margin: 0 0 10px 0;
+          color: #333;
+          font-size: 2rem;
+        }
+
+        .header-content p {
+          margin: 0;
+          color: #666;
+          font-size: 1rem;
+        }
+
+        .message {
+          padding: 15px 20px;
+          border-radius: 6px;
+          margin-bottom: 20px;
+          display: flex;
+          justify-content: space-between;
+          align-items: center;
+        }
+
+        .message.error {
+          background: #fee;
+          color: #c33;
+          border: 1px solid #fcc;
+        }
+
+        .message.success {
+          background: #dfd;
+          color: #363;
+          border: 1px solid #beb;
+        }
+
+        .close-message {
+          background: none;
+          border: none;
+          color: inherit;
+          cursor: pointer;
+          font-size: 18px;
+          padding: 0;
+          margin-left: 10px;
+        }
+
+        .view-navigation {
+          display: flex;
+          gap: 5px;
+          margin-bottom: 20px;
+          background: white;
+          padding: 5px;
+          border-radius: 8px;
+          box-shadow: 0 2px 4px rgba(0, 0, 0, 0.1);
+        }
+
+        .nav-btn {
+          flex: 1;
+          padding: 12px 16px;
+          background: none;
+          border: none;
+          border-radius: 6px;
+          font-size: 14px;
+          cursor: pointer;
+          color: #666;
+        }
+
+        .nav-btn.active {
+          background: #007cba;
+          color: white;
+        }
+
+        .card {
+          background: white;
+          padding: 25px;
+          border-radius: 8px;
+          box-shadow: 0 2px 4px rgba(0, 0, 0, 0.1);
+          margin-bottom: 20px;
+        }
+
+        .card h2 {
+          margin: 0 0 15px 0;
+          color: #333;
+          font-size: 1.2rem;
+        }
+
+        .empty,
+        .hint {
+          color: #666;
+          margin: 0;
+          font-size: 0.9rem;
+        }
+
+        .hint {
+          margin-top: 12px;
+          font-size: 0.8rem;
+        }
+
+        .muted {
+          color: #999;
+        }
+
+        .balance-controls {
+          display: flex;
+          gap: 10px;
+          margin-bottom: 15px;
+        }
+
+        .balance-controls select,
+        .balance-controls input {
+          padding: 8px 12px;
+          border: 1px solid #ddd;
+          border-radius: 6px;
+          font-size: 0.9rem;
+        }
+
+        .balance-controls input {
+          width: 100px;
+        }
+
+        .data-table {
+          width: 100%;
+          border-collapse: collapse;
+        }
+
+        .data-table th,
+        .data-table td {
+          padding: 10px 12px;
+          text-align: left;
+          border-bottom: 1px solid #eee;
+          font-size: 0.9rem;
+        }
+
+        .data-table th {
+          background: #f8f9fa;
+          color: #333;
+          font-weight: 600;
+        }
+
+        .available {
+          font-weight: 600;
+          color: #155724;
+        }
+
+        .form-grid {
+          display: grid;
+          grid-template-columns: repeat(auto-fit, minmax(200px, 1fr));
+          gap: 15px;
+        }
+
+        .form-group {
+          display: flex;
+          flex-direction: column;
+        }
+
+        .form-group label {
+          margin-bottom: 6px;
+          font-weight: 500;
+          color: #333;
+          font-size: 0.9rem;
+        }
+
+        .form-group input,
+        .form-group select {
+          padding: 10px 12px;
+          border: 1px solid #ddd;
+          border-radius: 6px;
+          font-size: 0.9rem;
+        }
+
+        .form-group input.error,
+        .form-group select.error {
+          border-color: #c33;
+        }
+
+        .error-message {
+          color: #c33;
+          font-size: 0.8rem;
+          margin-top: 4px;
+        }
+
+        .field-hint {
+          color: #666;
+          font-size: 0.8rem;
+          margin-top: 4px;
+        }
+
+        .checkbox-row {
+          display: flex;
+          gap: 20px;
+          margin-top: 15px;
+        }
+
+        .checkbox-row label {
+          display: flex;
+          align-items: center;
+          gap: 6px;
+          font-size: 0.9rem;
+          color: #333;
+        }
+
+        .form-actions {
+          display: flex;
+          justify-content: flex-end;
+          gap: 10px;
+          margin-top: 20px;
+        }
+
+        .btn-primary,
+        .btn-secondary {
+          padding: 10px 20px;
+          border-radius: 6px;
+          font-size: 14px;
+          font-weight: 500;
+          cursor: pointer;
+        }
+
+        .btn-primary {
+          background: #007cba;
+          color: white;
+          border: none;
+        }
+
+        .btn-secondary {
+          background: #f8f9fa;
+          color: #333;
+          border: 1px solid #ddd;
+        }
+
+        .btn-primary:disabled,
+        .btn-secondary:disabled {
+          opacity: 0.6;
+          cursor: not-allowed;
+        }
+
+        .btn-link {
+          background: none;
+          border: none;
+          color: #007cba;
+          cursor: pointer;
+          font-size: 0.9rem;
+          padding: 0;
+        }
+
+        @media (max-width: 768px) {
+          .leave-page {
+            padding: 10px;
+          }
+
+          .view-navigation {
+            flex-direction: column;
+          }
+
+          .data-table {
+            display: block;
+            overflow-x: auto;
+          }
+        }
+      `}</style>
+    </>
+  );
+}
@@ -0,0 +1,509 @@
+import { useState, useEffect, useMemo } from 'react';
+import { useRouter } from 'next/router';
+import Head from 'next/head';
+import { useAuth } from '../../contexts/AuthContext';
+import attendanceService from '../../lib/services/attendanceService';
+import employeeService from '../../lib/services/employeeService';
+import holidayService from '../../lib/services/holidayService';
+import periodService from '../../lib/services/periodService';
+import { PAYSLIP_COMPANY } from '../../lib/services/payslipService';
+import MusterRollGrid from '../../components/attendance/MusterRollGrid';
+import {
+  WORKED_STATUSES,
+  getStatusLabel,
+  getLocalDateString
+} from '../../lib/models/Attendance';
+import { buildMusterRoll, getMonthBounds, MUSTER_LEGEND } from '../../lib/models/MusterRoll';
+
+/**
+ * Shift a YYYY-MM month by a number of months
+ * @param {string} month - Month (YYYY-MM)
+ * @param {number} offset - Months to add (negative to go back)
+ * @returns {string} Month (YYYY-MM)
+ */
+const shiftMonth = (month, offset) => {
+  const [year, monthNumber] = month.split('-').map(Number);
+  const shifted = new Date(Date.UTC(year, monthNumber - 1 + offset, 1));
+  return shifted.toISOString().slice(0, 7);
+};
+
+export default function MusterRoll() {
+  const { user, loading: authLoading } = useAuth();
+  const router = useRouter();
+  const [month, setMonth] = useState(getLocalDateString().slice(0, 7));
+  const [placeOfWork, setPlaceOfWork] = useState('');
+  const [employees, setEmployees] = useState([]);
+  const [records, setRecords] = useState([]);
+  const [calendar, setCalendar] = useState(null);
+  const [closedPeriods, setClosedPeriods] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [savingCell, setSavingCell] = useState(null);
+  const [error, setError] = useState('');
+  const [success, setSuccess] = useState('');
+
+  // Redirect if not authenticated
+  useEffect(() => {
+    if (!authLoading && !user) {
+      router.push('/auth/login');
+    }
+  }, [user, authLoading, router]);
+
+  // Load the month
+  useEffect(() => {
+    if (user) {
+      loadData();
+    }
+  }, [user, month]); // eslint-disable-line react-hooks/exhaustive-deps
+
+  const loadData = async () => {
+    setLoading(true);
+    setError('');
+
+    try {
+      const { startDate, endDate } = getMonthBounds(month);
+      const [employeesData, attendanceData, calendarData, periodsData] = await Promise.all([
+        employeeService.getAllEmployees(),
+        attendanceService.getAttendanceByDateRange(startDate, endDate),
+        holidayService.getWorkCalendar(),
+        periodService.getClosedPeriods()
+      ]);
+      setEmployees(employeesData);
+      setRecords(attendanceData);
+      setCalendar(calendarData);
+      setClosedPeriods(periodsData);
+    } catch (err) {
+      console.error('Error loading muster roll:', err);
+      setError('Failed to load the muster roll. Please try again.');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const musterRoll = useMemo(
+    () => buildMusterRoll(employees, records, month, calendar, closedPeriods),
+    [employees, records, month, calendar, closedPeriods]
+  );
+
+  // Save an inline change through the normal attendance write path
+  const handleCellChange = async (employee, cell, status) => {
+    setError('');
+    setSuccess('');
+    setSavingCell(`${employee.id}_${cell.date}`);
+
+    try {
+      const existing = cell.record;
+      // Punch times survive a change between present and half day only
+      const keepTimes = existing && WORKED_STATUSES.includes(existing.status) && WORKED_STATUSES.includes(status);
+
+      const result = await attendanceService.markAttendance({
+        employee_id: employee.id,
+        date: cell.date,
+        status,
+        marked_by: user?.uid || user?.email || 'admin',
+        check_in_time: keepTimes ? existing.check_in_time || '' : '',
+        check_out_time: keepTimes ? existing.check_out_time || '' : '',
+        notes: existing && existing.notes ? existing.notes : '',
+        shift_id: existing && existing.shift_id ? existing.shift_id : ''
+      });
+
+      setRecords(prev => [
+        ...prev.filter(record => !(record.employee_id === employee.id && record.date === cell.date)),
+        result
+      ]);
+      setSuccess(`${employee.name} marked ${getStatusLabel(status)} on ${cell.date}.`);
+    } catch (err) {
+      console.error('Error saving muster roll entry:', err);
+      setError(err.message || 'Failed to save attendance.');
+    } finally {
+      setSavingCell(null);
+    }
+  };
+
+  if (authLoading) {
+    return (
+      <div className="loading-container">
+        <div className="spinner"></div>
+        <p>Loading...</p>
+      </div>
+    );
+  }
+
+  if (!user) {
+    return null; // Will redirect
+  }
+
+  const monthLabel = new Date(`${month}-01T00:00:00`).toLocaleDateString('en-IN', { month: 'long', year: 'numeric' });
+
+  return (
+    <>
+      <Head>
+        <title>Muster Roll - Employee Management</title>
+        <meta name="description" content="Monthly muster roll of employee attendance" />
+      </Head>
+
+      <div className="muster-page">
+        {/* Header */}
+        <div className="page-header no-print">
+          <div className="breadcrumb">
+            <button onClick={() => router.push('/attendance/reports')} className="breadcrumb-link">
+              ← Attendance Reports
+            </button>
+          </div>
+
+          <div className="header-content">
+            <h1>Muster Roll</h1>
+            <p>Employees by day for the month. Click a cell to change it while it is still open for editing.</p>
+          </div>
+
+          <div className="controls">
+            <div className="month-nav">
+              <button onClick={() => setMonth(shiftMonth(month, -1))} className="btn-secondary" aria-label="Previous month">←</button>
+              <input
+                type="month"
+                value={month}
+                onChange={(e) => e.target.value && setMonth(e.target.value)}
+                className="month-input"
+              />
+              <button onClick={() => setMonth(shiftMonth(month, 1))} className="btn-secondary" aria-label="Next month">→</button>
+            </div>
+            <input
+              type="text"
+              value={placeOfWork}
+              onChange={(e) => setPlaceOfWork(e.target.value)}
+              placeholder="Nature and location of work (printed)"
+              className="place-input"
+            />
+            <button onClick={() => window.print()} className="btn-primary" disabled={loading}>
+              🖨 Print Muster Roll
+            </button>
+          </div>
+        </div>
+
+        {/* Messages */}
+        {error && (
+          <div className="message error no-print">
+            <strong>Error:</strong> {error}
+            <button onClick={() => setError('')} className="close-message">×</button>
+          </div>
+        )}
+
+        {success && (
+          <div className="message success no-print">
+            <strong>Saved:</strong> {success}
+            <button onClick={() => setSuccess('')} className="close-message">×</button>
+          </div>
+        )}
+
+        <div className="muster-sheet">
+          {/* Statutory heading, printed only */}
+          <div className="print-heading print-only">
+            <div className="form-title">FORM XVI</div>
+            <div className="form-rule">[See Rule 78(1)(a)(i)]</div>
+            <div className="form-name">MUSTER ROLL</div>
+            <div className="form-details">
+              <div><span>Name and address of contractor:</span> {PAYSLIP_COMPANY.name}, {PAYSLIP_COMPANY.tagline}</div>
+              <div><span>Nature and location of work:</span> {placeOfWork || '________________________'}</div>
+              <div><span>For the month of:</span> {monthLabel}</div>
+            </div>
+          </div>
+
+          <h2 className="no-print">{monthLabel}</h2>
+
+          {loading ? (
+            <div className="loading-section">
+              <div className="spinner"></div>
+              <p>Loading muster roll...</p>
+            </div>
+          ) : (
+            <MusterRollGrid
+              musterRoll={musterRoll}
+              savingCell={savingCell}
+              onCellChange={handleCellChange}
+            />
+          )}
+
+          <div className="legend">
+            {MUSTER_LEGEND.map(item => (
+              <span key={item.status}><strong>{item.code}</strong> – {item.label}</span>
+            ))}
+            <span className="no-print"><em>Italic</em> – holiday or weekly off from the calendar, not marked</span>
+          </div>
+
+          <div className="signatures print-only">
+            <div>Signature of Contractor or Authorised Representative</div>
+            <div>Checked by (Principal Employer)</div>
+          </div>
+        </div>
+      </div>
+
+      <style jsx>{`
+        .muster-page {
+          max-width: 1600px;
+          margin: 0 auto;
+          padding: 20px;
+          min-height: 100vh;
+          background: #f5f5f5;
+        }
+
+        .loading-container {
+          display: flex;
+          flex-direction: column;
+          align-items: center;
+          justify-content: center;
+          min-height: 100vh;
+          gap: 20px;
+        }
+
+        .spinner {
+          border: 4px solid #f3f3f3;
+          border-top: 4px solid #007cba;
+          border-radius: 50%;
+          width: 40px;
+          height: 40px;
+          animation: spin 1s linear infinite;
+        }
+
+        @keyframes spin {
+          0% { transform: rotate(0deg); }
+          100% { transform: rotate(360deg); }
+        }
+
+        .page-header {
+          background: white;
+          padding: 30px;
+          border-radius: 12px;
+          box-shadow: 0 2px 10px rgba(0, 0, 0, 0.1);
+          margin-bottom: 20px;
+        }
+
+        .breadcrumb {
+          margin-bottom: 20px;
+        }
+
+        .breadcrumb-link {
+          background: none;
+          border: none;
+          color: #007cba;
+          cursor: pointer;
+          font-size: 14px;
+          text-decoration: underline;
+          padding: 0;
+        }
+
+        .header-content h1 {
+          margin: 0 0 10px 0;
+          color: #333;
+          font-size: 2rem;
+        }
+
+        .header-content p {
+          margin: 0;
+          color: #666;
+          font-size: 1rem;
+        }
+
+        .controls {
+          display: flex;
+          flex-wrap: wrap;
+          gap: 12px;
+          align-items: center;
+          margin-top: 20px;
+        }
+
+        .month-nav {
+          display: flex;
+          gap: 6px;
+          align-items: center;
+        }
+
+        .month-input,
+        .place-input {
+          padding: 9px 12px;
+          border: 1px solid #ddd;
+          border-radius: 6px;
+          font-size: 14px;
+        }
+
+        .place-input {
+          flex: 1;
+          min-width: 240px;
+        }
+
+        .btn-primary,
+        .btn-secondary {
+          padding: 10px 18px;
+          border-radius: 6px;
+          font-size: 14px;
+          font-weight: 500;
+          cursor: pointer;
+        }
+
+        .btn-primary {
+          background: #007cba;
+          color: white;
+          border: none;
+        }
+
+        .btn-primary:hover:not(:disabled) {
+          background: #005a87;
+        }
+
+        .btn-primary:disabled {
+          opacity: 0.6;
+          cursor: not-allowed;
+        }
+
+        .btn-secondary {
+          background: #f8f9fa;
+          color: #333;
+          border: 1px solid #ddd;
+        }
+
+        .message {
+          padding: 15px 20px;
+          border-radius: 6px;
+          margin-bottom: 20px;
+          display: flex;
+          justify-content: space-between;
+          align-items: center;
+        }
+
+        .message.error {
+          background: #fee;
+          color: #c33;
+          border: 1px solid #fcc;
+        }
+
+        .message.success {
+          background: #dfd;
+          color: #363;
+          border: 1px solid #beb;
+        }
+
+        .close-message {
+          background: none;
+          border: none;
+          color: inherit;
+          cursor: pointer;
+          font-size: 18px;
+          padding: 0;
+          margin-left: 10px;
+        }
+
+        .muster-sheet {
+          background: white;
+          padding: 25px;
+          border-radius: 8px;
+          box-shadow: 0 2px 4px rgba(0, 0, 0, 0.1);
+        }
+
+        .muster-sheet h2 {
+          margin: 0 0 15px 0;
+          color: #333;
+          font-size: 1.3rem;
+        }
+
+        .loading-section {
+          padding: 40px;
+          text-align: center;
+          color: #666;
+        }
+
+        .loading-section .spinner {
+          margin: 0 auto 20px;
+        }
+
+        .legend {
+          display: flex;
+          flex-wrap: wrap;
+          gap: 8px 18px;
+          margin-top: 15px;
+          font-size: 0.8rem;
+          color: #555;
+        }
+
+        .print-only {
+          display: none;
+        }
+
+        .print-heading {
+          text-align: center;
+          margin-bottom: 8px;
+        }
+
+        .form-title,
+        .form-name {
+          font-weight: 700;
+          font-size: 11pt;
+        }
+
+        .form-rule {
+          font-size: 8pt;
+        }
+
+        .form-details {
+          display: flex;
+          justify-content: space-between;
+          gap: 12px;
+          margin-top: 6px;
+          font-size: 8pt;
+          text-align: left;
+        }
+
+        .form-details span {
+          font-weight: 600;
+        }
+
+        .signatures {
+          justify-content: space-between;
+          margin-top: 40px;
+          font-size: 8pt;
+        }
+
+        .signatures div {
+          border-top: 1px solid #000;
+          padding-top: 4px;
+          min-width: 220px;
+          text-align: center;
+        }
+
+        @media print {
+          @page {
+            size: A4 landscape;
+            margin: 8mm;
+          }
+
+          .muster-page {
+            max-width: none;
+            padding: 0;
+            background: white;
+          }
+
+          .no-print {
+            display: none !important;
+          }
+
+          .print-only {
+            display: block;
+          }
+
+          .signatures.print-only {
+            display: flex;
+          }
+
+          .muster-sheet {
+            padding: 0;
+            box-shadow: none;
+            border-radius: 0;
+          }
+
+          .legend {
+            font-size: 7pt;
+            color: #000;
+            margin-top: 6px;
+          }
+        }
+      `}</style>
+    </>
+  );
+}
@@ -4,7 +4,58 @@ import Head from 'next/head';
 import { useAuth } from '../../contexts/AuthContext';
 import attendanceService from '../../lib/services/attendanceService';
 import employeeService from '../../lib/services/employeeService';
+import holidayService from '../../lib/services/holidayService';
 import AttendanceList from '../../components/attendance/AttendanceList';
+import {
+  AttendanceStatus,
+  getStatusLabel,
+  getStatusIcon,
+  getStatusStatKey,
+  calculateAttendanceStats,
+  calculateAttendanceRate,
+  getLocalDateString
+} from '../../lib/models/Attendance';
+import { applyCalendarToRecords } from '../../lib/models/Holiday';
+import { formatDistance } from '../../lib/models/Site';
+
+// Every status gets its own card and column, in this order
+const REPORT_STATUSES = Object.values(AttendanceStatus);
+
+/**
+ * Get the date range a report type covers
+ * @param {string} reportType - 'yearly', 'weekly', 'monthly' or 'custom'
+ * @param {Object} current - Current { start, end }, kept for a custom range
+ * @returns {Object} { start, end } (YYYY-MM-DD)
+ */
+const getReportRange = (reportType, current) => {
+  const now = new Date();
+  const today = getLocalDateString(now);
+
+  switch (reportType) {
+    case 'weekly': {
+      const weekStart = new Date(now);
+      weekStart.setDate(now.getDate() - now.getDay()); // Start of week
+      return { start: getLocalDateString(weekStart), end: today };
+    }
+
+    case 'yearly':
+      return { start: getLocalDateString(new Date(now.getFullYear(), 0, 1)), end: today };
+
+    case 'custom': {
+      // Keep existing range or set reasonable defaults
+      if (current.start && current.end) {
+        return current;
+      }
+      const monthAgo = new Date(now);
+      monthAgo.setMonth(now.getMonth() - 1);
+      return { start: getLocalDateString(monthAgo), end: today };
+    }
+
+    case 'monthly':
+    default:
+      return { start: getLocalDateString(new Date(now.getFullYear(), now.getMonth(), 1)), end: today };
+  }
+};
 
 export default function AttendanceReports() {
   const { user, loading: authLoading } = useAuth();
@@ -12,9 +63,10 @@ export default function AttendanceReports() {
   const [employees, setEmployees] = useState([]);
   const [attendanceRecords, setAttendanceRecords] = useState([]);
   const [statistics, setStatistics] = useState(null);
+  const [calendar, setCalendar] = useState(null);
   const [loading, setLoading] = useState(true);
   const [error, setError] = useState('');
-  const [reportType, setReportType] = useState('all'); // 'all', 'monthly', 'weekly', 'custom'
+  const [reportType, setReportType] = useState('monthly'); // 'yearly', 'monthly', 'weekly', 'custom'
   const [dateRange, setDateRange] = useState({
     start: '',
     end: ''
@@ -27,70 +79,34 @@ export default function AttendanceReports() {
     }
   }, [user, authLoading, router]);
 
-  // Load initial data
+  // Set the period for the report type and load it; a custom range loads on Apply
   useEffect(() => {
-    if (user) {
-      loadData();
-    }
-  }, [user]); // eslint-disable-line react-hooks/exhaustive-deps
+    if (!user) return;
 
-  // Set default date ranges based on report type
-  useEffect(() => {
-    const now = new Date();
-    const today = now.toISOString().split('T')[0];
-    
-    switch (reportType) {
-      case 'weekly':
-        const weekStart = new Date(now);
-        weekStart.setDate(now.getDate() - now.getDay()); // Start of week
-        setDateRange({
-          start: weekStart.toISOString().split('T')[0],
-          end: today
-        });
-        break;
-        
-      case 'monthly':
-        const monthStart = new Date(now.getFullYear(), now.getMonth(), 1);
-        setDateRange({
-          start: monthStart.toISOString().split('T')[0],
-          end: today
-        });
-        break;
-        
-      case 'custom':
-        // Keep existing range or set reasonable defaults
-        if (!dateRange.start && !dateRange.end) {
-          const monthAgo = new Date(now);
-          monthAgo.setMonth(now.getMonth() - 1);
-          setDateRange({
-            start: monthAgo.toISOString().split('T')[0],
-            end: today
-          });
-        }
-        break;
-        
-      default:
-        setDateRange({ start: '', end: '' });
-    }
-  }, [reportType, dateRange.start, dateRange.end]);
+    const range = getReportRange(reportType, dateRange);
+    setDateRange(range);
+    loadData(range);
+  }, [user, reportType]); // eslint-disable-line react-hooks/exhaustive-deps
 
-  const loadData = async () => {
+  const loadData = async (range = dateRange) => {
     setLoading(true);
     setError('');
 
     try {
-      // Load employees and attendance records in parallel
-      const [employeesData, attendanceData] = await Promise.all([
+      // Load employees, attendance records and the work calendar in parallel;
+      // only the report period's attendance is read
+      const [employeesData, attendanceData, calendarData] = await Promise.all([
         employeeService.getAllEmployees(),
-        attendanceService.getAllAttendance()
+        attendanceService.getAttendanceByDateRange(range.start, range.end),
+        holidayService.getWorkCalendar()
       ]);
 
       setEmployees(employeesData);
       setAttendanceRecords(attendanceData);
+      setCalendar(calendarData);
 
       // Calculate statistics for the selected period
-      const filteredRecords = getFilteredRecords(attendanceData);
-      const stats = calculateStatistics(filteredRecords, employeesData);
+      const stats = calculateStatistics(attendanceData, employeesData, calendarData);
       setStatistics(stats);
     } catch (err) {
       console.error('Error loading data:', err);
@@ -100,51 +116,33 @@ export default function AttendanceReports() {
     }
   };
 
-  const getFilteredRecords = (records = attendanceRecords) => {
-    let filtered = records;
-
-    if (reportType !== 'all') {
-      if (dateRange.start) {
-        filtered = filtered.filter(record => record.date >= dateRange.start);
-      }
-      if (dateRange.end) {
-        filtered = filtered.filter(record => record.date <= dateRange.end);
-      }
-    }
-
-    return filtered;
-  };
-
-  const calculateStatistics = (records, employeesList) => {
+  const calculateStatistics = (filteredRecords, employeesList, workCalendar = calendar) => {
+    // Absences on holidays and weekly offs count as off days
+    const records = applyCalendarToRecords(filteredRecords, workCalendar);
     const stats = {
+      ...calculateAttendanceStats(records),
       totalRecords: records.length,
-      present: records.filter(r => r.status === 'present').length,
-      absent: records.filter(r => r.status === 'absent').length,
-      halfDay: records.filter(r => r.status === 'half-day').length,
       uniqueEmployees: new Set(records.map(r => r.employee_id)).size,
       uniqueDates: new Set(records.map(r => r.date)).size,
+      geotagged: filteredRecords.filter(r => r.location).length,
+      outsideGeofence: filteredRecords
+        .filter(r => r.outside_geofence)
+        .sort((a, b) => b.date.localeCompare(a.date)),
       employeeStats: {},
       dateStats: {}
     };
 
-    // Calculate attendance rate
-    stats.attendanceRate = stats.totalRecords > 0 
-      ? ((stats.present + stats.halfDay * 0.5) / stats.totalRecords * 100).toFixed(1)
-      : 0;
+    // Attendance rate leaves out holidays and week-offs
+    stats.attendanceRate = calculateAttendanceRate(stats).toFixed(1);
 
     // Calculate per-employee statistics
     employeesList.forEach(employee => {
       const empRecords = records.filter(r => r.employee_id === employee.id);
+      const counts = calculateAttendanceStats(empRecords);
       stats.employeeStats[employee.id] = {
+        ...counts,
         name: employee.name,
-        total: empRecords.length,
-        present: empRecords.filter(r => r.status === 'present').length,
-        absent: empRecords.filter(r => r.status === 'absent').length,
-        halfDay: empRecords.filter(r => r.status === 'half-day').length,
-        attendanceRate: empRecords.length > 0 
-          ? ((empRecords.filter(r => r.status === 'present').length + 
-              empRecords.filter(r => r.status === 'half-day').length * 0.5) / empRecords.length * 100).toFixed(1)
-          : 0
+        attendanceRate: calculateAttendanceRate(counts).toFixed(1)
       };
     });
 
@@ -152,25 +150,19 @@ export default function AttendanceReports() {
     const dateMap = {};
     records.forEach(record => {
       if (!dateMap[record.date]) {
-        dateMap[record.date] = {
-          total: 0,
-          present: 0,
-          absent: 0,
-          halfDay: 0
-        };
+        dateMap[record.date] = [];
       }
-      dateMap[record.date].total++;
-      dateMap[record.date][record.status === 'present' ? 'present' : 
-                            record.status === 'absent' ? 'absent' : 'halfDay']++;
+      dateMap[record.date].push(record);
     });
 
-    stats.dateStats = Object.entries(dateMap).map(([date, data]) => ({
-      date,
-      ...data,
-      attendanceRate: data.total > 0 
-        ? ((data.present + data.halfDay * 0.5) / data.total * 100).toFixed(1)
-        : 0
-    })).sort((a, b) => new Date(b.date) - new Date(a.date));
+    stats.dateStats = Object.entries(dateMap).map(([date, dateRecords]) => {
+      const counts = calculateAttendanceStats(dateRecords);
+      return {
+        ...counts,
+        date,
+        attendanceRate: calculateAttendanceRate(counts).toFixed(1)
+      };
+    }).sort((a, b) => new Date(b.date) - new Date(a.date));
 
     return stats;
   };
@@ -231,17 +223,17 @@ export default function AttendanceReports() {
   };
 
   const applyDateRange = () => {
-    const filteredRecords = getFilteredRecords();
-    const stats = calculateStatistics(filteredRecords, employees);
-    setStatistics(stats);
+    if (!dateRange.start || !dateRange.end) {
+      setError('Choose both dates for a custom range.');
+      return;
+    }
+    loadData();
   };
 
   const exportData = () => {
-    const filteredRecords = getFilteredRecords();
-    
     // Create CSV content
-    const headers = ['Date', 'Employee Name', 'Employee ID', 'Status', 'Marked By', 'Marked At', 'Notes'];
-    const rows = filteredRecords.map(record => {
+    const headers = ['Date', 'Employee Name', 'Employee ID', 'Status', 'Marked By', 'Marked At', 'Site', 'Distance (m)', 'Outside Site', 'Notes'];
+    const rows = attendanceRecords.map(record => {
       const employee = employees.find(emp => emp.id === record.employee_id);
       return [
         record.date,
@@ -250,6 +242,9 @@ export default function AttendanceReports() {
         record.status,
         record.marked_by,
         new Date(record.marked_at).toLocaleString(),
+        record.site_name || '',
+        record.site_id ? record.site_distance_m : '',
+        record.outside_geofence ? 'Yes' : '',
         record.notes || ''
       ];
     });
@@ -283,8 +278,6 @@ export default function AttendanceReports() {
     return null; // Will redirect
   }
 
-  const filteredRecords = getFilteredRecords();
-
   return (
     <>
       <Head>
@@ -307,10 +300,13 @@ export default function AttendanceReports() {
           </div>
 
           <div className="header-actions">
+            <button onClick={() => router.push('/attendance/muster-roll')} className="btn-muster">
+              🗓 Muster Roll
+            </button>
             <button onClick={exportData} className="btn-export">
               📊 Export CSV
             </button>
-            <button onClick={loadData} className="btn-refresh" disabled={loading}>
+            <button onClick={() => loadData()} className="btn-refresh" disabled={loading}>
               🔄 Refresh
             </button>
           </div>
@@ -328,12 +324,6 @@ export default function AttendanceReports() {
           <div className="control-section">
             <h3>Report Period</h3>
             <div className="report-type-tabs">
-              <button
-                className={`tab-btn ${reportType === 'all' ? 'active' : ''}`}
-                onClick={() => setReportType('all')}
-              >
-                All Time
-              </button>
               <button
                 className={`tab-btn ${reportType === 'weekly' ? 'active' : ''}`}
                 onClick={() => setReportType('weekly')}
@@ -346,6 +336,12 @@ export default function AttendanceReports() {
               >
                 This Month
               </button>
+              <button
+                className={`tab-btn ${reportType === 'yearly' ? 'active' : ''}`}
+                onClick={() => setReportType('yearly')}
+              >
+                This Year
+              </button>
               <button
                 className={`tab-btn ${reportType === 'custom' ? 'active' : ''}`}
                 onClick={() => setReportType('custom')}
@@ -397,29 +393,15 @@ export default function AttendanceReports() {
                 </div>
               </div>
               
-              <div className="stat-card present">
-                <div className="stat-icon">✅</div>
-                <div className="stat-info">
-                  <div className="stat-value">{statistics.present}</div>
-                  <div className="stat-label">Present</div>
-                </div>
-              </div>
-              
-              <div className="stat-card absent">
-                <div className="stat-icon">❌</div>
-                <div className="stat-info">
-                  <div className="stat-value">{statistics.absent}</div>
-                  <div className="stat-label">Absent</div>
+              {REPORT_STATUSES.map(status => (
+                <div key={status} className={`stat-card ${status}`}>
+                  <div className="stat-icon">{getStatusIcon(status)}</div>
+                  <div className="stat-info">
+                    <div className="stat-value">{statistics[getStatusStatKey(status)]}</div>
+                    <div className="stat-label">{getStatusLabel(status)}</div>
+                  </div>
                 </div>
-              </div>
-              
-              <div className="stat-card half-day">
-                <div className="stat-icon">◐</div>
-                <div className="stat-info">
-                  <div className="stat-value">{statistics.halfDay}</div>
-                  <div className="stat-label">Half Day</div>
-                </div>
-              </div>
+              ))}
               
               <div className="stat-card rate">
                 <div className="stat-icon">📈</div>
@@ -444,6 +426,14 @@ export default function AttendanceReports() {
                   <div className="stat-label">Days Covered</div>
                 </div>
               </div>
+
+              <div className="stat-card outside-geofence">
+                <div className="stat-icon">📍</div>
+                <div className="stat-info">
+                  <div className="stat-value">{statistics.outsideGeofence.length}</div>
+                  <div className="stat-label">Outside Site ({statistics.geotagged} geotagged)</div>
+                </div>
+              </div>
             </div>
           </div>
         )}
@@ -458,9 +448,9 @@ export default function AttendanceReports() {
                   <tr>
                     <th>Employee</th>
                     <th>Total Days</th>
-                    <th>Present</th>
-                    <th>Absent</th>
-                    <th>Half Days</th>
+                    {REPORT_STATUSES.map(status => (
+                      <th key={status}>{getStatusLabel(status)}</th>
+                    ))}
                     <th>Attendance Rate</th>
                   </tr>
                 </thead>
@@ -471,9 +461,9 @@ export default function AttendanceReports() {
                       <tr key={index}>
                         <td className="employee-name">{emp.name}</td>
                         <td>{emp.total}</td>
-                        <td className="present">{emp.present}</td>
-                        <td className="absent">{emp.absent}</td>
-                        <td className="half-day">{emp.halfDay}</td>
+                        {REPORT_STATUSES.map(status => (
+                          <td key={status} className={status}>{emp[getStatusStatKey(status)]}</td>
+                        ))}
                         <td className="rate">
                           <div className="rate-bar">
                             <div 
@@ -501,9 +491,9 @@ export default function AttendanceReports() {
                   <tr>
                     <th>Date</th>
                     <th>Total Marked</th>
-                    <th>Present</th>
-                    <th>Absent</th>
-                    <th>Half Days</th>
+                    {REPORT_STATUSES.map(status => (
+                      <th key={status}>{getStatusLabel(status)}</th>
+                    ))}
                     <th>Attendance Rate</th>
                   </tr>
                 </thead>
@@ -519,9 +509,9 @@ export default function AttendanceReports() {
                         })}
                       </td>
                       <td>{day.total}</td>
-                      <td className="present">{day.present}</td>
-                      <td className="absent">{day.absent}</td>
-                      <td className="half-day">{day.halfDay}</td>
+                      {REPORT_STATUSES.map(status => (
+                        <td key={status} className={status}>{day[getStatusStatKey(status)]}</td>
+                      ))}
                       <td className="rate">
                         <div className="rate-bar">
                           <div 
@@ -539,15 +529,56 @@ export default function AttendanceReports() {
           </div>
         )}
 
+        {/* Records marked away from every work site */}
+        {statistics && statistics.outsideGeofence.length > 0 && (
+          <div className="geofence-exceptions">
+            <h2>📍 Marked Outside Site</h2>
+            <div className="daily-table">
+              <table>
+                <thead>
+                  <tr>
+                    <th>Date</th>
+                    <th>Employee</th>
+                    <th>Status</th>
+                    <th>Nearest Site</th>
+                    <th>Distance</th>
+                    <th>Marked By</th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {statistics.outsideGeofence.map(record => (
+                    <tr key={record.id}>
+                      <td className="date">{new Date(record.date).toLocaleDateString('en-IN')}</td>
+                      <td className="employee-name">
+                        {employees.find(emp => emp.id === record.employee_id)?.name || 'Unknown'}
+                      </td>
+                      <td>{getStatusLabel(record.status)}</td>
+                      <td>{record.site_name}</td>
+                      <td>
+                        {formatDistance(record.site_distance_m)}
+                        {record.location && record.location.accuracy > 0 && (
+                          <span className="accuracy"> (±{formatDistance(record.location.accuracy)})</span>
+                        )}
+                      </td>
+                      <td>{record.marked_by}</td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            </div>
+          </div>
+        )}
+
         {/* Detailed Records */}
         <div className="detailed-records">
           <h2>Detailed Records</h2>
           <AttendanceList
-            attendanceRecords={filteredRecords}
+            attendanceRecords={attendanceRecords}
             employees={employees}
+            calendar={calendar}
             loading={loading}
             onDelete={handleDeleteAttendance}
-            onRefresh={loadData}
+            onRefresh={() => loadData()}
           />
         </div>
       </div>
@@ -634,6 +665,7 @@ export default function AttendanceReports() {
           align-items: center;
         }
 
+        .btn-muster,
         .btn-export,
         .btn-refresh {
           padding: 12px 20px;
@@ -645,6 +677,15 @@ export default function AttendanceReports() {
           transition: all 0.2s;
         }
 
+        .btn-muster {
+          background: #6f42c1;
+          color: white;
+        }
+
+        .btn-muster:hover {
+          background: #59359a;
+        }
+
         .btn-export {
           background: #28a745;
           color: white;
@@ -790,6 +831,7 @@ export default function AttendanceReports() {
         .statistics-overview,
         .employee-performance,
         .daily-breakdown,
+        .geofence-exceptions,
         .detailed-records {
           background: white;
           padding: 25px;
@@ -801,6 +843,7 @@ export default function AttendanceReports() {
         .statistics-overview h2,
         .employee-performance h2,
         .daily-breakdown h2,
+        .geofence-exceptions h2,
         .detailed-records h2 {
           margin: 0 0 20px 0;
           color: #333;
@@ -840,6 +883,22 @@ export default function AttendanceReports() {
           background: linear-gradient(135deg, #fff3cd 0%, #ffeaa7 100%);
         }
 
+        .stat-card.paid-leave {
+          background: linear-gradient(135deg, #d1ecf1 0%, #bee5eb 100%);
+        }
+
+        .stat-card.unpaid-leave {
+          background: linear-gradient(135deg, #ffe5d0 0%, #fecba1 100%);
+        }
+
+        .stat-card.holiday {
+          background: linear-gradient(135deg, #e2d9f3 0%, #c5b3e6 100%);
+        }
+
+        .stat-card.week-off {
+          background: linear-gradient(135deg, #d2f4ea 0%, #a6e9d5 100%);
+        }
+
         .stat-card.rate {
           background: linear-gradient(135deg, #e3f2fd 0%, #bbdefb 100%);
         }
@@ -852,6 +911,15 @@ export default function AttendanceReports() {
           background: linear-gradient(135deg, #e8f5e8 0%, #c8e6c9 100%);
         }
 
+        .stat-card.outside-geofence {
+          background: linear-gradient(135deg, #fff8e1 0%, #ffecb3 100%);
+        }
+
+        .accuracy {
+          color: #888;
+          font-size: 0.85em;
+        }
+
         .stat-icon {
           font-size: 1.5rem;
           opacity: 0.8;
@@ -917,6 +985,26 @@ export default function AttendanceReports() {
           font-weight: 500;
         }
 
+        .paid-leave {
+          color: #17a2b8;
+          font-weight: 500;
+        }
+
+        .unpaid-leave {
+          color: #fd7e14;
+          font-weight: 500;
+        }
+
+        .holiday {
+          color: #6f42c1;
+          font-weight: 500;
+        }
+
+        .week-off {
+          color: #20c997;
+          font-weight: 500;
+        }
+
         .rate {
           min-width: 120px;
         }
@@ -0,0 +1,942 @@
+import { useState, useEffect } from 'react';
+import { useRouter } from 'next/router';
+import Head from 'next/head';
+import { useAuth } from '../../contexts/AuthContext';
+import { useAdmin } from '../../hooks/useAdmin';
+import employeeService from '../../lib/services/employeeService';
+import shiftService from '../../lib/services/shiftService';
+import { getLocalDateString } from '../../lib/models/Attendance';
+import { PeriodType, getPeriodBounds } from '../../lib/models/ClosedPeriod';
+import {
+  validateShift,
+  createEmptyShift,
+  getRosterWeekStart,
+  shiftRosterWeek,
+  describeShiftHours,
+  getShiftHours,
+  MAX_GRACE_MINUTES,
+  MAX_NIGHT_ALLOWANCE
+} from '../../lib/models/Shift';
+
+export default function ShiftsAndRosters() {
+  const { user, loading: authLoading } = useAuth();
+  const { isAdmin, loading: adminLoading } = useAdmin();
+  const router = useRouter();
+  const [shifts, setShifts] = useState([]);
+  const [employees, setEmployees] = useState([]);
+  const [formData, setFormData] = useState(createEmptyShift());
+  const [editingId, setEditingId] = useState(null);
+  const [errors, setErrors] = useState({});
+  const [weekStart, setWeekStart] = useState(getRosterWeekStart(getLocalDateString()));
+  const [assignments, setAssignments] = useState({});
+  const [rosterUpdatedBy, setRosterUpdatedBy] = useState('');
+  const [rosterChanged, setRosterChanged] = useState(false);
+  const [loading, setLoading] = useState(true);
+  const [loadingRoster, setLoadingRoster] = useState(false);
+  const [saving, setSaving] = useState(false);
+  const [savingRoster, setSavingRoster] = useState(false);
+  const [error, setError] = useState('');
+  const [success, setSuccess] = useState('');
+
+  // Redirect if not authenticated
+  useEffect(() => {
+    if (!authLoading && !user) {
+      router.push('/auth/login');
+    }
+  }, [user, authLoading, router]);
+
+  // Load shifts and employees
+  useEffect(() => {
+    if (user) {
+      loadData();
+    }
+  }, [user]); // eslint-disable-line react-hooks/exhaustive-deps
+
+  // Load the roster for the selected week
+  useEffect(() => {
+    if (user) {
+      loadRoster(weekStart);
+    }
+  }, [user, weekStart]); // eslint-disable-line react-hooks/exhaustive-deps
+
+  const loadData = async () => {
+    setLoading(true);
+    setError('');
+
+    try {
+      const [shiftsData, employeesData] = await Promise.all([
+        shiftService.getShifts(),
+        employeeService.getAllEmployees()
+      ]);
+      setShifts(shiftsData);
+      setEmployees(employeesData.sort((a, b) => a.name.localeCompare(b.name)));
+    } catch (err) {
+      console.error('Error loading shifts:', err);
+      setError('Failed to load shifts. Please try again.');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const loadRoster = async (week) => {
+    setLoadingRoster(true);
+
+    try {
+      const roster = await shiftService.getRoster(week);
+      setAssignments(roster.assignments || {});
+      setRosterUpdatedBy(roster.updated_by || '');
+      setRosterChanged(false);
+    } catch (err) {
+      console.error('Error loading roster:', err);
+      setError('Failed to load the roster for this week.');
+    } finally {
+      setLoadingRoster(false);
+    }
+  };
+
+  const handleInputChange = (e) => {
+    const { name, value, type, checked } = e.target;
+    setFormData(prev => ({
+      ...prev,
+      [name]: type === 'checkbox' ? checked : value
+    }));
+
+    if (errors[name]) {
+      setErrors(prev => ({ ...prev, [name]: '' }));
+    }
+  };
+
+  const resetForm = () => {
+    setFormData(createEmptyShift());
+    setEditingId(null);
+    setErrors({});
+  };
+
+  const handleEdit = (shift) => {
+    setFormData({
+      name: shift.name,
+      start_time: shift.start_time,
+      end_time: shift.end_time,
+      grace_minutes: shift.grace_minutes,
+      is_night: !!shift.is_night,
+      night_allowance: shift.is_night ? String(shift.night_allowance || 0) : '',
+      is_active: shift.is_active !== false
+    });
+    setEditingId(shift.id);
+    setErrors({});
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setError('');
+    setSuccess('');
+
+    const validation = validateShift(formData);
+    if (!validation.isValid) {
+      setErrors(validation.errors);
+      return;
+    }
+
+    setSaving(true);
+    try {
+      if (editingId) {
+        await shiftService.updateShift(editingId, formData, user?.email || '');
+        setSuccess(`Updated ${formData.name}. Attendance already marked keeps the old shift times.`);
+      } else {
+        await shiftService.addShift(formData, user?.email || '');
+        setSuccess(`Added ${formData.name}.`);
+      }
+      resetForm();
+      await loadData();
+    } catch (err) {
+      console.error('Error saving shift:', err);
+      setError(err.message || 'Failed to save shift.');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleDelete = async (shift) => {
+    if (!window.confirm(`Delete ${shift.name}? Rosters using it will leave those employees without a shift.`)) {
+      return;
+    }
+
+    setError('');
+    setSuccess('');
+
+    try {
+      await shiftService.deleteShift(shift.id, user?.email || '');
+      if (editingId === shift.id) {
+        resetForm();
+      }
+      setSuccess(`Deleted ${shift.name}.`);
+      await loadData();
+    } catch (err) {
+      console.error('Error deleting shift:', err);
+      setError(err.message || 'Failed to delete shift.');
+    }
+  };
+
+  const handleWeekChange = (week) => {
+    if (rosterChanged && !window.confirm('Discard the unsaved roster changes?')) {
+      return;
+    }
+    setWeekStart(week);
+  };
+
+  const handleAssignmentChange = (employeeId, shiftId) => {
+    setAssignments(prev => ({ ...prev, [employeeId]: shiftId }));
+    setRosterChanged(true);
+  };
+
+  // Put everyone on one shift
+  const handleAssignAll = (shiftId) => {
+    setAssignments(Object.fromEntries(employees.map(employee => [employee.id, shiftId])));
+    setRosterChanged(true);
+  };
+
+  const handleCopyPreviousWeek = async () => {
+    setError('');
+    setSuccess('');
+
+    try {
+      const previousWeek = shiftRosterWeek(weekStart, -1);
+      const previous = await shiftService.getRoster(previousWeek);
+      const activeIds = new Set(shifts.filter(shift => shift.is_active !== false).map(shift => shift.id));
+      const copied = Object.fromEntries(
+        Object.entries(previous.assignments || {}).filter(([, shiftId]) => activeIds.has(shiftId))
+      );
+      if (Object.keys(copied).length === 0) {
+        setError(`The week of ${previousWeek} has no roster to copy.`);
+        return;
+      }
+      setAssignments(copied);
+      setRosterChanged(true);
+      setSuccess(`Copied the week of ${previousWeek}. Save the roster to keep it.`);
+    } catch (err) {
+      console.error('Error copying roster:', err);
+      setError('Failed to copy the previous week\'s roster.');
+    }
+  };
+
+  const handleSaveRoster = async () => {
+    setError('');
+    setSuccess('');
+    setSavingRoster(true);
+
+    try {
+      const roster = await shiftService.saveRoster(weekStart, assignments, user?.email || '');
+      setAssignments(roster.assignments);
+      setRosterUpdatedBy(roster.updated_by);
+      setRosterChanged(false);
+      setSuccess(`Saved the roster for the week of ${weekStart}. Attendance marked from now on uses it.`);
+    } catch (err) {
+      console.error('Error saving roster:', err);
+      setError(err.message || 'Failed to save roster.');
+    } finally {
+      setSavingRoster(false);
+    }
+  };
+
+  if (authLoading) {
+    return (
+      <div className="loading-container">
+        <div className="spinner"></div>
+        <p>Loading...</p>
+      </div>
+    );
+  }
+
+  if (!user) {
+    return null; // Will redirect
+  }
+
+  const canEdit = isAdmin && !adminLoading;
+  const activeShifts = shifts.filter(shift => shift.is_active !== false);
+  const shiftNames = Object.fromEntries(shifts.map(shift => [shift.id, shift.name]));
+  const rosteredCount = employees.filter(employee => assignments[employee.id]).length;
+
+  return (
+    <>
+      <Head>
+        <title>Shifts &amp; Rosters - Employee Management</title>
+        <meta name="description" content="Manage work shifts and weekly shift rosters" />
+      </Head>
+
+      <div className="shifts-page">
+        {/* Header */}
+        <div className="page-header">
+          <div className="breadcrumb">
+            <button onClick={() => router.push('/attendance')} className="breadcrumb-link">
+              ← Attendance Dashboard
+            </button>
+          </div>
+
+          <div className="header-content">
+            <h1>Shifts &amp; Rosters</h1>
+            <p>Attendance records the shift each worker is rostered on, with lateness and early exit measured against it</p>
+          </div>
+        </div>
+
+        {/* Messages */}
+        {error && (
+          <div className="message error">
+            <strong>Error:</strong> {error}
+            <button onClick={() => setError('')} className="close-message">×</button>
+          </div>
+        )}
+
+        {success && (
+          <div className="message success">
+            <strong>Success:</strong> {success}
+            <button onClick={() => setSuccess('')} className="close-message">×</button>
+          </div>
+        )}
+
+        {!adminLoading && !isAdmin && (
+          <div className="message info">
+            Only admins can change shifts and rosters.
+          </div>
+        )}
+
+        {/* Add / Edit Shift */}
+        {canEdit && (
+          <form onSubmit={handleSubmit} className="card">
+            <h2>{editingId ? 'Edit Shift' : 'Add Shift'}</h2>
+            <div className="form-grid">
+              <div className="form-group">
+                <label htmlFor="name">Name *</label>
+                <input
+                  type="text"
+                  id="name"
+                  name="name"
+                  value={formData.name}
+                  onChange={handleInputChange}
+                  className={errors.name ? 'error' : ''}
+                  placeholder="e.g. Night"
+                  required
+                />
+                {errors.name && <div className="error-message">{errors.name}</div>}
+              </div>
+
+              <div className="form-group">
+                <label htmlFor="start_time">Start *</label>
+                <input
+                  type="time"
+                  id="start_time"
+                  name="start_time"
+                  value={formData.start_time}
+                  onChange={handleInputChange}
+                  className={errors.start_time ? 'error' : ''}
+                  required
+                />
+                {errors.start_time && <div className="error-message">{errors.start_time}</div>}
+              </div>
+
+              <div className="form-group">
+                <label htmlFor="end_time">End *</label>
+                <input
+                  type="time"
+                  id="end_time"
+                  name="end_time"
+                  value={formData.end_time}
+                  onChange={handleInputChange}
+                  className={errors.end_time ? 'error' : ''}
+                  required
+                />
+                {errors.end_time && <div className="error-message">{errors.end_time}</div>}
+              </div>
+
+              <div className="form-group">
+                <label htmlFor="grace_minutes">Grace (minutes) *</label>
+                <input
+                  type="number"
+                  id="grace_minutes"
+                  name="grace_minutes"
+                  value={formData.grace_minutes}
+                  onChange={handleInputChange}
+                  className={errors.grace_minutes ? 'error' : ''}
+                  min="0"
+                  max={MAX_GRACE_MINUTES}
+                  required
+                />
+                {errors.grace_minutes && <div className="error-message">{errors.grace_minutes}</div>}
+              </div>
+
+              <div className="form-group">
+                <label className="checkbox-label">
+                  <input
+                    type="checkbox"
+                    name="is_night"
+                    checked={formData.is_night}
+                    onChange={handleInputChange}
+                  />
+                  Night shift
+                </label>
+              </div>
+
+              {formData.is_night && (
+                <div className="form-group">
+                  <label htmlFor="night_allowance">Night Allowance (₹ per shift)</label>
+                  <input
+                    type="number"
+                    id="night_allowance"
+                    name="night_allowance"
+                    value={formData.night_allowance}
+                    onChange={handleInputChange}
+                    className={errors.night_allowance ? 'error' : ''}
+                    min="0"
+                    max={MAX_NIGHT_ALLOWANCE}
+                    step="0.01"
+                    placeholder="0"
+                  />
+                  {errors.night_allowance && <div className="error-message">{errors.night_allowance}</div>}
+                </div>
+              )}
+
+              <div className="form-group">
+                <label className="checkbox-label">
+                  <input
+                    type="checkbox"
+                    name="is_active"
+                    checked={formData.is_active}
+                    onChange={handleInputChange}
+                  />
+                  Active
+                </label>
+              </div>
+            </div>
+
+            {formData.start_time && formData.end_time && formData.start_time !== formData.end_time && (
+              <p className="card-hint shift-preview">
+                {describeShiftHours(formData)}, {getShiftHours(formData)} hours.
+                {' '}A shift that ends the next day is marked on the day it starts.
+              </p>
+            )}
+
+            <div className="form-actions">
+              {editingId && (
+                <button type="button" onClick={resetForm} className="btn-secondary" disabled={saving}>
+                  Cancel
+                </button>
+              )}
+              <button type="submit" className="btn-primary" disabled={saving}>
+                {saving ? 'Saving...' : editingId ? 'Update Shift' : 'Add Shift'}
+              </button>
+            </div>
+          </form>
+        )}
+
+        {/* Shift List */}
+        <div className="card">
+          <div className="list-header">
+            <h2>Shifts</h2>
+          </div>
+
+          {loading ? (
+            <div className="loading-section">
+              <div className="spinner"></div>
+              <p>Loading shifts...</p>
+            </div>
+          ) : shifts.length === 0 ? (
+            <p className="empty">No shifts yet. Attendance is marked without a shift until one is added and rostered.</p>
+          ) : (
+            <table className="shift-table">
+              <thead>
+                <tr>
+                  <th>Name</th>
+                  <th>Hours</th>
+                  <th>Grace</th>
+                  <th>Night Allowance</th>
+                  <th>Status</th>
+                  {canEdit && <th>Actions</th>}
+                </tr>
+              </thead>
+              <tbody>
+                {shifts.map(shift => (
+                  <tr key={shift.id}>
+                    <td>
+                      {shift.is_night ? '🌙 ' : ''}{shift.name}
+                    </td>
+                    <td>{describeShiftHours(shift)}</td>
+                    <td>{shift.grace_minutes} min</td>
+                    <td>{shift.is_night ? `₹${(shift.night_allowance || 0).toLocaleString('en-IN')}` : '-'}</td>
+                    <td>
+                      <span className={`active-badge ${shift.is_active === false ? 'inactive' : ''}`}>
+                        {shift.is_active === false ? 'Inactive' : 'Active'}
+                      </span>
+                    </td>
+                    {canEdit && (
+                      <td className="actions">
+                        <button onClick={() => handleEdit(shift)} className="btn-link">Edit</button>
+                        <button onClick={() => handleDelete(shift)} className="btn-link danger">Delete</button>
+                      </td>
+                    )}
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          )}
+        </div>
+
+        {/* Weekly Roster */}
+        <div className="card">
+          <div className="list-header">
+            <h2>Weekly Roster</h2>
+            <div className="week-controls">
+              <button
+                onClick={() => handleWeekChange(shiftRosterWeek(weekStart, -1))}
+                className="btn-secondary"
+                aria-label="Previous week"
+              >
+                ←
+              </button>
+              <input
+                type="date"
+                value={weekStart}
+                onChange={(e) => e.target.value && handleWeekChange(getRosterWeekStart(e.target.value))}
+                aria-label="Roster week"
+              />
+              <span className="week-end">to {getPeriodBounds(PeriodType.WEEK, weekStart).endDate}</span>
+              <button
+                onClick={() => handleWeekChange(shiftRosterWeek(weekStart, 1))}
+                className="btn-secondary"
+                aria-label="Next week"
+              >
+                →
+              </button>
+            </div>
+          </div>
+
+          <p className="card-hint">
+            {rosteredCount} of {employees.length} employee(s) rostered
+            {rosterUpdatedBy ? ` · last saved by ${rosterUpdatedBy}` : ''}.
+            {' '}A shift picked when marking attendance overrides the roster for that day.
+          </p>
+
+          {loading || loadingRoster ? (
+            <div className="loading-section">
+              <div className="spinner"></div>
+              <p>Loading roster...</p>
+            </div>
+          ) : employees.length === 0 ? (
+            <p className="empty">No employees to roster.</p>
+          ) : (
+            <>
+              {canEdit && activeShifts.length > 0 && (
+                <div className="roster-actions">
+                  <select
+                    value=""
+                    onChange={(e) => handleAssignAll(e.target.value)}
+                    aria-label="Assign everyone to a shift"
+                  >
+                    <option value="" disabled>Assign everyone to...</option>
+                    {activeShifts.map(shift => (
+                      <option key={shift.id} value={shift.id}>{shift.name}</option>
+                    ))}
+                  </select>
+                  <button type="button" onClick={handleCopyPreviousWeek} className="btn-secondary">
+                    Copy Previous Week
+                  </button>
+                </div>
+              )}
+
+              <table className="shift-table">
+                <thead>
+                  <tr>
+                    <th>Employee</th>
+                    <th>Shift</th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {employees.map(employee => {
+                    const shiftId = assignments[employee.id] || '';
+                    return (
+                      <tr key={employee.id}>
+                        <td>
+                          {employee.name}
+                          {employee.designation && <div className="employee-designation">{employee.designation}</div>}
+                        </td>
+                        <td>
+                          {canEdit ? (
+                            <select
+                              value={shiftId}
+                              onChange={(e) => handleAssignmentChange(employee.id, e.target.value)}
+                              aria-label={`Shift for ${employee.name}`}
+                            >
+                              <option value="">No shift</option>
+                              {shifts
+                                .filter(shift => shift.is_active !== false || shift.id === shiftId)
+                                .map(shift => (
+                                  <option key={shift.id} value={shift.id}>
+                                    {shift.name} ({describeShiftHours(shift)})
+                                  </option>
+                                ))}
+                            </select>
+                          ) : (
+                            shiftId ? shiftNames[shiftId] || 'Deleted shift' : '-'
+                          )}
+                        </td>
+                      </tr>
+                    );
+                  })}
+                </tbody>
+              </table>
+
+              {canEdit && (
+                <div className="form-actions">
+                  {rosterChanged && (
+                    <button type="button" onClick={() => loadRoster(weekStart)} className="btn-secondary" disabled={savingRoster}>
+                      Discard Changes
+                    </button>
+                  )}
+                  <button type="button" onClick={handleSaveRoster} className="btn-primary" disabled={savingRoster || !rosterChanged}>
+                    {savingRoster ? 'Saving...' : 'Save Roster'}
+                  </button>
+                </div>
+              )}
+            </>
+          )}
+        </div>
+      </div>
+
+      <style jsx>{`
+        .shifts-page {
+          max-width: 1000px;
+          margin: 0 auto;
+          padding: 20px;
+          min-height: 100vh;
+          background: #f5f5f5;
+        }
+
+        .loading-container {
+          display: flex;
+          flex-direction: column;
+          align-items: center;
+          justify-content: center;
+          min-height: 100vh;
+          gap: 20px;
+        }
+
+        .spinner {
+          border: 4px solid #f3f3f3;
+          border-top: 4px solid #007cba;
+          border-radius: 50%;
+          width: 40px;
+          height: 40px;
+          animation: spin 1s linear infinite;
+        }
+
+        @keyframes spin {
+          0% { transform: rotate(0deg); }
+          100% { transform: rotate(360deg); }
+        }
+
+        .page-header {
+          background: white;
+          padding: 30px;
+          border-radius: 12px;
+          box-shadow: 0 2px 10px rgba(0, 0, 0, 0.1);
+          margin-bottom: 20px;
+        }
+
+        .breadcrumb {
+          margin-bottom: 20px;
+        }
+
+        .breadcrumb-link {
+          background: none;
+          border: none;
+          color: #007cba;
+          cursor: pointer;
+          font-size: 14px;
+          text-decoration: underline;
+          padding: 0;
+        }
+
+        .header-content h1 {
+          margin: 0 0 10px 0;
+          color: #333;
+          font-size: 2rem;
+        }
+
+        .header-content p {
+          margin: 0;
+          color: #666;
+          font-size: 1rem;
+        }
+
+        .message {
+          padding: 15px 20px;
+          border-radius: 6px;
+          margin-bottom: 20px;
+          display: flex;
+          justify-content: space-between;
+          align-items: center;
+        }
+
+        .message.error {
+          background: #fee;
+          color: #c33;
+          border: 1px solid #fcc;
+        }
+
+        .message.success {
+          background: #dfd;
+          color: #363;
+          border: 1px solid #beb;
+        }
+
+        .message.info {
+          background: #eef6fc;
+          color: #1e5a87;
+          border: 1px solid #bcdff5;
+        }
+
+        .close-message {
+          background: none;
+          border: none;
+          color: inherit;
+          cursor: pointer;
+          font-size: 18px;
+          padding: 0;
+          margin-left: 10px;
+        }
+
+        .card {
+          background: white;
+          padding: 25px;
+          border-radius: 8px;
+          box-shadow: 0 2px 4px rgba(0, 0, 0, 0.1);
+          margin-bottom: 20px;
+        }
+
+        .card h2 {
+          margin: 0 0 15px 0;
+          color: #333;
+          font-size: 1.2rem;
+        }
+
+        .card-hint {
+          margin: -5px 0 15px 0;
+          color: #666;
+          font-size: 0.9rem;
+        }
+
+        .shift-preview {
+          margin: 15px 0 0 0;
+        }
+
+        .checkbox-label {
+          flex-direction: row !important;
+          align-items: center;
+          gap: 8px;
+          margin-top: 28px;
+          cursor: pointer;
+        }
+
+        .form-grid {
+          display: grid;
+          grid-template-columns: repeat(auto-fit, minmax(180px, 1fr));
+          gap: 15px;
+        }
+
+        .form-group {
+          display: flex;
+          flex-direction: column;
+        }
+
+        .form-group label {
+          margin-bottom: 6px;
+          font-weight: 500;
+          color: #333;
+          font-size: 0.9rem;
+        }
+
+        .form-group input,
+        .form-group select,
+        .week-controls input,
+        .roster-actions select,
+        .shift-table select {
+          padding: 10px 12px;
+          border: 1px solid #ddd;
+          border-radius: 6px;
+          font-size: 0.9rem;
+        }
+
+        .form-group input.error,
+        .form-group select.error {
+          border-color: #c33;
+        }
+
+        .error-message {
+          color: #c33;
+          font-size: 0.8rem;
+          margin-top: 4px;
+        }
+
+        .form-actions {
+          display: flex;
+          justify-content: flex-end;
+          gap: 10px;
+          margin-top: 20px;
+        }
+
+        .btn-primary,
+        .btn-secondary {
+          padding: 10px 20px;
+          border-radius: 6px;
+          font-size: 14px;
+          font-weight: 500;
+          cursor: pointer;
+        }
+
+        .btn-primary {
+          background: #007cba;
+          color: white;
+          border: none;
+        }
+
+        .btn-primary:hover:not(:disabled) {
+          background: #005a87;
+        }
+
+        .btn-secondary {
+          background: #f8f9fa;
+          color: #333;
+          border: 1px solid #ddd;
+        }
+
+        .btn-secondary:hover:not(:disabled) {
+          background: #e9ecef;
+        }
+
+        .btn-primary:disabled,
+        .btn-secondary:disabled {
+          opacity: 0.6;
+          cursor: not-allowed;
+        }
+
+        .list-header {
+          display: flex;
+          justify-content: space-between;
+          align-items: center;
+          flex-wrap: wrap;
+          gap: 10px;
+          margin-bottom: 15px;
+        }
+
+        .list-header h2 {
+          margin: 0;
+        }
+
+        .week-controls,
+        .roster-actions {
+          display: flex;
+          align-items: center;
+          flex-wrap: wrap;
+          gap: 8px;
+        }
+
+        .roster-actions {
+          margin-bottom: 15px;
+        }
+
+        .week-end {
+          color: #666;
+          font-size: 0.9rem;
+        }
+
+        .loading-section {
+          padding: 40px;
+          text-align: center;
+          color: #666;
+        }
+
+        .loading-section .spinner {
+          margin: 0 auto 20px;
+        }
+
+        .empty {
+          color: #666;
+          margin: 0;
+        }
+
+        .shift-table {
+          width: 100%;
+          border-collapse: collapse;
+        }
+
+        .shift-table th,
+        .shift-table td {
+          padding: 10px 12px;
+          text-align: left;
+          border-bottom: 1px solid #eee;
+          font-size: 0.9rem;
+        }
+
+        .shift-table th {
+          background: #f8f9fa;
+          color: #333;
+          font-weight: 600;
+        }
+
+        .employee-designation {
+          color: #888;
+          font-size: 0.8rem;
+          margin-top: 2px;
+        }
+
+        .active-badge {
+          padding: 3px 8px;
+          border-radius: 12px;
+          font-size: 0.8rem;
+          font-weight: 500;
+          background: #d4edda;
+          color: #155724;
+        }
+
+        .active-badge.inactive {
+          background: #e2e3e5;
+          color: #383d41;
+        }
+
+        .actions {
+          white-space: nowrap;
+        }
+
+        .btn-link {
+          background: none;
+          border: none;
+          color: #007cba;
+          cursor: pointer;
+          font-size: 0.9rem;
+          padding: 0 8px 0 0;
+        }
+
+        .btn-link.danger {
+          color: #c33;
+        }
+
+        @media (max-width: 768px) {
+          .shifts-page {
+            padding: 10px;
+          }
+
+          .page-header {
+            padding: 20px;
+          }
+
+          .header-content h1 {
+            font-size: 1.5rem;
+          }
+
+          .shift-table {
+            display: block;
+            overflow-x: auto;
+          }
+        }
+      `}</style>
+    </>
+  );
+}
@@ -0,0 +1,789 @@
+import { useState, useEffect } from 'react';
+import { useRouter } from 'next/router';
+import Head from 'next/head';
+import { useAuth } from '../../contexts/AuthContext';
+import { useAdmin } from '../../hooks/useAdmin';
+import siteService from '../../lib/services/siteService';
+import locationService from '../../lib/services/locationService';
+import {
+  validateSite,
+  createEmptySite,
+  matchLocationToSite,
+  formatDistance,
+  MIN_SITE_RADIUS_M,
+  MAX_SITE_RADIUS_M
+} from '../../lib/models/Site';
+
+export default function WorkSites() {
+  const { user, loading: authLoading } = useAuth();
+  const { isAdmin, loading: adminLoading } = useAdmin();
+  const router = useRouter();
+  const [sites, setSites] = useState([]);
+  const [formData, setFormData] = useState(createEmptySite());
+  const [editingId, setEditingId] = useState(null);
+  const [errors, setErrors] = useState({});
+  const [mockInput, setMockInput] = useState('');
+  const [mockLocation, setMockLocation] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [saving, setSaving] = useState(false);
+  const [locating, setLocating] = useState(false);
+  const [error, setError] = useState('');
+  const [success, setSuccess] = useState('');
+
+  // Redirect if not authenticated
+  useEffect(() => {
+    if (!authLoading && !user) {
+      router.push('/auth/login');
+    }
+  }, [user, authLoading, router]);
+
+  // Load sites
+  useEffect(() => {
+    if (user) {
+      loadSites();
+      setMockLocation(locationService.getMockLocation());
+    }
+  }, [user]); // eslint-disable-line react-hooks/exhaustive-deps
+
+  const loadSites = async () => {
+    setLoading(true);
+    setError('');
+
+    try {
+      setSites(await siteService.getSites());
+    } catch (err) {
+      console.error('Error loading sites:', err);
+      setError('Failed to load work sites. Please try again.');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const handleInputChange = (e) => {
+    const { name, value, type, checked } = e.target;
+    setFormData(prev => ({
+      ...prev,
+      [name]: type === 'checkbox' ? checked : value
+    }));
+
+    const errorKey = name === 'latitude' || name === 'longitude' ? 'coordinates' : name;
+    if (errors[errorKey]) {
+      setErrors(prev => ({ ...prev, [errorKey]: '' }));
+    }
+  };
+
+  // Fill the coordinates from this device (or the mocked location)
+  const handleUseMyLocation = async () => {
+    setError('');
+    setLocating(true);
+
+    try {
+      const location = await locationService.getCurrentLocation();
+      if (!location) {
+        setError('Could not read this device\'s location. Allow location access or enter the coordinates.');
+        return;
+      }
+      setFormData(prev => ({
+        ...prev,
+        latitude: location.latitude.toFixed(6),
+        longitude: location.longitude.toFixed(6)
+      }));
+      setErrors(prev => ({ ...prev, coordinates: '' }));
+    } finally {
+      setLocating(false);
+    }
+  };
+
+  const resetForm = () => {
+    setFormData(createEmptySite());
+    setEditingId(null);
+    setErrors({});
+  };
+
+  const handleEdit = (site) => {
+    setFormData({
+      name: site.name,
+      latitude: String(site.latitude),
+      longitude: String(site.longitude),
+      radius_m: site.radius_m,
+      address: site.address || '',
+      is_active: site.is_active !== false
+    });
+    setEditingId(site.id);
+    setErrors({});
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setError('');
+    setSuccess('');
+
+    const validation = validateSite(formData);
+    if (!validation.isValid) {
+      setErrors(validation.errors);
+      return;
+    }
+
+    setSaving(true);
+    try {
+      if (editingId) {
+        await siteService.updateSite(editingId, formData, user?.email || '');
+        setSuccess(`Updated ${formData.name}.`);
+      } else {
+        await siteService.addSite(formData, user?.email || '');
+        setSuccess(`Added ${formData.name}.`);
+      }
+      resetForm();
+      await loadSites();
+    } catch (err) {
+      console.error('Error saving site:', err);
+      setError(err.message || 'Failed to save site.');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleDelete = async (site) => {
+    if (!window.confirm(`Delete ${site.name}? Records already marked there keep the site name.`)) {
+      return;
+    }
+
+    setError('');
+    setSuccess('');
+
+    try {
+      await siteService.deleteSite(site.id, user?.email || '');
+      if (editingId === site.id) {
+        resetForm();
+      }
+      setSuccess(`Deleted ${site.name}.`);
+      await loadSites();
+    } catch (err) {
+      console.error('Error deleting site:', err);
+      setError(err.message || 'Failed to delete site.');
+    }
+  };
+
+  const handleSetMock = () => {
+    setError('');
+    setSuccess('');
+
+    try {
+      setMockLocation(locationService.setMockLocation(mockInput));
+      setSuccess('Attendance marked in this browser will use the mocked location.');
+    } catch (err) {
+      setError(err.message);
+    }
+  };
+
+  const handleClearMock = () => {
+    locationService.clearMockLocation();
+    setMockLocation(locationService.getMockLocation());
+    setMockInput('');
+    setSuccess('This browser is back to using the device location.');
+  };
+
+  const describeMockResult = () => {
+    const match = matchLocationToSite(mockLocation, sites);
+    if (!match) {
+      return 'No active site to check against.';
+    }
+    return match.outside_geofence ?
+      `Outside the fence: ${formatDistance(match.site_distance_m)} from ${match.site_name}.` :
+      `Inside ${match.site_name} (${formatDistance(match.site_distance_m)} from its centre).`;
+  };
+
+  if (authLoading) {
+    return (
+      <div className="loading-container">
+        <div className="spinner"></div>
+        <p>Loading...</p>
+      </div>
+    );
+  }
+
+  if (!user) {
+    return null; // Will redirect
+  }
+
+  const canEdit = isAdmin && !adminLoading;
+
+  return (
+    <>
+      <Head>
+        <title>Work Sites - Employee Management</title>
+        <meta name="description" content="Manage work sites and their geofences" />
+      </Head>
+
+      <div className="sites-page">
+        {/* Header */}
+        <div className="page-header">
+          <div className="breadcrumb">
+            <button onClick={() => router.push('/attendance')} className="breadcrumb-link">
+              ← Attendance Dashboard
+            </button>
+          </div>
+
+          <div className="header-content">
+            <h1>Work Sites</h1>
+            <p>Attendance marked with a location is matched to the nearest site and flagged when it falls outside the site&apos;s radius</p>
+          </div>
+        </div>
+
+        {/* Messages */}
+        {error && (
+          <div className="message error">
+            <strong>Error:</strong> {error}
+            <button onClick={() => setError('')} className="close-message">×</button>
+          </div>
+        )}
+
+        {success && (
+          <div className="message success">
+            <strong>Success:</strong> {success}
+            <button onClick={() => setSuccess('')} className="close-message">×</button>
+          </div>
+        )}
+
+        {!adminLoading && !isAdmin && (
+          <div className="message info">
+            Only admins can change work sites.
+          </div>
+        )}
+
+        {/* Add / Edit Site */}
+        {canEdit && (
+          <form onSubmit={handleSubmit} className="card">
+            <h2>{editingId ? 'Edit Site' : 'Add Site'}</h2>
+            <div className="form-grid">
+              <div className="form-group">
+                <label htmlFor="name">Name *</label>
+                <input
+                  type="text"
+                  id="name"
+                  name="name"
+                  value={formData.name}
+                  onChange={handleInputChange}
+                  className={errors.name ? 'error' : ''}
+                  placeholder="e.g. Sector 21 Tower B"
+                  required
+                />
+                {errors.name && <div className="error-message">{errors.name}</div>}
+              </div>
+
+              <div className="form-group">
+                <label htmlFor="latitude">Latitude *</label>
+                <input
+                  type="number"
+                  id="latitude"
+                  name="latitude"
+                  value={formData.latitude}
+                  onChange={handleInputChange}
+                  className={errors.coordinates ? 'error' : ''}
+                  step="any"
+                  placeholder="e.g. 28.613939"
+                  required
+                />
+              </div>
+
+              <div className="form-group">
+                <label htmlFor="longitude">Longitude *</label>
+                <input
+                  type="number"
+                  id="longitude"
+                  name="longitude"
+                  value={formData.longitude}
+                  onChange={handleInputChange}
+                  className={errors.coordinates ? 'error' : ''}
+                  step="any"
+                  placeholder="e.g. 77.209021"
+                  required
+                />
+                {errors.coordinates && <div className="error-message">{errors.coordinates}</div>}
+              </div>
+
+              <div className="form-group">
+                <label htmlFor="radius_m">Radius (metres) *</label>
+                <input
+                  type="number"
+                  id="radius_m"
+                  name="radius_m"
+                  value={formData.radius_m}
+                  onChange={handleInputChange}
+                  className={errors.radius_m ? 'error' : ''}
+                  min={MIN_SITE_RADIUS_M}
+                  max={MAX_SITE_RADIUS_M}
+                  required
+                />
+                {errors.radius_m && <div className="error-message">{errors.radius_m}</div>}
+              </div>
+
+              <div className="form-group">
+                <label htmlFor="address">Address</label>
+                <input
+                  type="text"
+                  id="address"
+                  name="address"
+                  value={formData.address}
+                  onChange={handleInputChange}
+                  className={errors.address ? 'error' : ''}
+                  placeholder="Optional"
+                />
+                {errors.address && <div className="error-message">{errors.address}</div>}
+              </div>
+
+              <div className="form-group">
+                <label className="checkbox-label">
+                  <input
+                    type="checkbox"
+                    name="is_active"
+                    checked={formData.is_active}
+                    onChange={handleInputChange}
+                  />
+                  Active
+                </label>
+              </div>
+            </div>
+
+            <div className="form-actions">
+              <button type="button" onClick={handleUseMyLocation} className="btn-secondary" disabled={saving || locating}>
+                {locating ? 'Locating...' : '📍 Use My Location'}
+              </button>
+              {editingId && (
+                <button type="button" onClick={resetForm} className="btn-secondary" disabled={saving}>
+                  Cancel
+                </button>
+              )}
+              <button type="submit" className="btn-primary" disabled={saving}>
+                {saving ? 'Saving...' : editingId ? 'Update Site' : 'Add Site'}
+              </button>
+            </div>
+          </form>
+        )}
+
+        {/* Site List */}
+        <div className="card">
+          <div className="list-header">
+            <h2>Sites</h2>
+          </div>
+
+          {loading ? (
+            <div className="loading-section">
+              <div className="spinner"></div>
+              <p>Loading sites...</p>
+            </div>
+          ) : sites.length === 0 ? (
+            <p className="empty">No work sites yet. Attendance locations are recorded but not checked until a site is added.</p>
+          ) : (
+            <table className="site-table">
+              <thead>
+                <tr>
+                  <th>Name</th>
+                  <th>Coordinates</th>
+                  <th>Radius</th>
+                  <th>Status</th>
+                  {canEdit && <th>Actions</th>}
+                </tr>
+              </thead>
+              <tbody>
+                {sites.map(site => (
+                  <tr key={site.id}>
+                    <td>
+                      {site.name}
+                      {site.address && <div className="site-address">{site.address}</div>}
+                    </td>
+                    <td className="coordinates">{site.latitude.toFixed(6)}, {site.longitude.toFixed(6)}</td>
+                    <td>{formatDistance(site.radius_m)}</td>
+                    <td>
+                      <span className={`active-badge ${site.is_active === false ? 'inactive' : ''}`}>
+                        {site.is_active === false ? 'Inactive' : 'Active'}
+                      </span>
+                    </td>
+                    {canEdit && (
+                      <td className="actions">
+                        <button onClick={() => handleEdit(site)} className="btn-link">Edit</button>
+                        <button onClick={() => handleDelete(site)} className="btn-link danger">Delete</button>
+                      </td>
+                    )}
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          )}
+        </div>
+
+        {/* Location testing without GPS */}
+        {canEdit && (
+          <div className="card">
+            <h2>Test With a Mocked Location</h2>
+            <p className="card-hint">
+              Use fixed coordinates instead of this device&apos;s GPS for attendance marked in this browser.
+              Records saved this way are labelled as mocked.
+            </p>
+            <div className="mock-row">
+              <input
+                type="text"
+                value={mockInput}
+                onChange={(e) => setMockInput(e.target.value)}
+                placeholder="latitude,longitude (e.g. 28.6139,77.2090)"
+                aria-label="Mocked coordinates"
+              />
+              <button type="button" onClick={handleSetMock} className="btn-primary">
+                Use Mocked Location
+              </button>
+              {mockLocation && (
+                <button type="button" onClick={handleClearMock} className="btn-secondary">
+                  Use Device Location
+                </button>
+              )}
+            </div>
+            {mockLocation && (
+              <p className="mock-status">
+                Mocked at {mockLocation.latitude}, {mockLocation.longitude}. {describeMockResult()}
+              </p>
+            )}
+          </div>
+        )}
+      </div>
+
+      <style jsx>{`
+        .sites-page {
+          max-width: 1000px;
+          margin: 0 auto;
+          padding: 20px;
+          min-height: 100vh;
+          background: #f5f5f5;
+        }
+
+        .loading-container {
+          display: flex;
+          flex-direction: column;
+          align-items: center;
+          justify-content: center;
+          min-height: 100vh;
+          gap: 20px;
+        }
+
+        .spinner {
+          border: 4px solid #f3f3f3;
+          border-top: 4px solid #007cba;
+          border-radius: 50%;
+          width: 40px;
+          height: 40px;
+          animation: spin 1s linear infinite;
+        }
+
+        @keyframes spin {
+          0% { transform: rotate(0deg); }
+          100% { transform: rotate(360deg); }
+        }
+
+        .page-header {
+          background: white;
+          padding: 30px;
+          border-radius: 12px;
+          box-shadow: 0 2px 10px rgba(0, 0, 0, 0.1);
+          margin-bottom: 20px;
+        }
+
+        .breadcrumb {
+          margin-bottom: 20px;
+        }
+
+        .breadcrumb-link {
+          background: none;
+          border: none;
+          color: #007cba;
+          cursor: pointer;
+          font-size: 14px;
+          text-decoration: underline;
+          padding: 0;
+        }
+
+        .header-content h1 {
+          margin: 0 0 10px 0;
+          color: #333;
+          font-size: 2rem;
+        }
+
+        .header-content p {
+          margin: 0;
+          color: #666;
+          font-size: 1rem;
+        }
+
+        .message {
+          padding: 15px 20px;
+          border-radius: 6px;
+          margin-bottom: 20px;
+          display: flex;
+          justify-content: space-between;
+          align-items: center;
+        }
+
+        .message.error {
+          background: #fee;
+          color: #c33;
+          border: 1px solid #fcc;
+        }
+
+        .message.success {
+          background: #dfd;
+          color: #363;
+          border: 1px solid #beb;
+        }
+
+        .message.info {
+          background: #eef6fc;
+          color: #1e5a87;
+          border: 1px solid #bcdff5;
+        }
+
+        .close-message {
+          background: none;
+          border: none;
+          color: inherit;
+          cursor: pointer;
+          font-size: 18px;
+          padding: 0;
+          margin-left: 10px;
+        }
+
+        .card {
+          background: white;
+          padding: 25px;
+          border-radius: 8px;
+          box-shadow: 0 2px 4px rgba(0, 0, 0, 0.1);
+          margin-bottom: 20px;
+        }
+
+        .card h2 {
+          margin: 0 0 15px 0;
+          color: #333;
+          font-size: 1.2rem;
+        }
+
+        .card-hint {
+          margin: -5px 0 15px 0;
+          color: #666;
+          font-size: 0.9rem;
+        }
+
+        .checkbox-label {
+          flex-direction: row !important;
+          align-items: center;
+          gap: 8px;
+          margin-top: 28px;
+          cursor: pointer;
+        }
+
+        .mock-row {
+          display: flex;
+          flex-wrap: wrap;
+          gap: 10px;
+          align-items: center;
+        }
+
+        .mock-row input {
+          flex: 1;
+          min-width: 220px;
+          padding: 10px 12px;
+          border: 1px solid #ddd;
+          border-radius: 6px;
+          font-size: 0.9rem;
+        }
+
+        .mock-status {
+          margin: 12px 0 0 0;
+          color: #333;
+          font-size: 0.9rem;
+        }
+
+        .form-grid {
+          display: grid;
+          grid-template-columns: repeat(auto-fit, minmax(200px, 1fr));
+          gap: 15px;
+        }
+
+        .form-group {
+          display: flex;
+          flex-direction: column;
+        }
+
+        .form-group label {
+          margin-bottom: 6px;
+          font-weight: 500;
+          color: #333;
+          font-size: 0.9rem;
+        }
+
+        .form-group input,
+        .form-group select {
+          padding: 10px 12px;
+          border: 1px solid #ddd;
+          border-radius: 6px;
+          font-size: 0.9rem;
+        }
+
+        .form-group input.error,
+        .form-group select.error {
+          border-color: #c33;
+        }
+
+        .error-message {
+          color: #c33;
+          font-size: 0.8rem;
+          margin-top: 4px;
+        }
+
+        .form-actions {
+          display: flex;
+          justify-content: flex-end;
+          gap: 10px;
+          margin-top: 20px;
+        }
+
+        .btn-primary,
+        .btn-secondary {
+          padding: 10px 20px;
+          border-radius: 6px;
+          font-size: 14px;
+          font-weight: 500;
+          cursor: pointer;
+        }
+
+        .btn-primary {
+          background: #007cba;
+          color: white;
+          border: none;
+        }
+
+        .btn-primary:hover:not(:disabled) {
+          background: #005a87;
+        }
+
+        .btn-secondary {
+          background: #f8f9fa;
+          color: #333;
+          border: 1px solid #ddd;
+        }
+
+        .btn-secondary:hover:not(:disabled) {
+          background: #e9ecef;
+        }
+
+        .btn-primary:disabled,
+        .btn-secondary:disabled {
+          opacity: 0.6;
+          cursor: not-allowed;
+        }
+
+        .list-header {
+          display: flex;
+          justify-content: space-between;
+          align-items: center;
+          margin-bottom: 15px;
+        }
+
+        .list-header h2 {
+          margin: 0;
+        }
+
+        .loading-section {
+          padding: 40px;
+          text-align: center;
+          color: #666;
+        }
+
+        .loading-section .spinner {
+          margin: 0 auto 20px;
+        }
+
+        .empty {
+          color: #666;
+          margin: 0;
+        }
+
+        .site-table {
+          width: 100%;
+          border-collapse: collapse;
+        }
+
+        .site-table th,
+        .site-table td {
+          padding: 10px 12px;
+          text-align: left;
+          border-bottom: 1px solid #eee;
+          font-size: 0.9rem;
+        }
+
+        .site-table th {
+          background: #f8f9fa;
+          color: #333;
+          font-weight: 600;
+        }
+
+        .coordinates {
+          font-family: monospace;
+          font-size: 0.85rem;
+        }
+
+        .site-address {
+          color: #888;
+          font-size: 0.8rem;
+          margin-top: 2px;
+        }
+
+        .active-badge {
+          padding: 3px 8px;
+          border-radius: 12px;
+          font-size: 0.8rem;
+          font-weight: 500;
+          background: #d4edda;
+          color: #155724;
+        }
+
+        .active-badge.inactive {
+          background: #e2e3e5;
+          color: #383d41;
+        }
+
+        .actions {
+          white-space: nowrap;
+        }
+
+        .btn-link {
+          background: none;
+          border: none;
+          color: #007cba;
+          cursor: pointer;
+          font-size: 0.9rem;
+          padding: 0 8px 0 0;
+        }
+
+        .btn-link.danger {
+          color: #c33;
+        }
+
+        @media (max-width: 768px) {
+          .sites-page {
+            padding: 10px;
+          }
+
+          .page-header {
+            padding: 20px;
+          }
+
+          .header-content h1 {
+            font-size: 1.5rem;
+          }
+
+          .site-table {
+            display: block;
+            overflow-x: auto;
+          }
+        }
+      `}</style>
+    </>
+  );
+}
@@ -8,6 +8,7 @@ import employeeService from '../../lib/services/employeeService';
 export default function PaymentManagement() {
   const router = useRouter();
   const [payments, setPayments] = useState([]);
+  const [loanBalances, setLoanBalances] = useState([]);
   const [employees, setEmployees] = useState([]);
   const [loading, setLoading] = useState(true);
   const [formLoading, setFormLoading] = useState(false);
@@ -27,13 +28,15 @@ export default function PaymentManagement() {
       setLoading(true);
       setError('');
       
-      const [paymentsData, employeesData] = await Promise.all([
+      const [paymentsData, employeesData, loanBalancesData] = await Promise.all([
         paymentService.getAllPayments(),
-        employeeService.getAllEmployees()
+        employeeService.getAllEmployees(),
+        paymentService.getOutstandingLoanBalances()
       ]);
       
       setPayments(paymentsData);
       setEmployees(employeesData);
+      setLoanBalances(loanBalancesData);
     } catch (error) {
       console.error('Error loading data:', error);
       setError(`Failed to load data: ${error.message}`);
@@ -42,6 +45,15 @@ export default function PaymentManagement() {
     }
   };
 
+  // Refresh outstanding loan balances after a payment changes
+  const loadLoanBalances = async () => {
+    try {
+      setLoanBalances(await paymentService.getOutstandingLoanBalances());
+    } catch (error) {
+      console.error('Error loading loan balances:', error);
+    }
+  };
+
   // Handle payment creation
   const handleCreatePayment = async (paymentData) => {
     try {
@@ -52,6 +64,7 @@ export default function PaymentManagement() {
       
       // Add the new payment to the list
       setPayments(prev => [newPayment, ...prev]);
+      loadLoanBalances();
       
       // Close form and show success message
       setShowForm(false);
@@ -82,6 +95,7 @@ export default function PaymentManagement() {
           payment.id === editingPayment.id ? updatedPayment : payment
         )
       );
+      loadLoanBalances();
       
       // Close form and show success message
       setShowForm(false);
@@ -112,6 +126,7 @@ export default function PaymentManagement() {
       
       // Remove the payment from the list
       setPayments(prev => prev.filter(p => p.id !== payment.id));
+      loadLoanBalances();
       
       setSuccessMessage('Payment record deleted successfully!');
       
@@ -155,6 +170,11 @@ export default function PaymentManagement() {
     return date.toLocaleDateString('en-IN');
   };
 
+  // Format currency for display
+  const formatCurrency = (amount) => {
+    return `₹${parseFloat(amount || 0).toLocaleString('en-IN', { minimumFractionDigits: 2, maximumFractionDigits: 2 })}`;
+  };
+
   // Clear error message
   const clearError = () => {
     setError('');
@@ -225,6 +245,36 @@ export default function PaymentManagement() {
             />
           </div>
         ) : (
+          <>
+          {loanBalances.length > 0 && (
+            <div className="loan-balances">
+              <h2>Outstanding Loans</h2>
+              <table className="loan-table">
+                <thead>
+                  <tr>
+                    <th>Employee</th>
+                    <th>Loans</th>
+                    <th>Outstanding</th>
+                    <th>Next Instalment</th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {loanBalances.map(balance => (
+                    <tr key={balance.employee_id}>
+                      <td>{getEmployeeName(balance.employee_id)}</td>
+                      <td>{balance.loan_count}</td>
+                      <td className="amount">{formatCurrency(balance.outstanding)}</td>
+                      <td>
+                        {balance.next_due_date ?
+                          `${formatCurrency(balance.next_instalment_amount)} due ${formatDate(balance.next_due_date)}` :
+                          '-'}
+                      </td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            </div>
+          )}
           <div className="list-section">
             <PaymentList
               payments={payments}
@@ -237,6 +287,7 @@ export default function PaymentManagement() {
               title="Payment Records"
             />
           </div>
+          </>
         )}
       </div>
 
@@ -378,6 +429,46 @@ export default function PaymentManagement() {
           box-shadow: 0 2px 4px rgba(0, 0, 0, 0.1);
         }
 
+        .loan-balances {
+          background: white;
+          border-radius: 8px;
+          box-shadow: 0 2px 4px rgba(0, 0, 0, 0.1);
+          padding: 20px;
+          margin-bottom: 20px;
+          overflow-x: auto;
+        }
+
+        .loan-balances h2 {
+          color: #1f2937;
+          margin: 0 0 15px 0;
+          font-size: 1.25rem;
+          font-weight: 600;
+        }
+
+        .loan-table {
+          width: 100%;
+          border-collapse: collapse;
+          font-size: 0.9rem;
+        }
+
+        .loan-table th,
+        .loan-table td {
+          padding: 10px 12px;
+          text-align: left;
+          border-bottom: 1px solid #e5e7eb;
+        }
+
+        .loan-table th {
+          background: #f9fafb;
+          color: #374151;
+          font-weight: 600;
+        }
+
+        .loan-table .amount {
+          font-weight: 600;
+          color: #6f42c1;
+        }
+
         .loading-overlay {
           position: fixed;
           top: 0;
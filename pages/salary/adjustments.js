@@ -0,0 +1,727 @@
+import { useState, useEffect } from 'react';
+import { useRouter } from 'next/router';
+import Head from 'next/head';
+import { useAuth } from '../../contexts/AuthContext';
+import { useAdmin } from '../../hooks/useAdmin';
+import adjustmentService from '../../lib/services/adjustmentService';
+import employeeService from '../../lib/services/employeeService';
+import salaryService from '../../lib/services/salaryService';
+import {
+  AdjustmentTypes,
+  validateAdjustment,
+  createEmptyAdjustment,
+  getAdjustmentTotals,
+  getAdjustmentTypeLabel
+} from '../../lib/models/Adjustment';
+
+// Current month (YYYY-MM)
+const getCurrentMonth = () => new Date().toISOString().substring(0, 7);
+
+export default function SalaryAdjustments() {
+  const { user, loading: authLoading } = useAuth();
+  const { isAdmin, loading: adminLoading } = useAdmin();
+  const router = useRouter();
+  const [month, setMonth] = useState(getCurrentMonth);
+  const [adjustments, setAdjustments] = useState([]);
+  const [employees, setEmployees] = useState([]);
+  const [formData, setFormData] = useState(createEmptyAdjustment());
+  const [editingId, setEditingId] = useState(null);
+  const [errors, setErrors] = useState({});
+  const [loading, setLoading] = useState(true);
+  const [saving, setSaving] = useState(false);
+  const [error, setError] = useState('');
+  const [success, setSuccess] = useState('');
+
+  // Redirect if not authenticated
+  useEffect(() => {
+    if (!authLoading && !user) {
+      router.push('/auth/login');
+    }
+  }, [user, authLoading, router]);
+
+  // Load employees once
+  useEffect(() => {
+    if (!user) return;
+
+    employeeService.getAllEmployees()
+      .then(employeesData => {
+        setEmployees(employeesData.sort((a, b) => (a.name || '').localeCompare(b.name || '')));
+      })
+      .catch(err => {
+        console.error('Error loading employees:', err);
+        setError('Failed to load employees. Please try again.');
+      });
+  }, [user]);
+
+  // Load the selected month's adjustments
+  useEffect(() => {
+    if (user && month) {
+      loadAdjustments();
+    }
+  }, [user, month]); // eslint-disable-line react-hooks/exhaustive-deps
+
+  const loadAdjustments = async () => {
+    setLoading(true);
+    setError('');
+
+    try {
+      const [year, monthNumber] = month.split('-').map(Number);
+      const endDate = new Date(Date.UTC(year, monthNumber, 0)).toISOString().split('T')[0];
+      const adjustmentsData = await adjustmentService.getAdjustments({ startDate: `${month}-01`, endDate });
+      setAdjustments(adjustmentsData);
+    } catch (err) {
+      console.error('Error loading adjustments:', err);
+      setError('Failed to load adjustments. Please try again.');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const handleInputChange = (e) => {
+    const { name, value } = e.target;
+    setFormData(prev => ({
+      ...prev,
+      [name]: name === 'amount' ? value.replace(/[^0-9.]/g, '') : value
+    }));
+
+    if (errors[name]) {
+      setErrors(prev => ({ ...prev, [name]: '' }));
+    }
+  };
+
+  const resetForm = () => {
+    setFormData(createEmptyAdjustment());
+    setEditingId(null);
+    setErrors({});
+  };
+
+  const handleEdit = (adjustment) => {
+    setFormData({
+      employee_id: adjustment.employee_id,
+      date: adjustment.date,
+      type: adjustment.type,
+      amount: String(adjustment.amount),
+      reason: adjustment.reason
+    });
+    setEditingId(adjustment.id);
+    setErrors({});
+  };
+
+  const getEmployeeName = (employeeId) => {
+    const employee = employees.find(e => e.id === employeeId);
+    return employee ? employee.name : employeeId;
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setError('');
+    setSuccess('');
+
+    const validation = validateAdjustment(formData);
+    if (!validation.isValid) {
+      setErrors(validation.errors);
+      return;
+    }
+
+    setSaving(true);
+    try {
+      const label = `${getAdjustmentTypeLabel(formData.type).toLowerCase()} for ${getEmployeeName(formData.employee_id)}`;
+      if (editingId) {
+        await adjustmentService.updateAdjustment(editingId, formData, user?.email || '');
+        setSuccess(`Updated the ${label}.`);
+      } else {
+        await adjustmentService.addAdjustment(formData, user?.email || '');
+        setSuccess(`Added the ${label} on ${formData.date}.`);
+      }
+      resetForm();
+      await loadAdjustments();
+    } catch (err) {
+      console.error('Error saving adjustment:', err);
+      setError(err.message || 'Failed to save adjustment.');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleDelete = async (adjustment) => {
+    if (!window.confirm(`Delete "${adjustment.reason}" for ${getEmployeeName(adjustment.employee_id)}?`)) {
+      return;
+    }
+
+    setError('');
+    setSuccess('');
+
+    try {
+      await adjustmentService.deleteAdjustment(adjustment.id, user?.email || '');
+      if (editingId === adjustment.id) {
+        resetForm();
+      }
+      setSuccess(`Deleted "${adjustment.reason}".`);
+      await loadAdjustments();
+    } catch (err) {
+      console.error('Error deleting adjustment:', err);
+      setError(err.message || 'Failed to delete adjustment.');
+    }
+  };
+
+  if (authLoading) {
+    return (
+      <div className="loading-container">
+        <div className="spinner"></div>
+        <p>Loading...</p>
+      </div>
+    );
+  }
+
+  if (!user) {
+    return null; // Will redirect
+  }
+
+  const canEdit = isAdmin && !adminLoading;
+  const totals = getAdjustmentTotals(adjustments);
+
+  return (
+    <>
+      <Head>
+        <title>Salary Adjustments - Employee Management</title>
+        <meta name="description" content="Bonuses, incentives and penalty deductions" />
+      </Head>
+
+      <div className="adjustments-page">
+        {/* Header */}
+        <div className="page-header">
+          <div className="breadcrumb">
+            <button onClick={() => router.push('/salary')} className="breadcrumb-link">
+              ← Salary Calculation
+            </button>
+          </div>
+
+          <div className="header-content">
+            <h1>Salary Adjustments</h1>
+            <p>
+              Bonuses and incentives are added to gross pay; penalties such as damaged tools or lost safety gear
+              are deducted. Each appears as its own line in the salary of the period it is dated in.
+            </p>
+          </div>
+        </div>
+
+        {/* Messages */}
+        {error && (
+          <div className="message error">
+            <strong>Error:</strong> {error}
+            <button onClick={() => setError('')} className="close-message">×</button>
+          </div>
+        )}
+
+        {success && (
+          <div className="message success">
+            <strong>Success:</strong> {success}
+            <button onClick={() => setSuccess('')} className="close-message">×</button>
+          </div>
+        )}
+
+        {!adminLoading && !isAdmin && (
+          <div className="message info">
+            Only admins can add or change salary adjustments.
+          </div>
+        )}
+
+        {/* Add / Edit Adjustment */}
+        {canEdit && (
+          <form onSubmit={handleSubmit} className="card">
+            <h2>{editingId ? 'Edit Adjustment' : 'Add Adjustment'}</h2>
+            <div className="form-grid">
+              <div className="form-group">
+                <label htmlFor="employee_id">Employee *</label>
+                <select
+                  id="employee_id"
+                  name="employee_id"
+                  value={formData.employee_id}
+                  onChange={handleInputChange}
+                  className={errors.employee_id ? 'error' : ''}
+                  required
+                >
+                  <option value="">Select Employee</option>
+                  {employees.map(employee => (
+                    <option key={employee.id} value={employee.id}>
+                      {employee.name} - {employee.designation}
+                    </option>
+                  ))}
+                </select>
+                {errors.employee_id && <div className="error-message">{errors.employee_id}</div>}
+              </div>
+
+              <div className="form-group">
+                <label htmlFor="date">Date *</label>
+                <input
+                  type="date"
+                  id="date"
+                  name="date"
+                  value={formData.date}
+                  onChange={handleInputChange}
+                  className={errors.date ? 'error' : ''}
+                  required
+                />
+                {errors.date && <div className="error-message">{errors.date}</div>}
+              </div>
+
+              <div className="form-group">
+                <label htmlFor="type">Type *</label>
+                <select
+                  id="type"
+                  name="type"
+                  value={formData.type}
+                  onChange={handleInputChange}
+                  className={errors.type ? 'error' : ''}
+                >
+                  {Object.values(AdjustmentTypes).map(type => (
+                    <option key={type} value={type}>{getAdjustmentTypeLabel(type)}</option>
+                  ))}
+                </select>
+                {errors.type && <div className="error-message">{errors.type}</div>}
+              </div>
+
+              <div className="form-group">
+                <label htmlFor="amount">Amount (₹) *</label>
+                <input
+                  type="text"
+                  id="amount"
+                  name="amount"
+                  value={formData.amount}
+                  onChange={handleInputChange}
+                  className={errors.amount ? 'error' : ''}
+                  placeholder="e.g. 2000"
+                  required
+                />
+                {errors.amount && <div className="error-message">{errors.amount}</div>}
+              </div>
+
+              <div className="form-group wide">
+                <label htmlFor="reason">Reason *</label>
+                <input
+                  type="text"
+                  id="reason"
+                  name="reason"
+                  value={formData.reason}
+                  onChange={handleInputChange}
+                  className={errors.reason ? 'error' : ''}
+                  placeholder={formData.type === AdjustmentTypes.DEDUCTION ?
+                    'e.g. Lost safety helmet' : 'e.g. Site completion bonus'}
+                  maxLength="200"
+                  required
+                />
+                {errors.reason && <div className="error-message">{errors.reason}</div>}
+              </div>
+            </div>
+
+            <div className="form-actions">
+              {editingId && (
+                <button type="button" onClick={resetForm} className="btn-secondary" disabled={saving}>
+                  Cancel
+                </button>
+              )}
+              <button type="submit" className="btn-primary" disabled={saving}>
+                {saving ? 'Saving...' : editingId ? 'Update Adjustment' : 'Add Adjustment'}
+              </button>
+            </div>
+          </form>
+        )}
+
+        {/* Adjustment List */}
+        <div className="card">
+          <div className="list-header">
+            <h2>Adjustments</h2>
+            <input
+              type="month"
+              value={month}
+              onChange={(e) => setMonth(e.target.value)}
+              className="month-input"
+              aria-label="Month"
+            />
+          </div>
+
+          {loading ? (
+            <div className="loading-section">
+              <div className="spinner"></div>
+              <p>Loading adjustments...</p>
+            </div>
+          ) : adjustments.length === 0 ? (
+            <p className="empty">No adjustments in {month}.</p>
+          ) : (
+            <table className="adjustment-table">
+              <thead>
+                <tr>
+                  <th>Date</th>
+                  <th>Employee</th>
+                  <th>Type</th>
+                  <th>Reason</th>
+                  <th className="numeric">Amount</th>
+                  {canEdit && <th>Actions</th>}
+                </tr>
+              </thead>
+              <tbody>
+                {adjustments.map(adjustment => (
+                  <tr key={adjustment.id}>
+                    <td>{adjustment.date}</td>
+                    <td>{getEmployeeName(adjustment.employee_id)}</td>
+                    <td>
+                      <span className={`type-badge ${adjustment.type}`}>{getAdjustmentTypeLabel(adjustment.type)}</span>
+                    </td>
+                    <td>{adjustment.reason}</td>
+                    <td className={`numeric ${adjustment.type}`}>
+                      {adjustment.type === AdjustmentTypes.DEDUCTION ? '-' : '+'}
+                      {salaryService.formatCurrency(adjustment.amount)}
+                    </td>
+                    {canEdit && (
+                      <td className="actions">
+                        <button onClick={() => handleEdit(adjustment)} className="btn-link">Edit</button>
+                        <button onClick={() => handleDelete(adjustment)} className="btn-link danger">Delete</button>
+                      </td>
+                    )}
+                  </tr>
+                ))}
+              </tbody>
+              <tfoot>
+                <tr>
+                  <td colSpan="4">
+                    Earnings {salaryService.formatCurrency(totals.earnings)} · Deductions{' '}
+                    {salaryService.formatCurrency(totals.deductions)}
+                  </td>
+                  <td className="numeric">
+                    {totals.earnings - totals.deductions < 0 ? '-' : '+'}
+                    {salaryService.formatCurrency(Math.abs(totals.earnings - totals.deductions))}
+                  </td>
+                  {canEdit && <td></td>}
+                </tr>
+              </tfoot>
+            </table>
+          )}
+        </div>
+      </div>
+
+      <style jsx>{`
+        .adjustments-page {
+          max-width: 1000px;
+          margin: 0 auto;
+          padding: 20px;
+          min-height: 100vh;
+          background: #f5f5f5;
+        }
+
+        .loading-container {
+          display: flex;
+          flex-direction: column;
+          align-items: center;
+          justify-content: center;
+          min-height: 100vh;
+          gap: 20px;
+        }
+
+        .spinner {
+          border: 4px solid #f3f3f3;
+          border-top: 4px solid #007cba;
+          border-radius: 50%;
+          width: 40px;
+          height: 40px;
+          animation: spin 1s linear infinite;
+        }
+
+        @keyframes spin {
+          0% { transform: rotate(0deg); }
+          100% { transform: rotate(360deg); }
+        }
+
+        .page-header {
+          background: white;
+          padding: 30px;
+          border-radius: 12px;
+          box-shadow: 0 2px 10px rgba(0, 0, 0, 0.1);
+          margin-bottom: 20px;
+        }
+
+        .breadcrumb {
+          margin-bottom: 20px;
+        }
+
+        .breadcrumb-link {
+          background: none;
+          border: none;
+          color: #007cba;
+          cursor: pointer;
+          font-size: 14px;
+          text-decoration: underline;
+          padding: 0;
+        }
+
+        .header-content h1 {
+          margin: 0 0 10px 0;
+          color: #333;
+          font-size: 2rem;
+        }
+
+        .header-content p {
+          margin: 0;
+          color: #666;
+          font-size: 1rem;
+        }
+
+        .message {
+          padding: 15px 20px;
+          border-radius: 6px;
+          margin-bottom: 20px;
+          display: flex;
+          justify-content: space-between;
+          align-items: center;
+        }
+
+        .message.error {
+          background: #fee;
+          color: #c33;
+          border: 1px solid #fcc;
+        }
+
+        .message.success {
+          background: #dfd;
+          color: #363;
+          border: 1px solid #beb;
+        }
+
+        .message.info {
+          background: #eef6fc;
+          color: #1e5a87;
+          border: 1px solid #bcdff5;
+        }
+
+        .close-message {
+          background: none;
+          border: none;
+          color: inherit;
+          cursor: pointer;
+          font-size: 18px;
+          padding: 0;
+          margin-left: 10px;
+        }
+
+        .card {
+          background: white;
+          padding: 25px;
+          border-radius: 8px;
+          box-shadow: 0 2px 4px rgba(0, 0, 0, 0.1);
+          margin-bottom: 20px;
+        }
+
+        .card h2 {
+          margin: 0 0 15px 0;
+          color: #333;
+          font-size: 1.2rem;
+        }
+
+        .form-grid {
+          display: grid;
+          grid-template-columns: repeat(auto-fit, minmax(200px, 1fr));
+          gap: 15px;
+        }
+
+        .form-group {
+          display: flex;
+          flex-direction: column;
+        }
+
+        .form-group.wide {
+          grid-column: 1 / -1;
+        }
+
+        .form-group label {
+          margin-bottom: 6px;
+          font-weight: 500;
+          color: #333;
+          font-size: 0.9rem;
+        }
+
+        .form-group input,
+        .form-group select {
+          padding: 10px 12px;
+          border: 1px solid #ddd;
+          border-radius: 6px;
+          font-size: 0.9rem;
+        }
+
+        .form-group input.error,
+        .form-group select.error {
+          border-color: #c33;
+        }
+
+        .error-message {
+          color: #c33;
+          font-size: 0.8rem;
+          margin-top: 4px;
+        }
+
+        .form-actions {
+          display: flex;
+          justify-content: flex-end;
+          gap: 10px;
+          margin-top: 20px;
+        }
+
+        .btn-primary,
+        .btn-secondary {
+          padding: 10px 20px;
+          border-radius: 6px;
+          font-size: 14px;
+          font-weight: 500;
+          cursor: pointer;
+        }
+
+        .btn-primary {
+          background: #007cba;
+          color: white;
+          border: none;
+        }
+
+        .btn-primary:hover:not(:disabled) {
+          background: #005a87;
+        }
+
+        .btn-secondary {
+          background: #f8f9fa;
+          color: #333;
+          border: 1px solid #ddd;
+        }
+
+        .btn-secondary:hover:not(:disabled) {
+          background: #e9ecef;
+        }
+
+        .btn-primary:disabled,
+        .btn-secondary:disabled {
+          opacity: 0.6;
+          cursor: not-allowed;
+        }
+
+        .list-header {
+          display: flex;
+          justify-content: space-between;
+          align-items: center;
+          margin-bottom: 15px;
+        }
+
+        .list-header h2 {
+          margin: 0;
+        }
+
+        .month-input {
+          padding: 8px 10px;
+          border: 1px solid #ddd;
+          border-radius: 6px;
+          font-size: 0.9rem;
+        }
+
+        .loading-section {
+          padding: 40px;
+          text-align: center;
+          color: #666;
+        }
+
+        .loading-section .spinner {
+          margin: 0 auto 20px;
+        }
+
+        .empty {
+          color: #666;
+          margin: 0;
+        }
+
+        .adjustment-table {
+          width: 100%;
+          border-collapse: collapse;
+        }
+
+        .adjustment-table th,
+        .adjustment-table td {
+          padding: 10px 12px;
+          text-align: left;
+          border-bottom: 1px solid #eee;
+          font-size: 0.9rem;
+        }
+
+        .adjustment-table th {
+          background: #f8f9fa;
+          color: #333;
+          font-weight: 600;
+        }
+
+        .adjustment-table .numeric {
+          text-align: right;
+          white-space: nowrap;
+        }
+
+        .adjustment-table tfoot td {
+          font-weight: 600;
+          background: #f8f9fa;
+        }
+
+        .numeric.earning {
+          color: #2e7d32;
+        }
+
+        .numeric.deduction {
+          color: #c33;
+        }
+
+        .type-badge {
+          padding: 3px 8px;
+          border-radius: 12px;
+          font-size: 0.8rem;
+          font-weight: 500;
+        }
+
+        .type-badge.earning {
+          background: #dfd;
+          color: #363;
+        }
+
+        .type-badge.deduction {
+          background: #fee;
+          color: #c33;
+        }
+
+        .actions {
+          white-space: nowrap;
+        }
+
+        .btn-link {
+          background: none;
+          border: none;
+          color: #007cba;
+          cursor: pointer;
+          font-size: 0.9rem;
+          padding: 0 8px 0 0;
+        }
+
+        .btn-link.danger {
+          color: #c33;
+        }
+
+        @media (max-width: 768px) {
+          .adjustments-page {
+            padding: 10px;
+          }
+
+          .page-header {
+            padding: 20px;
+          }
+
+          .header-content h1 {
+            font-size: 1.5rem;
+          }
+
+          .adjustment-table {
+            display: block;
+            overflow-x: auto;
+          }
+        }
+      `}</style>
+    </>
+  );
+}
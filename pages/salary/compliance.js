@@ -0,0 +1,454 @@
+import { useState } from 'react';
+import { useRouter } from 'next/router';
+import minimumWageService from '../../lib/services/minimumWageService';
+import salaryService from '../../lib/services/salaryService';
+import { PayBasis, getPayBasisUnit, getSkillCategoryLabel } from '../../lib/models/Employee';
+
+// Default period: the current month up to today
+const getDefaultPeriod = () => {
+  const now = new Date();
+  const today = now.toISOString().split('T')[0];
+  return { startDate: `${today.substring(0, 7)}-01`, endDate: today };
+};
+
+export default function MinimumWageCompliance() {
+  const router = useRouter();
+
+  // State management
+  const [period, setPeriod] = useState(getDefaultPeriod);
+  const [report, setReport] = useState(null);
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState('');
+
+  const formatCurrency = (amount) => salaryService.formatCurrency(amount);
+
+  const handlePeriodChange = (e) => {
+    const { name, value } = e.target;
+    setPeriod(prev => ({ ...prev, [name]: value }));
+  };
+
+  // Check every employee's rates against the minimum wages
+  const handleLoad = async (e) => {
+    e.preventDefault();
+
+    try {
+      setLoading(true);
+      setError('');
+      setReport(null);
+
+      const result = await minimumWageService.getComplianceReport(period.startDate, period.endDate);
+      setReport(result);
+    } catch (error) {
+      console.error('Error loading compliance report:', error);
+      setError(`Failed to load compliance report: ${error.message}`);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const exportData = () => {
+    // Create CSV content
+    const headers = [
+      'Employee', 'State', 'Skill Category', 'From', 'To', 'Pay Basis', 'Rate',
+      'Daily Equivalent', 'Daily Minimum', 'Shortfall per Day'
+    ];
+    const rows = report.violations.map(violation => [
+      violation.employee.name,
+      violation.state,
+      getSkillCategoryLabel(violation.skillCategory),
+      violation.shortfall.startDate,
+      violation.shortfall.endDate,
+      violation.shortfall.payBasis,
+      violation.shortfall.rate,
+      violation.shortfall.effectiveDailyRate,
+      violation.shortfall.minimumWage.daily_rate,
+      violation.shortfall.shortfall
+    ]);
+
+    const csvContent = [headers, ...rows]
+      .map(row => row.map(field => `"${field}"`).join(','))
+      .join('\n');
+
+    // Download CSV
+    const blob = new Blob([csvContent], { type: 'text/csv' });
+    const url = window.URL.createObjectURL(blob);
+    const a = document.createElement('a');
+    a.href = url;
+    a.download = `minimum-wage-violations-${report.startDate}-to-${report.endDate}.csv`;
+    document.body.appendChild(a);
+    a.click();
+    window.URL.revokeObjectURL(url);
+    document.body.removeChild(a);
+  };
+
+  return (
+    <div className="compliance-page">
+      {/* Page Header */}
+      <div className="page-header">
+        <div className="header-content">
+          <h1>Minimum Wage Compliance</h1>
+          <p className="page-description">
+            Every stretch of the period in which an employee&apos;s rate was below the minimum wage for their
+            state and skill category.
+          </p>
+        </div>
+        <div className="header-actions">
+          <button onClick={() => router.push('/salary')} className="btn-secondary">
+            ← Salary Calculation
+          </button>
+          <button onClick={() => router.push('/salary/minimum-wages')} className="btn-secondary">
+            Minimum Wages
+          </button>
+        </div>
+      </div>
+
+      {/* Status Messages */}
+      {error && (
+        <div className="message-banner error-banner">
+          <div className="message-content">
+            <strong>Error:</strong> {error}
+          </div>
+          <button onClick={() => setError('')} className="message-close">×</button>
+        </div>
+      )}
+
+      <div className="main-content">
+        {/* Period Selection */}
+        <form onSubmit={handleLoad} className="period-form">
+          <div className="form-group">
+            <label htmlFor="startDate" className="form-label">Start Date</label>
+            <input
+              type="date"
+              id="startDate"
+              name="startDate"
+              value={period.startDate}
+              onChange={handlePeriodChange}
+              className="form-input"
+              required
+            />
+          </div>
+          <div className="form-group">
+            <label htmlFor="endDate" className="form-label">End Date</label>
+            <input
+              type="date"
+              id="endDate"
+              name="endDate"
+              value={period.endDate}
+              onChange={handlePeriodChange}
+              className="form-input"
+              min={period.startDate}
+              required
+            />
+          </div>
+          <button type="submit" className="btn-primary" disabled={loading}>
+            {loading ? 'Checking...' : 'Check Compliance'}
+          </button>
+        </form>
+
+        {loading && (
+          <div className="loading-state">
+            <div className="loading-spinner"></div>
+            <p>Checking employee rates...</p>
+          </div>
+        )}
+
+        {report && !loading && (
+          <>
+            {report.unchecked.length > 0 && (
+              <div className="message-banner warning-banner">
+                <div className="message-content">
+                  {report.unchecked.length} employee(s) could not be checked:{' '}
+                  {report.unchecked.map(entry => `${entry.employee.name || entry.employee.id} (${entry.reason})`).join('; ')}
+                </div>
+              </div>
+            )}
+
+            {report.violations.length === 0 ? (
+              <div className="empty-state">
+                <h3>No Violations</h3>
+                <p>
+                  All {report.checked} checked employee(s) were paid at or above the minimum wage
+                  from {report.startDate} to {report.endDate}.
+                </p>
+              </div>
+            ) : (
+              <>
+                <div className="sheet-actions">
+                  <span className="summary-text">
+                    {report.violations.length} violation(s) across {report.checked} checked employee(s)
+                  </span>
+                  <button onClick={exportData} className="btn-secondary">
+                    📊 Export CSV
+                  </button>
+                </div>
+                <div className="table-container">
+                  <table className="sheet-table">
+                    <thead>
+                      <tr>
+                        <th>Employee</th>
+                        <th>State / Skill</th>
+                        <th>Period</th>
+                        <th className="numeric">Rate</th>
+                        <th className="numeric">Per Day</th>
+                        <th className="numeric">Minimum</th>
+                        <th className="numeric">Shortfall / Day</th>
+                      </tr>
+                    </thead>
+                    <tbody>
+                      {report.violations.map((violation, index) => (
+                        <tr key={`${violation.employee.id}-${index}`}>
+                          <td>
+                            {violation.employee.name}
+                            <div className="sub-text">{violation.employee.designation}</div>
+                          </td>
+                          <td>
+                            {violation.state}
+                            <div className="sub-text">{getSkillCategoryLabel(violation.skillCategory)}</div>
+                          </td>
+                          <td>
+                            {violation.shortfall.startDate} to {violation.shortfall.endDate}
+                          </td>
+                          <td className="numeric">
+                            {formatCurrency(violation.shortfall.rate)}/{getPayBasisUnit(violation.shortfall.payBasis)}
+                          </td>
+                          <td className="numeric">
+                            {violation.shortfall.payBasis === PayBasis.DAILY ?
+                              '-' : formatCurrency(violation.shortfall.effectiveDailyRate)}
+                          </td>
+                          <td className="numeric">{formatCurrency(violation.shortfall.minimumWage.daily_rate)}</td>
+                          <td className="numeric shortfall">{formatCurrency(violation.shortfall.shortfall)}</td>
+                        </tr>
+                      ))}
+                    </tbody>
+                  </table>
+                </div>
+              </>
+            )}
+          </>
+        )}
+      </div>
+
+      <style jsx>{`
+        .compliance-page {
+          min-height: 100vh;
+          background: #f8fafc;
+          padding: 20px;
+        }
+
+        .page-header {
+          display: flex;
+          justify-content: space-between;
+          align-items: flex-start;
+          margin-bottom: 30px;
+          background: white;
+          padding: 25px;
+          border-radius: 8px;
+          box-shadow: 0 2px 4px rgba(0, 0, 0, 0.1);
+        }
+
+        .header-content h1 {
+          color: #1f2937;
+          margin: 0 0 8px 0;
+          font-size: 2rem;
+          font-weight: 700;
+        }
+
+        .page-description {
+          color: #6b7280;
+          margin: 0;
+          font-size: 1rem;
+          line-height: 1.5;
+        }
+
+        .header-actions {
+          display: flex;
+          gap: 12px;
+          align-items: center;
+        }
+
+        .btn-primary,
+        .btn-secondary {
+          padding: 12px 20px;
+          border: none;
+          border-radius: 6px;
+          font-size: 0.9rem;
+          font-weight: 500;
+          cursor: pointer;
+          white-space: nowrap;
+        }
+
+        .btn-primary {
+          background: #3b82f6;
+          color: white;
+        }
+
+        .btn-primary:hover:not(:disabled) {
+          background: #2563eb;
+        }
+
+        .btn-primary:disabled {
+          opacity: 0.6;
+          cursor: not-allowed;
+        }
+
+        .btn-secondary {
+          background: #f3f4f6;
+          color: #374151;
+          border: 1px solid #d1d5db;
+        }
+
+        .btn-secondary:hover {
+          background: #e5e7eb;
+        }
+
+        .sheet-actions {
+          display: flex;
+          justify-content: space-between;
+          align-items: center;
+          margin-bottom: 12px;
+        }
+
+        .summary-text {
+          color: #92400e;
+          font-weight: 500;
+        }
+
+        .message-banner {
+          display: flex;
+          justify-content: space-between;
+          align-items: center;
+          padding: 12px 20px;
+          border-radius: 6px;
+          margin-bottom: 20px;
+          font-size: 0.9rem;
+        }
+
+        .error-banner {
+          background: #fef2f2;
+          border: 1px solid #fecaca;
+          color: #dc2626;
+        }
+
+        .warning-banner {
+          background: #fffbeb;
+          border: 1px solid #fde68a;
+          color: #92400e;
+        }
+
+        .message-content {
+          flex: 1;
+        }
+
+        .message-close {
+          background: none;
+          border: none;
+          font-size: 1.2rem;
+          cursor: pointer;
+          color: inherit;
+          opacity: 0.7;
+        }
+
+        .main-content {
+          max-width: 1200px;
+          margin: 0 auto;
+        }
+
+        .period-form {
+          display: flex;
+          gap: 16px;
+          align-items: flex-end;
+          background: white;
+          padding: 20px;
+          border-radius: 8px;
+          box-shadow: 0 2px 4px rgba(0, 0, 0, 0.1);
+          margin-bottom: 20px;
+        }
+
+        .form-group {
+          display: flex;
+          flex-direction: column;
+        }
+
+        .form-label {
+          margin-bottom: 6px;
+          font-weight: 500;
+          color: #374151;
+          font-size: 0.9rem;
+        }
+
+        .form-input {
+          padding: 10px 12px;
+          border: 1px solid #d1d5db;
+          border-radius: 6px;
+          font-size: 0.9rem;
+        }
+
+        .loading-state,
+        .empty-state {
+          text-align: center;
+          padding: 60px 20px;
+          background: white;
+          border-radius: 8px;
+          box-shadow: 0 2px 4px rgba(0, 0, 0, 0.1);
+          color: #6b7280;
+        }
+
+        .loading-spinner {
+          width: 40px;
+          height: 40px;
+          border: 3px solid #e5e7eb;
+          border-top: 3px solid #3b82f6;
+          border-radius: 50%;
+          animation: spin 1s linear infinite;
+          margin: 0 auto 20px;
+        }
+
+        @keyframes spin {
+          0% { transform: rotate(0deg); }
+          100% { transform: rotate(360deg); }
+        }
+
+        .table-container {
+          background: white;
+          border-radius: 8px;
+          box-shadow: 0 2px 4px rgba(0, 0, 0, 0.1);
+          overflow-x: auto;
+        }
+
+        .sheet-table {
+          width: 100%;
+          border-collapse: collapse;
+          font-size: 0.9rem;
+        }
+
+        .sheet-table th,
+        .sheet-table td {
+          padding: 12px 16px;
+          text-align: left;
+          border-bottom: 1px solid #e5e7eb;
+        }
+
+        .sheet-table th {
+          background: #f9fafb;
+          color: #374151;
+          font-weight: 600;
+        }
+
+        .sheet-table .numeric {
+          text-align: right;
+          font-variant-numeric: tabular-nums;
+        }
+
+        .shortfall {
+          color: #dc2626;
+          font-weight: 600;
+        }
+
+        .sub-text {
+          font-size: 0.8rem;
+          color: #6b7280;
+        }
+      `}</style>
+    </div>
+  );
+}
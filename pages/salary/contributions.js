@@ -0,0 +1,458 @@
+import { useState } from 'react';
+import { useRouter } from 'next/router';
+import contributionService from '../../lib/services/contributionService';
+import salaryService from '../../lib/services/salaryService';
+
+// Default month: the previous one, which is the month being filed
+const getDefaultMonth = () => {
+  const now = new Date();
+  const previous = new Date(now.getFullYear(), now.getMonth() - 1, 1);
+  return `${previous.getFullYear()}-${String(previous.getMonth() + 1).padStart(2, '0')}`;
+};
+
+export default function StatutoryContributions() {
+  const router = useRouter();
+
+  // State management
+  const [month, setMonth] = useState(getDefaultMonth);
+  const [summary, setSummary] = useState(null);
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState('');
+
+  const formatCurrency = (amount) => salaryService.formatCurrency(amount);
+
+  // Calculate the month's contributions for every employee
+  const handleLoad = async (e) => {
+    e.preventDefault();
+
+    try {
+      setLoading(true);
+      setError('');
+      setSummary(null);
+
+      const result = await contributionService.getMonthlyContributions(month);
+      setSummary(result);
+    } catch (error) {
+      console.error('Error loading contributions:', error);
+      setError(`Failed to load contributions: ${error.message}`);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const exportData = () => {
+    // Create CSV content
+    const headers = [
+      'Employee', 'Employee Code', 'UAN', 'ESI Number', 'Paid Days', 'Gross',
+      'PF Wages', 'PF Employee', 'PF Employer (EPS)', 'PF Employer (EPF)',
+      'ESI Wages', 'ESI Employee', 'ESI Employer', 'Professional Tax'
+    ];
+    const rows = summary.rows.map(row => [
+      row.employee.name,
+      row.employee.employee_code || row.employee.id,
+      row.uan,
+      row.esi_number,
+      row.paidDays,
+      row.grossSalary,
+      row.pf ? row.pf.wageBase : '',
+      row.pf ? row.pf.employee : '',
+      row.pf ? row.pf.pension : '',
+      row.pf ? row.pf.employer - row.pf.pension : '',
+      row.esi ? row.esi.wageBase : '',
+      row.esi ? row.esi.employee : '',
+      row.esi ? row.esi.employer : '',
+      row.professionalTax ? row.professionalTax.employee : ''
+    ]);
+
+    const csvContent = [headers, ...rows]
+      .map(row => row.map(field => `"${field}"`).join(','))
+      .join('\n');
+
+    // Download CSV
+    const blob = new Blob([csvContent], { type: 'text/csv' });
+    const url = window.URL.createObjectURL(blob);
+    const a = document.createElement('a');
+    a.href = url;
+    a.download = `statutory-contributions-${summary.month}.csv`;
+    document.body.appendChild(a);
+    a.click();
+    window.URL.revokeObjectURL(url);
+    document.body.removeChild(a);
+  };
+
+  const amountOrDash = (line, field) => (line ? formatCurrency(line[field]) : '-');
+
+  return (
+    <div className="contributions-page">
+      {/* Page Header */}
+      <div className="page-header">
+        <div className="header-content">
+          <h1>Statutory Contributions</h1>
+          <p className="page-description">
+            PF, ESI and professional tax for each employee in a month, for filing the returns.
+            Components are switched on in payroll settings.
+          </p>
+        </div>
+        <div className="header-actions">
+          <button onClick={() => router.push('/salary')} className="btn-secondary">
+            ← Salary Calculation
+          </button>
+          <button onClick={() => router.push('/salary/settings')} className="btn-secondary">
+            Settings
+          </button>
+        </div>
+      </div>
+
+      {/* Status Messages */}
+      {error && (
+        <div className="message-banner error-banner">
+          <div className="message-content">
+            <strong>Error:</strong> {error}
+          </div>
+          <button onClick={() => setError('')} className="message-close">×</button>
+        </div>
+      )}
+
+      <div className="main-content">
+        {/* Month Selection */}
+        <form onSubmit={handleLoad} className="period-form">
+          <div className="form-group">
+            <label htmlFor="month" className="form-label">Month</label>
+            <input
+              type="month"
+              id="month"
+              value={month}
+              onChange={(e) => setMonth(e.target.value)}
+              className="form-input"
+              required
+            />
+          </div>
+          <button type="submit" className="btn-primary" disabled={loading}>
+            {loading ? 'Calculating...' : 'Show Contributions'}
+          </button>
+        </form>
+
+        {loading && (
+          <div className="loading-state">
+            <div className="loading-spinner"></div>
+            <p>Calculating salaries for the month...</p>
+          </div>
+        )}
+
+        {summary && !loading && (
+          <>
+            {summary.errors.length > 0 && (
+              <div className="message-banner warning-banner">
+                <div className="message-content">
+                  {summary.errors.length} employee(s) could not be calculated and are left out:{' '}
+                  {summary.errors.map(entry => `${entry.employee.name || entry.employee.id} (${entry.error})`).join('; ')}
+                </div>
+              </div>
+            )}
+
+            {summary.rows.length === 0 ? (
+              <div className="empty-state">
+                <h3>No Contributions</h3>
+                <p>No employee had PF, ESI or professional tax deducted in {summary.month}.</p>
+              </div>
+            ) : (
+              <>
+                <div className="sheet-actions">
+                  <button onClick={exportData} className="btn-secondary">
+                    📊 Export CSV
+                  </button>
+                </div>
+                <div className="table-container">
+                  <table className="sheet-table">
+                    <thead>
+                      <tr>
+                        <th rowSpan="2">Employee</th>
+                        <th rowSpan="2">UAN / ESI No.</th>
+                        <th rowSpan="2" className="numeric">Gross</th>
+                        <th colSpan="4" className="group">Provident Fund</th>
+                        <th colSpan="3" className="group">ESI</th>
+                        <th rowSpan="2" className="numeric">Prof. Tax</th>
+                      </tr>
+                      <tr>
+                        <th className="numeric">Wages</th>
+                        <th className="numeric">Employee</th>
+                        <th className="numeric">EPS</th>
+                        <th className="numeric">EPF</th>
+                        <th className="numeric">Wages</th>
+                        <th className="numeric">Employee</th>
+                        <th className="numeric">Employer</th>
+                      </tr>
+                    </thead>
+                    <tbody>
+                      {summary.rows.map(row => (
+                        <tr key={row.employee.id}>
+                          <td>
+                            {row.employee.name}
+                            <div className="sub-text">{row.paidDays} paid day(s)</div>
+                          </td>
+                          <td>
+                            {row.uan || <span className="missing">No UAN</span>}
+                            <div className="sub-text">{row.esi_number || '-'}</div>
+                          </td>
+                          <td className="numeric">{formatCurrency(row.grossSalary)}</td>
+                          <td className="numeric">{amountOrDash(row.pf, 'wageBase')}</td>
+                          <td className="numeric">{amountOrDash(row.pf, 'employee')}</td>
+                          <td className="numeric">{amountOrDash(row.pf, 'pension')}</td>
+                          <td className="numeric">{row.pf ? formatCurrency(row.pf.employer - row.pf.pension) : '-'}</td>
+                          <td className="numeric">{amountOrDash(row.esi, 'wageBase')}</td>
+                          <td className="numeric">{amountOrDash(row.esi, 'employee')}</td>
+                          <td className="numeric">{amountOrDash(row.esi, 'employer')}</td>
+                          <td className="numeric">{amountOrDash(row.professionalTax, 'employee')}</td>
+                        </tr>
+                      ))}
+                    </tbody>
+                    <tfoot>
+                      <tr>
+                        <td colSpan="2">Totals ({summary.totals.employees} employees)</td>
+                        <td className="numeric">{formatCurrency(summary.totals.grossSalary)}</td>
+                        <td className="numeric">{formatCurrency(summary.totals.pfWages)}</td>
+                        <td className="numeric">{formatCurrency(summary.totals.pfEmployee)}</td>
+                        <td className="numeric">{formatCurrency(summary.totals.pfPension)}</td>
+                        <td className="numeric">{formatCurrency(summary.totals.pfEmployer)}</td>
+                        <td className="numeric">{formatCurrency(summary.totals.esiWages)}</td>
+                        <td className="numeric">{formatCurrency(summary.totals.esiEmployee)}</td>
+                        <td className="numeric">{formatCurrency(summary.totals.esiEmployer)}</td>
+                        <td className="numeric">{formatCurrency(summary.totals.professionalTax)}</td>
+                      </tr>
+                    </tfoot>
+                  </table>
+                </div>
+              </>
+            )}
+          </>
+        )}
+      </div>
+
+      <style jsx>{`
+        .contributions-page {
+          min-height: 100vh;
+          background: #f8fafc;
+          padding: 20px;
+        }
+
+        .page-header {
+          display: flex;
+          justify-content: space-between;
+          align-items: flex-start;
+          margin-bottom: 30px;
+          background: white;
+          padding: 25px;
+          border-radius: 8px;
+          box-shadow: 0 2px 4px rgba(0, 0, 0, 0.1);
+        }
+
+        .header-content h1 {
+          color: #1f2937;
+          margin: 0 0 8px 0;
+          font-size: 2rem;
+          font-weight: 700;
+        }
+
+        .page-description {
+          color: #6b7280;
+          margin: 0;
+          font-size: 1rem;
+          line-height: 1.5;
+        }
+
+        .header-actions {
+          display: flex;
+          gap: 12px;
+          align-items: center;
+        }
+
+        .btn-primary,
+        .btn-secondary {
+          padding: 12px 20px;
+          border: none;
+          border-radius: 6px;
+          font-size: 0.9rem;
+          font-weight: 500;
+          cursor: pointer;
+          white-space: nowrap;
+        }
+
+        .btn-primary {
+          background: #3b82f6;
+          color: white;
+        }
+
+        .btn-primary:hover:not(:disabled) {
+          background: #2563eb;
+        }
+
+        .btn-primary:disabled {
+          opacity: 0.6;
+          cursor: not-allowed;
+        }
+
+        .btn-secondary {
+          background: #f3f4f6;
+          color: #374151;
+          border: 1px solid #d1d5db;
+        }
+
+        .btn-secondary:hover {
+          background: #e5e7eb;
+        }
+
+        .sheet-actions {
+          display: flex;
+          justify-content: flex-end;
+          margin-bottom: 12px;
+        }
+
+        .message-banner {
+          display: flex;
+          justify-content: space-between;
+          align-items: center;
+          padding: 12px 20px;
+          border-radius: 6px;
+          margin-bottom: 20px;
+          font-size: 0.9rem;
+        }
+
+        .error-banner {
+          background: #fef2f2;
+          border: 1px solid #fecaca;
+          color: #dc2626;
+        }
+
+        .warning-banner {
+          background: #fffbeb;
+          border: 1px solid #fde68a;
+          color: #92400e;
+        }
+
+        .message-content {
+          flex: 1;
+        }
+
+        .message-close {
+          background: none;
+          border: none;
+          font-size: 1.2rem;
+          cursor: pointer;
+          color: inherit;
+          opacity: 0.7;
+        }
+
+        .main-content {
+          max-width: 1200px;
+          margin: 0 auto;
+        }
+
+        .period-form {
+          display: flex;
+          gap: 16px;
+          align-items: flex-end;
+          background: white;
+          padding: 20px;
+          border-radius: 8px;
+          box-shadow: 0 2px 4px rgba(0, 0, 0, 0.1);
+          margin-bottom: 20px;
+        }
+
+        .form-group {
+          display: flex;
+          flex-direction: column;
+        }
+
+        .form-label {
+          margin-bottom: 6px;
+          font-weight: 500;
+          color: #374151;
+          font-size: 0.9rem;
+        }
+
+        .form-input {
+          padding: 10px 12px;
+          border: 1px solid #d1d5db;
+          border-radius: 6px;
+          font-size: 0.9rem;
+        }
+
+        .loading-state,
+        .empty-state {
+          text-align: center;
+          padding: 60px 20px;
+          background: white;
+          border-radius: 8px;
+          box-shadow: 0 2px 4px rgba(0, 0, 0, 0.1);
+          color: #6b7280;
+        }
+
+        .loading-spinner {
+          width: 40px;
+          height: 40px;
+          border: 3px solid #e5e7eb;
+          border-top: 3px solid #3b82f6;
+          border-radius: 50%;
+          animation: spin 1s linear infinite;
+          margin: 0 auto 20px;
+        }
+
+        @keyframes spin {
+          0% { transform: rotate(0deg); }
+          100% { transform: rotate(360deg); }
+        }
+
+        .table-container {
+          background: white;
+          border-radius: 8px;
+          box-shadow: 0 2px 4px rgba(0, 0, 0, 0.1);
+          overflow-x: auto;
+        }
+
+        .sheet-table {
+          width: 100%;
+          border-collapse: collapse;
+          font-size: 0.9rem;
+        }
+
+        .sheet-table th,
+        .sheet-table td {
+          padding: 12px 16px;
+          text-align: left;
+          border-bottom: 1px solid #e5e7eb;
+        }
+
+        .sheet-table th {
+          background: #f9fafb;
+          color: #374151;
+          font-weight: 600;
+        }
+
+        .sheet-table th.group {
+          text-align: center;
+          border-left: 1px solid #e5e7eb;
+        }
+
+        .sheet-table .numeric {
+          text-align: right;
+          font-variant-numeric: tabular-nums;
+        }
+
+        .sheet-table tfoot td {
+          font-weight: 600;
+          background: #f9fafb;
+        }
+
+        .sub-text {
+          font-size: 0.8rem;
+          color: #6b7280;
+        }
+
+        .missing {
+          color: #dc2626;
+          font-size: 0.85rem;
+        }
+      `}</style>
+    </div>
+  );
+}
@@ -2,11 +2,14 @@ import { useState, useEffect } from 'react';
 import { useRouter } from 'next/router';
 import SalaryCalculationForm from '../../components/salary/SalaryCalculationForm';
 import SalaryReport from '../../components/salary/SalaryReport';
+import { useAuth } from '../../contexts/AuthContext';
 import salaryService from '../../lib/services/salaryService';
 import employeeService from '../../lib/services/employeeService';
+import payrollRunService from '../../lib/services/payrollRunService';
 
 export default function SalaryCalculation() {
   const router = useRouter();
+  const { user } = useAuth();
   
   // State management
   const [employees, setEmployees] = useState([]);
@@ -16,6 +19,7 @@ export default function SalaryCalculation() {
   const [error, setError] = useState('');
   const [successMessage, setSuccessMessage] = useState('');
   const [showReport, setShowReport] = useState(false);
+  const [savingRun, setSavingRun] = useState(false);
 
   // Load employees on component mount
   useEffect(() => {
@@ -48,9 +52,7 @@ export default function SalaryCalculation() {
       const result = await salaryService.calculateSalary(
         calculationData.employeeId,
         calculationData.startDate,
-        calculationData.endDate,
-        calculationData.hourlyRate,
-        calculationData.dailyHours
+        calculationData.endDate
       );
       
       setSalaryData(result);
@@ -80,6 +82,25 @@ export default function SalaryCalculation() {
     }
   };
 
+  // Save the current calculation as a draft payroll run
+  const handleSaveRun = async () => {
+    try {
+      setSavingRun(true);
+      setError('');
+
+      await payrollRunService.createRun(salaryData, user ? (user.email || user.displayName) : '');
+      setSuccessMessage('Saved as a draft payroll run. Finalize it from Payroll Runs to lock the period.');
+
+      // Clear success message after 3 seconds
+      setTimeout(() => setSuccessMessage(''), 3000);
+    } catch (error) {
+      console.error('Error saving payroll run:', error);
+      setError(`Failed to save payroll run: ${error.message}`);
+    } finally {
+      setSavingRun(false);
+    }
+  };
+
   // Handle back to form
   const handleBackToForm = () => {
     setShowReport(false);
@@ -140,6 +161,66 @@ export default function SalaryCalculation() {
           >
             View Payments
           </button>
+          <button
+            onClick={() => router.push('/salary/sheet')}
+            className="btn-secondary"
+          >
+            Payroll Sheet
+          </button>
+          <button
+            onClick={() => router.push('/salary/runs')}
+            className="btn-secondary"
+          >
+            Payroll Runs
+          </button>
+          <button
+            onClick={() => router.push('/salary/ledger')}
+            className="btn-secondary"
+          >
+            Employee Ledger
+          </button>
+          <button
+            onClick={() => router.push('/salary/adjustments')}
+            className="btn-secondary"
+          >
+            Adjustments
+          </button>
+          <button
+            onClick={() => router.push('/salary/work-entries')}
+            className="btn-secondary"
+          >
+            Piece-Rate Work
+          </button>
+          <button
+            onClick={() => router.push('/salary/contributions')}
+            className="btn-secondary"
+          >
+            Contributions
+          </button>
+          <button
+            onClick={() => router.push('/salary/minimum-wages')}
+            className="btn-secondary"
+          >
+            Minimum Wages
+          </button>
+          <button
+            onClick={() => router.push('/salary/compliance')}
+            className="btn-secondary"
+          >
+            Compliance
+          </button>
+          <button
+            onClick={() => router.push('/salary/periods')}
+            className="btn-secondary"
+          >
+            Closed Periods
+          </button>
+          <button
+            onClick={() => router.push('/salary/settings')}
+            className="btn-secondary"
+          >
+            Settings
+          </button>
         </div>
       </div>
 
@@ -187,6 +268,8 @@ export default function SalaryCalculation() {
             salaryData={salaryData}
             onBack={handleBackToForm}
             onRecalculate={handleRecalculate}
+            onSaveRun={handleSaveRun}
+            savingRun={savingRun}
           />
         ) : (
           // Show calculation form
@@ -247,8 +330,8 @@ export default function SalaryCalculation() {
                 <div className="step">
                   <div className="step-number">3</div>
                   <div className="step-content">
-                    <h4>Enter Rate Information</h4>
-                    <p>Specify the hourly rate and expected daily working hours.</p>
+                    <h4>Check Wage Rates</h4>
+                    <p>Each day is priced at the employee's wage rate in force on that date. Rates are maintained on the employee record.</p>
                   </div>
                 </div>
                 <div className="step">
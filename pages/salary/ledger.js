@@ -0,0 +1,563 @@
+import { useState, useEffect } from 'react';
+import { useRouter } from 'next/router';
+import employeeService from '../../lib/services/employeeService';
+import ledgerService from '../../lib/services/ledgerService';
+import payslipService from '../../lib/services/payslipService';
+import salaryService, { SALARY_STATUS } from '../../lib/services/salaryService';
+
+// Default period: current month
+const getDefaultPeriod = () => {
+  const now = new Date();
+  const firstDay = new Date(now.getFullYear(), now.getMonth(), 1);
+  const lastDay = new Date(now.getFullYear(), now.getMonth() + 1, 0);
+  return {
+    startDate: firstDay.toISOString().split('T')[0],
+    endDate: lastDay.toISOString().split('T')[0]
+  };
+};
+
+export default function EmployeeLedger() {
+  const router = useRouter();
+
+  // State management
+  const [employees, setEmployees] = useState([]);
+  const [employeeId, setEmployeeId] = useState('');
+  const [period, setPeriod] = useState(getDefaultPeriod);
+  const [ledger, setLedger] = useState(null);
+  const [loading, setLoading] = useState(false);
+  const [downloading, setDownloading] = useState(false);
+  const [error, setError] = useState('');
+
+  // Load employees on component mount
+  useEffect(() => {
+    const loadEmployees = async () => {
+      try {
+        const employeesData = await employeeService.getAllEmployees();
+        setEmployees(employeesData.sort((a, b) => (a.name || '').localeCompare(b.name || '')));
+      } catch (error) {
+        console.error('Error loading employees:', error);
+        setError(`Failed to load employees: ${error.message}`);
+      }
+    };
+    loadEmployees();
+  }, []);
+
+  // Preselect an employee passed in the URL (?employee=<id>)
+  useEffect(() => {
+    if (router.query.employee) {
+      setEmployeeId(router.query.employee);
+    }
+  }, [router.query.employee]);
+
+  // Handle period input changes
+  const handlePeriodChange = (e) => {
+    const { name, value } = e.target;
+    setPeriod(prev => ({
+      ...prev,
+      [name]: value
+    }));
+  };
+
+  // Load the ledger for the selected employee and period
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+
+    if (!employeeId) {
+      setError('Select an employee.');
+      return;
+    }
+
+    try {
+      setLoading(true);
+      setError('');
+      setLedger(null);
+
+      const result = await ledgerService.getLedger(employeeId, period.startDate, period.endDate);
+      setLedger(result);
+    } catch (error) {
+      console.error('Error loading ledger:', error);
+      setError(`Failed to load ledger: ${error.message}`);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  // Download the printable statement
+  const handleDownloadStatement = async () => {
+    try {
+      setDownloading(true);
+      setError('');
+      await payslipService.downloadLedgerStatement(ledger);
+    } catch (error) {
+      setError(`Failed to generate statement: ${error.message}`);
+    } finally {
+      setDownloading(false);
+    }
+  };
+
+  const formatCurrency = (amount) => salaryService.formatCurrency(amount);
+
+  // Balances are shown unsigned with a due/overpaid marker
+  const formatBalance = (balance) => (
+    <span className={balance >= 0 ? 'balance-due' : 'balance-overpaid'}>
+      {formatCurrency(Math.abs(balance))} {balance >= 0 ? 'Due' : 'Overpaid'}
+    </span>
+  );
+
+  return (
+    <div className="ledger-page">
+      {/* Page Header */}
+      <div className="page-header">
+        <div className="header-content">
+          <h1>Employee Ledger</h1>
+          <p className="page-description">
+            Running account of wages earned and money paid. Dues and overpayments carry forward
+            from one period to the next.
+          </p>
+        </div>
+        <div className="header-actions">
+          <button onClick={() => router.push('/salary')} className="btn-secondary">
+            ← Salary Calculation
+          </button>
+          <button onClick={() => router.push('/payments')} className="btn-secondary">
+            View Payments
+          </button>
+        </div>
+      </div>
+
+      {/* Status Messages */}
+      {error && (
+        <div className="message-banner error-banner">
+          <div className="message-content">
+            <strong>Error:</strong> {error}
+          </div>
+          <button onClick={() => setError('')} className="message-close">×</button>
+        </div>
+      )}
+
+      <div className="main-content">
+        {/* Employee and Period Selection */}
+        <form onSubmit={handleSubmit} className="period-form">
+          <div className="form-group employee-group">
+            <label htmlFor="employeeId" className="form-label">Employee</label>
+            <select
+              id="employeeId"
+              value={employeeId}
+              onChange={(e) => setEmployeeId(e.target.value)}
+              className="form-input"
+              required
+            >
+              <option value="">Select Employee</option>
+              {employees.map(employee => (
+                <option key={employee.id} value={employee.id}>
+                  {employee.name} - {employee.designation}
+                </option>
+              ))}
+            </select>
+          </div>
+          <div className="form-group">
+            <label htmlFor="startDate" className="form-label">From</label>
+            <input
+              type="date"
+              id="startDate"
+              name="startDate"
+              value={period.startDate}
+              onChange={handlePeriodChange}
+              className="form-input"
+              required
+            />
+          </div>
+          <div className="form-group">
+            <label htmlFor="endDate" className="form-label">To</label>
+            <input
+              type="date"
+              id="endDate"
+              name="endDate"
+              value={period.endDate}
+              onChange={handlePeriodChange}
+              className="form-input"
+              min={period.startDate}
+              required
+            />
+          </div>
+          <button type="submit" className="btn-primary" disabled={loading}>
+            {loading ? 'Loading...' : 'View Ledger'}
+          </button>
+        </form>
+
+        {loading && (
+          <div className="loading-state">
+            <div className="loading-spinner"></div>
+            <p>Building ledger...</p>
+          </div>
+        )}
+
+        {ledger && !loading && (
+          <>
+            <div className="ledger-summary">
+              <div className="summary-item">
+                <span className="summary-label">Opening Balance</span>
+                <span className="summary-value">{formatBalance(ledger.openingBalance)}</span>
+              </div>
+              <div className="summary-item">
+                <span className="summary-label">Earnings</span>
+                <span className="summary-value">{formatCurrency(ledger.totals.credits)}</span>
+              </div>
+              <div className="summary-item">
+                <span className="summary-label">Paid & Recovered</span>
+                <span className="summary-value">{formatCurrency(ledger.totals.debits)}</span>
+              </div>
+              <div className="summary-item">
+                <span className="summary-label">Closing Balance</span>
+                <span className="summary-value">{formatBalance(ledger.closingBalance)}</span>
+              </div>
+              {ledger.outstandingLoans > 0 && (
+                <div className="summary-item">
+                  <span className="summary-label">Outstanding Loans</span>
+                  <span className="summary-value">{formatCurrency(ledger.outstandingLoans)}</span>
+                </div>
+              )}
+            </div>
+
+            <div className="sheet-actions">
+              <button onClick={handleDownloadStatement} className="btn-secondary" disabled={downloading}>
+                {downloading ? 'Generating...' : '📄 Download Statement (PDF)'}
+              </button>
+            </div>
+
+            <div className="table-container">
+              <table className="ledger-table">
+                <thead>
+                  <tr>
+                    <th>Date</th>
+                    <th>Particulars</th>
+                    <th className="numeric">Credit</th>
+                    <th className="numeric">Debit</th>
+                    <th className="numeric">Balance</th>
+                  </tr>
+                </thead>
+                <tbody>
+                  <tr className="balance-row">
+                    <td>{ledger.period.startDate}</td>
+                    <td>Opening balance</td>
+                    <td></td>
+                    <td></td>
+                    <td className="numeric">{formatBalance(ledger.openingBalance)}</td>
+                  </tr>
+                  {ledger.entries.length === 0 ? (
+                    <tr>
+                      <td colSpan="5" className="no-entries">No wages or payments in this period.</td>
+                    </tr>
+                  ) : ledger.entries.map((entry, index) => (
+                    <tr key={`${entry.reference}-${entry.date}-${index}`} className={`entry-${entry.type}`}>
+                      <td>{entry.date}</td>
+                      <td>{entry.description}</td>
+                      <td className="numeric">{entry.credit ? formatCurrency(entry.credit) : ''}</td>
+                      <td className="numeric">{entry.debit ? formatCurrency(entry.debit) : ''}</td>
+                      <td className="numeric">{formatBalance(entry.balance)}</td>
+                    </tr>
+                  ))}
+                </tbody>
+                <tfoot>
+                  <tr>
+                    <td colSpan="2">Closing balance ({ledger.entries.length} entries)</td>
+                    <td className="numeric">{formatCurrency(ledger.totals.credits)}</td>
+                    <td className="numeric">{formatCurrency(ledger.totals.debits)}</td>
+                    <td className="numeric">{formatBalance(ledger.closingBalance)}</td>
+                  </tr>
+                </tfoot>
+              </table>
+            </div>
+
+            <p className="ledger-note">
+              Credits are wages earned from attendance at the rate in force each day. Debits are salary
+              payments, advances and loan EMIs (on the last day of their month).
+              {ledger.closingStatus === SALARY_STATUS.OVERPAID && ' The employee has been paid more than earned.'}
+            </p>
+          </>
+        )}
+      </div>
+
+      <style jsx>{`
+        .ledger-page {
+          min-height: 100vh;
+          background: #f8fafc;
+          padding: 20px;
+        }
+
+        .page-header {
+          display: flex;
+          justify-content: space-between;
+          align-items: flex-start;
+          margin-bottom: 30px;
+          background: white;
+          padding: 25px;
+          border-radius: 8px;
+          box-shadow: 0 2px 4px rgba(0, 0, 0, 0.1);
+        }
+
+        .header-content h1 {
+          color: #1f2937;
+          margin: 0 0 8px 0;
+          font-size: 2rem;
+          font-weight: 700;
+        }
+
+        .page-description {
+          color: #6b7280;
+          margin: 0;
+          font-size: 1rem;
+          line-height: 1.5;
+        }
+
+        .header-actions {
+          display: flex;
+          gap: 12px;
+        }
+
+        .btn-primary,
+        .btn-secondary {
+          padding: 12px 20px;
+          border: none;
+          border-radius: 6px;
+          font-size: 0.9rem;
+          font-weight: 500;
+          cursor: pointer;
+          white-space: nowrap;
+        }
+
+        .btn-primary {
+          background: #3b82f6;
+          color: white;
+        }
+
+        .btn-primary:hover:not(:disabled) {
+          background: #2563eb;
+        }
+
+        .btn-secondary {
+          background: #f3f4f6;
+          color: #374151;
+          border: 1px solid #d1d5db;
+        }
+
+        .btn-secondary:hover:not(:disabled) {
+          background: #e5e7eb;
+        }
+
+        .btn-primary:disabled,
+        .btn-secondary:disabled {
+          opacity: 0.6;
+          cursor: not-allowed;
+        }
+
+        .message-banner {
+          display: flex;
+          justify-content: space-between;
+          align-items: center;
+          padding: 12px 20px;
+          border-radius: 6px;
+          margin-bottom: 20px;
+          font-size: 0.9rem;
+        }
+
+        .error-banner {
+          background: #fef2f2;
+          border: 1px solid #fecaca;
+          color: #dc2626;
+        }
+
+        .message-content {
+          flex: 1;
+        }
+
+        .message-close {
+          background: none;
+          border: none;
+          font-size: 1.2rem;
+          cursor: pointer;
+          color: inherit;
+          opacity: 0.7;
+        }
+
+        .main-content {
+          max-width: 1200px;
+          margin: 0 auto;
+        }
+
+        .period-form {
+          display: flex;
+          gap: 16px;
+          align-items: flex-end;
+          background: white;
+          padding: 20px;
+          border-radius: 8px;
+          box-shadow: 0 2px 4px rgba(0, 0, 0, 0.1);
+          margin-bottom: 20px;
+        }
+
+        .form-group {
+          display: flex;
+          flex-direction: column;
+        }
+
+        .employee-group {
+          flex: 1;
+        }
+
+        .form-label {
+          margin-bottom: 6px;
+          font-weight: 500;
+          color: #374151;
+          font-size: 0.9rem;
+        }
+
+        .form-input {
+          padding: 10px 12px;
+          border: 1px solid #d1d5db;
+          border-radius: 6px;
+          font-size: 0.9rem;
+        }
+
+        .loading-state {
+          text-align: center;
+          padding: 60px 20px;
+          background: white;
+          border-radius: 8px;
+          box-shadow: 0 2px 4px rgba(0, 0, 0, 0.1);
+          color: #6b7280;
+        }
+
+        .loading-spinner {
+          width: 40px;
+          height: 40px;
+          border: 3px solid #e5e7eb;
+          border-top: 3px solid #3b82f6;
+          border-radius: 50%;
+          animation: spin 1s linear infinite;
+          margin: 0 auto 20px;
+        }
+
+        @keyframes spin {
+          0% { transform: rotate(0deg); }
+          100% { transform: rotate(360deg); }
+        }
+
+        .ledger-summary {
+          display: grid;
+          grid-template-columns: repeat(auto-fit, minmax(180px, 1fr));
+          gap: 16px;
+          margin-bottom: 20px;
+        }
+
+        .summary-item {
+          display: flex;
+          flex-direction: column;
+          gap: 6px;
+          background: white;
+          padding: 16px;
+          border-radius: 8px;
+          box-shadow: 0 2px 4px rgba(0, 0, 0, 0.1);
+        }
+
+        .summary-label {
+          color: #6b7280;
+          font-size: 0.8rem;
+          text-transform: uppercase;
+          letter-spacing: 0.05em;
+        }
+
+        .summary-value {
+          color: #1f2937;
+          font-size: 1.1rem;
+          font-weight: 700;
+        }
+
+        .sheet-actions {
+          display: flex;
+          justify-content: flex-end;
+          margin-bottom: 12px;
+        }
+
+        .table-container {
+          background: white;
+          border-radius: 8px;
+          box-shadow: 0 2px 4px rgba(0, 0, 0, 0.1);
+          overflow-x: auto;
+        }
+
+        .ledger-table {
+          width: 100%;
+          border-collapse: collapse;
+          font-size: 0.9rem;
+        }
+
+        .ledger-table th,
+        .ledger-table td {
+          padding: 10px 16px;
+          text-align: left;
+          border-bottom: 1px solid #e5e7eb;
+        }
+
+        .ledger-table th {
+          background: #f9fafb;
+          color: #374151;
+          font-weight: 600;
+        }
+
+        .ledger-table .numeric {
+          text-align: right;
+          font-variant-numeric: tabular-nums;
+          white-space: nowrap;
+        }
+
+        .balance-row td,
+        .ledger-table tfoot td {
+          font-weight: 700;
+          background: #f9fafb;
+        }
+
+        .ledger-table tfoot td {
+          border-top: 2px solid #d1d5db;
+        }
+
+        .entry-advance td,
+        .entry-loan_emi td {
+          color: #6b21a8;
+        }
+
+        .no-entries {
+          text-align: center;
+          color: #6b7280;
+        }
+
+        .balance-due {
+          color: #166534;
+        }
+
+        .balance-overpaid {
+          color: #dc2626;
+        }
+
+        .ledger-note {
+          color: #6b7280;
+          font-size: 0.85rem;
+          margin-top: 12px;
+        }
+
+        @media (max-width: 768px) {
+          .ledger-page {
+            padding: 10px;
+          }
+
+          .page-header,
+          .period-form {
+            flex-direction: column;
+            align-items: stretch;
+            gap: 16px;
+          }
+        }
+      `}</style>
+    </div>
+  );
+}
@@ -0,0 +1,719 @@
+import { useState, useEffect } from 'react';
+import { useRouter } from 'next/router';
+import Head from 'next/head';
+import { useAuth } from '../../contexts/AuthContext';
+import { useAdmin } from '../../hooks/useAdmin';
+import minimumWageService from '../../lib/services/minimumWageService';
+import settingsService from '../../lib/services/settingsService';
+import salaryService from '../../lib/services/salaryService';
+import { validateMinimumWage, createEmptyMinimumWage, MONTHLY_WAGE_DAYS } from '../../lib/models/MinimumWage';
+import { SkillCategory, getSkillCategoryLabel } from '../../lib/models/Employee';
+
+export default function MinimumWages() {
+  const { user, loading: authLoading } = useAuth();
+  const { isAdmin, loading: adminLoading } = useAdmin();
+  const router = useRouter();
+  const [minimumWages, setMinimumWages] = useState([]);
+  const [defaultState, setDefaultState] = useState('');
+  const [formData, setFormData] = useState(createEmptyMinimumWage());
+  const [editingId, setEditingId] = useState(null);
+  const [errors, setErrors] = useState({});
+  const [loading, setLoading] = useState(true);
+  const [saving, setSaving] = useState(false);
+  const [error, setError] = useState('');
+  const [success, setSuccess] = useState('');
+
+  // Redirect if not authenticated
+  useEffect(() => {
+    if (!authLoading && !user) {
+      router.push('/auth/login');
+    }
+  }, [user, authLoading, router]);
+
+  // Load the minimum wage table and the default state
+  useEffect(() => {
+    if (user) {
+      loadData();
+    }
+  }, [user]); // eslint-disable-line react-hooks/exhaustive-deps
+
+  const loadData = async () => {
+    setLoading(true);
+    setError('');
+
+    try {
+      const [wagesData, settings] = await Promise.all([
+        minimumWageService.getMinimumWages(),
+        settingsService.getSettings()
+      ]);
+      setMinimumWages(wagesData);
+      setDefaultState(settings.minimum_wage_state);
+      setFormData(prev => (prev.state || editingId ? prev : createEmptyMinimumWage(settings.minimum_wage_state)));
+    } catch (err) {
+      console.error('Error loading minimum wages:', err);
+      setError('Failed to load minimum wages. Please try again.');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const handleSaveDefaultState = async () => {
+    setError('');
+    setSuccess('');
+    setSaving(true);
+
+    try {
+      const settings = await settingsService.updateSettings({ minimum_wage_state: defaultState }, user?.email || '');
+      setDefaultState(settings.minimum_wage_state);
+      setSuccess('Default state saved.');
+    } catch (err) {
+      console.error('Error saving default state:', err);
+      setError(err.message || 'Failed to save the default state.');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleInputChange = (e) => {
+    const { name, value } = e.target;
+    setFormData(prev => ({
+      ...prev,
+      [name]: name === 'daily_rate' ? value.replace(/[^0-9.]/g, '') : value
+    }));
+
+    if (errors[name]) {
+      setErrors(prev => ({ ...prev, [name]: '' }));
+    }
+  };
+
+  const resetForm = () => {
+    setFormData(createEmptyMinimumWage(defaultState));
+    setEditingId(null);
+    setErrors({});
+  };
+
+  const handleEdit = (minimumWage) => {
+    setFormData({
+      state: minimumWage.state,
+      skill_category: minimumWage.skill_category,
+      daily_rate: String(minimumWage.daily_rate),
+      effective_from: minimumWage.effective_from,
+      notes: minimumWage.notes || ''
+    });
+    setEditingId(minimumWage.id);
+    setErrors({});
+  };
+
+  const describe = (minimumWage) => (
+    `${minimumWage.state} ${getSkillCategoryLabel(minimumWage.skill_category)} from ${minimumWage.effective_from}`
+  );
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setError('');
+    setSuccess('');
+
+    const validation = validateMinimumWage(formData);
+    if (!validation.isValid) {
+      setErrors(validation.errors);
+      return;
+    }
+
+    setSaving(true);
+    try {
+      if (editingId) {
+        await minimumWageService.updateMinimumWage(editingId, formData, user?.email || '');
+        setSuccess(`Updated the ${describe(formData)} minimum wage.`);
+      } else {
+        await minimumWageService.addMinimumWage(formData, user?.email || '');
+        setSuccess(`Added the ${describe(formData)} minimum wage.`);
+      }
+      resetForm();
+      await loadData();
+    } catch (err) {
+      console.error('Error saving minimum wage:', err);
+      setError(err.message || 'Failed to save minimum wage.');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleDelete = async (minimumWage) => {
+    if (!window.confirm(`Delete the ${describe(minimumWage)} minimum wage?`)) {
+      return;
+    }
+
+    setError('');
+    setSuccess('');
+
+    try {
+      await minimumWageService.deleteMinimumWage(minimumWage.id, user?.email || '');
+      if (editingId === minimumWage.id) {
+        resetForm();
+      }
+      setSuccess(`Deleted the ${describe(minimumWage)} minimum wage.`);
+      await loadData();
+    } catch (err) {
+      console.error('Error deleting minimum wage:', err);
+      setError(err.message || 'Failed to delete minimum wage.');
+    }
+  };
+
+  if (authLoading) {
+    return (
+      <div className="loading-container">
+        <div className="spinner"></div>
+        <p>Loading...</p>
+      </div>
+    );
+  }
+
+  if (!user) {
+    return null; // Will redirect
+  }
+
+  const canEdit = isAdmin && !adminLoading;
+  const today = new Date().toISOString().split('T')[0];
+
+  // An entry is in force from its date until the next one for the same state and skill
+  const isSuperseded = (minimumWage) => minimumWages.some(other =>
+    other.id !== minimumWage.id &&
+    other.skill_category === minimumWage.skill_category &&
+    other.state.toLowerCase() === minimumWage.state.toLowerCase() &&
+    other.effective_from > minimumWage.effective_from &&
+    other.effective_from <= today
+  );
+
+  return (
+    <>
+      <Head>
+        <title>Minimum Wages - Employee Management</title>
+        <meta name="description" content="Maintain minimum wages by state and skill category" />
+      </Head>
+
+      <div className="minimum-wages-page">
+        {/* Header */}
+        <div className="page-header">
+          <div className="breadcrumb">
+            <button onClick={() => router.push('/salary')} className="breadcrumb-link">
+              ← Salary Calculation
+            </button>
+          </div>
+
+          <div className="header-content">
+            <h1>Minimum Wages</h1>
+            <p>
+              Daily minimum wages by state and skill category. Salary calculations and rate edits warn when an
+              employee&apos;s rate is below the minimum in force; monthly salaries are compared over {MONTHLY_WAGE_DAYS} days
+              and hourly rates over the standard working day.
+            </p>
+          </div>
+        </div>
+
+        {/* Messages */}
+        {error && (
+          <div className="message error">
+            <strong>Error:</strong> {error}
+            <button onClick={() => setError('')} className="close-message">×</button>
+          </div>
+        )}
+
+        {success && (
+          <div className="message success">
+            <strong>Success:</strong> {success}
+            <button onClick={() => setSuccess('')} className="close-message">×</button>
+          </div>
+        )}
+
+        {!adminLoading && !isAdmin && (
+          <div className="message info">
+            Only admins can change minimum wages.
+          </div>
+        )}
+
+        {/* Default State */}
+        <div className="card">
+          <h2>Default State</h2>
+          <div className="state-row">
+            <input
+              type="text"
+              value={defaultState}
+              onChange={(e) => setDefaultState(e.target.value)}
+              placeholder="e.g. Maharashtra"
+              maxLength="50"
+              disabled={!canEdit || saving}
+              aria-label="Default state"
+            />
+            {canEdit && (
+              <button onClick={handleSaveDefaultState} className="btn-primary" disabled={saving}>
+                {saving ? 'Saving...' : 'Save Default State'}
+              </button>
+            )}
+          </div>
+          <p className="hint">Used for employees without a work state of their own.</p>
+        </div>
+
+        {/* Add / Edit Minimum Wage */}
+        {canEdit && (
+          <form onSubmit={handleSubmit} className="card">
+            <h2>{editingId ? 'Edit Minimum Wage' : 'Add Minimum Wage'}</h2>
+            <div className="form-grid">
+              <div className="form-group">
+                <label htmlFor="state">State *</label>
+                <input
+                  type="text"
+                  id="state"
+                  name="state"
+                  value={formData.state}
+                  onChange={handleInputChange}
+                  className={errors.state ? 'error' : ''}
+                  placeholder="e.g. Maharashtra"
+                  maxLength="50"
+                  required
+                />
+                {errors.state && <div className="error-message">{errors.state}</div>}
+              </div>
+
+              <div className="form-group">
+                <label htmlFor="skill_category">Skill Category *</label>
+                <select
+                  id="skill_category"
+                  name="skill_category"
+                  value={formData.skill_category}
+                  onChange={handleInputChange}
+                  className={errors.skill_category ? 'error' : ''}
+                >
+                  {Object.values(SkillCategory).map(category => (
+                    <option key={category} value={category}>{getSkillCategoryLabel(category)}</option>
+                  ))}
+                </select>
+                {errors.skill_category && <div className="error-message">{errors.skill_category}</div>}
+              </div>
+
+              <div className="form-group">
+                <label htmlFor="daily_rate">Daily Minimum (₹) *</label>
+                <input
+                  type="text"
+                  id="daily_rate"
+                  name="daily_rate"
+                  value={formData.daily_rate}
+                  onChange={handleInputChange}
+                  className={errors.daily_rate ? 'error' : ''}
+                  placeholder="Basic + VDA per day"
+                  required
+                />
+                {errors.daily_rate && <div className="error-message">{errors.daily_rate}</div>}
+              </div>
+
+              <div className="form-group">
+                <label htmlFor="effective_from">Effective From *</label>
+                <input
+                  type="date"
+                  id="effective_from"
+                  name="effective_from"
+                  value={formData.effective_from}
+                  onChange={handleInputChange}
+                  className={errors.effective_from ? 'error' : ''}
+                  required
+                />
+                {errors.effective_from && <div className="error-message">{errors.effective_from}</div>}
+              </div>
+
+              <div className="form-group">
+                <label htmlFor="notes">Notes</label>
+                <input
+                  type="text"
+                  id="notes"
+                  name="notes"
+                  value={formData.notes}
+                  onChange={handleInputChange}
+                  className={errors.notes ? 'error' : ''}
+                  placeholder="e.g. notification number"
+                />
+                {errors.notes && <div className="error-message">{errors.notes}</div>}
+              </div>
+            </div>
+
+            <div className="form-actions">
+              {editingId && (
+                <button type="button" onClick={resetForm} className="btn-secondary" disabled={saving}>
+                  Cancel
+                </button>
+              )}
+              <button type="submit" className="btn-primary" disabled={saving}>
+                {saving ? 'Saving...' : editingId ? 'Update Minimum Wage' : 'Add Minimum Wage'}
+              </button>
+            </div>
+          </form>
+        )}
+
+        {/* Minimum Wage Table */}
+        <div className="card">
+          <div className="list-header">
+            <h2>Minimum Wage Table</h2>
+            <button onClick={() => router.push('/salary/compliance')} className="btn-secondary">
+              Compliance Report
+            </button>
+          </div>
+
+          {loading ? (
+            <div className="loading-section">
+              <div className="spinner"></div>
+              <p>Loading minimum wages...</p>
+            </div>
+          ) : minimumWages.length === 0 ? (
+            <p className="empty">No minimum wages added yet.</p>
+          ) : (
+            <table className="wage-table">
+              <thead>
+                <tr>
+                  <th>State</th>
+                  <th>Skill Category</th>
+                  <th className="numeric">Daily Minimum</th>
+                  <th>Effective From</th>
+                  <th>Notes</th>
+                  {canEdit && <th>Actions</th>}
+                </tr>
+              </thead>
+              <tbody>
+                {minimumWages.map(minimumWage => (
+                  <tr key={minimumWage.id} className={isSuperseded(minimumWage) ? 'superseded' : ''}>
+                    <td>{minimumWage.state}</td>
+                    <td>{getSkillCategoryLabel(minimumWage.skill_category)}</td>
+                    <td className="numeric">{salaryService.formatCurrency(minimumWage.daily_rate)}</td>
+                    <td>
+                      {minimumWage.effective_from}
+                      {minimumWage.effective_from > today && <span className="tag">Upcoming</span>}
+                    </td>
+                    <td>{minimumWage.notes || '-'}</td>
+                    {canEdit && (
+                      <td className="actions">
+                        <button onClick={() => handleEdit(minimumWage)} className="btn-link">Edit</button>
+                        <button onClick={() => handleDelete(minimumWage)} className="btn-link danger">Delete</button>
+                      </td>
+                    )}
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          )}
+        </div>
+      </div>
+
+      <style jsx>{`
+        .minimum-wages-page {
+          max-width: 1000px;
+          margin: 0 auto;
+          padding: 20px;
+          min-height: 100vh;
+          background: #f5f5f5;
+        }
+
+        .loading-container {
+          display: flex;
+          flex-direction: column;
+          align-items: center;
+          justify-content: center;
+          min-height: 100vh;
+          gap: 20px;
+        }
+
+        .spinner {
+          border: 4px solid #f3f3f3;
+          border-top: 4px solid #007cba;
+          border-radius: 50%;
+          width: 40px;
+          height: 40px;
+          animation: spin 1s linear infinite;
+        }
+
+        @keyframes spin {
+          0% { transform: rotate(0deg); }
+          100% { transform: rotate(360deg); }
+        }
+
+        .page-header {
+          background: white;
+          padding: 30px;
+          border-radius: 12px;
+          box-shadow: 0 2px 10px rgba(0, 0, 0, 0.1);
+          margin-bottom: 20px;
+        }
+
+        .breadcrumb {
+          margin-bottom: 20px;
+        }
+
+        .breadcrumb-link {
+          background: none;
+          border: none;
+          color: #007cba;
+          cursor: pointer;
+          font-size: 14px;
+          text-decoration: underline;
+          padding: 0;
+        }
+
+        .header-content h1 {
+          margin: 0 0 10px 0;
+          color: #333;
+          font-size: 2rem;
+        }
+
+        .header-content p {
+          margin: 0;
+          color: #666;
+          font-size: 1rem;
+        }
+
+        .message {
+          padding: 15px 20px;
+          border-radius: 6px;
+          margin-bottom: 20px;
+          display: flex;
+          justify-content: space-between;
+          align-items: center;
+        }
+
+        .message.error {
+          background: #fee;
+          color: #c33;
+          border: 1px solid #fcc;
+        }
+
+        .message.success {
+          background: #dfd;
+          color: #363;
+          border: 1px solid #beb;
+        }
+
+        .message.info {
+          background: #eef6fc;
+          color: #1e5a87;
+          border: 1px solid #bcdff5;
+        }
+
+        .close-message {
+          background: none;
+          border: none;
+          color: inherit;
+          cursor: pointer;
+          font-size: 18px;
+          padding: 0;
+          margin-left: 10px;
+        }
+
+        .card {
+          background: white;
+          padding: 25px;
+          border-radius: 8px;
+          box-shadow: 0 2px 4px rgba(0, 0, 0, 0.1);
+          margin-bottom: 20px;
+        }
+
+        .card h2 {
+          margin: 0 0 15px 0;
+          color: #333;
+          font-size: 1.2rem;
+        }
+
+        .state-row {
+          display: flex;
+          gap: 10px;
+        }
+
+        .state-row input {
+          flex: 1;
+          max-width: 300px;
+          padding: 10px 12px;
+          border: 1px solid #ddd;
+          border-radius: 6px;
+          font-size: 0.9rem;
+        }
+
+        .hint {
+          color: #666;
+          font-size: 0.85rem;
+          margin: 8px 0 0 0;
+        }
+
+        .form-grid {
+          display: grid;
+          grid-template-columns: repeat(auto-fit, minmax(200px, 1fr));
+          gap: 15px;
+        }
+
+        .form-group {
+          display: flex;
+          flex-direction: column;
+        }
+
+        .form-group label {
+          margin-bottom: 6px;
+          font-weight: 500;
+          color: #333;
+          font-size: 0.9rem;
+        }
+
+        .form-group input,
+        .form-group select {
+          padding: 10px 12px;
+          border: 1px solid #ddd;
+          border-radius: 6px;
+          font-size: 0.9rem;
+        }
+
+        .form-group input.error,
+        .form-group select.error {
+          border-color: #c33;
+        }
+
+        .error-message {
+          color: #c33;
+          font-size: 0.8rem;
+          margin-top: 4px;
+        }
+
+        .form-actions {
+          display: flex;
+          justify-content: flex-end;
+          gap: 10px;
+          margin-top: 20px;
+        }
+
+        .btn-primary,
+        .btn-secondary {
+          padding: 10px 20px;
+          border-radius: 6px;
+          font-size: 14px;
+          font-weight: 500;
+          cursor: pointer;
+        }
+
+        .btn-primary {
+          background: #007cba;
+          color: white;
+          border: none;
+        }
+
+        .btn-primary:hover:not(:disabled) {
+          background: #005a87;
+        }
+
+        .btn-secondary {
+          background: #f8f9fa;
+          color: #333;
+          border: 1px solid #ddd;
+        }
+
+        .btn-secondary:hover:not(:disabled) {
+          background: #e9ecef;
+        }
+
+        .btn-primary:disabled,
+        .btn-secondary:disabled {
+          opacity: 0.6;
+          cursor: not-allowed;
+        }
+
+        .list-header {
+          display: flex;
+          justify-content: space-between;
+          align-items: center;
+          margin-bottom: 15px;
+        }
+
+        .list-header h2 {
+          margin: 0;
+        }
+
+        .loading-section {
+          padding: 40px;
+          text-align: center;
+          color: #666;
+        }
+
+        .loading-section .spinner {
+          margin: 0 auto 20px;
+        }
+
+        .empty {
+          color: #666;
+          margin: 0;
+        }
+
+        .wage-table {
+          width: 100%;
+          border-collapse: collapse;
+        }
+
+        .wage-table th,
+        .wage-table td {
+          padding: 10px 12px;
+          text-align: left;
+          border-bottom: 1px solid #eee;
+          font-size: 0.9rem;
+        }
+
+        .wage-table th {
+          background: #f8f9fa;
+          color: #333;
+          font-weight: 600;
+        }
+
+        .wage-table .numeric {
+          text-align: right;
+        }
+
+        .wage-table tr.superseded td {
+          color: #999;
+        }
+
+        .tag {
+          margin-left: 6px;
+          padding: 2px 6px;
+          border-radius: 10px;
+          font-size: 0.75rem;
+          background: #fff3cd;
+          color: #856404;
+        }
+
+        .actions {
+          white-space: nowrap;
+        }
+
+        .btn-link {
+          background: none;
+          border: none;
+          color: #007cba;
+          cursor: pointer;
+          font-size: 0.9rem;
+          padding: 0 8px 0 0;
+        }
+
+        .btn-link.danger {
+          color: #c33;
+        }
+
+        @media (max-width: 768px) {
+          .minimum-wages-page {
+            padding: 10px;
+          }
+
+          .page-header {
+            padding: 20px;
+          }
+
+          .header-content h1 {
+            font-size: 1.5rem;
+          }
+
+          .wage-table {
+            display: block;
+            overflow-x: auto;
+          }
+        }
+      `}</style>
+    </>
+  );
+}
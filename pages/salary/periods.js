@@ -0,0 +1,695 @@
+import { Fragment, useState, useEffect } from 'react';
+import { useRouter } from 'next/router';
+import { useAuth } from '../../contexts/AuthContext';
+import { useAdmin } from '../../hooks/useAdmin';
+import periodService from '../../lib/services/periodService';
+import { getLocalDateString } from '../../lib/models/Attendance';
+import {
+  PeriodType,
+  PeriodStatus,
+  PeriodAction,
+  MIN_REOPEN_REASON_LENGTH,
+  getPeriodBounds,
+  getPeriodLabel,
+  getPeriodStatusLabel,
+  getPeriodStatusColor
+} from '../../lib/models/ClosedPeriod';
+
+/**
+ * Default close form: last month, which is what usually gets closed
+ * @returns {Object} Close form data
+ */
+const createDefaultCloseForm = () => {
+  const [year, month] = getLocalDateString().split('-').map(Number);
+  const lastMonth = new Date(Date.UTC(year, month - 2, 1)).toISOString().split('T')[0];
+  const { startDate, endDate } = getPeriodBounds(PeriodType.MONTH, lastMonth);
+  return {
+    period_type: PeriodType.MONTH,
+    anchor_date: lastMonth,
+    start_date: startDate,
+    end_date: endDate,
+    note: ''
+  };
+};
+
+const formatTimestamp = (value) => (value ? new Date(value).toLocaleString('en-IN') : '');
+
+export default function ClosedPeriods() {
+  const router = useRouter();
+  const { user } = useAuth();
+  const { isAdmin, loading: adminLoading } = useAdmin();
+
+  // State management
+  const [periods, setPeriods] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState('');
+  const [successMessage, setSuccessMessage] = useState('');
+  const [closeForm, setCloseForm] = useState(createDefaultCloseForm);
+  const [closing, setClosing] = useState(false);
+  const [reopeningId, setReopeningId] = useState(null);
+  const [reopenReason, setReopenReason] = useState('');
+  const [busyPeriodId, setBusyPeriodId] = useState(null);
+  const [expandedId, setExpandedId] = useState(null);
+
+  // Load periods on component mount
+  useEffect(() => {
+    loadPeriods();
+  }, []);
+
+  const loadPeriods = async () => {
+    try {
+      setLoading(true);
+      setError('');
+      setPeriods(await periodService.getPeriods());
+    } catch (error) {
+      console.error('Error loading closed periods:', error);
+      setError(`Failed to load closed periods: ${error.message}`);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const showSuccess = (message) => {
+    setSuccessMessage(message);
+    setTimeout(() => setSuccessMessage(''), 3000);
+  };
+
+  // Weeks and months are picked by any date inside them; custom ranges are typed in
+  const handleCloseFormChange = (e) => {
+    const { name, value } = e.target;
+    setCloseForm(prev => {
+      const next = { ...prev, [name]: value };
+      if ((name === 'period_type' || name === 'anchor_date') &&
+          next.period_type !== PeriodType.CUSTOM && next.anchor_date) {
+        const { startDate, endDate } = getPeriodBounds(next.period_type, next.anchor_date);
+        next.start_date = startDate;
+        next.end_date = endDate;
+      }
+      return next;
+    });
+  };
+
+  const handleClose = async (e) => {
+    e.preventDefault();
+
+    const label = getPeriodLabel(closeForm);
+    if (!window.confirm(
+      `Close ${label} (${closeForm.start_date} to ${closeForm.end_date})? ` +
+      'Attendance, payments and expenses dated in this period will be locked until an admin reopens it.'
+    )) {
+      return;
+    }
+
+    try {
+      setClosing(true);
+      setError('');
+      await periodService.closePeriod(closeForm, user.email);
+      await loadPeriods();
+      setCloseForm(createDefaultCloseForm());
+      showSuccess(`${label} closed.`);
+    } catch (error) {
+      console.error('Error closing period:', error);
+      setError(error.message);
+    } finally {
+      setClosing(false);
+    }
+  };
+
+  const startReopen = (period) => {
+    setReopeningId(period.id);
+    setReopenReason('');
+    setError('');
+  };
+
+  const handleReopen = async (period) => {
+    try {
+      setBusyPeriodId(period.id);
+      setError('');
+      await periodService.reopenPeriod(period.id, reopenReason, user.email);
+      await loadPeriods();
+      setReopeningId(null);
+      setReopenReason('');
+      showSuccess(`${period.label} reopened.`);
+    } catch (error) {
+      console.error('Error reopening period:', error);
+      setError(error.message);
+    } finally {
+      setBusyPeriodId(null);
+    }
+  };
+
+  return (
+    <div className="periods-page">
+      {/* Page Header */}
+      <div className="page-header">
+        <div className="header-content">
+          <h1>Closed Periods</h1>
+          <p className="page-description">
+            Closing a week or month locks the attendance, payments and expenses dated in it.
+            Reopening needs a written reason; every close and reopen is kept in the period&apos;s history.
+          </p>
+        </div>
+        <div className="header-actions">
+          <button onClick={() => router.push('/salary')} className="btn-secondary">
+            ← Salary Calculation
+          </button>
+        </div>
+      </div>
+
+      {/* Status Messages */}
+      {error && (
+        <div className="message-banner error-banner">
+          <div className="message-content">
+            <strong>Error:</strong> {error}
+          </div>
+          <button onClick={() => setError('')} className="message-close">×</button>
+        </div>
+      )}
+
+      {successMessage && (
+        <div className="message-banner success-banner">
+          <div className="message-content">
+            <strong>Success:</strong> {successMessage}
+          </div>
+          <button onClick={() => setSuccessMessage('')} className="message-close">×</button>
+        </div>
+      )}
+
+      {!adminLoading && !isAdmin && (
+        <div className="message-banner info-banner">
+          <div className="message-content">
+            Only admins can close or reopen periods. Ask an admin to add your email to the admin list.
+          </div>
+        </div>
+      )}
+
+      <div className="main-content">
+        {isAdmin && (
+          <form onSubmit={handleClose} className="close-form">
+            <h2>Close a Period</h2>
+            <div className="form-row">
+              <div className="form-group">
+                <label htmlFor="period_type" className="form-label">Period</label>
+                <select
+                  id="period_type"
+                  name="period_type"
+                  value={closeForm.period_type}
+                  onChange={handleCloseFormChange}
+                  className="form-input"
+                >
+                  <option value={PeriodType.MONTH}>Month</option>
+                  <option value={PeriodType.WEEK}>Week (Mon–Sun)</option>
+                  <option value={PeriodType.CUSTOM}>Custom range</option>
+                </select>
+              </div>
+
+              {closeForm.period_type !== PeriodType.CUSTOM ? (
+                <div className="form-group">
+                  <label htmlFor="anchor_date" className="form-label">Any date in the period</label>
+                  <input
+                    type="date"
+                    id="anchor_date"
+                    name="anchor_date"
+                    value={closeForm.anchor_date}
+                    onChange={handleCloseFormChange}
+                    className="form-input"
+                    required
+                  />
+                </div>
+              ) : (
+                <>
+                  <div className="form-group">
+                    <label htmlFor="start_date" className="form-label">From</label>
+                    <input
+                      type="date"
+                      id="start_date"
+                      name="start_date"
+                      value={closeForm.start_date}
+                      onChange={handleCloseFormChange}
+                      className="form-input"
+                      required
+                    />
+                  </div>
+                  <div className="form-group">
+                    <label htmlFor="end_date" className="form-label">To</label>
+                    <input
+                      type="date"
+                      id="end_date"
+                      name="end_date"
+                      value={closeForm.end_date}
+                      onChange={handleCloseFormChange}
+                      className="form-input"
+                      required
+                    />
+                  </div>
+                </>
+              )}
+            </div>
+
+            <div className="period-preview">
+              {closeForm.start_date && closeForm.end_date
+                ? `${getPeriodLabel(closeForm)}: ${closeForm.start_date} to ${closeForm.end_date}`
+                : 'Choose the dates to close'}
+            </div>
+
+            <div className="form-group">
+              <label htmlFor="note" className="form-label">Note (optional)</label>
+              <input
+                type="text"
+                id="note"
+                name="note"
+                value={closeForm.note}
+                onChange={handleCloseFormChange}
+                className="form-input"
+                maxLength={500}
+                placeholder="e.g. Payroll for the month settled"
+              />
+            </div>
+
+            <button type="submit" className="btn-primary" disabled={closing}>
+              {closing ? 'Closing...' : '🔒 Close Period'}
+            </button>
+          </form>
+        )}
+
+        {loading ? (
+          <div className="loading-state">
+            <div className="loading-spinner"></div>
+            <p>Loading closed periods...</p>
+          </div>
+        ) : periods.length === 0 ? (
+          <div className="empty-state">
+            <h3>No Closed Periods</h3>
+            <p>Every date is open for changes.</p>
+          </div>
+        ) : (
+          <div className="table-container">
+            <table className="periods-table">
+              <thead>
+                <tr>
+                  <th>Period</th>
+                  <th>Dates</th>
+                  <th>Status</th>
+                  <th>Last Change</th>
+                  <th>Actions</th>
+                </tr>
+              </thead>
+              <tbody>
+                {periods.map(period => {
+                  const history = period.history || [];
+                  const lastEntry = history[history.length - 1];
+                  return (
+                    <Fragment key={period.id}>
+                      <tr>
+                        <td>{period.label}</td>
+                        <td>{period.start_date} → {period.end_date}</td>
+                        <td>
+                          <span
+                            className="status-badge"
+                            style={{ backgroundColor: getPeriodStatusColor(period.status) }}
+                          >
+                            {getPeriodStatusLabel(period.status)}
+                          </span>
+                        </td>
+                        <td className="last-change">
+                          {lastEntry && `${lastEntry.by} · ${formatTimestamp(lastEntry.at)}`}
+                        </td>
+                        <td className="actions">
+                          <button
+                            onClick={() => setExpandedId(expandedId === period.id ? null : period.id)}
+                            className="btn-link"
+                          >
+                            {expandedId === period.id ? 'Hide History' : 'History'}
+                          </button>
+                          {isAdmin && period.status === PeriodStatus.CLOSED && reopeningId !== period.id && (
+                            <button onClick={() => startReopen(period)} className="btn-link danger">
+                              Reopen
+                            </button>
+                          )}
+                        </td>
+                      </tr>
+
+                      {reopeningId === period.id && (
+                        <tr className="detail-row">
+                          <td colSpan="5">
+                            <label htmlFor={`reason-${period.id}`} className="form-label">
+                              Why does {period.label} need to be reopened? *
+                            </label>
+                            <textarea
+                              id={`reason-${period.id}`}
+                              value={reopenReason}
+                              onChange={(e) => setReopenReason(e.target.value)}
+                              className="form-input reason-input"
+                              rows="3"
+                              maxLength={500}
+                              placeholder="e.g. Attendance for the site at Kharadi was missed and must be entered"
+                            />
+                            <div className="field-hint">
+                              At least {MIN_REOPEN_REASON_LENGTH} characters. The reason is kept in the period&apos;s history.
+                            </div>
+                            <div className="reopen-actions">
+                              <button
+                                onClick={() => handleReopen(period)}
+                                className="btn-danger"
+                                disabled={busyPeriodId === period.id ||
+                                  reopenReason.trim().length < MIN_REOPEN_REASON_LENGTH}
+                              >
+                                {busyPeriodId === period.id ? 'Reopening...' : 'Reopen Period'}
+                              </button>
+                              <button onClick={() => setReopeningId(null)} className="btn-secondary">
+                                Cancel
+                              </button>
+                            </div>
+                          </td>
+                        </tr>
+                      )}
+
+                      {expandedId === period.id && (
+                        <tr className="detail-row">
+                          <td colSpan="5">
+                            <ul className="history-list">
+                              {history.map((entry, index) => (
+                                <li key={index}>
+                                  <strong>{entry.action === PeriodAction.REOPENED ? 'Reopened' : 'Closed'}</strong>
+                                  {' by '}{entry.by || 'unknown'} on {formatTimestamp(entry.at)}
+                                  {entry.reason && <div className="history-reason">“{entry.reason}”</div>}
+                                </li>
+                              ))}
+                            </ul>
+                          </td>
+                        </tr>
+                      )}
+                    </Fragment>
+                  );
+                })}
+              </tbody>
+            </table>
+          </div>
+        )}
+      </div>
+
+      <style jsx>{`
+        .periods-page {
+          min-height: 100vh;
+          background: #f8fafc;
+          padding: 20px;
+        }
+
+        .page-header {
+          display: flex;
+          justify-content: space-between;
+          align-items: flex-start;
+          margin-bottom: 30px;
+          background: white;
+          padding: 25px;
+          border-radius: 8px;
+          box-shadow: 0 2px 4px rgba(0, 0, 0, 0.1);
+        }
+
+        .header-content h1 {
+          color: #1f2937;
+          margin: 0 0 8px 0;
+          font-size: 2rem;
+          font-weight: 700;
+        }
+
+        .page-description {
+          color: #6b7280;
+          margin: 0;
+          font-size: 1rem;
+          line-height: 1.5;
+        }
+
+        .btn-primary,
+        .btn-secondary,
+        .btn-danger {
+          padding: 12px 20px;
+          border-radius: 6px;
+          font-size: 0.9rem;
+          font-weight: 500;
+          cursor: pointer;
+          white-space: nowrap;
+        }
+
+        .btn-primary {
+          background: #2563eb;
+          color: white;
+          border: 1px solid #2563eb;
+        }
+
+        .btn-secondary {
+          background: #f3f4f6;
+          color: #374151;
+          border: 1px solid #d1d5db;
+        }
+
+        .btn-secondary:hover {
+          background: #e5e7eb;
+        }
+
+        .btn-danger {
+          background: #dc2626;
+          color: white;
+          border: 1px solid #dc2626;
+        }
+
+        .btn-primary:disabled,
+        .btn-danger:disabled {
+          opacity: 0.5;
+          cursor: not-allowed;
+        }
+
+        .message-banner {
+          display: flex;
+          justify-content: space-between;
+          align-items: center;
+          padding: 12px 20px;
+          border-radius: 6px;
+          margin-bottom: 20px;
+          font-size: 0.9rem;
+        }
+
+        .error-banner {
+          background: #fef2f2;
+          border: 1px solid #fecaca;
+          color: #dc2626;
+        }
+
+        .info-banner {
+          background: #eff6ff;
+          border: 1px solid #bfdbfe;
+          color: #1e40af;
+        }
+
+        .success-banner {
+          background: #f0fdf4;
+          border: 1px solid #bbf7d0;
+          color: #166534;
+        }
+
+        .message-content {
+          flex: 1;
+        }
+
+        .message-close {
+          background: none;
+          border: none;
+          font-size: 1.2rem;
+          cursor: pointer;
+          color: inherit;
+          opacity: 0.7;
+        }
+
+        .main-content {
+          max-width: 1200px;
+          margin: 0 auto;
+        }
+
+        .close-form {
+          background: white;
+          padding: 25px;
+          border-radius: 8px;
+          box-shadow: 0 2px 4px rgba(0, 0, 0, 0.1);
+          margin-bottom: 30px;
+        }
+
+        .close-form h2 {
+          margin: 0 0 20px 0;
+          font-size: 1.25rem;
+          color: #1f2937;
+        }
+
+        .form-row {
+          display: flex;
+          gap: 20px;
+          flex-wrap: wrap;
+        }
+
+        .form-group {
+          margin-bottom: 16px;
+          flex: 1;
+          min-width: 200px;
+        }
+
+        .form-label {
+          display: block;
+          margin-bottom: 6px;
+          font-weight: 500;
+          color: #374151;
+          font-size: 0.9rem;
+        }
+
+        .form-input {
+          width: 100%;
+          padding: 10px 12px;
+          border: 1px solid #d1d5db;
+          border-radius: 6px;
+          font-size: 0.9rem;
+          box-sizing: border-box;
+        }
+
+        .period-preview {
+          margin-bottom: 16px;
+          padding: 10px 12px;
+          background: #f9fafb;
+          border-radius: 6px;
+          color: #374151;
+          font-size: 0.9rem;
+        }
+
+        .field-hint {
+          margin-top: 6px;
+          color: #6b7280;
+          font-size: 0.8rem;
+        }
+
+        .loading-state,
+        .empty-state {
+          text-align: center;
+          padding: 60px 20px;
+          background: white;
+          border-radius: 8px;
+          box-shadow: 0 2px 4px rgba(0, 0, 0, 0.1);
+          color: #6b7280;
+        }
+
+        .loading-spinner {
+          width: 40px;
+          height: 40px;
+          border: 3px solid #e5e7eb;
+          border-top: 3px solid #3b82f6;
+          border-radius: 50%;
+          animation: spin 1s linear infinite;
+          margin: 0 auto 20px;
+        }
+
+        @keyframes spin {
+          0% { transform: rotate(0deg); }
+          100% { transform: rotate(360deg); }
+        }
+
+        .table-container {
+          background: white;
+          border-radius: 8px;
+          box-shadow: 0 2px 4px rgba(0, 0, 0, 0.1);
+          overflow-x: auto;
+        }
+
+        .periods-table {
+          width: 100%;
+          border-collapse: collapse;
+          font-size: 0.9rem;
+        }
+
+        .periods-table th,
+        .periods-table td {
+          padding: 12px 16px;
+          text-align: left;
+          border-bottom: 1px solid #e5e7eb;
+        }
+
+        .periods-table th {
+          background: #f9fafb;
+          color: #374151;
+          font-weight: 600;
+        }
+
+        .status-badge {
+          color: white;
+          padding: 4px 10px;
+          border-radius: 12px;
+          font-size: 0.8rem;
+          font-weight: 600;
+        }
+
+        .last-change {
+          color: #6b7280;
+          font-size: 0.85rem;
+        }
+
+        .detail-row td {
+          background: #f9fafb;
+        }
+
+        .reason-input {
+          resize: vertical;
+        }
+
+        .reopen-actions {
+          display: flex;
+          gap: 10px;
+          margin-top: 12px;
+        }
+
+        .history-list {
+          margin: 0;
+          padding-left: 20px;
+          color: #374151;
+        }
+
+        .history-list li {
+          margin-bottom: 8px;
+        }
+
+        .history-reason {
+          color: #6b7280;
+          font-style: italic;
+          margin-top: 2px;
+        }
+
+        .actions {
+          white-space: nowrap;
+        }
+
+        .btn-link {
+          background: none;
+          border: none;
+          color: #2563eb;
+          cursor: pointer;
+          font-size: 0.85rem;
+          padding: 4px 8px;
+        }
+
+        .btn-link:hover {
+          text-decoration: underline;
+        }
+
+        .btn-link.danger {
+          color: #dc2626;
+        }
+
+        @media (max-width: 768px) {
+          .periods-page {
+            padding: 10px;
+          }
+
+          .page-header {
+            flex-direction: column;
+            gap: 20px;
+            padding: 20px;
+          }
+        }
+      `}</style>
+    </div>
+  );
+}
@@ -0,0 +1,449 @@
+import { useState, useEffect } from 'react';
+import { useRouter } from 'next/router';
+import { useAuth } from '../../contexts/AuthContext';
+import SalaryReport from '../../components/salary/SalaryReport';
+import salaryService from '../../lib/services/salaryService';
+import payrollRunService from '../../lib/services/payrollRunService';
+import {
+  PayrollRunStatus,
+  getPayrollRunStatusLabel,
+  getPayrollRunStatusColor
+} from '../../lib/models/PayrollRun';
+
+export default function PayrollRuns() {
+  const router = useRouter();
+  const { user } = useAuth();
+
+  // State management
+  const [runs, setRuns] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState('');
+  const [successMessage, setSuccessMessage] = useState('');
+  const [statusFilter, setStatusFilter] = useState('');
+  const [selectedRun, setSelectedRun] = useState(null);
+  const [busyRunId, setBusyRunId] = useState(null);
+
+  // Load runs on component mount
+  useEffect(() => {
+    loadRuns();
+  }, []);
+
+  // Load payroll runs
+  const loadRuns = async () => {
+    try {
+      setLoading(true);
+      setError('');
+
+      const runsData = await payrollRunService.getAllRuns();
+      setRuns(runsData);
+    } catch (error) {
+      console.error('Error loading payroll runs:', error);
+      setError(`Failed to load payroll runs: ${error.message}`);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const getUserName = () => (user ? (user.email || user.displayName) : '');
+
+  // Run a lifecycle action and refresh the list
+  const runAction = async (run, action, message) => {
+    try {
+      setBusyRunId(run.id);
+      setError('');
+
+      await action();
+      await loadRuns();
+
+      setSuccessMessage(message);
+      setTimeout(() => setSuccessMessage(''), 3000);
+    } catch (error) {
+      console.error('Payroll run action failed:', error);
+      setError(error.message);
+    } finally {
+      setBusyRunId(null);
+    }
+  };
+
+  const handleFinalize = (run) => {
+    if (!window.confirm(
+      `Finalize payroll for ${run.employee_name} (${run.period_start} to ${run.period_end})? ` +
+      'Attendance and payments in this period will be locked against edits.'
+    )) {
+      return;
+    }
+    runAction(run, () => payrollRunService.finalizeRun(run.id, getUserName()), 'Payroll run finalized.');
+  };
+
+  const handleMarkPaid = (run) => {
+    if (!window.confirm(`Mark payroll for ${run.employee_name} as paid?`)) {
+      return;
+    }
+    runAction(run, () => payrollRunService.markRunPaid(run.id, getUserName()), 'Payroll run marked as paid.');
+  };
+
+  const handleDelete = (run) => {
+    if (!window.confirm(`Delete this draft payroll run for ${run.employee_name}?`)) {
+      return;
+    }
+    runAction(run, () => payrollRunService.deleteDraftRun(run.id), 'Draft payroll run deleted.');
+  };
+
+  const filteredRuns = statusFilter ? runs.filter(run => run.status === statusFilter) : runs;
+
+  if (selectedRun) {
+    return (
+      <div className="payroll-runs-page">
+        <SalaryReport
+          salaryData={selectedRun.calculation}
+          payrollRun={selectedRun}
+          onBack={() => setSelectedRun(null)}
+        />
+      </div>
+    );
+  }
+
+  return (
+    <div className="payroll-runs-page">
+      {/* Page Header */}
+      <div className="page-header">
+        <div className="header-content">
+          <h1>Payroll Runs</h1>
+          <p className="page-description">
+            Stored salary calculations. Finalizing a run locks the attendance and payments it covers;
+            the snapshot is kept as proof of what was paid.
+          </p>
+        </div>
+        <div className="header-actions">
+          <button onClick={() => router.push('/salary')} className="btn-secondary">
+            ← Salary Calculation
+          </button>
+        </div>
+      </div>
+
+      {/* Status Messages */}
+      {error && (
+        <div className="message-banner error-banner">
+          <div className="message-content">
+            <strong>Error:</strong> {error}
+          </div>
+          <button onClick={() => setError('')} className="message-close">×</button>
+        </div>
+      )}
+
+      {successMessage && (
+        <div className="message-banner success-banner">
+          <div className="message-content">
+            <strong>Success:</strong> {successMessage}
+          </div>
+          <button onClick={() => setSuccessMessage('')} className="message-close">×</button>
+        </div>
+      )}
+
+      <div className="main-content">
+        <div className="filters">
+          <label htmlFor="statusFilter">Status:</label>
+          <select
+            id="statusFilter"
+            value={statusFilter}
+            onChange={(e) => setStatusFilter(e.target.value)}
+            className="filter-select"
+          >
+            <option value="">All</option>
+            {Object.values(PayrollRunStatus).map(status => (
+              <option key={status} value={status}>{getPayrollRunStatusLabel(status)}</option>
+            ))}
+          </select>
+        </div>
+
+        {loading ? (
+          <div className="loading-state">
+            <div className="loading-spinner"></div>
+            <p>Loading payroll runs...</p>
+          </div>
+        ) : filteredRuns.length === 0 ? (
+          <div className="empty-state">
+            <h3>No Payroll Runs</h3>
+            <p>Calculate a salary and choose "Save as Payroll Run" to create one.</p>
+          </div>
+        ) : (
+          <div className="table-container">
+            <table className="runs-table">
+              <thead>
+                <tr>
+                  <th>Employee</th>
+                  <th>Period</th>
+                  <th>Gross</th>
+                  <th>Statutory</th>
+                  <th>Paid</th>
+                  <th>Net</th>
+                  <th>Status</th>
+                  <th>Actions</th>
+                </tr>
+              </thead>
+              <tbody>
+                {filteredRuns.map(run => (
+                  <tr key={run.id}>
+                    <td>{run.employee_name}</td>
+                    <td>{run.period_start} → {run.period_end}</td>
+                    <td className="amount">{salaryService.formatCurrency(run.gross_salary)}</td>
+                    <td className="amount">{salaryService.formatCurrency(run.statutory_deductions || 0)}</td>
+                    <td className="amount">{salaryService.formatCurrency(run.total_payments)}</td>
+                    <td className="amount">{salaryService.formatCurrency(run.net_salary)}</td>
+                    <td>
+                      <span
+                        className="status-badge"
+                        style={{ backgroundColor: getPayrollRunStatusColor(run.status) }}
+                      >
+                        {getPayrollRunStatusLabel(run.status)}
+                      </span>
+                    </td>
+                    <td className="actions">
+                      <button onClick={() => setSelectedRun(run)} className="btn-link">
+                        View
+                      </button>
+                      {run.status === PayrollRunStatus.DRAFT && (
+                        <>
+                          <button
+                            onClick={() => handleFinalize(run)}
+                            className="btn-link"
+                            disabled={busyRunId === run.id}
+                          >
+                            Finalize
+                          </button>
+                          <button
+                            onClick={() => handleDelete(run)}
+                            className="btn-link danger"
+                            disabled={busyRunId === run.id}
+                          >
+                            Delete
+                          </button>
+                        </>
+                      )}
+                      {run.status === PayrollRunStatus.FINALIZED && (
+                        <button
+                          onClick={() => handleMarkPaid(run)}
+                          className="btn-link"
+                          disabled={busyRunId === run.id}
+                        >
+                          Mark Paid
+                        </button>
+                      )}
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+        )}
+      </div>
+
+      <style jsx>{`
+        .payroll-runs-page {
+          min-height: 100vh;
+          background: #f8fafc;
+          padding: 20px;
+        }
+
+        .page-header {
+          display: flex;
+          justify-content: space-between;
+          align-items: flex-start;
+          margin-bottom: 30px;
+          background: white;
+          padding: 25px;
+          border-radius: 8px;
+          box-shadow: 0 2px 4px rgba(0, 0, 0, 0.1);
+        }
+
+        .header-content h1 {
+          color: #1f2937;
+          margin: 0 0 8px 0;
+          font-size: 2rem;
+          font-weight: 700;
+        }
+
+        .page-description {
+          color: #6b7280;
+          margin: 0;
+          font-size: 1rem;
+          line-height: 1.5;
+        }
+
+        .btn-secondary {
+          padding: 12px 20px;
+          border-radius: 6px;
+          font-size: 0.9rem;
+          font-weight: 500;
+          cursor: pointer;
+          background: #f3f4f6;
+          color: #374151;
+          border: 1px solid #d1d5db;
+          white-space: nowrap;
+        }
+
+        .btn-secondary:hover {
+          background: #e5e7eb;
+        }
+
+        .message-banner {
+          display: flex;
+          justify-content: space-between;
+          align-items: center;
+          padding: 12px 20px;
+          border-radius: 6px;
+          margin-bottom: 20px;
+          font-size: 0.9rem;
+        }
+
+        .error-banner {
+          background: #fef2f2;
+          border: 1px solid #fecaca;
+          color: #dc2626;
+        }
+
+        .success-banner {
+          background: #f0fdf4;
+          border: 1px solid #bbf7d0;
+          color: #166534;
+        }
+
+        .message-content {
+          flex: 1;
+        }
+
+        .message-close {
+          background: none;
+          border: none;
+          font-size: 1.2rem;
+          cursor: pointer;
+          color: inherit;
+          opacity: 0.7;
+        }
+
+        .main-content {
+          max-width: 1200px;
+          margin: 0 auto;
+        }
+
+        .filters {
+          display: flex;
+          align-items: center;
+          gap: 10px;
+          margin-bottom: 20px;
+          font-size: 0.9rem;
+          color: #374151;
+        }
+
+        .filter-select {
+          padding: 8px 12px;
+          border: 1px solid #d1d5db;
+          border-radius: 6px;
+          font-size: 0.9rem;
+        }
+
+        .loading-state,
+        .empty-state {
+          text-align: center;
+          padding: 60px 20px;
+          background: white;
+          border-radius: 8px;
+          box-shadow: 0 2px 4px rgba(0, 0, 0, 0.1);
+          color: #6b7280;
+        }
+
+        .loading-spinner {
+          width: 40px;
+          height: 40px;
+          border: 3px solid #e5e7eb;
+          border-top: 3px solid #3b82f6;
+          border-radius: 50%;
+          animation: spin 1s linear infinite;
+          margin: 0 auto 20px;
+        }
+
+        @keyframes spin {
+          0% { transform: rotate(0deg); }
+          100% { transform: rotate(360deg); }
+        }
+
+        .table-container {
+          background: white;
+          border-radius: 8px;
+          box-shadow: 0 2px 4px rgba(0, 0, 0, 0.1);
+          overflow-x: auto;
+        }
+
+        .runs-table {
+          width: 100%;
+          border-collapse: collapse;
+          font-size: 0.9rem;
+        }
+
+        .runs-table th,
+        .runs-table td {
+          padding: 12px 16px;
+          text-align: left;
+          border-bottom: 1px solid #e5e7eb;
+        }
+
+        .runs-table th {
+          background: #f9fafb;
+          color: #374151;
+          font-weight: 600;
+        }
+
+        .amount {
+          text-align: right;
+          font-variant-numeric: tabular-nums;
+        }
+
+        .status-badge {
+          color: white;
+          padding: 4px 10px;
+          border-radius: 12px;
+          font-size: 0.8rem;
+          font-weight: 600;
+        }
+
+        .actions {
+          white-space: nowrap;
+        }
+
+        .btn-link {
+          background: none;
+          border: none;
+          color: #2563eb;
+          cursor: pointer;
+          font-size: 0.85rem;
+          padding: 4px 8px;
+        }
+
+        .btn-link:hover:not(:disabled) {
+          text-decoration: underline;
+        }
+
+        .btn-link.danger {
+          color: #dc2626;
+        }
+
+        .btn-link:disabled {
+          opacity: 0.5;
+          cursor: not-allowed;
+        }
+
+        @media (max-width: 768px) {
+          .payroll-runs-page {
+            padding: 10px;
+          }
+
+          .page-header {
+            flex-direction: column;
+            gap: 20px;
+            padding: 20px;
+          }
+        }
+      `}</style>
+    </div>
+  );
+}
@@ -0,0 +1,962 @@
+import { useState, useEffect } from 'react';
+import { useRouter } from 'next/router';
+import { useAuth } from '../../contexts/AuthContext';
+import { useAdmin } from '../../hooks/useAdmin';
+import settingsService from '../../lib/services/settingsService';
+import attendanceService from '../../lib/services/attendanceService';
+import salaryService from '../../lib/services/salaryService';
+import {
+  SettingsLimits,
+  MonthlyProration,
+  validateSettings,
+  getMonthlyProrationLabel
+} from '../../lib/models/Settings';
+import { AttendanceStatus, getStatusLabel, getStatusColor } from '../../lib/models/Attendance';
+import { StatutoryComponents, DEFAULT_STATUTORY_SETTINGS } from '../../lib/models/Statutory';
+import { DEFAULT_DAILY_RATE } from '../../lib/models/Employee';
+
+// Statutory settings as form strings
+const toStatutoryFormData = (statutory) => ({
+  [StatutoryComponents.PF]: {
+    enabled: !!statutory.pf.enabled,
+    employee_rate: String(statutory.pf.employee_rate),
+    employer_rate: String(statutory.pf.employer_rate),
+    pension_rate: String(statutory.pf.pension_rate),
+    wage_ceiling: String(statutory.pf.wage_ceiling)
+  },
+  [StatutoryComponents.ESI]: {
+    enabled: !!statutory.esi.enabled,
+    employee_rate: String(statutory.esi.employee_rate),
+    employer_rate: String(statutory.esi.employer_rate),
+    wage_threshold: String(statutory.esi.wage_threshold)
+  },
+  [StatutoryComponents.PROFESSIONAL_TAX]: {
+    enabled: !!statutory.professional_tax.enabled,
+    state: statutory.professional_tax.state || '',
+    slabs: (statutory.professional_tax.slabs || []).map(slab => ({
+      min_gross: String(slab.min_gross),
+      amount: String(slab.amount)
+    }))
+  }
+});
+
+export default function PayrollSettings() {
+  const router = useRouter();
+  const { user } = useAuth();
+  const { isAdmin, loading: adminLoading } = useAdmin();
+
+  // State management
+  const [formData, setFormData] = useState({
+    standard_hours: '',
+    overtime_multiplier: '',
+    status_pay_factors: {},
+    monthly_proration: MonthlyProration.CALENDAR_DAYS,
+    statutory: toStatutoryFormData(DEFAULT_STATUTORY_SETTINGS),
+    admin_emails: ''
+  });
+  const [savedSettings, setSavedSettings] = useState(null);
+  const [errors, setErrors] = useState({});
+  const [loading, setLoading] = useState(true);
+  const [saving, setSaving] = useState(false);
+  const [merging, setMerging] = useState(false);
+  const [seeding, setSeeding] = useState(false);
+  const [error, setError] = useState('');
+  const [success, setSuccess] = useState('');
+
+  // Load current settings on component mount
+  useEffect(() => {
+    const loadSettings = async () => {
+      try {
+        const settings = await settingsService.getSettings();
+        setSavedSettings(settings);
+        setFormData({
+          standard_hours: String(settings.standard_hours),
+          overtime_multiplier: String(settings.overtime_multiplier),
+          status_pay_factors: Object.keys(settings.status_pay_factors).reduce((factors, status) => {
+            factors[status] = String(settings.status_pay_factors[status]);
+            return factors;
+          }, {}),
+          monthly_proration: settings.monthly_proration,
+          statutory: toStatutoryFormData(settings.statutory),
+          admin_emails: settings.admin_emails.join('\n')
+        });
+      } catch (error) {
+        console.error('Error loading settings:', error);
+        setError(`Failed to load settings: ${error.message}`);
+      } finally {
+        setLoading(false);
+      }
+    };
+    loadSettings();
+  }, []);
+
+  // Handle input changes
+  const handleInputChange = (e) => {
+    const { name, value } = e.target;
+    setFormData(prev => ({
+      ...prev,
+      [name]: value
+    }));
+
+    if (errors[name]) {
+      setErrors(prev => ({ ...prev, [name]: '' }));
+    }
+  };
+
+  // Handle pay factor changes
+  const handlePayFactorChange = (status, value) => {
+    setFormData(prev => ({
+      ...prev,
+      status_pay_factors: {
+        ...prev.status_pay_factors,
+        [status]: value
+      }
+    }));
+
+    const errorKey = `status_pay_factors.${status}`;
+    if (errors[errorKey]) {
+      setErrors(prev => ({ ...prev, [errorKey]: '' }));
+    }
+  };
+
+  // Handle a statutory component field change
+  const handleStatutoryChange = (component, field, value) => {
+    setFormData(prev => ({
+      ...prev,
+      statutory: {
+        ...prev.statutory,
+        [component]: { ...prev.statutory[component], [field]: value }
+      }
+    }));
+
+    const errorKey = `statutory.${component}.${field}`;
+    if (errors[errorKey]) {
+      setErrors(prev => ({ ...prev, [errorKey]: '' }));
+    }
+  };
+
+  // Replace the professional tax slabs
+  const setTaxSlabs = (updateSlabs) => {
+    const pt = formData.statutory[StatutoryComponents.PROFESSIONAL_TAX];
+    handleStatutoryChange(StatutoryComponents.PROFESSIONAL_TAX, 'slabs', updateSlabs(pt.slabs));
+  };
+
+  // Save settings
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setError('');
+    setSuccess('');
+
+    const validation = validateSettings(formData);
+    if (!validation.isValid) {
+      setErrors(validation.errors);
+      return;
+    }
+
+    setSaving(true);
+    try {
+      const settings = await settingsService.updateSettings(
+        formData,
+        user?.email || ''
+      );
+      setSavedSettings(settings);
+      setSuccess('Payroll settings saved. New salary calculations will use them.');
+    } catch (error) {
+      console.error('Error saving settings:', error);
+      setError(`Failed to save settings: ${error.message}`);
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  // One-time merge of attendance stored more than once for the same day
+  const handleMergeDuplicates = async () => {
+    if (!window.confirm(
+      'Merge duplicate attendance records? Where a worker has more than one record for a day, ' +
+      'the most recently marked one is kept and the others move into its history.'
+    )) return;
+
+    setError('');
+    setSuccess('');
+    setMerging(true);
+    try {
+      const result = await attendanceService.mergeDuplicateAttendance(user?.email || '');
+      setSuccess(
+        result.rewritten === 0 ?
+          `Checked ${result.checked} attendance records; nothing needed merging.` :
+          `Checked ${result.checked} attendance records: rewrote ${result.rewritten} days and ` +
+          `removed ${result.duplicatesRemoved} duplicates.`
+      );
+    } catch (error) {
+      console.error('Error merging duplicate attendance:', error);
+      setError(`Failed to merge duplicate attendance: ${error.message}`);
+    } finally {
+      setMerging(false);
+    }
+  };
+
+  // One-time wage rates for employees recorded before rates existed
+  const handleSeedWageRates = async () => {
+    if (!window.confirm(
+      `Seed missing wage rates? Daily-rated employees with days not covered by a wage rate get ` +
+      `₹${DEFAULT_DAILY_RATE}/day, the rate used before wage rates were recorded, from their joining ` +
+      'date or first attendance. Existing rates are kept.'
+    )) return;
+
+    setError('');
+    setSuccess('');
+    setSeeding(true);
+    try {
+      const result = await salaryService.seedMissingWageRates(user?.email || '');
+      const seeded = result.seeded === 0 ?
+        `Checked ${result.checked} employees; none needed a seeded rate.` :
+        `Checked ${result.checked} employees: seeded a wage rate for ${result.seeded}.`;
+      if (result.needsRate.length > 0) {
+        setError(
+          `${seeded} These monthly or hourly employees still need a rate added on their record: ` +
+          result.needsRate.map(entry => `${entry.name || entry.id} (from ${entry.from})`).join(', ')
+        );
+      } else {
+        setSuccess(seeded);
+      }
+    } catch (error) {
+      console.error('Error seeding wage rates:', error);
+      setError(`Failed to seed wage rates: ${error.message}`);
+    } finally {
+      setSeeding(false);
+    }
+  };
+
+  // Hourly overtime rate for a sample day rate, to show what the settings mean
+  const getExample = () => {
+    const hours = parseFloat(formData.standard_hours);
+    const multiplier = parseFloat(formData.overtime_multiplier);
+    if (!hours || !multiplier) return null;
+
+    const hourlyRate = 800 / hours;
+    return `At ₹800/day, one overtime hour pays ₹${(hourlyRate * multiplier).toFixed(2)} ` +
+      `(₹${hourlyRate.toFixed(2)}/hour × ${multiplier}).`;
+  };
+
+  const example = getExample();
+
+  return (
+    <div className="settings-page">
+      {/* Page Header */}
+      <div className="page-header">
+        <div className="header-content">
+          <h1>Payroll Settings</h1>
+          <p className="page-description">
+            Standard working hours, the overtime rate used when attendance has check-in and
+            check-out times, how much of a day's wage each attendance status earns, statutory
+            deductions, and who may administer the app.
+          </p>
+        </div>
+        <div className="header-actions">
+          <button onClick={() => router.push('/salary')} className="btn-secondary">
+            ← Salary Calculation
+          </button>
+        </div>
+      </div>
+
+      {/* Status Messages */}
+      {error && (
+        <div className="message-banner error-banner">
+          <div className="message-content">
+            <strong>Error:</strong> {error}
+          </div>
+          <button onClick={() => setError('')} className="message-close">×</button>
+        </div>
+      )}
+
+      {success && (
+        <div className="message-banner success-banner">
+          <div className="message-content">{success}</div>
+          <button onClick={() => setSuccess('')} className="message-close">×</button>
+        </div>
+      )}
+
+      {!adminLoading && !isAdmin && (
+        <div className="message-banner info-banner">
+          <div className="message-content">
+            Only admins can change these settings. Ask an admin to add your email to the admin list.
+          </div>
+        </div>
+      )}
+
+      <div className="main-content">
+        {loading ? (
+          <div className="loading-state">
+            <div className="loading-spinner"></div>
+            <p>Loading settings...</p>
+          </div>
+        ) : (
+          <form onSubmit={handleSubmit} className="settings-form">
+            <fieldset disabled={!isAdmin} className="settings-fieldset">
+              <div className="form-group">
+                <label htmlFor="standard_hours" className="form-label">Standard Hours per Day *</label>
+                <input
+                  type="number"
+                  id="standard_hours"
+                  name="standard_hours"
+                  value={formData.standard_hours}
+                  onChange={handleInputChange}
+                  className={`form-input ${errors.standard_hours ? 'error' : ''}`}
+                  min={SettingsLimits.standard_hours.min}
+                  max={SettingsLimits.standard_hours.max}
+                  step="0.5"
+                  required
+                />
+                {errors.standard_hours && (
+                  <div className="error-message">{errors.standard_hours}</div>
+                )}
+                <div className="field-hint">
+                  Hours worked beyond this on a full day (or half of it on a half day) are overtime.
+                </div>
+              </div>
+
+              <div className="form-group">
+                <label htmlFor="overtime_multiplier" className="form-label">Overtime Multiplier *</label>
+                <input
+                  type="number"
+                  id="overtime_multiplier"
+                  name="overtime_multiplier"
+                  value={formData.overtime_multiplier}
+                  onChange={handleInputChange}
+                  className={`form-input ${errors.overtime_multiplier ? 'error' : ''}`}
+                  min={SettingsLimits.overtime_multiplier.min}
+                  max={SettingsLimits.overtime_multiplier.max}
+                  step="0.25"
+                  required
+                />
+                {errors.overtime_multiplier && (
+                  <div className="error-message">{errors.overtime_multiplier}</div>
+                )}
+                <div className="field-hint">
+                  Overtime hours are paid at the day rate ÷ standard hours × this multiplier.
+                </div>
+              </div>
+
+              {example && <p className="example">{example}</p>}
+
+              <h2 className="section-title">Pay Factor by Attendance Status</h2>
+              <p className="field-hint section-hint">
+                Share of the day rate paid for each status: 1 pays a full day, 0.5 half a day, 0 nothing.
+              </p>
+              <table className="factor-table">
+                <tbody>
+                  {Object.values(AttendanceStatus).map(status => (
+                    <tr key={status}>
+                      <td>
+                        <span className="status-dot" style={{ backgroundColor: getStatusColor(status) }}></span>
+                        {getStatusLabel(status)}
+                      </td>
+                      <td>
+                        <input
+                          type="number"
+                          aria-label={`${getStatusLabel(status)} pay factor`}
+                          value={formData.status_pay_factors[status] || ''}
+                          onChange={(e) => handlePayFactorChange(status, e.target.value)}
+                          className={`form-input factor-input ${errors[`status_pay_factors.${status}`] ? 'error' : ''}`}
+                          min={SettingsLimits.status_pay_factor.min}
+                          max={SettingsLimits.status_pay_factor.max}
+                          step="0.05"
+                          required
+                        />
+                        {errors[`status_pay_factors.${status}`] && (
+                          <div className="error-message">{errors[`status_pay_factors.${status}`]}</div>
+                        )}
+                      </td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+
+              <h2 className="section-title">Monthly Salaries</h2>
+              <div className="form-group">
+                <label htmlFor="monthly_proration" className="form-label">Pro-rate Monthly Salary By</label>
+                <select
+                  id="monthly_proration"
+                  name="monthly_proration"
+                  value={formData.monthly_proration}
+                  onChange={handleInputChange}
+                  className={`form-input ${errors.monthly_proration ? 'error' : ''}`}
+                >
+                  {Object.values(MonthlyProration).map(rule => (
+                    <option key={rule} value={rule}>{getMonthlyProrationLabel(rule)}</option>
+                  ))}
+                </select>
+                {errors.monthly_proration && (
+                  <div className="error-message">{errors.monthly_proration}</div>
+                )}
+                <div className="field-hint">
+                  {formData.monthly_proration === MonthlyProration.WORKING_DAYS ?
+                    'A month\'s salary is divided by its working days; holidays and weekly offs are not paid days.' :
+                    'A month\'s salary is divided by its calendar days; holidays and weekly offs count as paid days.'}
+                  {' '}Staff on a daily or hourly wage are not affected.
+                </div>
+              </div>
+
+              <h2 className="section-title">Statutory Deductions</h2>
+              <p className="field-hint section-hint">
+                Rates are percentages; ceilings, thresholds and slabs are monthly amounts. Deductions
+                are worked out on each salary period as one month.
+              </p>
+
+              <div className="statutory-block">
+                <label className="checkbox-label">
+                  <input
+                    type="checkbox"
+                    checked={formData.statutory.pf.enabled}
+                    onChange={(e) => handleStatutoryChange(StatutoryComponents.PF, 'enabled', e.target.checked)}
+                  />
+                  Provident Fund (PF)
+                </label>
+                {formData.statutory.pf.enabled && (
+                  <div className="statutory-fields">
+                    {[
+                      ['employee_rate', 'Employee %', '0.01'],
+                      ['employer_rate', 'Employer %', '0.01'],
+                      ['pension_rate', 'Of which pension (EPS) %', '0.01'],
+                      ['wage_ceiling', 'Wage ceiling (₹)', '1']
+                    ].map(([field, label, step]) => (
+                      <div key={field} className="form-group">
+                        <label htmlFor={`pf_${field}`} className="form-label">{label}</label>
+                        <input
+                          type="number"
+                          id={`pf_${field}`}
+                          value={formData.statutory.pf[field]}
+                          onChange={(e) => handleStatutoryChange(StatutoryComponents.PF, field, e.target.value)}
+                          className={`form-input ${errors[`statutory.pf.${field}`] ? 'error' : ''}`}
+                          min="0"
+                          step={step}
+                          required
+                        />
+                        {errors[`statutory.pf.${field}`] && (
+                          <div className="error-message">{errors[`statutory.pf.${field}`]}</div>
+                        )}
+                      </div>
+                    ))}
+                  </div>
+                )}
+              </div>
+
+              <div className="statutory-block">
+                <label className="checkbox-label">
+                  <input
+                    type="checkbox"
+                    checked={formData.statutory.esi.enabled}
+                    onChange={(e) => handleStatutoryChange(StatutoryComponents.ESI, 'enabled', e.target.checked)}
+                  />
+                  Employees&apos; State Insurance (ESI)
+                </label>
+                {formData.statutory.esi.enabled && (
+                  <div className="statutory-fields">
+                    {[
+                      ['employee_rate', 'Employee %', '0.01'],
+                      ['employer_rate', 'Employer %', '0.01'],
+                      ['wage_threshold', 'Covered up to gross (₹)', '1']
+                    ].map(([field, label, step]) => (
+                      <div key={field} className="form-group">
+                        <label htmlFor={`esi_${field}`} className="form-label">{label}</label>
+                        <input
+                          type="number"
+                          id={`esi_${field}`}
+                          value={formData.statutory.esi[field]}
+                          onChange={(e) => handleStatutoryChange(StatutoryComponents.ESI, field, e.target.value)}
+                          className={`form-input ${errors[`statutory.esi.${field}`] ? 'error' : ''}`}
+                          min="0"
+                          step={step}
+                          required
+                        />
+                        {errors[`statutory.esi.${field}`] && (
+                          <div className="error-message">{errors[`statutory.esi.${field}`]}</div>
+                        )}
+                      </div>
+                    ))}
+                  </div>
+                )}
+              </div>
+
+              <div className="statutory-block">
+                <label className="checkbox-label">
+                  <input
+                    type="checkbox"
+                    checked={formData.statutory.professional_tax.enabled}
+                    onChange={(e) =>
+                      handleStatutoryChange(StatutoryComponents.PROFESSIONAL_TAX, 'enabled', e.target.checked)}
+                  />
+                  Professional Tax
+                </label>
+                {formData.statutory.professional_tax.enabled && (
+                  <>
+                    <div className="form-group">
+                      <label htmlFor="pt_state" className="form-label">State</label>
+                      <input
+                        type="text"
+                        id="pt_state"
+                        value={formData.statutory.professional_tax.state}
+                        onChange={(e) =>
+                          handleStatutoryChange(StatutoryComponents.PROFESSIONAL_TAX, 'state', e.target.value)}
+                        className="form-input"
+                      />
+                    </div>
+                    <table className="factor-table slab-table">
+                      <thead>
+                        <tr>
+                          <th>Monthly gross from (₹)</th>
+                          <th>Tax (₹)</th>
+                          <th></th>
+                        </tr>
+                      </thead>
+                      <tbody>
+                        {formData.statutory.professional_tax.slabs.map((slab, index) => (
+                          <tr key={index}>
+                            {['min_gross', 'amount'].map(field => (
+                              <td key={field}>
+                                <input
+                                  type="number"
+                                  aria-label={field === 'min_gross' ? 'Monthly gross from' : 'Tax'}
+                                  value={slab[field]}
+                                  onChange={(e) => setTaxSlabs(slabs => slabs.map((entry, i) =>
+                                    i === index ? { ...entry, [field]: e.target.value } : entry
+                                  ))}
+                                  className="form-input factor-input"
+                                  min="0"
+                                  required
+                                />
+                              </td>
+                            ))}
+                            <td>
+                              <button
+                                type="button"
+                                onClick={() => setTaxSlabs(slabs => slabs.filter((_, i) => i !== index))}
+                                className="btn-remove"
+                                title="Remove slab"
+                              >
+                                ✕
+                              </button>
+                            </td>
+                          </tr>
+                        ))}
+                      </tbody>
+                    </table>
+                    {errors['statutory.professional_tax.slabs'] && (
+                      <div className="error-message">{errors['statutory.professional_tax.slabs']}</div>
+                    )}
+                    <button
+                      type="button"
+                      onClick={() => setTaxSlabs(slabs => [...slabs, { min_gross: '', amount: '' }])}
+                      className="btn-secondary btn-small"
+                    >
+                      + Add Slab
+                    </button>
+                    <div className="field-hint">
+                      Each slab applies from its salary up to the next slab. Use your state&apos;s current slabs.
+                    </div>
+                  </>
+                )}
+              </div>
+
+              <h2 className="section-title">Admins</h2>
+              <div className="form-group">
+                <label htmlFor="admin_emails" className="form-label">Admin Emails</label>
+                <textarea
+                  id="admin_emails"
+                  name="admin_emails"
+                  value={formData.admin_emails}
+                  onChange={handleInputChange}
+                  className={`form-input ${errors.admin_emails ? 'error' : ''}`}
+                  rows={3}
+                  placeholder="One email per line"
+                />
+                {errors.admin_emails && (
+                  <div className="error-message">{errors.admin_emails}</div>
+                )}
+                <div className="field-hint">
+                  Admins can change these settings and manage the holiday calendar. While the list is
+                  empty, every signed-in user is treated as an admin.
+                </div>
+              </div>
+
+              {savedSettings && savedSettings.updated_by && (
+                <p className="last-updated">
+                  Last updated by {savedSettings.updated_by}
+                  {savedSettings.updated_at ? ` on ${new Date(savedSettings.updated_at).toLocaleString('en-IN')}` : ''}
+                </p>
+              )}
+
+              <div className="form-actions">
+                <button type="submit" className="btn-primary" disabled={saving}>
+                  {saving ? 'Saving...' : 'Save Settings'}
+                </button>
+              </div>
+            </fieldset>
+          </form>
+        )}
+
+        {!loading && isAdmin && (
+          <div className="maintenance-card">
+            <h2 className="section-title">Maintenance</h2>
+            <p className="field-hint section-hint">
+              Attendance marked before records were keyed by employee and date can hold more than one
+              record for the same worker and day. Merging keeps the most recently marked record, moves
+              the others into its history, and is safe to run more than once.
+            </p>
+            <div className="form-actions">
+              <button onClick={handleMergeDuplicates} className="btn-secondary" disabled={merging}>
+                {merging ? 'Merging...' : 'Merge Duplicate Attendance'}
+              </button>
+            </div>
+            <p className="field-hint section-hint">
+              Employees added before wage rates were recorded were paid ₹{DEFAULT_DAILY_RATE} a day and may
+              have no rate, or a first rate that starts after they joined; their salaries and ledgers cannot be
+              calculated until every paid day has a rate. Seeding gives daily-rated employees that rate for the
+              uncovered days and is safe to run more than once.
+            </p>
+            <div className="form-actions">
+              <button onClick={handleSeedWageRates} className="btn-secondary" disabled={seeding}>
+                {seeding ? 'Seeding...' : 'Seed Missing Wage Rates'}
+              </button>
+            </div>
+          </div>
+        )}
+      </div>
+
+      <style jsx>{`
+        .settings-page {
+          min-height: 100vh;
+          background: #f8fafc;
+          padding: 20px;
+        }
+
+        .page-header {
+          display: flex;
+          justify-content: space-between;
+          align-items: flex-start;
+          margin-bottom: 30px;
+          background: white;
+          padding: 25px;
+          border-radius: 8px;
+          box-shadow: 0 2px 4px rgba(0, 0, 0, 0.1);
+        }
+
+        .header-content h1 {
+          color: #1f2937;
+          margin: 0 0 8px 0;
+          font-size: 2rem;
+          font-weight: 700;
+        }
+
+        .page-description {
+          color: #6b7280;
+          margin: 0;
+          font-size: 1rem;
+          line-height: 1.5;
+        }
+
+        .header-actions {
+          display: flex;
+          gap: 12px;
+        }
+
+        .btn-primary,
+        .btn-secondary {
+          padding: 12px 20px;
+          border: none;
+          border-radius: 6px;
+          font-size: 0.9rem;
+          font-weight: 500;
+          cursor: pointer;
+          white-space: nowrap;
+        }
+
+        .btn-primary {
+          background: #3b82f6;
+          color: white;
+        }
+
+        .btn-primary:hover:not(:disabled) {
+          background: #2563eb;
+        }
+
+        .btn-secondary {
+          background: #f3f4f6;
+          color: #374151;
+          border: 1px solid #d1d5db;
+        }
+
+        .btn-secondary:hover:not(:disabled) {
+          background: #e5e7eb;
+        }
+
+        .btn-primary:disabled,
+        .btn-secondary:disabled {
+          opacity: 0.6;
+          cursor: not-allowed;
+        }
+
+        .message-banner {
+          display: flex;
+          justify-content: space-between;
+          align-items: center;
+          padding: 12px 20px;
+          border-radius: 6px;
+          margin-bottom: 20px;
+          font-size: 0.9rem;
+        }
+
+        .error-banner {
+          background: #fef2f2;
+          border: 1px solid #fecaca;
+          color: #dc2626;
+        }
+
+        .info-banner {
+          background: #eff6ff;
+          border: 1px solid #bfdbfe;
+          color: #1e40af;
+        }
+
+        .success-banner {
+          background: #f0fdf4;
+          border: 1px solid #bbf7d0;
+          color: #16a34a;
+        }
+
+        .message-content {
+          flex: 1;
+        }
+
+        .message-close {
+          background: none;
+          border: none;
+          font-size: 1.2rem;
+          cursor: pointer;
+          color: inherit;
+          opacity: 0.7;
+        }
+
+        .main-content {
+          max-width: 640px;
+          margin: 0 auto;
+        }
+
+        .settings-form {
+          background: white;
+          padding: 25px;
+          border-radius: 8px;
+          box-shadow: 0 2px 4px rgba(0, 0, 0, 0.1);
+        }
+
+        .maintenance-card {
+          background: white;
+          padding: 25px;
+          border-radius: 8px;
+          box-shadow: 0 2px 4px rgba(0, 0, 0, 0.1);
+          margin-top: 20px;
+        }
+
+        .maintenance-card .section-title {
+          margin-top: 0;
+        }
+
+        .settings-fieldset {
+          border: none;
+          margin: 0;
+          padding: 0;
+          min-width: 0;
+        }
+
+        .form-group {
+          display: flex;
+          flex-direction: column;
+          margin-bottom: 20px;
+        }
+
+        .form-label {
+          margin-bottom: 6px;
+          font-weight: 500;
+          color: #374151;
+          font-size: 0.9rem;
+        }
+
+        .form-input {
+          padding: 10px 12px;
+          border: 1px solid #d1d5db;
+          border-radius: 6px;
+          font-size: 0.9rem;
+        }
+
+        .form-input.error {
+          border-color: #dc2626;
+        }
+
+        .error-message {
+          color: #dc2626;
+          font-size: 0.8rem;
+          margin-top: 4px;
+        }
+
+        .field-hint {
+          color: #6b7280;
+          font-size: 0.8rem;
+          margin-top: 4px;
+        }
+
+        .example {
+          background: #eff6ff;
+          border: 1px solid #bfdbfe;
+          color: #1e40af;
+          padding: 10px 14px;
+          border-radius: 6px;
+          font-size: 0.9rem;
+          margin: 0 0 16px;
+        }
+
+        .section-title {
+          color: #1f2937;
+          font-size: 1.1rem;
+          margin: 24px 0 4px;
+        }
+
+        .section-hint {
+          margin: 0 0 12px;
+        }
+
+        .factor-table {
+          width: 100%;
+          border-collapse: collapse;
+          margin-bottom: 20px;
+        }
+
+        .factor-table td {
+          padding: 8px 0;
+          border-bottom: 1px solid #f3f4f6;
+          color: #374151;
+          font-size: 0.9rem;
+        }
+
+        .factor-table td:last-child {
+          width: 140px;
+        }
+
+        .factor-input {
+          width: 100%;
+        }
+
+        .statutory-block {
+          border: 1px solid #e5e7eb;
+          border-radius: 6px;
+          padding: 14px 16px;
+          margin-bottom: 12px;
+        }
+
+        .checkbox-label {
+          display: flex;
+          align-items: center;
+          gap: 8px;
+          font-weight: 500;
+          color: #374151;
+          cursor: pointer;
+        }
+
+        .statutory-fields {
+          display: grid;
+          grid-template-columns: repeat(auto-fit, minmax(160px, 1fr));
+          gap: 12px;
+          margin-top: 12px;
+        }
+
+        .statutory-block .form-group {
+          margin: 12px 0 0;
+        }
+
+        .slab-table {
+          margin: 12px 0 8px;
+        }
+
+        .slab-table th {
+          text-align: left;
+          font-size: 0.8rem;
+          font-weight: 500;
+          color: #6b7280;
+          padding-bottom: 4px;
+        }
+
+        .slab-table td {
+          padding-right: 12px;
+        }
+
+        .slab-table td:last-child {
+          width: 40px;
+          padding-right: 0;
+        }
+
+        .btn-remove {
+          background: none;
+          border: 1px solid #fecaca;
+          color: #dc2626;
+          border-radius: 6px;
+          padding: 6px 10px;
+          cursor: pointer;
+        }
+
+        .btn-small {
+          padding: 8px 14px;
+          font-size: 0.85rem;
+        }
+
+        .status-dot {
+          display: inline-block;
+          width: 10px;
+          height: 10px;
+          border-radius: 50%;
+          margin-right: 8px;
+        }
+
+        .last-updated {
+          color: #6b7280;
+          font-size: 0.8rem;
+          margin: 0 0 16px;
+        }
+
+        .form-actions {
+          display: flex;
+          justify-content: flex-end;
+        }
+
+        .loading-state {
+          text-align: center;
+          padding: 60px 20px;
+          background: white;
+          border-radius: 8px;
+          box-shadow: 0 2px 4px rgba(0, 0, 0, 0.1);
+          color: #6b7280;
+        }
+
+        .loading-spinner {
+          width: 40px;
+          height: 40px;
+          border: 3px solid #e5e7eb;
+          border-top: 3px solid #3b82f6;
+          border-radius: 50%;
+          animation: spin 1s linear infinite;
+          margin: 0 auto 20px;
+        }
+
+        @keyframes spin {
+          0% { transform: rotate(0deg); }
+          100% { transform: rotate(360deg); }
+        }
+
+        @media (max-width: 768px) {
+          .page-header {
+            flex-direction: column;
+            gap: 16px;
+          }
+        }
+      `}</style>
+    </div>
+  );
+}
@@ -0,0 +1,668 @@
+import { useState } from 'react';
+import { useRouter } from 'next/router';
+import { useAuth } from '../../contexts/AuthContext';
+import SalaryReport from '../../components/salary/SalaryReport';
+import salaryService, { SALARY_STATUS } from '../../lib/services/salaryService';
+import payrollRunService from '../../lib/services/payrollRunService';
+import payslipService from '../../lib/services/payslipService';
+import { PayBasis, getPayBasisLabel, getPayBasisUnit } from '../../lib/models/Employee';
+
+// Default period: current month
+const getDefaultPeriod = () => {
+  const now = new Date();
+  const firstDay = new Date(now.getFullYear(), now.getMonth(), 1);
+  const lastDay = new Date(now.getFullYear(), now.getMonth() + 1, 0);
+  return {
+    startDate: firstDay.toISOString().split('T')[0],
+    endDate: lastDay.toISOString().split('T')[0]
+  };
+};
+
+export default function PayrollSheet() {
+  const router = useRouter();
+  const { user } = useAuth();
+
+  // State management
+  const [period, setPeriod] = useState(getDefaultPeriod);
+  const [sheet, setSheet] = useState(null);
+  const [calculating, setCalculating] = useState(false);
+  const [error, setError] = useState('');
+  const [successMessage, setSuccessMessage] = useState('');
+  const [selectedCalculation, setSelectedCalculation] = useState(null);
+  const [savingRun, setSavingRun] = useState(false);
+  const [downloadingPayslips, setDownloadingPayslips] = useState(false);
+
+  // Handle period input changes
+  const handlePeriodChange = (e) => {
+    const { name, value } = e.target;
+    setPeriod(prev => ({
+      ...prev,
+      [name]: value
+    }));
+  };
+
+  // Calculate every active employee for the period
+  const handleCalculate = async (e) => {
+    e.preventDefault();
+
+    if (!period.startDate || !period.endDate || period.startDate > period.endDate) {
+      setError('Select a valid period: start date must be before or equal to end date.');
+      return;
+    }
+
+    try {
+      setCalculating(true);
+      setError('');
+      setSheet(null);
+
+      const result = await salaryService.calculatePayrollSheet(period.startDate, period.endDate);
+      setSheet(result);
+    } catch (error) {
+      console.error('Error calculating payroll sheet:', error);
+      setError(`Payroll sheet calculation failed: ${error.message}`);
+    } finally {
+      setCalculating(false);
+    }
+  };
+
+  // Save the open report as a draft payroll run
+  const handleSaveRun = async () => {
+    try {
+      setSavingRun(true);
+      setError('');
+
+      await payrollRunService.createRun(selectedCalculation, user ? (user.email || user.displayName) : '');
+      setSuccessMessage(`Saved a draft payroll run for ${selectedCalculation.employee.name}.`);
+      setTimeout(() => setSuccessMessage(''), 3000);
+    } catch (error) {
+      console.error('Error saving payroll run:', error);
+      setError(`Failed to save payroll run: ${error.message}`);
+    } finally {
+      setSavingRun(false);
+    }
+  };
+
+  // Download one combined PDF with a payslip page per calculated employee
+  const handleDownloadPayslips = async () => {
+    try {
+      setDownloadingPayslips(true);
+      setError('');
+
+      const count = await payslipService.downloadBatchPayslips(sheet.calculations);
+      setSuccessMessage(`Generated ${count} payslip${count === 1 ? '' : 's'}.`);
+      setTimeout(() => setSuccessMessage(''), 3000);
+    } catch (error) {
+      console.error('Error generating payslips:', error);
+      setError(`Failed to generate payslips: ${error.message}`);
+    } finally {
+      setDownloadingPayslips(false);
+    }
+  };
+
+  const formatCurrency = (amount) => salaryService.formatCurrency(amount);
+
+  // e.g. "Monthly · ₹25,000/month"
+  const formatPayRate = (calculation) => {
+    const { rates } = calculation;
+    const basis = rates.payBasis || PayBasis.DAILY;
+    if (rates.rate === null || rates.rate === undefined) return getPayBasisLabel(basis);
+    return `${getPayBasisLabel(basis)} · ${formatCurrency(rates.rate)}/${getPayBasisUnit(basis)}`;
+  };
+
+  // e.g. "4 daily, 2 monthly"
+  const formatPayBasisCounts = (counts) => Object.values(PayBasis)
+    .filter(basis => counts[basis] > 0)
+    .map(basis => `${counts[basis]} ${getPayBasisLabel(basis).toLowerCase()}`)
+    .join(', ');
+
+  // Bonuses less penalties, e.g. "+₹2,000.00" or "-₹500.00"
+  const formatAdjustments = (financial) => {
+    const net = (financial.adjustmentEarnings || 0) - (financial.adjustmentDeductions || 0);
+    if (net === 0) return '-';
+    return `${net > 0 ? '+' : '-'}${formatCurrency(Math.abs(net))}`;
+  };
+
+  if (selectedCalculation) {
+    return (
+      <div className="payroll-sheet-page">
+        {error && (
+          <div className="message-banner error-banner">
+            <div className="message-content">
+              <strong>Error:</strong> {error}
+            </div>
+            <button onClick={() => setError('')} className="message-close">×</button>
+          </div>
+        )}
+        {successMessage && (
+          <div className="message-banner success-banner">
+            <div className="message-content">
+              <strong>Success:</strong> {successMessage}
+            </div>
+            <button onClick={() => setSuccessMessage('')} className="message-close">×</button>
+          </div>
+        )}
+        <SalaryReport
+          salaryData={selectedCalculation}
+          onBack={() => setSelectedCalculation(null)}
+          onSaveRun={handleSaveRun}
+          savingRun={savingRun}
+        />
+        <style jsx>{`
+          .payroll-sheet-page {
+            padding: 20px;
+          }
+
+          .message-banner {
+            display: flex;
+            justify-content: space-between;
+            align-items: center;
+            max-width: 1000px;
+            margin: 0 auto 20px;
+            padding: 12px 20px;
+            border-radius: 6px;
+            font-size: 0.9rem;
+          }
+
+          .error-banner {
+            background: #fef2f2;
+            border: 1px solid #fecaca;
+            color: #dc2626;
+          }
+
+          .success-banner {
+            background: #f0fdf4;
+            border: 1px solid #bbf7d0;
+            color: #166534;
+          }
+
+          .message-content {
+            flex: 1;
+          }
+
+          .message-close {
+            background: none;
+            border: none;
+            font-size: 1.2rem;
+            cursor: pointer;
+            color: inherit;
+          }
+        `}</style>
+      </div>
+    );
+  }
+
+  return (
+    <div className="payroll-sheet-page">
+      {/* Page Header */}
+      <div className="page-header">
+        <div className="header-content">
+          <h1>Payroll Sheet</h1>
+          <p className="page-description">
+            Calculate salaries for every active employee in a period at once.
+          </p>
+        </div>
+        <div className="header-actions">
+          <button onClick={() => router.push('/salary')} className="btn-secondary">
+            ← Salary Calculation
+          </button>
+          <button onClick={() => router.push('/salary/runs')} className="btn-secondary">
+            Payroll Runs
+          </button>
+        </div>
+      </div>
+
+      {/* Status Messages */}
+      {error && (
+        <div className="message-banner error-banner">
+          <div className="message-content">
+            <strong>Error:</strong> {error}
+          </div>
+          <button onClick={() => setError('')} className="message-close">×</button>
+        </div>
+      )}
+
+      <div className="main-content">
+        {/* Period Selection */}
+        <form onSubmit={handleCalculate} className="period-form">
+          <div className="form-group">
+            <label htmlFor="startDate" className="form-label">Start Date</label>
+            <input
+              type="date"
+              id="startDate"
+              name="startDate"
+              value={period.startDate}
+              onChange={handlePeriodChange}
+              className="form-input"
+              required
+            />
+          </div>
+          <div className="form-group">
+            <label htmlFor="endDate" className="form-label">End Date</label>
+            <input
+              type="date"
+              id="endDate"
+              name="endDate"
+              value={period.endDate}
+              onChange={handlePeriodChange}
+              className="form-input"
+              min={period.startDate}
+              required
+            />
+          </div>
+          <button type="submit" className="btn-primary" disabled={calculating}>
+            {calculating ? 'Calculating...' : 'Calculate Payroll'}
+          </button>
+        </form>
+
+        {calculating && (
+          <div className="loading-state">
+            <div className="loading-spinner"></div>
+            <p>Calculating salaries for all active employees...</p>
+          </div>
+        )}
+
+        {sheet && !calculating && (
+          sheet.calculations.length === 0 ? (
+            <div className="empty-state">
+              <h3>No Active Employees</h3>
+              <p>Add employees before running payroll.</p>
+            </div>
+          ) : (
+            <>
+            {sheet.totals.belowMinimumWage > 0 && (
+              <div className="message-banner warning-banner">
+                <div className="message-content">
+                  <strong>Minimum wage:</strong> {sheet.totals.belowMinimumWage} employee(s) marked ⚠ are
+                  paid below the minimum wage for part of this period. Open their report for details or see
+                  the <button onClick={() => router.push('/salary/compliance')} className="btn-link">compliance report</button>.
+                </div>
+              </div>
+            )}
+            <div className="sheet-actions">
+              <button
+                onClick={handleDownloadPayslips}
+                className="btn-secondary"
+                disabled={downloadingPayslips || sheet.totals.employees === 0}
+              >
+                {downloadingPayslips ? 'Generating...' : '📄 Download All Payslips (PDF)'}
+              </button>
+            </div>
+            <div className="table-container">
+              <table className="sheet-table">
+                <thead>
+                  <tr>
+                    <th>Employee</th>
+                    <th>Designation</th>
+                    <th>Pay Rate</th>
+                    <th className="numeric">Paid Days</th>
+                    <th className="numeric">Piece Rate</th>
+                    <th className="numeric">Overtime</th>
+                    <th className="numeric">Night Allowance</th>
+                    <th className="numeric">Adjustments</th>
+                    <th className="numeric">Gross</th>
+                    <th className="numeric">Statutory</th>
+                    <th className="numeric">Paid</th>
+                    <th className="numeric">Net Due</th>
+                    <th>Status</th>
+                    <th></th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {sheet.calculations.map(calculation => (
+                    calculation.error ? (
+                      <tr key={calculation.employee.id} className="row-error">
+                        <td>{calculation.employee.name || calculation.employee.id}</td>
+                        <td>{calculation.employee.designation || '-'}</td>
+                        <td colSpan="12" className="error-cell">{calculation.error}</td>
+                      </tr>
+                    ) : (
+                      <tr key={calculation.employee.id}>
+                        <td>
+                          {calculation.employee.name}
+                          {(calculation.warnings || []).length > 0 && (
+                            <span
+                              className="warning-marker"
+                              title={calculation.warnings.map(warning => warning.message).join('\n')}
+                            >
+                              {' '}⚠
+                            </span>
+                          )}
+                        </td>
+                        <td>{calculation.employee.designation}</td>
+                        <td>{formatPayRate(calculation)}</td>
+                        <td className="numeric">{calculation.period.workingDays}</td>
+                        <td className="numeric">{formatCurrency(calculation.financial.pieceRateEarnings || 0)}</td>
+                        <td className="numeric">{formatCurrency(calculation.financial.overtimePay || 0)}</td>
+                        <td className="numeric">{formatCurrency(calculation.financial.nightAllowance || 0)}</td>
+                        <td className="numeric">{formatAdjustments(calculation.financial)}</td>
+                        <td className="numeric">{formatCurrency(calculation.financial.grossSalary)}</td>
+                        <td className="numeric">{formatCurrency(calculation.financial.statutoryDeductions || 0)}</td>
+                        <td className="numeric">{formatCurrency(calculation.financial.totalPayments)}</td>
+                        <td className="numeric">{formatCurrency(Math.abs(calculation.financial.netSalary))}</td>
+                        <td>
+                          <span className={`status-badge ${calculation.financial.netSalaryStatus}`}>
+                            {calculation.financial.netSalaryStatus === SALARY_STATUS.OVERPAID ? 'Overpaid' : 'Due'}
+                          </span>
+                        </td>
+                        <td>
+                          <button
+                            onClick={() => setSelectedCalculation(calculation)}
+                            className="btn-link"
+                          >
+                            View Report
+                          </button>
+                        </td>
+                      </tr>
+                    )
+                  ))}
+                </tbody>
+                <tfoot>
+                  <tr>
+                    <td colSpan="2">
+                      Totals ({sheet.totals.employees} employees
+                      {sheet.totals.errors > 0 ? `, ${sheet.totals.errors} not calculated` : ''})
+                    </td>
+                    <td>{formatPayBasisCounts(sheet.totals.payBasisCounts || {})}</td>
+                    <td className="numeric">{sheet.totals.workingDays}</td>
+                    <td className="numeric">{formatCurrency(sheet.totals.pieceRateEarnings || 0)}</td>
+                    <td className="numeric">{formatCurrency(sheet.totals.overtimePay)}</td>
+                    <td className="numeric">{formatCurrency(sheet.totals.nightAllowance)}</td>
+                    <td className="numeric">{formatAdjustments(sheet.totals)}</td>
+                    <td className="numeric">{formatCurrency(sheet.totals.grossSalary)}</td>
+                    <td className="numeric">{formatCurrency(sheet.totals.statutoryDeductions)}</td>
+                    <td className="numeric">{formatCurrency(sheet.totals.totalPayments)}</td>
+                    <td className="numeric">{formatCurrency(sheet.totals.netDue)}</td>
+                    <td colSpan="2">
+                      {sheet.totals.overpaid > 0 && (
+                        <span className="overpaid-total">Overpaid: {formatCurrency(sheet.totals.overpaid)}</span>
+                      )}
+                    </td>
+                  </tr>
+                </tfoot>
+              </table>
+            </div>
+            </>
+          )
+        )}
+      </div>
+
+      <style jsx>{`
+        .payroll-sheet-page {
+          min-height: 100vh;
+          background: #f8fafc;
+          padding: 20px;
+        }
+
+        .page-header {
+          display: flex;
+          justify-content: space-between;
+          align-items: flex-start;
+          margin-bottom: 30px;
+          background: white;
+          padding: 25px;
+          border-radius: 8px;
+          box-shadow: 0 2px 4px rgba(0, 0, 0, 0.1);
+        }
+
+        .header-content h1 {
+          color: #1f2937;
+          margin: 0 0 8px 0;
+          font-size: 2rem;
+          font-weight: 700;
+        }
+
+        .page-description {
+          color: #6b7280;
+          margin: 0;
+          font-size: 1rem;
+          line-height: 1.5;
+        }
+
+        .header-actions {
+          display: flex;
+          gap: 12px;
+          align-items: center;
+        }
+
+        .btn-primary,
+        .btn-secondary {
+          padding: 12px 20px;
+          border: none;
+          border-radius: 6px;
+          font-size: 0.9rem;
+          font-weight: 500;
+          cursor: pointer;
+          white-space: nowrap;
+        }
+
+        .btn-primary {
+          background: #3b82f6;
+          color: white;
+        }
+
+        .btn-primary:hover:not(:disabled) {
+          background: #2563eb;
+        }
+
+        .btn-primary:disabled {
+          opacity: 0.6;
+          cursor: not-allowed;
+        }
+
+        .btn-secondary {
+          background: #f3f4f6;
+          color: #374151;
+          border: 1px solid #d1d5db;
+        }
+
+        .btn-secondary:disabled {
+          opacity: 0.6;
+          cursor: not-allowed;
+        }
+
+        .sheet-actions {
+          display: flex;
+          justify-content: flex-end;
+          margin-bottom: 12px;
+        }
+
+        .btn-secondary:hover {
+          background: #e5e7eb;
+        }
+
+        .message-banner {
+          display: flex;
+          justify-content: space-between;
+          align-items: center;
+          padding: 12px 20px;
+          border-radius: 6px;
+          margin-bottom: 20px;
+          font-size: 0.9rem;
+        }
+
+        .error-banner {
+          background: #fef2f2;
+          border: 1px solid #fecaca;
+          color: #dc2626;
+        }
+
+        .warning-banner {
+          background: #fffbeb;
+          border: 1px solid #fde68a;
+          color: #92400e;
+        }
+
+        .warning-marker {
+          color: #d97706;
+          cursor: help;
+        }
+
+        .message-content {
+          flex: 1;
+        }
+
+        .message-close {
+          background: none;
+          border: none;
+          font-size: 1.2rem;
+          cursor: pointer;
+          color: inherit;
+          opacity: 0.7;
+        }
+
+        .main-content {
+          max-width: 1200px;
+          margin: 0 auto;
+        }
+
+        .period-form {
+          display: flex;
+          gap: 16px;
+          align-items: flex-end;
+          background: white;
+          padding: 20px;
+          border-radius: 8px;
+          box-shadow: 0 2px 4px rgba(0, 0, 0, 0.1);
+          margin-bottom: 20px;
+        }
+
+        .form-group {
+          display: flex;
+          flex-direction: column;
+        }
+
+        .form-label {
+          margin-bottom: 6px;
+          font-weight: 500;
+          color: #374151;
+          font-size: 0.9rem;
+        }
+
+        .form-input {
+          padding: 10px 12px;
+          border: 1px solid #d1d5db;
+          border-radius: 6px;
+          font-size: 0.9rem;
+        }
+
+        .loading-state,
+        .empty-state {
+          text-align: center;
+          padding: 60px 20px;
+          background: white;
+          border-radius: 8px;
+          box-shadow: 0 2px 4px rgba(0, 0, 0, 0.1);
+          color: #6b7280;
+        }
+
+        .loading-spinner {
+          width: 40px;
+          height: 40px;
+          border: 3px solid #e5e7eb;
+          border-top: 3px solid #3b82f6;
+          border-radius: 50%;
+          animation: spin 1s linear infinite;
+          margin: 0 auto 20px;
+        }
+
+        @keyframes spin {
+          0% { transform: rotate(0deg); }
+          100% { transform: rotate(360deg); }
+        }
+
+        .table-container {
+          background: white;
+          border-radius: 8px;
+          box-shadow: 0 2px 4px rgba(0, 0, 0, 0.1);
+          overflow-x: auto;
+        }
+
+        .sheet-table {
+          width: 100%;
+          border-collapse: collapse;
+          font-size: 0.9rem;
+        }
+
+        .sheet-table th,
+        .sheet-table td {
+          padding: 12px 16px;
+          text-align: left;
+          border-bottom: 1px solid #e5e7eb;
+        }
+
+        .sheet-table th {
+          background: #f9fafb;
+          color: #374151;
+          font-weight: 600;
+        }
+
+        .sheet-table .numeric {
+          text-align: right;
+          font-variant-numeric: tabular-nums;
+        }
+
+        .sheet-table tfoot td {
+          font-weight: 700;
+          background: #f9fafb;
+          border-top: 2px solid #d1d5db;
+        }
+
+        .row-error td {
+          background: #fef2f2;
+        }
+
+        .error-cell {
+          color: #dc2626;
+          font-size: 0.85rem;
+        }
+
+        .status-badge {
+          padding: 4px 10px;
+          border-radius: 12px;
+          font-size: 0.8rem;
+          font-weight: 600;
+        }
+
+        .status-badge.due {
+          background: #dcfce7;
+          color: #166534;
+        }
+
+        .status-badge.overpaid {
+          background: #fee2e2;
+          color: #991b1b;
+        }
+
+        .overpaid-total {
+          color: #dc2626;
+        }
+
+        .btn-link {
+          background: none;
+          border: none;
+          color: #2563eb;
+          cursor: pointer;
+          font-size: 0.85rem;
+          white-space: nowrap;
+        }
+
+        .btn-link:hover {
+          text-decoration: underline;
+        }
+
+        @media (max-width: 768px) {
+          .payroll-sheet-page {
+            padding: 10px;
+          }
+
+          .page-header,
+          .period-form {
+            flex-direction: column;
+            align-items: stretch;
+            gap: 16px;
+          }
+        }
+      `}</style>
+    </div>
+  );
+}
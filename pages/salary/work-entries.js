@@ -0,0 +1,868 @@
+import { useState, useEffect } from 'react';
+import { useRouter } from 'next/router';
+import Head from 'next/head';
+import { useAuth } from '../../contexts/AuthContext';
+import { useAdmin } from '../../hooks/useAdmin';
+import workEntryService from '../../lib/services/workEntryService';
+import employeeService from '../../lib/services/employeeService';
+import salaryService from '../../lib/services/salaryService';
+import {
+  COMMON_WORK_UNITS,
+  validateWorkEntry,
+  createEmptyWorkEntry,
+  isCrewWorkEntry,
+  getWorkEntryAmount,
+  getStoredWorkEntryShares
+} from '../../lib/models/WorkEntry';
+
+// Current month (YYYY-MM)
+const getCurrentMonth = () => new Date().toISOString().substring(0, 7);
+
+export default function WorkEntries() {
+  const { user, loading: authLoading } = useAuth();
+  const { isAdmin, loading: adminLoading } = useAdmin();
+  const router = useRouter();
+  const [month, setMonth] = useState(getCurrentMonth);
+  const [entries, setEntries] = useState([]);
+  const [employees, setEmployees] = useState([]);
+  const [formData, setFormData] = useState(createEmptyWorkEntry());
+  const [memberFilter, setMemberFilter] = useState('');
+  const [editingId, setEditingId] = useState(null);
+  const [errors, setErrors] = useState({});
+  const [loading, setLoading] = useState(true);
+  const [saving, setSaving] = useState(false);
+  const [error, setError] = useState('');
+  const [success, setSuccess] = useState('');
+
+  // Redirect if not authenticated
+  useEffect(() => {
+    if (!authLoading && !user) {
+      router.push('/auth/login');
+    }
+  }, [user, authLoading, router]);
+
+  // Load employees once
+  useEffect(() => {
+    if (!user) return;
+
+    employeeService.getAllEmployees()
+      .then(employeesData => {
+        setEmployees(employeesData.sort((a, b) => (a.name || '').localeCompare(b.name || '')));
+      })
+      .catch(err => {
+        console.error('Error loading employees:', err);
+        setError('Failed to load employees. Please try again.');
+      });
+  }, [user]);
+
+  // Load the selected month's work entries
+  useEffect(() => {
+    if (user && month) {
+      loadEntries();
+    }
+  }, [user, month]); // eslint-disable-line react-hooks/exhaustive-deps
+
+  const loadEntries = async () => {
+    setLoading(true);
+    setError('');
+
+    try {
+      const [year, monthNumber] = month.split('-').map(Number);
+      const endDate = new Date(Date.UTC(year, monthNumber, 0)).toISOString().split('T')[0];
+      const entriesData = await workEntryService.getWorkEntries({ startDate: `${month}-01`, endDate });
+      setEntries(entriesData);
+    } catch (err) {
+      console.error('Error loading work entries:', err);
+      setError('Failed to load work entries. Please try again.');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const handleInputChange = (e) => {
+    const { name, value } = e.target;
+    setFormData(prev => ({
+      ...prev,
+      [name]: name === 'quantity' || name === 'unit_rate' ? value.replace(/[^0-9.]/g, '') : value
+    }));
+
+    if (errors[name]) {
+      setErrors(prev => ({ ...prev, [name]: '' }));
+    }
+  };
+
+  const handleMemberToggle = (employeeId) => {
+    setFormData(prev => ({
+      ...prev,
+      employee_ids: prev.employee_ids.includes(employeeId) ?
+        prev.employee_ids.filter(id => id !== employeeId) :
+        [...prev.employee_ids, employeeId]
+    }));
+
+    if (errors.employee_ids) {
+      setErrors(prev => ({ ...prev, employee_ids: '' }));
+    }
+  };
+
+  const resetForm = () => {
+    setFormData(createEmptyWorkEntry());
+    setEditingId(null);
+    setErrors({});
+  };
+
+  const handleEdit = (entry) => {
+    setFormData({
+      employee_ids: [...entry.employee_ids],
+      crew_name: entry.crew_name || '',
+      start_date: entry.start_date || entry.date,
+      date: entry.date,
+      task: entry.task,
+      unit: entry.unit,
+      quantity: String(entry.quantity),
+      unit_rate: String(entry.unit_rate),
+      notes: entry.notes || ''
+    });
+    setEditingId(entry.id);
+    setErrors({});
+  };
+
+  const getEmployeeName = (employeeId) => {
+    const employee = employees.find(e => e.id === employeeId);
+    return employee ? employee.name : employeeId;
+  };
+
+  // e.g. "Ravi Kumar: ₹1,200.00 (4 days), ..." as split when the entry was saved
+  const describeCrewShares = (entry) => {
+    const shares = getStoredWorkEntryShares(entry);
+    if (!shares) {
+      return entry.employee_ids.map(getEmployeeName).join(', ');
+    }
+    return shares
+      .map(share => `${getEmployeeName(share.employee_id)}: ${salaryService.formatCurrency(share.amount)} (${share.daysPresent} days)`)
+      .join(', ');
+  };
+
+  // e.g. "Ravi Kumar" or "Team A (4 members)"
+  const getCreditedTo = (entry) => {
+    if (!isCrewWorkEntry(entry)) {
+      return getEmployeeName(entry.employee_ids[0]);
+    }
+    return `${entry.crew_name || 'Crew'} (${entry.employee_ids.length} members)`;
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setError('');
+    setSuccess('');
+
+    const validation = validateWorkEntry(formData);
+    if (!validation.isValid) {
+      setErrors(validation.errors);
+      return;
+    }
+
+    setSaving(true);
+    try {
+      const label = `${formData.task.trim()} for ${getCreditedTo(formData)}`;
+      if (editingId) {
+        await workEntryService.updateWorkEntry(editingId, formData, user?.email || '');
+        setSuccess(`Updated ${label}.`);
+      } else {
+        await workEntryService.addWorkEntry(formData, user?.email || '');
+        setSuccess(`Added ${label} on ${formData.date}.`);
+      }
+      resetForm();
+      await loadEntries();
+    } catch (err) {
+      console.error('Error saving work entry:', err);
+      setError(err.message || 'Failed to save work entry.');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleDelete = async (entry) => {
+    if (!window.confirm(`Delete "${entry.task}" for ${getCreditedTo(entry)} on ${entry.date}?`)) {
+      return;
+    }
+
+    setError('');
+    setSuccess('');
+
+    try {
+      await workEntryService.deleteWorkEntry(entry.id, user?.email || '');
+      if (editingId === entry.id) {
+        resetForm();
+      }
+      setSuccess(`Deleted "${entry.task}".`);
+      await loadEntries();
+    } catch (err) {
+      console.error('Error deleting work entry:', err);
+      setError(err.message || 'Failed to delete work entry.');
+    }
+  };
+
+  if (authLoading) {
+    return (
+      <div className="loading-container">
+        <div className="spinner"></div>
+        <p>Loading...</p>
+      </div>
+    );
+  }
+
+  if (!user) {
+    return null; // Will redirect
+  }
+
+  const canEdit = isAdmin && !adminLoading;
+  const formAmount = getWorkEntryAmount(formData);
+  const isCrew = formData.employee_ids.length > 1;
+  const visibleEmployees = employees.filter(employee =>
+    formData.employee_ids.includes(employee.id) ||
+    (employee.name || '').toLowerCase().includes(memberFilter.trim().toLowerCase())
+  );
+  const monthTotal = entries.reduce((sum, entry) => sum + getWorkEntryAmount(entry), 0);
+
+  return (
+    <>
+      <Head>
+        <title>Piece-Rate Work - Employee Management</title>
+        <meta name="description" content="Work measured and paid by output" />
+      </Head>
+
+      <div className="work-entries-page">
+        {/* Header */}
+        <div className="page-header">
+          <div className="breadcrumb">
+            <button onClick={() => router.push('/salary')} className="breadcrumb-link">
+              ← Salary Calculation
+            </button>
+          </div>
+
+          <div className="header-content">
+            <h1>Piece-Rate Work</h1>
+            <p>
+              Output paid by the unit, such as cubic metres excavated or thousands of bricks laid, is paid in the
+              salary of the period it is measured in, in place of day pay for the days from its start to its
+              measurement. Work done by a crew is split among its members by the days each was present between
+              the start and measurement dates, as marked when the entry is saved. After correcting a crew&apos;s attendance, save the entry again to re-split it.
+            </p>
+          </div>
+        </div>
+
+        {/* Messages */}
+        {error && (
+          <div className="message error">
+            <strong>Error:</strong> {error}
+            <button onClick={() => setError('')} className="close-message">×</button>
+          </div>
+        )}
+
+        {success && (
+          <div className="message success">
+            <strong>Success:</strong> {success}
+            <button onClick={() => setSuccess('')} className="close-message">×</button>
+          </div>
+        )}
+
+        {!adminLoading && !isAdmin && (
+          <div className="message info">
+            Only admins can add or change work entries.
+          </div>
+        )}
+
+        {/* Add / Edit Work Entry */}
+        {canEdit && (
+          <form onSubmit={handleSubmit} className="card">
+            <h2>{editingId ? 'Edit Work Entry' : 'Add Work Entry'}</h2>
+            <div className="form-grid">
+              <div className="form-group wide">
+                <label htmlFor="member_filter">
+                  Employee or Crew Members * ({formData.employee_ids.length} selected)
+                </label>
+                <input
+                  type="text"
+                  id="member_filter"
+                  value={memberFilter}
+                  onChange={(e) => setMemberFilter(e.target.value)}
+                  placeholder="Filter by name"
+                />
+                <div className={`member-list ${errors.employee_ids ? 'error' : ''}`}>
+                  {visibleEmployees.map(employee => (
+                    <label key={employee.id} className="member-option">
+                      <input
+                        type="checkbox"
+                        checked={formData.employee_ids.includes(employee.id)}
+                        onChange={() => handleMemberToggle(employee.id)}
+                      />
+                      {employee.name} - {employee.designation}
+                    </label>
+                  ))}
+                </div>
+                {errors.employee_ids && <div className="error-message">{errors.employee_ids}</div>}
+              </div>
+
+              {isCrew && (
+                <div className="form-group">
+                  <label htmlFor="crew_name">Crew Name</label>
+                  <input
+                    type="text"
+                    id="crew_name"
+                    name="crew_name"
+                    value={formData.crew_name}
+                    onChange={handleInputChange}
+                    className={errors.crew_name ? 'error' : ''}
+                    placeholder="e.g. Masonry Team A"
+                    maxLength="100"
+                  />
+                  {errors.crew_name && <div className="error-message">{errors.crew_name}</div>}
+                </div>
+              )}
+
+              <div className="form-group">
+                <label htmlFor="start_date">Work Started</label>
+                <input
+                  type="date"
+                  id="start_date"
+                  name="start_date"
+                  value={formData.start_date}
+                  onChange={handleInputChange}
+                  className={errors.start_date ? 'error' : ''}
+                />
+                {errors.start_date && <div className="error-message">{errors.start_date}</div>}
+              </div>
+
+              <div className="form-group">
+                <label htmlFor="date">Measured On *</label>
+                <input
+                  type="date"
+                  id="date"
+                  name="date"
+                  value={formData.date}
+                  onChange={handleInputChange}
+                  className={errors.date ? 'error' : ''}
+                  required
+                />
+                {errors.date && <div className="error-message">{errors.date}</div>}
+              </div>
+
+              <div className="form-group">
+                <label htmlFor="task">Task *</label>
+                <input
+                  type="text"
+                  id="task"
+                  name="task"
+                  value={formData.task}
+                  onChange={handleInputChange}
+                  className={errors.task ? 'error' : ''}
+                  placeholder="e.g. Excavation"
+                  maxLength="100"
+                  required
+                />
+                {errors.task && <div className="error-message">{errors.task}</div>}
+              </div>
+
+              <div className="form-group">
+                <label htmlFor="unit">Unit *</label>
+                <input
+                  type="text"
+                  id="unit"
+                  name="unit"
+                  list="work-units"
+                  value={formData.unit}
+                  onChange={handleInputChange}
+                  className={errors.unit ? 'error' : ''}
+                  maxLength="30"
+                  required
+                />
+                <datalist id="work-units">
+                  {COMMON_WORK_UNITS.map(unit => <option key={unit} value={unit} />)}
+                </datalist>
+                {errors.unit && <div className="error-message">{errors.unit}</div>}
+              </div>
+
+              <div className="form-group">
+                <label htmlFor="quantity">Quantity *</label>
+                <input
+                  type="text"
+                  id="quantity"
+                  name="quantity"
+                  value={formData.quantity}
+                  onChange={handleInputChange}
+                  className={errors.quantity ? 'error' : ''}
+                  placeholder="e.g. 12.5"
+                  required
+                />
+                {errors.quantity && <div className="error-message">{errors.quantity}</div>}
+              </div>
+
+              <div className="form-group">
+                <label htmlFor="unit_rate">Rate per Unit (₹) *</label>
+                <input
+                  type="text"
+                  id="unit_rate"
+                  name="unit_rate"
+                  value={formData.unit_rate}
+                  onChange={handleInputChange}
+                  className={errors.unit_rate ? 'error' : ''}
+                  placeholder="e.g. 300"
+                  required
+                />
+                {errors.unit_rate && <div className="error-message">{errors.unit_rate}</div>}
+              </div>
+
+              <div className="form-group wide">
+                <label htmlFor="notes">Notes</label>
+                <input
+                  type="text"
+                  id="notes"
+                  name="notes"
+                  value={formData.notes}
+                  onChange={handleInputChange}
+                  className={errors.notes ? 'error' : ''}
+                  placeholder="e.g. Foundation trench, block B"
+                  maxLength="500"
+                />
+                {errors.notes && <div className="error-message">{errors.notes}</div>}
+              </div>
+            </div>
+
+            {formAmount > 0 && (
+              <p className="amount-preview">
+                Amount: {salaryService.formatCurrency(formAmount)}
+                {isCrew && ', split among the crew by days present as marked now'}
+              </p>
+            )}
+
+            <div className="form-actions">
+              {editingId && (
+                <button type="button" onClick={resetForm} className="btn-secondary" disabled={saving}>
+                  Cancel
+                </button>
+              )}
+              <button type="submit" className="btn-primary" disabled={saving}>
+                {saving ? 'Saving...' : editingId ? 'Update Work Entry' : 'Add Work Entry'}
+              </button>
+            </div>
+          </form>
+        )}
+
+        {/* Work Entry List */}
+        <div className="card">
+          <div className="list-header">
+            <h2>Work Entries</h2>
+            <input
+              type="month"
+              value={month}
+              onChange={(e) => setMonth(e.target.value)}
+              className="month-input"
+              aria-label="Month"
+            />
+          </div>
+
+          {loading ? (
+            <div className="loading-section">
+              <div className="spinner"></div>
+              <p>Loading work entries...</p>
+            </div>
+          ) : entries.length === 0 ? (
+            <p className="empty">No work measured in {month}.</p>
+          ) : (
+            <table className="work-table">
+              <thead>
+                <tr>
+                  <th>Measured</th>
+                  <th>Credited To</th>
+                  <th>Task</th>
+                  <th className="numeric">Quantity</th>
+                  <th className="numeric">Rate</th>
+                  <th className="numeric">Amount</th>
+                  {canEdit && <th>Actions</th>}
+                </tr>
+              </thead>
+              <tbody>
+                {entries.map(entry => (
+                  <tr key={entry.id}>
+                    <td>
+                      {entry.date}
+                      {entry.start_date && entry.start_date !== entry.date && (
+                        <div className="sub-note">from {entry.start_date}</div>
+                      )}
+                    </td>
+                    <td>
+                      {getCreditedTo(entry)}
+                      {isCrewWorkEntry(entry) && (
+                        <div className="sub-note">{describeCrewShares(entry)}</div>
+                      )}
+                    </td>
+                    <td>
+                      {entry.task}
+                      {entry.notes && <div className="sub-note">{entry.notes}</div>}
+                    </td>
+                    <td className="numeric">{entry.quantity} {entry.unit}</td>
+                    <td className="numeric">{salaryService.formatCurrency(entry.unit_rate)}</td>
+                    <td className="numeric">{salaryService.formatCurrency(getWorkEntryAmount(entry))}</td>
+                    {canEdit && (
+                      <td className="actions">
+                        <button onClick={() => handleEdit(entry)} className="btn-link">Edit</button>
+                        <button onClick={() => handleDelete(entry)} className="btn-link danger">Delete</button>
+                      </td>
+                    )}
+                  </tr>
+                ))}
+              </tbody>
+              <tfoot>
+                <tr>
+                  <td colSpan="5">{entries.length} entries</td>
+                  <td className="numeric">{salaryService.formatCurrency(monthTotal)}</td>
+                  {canEdit && <td></td>}
+                </tr>
+              </tfoot>
+            </table>
+          )}
+        </div>
+      </div>
+
+      <style jsx>{`
+        .work-entries-page {
+          max-width: 1000px;
+          margin: 0 auto;
+          padding: 20px;
+          min-height: 100vh;
+          background: #f5f5f5;
+        }
+
+        .loading-container {
+          display: flex;
+          flex-direction: column;
+          align-items: center;
+          justify-content: center;
+          min-height: 100vh;
+          gap: 20px;
+        }
+
+        .spinner {
+          border: 4px solid #f3f3f3;
+          border-top: 4px solid #007cba;
+          border-radius: 50%;
+          width: 40px;
+          height: 40px;
+          animation: spin 1s linear infinite;
+        }
+
+        @keyframes spin {
+          0% { transform: rotate(0deg); }
+          100% { transform: rotate(360deg); }
+        }
+
+        .page-header {
+          background: white;
+          padding: 30px;
+          border-radius: 12px;
+          box-shadow: 0 2px 10px rgba(0, 0, 0, 0.1);
+          margin-bottom: 20px;
+        }
+
+        .breadcrumb {
+          margin-bottom: 20px;
+        }
+
+        .breadcrumb-link {
+          background: none;
+          border: none;
+          color: #007cba;
+          cursor: pointer;
+          font-size: 14px;
+          text-decoration: underline;
+          padding: 0;
+        }
+
+        .header-content h1 {
+          margin: 0 0 10px 0;
+          color: #333;
+          font-size: 2rem;
+        }
+
+        .header-content p {
+          margin: 0;
+          color: #666;
+          font-size: 1rem;
+        }
+
+        .message {
+          padding: 15px 20px;
+          border-radius: 6px;
+          margin-bottom: 20px;
+          display: flex;
+          justify-content: space-between;
+          align-items: center;
+        }
+
+        .message.error {
+          background: #fee;
+          color: #c33;
+          border: 1px solid #fcc;
+        }
+
+        .message.success {
+          background: #dfd;
+          color: #363;
+          border: 1px solid #beb;
+        }
+
+        .message.info {
+          background: #eef6fc;
+          color: #1e5a87;
+          border: 1px solid #bcdff5;
+        }
+
+        .close-message {
+          background: none;
+          border: none;
+          color: inherit;
+          cursor: pointer;
+          font-size: 18px;
+          padding: 0;
+          margin-left: 10px;
+        }
+
+        .card {
+          background: white;
+          padding: 25px;
+          border-radius: 8px;
+          box-shadow: 0 2px 4px rgba(0, 0, 0, 0.1);
+          margin-bottom: 20px;
+        }
+
+        .card h2 {
+          margin: 0 0 15px 0;
+          color: #333;
+          font-size: 1.2rem;
+        }
+
+        .form-grid {
+          display: grid;
+          grid-template-columns: repeat(auto-fit, minmax(200px, 1fr));
+          gap: 15px;
+        }
+
+        .form-group {
+          display: flex;
+          flex-direction: column;
+        }
+
+        .form-group.wide {
+          grid-column: 1 / -1;
+        }
+
+        .form-group label {
+          margin-bottom: 6px;
+          font-weight: 500;
+          color: #333;
+          font-size: 0.9rem;
+        }
+
+        .form-group input,
+        .form-group select {
+          padding: 10px 12px;
+          border: 1px solid #ddd;
+          border-radius: 6px;
+          font-size: 0.9rem;
+        }
+
+        .form-group input.error,
+        .form-group select.error {
+          border-color: #c33;
+        }
+
+        .error-message {
+          color: #c33;
+          font-size: 0.8rem;
+          margin-top: 4px;
+        }
+
+        .form-actions {
+          display: flex;
+          justify-content: flex-end;
+          gap: 10px;
+          margin-top: 20px;
+        }
+
+        .btn-primary,
+        .btn-secondary {
+          padding: 10px 20px;
+          border-radius: 6px;
+          font-size: 14px;
+          font-weight: 500;
+          cursor: pointer;
+        }
+
+        .btn-primary {
+          background: #007cba;
+          color: white;
+          border: none;
+        }
+
+        .btn-primary:hover:not(:disabled) {
+          background: #005a87;
+        }
+
+        .btn-secondary {
+          background: #f8f9fa;
+          color: #333;
+          border: 1px solid #ddd;
+        }
+
+        .btn-secondary:hover:not(:disabled) {
+          background: #e9ecef;
+        }
+
+        .btn-primary:disabled,
+        .btn-secondary:disabled {
+          opacity: 0.6;
+          cursor: not-allowed;
+        }
+
+        .list-header {
+          display: flex;
+          justify-content: space-between;
+          align-items: center;
+          margin-bottom: 15px;
+        }
+
+        .list-header h2 {
+          margin: 0;
+        }
+
+        .month-input {
+          padding: 8px 10px;
+          border: 1px solid #ddd;
+          border-radius: 6px;
+          font-size: 0.9rem;
+        }
+
+        .loading-section {
+          padding: 40px;
+          text-align: center;
+          color: #666;
+        }
+
+        .loading-section .spinner {
+          margin: 0 auto 20px;
+        }
+
+        .empty {
+          color: #666;
+          margin: 0;
+        }
+
+        .work-table {
+          width: 100%;
+          border-collapse: collapse;
+        }
+
+        .work-table th,
+        .work-table td {
+          padding: 10px 12px;
+          text-align: left;
+          border-bottom: 1px solid #eee;
+          font-size: 0.9rem;
+        }
+
+        .work-table th {
+          background: #f8f9fa;
+          color: #333;
+          font-weight: 600;
+        }
+
+        .work-table .numeric {
+          text-align: right;
+          white-space: nowrap;
+        }
+
+        .work-table tfoot td {
+          font-weight: 600;
+          background: #f8f9fa;
+        }
+
+        .member-list {
+          max-height: 200px;
+          overflow-y: auto;
+          margin-top: 8px;
+          padding: 8px 12px;
+          border: 1px solid #ddd;
+          border-radius: 6px;
+          display: grid;
+          grid-template-columns: repeat(auto-fill, minmax(220px, 1fr));
+          gap: 6px 15px;
+        }
+
+        .member-list.error {
+          border-color: #c33;
+        }
+
+        .member-list .member-option {
+          display: flex;
+          align-items: center;
+          gap: 8px;
+          font-weight: normal;
+          margin: 0;
+          cursor: pointer;
+        }
+
+        .member-list .member-option input {
+          padding: 0;
+        }
+
+        .amount-preview {
+          margin: 15px 0 0 0;
+          color: #333;
+          font-weight: 500;
+        }
+
+        .sub-note {
+          color: #666;
+          font-size: 0.8rem;
+          margin-top: 2px;
+        }
+
+        .actions {
+          white-space: nowrap;
+        }
+
+        .btn-link {
+          background: none;
+          border: none;
+          color: #007cba;
+          cursor: pointer;
+          font-size: 0.9rem;
+          padding: 0 8px 0 0;
+        }
+
+        .btn-link.danger {
+          color: #c33;
+        }
+
+        @media (max-width: 768px) {
+          .work-entries-page {
+            padding: 10px;
+          }
+
+          .page-header {
+            padding: 20px;
+          }
+
+          .header-content h1 {
+            font-size: 1.5rem;
+          }
+
+          .work-table {
+            display: block;
+            overflow-x: auto;
+          }
+        }
+      `}</style>
+    </>
+  );
+}